@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Generate poster frames and preview clips for files stored before previews existed
+ *
+ * Usage: node scripts/backfill-media-previews.js [--limit N]
+ */
+
+import fs from 'fs/promises';
+import { initDatabase, getFilesWithoutPreviews } from '../src/utils/database.js';
+import { botConfig } from '../src/utils/config.js';
+import { resolveStoredFile } from '../src/utils/storage-driver.js';
+import { detectFileType, getMediaPath, generateMediaPreviews } from '../src/utils/storage.js';
+
+const PAGE_SIZE = 100;
+
+/**
+ * Read --limit from the command line
+ * @returns {number} Maximum number of files to process (Infinity without --limit)
+ */
+function parseLimit() {
+  const index = process.argv.indexOf('--limit');
+  const limit = index !== -1 ? parseInt(process.argv[index + 1], 10) : NaN;
+  return Number.isInteger(limit) && limit > 0 ? limit : Infinity;
+}
+
+/**
+ * Read a stored file from local storage, remote storage or its URL
+ * @param {Object} file - Row from getFilesWithoutPreviews
+ * @returns {Promise<Buffer|null>} File contents, or null if it can't be found
+ */
+async function readStoredFile(file) {
+  try {
+    return await fs.readFile(
+      getMediaPath(file.file_hash, file.file_extension, botConfig.gifStoragePath)
+    );
+  } catch {
+    // Not on disk, try where the processed URL points
+  }
+
+  const stored = resolveStoredFile(file.file_url);
+  if (stored) {
+    return await stored.driver.get(stored.key);
+  }
+
+  if (/^https?:\/\//.test(file.file_url)) {
+    const response = await fetch(file.file_url);
+    return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+  }
+  return null;
+}
+
+async function main() {
+  const limit = parseLimit();
+
+  if (!botConfig.mediaPreviewsEnabled) {
+    console.error('MEDIA_PREVIEWS_ENABLED is false, nothing to do.');
+    process.exit(1);
+  }
+
+  console.log('Initializing database...');
+  await initDatabase();
+
+  let processed = 0;
+  let generated = 0;
+  let missing = 0;
+  let failed = 0;
+  let afterHash = null;
+
+  while (processed < limit) {
+    const files = await getFilesWithoutPreviews({
+      afterHash,
+      limit: Math.min(PAGE_SIZE, limit - processed),
+    });
+    if (files.length === 0) {
+      break;
+    }
+
+    for (const file of files) {
+      processed++;
+      afterHash = file.file_hash;
+      const extension = file.file_extension || '';
+
+      try {
+        const buffer = await readStoredFile(file);
+        if (!buffer) {
+          missing++;
+          console.log(`  ⚠ ${file.file_hash} - file not found`);
+          continue;
+        }
+
+        // Previews go where the original is: remote files get remote previews, the rest stay local
+        const stored = resolveStoredFile(file.file_url);
+        const ok = await generateMediaPreviews(
+          buffer,
+          file.file_hash,
+          extension,
+          file.file_type || detectFileType(extension),
+          botConfig.gifStoragePath,
+          stored?.driver.remote ? file.file_url : ''
+        );
+        if (ok) {
+          generated++;
+          console.log(`  ✓ ${file.file_hash}`);
+        } else {
+          failed++;
+          console.error(`  ✗ ${file.file_hash} - could not render previews`);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`  ✗ ${file.file_hash} - Error: ${error.message}`);
+      }
+    }
+  }
+
+  console.log('\n=== Summary ===');
+  console.log(`Files checked: ${processed}`);
+  console.log(`Previews generated: ${generated}`);
+  console.log(`Files not found: ${missing}`);
+  console.log(`Errors: ${failed}`);
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Error during backfill:', error);
+  process.exit(1);
+});
@@ -41,9 +41,15 @@ cleanup() {
         kill -TERM "$WEBUI_PID" 2>/dev/null || true
     fi
     
-    # Wait for processes to terminate (max 10 seconds)
-    for i in $(seq 1 10); do
-        if ! is_process_running "$BOT_PID" && ! is_process_running "$WEBUI_PID"; then
+    if [ -n "$WORKER_PID" ] && is_process_running "$WORKER_PID"; then
+        log_info "Stopping worker process (PID: $WORKER_PID)..."
+        kill -TERM "$WORKER_PID" 2>/dev/null || true
+    fi
+    
+    # Wait for processes to terminate (max 30 seconds, the worker lets running jobs finish)
+    for i in $(seq 1 30); do
+        if ! is_process_running "$BOT_PID" && ! is_process_running "$WEBUI_PID" && \
+            { [ -z "$WORKER_PID" ] || ! is_process_running "$WORKER_PID"; }; then
             break
         fi
         sleep 1
@@ -60,7 +66,12 @@ cleanup() {
         kill -KILL "$WEBUI_PID" 2>/dev/null || true
     fi
     
-    wait "$BOT_PID" "$WEBUI_PID" 2>/dev/null || true
+    if [ -n "$WORKER_PID" ] && is_process_running "$WORKER_PID"; then
+        log_warn "Worker process did not terminate, forcing kill..."
+        kill -KILL "$WORKER_PID" 2>/dev/null || true
+    fi
+    
+    wait "$BOT_PID" "$WEBUI_PID" $WORKER_PID 2>/dev/null || true
     
     log_info "Shutdown complete"
     exit 0
@@ -104,9 +115,27 @@ if ! is_process_running "$WEBUI_PID"; then
 fi
 
 log_info "WebUI started (PID: $WEBUI_PID)"
+
+# Start the job worker when ffmpeg/gifsicle work is moved out of the bot process
+if [ "$JOB_PROCESSING_MODE" = "worker" ]; then
+    log_info "Starting job worker..."
+    node src/worker.js &
+    WORKER_PID=$!
+
+    sleep 2
+
+    if ! is_process_running "$WORKER_PID"; then
+        log_error "Worker process failed to start"
+        cleanup
+        exit 1
+    fi
+
+    log_info "Worker started (PID: $WORKER_PID)"
+fi
+
 log_info "All processes running. Monitoring..."
 
-# Monitor both processes
+# Monitor all processes
 while true; do
     # Check if bot process is still running
     if ! is_process_running "$BOT_PID"; then
@@ -124,6 +153,13 @@ while true; do
         exit 1
     fi
     
+    # Check if worker process is still running
+    if [ -n "$WORKER_PID" ] && ! is_process_running "$WORKER_PID"; then
+        log_error "Worker process exited unexpectedly (PID: $WORKER_PID)"
+        cleanup
+        exit 1
+    fi
+    
     # Sleep briefly before checking again
     sleep 5
 done
@@ -67,7 +67,12 @@ async function main() {
       try {
         await axios.post(`${WEBUI_URL}/api/operations`, operation, {
           timeout: 1000,
-          headers: { 'Content-Type': 'application/json' },
+          headers: {
+            'Content-Type': 'application/json',
+            ...(process.env.WEBUI_INTERNAL_TOKEN && {
+              Authorization: `Bearer ${process.env.WEBUI_INTERNAL_TOKEN}`,
+            }),
+          },
         });
         console.log(`  ✓ Sent update for ${operation.id} to webui`);
       } catch (error) {
@@ -3,8 +3,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { r2Config, serverConfig } from '../src/utils/config.js';
-import { uploadGifToR2, gifExistsInR2 } from '../src/utils/r2-storage.js';
+import { serverConfig } from '../src/utils/config.js';
+import { getRemoteStorageDriver, getStorageKey } from '../src/utils/storage-driver.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -43,16 +43,12 @@ async function migrateGifsToR2() {
     console.log('migrating gifs to r2...');
     console.log('');
 
-    // Check if R2 config is set
-    if (
-      !r2Config.accountId ||
-      !r2Config.accessKeyId ||
-      !r2Config.secretAccessKey ||
-      !r2Config.bucketName
-    ) {
-      console.error('error: r2 credentials not configured in .env file');
+    // Check if remote storage is configured
+    const remote = getRemoteStorageDriver();
+    if (!remote) {
+      console.error('error: remote storage not configured in .env file');
       console.error(
-        'please set: R2_ACCOUNT_ID, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME'
+        'please set STORAGE_DRIVER=r2 with R2_ACCOUNT_ID, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME (or STORAGE_DRIVER=s3 with the S3_* settings)'
       );
       process.exit(1);
     }
@@ -92,8 +88,8 @@ async function migrateGifsToR2() {
 
     console.log(`found ${gifFiles.length} gif file(s) to migrate`);
     console.log(`gifs directory: ${gifsDir}`);
-    console.log(`r2 bucket: ${r2Config.bucketName}`);
-    console.log(`r2 public domain: ${r2Config.publicDomain}`);
+    console.log(`storage driver: ${remote.name}`);
+    console.log(`public url: ${remote.urlPrefix}`);
     console.log(
       `rate limiting: ${CHECK_DELAY_MS}ms after checks, ${UPLOAD_DELAY_MS}ms after uploads`
     );
@@ -123,7 +119,8 @@ async function migrateGifsToR2() {
 
       try {
         // Check if file exists in R2
-        const existsInR2 = await gifExistsInR2(hash, r2Config);
+        const key = getStorageKey(hash, 'gif', '.gif');
+        const existsInR2 = await remote.exists(key);
         if (existsInR2) {
           console.log(`  [${i + 1}/${gifFiles.length}] skipping ${file} (already exists in r2)`);
           skipped++;
@@ -151,7 +148,7 @@ async function migrateGifsToR2() {
 
         while (retries <= maxRetries) {
           try {
-            publicUrl = await uploadGifToR2(buffer, hash, r2Config);
+            publicUrl = await remote.put(key, buffer);
             break;
           } catch (error) {
             // Check if it's a rate limit error
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Apply, roll back or inspect versioned schema migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to N]     Apply pending migrations (up to version N)
+ *   node scripts/migrate.js down [--steps N] Roll back the last N migrations (default 1)
+ *   node scripts/migrate.js status          Show applied and pending migrations
+ */
+
+import {
+  initPostgresConnection,
+  closePostgresConnection,
+} from '../src/utils/database/connection.js';
+import { migrateUp, migrateDown, getMigrationStatus } from '../src/utils/database/migrate.js';
+
+/**
+ * Read a positive integer option from the command line
+ * @param {string} flag - Option name, e.g. '--steps'
+ * @param {number} fallback - Value when the option is missing
+ * @returns {number} Option value
+ */
+function parseIntOption(flag, fallback) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) {
+    return fallback;
+  }
+
+  const value = parseInt(process.argv[index + 1], 10);
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`${flag} needs a positive number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Print applied and pending migrations
+ * @param {Object} sql - PostgreSQL connection
+ * @returns {Promise<void>}
+ */
+async function printStatus(sql) {
+  const status = await getMigrationStatus(sql);
+
+  console.log(`Schema version: ${status.current} (latest: ${status.latest})\n`);
+  for (const row of status.applied) {
+    console.log(
+      `  ✓ ${row.version}-${row.name}  applied ${new Date(row.applied_at).toISOString()}`
+    );
+  }
+  for (const migration of status.pending) {
+    console.log(`  · ${migration.version}-${migration.name}  pending`);
+  }
+  for (const version of status.unknown) {
+    console.log(`  ✗ ${version}  applied, but not part of this build`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error('Usage: node scripts/migrate.js <up|down|status> [--to N] [--steps N]');
+    process.exit(1);
+  }
+
+  const sql = await initPostgresConnection();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(sql, {
+        to: parseIntOption('--to', Infinity),
+        onApply: migration => console.log(`  ✓ Applied ${migration.version}-${migration.name}`),
+      });
+      console.log(
+        applied.length > 0 ? `\n${applied.length} migration(s) applied` : 'Schema is up to date'
+      );
+    } else if (command === 'down') {
+      const reverted = await migrateDown(sql, {
+        steps: parseIntOption('--steps', 1),
+        onRevert: migration =>
+          console.log(`  ✓ Rolled back ${migration.version}-${migration.name}`),
+      });
+      console.log(
+        reverted.length > 0
+          ? `\n${reverted.length} migration(s) rolled back`
+          : 'No migrations to roll back'
+      );
+    } else {
+      await printStatus(sql);
+    }
+  } finally {
+    await closePostgresConnection();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -22,8 +22,7 @@ import { execSync } from 'child_process';
 import { readFileSync, existsSync, unlinkSync, rmSync, statSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { r2Config } from '../src/utils/config.js';
-import { listObjectsInR2, deleteFromR2 } from '../src/utils/r2-storage.js';
+import { getRemoteStorageDriver } from '../src/utils/storage-driver.js';
 import { createInterface } from 'readline';
 import postgres from 'postgres';
 import { getPostgresConfig } from '../src/utils/database/connection.js';
@@ -430,44 +429,24 @@ function isPostgresConfigured() {
 }
 
 /**
- * Check if R2 is configured
+ * Check if remote storage is configured (STORAGE_DRIVER=r2 or s3)
  */
 function isR2Configured() {
-  return !!(
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  );
+  return getRemoteStorageDriver() !== null;
 }
 
 /**
- * Get all R2 objects (across all prefixes)
+ * Get all objects in remote storage
  */
 async function getAllR2Objects() {
-  const prefixes = ['gifs/', 'videos/', 'images/'];
-  const allObjects = [];
-
-  for (const prefix of prefixes) {
-    try {
-      const objects = await listObjectsInR2(prefix, r2Config);
-      allObjects.push(...objects);
-    } catch (error) {
-      console.warn(`  warning: failed to list objects with prefix "${prefix}": ${error.message}`);
-    }
-  }
-
-  // Also check for objects at root level (no prefix)
   try {
-    const rootObjects = await listObjectsInR2('', r2Config);
+    const objects = await getRemoteStorageDriver().list('');
     // Filter out directory markers (objects ending with /)
-    const files = rootObjects.filter(obj => !obj.key.endsWith('/'));
-    allObjects.push(...files);
+    return objects.filter(obj => !obj.key.endsWith('/'));
   } catch (error) {
-    console.warn(`  warning: failed to list root objects: ${error.message}`);
+    console.warn(`  warning: failed to list objects: ${error.message}`);
+    return [];
   }
-
-  return allObjects;
 }
 
 /**
@@ -583,8 +562,9 @@ async function deleteR2Objects() {
     return { deleted: 0, failed: 0, total: 0 };
   }
 
-  console.log(`  bucket: ${r2Config.bucketName}`);
-  console.log(`  account: ${r2Config.accountId}\n`);
+  const remote = getRemoteStorageDriver();
+  console.log(`  storage driver: ${remote.name}`);
+  console.log(`  public url: ${remote.urlPrefix}\n`);
 
   // List all objects
   console.log('  listing all objects in r2 bucket...');
@@ -624,7 +604,7 @@ async function deleteR2Objects() {
 
     for (const obj of batch) {
       try {
-        const success = await deleteFromR2(obj.key, r2Config);
+        const success = await remote.delete(obj.key);
         if (success) {
           deleted++;
         } else {
@@ -743,7 +723,9 @@ async function main() {
 
   if (!dbOnly) {
     if (isR2Configured()) {
-      console.log(`  r2 bucket: ${r2Config.bucketName} (will list objects to get count)`);
+      console.log(
+        `  r2 bucket: ${getRemoteStorageDriver().urlPrefix} (will list objects to get count)`
+      );
     } else {
       console.log('  r2 bucket: not configured (skipped)');
     }
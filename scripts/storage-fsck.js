@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Check that processed_urls, temporary_uploads, local files and remote files agree
+ *
+ * Usage: node scripts/storage-fsck.js [--fix[=category,...]] [--json]
+ *
+ * Without --fix nothing is changed. --fix repairs every category, --fix=orphaned_local,size_mismatches
+ * only the ones listed. Categories: missing_files, orphaned_remote, orphaned_local,
+ * size_mismatches, missing_temporary_uploads
+ */
+
+import { initDatabase } from '../src/utils/database.js';
+import { FSCK_CATEGORIES, parseFsckCategories, runStorageFsck } from '../src/utils/storage-fsck.js';
+
+// Entries printed per category, the rest are only counted (use --json for everything)
+const PRINT_LIMIT = 20;
+
+/**
+ * Read --fix from the command line
+ * @returns {Array<string>} Categories to fix
+ */
+function parseFix() {
+  const arg = process.argv.find(value => value === '--fix' || value.startsWith('--fix='));
+  if (!arg) {
+    return [];
+  }
+  return parseFsckCategories(arg === '--fix' ? true : arg.slice('--fix='.length));
+}
+
+/**
+ * Describe a mismatch in one line
+ * @param {Object} entry - Mismatch from the report
+ * @returns {string} Description
+ */
+function describeEntry(entry) {
+  const target = entry.urlHash
+    ? `${entry.key} (url hash ${entry.urlHash.substring(0, 8)}...)`
+    : entry.key;
+  const sizes =
+    entry.actualSize !== undefined
+      ? ` recorded ${entry.recordedSize}, actual ${entry.actualSize}`
+      : '';
+  const status = entry.fixed ? ' - fixed' : entry.error ? ` - failed: ${entry.error}` : '';
+  return `${target}${sizes}${status}`;
+}
+
+async function main() {
+  const fix = parseFix();
+  const json = process.argv.includes('--json');
+
+  await initDatabase();
+  const report = await runStorageFsck({ fix });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+  }
+
+  console.log(`Remote storage: ${report.remote || 'none'}`);
+  for (const note of report.notes) {
+    console.log(`Note: ${note}`);
+  }
+
+  for (const category of FSCK_CATEGORIES) {
+    const entries = report.categories[category];
+    const { found, fixed, failed } = report.summary[category];
+    console.log(
+      `\n${category}: ${found} found${fix.includes(category) ? `, ${fixed} fixed, ${failed} failed` : ''}`
+    );
+    for (const entry of entries.slice(0, PRINT_LIMIT)) {
+      console.log(`  ${describeEntry(entry)}`);
+    }
+    if (entries.length > PRINT_LIMIT) {
+      console.log(`  ... and ${entries.length - PRINT_LIMIT} more`);
+    }
+  }
+
+  if (fix.length === 0) {
+    console.log('\nNothing was changed. Run with --fix to repair these.');
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Error during storage check:', error);
+  process.exit(1);
+});
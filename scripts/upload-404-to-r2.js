@@ -1,8 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { r2Config } from '../src/utils/config.js';
-import { uploadToR2 } from '../src/utils/r2-storage.js';
+import { getRemoteStorageDriver } from '../src/utils/storage-driver.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,16 +10,12 @@ async function upload404Cat() {
   try {
     console.log('Uploading 404 cat image to R2...');
 
-    // Check if R2 config is set
-    if (
-      !r2Config.accountId ||
-      !r2Config.accessKeyId ||
-      !r2Config.secretAccessKey ||
-      !r2Config.bucketName
-    ) {
-      console.error('Error: R2 credentials not configured in .env file');
+    // Check if remote storage is configured
+    const remote = getRemoteStorageDriver();
+    if (!remote) {
+      console.error('Error: remote storage not configured in .env file');
       console.error(
-        'Please set: R2_ACCOUNT_ID, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME'
+        'Please set STORAGE_DRIVER=r2 with R2_ACCOUNT_ID, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME (or STORAGE_DRIVER=s3 with the S3_* settings)'
       );
       process.exit(1);
     }
@@ -39,7 +34,7 @@ async function upload404Cat() {
     console.log(`Found 404 cat image (${(catImageBuffer.length / 1024).toFixed(2)} KB)`);
 
     // Upload to R2 at root level (404.jpg)
-    const publicUrl = await uploadToR2(catImageBuffer, '404.jpg', 'image/jpeg', r2Config);
+    const publicUrl = await remote.put('404.jpg', catImageBuffer, { contentType: 'image/jpeg' });
 
     console.log('✓ Successfully uploaded 404 cat image to R2');
     console.log(`  URL: ${publicUrl}`);
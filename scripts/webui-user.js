@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Manage WebUI dashboard accounts
+ *
+ * Usage:
+ *   node scripts/webui-user.js list
+ *   node scripts/webui-user.js add <username> <viewer|moderator|admin> [--discord-id <id>]
+ *   node scripts/webui-user.js add-discord <discordUserId> <viewer|moderator|admin>
+ *   node scripts/webui-user.js set-role <username|discord:id> <viewer|moderator|admin|none>
+ *   node scripts/webui-user.js set-password <username>
+ *   node scripts/webui-user.js remove <username|discord:id>
+ *
+ * Passwords are read from WEBUI_USER_PASSWORD or prompted for.
+ * Changing a role or password signs the user out everywhere.
+ */
+
+import readline from 'readline';
+import {
+  initDatabase,
+  closeDatabase,
+  createWebuiUser,
+  deleteWebuiUser,
+  deleteWebuiUserSessions,
+  getWebuiUserByDiscordId,
+  getWebuiUserByUsername,
+  listWebuiUsers,
+  updateWebuiUser,
+} from '../src/utils/database.js';
+import { ROLES } from '../src/webui-server/middleware/auth.js';
+import { hashPassword, MIN_PASSWORD_LENGTH } from '../src/webui-server/utils/passwords.js';
+
+function usage() {
+  console.log(`Usage:
+  node scripts/webui-user.js list
+  node scripts/webui-user.js add <username> <${ROLES.join('|')}> [--discord-id <id>]
+  node scripts/webui-user.js add-discord <discordUserId> <${ROLES.join('|')}>
+  node scripts/webui-user.js set-role <username|discord:id> <${ROLES.join('|')}|none>
+  node scripts/webui-user.js set-password <username>
+  node scripts/webui-user.js remove <username|discord:id>`);
+  process.exit(1);
+}
+
+function parseRole(value, allowNone = false) {
+  if (allowNone && value === 'none') {
+    return null;
+  }
+  if (!ROLES.includes(value)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}${allowNone ? ', none' : ''}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+async function findUser(identifier) {
+  const user = identifier.startsWith('discord:')
+    ? await getWebuiUserByDiscordId(identifier.slice('discord:'.length))
+    : await getWebuiUserByUsername(identifier);
+  if (!user) {
+    console.error(`No WebUI user found for ${identifier}`);
+    process.exit(1);
+  }
+  return user;
+}
+
+async function readPassword() {
+  let password = process.env.WEBUI_USER_PASSWORD;
+  if (!password) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await new Promise(resolve => rl.question('Password: ', resolve));
+    rl.close();
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+  return password;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command) {
+    usage();
+  }
+
+  await initDatabase();
+
+  switch (command) {
+    case 'list': {
+      const users = await listWebuiUsers();
+      if (users.length === 0) {
+        console.log('No WebUI users.');
+        break;
+      }
+      for (const user of users) {
+        const lastLogin = user.last_login_at ? new Date(user.last_login_at).toISOString() : 'never';
+        console.log(
+          `${user.id}\t${user.username || '-'}\tdiscord:${user.discord_user_id || '-'}\t${user.role || 'none'}\tlast sign-in: ${lastLogin}`
+        );
+      }
+      break;
+    }
+
+    case 'add': {
+      const [username, roleArg] = args;
+      if (!username || !roleArg) {
+        usage();
+      }
+      const role = parseRole(roleArg);
+      const discordIndex = args.indexOf('--discord-id');
+      const discordUserId = discordIndex !== -1 ? args[discordIndex + 1] : null;
+      const passwordHash = await hashPassword(await readPassword());
+      const user = await createWebuiUser({ username, passwordHash, discordUserId, role });
+      console.log(`✓ Created WebUI user ${user.username} (${role})`);
+      break;
+    }
+
+    case 'add-discord': {
+      const [discordUserId, roleArg] = args;
+      if (!discordUserId || !roleArg) {
+        usage();
+      }
+      const role = parseRole(roleArg);
+      await createWebuiUser({ discordUserId, role });
+      console.log(`✓ Discord user ${discordUserId} can now sign in as ${role}`);
+      break;
+    }
+
+    case 'set-role': {
+      const [identifier, roleArg] = args;
+      if (!identifier || !roleArg) {
+        usage();
+      }
+      const user = await findUser(identifier);
+      const role = parseRole(roleArg, true);
+      await updateWebuiUser(user.id, { role });
+      await deleteWebuiUserSessions(user.id);
+      console.log(`✓ Set role of ${identifier} to ${role || 'none'}`);
+      break;
+    }
+
+    case 'set-password': {
+      const [username] = args;
+      if (!username) {
+        usage();
+      }
+      const user = await findUser(username);
+      const passwordHash = await hashPassword(await readPassword());
+      await updateWebuiUser(user.id, { passwordHash });
+      await deleteWebuiUserSessions(user.id);
+      console.log(`✓ Changed password of ${username}`);
+      break;
+    }
+
+    case 'remove': {
+      const [identifier] = args;
+      if (!identifier) {
+        usage();
+      }
+      const user = await findUser(identifier);
+      await deleteWebuiUser(user.id);
+      console.log(`✓ Removed WebUI user ${identifier}`);
+      break;
+    }
+
+    default:
+      usage();
+  }
+
+  await closeDatabase();
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -5,20 +5,44 @@ import { botConfig, serverConfig } from './utils/config.js';
 import { ConfigurationError } from './utils/errors.js';
 import { trackUser, initializeUserTracking } from './utils/user-tracking.js';
 import { handleStatsCommand } from './commands/stats.js';
-import { handleDownloadCommand, handleDownloadContextMenuCommand } from './commands/download.js';
+import { handleSettingsCommand } from './commands/settings.js';
+import { handlePreferencesCommand } from './commands/preferences.js';
+import { handleHistoryCommand, handleHistoryInteraction } from './commands/history.js';
+import { handleDeleteCommand } from './commands/delete.js';
+import { handleForgetMeCommand, handleForgetMeInteraction } from './commands/forget-me.js';
+import {
+  handleDownloadCommand,
+  handleDownloadContextMenuCommand,
+  handlePickerSelectionInteraction,
+} from './commands/download.js';
 import { handleOptimizeCommand, handleOptimizeContextMenuCommand } from './commands/optimize.js';
 import { handleConvertCommand, handleConvertContextMenu } from './commands/convert.js';
 import { handleModalSubmit } from './handlers/modals.js';
+import { registerJobHandlers } from './handlers/jobs.js';
+import { startJobQueue, stopJobQueue } from './utils/job-queue.js';
 import { cleanupStuckOperations } from './utils/operations-tracker.js';
 import { initializeR2UsageCache, formatFileSize } from './utils/storage.js';
-import { r2Config } from './utils/config.js';
+import { enforceGuildChannel } from './utils/guild-settings.js';
+import { r2Config, jobQueueConfig, storageConfig } from './utils/config.js';
 import { startCleanupJob, stopCleanupJob } from './utils/r2-cleanup.js';
-import { initDatabase } from './utils/database.js';
+import { startLifecycleJob, stopLifecycleJob } from './utils/storage-lifecycle.js';
+import { getStorageDriver, getRemoteStorageDriver } from './utils/storage-driver.js';
+import { SIGNED_LINK_PATH, createSignedLinkHandler } from './utils/temporary-links.js';
+import {
+  initDatabase,
+  pruneQuotaUsage,
+  prunePickerSelections,
+  pruneFinishedJobs,
+} from './utils/database.js';
 import { get24HourStats } from './utils/database/stats.js';
 
 // Initialize logger
 const logger = createLogger('bot');
 
+// Commands usable in any channel: /settings so a server can't lock itself out, and the
+// rest only ever reply to the user who ran them
+const CHANNEL_EXEMPT_COMMANDS = new Set(['settings', 'preferences', 'delete', 'forget-me']);
+
 // Global error handlers for unhandled rejections and exceptions
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Promise Rejection:', {
@@ -75,6 +99,7 @@ let botStartTime = null;
 
 // Track R2 cleanup job interval ID for graceful shutdown
 let cleanupJobIntervalId = null;
+let lifecycleJobIntervalId = null;
 
 // HTTP server for stats endpoint (minimal, only for Jekyll stats site)
 let httpServer = null;
@@ -208,6 +233,11 @@ function startStatsServer() {
     }
   });
 
+  // Signed links to temporary uploads (no auth, the signature is the credential)
+  if (r2Config.tempUploadLinks === 'signed') {
+    app.get(`${SIGNED_LINK_PATH}/*key`, createSignedLinkHandler());
+  }
+
   // Start server
   httpServer = app.listen(SERVER_PORT, SERVER_HOST, () => {
     logger.info(`stats server running on http://${SERVER_HOST}:${SERVER_PORT}`);
@@ -228,11 +258,21 @@ client.once(Events.ClientReady, async readyClient => {
   logger.info(`bot logged in as ${readyClient.user.tag}`);
   logger.info(`gif storage: ${GIF_STORAGE_PATH}`);
   logger.info(`cdn url: ${CDN_BASE_URL}`);
+  logger.info(`storage driver: ${getStorageDriver().name}`);
 
   // Initialize R2 usage cache on startup (if R2 is configured)
   // This caches R2 stats to limit class A operations (LIST requests) for the /stats Discord command
   await initializeR2UsageCache();
 
+  // Resume interrupted jobs and start claiming queued convert/download/optimize work
+  // In worker mode the bot only enqueues jobs and `node src/worker.js` runs them
+  registerJobHandlers();
+  if (jobQueueConfig.processingMode === 'bot') {
+    await startJobQueue(readyClient);
+  } else {
+    logger.info('Job processing mode is "worker", jobs will be run by the worker process');
+  }
+
   // Clean up stuck operations every 5 minutes
   setInterval(
     async () => {
@@ -245,11 +285,35 @@ client.once(Events.ClientReady, async readyClient => {
     5 * 60 * 1000
   ); // Run cleanup every 5 minutes
 
-  // Start R2 cleanup job if enabled
-  if (r2Config.cleanupEnabled && r2Config.tempUploadsEnabled) {
+  // Prune quota usage older than the longest quota window (1 day) every hour
+  // Finished picker selections and jobs past their retention are pruned on the same schedule
+  setInterval(
+    async () => {
+      try {
+        await pruneQuotaUsage(Date.now() - 24 * 60 * 60 * 1000);
+      } catch (error) {
+        logger.error('Error pruning quota usage:', error);
+      }
+      try {
+        await prunePickerSelections(Date.now() - 24 * 60 * 60 * 1000);
+      } catch (error) {
+        logger.error('Error pruning picker selections:', error);
+      }
+      try {
+        await pruneFinishedJobs(Date.now() - jobQueueConfig.retentionDays * 24 * 60 * 60 * 1000);
+      } catch (error) {
+        logger.error('Error pruning finished jobs:', error);
+      }
+    },
+    60 * 60 * 1000
+  );
+
+  // Start R2 cleanup job if enabled (temporary uploads only exist in remote storage)
+  const remoteStorage = getRemoteStorageDriver();
+  if (r2Config.cleanupEnabled && r2Config.tempUploadsEnabled && remoteStorage) {
     try {
       cleanupJobIntervalId = startCleanupJob(
-        r2Config,
+        remoteStorage,
         r2Config.cleanupIntervalMs,
         r2Config.cleanupLogLevel
       );
@@ -266,32 +330,55 @@ client.once(Events.ClientReady, async readyClient => {
       );
     }
   }
+
+  // Start the storage lifecycle job if enabled (retention, tiering and eviction of local files)
+  if (storageConfig.lifecycle.enabled) {
+    lifecycleJobIntervalId = startLifecycleJob(storageConfig.lifecycle.intervalMs);
+  }
 });
 
 client.on(Events.InteractionCreate, async interaction => {
   logger.debug(
     `Received interaction: ${interaction.type} from user ${interaction.user.id} (${interaction.user.tag})`
   );
-  // Track user interaction (non-blocking to avoid interaction timeout)
-  const username = interaction.user.tag || interaction.user.username || 'unknown';
-  trackUser(interaction.user.id, username).catch(error => {
-    logger.debug(`Failed to track user ${interaction.user.id}: ${error.message}`);
-  });
+  // Track user interaction (non-blocking to avoid interaction timeout), except when the
+  // user is confirming that everything about them should be erased
+  const isForgetButton = interaction.isButton() && interaction.customId.startsWith('forget:');
+  if (!isForgetButton) {
+    const username = interaction.user.tag || interaction.user.username || 'unknown';
+    trackUser(interaction.user.id, username).catch(error => {
+      logger.debug(`Failed to track user ${interaction.user.id}: ${error.message}`);
+    });
+  }
 
   if (interaction.isModalSubmit()) {
     await handleModalSubmit(interaction, modalAttachmentCache);
+  } else if (interaction.isMessageComponent() && interaction.customId.startsWith('picker:')) {
+    await handlePickerSelectionInteraction(interaction);
+  } else if (interaction.isButton() && interaction.customId.startsWith('history:')) {
+    await handleHistoryInteraction(interaction);
+  } else if (isForgetButton) {
+    await handleForgetMeInteraction(interaction);
   } else if (interaction.isMessageContextMenuCommand()) {
+    if (!(await enforceGuildChannel(interaction))) {
+      return;
+    }
+
     // Route to appropriate handler based on command name
     if (interaction.commandName === 'download') {
       await handleDownloadContextMenuCommand(interaction);
     } else if (interaction.commandName === 'optimize') {
       await handleOptimizeContextMenuCommand(interaction, modalAttachmentCache);
     } else if (interaction.commandName === 'convert to gif') {
-      await handleConvertContextMenu(interaction);
+      await handleConvertContextMenu(interaction, modalAttachmentCache);
     }
   } else if (interaction.isChatInputCommand()) {
     const commandName = interaction.commandName;
 
+    if (!CHANNEL_EXEMPT_COMMANDS.has(commandName) && !(await enforceGuildChannel(interaction))) {
+      return;
+    }
+
     if (commandName === 'stats') {
       await handleStatsCommand(interaction, botStartTime);
     } else if (commandName === 'download') {
@@ -300,6 +387,16 @@ client.on(Events.InteractionCreate, async interaction => {
       await handleOptimizeCommand(interaction);
     } else if (commandName === 'convert') {
       await handleConvertCommand(interaction);
+    } else if (commandName === 'settings') {
+      await handleSettingsCommand(interaction);
+    } else if (commandName === 'preferences') {
+      await handlePreferencesCommand(interaction);
+    } else if (commandName === 'history') {
+      await handleHistoryCommand(interaction);
+    } else if (commandName === 'delete') {
+      await handleDeleteCommand(interaction);
+    } else if (commandName === 'forget-me') {
+      await handleForgetMeCommand(interaction);
     }
   }
 });
@@ -351,9 +448,13 @@ startBot();
 // Graceful shutdown handlers
 function gracefulShutdown(signal) {
   logger.info(`${signal} received, shutting down gracefully...`);
+  stopJobQueue();
   if (cleanupJobIntervalId) {
     stopCleanupJob(cleanupJobIntervalId);
   }
+  if (lifecycleJobIntervalId) {
+    stopLifecycleJob(lifecycleJobIntervalId);
+  }
   if (httpServer) {
     httpServer.close(() => {
       logger.info('HTTP server closed');
@@ -1,11 +1,20 @@
-import { MessageFlags, AttachmentBuilder } from 'discord.js';
+import {
+  MessageFlags,
+  AttachmentBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+} from 'discord.js';
 import {
   safeInteractionReply,
   safeInteractionEditReply,
   safeInteractionDeferReply,
+  safeInteractionShowModal,
 } from '../utils/interaction-helpers.js';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { createLogger } from '../utils/logger.js';
 import { botConfig } from '../utils/config.js';
 import { validateUrl, validateFileExtension } from '../utils/validation.js';
@@ -18,6 +27,7 @@ import {
   generateHash,
 } from '../utils/file-downloader.js';
 import { checkRateLimit, isAdmin, recordRateLimit } from '../utils/rate-limit.js';
+import { enforceQuota } from '../utils/quotas.js';
 import {
   ALLOWED_VIDEO_TYPES,
   ALLOWED_IMAGE_TYPES,
@@ -25,25 +35,28 @@ import {
   validateImageAttachment,
   MAX_VIDEO_SIZE,
 } from '../utils/attachment-helpers.js';
-import { convertToGif, getVideoMetadata, convertImageToGif } from '../utils/video-processor.js';
+import {
+  convertToGif,
+  getVideoMetadata,
+  convertImageToGif,
+  convertToAnimation,
+  createSlideshow,
+} from '../utils/video-processor.js';
 import {
   gifExists,
   getGifPath,
   getVideoPath,
   getImagePath,
+  getMediaPath,
+  mediaExists,
   cleanupTempFiles,
   saveGif,
+  saveMedia,
   shouldUploadToDiscord,
   detectFileType,
 } from '../utils/storage.js';
-import {
-  uploadGifToR2,
-  downloadGifFromR2,
-  gifExistsInR2,
-  getR2PublicUrl,
-  extractR2KeyFromUrl,
-  formatR2UrlWithDisclaimer,
-} from '../utils/r2-storage.js';
+import { formatR2UrlWithDisclaimer } from '../utils/r2-storage.js';
+import { getRemoteStorageDriver, getStorageKey } from '../utils/storage-driver.js';
 import { trackTemporaryUpload } from '../utils/storage.js';
 import { r2Config } from '../utils/config.js';
 import { trackRecentConversion } from '../utils/user-tracking.js';
@@ -57,18 +70,49 @@ import {
 } from '../utils/operations-tracker.js';
 import { notifyCommandSuccess, notifyCommandFailure } from '../utils/ntfy-notifier.js';
 import { hashUrlWithParams } from '../utils/cobalt-queue.js';
-import { insertProcessedUrl, getProcessedUrl } from '../utils/database.js';
+import { insertProcessedUrl, getProcessedUrl, touchProcessedUrl } from '../utils/database.js';
 import { initializeDatabaseWithErrorHandling } from '../utils/database-init.js';
 import { hashPartsHex } from '../utils/hashing.js';
+import {
+  buildVariantKey,
+  fingerprintBuffer,
+  findReusableOutput,
+} from '../utils/perceptual-hash.js';
+import { assertNotBlocked } from '../utils/blocklist.js';
+import { getGuildSettings } from '../utils/guild-settings.js';
+import {
+  getUserPreferences,
+  getInteractionReplyOptions,
+  getUploadLimit,
+  applyConvertPreferences,
+} from '../utils/user-preferences.js';
 import { parseTimestamp } from '../utils/timestamp.js';
+import {
+  CONVERSION_LIMITS,
+  CROP_PRESETS,
+  OUTPUT_FORMATS,
+  CAPTION_POSITIONS,
+  parseFormat,
+  parseCaption,
+  parseEffect,
+  formatEffect,
+  getOutputOptionParts,
+  withDefaultQuality,
+  parseSlideshow,
+  parseOutputOptions,
+  resolveCropRect,
+} from '../utils/conversion-options.js';
+import { getCdnPath } from './download/utils.js';
+import { enqueueJob, serializeAttachment } from '../utils/job-queue.js';
+import {
+  parseTargetSize,
+  buildConvertCandidates,
+  renderToTargetSize,
+} from '../utils/target-size.js';
 
 const logger = createLogger('convert');
 
-const {
-  gifStoragePath: GIF_STORAGE_PATH,
-  cdnBaseUrl: CDN_BASE_URL,
-  maxGifDuration: MAX_GIF_DURATION,
-} = botConfig;
+const { gifStoragePath: GIF_STORAGE_PATH, cdnBaseUrl: CDN_BASE_URL } = botConfig;
 
 // Video file signature constants
 // ftyp box type signature (used by MP4 and MOV)
@@ -254,14 +298,197 @@ async function checkAndReadLocalFileFromCdnUrl(url, storagePath) {
   }
 }
 
+/**
+ * Resolve a crop option against the source dimensions
+ * @param {string|null|undefined} crop - Crop value (aspect ratio or x:y:w:h)
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number|null} sourceHeight - Source height in pixels (null if unknown)
+ * @returns {{x: number, y: number, width: number, height: number}|null} Crop region or null if no crop
+ * @throws {ValidationError} If the crop cannot be applied to the source
+ */
+function resolveCrop(crop, sourceWidth, sourceHeight) {
+  if (!crop) {
+    return null;
+  }
+  if (!sourceHeight) {
+    throw new ValidationError('could not read the file dimensions needed to crop it.');
+  }
+  const { rect, error } = resolveCropRect(crop, sourceWidth, sourceHeight);
+  if (error) {
+    throw new ValidationError(`${error}.`);
+  }
+  return rect;
+}
+
+/**
+ * Get the storage key for a converted output
+ * @param {string} hash - Output hash
+ * @param {string} extension - Output extension (e.g., '.gif', '.mp4')
+ * @returns {string} Storage key (e.g., 'videos/abc123.mp4')
+ */
+function getOutputR2Key(hash, extension) {
+  return getStorageKey(hash, detectFileType(extension), extension);
+}
+
+/**
+ * Build a CDN URL for a converted output stored on local disk
+ * @param {string} filename - Output filename (e.g., 'abc123.webp')
+ * @param {string} extension - Output extension, which picks the CDN folder
+ * @returns {string} Public URL
+ */
+function buildOutputCdnUrl(filename, extension) {
+  return `${CDN_BASE_URL.replace('/gifs', getCdnPath(detectFileType(extension)))}/${filename}`;
+}
+
+/**
+ * Render a converted output, searching smaller width, fps and palette settings when a target size is set
+ * @param {Object} params - Render parameters
+ * @param {string} params.operationId - Operation ID for step logging
+ * @param {string} params.outputPath - Where to write the output
+ * @param {string} params.extension - Output extension (e.g., '.gif', '.mp4')
+ * @param {Array<string>} params.tempFiles - Temp file list for cleanup
+ * @param {number|null} params.targetSize - Maximum output size in bytes (null to render once)
+ * @param {{width: number, fps?: number}} params.settings - Starting width and fps
+ * @param {Function} params.convert - async (outputPath, overrides) => void; overrides are {width, fps, maxColors}
+ * @returns {Promise<void>}
+ */
+async function renderConvertedOutput({
+  operationId,
+  outputPath,
+  extension,
+  tempFiles,
+  targetSize,
+  settings,
+  convert,
+}) {
+  if (!targetSize) {
+    await convert(outputPath, {});
+    return;
+  }
+
+  await renderToTargetSize({
+    operationId,
+    targetBytes: targetSize,
+    candidates: buildConvertCandidates({ width: settings.width, fps: settings.fps ?? null }),
+    outputPath,
+    extension,
+    tempFiles,
+    render: (candidate, attemptPath) => convert(attemptPath, candidate),
+  });
+}
+
+/**
+ * Build the pseudo-attachment for a file downloaded from a URL
+ * Posts with several photos or videos become a slideshow whose buffer is the list of items
+ * @param {string} url - URL the file was downloaded from
+ * @param {Object|Array<Object>} fileData - Download result ({buffer, filename, size, contentType}, or an array for multi-item posts)
+ * @returns {{attachment: Object, buffer: Buffer|Array<Object>, isSlideshow: boolean}} Attachment, input buffer(s) and whether it is a slideshow
+ */
+function buildUrlAttachment(url, fileData) {
+  const media = Array.isArray(fileData) && fileData.length === 1 ? fileData[0] : fileData;
+
+  if (Array.isArray(media)) {
+    return {
+      attachment: {
+        url,
+        name: 'slideshow.mp4',
+        size: media.reduce((total, item) => total + (item.size || 0), 0),
+        contentType: 'video/mp4',
+      },
+      buffer: media,
+      isSlideshow: true,
+    };
+  }
+
+  return {
+    attachment: {
+      url,
+      name: media.filename,
+      size: media.size,
+      contentType: media.contentType,
+    },
+    buffer: media.buffer,
+    isSlideshow: false,
+  };
+}
+
+/**
+ * Join the photos and clips of a multi-item post into one MP4, which is then converted like any video
+ * @param {Object} params - Slideshow parameters
+ * @param {string} params.operationId - Operation ID for step logging
+ * @param {Array<Object>|null} params.media - Downloaded post items ({buffer, filename, contentType})
+ * @param {{slideDuration: number, crossfade: number}} params.slideshow - Slideshow settings
+ * @param {boolean} params.adminUser - Whether the user is an admin (no duration limit)
+ * @param {number} params.maxDuration - Duration limit in seconds
+ * @param {Array<string>} params.tempFiles - Temp file list for cleanup
+ * @returns {Promise<Buffer>} Slideshow MP4 buffer
+ * @throws {ValidationError} If the post has fewer than two items
+ * @throws {Error} If the slideshow is longer than the duration limit
+ */
+async function renderSlideshowSource({
+  operationId,
+  media,
+  slideshow,
+  adminUser,
+  maxDuration,
+  tempFiles,
+}) {
+  if (!Array.isArray(media) || media.length < 2) {
+    throw new ValidationError('this post no longer has several items to make a slideshow from.');
+  }
+
+  const tempDir = path.join(process.cwd(), 'temp');
+  await fs.mkdir(tempDir, { recursive: true });
+  const runId = crypto.randomUUID();
+
+  const slides = [];
+  for (const [index, item] of media.entries()) {
+    const ext = path.extname(item.filename || '').toLowerCase();
+    const type = detectFileType(ext, item.contentType || '') === 'video' ? 'video' : 'photo';
+    // Sanitize extension to prevent path traversal
+    const safeExt = ext.replace(/[^a-zA-Z0-9.]/g, '') || (type === 'video' ? '.mp4' : '.jpg');
+    const slidePath = path.join(tempDir, `slide_${runId}_${index}${safeExt}`);
+    await writeValidatedFileBuffer(slidePath, item.buffer, type === 'video' ? 'video' : 'image');
+    tempFiles.push(slidePath);
+    slides.push({ path: slidePath, type });
+  }
+
+  logOperationStep(operationId, 'slideshow_start', 'running', {
+    message: `Creating slideshow from ${slides.length} items`,
+    metadata: {
+      slides: slides.length,
+      videos: slides.filter(slide => slide.type === 'video').length,
+      slideDuration: slideshow.slideDuration,
+      crossfade: slideshow.crossfade,
+    },
+  });
+
+  const outputPath = path.join(tempDir, `slideshow_${runId}.mp4`);
+  tempFiles.push(outputPath);
+  // Admins bypass the duration limit, like for videos
+  const result = await createSlideshow(slides, outputPath, {
+    slideDuration: slideshow.slideDuration,
+    crossfade: slideshow.crossfade,
+    maxWidth: CONVERSION_LIMITS.maxWidth,
+    maxDuration: adminUser ? Infinity : maxDuration,
+  });
+
+  logOperationStep(operationId, 'slideshow_complete', 'success', {
+    message: `Slideshow created (${result.duration}s)`,
+    metadata: result,
+  });
+
+  return fs.readFile(outputPath);
+}
+
 /**
  * Process conversion from attachment to GIF
  * @param {Interaction} interaction - Discord interaction
  * @param {Attachment} attachment - Discord attachment to convert
  * @param {string} attachmentType - Type of attachment ('video' or 'image')
  * @param {boolean} adminUser - Whether the user is an admin
- * @param {Buffer} [preDownloadedBuffer] - Optional pre-downloaded buffer (to avoid double download)
- * @param {Object} [options] - Optional conversion options (startTime, duration, width, fps, quality)
+ * @param {Buffer|Array<Object>} [preDownloadedBuffer] - Optional pre-downloaded buffer (to avoid double download); the downloaded post items for slideshows
+ * @param {Object} [options] - Optional conversion options (startTime, duration, width, fps, crop, targetSize, format, caption, effect, slideshow, quality)
  * @param {string} [originalUrl] - Original URL if this conversion came from a URL (not Discord attachment)
  * @param {string} [commandSource] - Command source ('slash' or 'context-menu')
  */
@@ -278,6 +505,17 @@ export async function processConversion(
   const userId = interaction.user.id;
   const username = interaction.user.tag || interaction.user.username || 'unknown';
   const tempFiles = [];
+  // Stored with the result so the media library can be searched by where files came from
+  const sourceUrl = originalUrl || attachment?.url || null;
+
+  // Server settings change the duration limit, default quality and attachment limit,
+  // and the user can ask for links instead of attachments
+  const guildSettings = await getGuildSettings(interaction.guildId);
+  options = withDefaultQuality(options, guildSettings.gifQuality);
+  const maxGifDuration = guildSettings.maxGifDuration;
+  const storageOptions = {
+    discordUploadLimit: getUploadLimit(guildSettings, await getUserPreferences(userId)),
+  };
 
   // Build operation context
   const operationContext = {
@@ -329,9 +567,31 @@ export async function processConversion(
       });
     }
 
+    // Refuse blocked URLs, domains and slideshow items before doing any work
+    await assertNotBlocked({
+      urls: [originalUrl],
+      urlHashes: originalUrl ? [hashUrlWithParams(originalUrl, options)] : [],
+      buffers:
+        options.slideshow && Array.isArray(preDownloadedBuffer)
+          ? preDownloadedBuffer.map(item => item.buffer)
+          : [],
+    });
+
+    // Multi-item posts are joined into one video first, then converted like any other video
+    const sourceBuffer = options.slideshow
+      ? await renderSlideshowSource({
+          operationId,
+          media: preDownloadedBuffer,
+          slideshow: options.slideshow,
+          adminUser,
+          maxDuration: maxGifDuration,
+          tempFiles,
+        })
+      : preDownloadedBuffer;
+
     // Download file (video or image) if not already downloaded
     // Admins bypass size limits in download
-    if (!preDownloadedBuffer) {
+    if (!sourceBuffer) {
       logOperationStep(operationId, 'download_start', 'running', {
         message: `Starting download from ${attachment.url}`,
         metadata: {
@@ -343,12 +603,12 @@ export async function processConversion(
     }
 
     const fileBuffer =
-      preDownloadedBuffer ||
+      sourceBuffer ||
       (attachmentType === 'video'
         ? await downloadVideo(attachment.url, adminUser)
         : await downloadImage(attachment.url, adminUser));
 
-    if (!preDownloadedBuffer) {
+    if (!sourceBuffer) {
       logOperationStep(operationId, 'download_complete', 'success', {
         message: 'File downloaded successfully',
         metadata: {
@@ -358,8 +618,29 @@ export async function processConversion(
       });
     }
 
+    // Resolve the output format (job payloads from older bots have no format)
+    const formatParsed = parseFormat(options.format);
+    if (formatParsed.error) {
+      throw new ValidationError(`invalid format: ${formatParsed.error}.`);
+    }
+    const format = formatParsed.format;
+    const isGifOutput = format === 'gif';
+    const outputExt = OUTPUT_FORMATS[format].extension;
+    const outputFileType = detectFileType(outputExt);
+    const outputR2Key = fileHash => getOutputR2Key(fileHash, outputExt);
+
     // Generate hash
-    const hash = generateHash(fileBuffer);
+    // Options that change the output are part of the key when provided
+    const outputOptionParts = getOutputOptionParts(options, format);
+    const hasOutputOptions = outputOptionParts.some(Boolean);
+    // Stored with the output, so blocking it also blocks converting the source with other options
+    const sourceFileHash = generateHash(fileBuffer);
+    let hash = hasOutputOptions
+      ? hashPartsHex([fileBuffer, 'output', ...outputOptionParts])
+      : sourceFileHash;
+
+    // The same media may have been blocked under another URL or as an attachment
+    await assertNotBlocked({ buffers: [fileBuffer], fileHashes: [hash] });
 
     // Update operation to running
     updateOperationStatus(operationId, 'running');
@@ -381,21 +662,22 @@ export async function processConversion(
       const urlHash = hashUrlWithParams(originalUrl, options);
       const processedUrl = await getProcessedUrl(urlHash);
       if (processedUrl) {
-        // Convert command expects GIF output - only use cache if cached result is a GIF
-        // Skip cache if cached type is not 'gif' (e.g., if it was previously downloaded as video)
-        const isCachedGif =
-          processedUrl.file_type === 'gif' || processedUrl.file_extension === '.gif';
+        // Only use cache if the cached result is in the requested output format
+        // Skip cache otherwise (e.g., if it was previously downloaded as video)
+        const isCachedOutput = isGifOutput
+          ? processedUrl.file_type === 'gif' || processedUrl.file_extension === '.gif'
+          : processedUrl.file_extension === outputExt;
 
-        if (isCachedGif) {
+        if (isCachedOutput) {
           logger.info(
-            `URL already processed as GIF (hash: ${urlHash.substring(0, 8)}...), returning existing file URL: ${processedUrl.file_url}`
+            `URL already processed as ${format} (hash: ${urlHash.substring(0, 8)}...), returning existing file URL: ${processedUrl.file_url}`
           );
           logOperationStep(operationId, 'url_validation', 'success', {
             message: 'URL validation complete',
             metadata: { originalUrl },
           });
           logOperationStep(operationId, 'url_cache_hit', 'success', {
-            message: 'URL already processed as GIF, returning cached result',
+            message: `URL already processed as ${format}, returning cached result`,
             metadata: {
               originalUrl,
               cachedUrl: processedUrl.file_url,
@@ -404,6 +686,7 @@ export async function processConversion(
           });
           updateOperationStatus(operationId, 'success', { fileSize: processedUrl.file_size || 0 });
           recordRateLimit(userId);
+          await touchProcessedUrl(urlHash);
           await safeInteractionEditReply(interaction, {
             content: processedUrl.file_url,
           });
@@ -411,10 +694,10 @@ export async function processConversion(
           return;
         } else {
           logger.info(
-            `URL cache exists but file type is ${processedUrl.file_type} (not GIF), skipping cache to convert to GIF`
+            `URL cache exists but file type is ${processedUrl.file_type} (not ${format}), skipping cache to convert to ${format}`
           );
           logOperationStep(operationId, 'url_cache_mismatch', 'running', {
-            message: 'URL cached with different file type, converting to GIF instead',
+            message: `URL cached with different file type, converting to ${format} instead`,
             metadata: { originalUrl, cachedType: processedUrl.file_type },
           });
         }
@@ -433,8 +716,30 @@ export async function processConversion(
       });
     }
 
-    // Check if GIF already exists
-    const exists = await gifExists(hash, GIF_STORAGE_PATH);
+    // Check if the output already exists
+    let exists = await mediaExists(hash, outputExt, GIF_STORAGE_PATH);
+
+    // A re-encode of a source we already converted with the same options reuses that output
+    const variantKey = buildVariantKey(outputOptionParts);
+    const sourceFingerprint =
+      exists || options.optimize
+        ? null
+        : await fingerprintBuffer(fileBuffer, path.extname(attachment?.name || ''));
+    if (sourceFingerprint) {
+      const reusable = await findReusableOutput(sourceFingerprint, variantKey, outputExt);
+      if (reusable && (await mediaExists(reusable.file_hash, outputExt, GIF_STORAGE_PATH))) {
+        await assertNotBlocked({ fileHashes: [reusable.file_hash] });
+        logger.info(
+          `Reusing near-duplicate output (hash: ${reusable.file_hash.substring(0, 8)}...) instead of converting ${hash.substring(0, 8)}...`
+        );
+        logOperationStep(operationId, 'near_duplicate_hit', 'success', {
+          message: 'Source matches media converted before with the same options, reusing it',
+          metadata: { hash: reusable.file_hash.substring(0, 8) + '...', variantKey },
+        });
+        hash = reusable.file_hash;
+        exists = true;
+      }
+    }
     if (exists && !options.optimize) {
       logger.info(`GIF already exists (hash: ${hash}) for user ${userId}`);
       logOperationStep(operationId, 'gif_cache_hit', 'success', {
@@ -446,18 +751,14 @@ export async function processConversion(
       let gifBuffer = null;
       let fileSize = 0;
       let existsInR2 = false;
+      const remote = getRemoteStorageDriver();
 
-      // Check if file exists in R2
-      if (
-        r2Config.accountId &&
-        r2Config.accessKeyId &&
-        r2Config.secretAccessKey &&
-        r2Config.bucketName
-      ) {
-        existsInR2 = await gifExistsInR2(hash, r2Config);
+      // Check if file exists in remote storage
+      if (remote) {
+        existsInR2 = await remote.exists(outputR2Key(hash));
         if (existsInR2) {
           try {
-            gifBuffer = await downloadGifFromR2(hash, r2Config);
+            gifBuffer = await remote.get(outputR2Key(hash));
             fileSize = gifBuffer.length;
           } catch (error) {
             logger.warn(`Failed to download GIF from R2, trying local disk: ${error.message}`);
@@ -468,7 +769,7 @@ export async function processConversion(
 
       // If not in R2 or download failed, try local disk
       if (!gifBuffer) {
-        const gifPath = getGifPath(hash, GIF_STORAGE_PATH);
+        const gifPath = getMediaPath(hash, outputExt, GIF_STORAGE_PATH);
         try {
           gifBuffer = await fs.readFile(gifPath);
           fileSize = gifBuffer.length;
@@ -476,19 +777,19 @@ export async function processConversion(
           logger.error(`Failed to read GIF from local disk: ${error.message}`);
           // Fallback: return R2 URL if it exists in R2, otherwise construct CDN URL
           const gifUrl = existsInR2
-            ? getR2PublicUrl(`gifs/${hash.replace(/[^a-f0-9]/gi, '')}.gif`, r2Config)
-            : `${CDN_BASE_URL}/${hash}.gif`;
+            ? remote.publicUrl(outputR2Key(hash))
+            : buildOutputCdnUrl(`${hash}${outputExt}`, outputExt);
           updateOperationStatus(operationId, 'success', { fileSize: 0 });
           recordRateLimit(userId);
           await safeInteractionEditReply(interaction, {
-            content: formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
+            content: await formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
           });
           return;
         }
       }
 
-      // Check if file should be uploaded to Discord (< 8MB)
-      if (shouldUploadToDiscord(gifBuffer)) {
+      // Check if file should be uploaded to Discord (< 8MB unless the server changed it)
+      if (shouldUploadToDiscord(gifBuffer, storageOptions.discordUploadLimit ?? undefined)) {
         logger.info(
           `Cached GIF is small enough for Discord (${(fileSize / (1024 * 1024)).toFixed(2)}MB), uploading to Discord`
         );
@@ -498,7 +799,7 @@ export async function processConversion(
         });
 
         const safeHash = hash.replace(/[^a-f0-9]/gi, '');
-        const filename = `${safeHash}.gif`;
+        const filename = `${safeHash}${outputExt}`;
         try {
           const message = await safeInteractionEditReply(interaction, {
             files: [new AttachmentBuilder(gifBuffer, { name: filename })],
@@ -548,12 +849,14 @@ export async function processConversion(
             await insertProcessedUrl(
               urlHash,
               hash,
-              'gif',
-              '.gif',
+              outputFileType,
+              outputExt,
               discordUrl,
               Date.now(),
               userId,
-              fileSize
+              fileSize,
+              sourceUrl,
+              sourceFileHash
             );
             logger.debug(
               `Recorded Discord attachment URL in database for cached GIF (urlHash: ${urlHash.substring(0, 8)}..., url: ${discordUrl.substring(0, 50)}...)`
@@ -584,12 +887,17 @@ export async function processConversion(
 
           // Upload to R2 as fallback
           try {
-            const r2Url = await uploadGifToR2(gifBuffer, hash, r2Config, buildMetadata());
+            const r2Url = remote
+              ? await remote.put(outputR2Key(hash), gifBuffer, {
+                  contentType: OUTPUT_FORMATS[format].contentType,
+                  metadata: buildMetadata(),
+                })
+              : null;
             if (r2Url) {
               updateOperationStatus(operationId, 'success', { fileSize });
               recordRateLimit(userId);
               await safeInteractionEditReply(interaction, {
-                content: formatR2UrlWithDisclaimer(r2Url, r2Config),
+                content: await formatR2UrlWithDisclaimer(r2Url, r2Config),
               });
               await notifyCommandSuccess(username, 'convert', { operationId, userId });
               return;
@@ -599,11 +907,11 @@ export async function processConversion(
           }
 
           // Last resort: construct CDN URL
-          const gifUrl = `${CDN_BASE_URL}/${hash}.gif`;
+          const gifUrl = buildOutputCdnUrl(`${hash}${outputExt}`, outputExt);
           updateOperationStatus(operationId, 'success', { fileSize });
           recordRateLimit(userId);
           await safeInteractionEditReply(interaction, {
-            content: formatR2UrlWithDisclaimer(gifUrl, r2Config),
+            content: await formatR2UrlWithDisclaimer(gifUrl, r2Config),
           });
           await notifyCommandSuccess(username, 'convert', { operationId, userId });
           return;
@@ -614,12 +922,12 @@ export async function processConversion(
           `Cached GIF is too large for Discord (${(fileSize / (1024 * 1024)).toFixed(2)}MB), returning URL`
         );
         const gifUrl = existsInR2
-          ? getR2PublicUrl(`gifs/${hash.replace(/[^a-f0-9]/gi, '')}.gif`, r2Config)
-          : `${CDN_BASE_URL}/${hash}.gif`;
+          ? remote.publicUrl(outputR2Key(hash))
+          : buildOutputCdnUrl(`${hash}${outputExt}`, outputExt);
         updateOperationStatus(operationId, 'success', { fileSize });
         recordRateLimit(userId);
         await safeInteractionEditReply(interaction, {
-          content: formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
+          content: await formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
         });
         await notifyCommandSuccess(username, 'convert', { operationId, userId });
         return;
@@ -640,7 +948,7 @@ export async function processConversion(
     // Otherwise, we need to convert first
     const needsConversion = !exists;
     logger.info(
-      `Starting ${attachmentType} to GIF conversion (hash: ${hash})${options.optimize ? ' with optimization' : ''}${exists ? ' (original GIF exists, will optimize)' : ''}`
+      `Starting ${attachmentType} to ${format} conversion (hash: ${hash})${options.optimize ? ' with optimization' : ''}${exists ? ' (original GIF exists, will optimize)' : ''}`
     );
 
     // Validate file extension
@@ -687,9 +995,9 @@ export async function processConversion(
         const metadata = await getVideoMetadata(tempFilePath);
         const duration = metadata.format.duration;
 
-        if (duration > MAX_GIF_DURATION) {
+        if (duration > maxGifDuration) {
           await safeInteractionEditReply(interaction, {
-            content: `video is too long (${Math.ceil(duration)}s). maximum duration: ${MAX_GIF_DURATION}s`,
+            content: `video is too long (${Math.ceil(duration)}s). maximum duration: ${maxGifDuration}s`,
           });
           await notifyCommandFailure(username, 'convert', {
             operationId,
@@ -706,9 +1014,9 @@ export async function processConversion(
       try {
         const metadata = await getVideoMetadata(tempFilePath);
         const duration = metadata.format.duration;
-        if (duration > MAX_GIF_DURATION) {
+        if (duration > maxGifDuration) {
           logger.info(
-            `Video duration limit bypassed for admin (${Math.ceil(duration)}s > ${MAX_GIF_DURATION}s)`
+            `Video duration limit bypassed for admin (${Math.ceil(duration)}s > ${maxGifDuration}s)`
           );
         }
       } catch {
@@ -716,24 +1024,26 @@ export async function processConversion(
       }
     }
 
-    // Convert to GIF
-    const gifPath = getGifPath(hash, GIF_STORAGE_PATH);
+    // Convert to the requested output format
+    const gifPath = getMediaPath(hash, outputExt, GIF_STORAGE_PATH);
 
-    // Only convert if the GIF doesn't already exist
+    // Only convert if the output doesn't already exist
     if (needsConversion) {
       logOperationStep(operationId, 'conversion_start', 'running', {
-        message: `Starting ${attachmentType} to GIF conversion`,
+        message: `Starting ${attachmentType} to ${format} conversion`,
         metadata: {
           inputFile: attachment.name,
           inputSize: attachment.size,
           inputType: attachment.contentType,
           hash: hash.substring(0, 8) + '...',
+          format,
         },
       });
 
       if (attachmentType === 'video') {
         // Extract original dimensions and fps from video metadata
         let originalWidth = 480; // Safe fallback
+        let originalHeight = null;
         let originalFps = 30; // Safe fallback
 
         try {
@@ -747,6 +1057,9 @@ export async function processConversion(
             ) {
               originalWidth = videoStream.width;
             }
+            if (typeof videoStream.height === 'number' && videoStream.height > 0) {
+              originalHeight = videoStream.height;
+            }
             // Extract fps from r_frame_rate or avg_frame_rate
             const fpsStr = videoStream.r_frame_rate || videoStream.avg_frame_rate;
             if (fpsStr && typeof fpsStr === 'string' && fpsStr.includes('/')) {
@@ -777,11 +1090,17 @@ export async function processConversion(
           );
         }
 
-        // Build conversion options, using provided options or original dimensions
+        const crop = resolveCrop(options.crop, originalWidth, originalHeight);
+
+        // Build conversion options, using provided options or original (cropped) dimensions
         const conversionOptions = {
-          width: options.width ?? originalWidth,
+          width: options.width ?? crop?.width ?? originalWidth,
           fps: options.fps ?? cappedFps,
-          quality: options.quality ?? botConfig.gifQuality,
+          crop,
+          caption: options.caption ?? null,
+          captionFont: botConfig.captionFontPath,
+          effect: options.effect ?? null,
+          quality: options.quality,
           startTime: options.startTime ?? null,
           duration: options.duration ?? null,
         };
@@ -810,9 +1129,24 @@ export async function processConversion(
           }
         }
 
-        await convertToGif(tempFilePath, gifPath, conversionOptions);
+        await renderConvertedOutput({
+          operationId,
+          outputPath: gifPath,
+          extension: outputExt,
+          tempFiles,
+          targetSize: options.targetSize,
+          settings: conversionOptions,
+          convert: (outputPath, overrides) =>
+            isGifOutput
+              ? convertToGif(tempFilePath, outputPath, { ...conversionOptions, ...overrides })
+              : convertToAnimation(tempFilePath, outputPath, {
+                  ...conversionOptions,
+                  ...overrides,
+                  format,
+                }),
+        });
         logOperationStep(operationId, 'conversion_complete', 'success', {
-          message: 'Video to GIF conversion completed',
+          message: `Video to ${format} conversion completed`,
           metadata: {
             conversionOptions,
             outputPath: gifPath,
@@ -823,8 +1157,9 @@ export async function processConversion(
         const isGif = attachment.contentType === 'image/gif' || ext === '.gif';
 
         if (isGif) {
-          // Get GIF dimensions - use original unless explicitly requested to resize
+          // Get GIF dimensions - use original unless explicitly requested to resize or crop
           let originalWidth = 720; // Safe fallback
+          let originalHeight = null;
 
           try {
             const metadata = await getVideoMetadata(tempFilePath);
@@ -836,12 +1171,22 @@ export async function processConversion(
             ) {
               originalWidth = videoStream.width;
             }
+            if (typeof videoStream?.height === 'number' && videoStream.height > 0) {
+              originalHeight = videoStream.height;
+            }
           } catch (error) {
             logger.warn(`Failed to get GIF metadata, using fallback: ${error.message}`);
           }
 
-          // If no explicit width requested, copy directly (preserve original)
-          if (!options.width) {
+          // If no explicit width, crop, target size, format, caption or effect requested, copy directly (preserve original)
+          if (
+            isGifOutput &&
+            !options.width &&
+            !options.crop &&
+            !options.targetSize &&
+            !options.caption &&
+            !options.effect
+          ) {
             logger.info(
               `Input GIF, copying directly (preserving original dimensions: ${originalWidth}px)`
             );
@@ -851,20 +1196,57 @@ export async function processConversion(
               metadata: { originalWidth },
             });
           } else {
-            // Custom width requested, resize with convertImageToGif
-            logger.info(`Input GIF, resizing to requested width: ${options.width}px`);
-            await convertImageToGif(tempFilePath, gifPath, {
-              width: options.width,
-              quality: options.quality ?? botConfig.gifQuality,
+            // Custom width, crop, target size, format, caption or effect requested, re-encode the GIF
+            const crop = resolveCrop(options.crop, originalWidth, originalHeight);
+            const targetWidth = options.width ?? crop?.width ?? originalWidth;
+            const imageOptions = {
+              width: targetWidth,
+              crop,
+              caption: options.caption ?? null,
+              captionFont: botConfig.captionFontPath,
+              effect: options.effect ?? null,
+              quality: options.quality,
+            };
+            logger.info(`Input GIF, converting to ${format} at width: ${targetWidth}px`);
+            await renderConvertedOutput({
+              operationId,
+              outputPath: gifPath,
+              extension: outputExt,
+              tempFiles,
+              targetSize: options.targetSize,
+              settings: imageOptions,
+              convert: (outputPath, overrides) =>
+                isGifOutput
+                  ? convertImageToGif(tempFilePath, outputPath, { ...imageOptions, ...overrides })
+                  : convertToAnimation(tempFilePath, outputPath, {
+                      ...imageOptions,
+                      ...overrides,
+                      format,
+                    }),
             });
             logOperationStep(operationId, 'conversion_complete', 'success', {
-              message: 'GIF resized and converted',
-              metadata: { originalWidth, targetWidth: options.width },
+              message: `GIF resized and converted to ${format}`,
+              metadata: {
+                originalWidth,
+                targetWidth,
+                crop,
+                format,
+                effect: formatEffect(options.effect),
+              },
             });
           }
         } else {
-          // Not a GIF, extract original width from image metadata
+          // A still image has a single frame, so a video output would be a blank clip
+          if (format === 'mp4') {
+            throw new ValidationError('mp4 output needs a video or an animated gif.');
+          }
+          if (options.effect) {
+            throw new ValidationError('effects need a video or an animated gif.');
+          }
+
+          // Not a GIF, extract original dimensions from image metadata
           let originalWidth = 720; // Safe fallback
+          let originalHeight = null;
 
           try {
             const metadata = await getVideoMetadata(tempFilePath);
@@ -876,17 +1258,40 @@ export async function processConversion(
             ) {
               originalWidth = videoStream.width;
             }
+            if (typeof videoStream?.height === 'number' && videoStream.height > 0) {
+              originalHeight = videoStream.height;
+            }
           } catch (error) {
             logger.warn(`Failed to get image metadata, using fallback: ${error.message}`);
           }
 
-          // Not a GIF, proceed with normal conversion using original dimensions
-          await convertImageToGif(tempFilePath, gifPath, {
-            width: options.width ?? originalWidth,
-            quality: options.quality ?? botConfig.gifQuality,
+          // Not a GIF, proceed with normal conversion using original (cropped) dimensions
+          const crop = resolveCrop(options.crop, originalWidth, originalHeight);
+          const imageOptions = {
+            width: options.width ?? crop?.width ?? originalWidth,
+            crop,
+            caption: options.caption ?? null,
+            captionFont: botConfig.captionFontPath,
+            quality: options.quality,
+          };
+          await renderConvertedOutput({
+            operationId,
+            outputPath: gifPath,
+            extension: outputExt,
+            tempFiles,
+            targetSize: options.targetSize,
+            settings: imageOptions,
+            convert: (outputPath, overrides) =>
+              isGifOutput
+                ? convertImageToGif(tempFilePath, outputPath, { ...imageOptions, ...overrides })
+                : convertToAnimation(tempFilePath, outputPath, {
+                    ...imageOptions,
+                    ...overrides,
+                    format,
+                  }),
           });
           logOperationStep(operationId, 'conversion_complete', 'success', {
-            message: 'Image to GIF conversion completed',
+            message: `Image to ${format} conversion completed`,
           });
         }
       }
@@ -909,13 +1314,20 @@ export async function processConversion(
 
     // Only upload initial GIF to R2 if optimization is NOT going to happen
     // (if optimization or auto-optimization is enabled, we'll upload the optimized version instead)
-    // If lossy is provided, treat it as an implicit optimization request
+    // If lossy is provided, treat it as an implicit optimization request (GIF output only)
     const shouldOptimize =
-      options.optimize || (options.lossy !== undefined && options.lossy !== null);
+      isGifOutput && (options.optimize || (options.lossy !== undefined && options.lossy !== null));
     const willOptimize = shouldOptimize;
     if (!willOptimize) {
       try {
-        const saveResult = await saveGif(gifBuffer, hash, GIF_STORAGE_PATH, buildMetadata());
+        const saveResult = await saveMedia(
+          gifBuffer,
+          hash,
+          outputExt,
+          GIF_STORAGE_PATH,
+          buildMetadata(),
+          { ...storageOptions, source: sourceFingerprint, variantKey }
+        );
         finalGifUrl = saveResult.url;
         finalGifBuffer = saveResult.buffer;
         finalUploadMethod = saveResult.method;
@@ -955,7 +1367,8 @@ export async function processConversion(
           optimizedBuffer,
           optimizedHashValue,
           GIF_STORAGE_PATH,
-          buildMetadata()
+          buildMetadata(),
+          storageOptions
         );
         finalGifUrl = saveResult.url;
         finalGifBuffer = saveResult.buffer;
@@ -986,7 +1399,8 @@ export async function processConversion(
           optimizedBuffer,
           optimizedHashValue,
           GIF_STORAGE_PATH,
-          buildMetadata()
+          buildMetadata(),
+          storageOptions
         );
         finalGifUrl = saveResult.url;
         finalGifBuffer = saveResult.buffer;
@@ -1010,10 +1424,10 @@ export async function processConversion(
     } else if (finalGifUrl) {
       // Local path, construct URL
       const filename = path.basename(finalGifUrl);
-      gifUrl = `${CDN_BASE_URL}/${filename}`;
+      gifUrl = buildOutputCdnUrl(filename, outputExt);
     } else {
       // Fallback to constructing URL from CDN_BASE_URL
-      gifUrl = `${CDN_BASE_URL}/${finalHash}.gif`;
+      gifUrl = buildOutputCdnUrl(`${finalHash}${outputExt}`, outputExt);
     }
 
     // Track recent conversion
@@ -1027,24 +1441,26 @@ export async function processConversion(
       await insertProcessedUrl(
         urlHash,
         finalHash,
-        'gif',
-        '.gif',
+        outputFileType,
+        outputExt,
         gifUrl,
         Date.now(),
         userId,
-        optimizedSize
+        optimizedSize,
+        sourceUrl,
+        sourceFileHash
       );
       logger.debug(`Recorded processed URL in database (urlHash: ${urlHash.substring(0, 8)}...)`);
 
       // Track temporary upload
-      const r2Key = extractR2KeyFromUrl(gifUrl, r2Config);
+      const r2Key = getRemoteStorageDriver()?.keyFromUrl(gifUrl);
       if (r2Key) {
         await trackTemporaryUpload(urlHash, r2Key, null, adminUser);
       }
     }
 
     logger.info(
-      `Successfully created GIF (hash: ${finalHash}, size: ${(optimizedSize / (1024 * 1024)).toFixed(2)}MB) for user ${userId}${options.optimize ? ' [OPTIMIZED]' : ''}${wasAutoOptimized ? ' [AUTO-OPTIMIZED]' : ''}`
+      `Successfully created ${format} (hash: ${finalHash}, size: ${(optimizedSize / (1024 * 1024)).toFixed(2)}MB) for user ${userId}${options.optimize ? ' [OPTIMIZED]' : ''}${wasAutoOptimized ? ' [AUTO-OPTIMIZED]' : ''}`
     );
 
     // Update operation to success with file size
@@ -1053,7 +1469,7 @@ export async function processConversion(
     // Send as Discord attachment if < 8MB, otherwise send URL
     if (finalUploadMethod === 'discord') {
       const safeHash = finalHash.replace(/[^a-f0-9]/gi, '');
-      const filename = `${safeHash}.gif`;
+      const filename = `${safeHash}${outputExt}`;
       try {
         const message = await interaction.editReply({
           files: [new AttachmentBuilder(finalGifBuffer, { name: filename })],
@@ -1101,12 +1517,14 @@ export async function processConversion(
           await insertProcessedUrl(
             urlHash,
             finalHash,
-            'gif',
-            '.gif',
+            outputFileType,
+            outputExt,
             discordUrl,
             Date.now(),
             userId,
-            optimizedSize
+            optimizedSize,
+            sourceUrl,
+            sourceFileHash
           );
           logger.debug(
             `Recorded Discord attachment URL in database (urlHash: ${urlHash.substring(0, 8)}..., url: ${discordUrl.substring(0, 50)}...)`
@@ -1123,7 +1541,13 @@ export async function processConversion(
           `Discord attachment upload failed, falling back to R2: ${discordError.message}`
         );
         try {
-          const r2Url = await uploadGifToR2(finalGifBuffer, finalHash, r2Config, buildMetadata());
+          const remote = getRemoteStorageDriver();
+          const r2Url = remote
+            ? await remote.put(outputR2Key(finalHash), finalGifBuffer, {
+                contentType: OUTPUT_FORMATS[format].contentType,
+                metadata: buildMetadata(),
+              })
+            : null;
 
           if (r2Url) {
             // Update database with R2 URL
@@ -1132,38 +1556,40 @@ export async function processConversion(
             await insertProcessedUrl(
               urlHash,
               finalHash,
-              'gif',
-              '.gif',
+              outputFileType,
+              outputExt,
               r2Url,
               Date.now(),
               userId,
-              optimizedSize
+              optimizedSize,
+              sourceUrl,
+              sourceFileHash
             );
             // Track temporary upload
-            const r2Key = extractR2KeyFromUrl(r2Url, r2Config);
+            const r2Key = remote.keyFromUrl(r2Url);
             if (r2Key) {
               await trackTemporaryUpload(urlHash, r2Key, null, adminUser);
             }
             await safeInteractionEditReply(interaction, {
-              content: formatR2UrlWithDisclaimer(r2Url, r2Config, adminUser),
+              content: await formatR2UrlWithDisclaimer(r2Url, r2Config, adminUser),
             });
           } else {
             // If R2 upload also fails, use the original gifUrl
             await safeInteractionEditReply(interaction, {
-              content: formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
+              content: await formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
             });
           }
         } catch (r2Error) {
           logger.error(`R2 fallback upload also failed: ${r2Error.message}`);
           // Last resort: use the original gifUrl
           await safeInteractionEditReply(interaction, {
-            content: formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
+            content: await formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
           });
         }
       }
     } else {
       await safeInteractionEditReply(interaction, {
-        content: formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
+        content: await formatR2UrlWithDisclaimer(gifUrl, r2Config, adminUser),
       });
     }
 
@@ -1223,9 +1649,11 @@ export async function processConversion(
 
 /**
  * Handle convert context menu command
+ * Shows a modal for width, fps and crop; the conversion is queued when the modal is submitted
  * @param {Interaction} interaction - Discord interaction
+ * @param {Map} modalAttachmentCache - Cache for modal attachment data
  */
-export async function handleConvertContextMenu(interaction) {
+export async function handleConvertContextMenu(interaction, modalAttachmentCache) {
   if (!interaction.isMessageContextMenuCommand()) {
     return;
   }
@@ -1283,9 +1711,7 @@ export async function handleConvertContextMenu(interaction) {
 
   // Determine attachment type and validate
   let attachment = null;
-  let attachmentType;
-  let preDownloadedBuffer = null;
-  let originalUrlForConversion = null;
+  let attachmentType = null;
 
   if (videoAttachment) {
     attachment = videoAttachment;
@@ -1354,151 +1780,230 @@ export async function handleConvertContextMenu(interaction) {
       await notifyCommandFailure(username, 'convert');
       return;
     }
+  } else {
+    logger.warn(`No video or image attachment or URL found for user ${userId}`);
+    const errorMessage = 'no video or image attachment or URL found in this message.';
+    createFailedOperation('convert', userId, username, errorMessage, 'missing_input', {
+      commandSource: 'context-menu',
+    });
+    await safeInteractionReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    await notifyCommandFailure(username, 'convert');
+    return;
+  }
 
-    // Defer reply since downloading may take time
-    await safeInteractionDeferReply(interaction);
-
-    try {
-      // Check if it's a cdn.gronka.p1x.dev URL and try to use local file
-      const localFileCheck = await checkAndReadLocalFileFromCdnUrl(url, GIF_STORAGE_PATH);
-      let useLocalFile = false;
-
-      if (localFileCheck.exists) {
-        useLocalFile = true;
-        logger.info(`Using local file for cdn URL: ${localFileCheck.filePath}`);
-        preDownloadedBuffer = localFileCheck.buffer;
-        attachment = {
-          url: url,
-          name: localFileCheck.filename,
-          size: localFileCheck.buffer.length,
-          contentType: localFileCheck.contentType,
-        };
-        // Don't set originalUrlForConversion for CDN URLs (they're already processed)
-      }
+  // Show modal to get output size options
+  const modal = new ModalBuilder()
+    .setCustomId(`convert_modal_${Date.now()}`)
+    .setTitle('convert to gif');
+
+  const widthInput = new TextInputBuilder()
+    .setCustomId('width')
+    .setLabel(`width in pixels (${CONVERSION_LIMITS.minWidth}-${CONVERSION_LIMITS.maxWidth})`)
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('original width')
+    .setRequired(false)
+    .setMaxLength(4);
+
+  const fpsInput = new TextInputBuilder()
+    .setCustomId('fps')
+    .setLabel(
+      `frames per second (${CONVERSION_LIMITS.minFps}-${CONVERSION_LIMITS.maxFps}, videos only)`
+    )
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('original fps')
+    .setRequired(false)
+    .setMaxLength(2);
+
+  const cropInput = new TextInputBuilder()
+    .setCustomId('crop')
+    .setLabel('crop (aspect ratio or x:y:w:h)')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder(CROP_PRESETS.join(', '))
+    .setRequired(false)
+    .setMaxLength(32);
+
+  const captionInput = new TextInputBuilder()
+    .setCustomId('caption')
+    .setLabel('caption text')
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder('leave empty for no caption')
+    .setRequired(false)
+    .setMaxLength(CONVERSION_LIMITS.maxCaptionLength);
+
+  const captionPositionInput = new TextInputBuilder()
+    .setCustomId('caption_position')
+    .setLabel(`caption position (${CAPTION_POSITIONS.join(', ')})`)
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('top')
+    .setRequired(false)
+    .setMaxLength(6);
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(widthInput),
+    new ActionRowBuilder().addComponents(fpsInput),
+    new ActionRowBuilder().addComponents(cropInput),
+    new ActionRowBuilder().addComponents(captionInput),
+    new ActionRowBuilder().addComponents(captionPositionInput)
+  );
 
-      if (!useLocalFile) {
-        // Check if URL is a Tenor GIF link and parse it
-        let actualUrl = url;
-        const isTenorUrl = /^https?:\/\/(www\.)?tenor\.com\/view\/.+-gif-\d+/i.test(url);
-        if (isTenorUrl) {
-          logger.info(`Detected Tenor URL, parsing to extract GIF URL: ${url}`);
-          try {
-            actualUrl = await parseTenorUrl(url);
-            logger.info(`Resolved Tenor URL to: ${actualUrl}`);
-          } catch (error) {
-            logger.error(`Failed to parse Tenor URL for user ${userId}:`, error);
-            await safeInteractionEditReply(interaction, {
-              content: error.message || 'failed to parse Tenor URL.',
-            });
-            await notifyCommandFailure(username, 'convert');
-            return;
-          }
-        }
+  // Store input info for modal submission (URLs are downloaded after the modal is submitted)
+  const modalId = modal.data.custom_id;
+  modalAttachmentCache.set(modalId, {
+    attachment,
+    attachmentType,
+    url,
+    adminUser,
+    timestamp: Date.now(),
+  });
 
-        logger.info(`Downloading file from URL: ${actualUrl}`);
-        const fileData = await downloadFileFromUrl(actualUrl, adminUser, interaction.client);
+  const modalShown = await safeInteractionShowModal(interaction, modal);
+  if (!modalShown) {
+    // If modal couldn't be shown, clean up cache entry
+    modalAttachmentCache.delete(modalId);
+    logger.warn(`Failed to show modal for user ${userId}, cleaned up cache entry`);
+  }
+}
 
-        // Store the buffer to avoid double download
-        preDownloadedBuffer = fileData.buffer;
+/**
+ * Download and validate the file behind a URL found by the convert context menu
+ * Defers the interaction and edits the reply with any error
+ * @param {Interaction} interaction - Discord interaction to reply to
+ * @param {string} url - URL from the target message (already validated)
+ * @param {boolean} adminUser - Whether the user is an admin
+ * @returns {Promise<{attachment: Object, attachmentType: string, preDownloadedBuffer: Buffer|Array<Object>, originalUrl: string|null, isSlideshow: boolean}|null>} Resolved input, or null if the user was sent an error; multi-item posts resolve to a slideshow
+ */
+export async function downloadContextMenuUrl(interaction, url, adminUser) {
+  const userId = interaction.user.id;
+  const username = interaction.user.tag || interaction.user.username || 'unknown';
+  let attachment = null;
+  let attachmentType;
+  let preDownloadedBuffer = null;
+  let originalUrlForConversion = null;
+  let isSlideshow = false;
 
-        // Create a pseudo-attachment object
-        attachment = {
-          url: actualUrl,
-          name: fileData.filename,
-          size: fileData.size,
-          contentType: fileData.contentType,
-        };
-        // Store original URL for database tracking
-        originalUrlForConversion = actualUrl;
-      }
+  // Defer reply since downloading may take time
+  await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
 
-      // Determine attachment type using extension-based detection
-      // This handles Twitter GIFs which are mp4 files with .gif extension
-      const fileExt = path.extname(attachment.name || '').toLowerCase();
-      const detectedType = detectFileType(fileExt, attachment.contentType || '');
+  try {
+    // Check if it's a cdn.gronka.p1x.dev URL and try to use local file
+    const localFileCheck = await checkAndReadLocalFileFromCdnUrl(url, GIF_STORAGE_PATH);
+    let useLocalFile = false;
+
+    if (localFileCheck.exists) {
+      useLocalFile = true;
+      logger.info(`Using local file for cdn URL: ${localFileCheck.filePath}`);
+      preDownloadedBuffer = localFileCheck.buffer;
+      attachment = {
+        url: url,
+        name: localFileCheck.filename,
+        size: localFileCheck.buffer.length,
+        contentType: localFileCheck.contentType,
+      };
+      // Don't set originalUrlForConversion for CDN URLs (they're already processed)
+    }
 
-      if (detectedType === 'video') {
-        attachmentType = 'video';
-        logger.info(
-          `Processing video from URL: ${attachment.name} (${(attachment.size / (1024 * 1024)).toFixed(2)}MB)`
-        );
-        const validation = validateVideoAttachment(attachment, adminUser);
-        if (!validation.valid) {
-          logger.warn(`Video validation failed for user ${userId}: ${validation.error}`);
-          await safeInteractionEditReply(interaction, {
-            content: validation.error,
-          });
-          await notifyCommandFailure(username, 'convert');
-          return;
-        }
-      } else if (detectedType === 'image' || detectedType === 'gif') {
-        attachmentType = 'image';
-        logger.info(
-          `Processing image from URL: ${attachment.name} (${(attachment.size / (1024 * 1024)).toFixed(2)}MB)`
-        );
-        // For GIF files with wrong content-type, create a corrected attachment object
-        const attachmentForValidation =
-          detectedType === 'gif' && !ALLOWED_IMAGE_TYPES.includes(attachment.contentType)
-            ? { ...attachment, contentType: 'image/gif' }
-            : attachment;
-        const validation = validateImageAttachment(attachmentForValidation, adminUser);
-        if (!validation.valid) {
-          logger.warn(`Image validation failed for user ${userId}: ${validation.error}`);
+    if (!useLocalFile) {
+      // Check if URL is a Tenor GIF link and parse it
+      let actualUrl = url;
+      const isTenorUrl = /^https?:\/\/(www\.)?tenor\.com\/view\/.+-gif-\d+/i.test(url);
+      if (isTenorUrl) {
+        logger.info(`Detected Tenor URL, parsing to extract GIF URL: ${url}`);
+        try {
+          actualUrl = await parseTenorUrl(url);
+          logger.info(`Resolved Tenor URL to: ${actualUrl}`);
+        } catch (error) {
+          logger.error(`Failed to parse Tenor URL for user ${userId}:`, error);
           await safeInteractionEditReply(interaction, {
-            content: validation.error,
+            content: error.message || 'failed to parse Tenor URL.',
           });
           await notifyCommandFailure(username, 'convert');
-          return;
-        }
-        // Update the contentType for downstream processing if it was a GIF
-        if (detectedType === 'gif') {
-          attachment.contentType = 'image/gif';
+          return null;
         }
-      } else {
-        logger.warn(`Invalid attachment type for user ${userId}`);
+      }
+
+      logger.info(`Downloading file from URL: ${actualUrl}`);
+      const fileData = await downloadFileFromUrl(actualUrl, adminUser, interaction.client);
+
+      // Store the buffer to avoid double download
+      // Create a pseudo-attachment object
+      ({
+        attachment,
+        buffer: preDownloadedBuffer,
+        isSlideshow,
+      } = buildUrlAttachment(actualUrl, fileData));
+      // Store original URL for database tracking
+      originalUrlForConversion = actualUrl;
+    }
+
+    // Determine attachment type using extension-based detection
+    // This handles Twitter GIFs which are mp4 files with .gif extension
+    const fileExt = path.extname(attachment.name || '').toLowerCase();
+    const detectedType = detectFileType(fileExt, attachment.contentType || '');
+
+    if (detectedType === 'video') {
+      attachmentType = 'video';
+      logger.info(
+        `Processing video from URL: ${attachment.name} (${(attachment.size / (1024 * 1024)).toFixed(2)}MB)`
+      );
+      const validation = validateVideoAttachment(attachment, adminUser);
+      if (!validation.valid) {
+        logger.warn(`Video validation failed for user ${userId}: ${validation.error}`);
         await safeInteractionEditReply(interaction, {
-          content:
-            'unsupported file format. please provide a video (mp4, mov, webm, avi, mkv) or image (png, jpg, jpeg, webp, gif).',
+          content: validation.error,
         });
         await notifyCommandFailure(username, 'convert');
-        return;
+        return null;
       }
-    } catch (error) {
-      logger.error(`Failed to download file from URL for user ${userId}:`, error);
+    } else if (detectedType === 'image' || detectedType === 'gif') {
+      attachmentType = 'image';
+      logger.info(
+        `Processing image from URL: ${attachment.name} (${(attachment.size / (1024 * 1024)).toFixed(2)}MB)`
+      );
+      // For GIF files with wrong content-type, create a corrected attachment object
+      const attachmentForValidation =
+        detectedType === 'gif' && !ALLOWED_IMAGE_TYPES.includes(attachment.contentType)
+          ? { ...attachment, contentType: 'image/gif' }
+          : attachment;
+      const validation = validateImageAttachment(attachmentForValidation, adminUser);
+      if (!validation.valid) {
+        logger.warn(`Image validation failed for user ${userId}: ${validation.error}`);
+        await safeInteractionEditReply(interaction, {
+          content: validation.error,
+        });
+        await notifyCommandFailure(username, 'convert');
+        return null;
+      }
+      // Update the contentType for downstream processing if it was a GIF
+      if (detectedType === 'gif') {
+        attachment.contentType = 'image/gif';
+      }
+    } else {
+      logger.warn(`Invalid attachment type for user ${userId}`);
       await safeInteractionEditReply(interaction, {
-        content: error.message || 'failed to download file from URL.',
+        content:
+          'unsupported file format. please provide a video (mp4, mov, webm, avi, mkv) or image (png, jpg, jpeg, webp, gif).',
       });
-      return;
+      await notifyCommandFailure(username, 'convert');
+      return null;
     }
-  } else {
-    logger.warn(`No video or image attachment or URL found for user ${userId}`);
-    const errorMessage = 'no video or image attachment or URL found in this message.';
-    createFailedOperation('convert', userId, username, errorMessage, 'missing_input', {
-      commandSource: 'context-menu',
-    });
-    await safeInteractionReply(interaction, {
-      content: errorMessage,
-      flags: MessageFlags.Ephemeral,
+  } catch (error) {
+    logger.error(`Failed to download file from URL for user ${userId}:`, error);
+    await safeInteractionEditReply(interaction, {
+      content: error.message || 'failed to download file from URL.',
     });
-    await notifyCommandFailure(username, 'convert');
-    return;
-  }
-
-  // Defer reply if not already deferred (for attachment case)
-  if (!url) {
-    await safeInteractionDeferReply(interaction);
+    return null;
   }
 
-  await processConversion(
-    interaction,
+  return {
     attachment,
     attachmentType,
-    adminUser,
     preDownloadedBuffer,
-    {},
-    originalUrlForConversion,
-    'context-menu'
-  );
+    originalUrl: originalUrlForConversion,
+    isSlideshow,
+  };
 }
 
 /**
@@ -1528,14 +2033,27 @@ export async function handleConvertCommand(interaction) {
   // Get attachment or URL from command options
   // Wrap in try-catch to handle Discord option type mismatches (cached command data)
   let attachment, url, quality, optimize, lossy, startTimeRaw, endTimeRaw;
+  let widthRaw, fpsRaw, cropRaw, targetSizeRaw, formatRaw, captionRaw, captionPositionRaw;
+  let effectRaw, speedRaw, slideDurationRaw, crossfadeRaw;
   try {
     attachment = interaction.options.getAttachment('file');
     url = interaction.options.getString('url');
     quality = interaction.options.getString('quality');
-    optimize = interaction.options.getBoolean('optimize') ?? false;
+    optimize = interaction.options.getBoolean('optimize');
     lossy = interaction.options.getNumber('lossy');
     startTimeRaw = interaction.options.getString('start_time');
     endTimeRaw = interaction.options.getString('end_time');
+    widthRaw = interaction.options.getInteger('width');
+    fpsRaw = interaction.options.getInteger('fps');
+    cropRaw = interaction.options.getString('crop');
+    targetSizeRaw = interaction.options.getNumber('target_size');
+    formatRaw = interaction.options.getString('format');
+    captionRaw = interaction.options.getString('caption');
+    captionPositionRaw = interaction.options.getString('caption_position');
+    effectRaw = interaction.options.getString('effect');
+    speedRaw = interaction.options.getNumber('speed');
+    slideDurationRaw = interaction.options.getNumber('slide_duration');
+    crossfadeRaw = interaction.options.getNumber('crossfade');
   } catch (optionError) {
     logger.error(`Failed to parse command options for user ${userId}: ${optionError.message}`);
     await safeInteractionReply(interaction, {
@@ -1545,6 +2063,17 @@ export async function handleConvertCommand(interaction) {
     return;
   }
 
+  // Options the user left out come from their preferences
+  ({
+    quality,
+    optimize,
+    lossy,
+    format: formatRaw,
+  } = applyConvertPreferences(
+    { quality, optimize, lossy, format: formatRaw },
+    await getUserPreferences(userId)
+  ));
+
   // Parse timestamp strings to seconds
   const startTimeParsed = parseTimestamp(startTimeRaw);
   const endTimeParsed = parseTimestamp(endTimeRaw);
@@ -1600,6 +2129,104 @@ export async function handleConvertCommand(interaction) {
     }
   }
 
+  // Validate output size options (Discord enforces ranges, but cached command data may not)
+  const outputOptions = parseOutputOptions({ width: widthRaw, fps: fpsRaw, crop: cropRaw });
+  if (outputOptions.error) {
+    logger.warn(`Invalid output options for user ${userId}: ${outputOptions.error}`);
+    createFailedOperation('convert', userId, username, outputOptions.error, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { width: widthRaw, fps: fpsRaw, crop: cropRaw },
+    });
+    await safeInteractionReply(interaction, {
+      content: outputOptions.error,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const targetSize = parseTargetSize(targetSizeRaw);
+  if (targetSize.error) {
+    logger.warn(`Invalid target_size for user ${userId}: ${targetSize.error}`);
+    const errorMessage = `invalid target_size: ${targetSize.error}.`;
+    createFailedOperation('convert', userId, username, errorMessage, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { targetSize: targetSizeRaw },
+    });
+    await safeInteractionReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const formatParsed = parseFormat(formatRaw);
+  const formatError = formatParsed.error
+    ? `invalid format: ${formatParsed.error}.`
+    : formatParsed.format !== 'gif' && (optimize || lossy !== null)
+      ? 'optimize and lossy only apply to gif output.'
+      : null;
+  if (formatError) {
+    logger.warn(`Invalid format for user ${userId}: ${formatError}`);
+    createFailedOperation('convert', userId, username, formatError, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { format: formatRaw, optimize, lossy },
+    });
+    await safeInteractionReply(interaction, {
+      content: formatError,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const captionParsed = parseCaption({ text: captionRaw, position: captionPositionRaw });
+  if (captionParsed.error) {
+    logger.warn(`Invalid caption for user ${userId}: ${captionParsed.error}`);
+    const errorMessage = `invalid caption: ${captionParsed.error}.`;
+    createFailedOperation('convert', userId, username, errorMessage, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { caption: captionRaw, captionPosition: captionPositionRaw },
+    });
+    await safeInteractionReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const effectParsed = parseEffect({ effect: effectRaw, speed: speedRaw });
+  if (effectParsed.error) {
+    logger.warn(`Invalid effect for user ${userId}: ${effectParsed.error}`);
+    const errorMessage = `invalid effect: ${effectParsed.error}.`;
+    createFailedOperation('convert', userId, username, errorMessage, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { effect: effectRaw, speed: speedRaw },
+    });
+    await safeInteractionReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Slideshow options only apply when the URL turns out to be a post with several items
+  const slideshowParsed = parseSlideshow({
+    slideDuration: slideDurationRaw,
+    crossfade: crossfadeRaw,
+  });
+  if (slideshowParsed.error) {
+    logger.warn(`Invalid slideshow options for user ${userId}: ${slideshowParsed.error}`);
+    const errorMessage = `invalid slideshow options: ${slideshowParsed.error}.`;
+    createFailedOperation('convert', userId, username, errorMessage, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { slideDuration: slideDurationRaw, crossfade: crossfadeRaw },
+    });
+    await safeInteractionReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
   if (!attachment && !url) {
     logger.warn(`No attachment or URL provided for user ${userId}`);
     const errorMessage =
@@ -1631,6 +2258,7 @@ export async function handleConvertCommand(interaction) {
   let attachmentType;
   let preDownloadedBuffer = null;
   let originalUrlForConversion = null;
+  let isSlideshow = false;
 
   // If URL is provided, download the file first
   if (url) {
@@ -1652,7 +2280,7 @@ export async function handleConvertCommand(interaction) {
     }
 
     // Defer reply since downloading may take time
-    await safeInteractionDeferReply(interaction);
+    await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
 
     try {
       // Check if it's a cdn.gronka.p1x.dev URL and try to use local file
@@ -1694,15 +2322,15 @@ export async function handleConvertCommand(interaction) {
         const fileData = await downloadFileFromUrl(actualUrl, adminUser, interaction.client);
 
         // Store the buffer to avoid double download
-        preDownloadedBuffer = fileData.buffer;
-
         // Create a pseudo-attachment object
-        finalAttachment = {
-          url: actualUrl,
-          name: fileData.filename,
-          size: fileData.size,
-          contentType: fileData.contentType,
-        };
+        ({
+          attachment: finalAttachment,
+          buffer: preDownloadedBuffer,
+          isSlideshow,
+        } = buildUrlAttachment(actualUrl, fileData));
+        if (isSlideshow) {
+          logger.info(`URL is a post with ${preDownloadedBuffer.length} items, making a slideshow`);
+        }
         // Store original URL for database tracking
         originalUrlForConversion = actualUrl;
       }
@@ -1795,9 +2423,19 @@ export async function handleConvertCommand(interaction) {
     return;
   }
 
+  // Check quotas (admins bypass this check)
+  const quotaBytes = Buffer.isBuffer(preDownloadedBuffer)
+    ? preDownloadedBuffer.length
+    : finalAttachment?.size || 0;
+  if (
+    !(await enforceQuota(interaction, 'convert', { bytes: quotaBytes, commandSource: 'slash' }))
+  ) {
+    return;
+  }
+
   // Defer reply if not already deferred (for attachment case)
   if (!url) {
-    await safeInteractionDeferReply(interaction);
+    await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
   }
 
   // Convert start_time/end_time to startTime/duration format
@@ -1824,20 +2462,31 @@ export async function handleConvertCommand(interaction) {
     logger.info(`Time parameters provided for image conversion, ignoring them`);
   }
 
-  await processConversion(
-    interaction,
-    finalAttachment,
-    attachmentType,
-    adminUser,
-    preDownloadedBuffer,
+  await enqueueJob(
+    'convert',
     {
-      quality: quality || undefined,
-      optimize,
-      lossy: lossy !== null ? lossy : undefined,
-      startTime: conversionStartTime,
-      duration: conversionDuration,
+      attachment: serializeAttachment(finalAttachment),
+      attachmentType,
+      adminUser,
+      options: {
+        quality: quality || undefined,
+        optimize,
+        lossy: lossy !== null ? lossy : undefined,
+        startTime: conversionStartTime,
+        duration: conversionDuration,
+        width: outputOptions.width ?? undefined,
+        fps: attachmentType === 'video' ? (outputOptions.fps ?? undefined) : undefined,
+        crop: outputOptions.crop ?? undefined,
+        targetSize: targetSize.bytes ?? undefined,
+        // gif is the default and stays out of the options so existing cache keys still match
+        format: formatParsed.format !== 'gif' ? formatParsed.format : undefined,
+        caption: captionParsed.caption ?? undefined,
+        effect: effectParsed.effect ?? undefined,
+        slideshow: isSlideshow ? slideshowParsed.slideshow : undefined,
+      },
+      originalUrl: url ? originalUrlForConversion : null,
+      commandSource: 'slash',
     },
-    url ? originalUrlForConversion : null,
-    'slash'
+    { interaction, buffer: preDownloadedBuffer }
   );
 }
@@ -0,0 +1,192 @@
+/**
+ * /delete command
+ * Lets users delete files they made, picked by a link to the message they were posted in or
+ * from /history. Only the user who made a file can delete it.
+ */
+import { MessageFlags, PermissionFlagsBits } from 'discord.js';
+import { createLogger } from '../utils/logger.js';
+import {
+  safeInteractionDeferReply,
+  safeInteractionEditReply,
+} from '../utils/interaction-helpers.js';
+import { getProcessedUrl, getUserMediaByFileUrls } from '../utils/database.js';
+import { deleteUserFile } from '../utils/user-data.js';
+
+const logger = createLogger('delete');
+
+const MESSAGE_LINK_PATTERN =
+  /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+|@me)\/(\d+)\/(\d+)\/?$/;
+
+/**
+ * Parse a Discord message link
+ * @param {string|null|undefined} link - Message link
+ * @returns {{guildId: string|null, channelId: string, messageId: string}|null} Parsed link or null if invalid
+ *
+ * @example
+ * parseMessageLink('https://discord.com/channels/1/2/3')   // { guildId: '1', channelId: '2', messageId: '3' }
+ * parseMessageLink('https://discord.com/channels/@me/2/3') // { guildId: null, channelId: '2', messageId: '3' }
+ */
+export function parseMessageLink(link) {
+  const match = typeof link === 'string' ? MESSAGE_LINK_PATTERN.exec(link.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  return {
+    guildId: match[1] === '@me' ? null : match[1],
+    channelId: match[2],
+    messageId: match[3],
+  };
+}
+
+/**
+ * Collect the file links in a message: its attachments and the links in its text
+ * @param {Object} message - Discord message
+ * @returns {Array<string>} File links, without duplicates
+ */
+export function collectMessageUrls(message) {
+  const urls = [...(message.attachments?.values() ?? [])].map(attachment => attachment.url);
+  for (const match of (message.content || '').matchAll(/https?:\/\/[^\s<>()]+/g)) {
+    urls.push(match[0]);
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Check whether a user can read the messages of a channel
+ * @param {Object} channel - Discord channel
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<boolean>} True if the user can view the channel and its history
+ */
+export async function canUserReadChannel(channel, userId) {
+  if (channel.isDMBased?.()) {
+    // The bot only sees its own DMs, so the user must be the other side of this one
+    return channel.recipientId === userId;
+  }
+  if (!channel.guild) {
+    return false;
+  }
+
+  const member = await channel.guild.members.fetch(userId).catch(() => null);
+  const permissions = member ? channel.permissionsFor(member) : null;
+  return Boolean(
+    permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory])
+  );
+}
+
+/**
+ * Fetch the message a link points to
+ * Links to channels the user can't read are refused, so the bot's access isn't lent out
+ * @param {Client} client - Discord client
+ * @param {Object} link - Parsed message link
+ * @param {string} userId - Discord user ID of the user who sent the link
+ * @returns {Promise<Object|null>} Message, or null if the user or the bot cannot see it
+ */
+async function fetchLinkedMessage(client, link, userId) {
+  try {
+    const channel = await client.channels.fetch(link.channelId);
+    if (!channel?.messages || (channel.guildId ?? null) !== link.guildId) {
+      return null;
+    }
+    if (!(await canUserReadChannel(channel, userId))) {
+      logger.warn(`User ${userId} linked a message in channel ${link.channelId} they can't read`);
+      return null;
+    }
+    return await channel.messages.fetch(link.messageId);
+  } catch (error) {
+    logger.debug(`Failed to fetch message ${link.messageId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Handle the /delete command
+ * Deletes the user's files found in the linked message, and the bot's message itself when it
+ * was the reply to that user
+ * @param {Interaction} interaction - Discord interaction
+ */
+export async function handleDeleteCommand(interaction) {
+  const userId = interaction.user.id;
+
+  // Fetching the message and deleting remote files can take longer than Discord waits for a reply
+  await safeInteractionDeferReply(interaction, { flags: MessageFlags.Ephemeral });
+
+  const link = parseMessageLink(interaction.options.getString('message'));
+  if (!link) {
+    await safeInteractionEditReply(interaction, {
+      content: 'invalid message link. right click the message and choose "copy message link".',
+    });
+    return;
+  }
+
+  const message = await fetchLinkedMessage(interaction.client, link, userId);
+  if (!message) {
+    await safeInteractionEditReply(interaction, {
+      content: "couldn't read that message. delete the file from /history instead.",
+    });
+    return;
+  }
+
+  try {
+    const records = await getUserMediaByFileUrls(userId, collectMessageUrls(message));
+    if (records.length === 0) {
+      await safeInteractionEditReply(interaction, {
+        content: 'that message has no files of yours.',
+      });
+      return;
+    }
+
+    let deleted = 0;
+    for (const record of records) {
+      if (await deleteUserFile(interaction.user, record)) {
+        deleted++;
+      }
+    }
+
+    // Remove the bot's reply too, so the dead link doesn't stay in the channel
+    if (
+      message.author?.id === interaction.client.user.id &&
+      message.interactionMetadata?.user?.id === userId
+    ) {
+      await message.delete().catch(error => {
+        logger.warn(`Failed to delete message ${message.id}: ${error.message}`);
+      });
+    }
+
+    await safeInteractionEditReply(interaction, {
+      content: deleted === 1 ? 'deleted 1 file.' : `deleted ${deleted} files.`,
+    });
+  } catch (error) {
+    logger.error(`Failed to delete files for user ${userId}:`, error);
+    await safeInteractionEditReply(interaction, {
+      content: 'failed to delete your files. please try again later.',
+    });
+  }
+}
+
+/**
+ * Delete one of the user's files by its processed URL hash
+ * Used by the /history delete buttons
+ * @param {Interaction} interaction - Discord button interaction
+ * @param {string} urlHash - Processed URL hash of the file
+ */
+export async function deleteOwnFile(interaction, urlHash) {
+  await safeInteractionDeferReply(interaction, { flags: MessageFlags.Ephemeral });
+
+  // Errors are answered here, the reply is already deferred so the button handler can't answer them
+  let deleted = false;
+  try {
+    const record = await getProcessedUrl(urlHash);
+    if (!record || record.user_id !== interaction.user.id) {
+      await safeInteractionEditReply(interaction, {
+        content: 'this file is no longer available.',
+      });
+      return;
+    }
+    deleted = await deleteUserFile(interaction.user, record);
+  } catch (error) {
+    logger.error(`Failed to delete file ${urlHash.substring(0, 8)}...:`, error);
+  }
+  await safeInteractionEditReply(interaction, {
+    content: deleted ? 'file deleted.' : 'failed to delete the file. please try again later.',
+  });
+}
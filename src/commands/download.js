@@ -8,9 +8,14 @@
  * - download/process-download.js - Main orchestration
  * - download/process-single.js   - Single file processing
  * - download/process-picker.js   - Multiple file handling
+ * - download/picker-selection.js - Choosing which picker items to download
  * - download/trimming.js         - Video/GIF trimming
  * - download/upload.js           - Upload strategy and execution
  * - download/utils.js            - Shared utilities
  */
 
-export { handleDownloadCommand, handleDownloadContextMenuCommand } from './download/index.js';
+export {
+  handleDownloadCommand,
+  handleDownloadContextMenuCommand,
+  handlePickerSelectionInteraction,
+} from './download/index.js';
@@ -8,18 +8,21 @@ import { validateUrl } from '../../utils/validation.js';
 import { isSocialMediaUrl } from '../../utils/cobalt.js';
 import { isYouTubeUrl } from '../../utils/ytdlp.js';
 import { checkRateLimit, isAdmin } from '../../utils/rate-limit.js';
+import { enforceQuota } from '../../utils/quotas.js';
+import { getGuildSettings } from '../../utils/guild-settings.js';
+import { getInteractionReplyOptions } from '../../utils/user-preferences.js';
 import { createFailedOperation } from '../../utils/operations-tracker.js';
 import { notifyCommandFailure } from '../../utils/ntfy-notifier.js';
 import {
   safeInteractionReply,
   safeInteractionDeferReply,
 } from '../../utils/interaction-helpers.js';
-import { processDownload } from './process-download.js';
+import { enqueueJob } from '../../utils/job-queue.js';
 import { parseTimestamp } from '../../utils/timestamp.js';
 
 const logger = createLogger('download:handlers');
 
-const { rateLimitCooldown, cobaltEnabled: COBALT_ENABLED, ytdlpEnabled: YTDLP_ENABLED } = botConfig;
+const { rateLimitCooldown } = botConfig;
 
 /**
  * Handle download context menu command
@@ -98,7 +101,8 @@ export async function handleDownloadContextMenuCommand(interaction) {
   }
 
   // Check download method availability
-  const validationResult = validateDownloadMethod(url, userId, username);
+  const guildSettings = await getGuildSettings(interaction.guildId);
+  const validationResult = validateDownloadMethod(url, userId, guildSettings);
   if (!validationResult.valid) {
     await safeInteractionReply(interaction, {
       content: validationResult.error,
@@ -110,9 +114,14 @@ export async function handleDownloadContextMenuCommand(interaction) {
     return;
   }
 
+  // Check quotas (admins bypass this check)
+  if (!(await enforceQuota(interaction, 'download', { commandSource: 'context-menu' }))) {
+    return;
+  }
+
   // Defer reply and process
-  await safeInteractionDeferReply(interaction);
-  await processDownload(interaction, url, 'context-menu');
+  await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
+  await enqueueJob('download', { url, commandSource: 'context-menu' }, { interaction });
 }
 
 /**
@@ -265,7 +274,8 @@ export async function handleDownloadCommand(interaction) {
   }
 
   // Check download method availability
-  const validationResult = validateDownloadMethod(url, userId, username, 'slash');
+  const guildSettings = await getGuildSettings(interaction.guildId);
+  const validationResult = validateDownloadMethod(url, userId, guildSettings, 'slash');
   if (!validationResult.valid) {
     createFailedOperation(
       'download',
@@ -288,28 +298,41 @@ export async function handleDownloadCommand(interaction) {
     return;
   }
 
+  // Check quotas (admins bypass this check)
+  if (!(await enforceQuota(interaction, 'download', { commandSource: 'slash' }))) {
+    return;
+  }
+
   // Defer reply and process
-  await safeInteractionDeferReply(interaction);
-  await processDownload(interaction, url, 'slash', trimStartTime, trimDuration);
+  await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
+  await enqueueJob(
+    'download',
+    { url, commandSource: 'slash', startTime: trimStartTime, duration: trimDuration },
+    { interaction }
+  );
 }
 
 /**
  * Validate download method availability for URL
+ * Servers can turn off downloaders that are enabled for the bot (see guild settings)
  * @param {string} url - URL to validate
  * @param {string} userId - User ID for logging
- * @param {string} username - Username
+ * @param {Object} guildSettings - Effective settings of the guild the command was used in
  * @param {string} commandSource - Command source
  * @returns {{valid: boolean, error?: string, errorType?: string, notify?: boolean}}
  */
-function validateDownloadMethod(url, userId, username, commandSource = 'context-menu') {
+function validateDownloadMethod(url, userId, guildSettings, commandSource = 'context-menu') {
   const isYouTube = isYouTubeUrl(url);
 
   if (isYouTube) {
-    if (!YTDLP_ENABLED) {
+    if (!guildSettings.ytdlpEnabled) {
       logger.warn(`User ${userId} attempted to download from YouTube (yt-dlp disabled)`);
       return {
         valid: false,
-        error: 'youtube downloads are disabled.',
+        error:
+          guildSettings.sources.ytdlpEnabled === 'guild'
+            ? 'youtube downloads are disabled in this server.'
+            : 'youtube downloads are disabled.',
         errorType: 'ytdlp_disabled',
         notify: false,
       };
@@ -319,7 +342,16 @@ function validateDownloadMethod(url, userId, username, commandSource = 'context-
   }
 
   // Non-YouTube URLs
-  if (!COBALT_ENABLED) {
+  if (!guildSettings.cobaltEnabled && guildSettings.sources.cobaltEnabled === 'guild') {
+    return {
+      valid: false,
+      error: 'social media downloads are disabled in this server.',
+      errorType: 'cobalt_disabled',
+      notify: false,
+    };
+  }
+
+  if (!guildSettings.cobaltEnabled) {
     const errorMessage =
       commandSource === 'slash'
         ? 'cobalt is not enabled. please enable it to use the download command.'
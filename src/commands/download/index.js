@@ -6,7 +6,7 @@
  * - Twitter/X, TikTok, Instagram, YouTube, Reddit, Facebook, Threads
  * - Video trimming via start_time/end_time parameters
  * - GIF trimming
- * - Multiple media files from picker responses
+ * - Multiple media files from picker responses, with per-item selection
  * - Caching of processed URLs
  * - R2 and Discord attachment uploads
  */
@@ -18,6 +18,12 @@ export { handleDownloadCommand, handleDownloadContextMenuCommand } from './handl
 export { processDownload } from './process-download.js';
 export { processSingleFile } from './process-single.js';
 export { processPickerResponse } from './process-picker.js';
+export {
+  handlePickerSelectionInteraction,
+  buildPickerSelectionMessage,
+  parsePickerCustomId,
+  parsePickerSelectionValues,
+} from './picker-selection.js';
 export { trimGifFile, trimVideoFile, trimVideoAsGif, needsTrimming } from './trimming.js';
 export {
   calculateUploadDestinations,
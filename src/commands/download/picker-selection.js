@@ -0,0 +1,302 @@
+/**
+ * Picker item selection
+ * When Cobalt returns several items, the job posts a select menu and waits for the user's choice.
+ * The choice is stored in postgres so it works when jobs run in a separate worker process.
+ */
+import crypto from 'crypto';
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+  StringSelectMenuBuilder,
+} from 'discord.js';
+import { createLogger } from '../../utils/logger.js';
+import { botConfig } from '../../utils/config.js';
+import {
+  createPickerSelection,
+  getPickerSelection,
+  completePickerSelection,
+  expirePickerSelection,
+} from '../../utils/database.js';
+import { safeInteractionEditReply, safeInteractionReply } from '../../utils/interaction-helpers.js';
+import { logOperationStep } from '../../utils/operations-tracker.js';
+
+const logger = createLogger('download:picker-selection');
+
+// Custom ID prefix routed to handlePickerSelectionInteraction by bot.js
+export const PICKER_CUSTOM_ID_PREFIX = 'picker';
+
+// Discord allows 25 options per select menu and 10 embeds per message
+const MAX_SELECT_OPTIONS = 25;
+const MAX_PREVIEW_EMBEDS = 10;
+
+// How often the waiting job checks for the user's choice
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Parse a picker component custom ID
+ * @param {string} customId - Component custom ID
+ * @returns {{action: string, selectionId: string}|null} Parsed ID, or null if it is not a picker component
+ *
+ * @example
+ * parsePickerCustomId('picker:select:abc123') // { action: 'select', selectionId: 'abc123' }
+ * parsePickerCustomId('other:thing')          // null
+ */
+export function parsePickerCustomId(customId) {
+  const parts = typeof customId === 'string' ? customId.split(':') : [];
+  if (
+    parts.length !== 3 ||
+    parts[0] !== PICKER_CUSTOM_ID_PREFIX ||
+    !['select', 'all'].includes(parts[1]) ||
+    !parts[2]
+  ) {
+    return null;
+  }
+  return { action: parts[1], selectionId: parts[2] };
+}
+
+/**
+ * Parse select menu values into sorted, unique item indexes
+ * @param {Array<string>} values - Selected option values
+ * @param {number} itemCount - Number of items offered
+ * @returns {Array<number>|null} Indexes (0-based), or null if any value is invalid
+ */
+export function parsePickerSelectionValues(values, itemCount) {
+  if (!Array.isArray(values) || values.length === 0) {
+    return null;
+  }
+
+  const indexes = new Set();
+  for (const value of values) {
+    if (!/^\d+$/.test(String(value))) {
+      return null;
+    }
+    const index = Number(value);
+    if (index >= itemCount) {
+      return null;
+    }
+    indexes.add(index);
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Get a preview image URL for a picker item
+ * Tunnel URLs stream the full file through Cobalt, so only direct photo links are used as previews
+ * @param {{type: string, url: string, thumb: string|null}} item - Picker media item
+ * @returns {string|null} Preview URL
+ */
+function getPreviewUrl(item) {
+  if (item.thumb) {
+    return item.thumb;
+  }
+  if (item.type === 'photo' && !item.url.includes('/tunnel')) {
+    return item.url;
+  }
+  return null;
+}
+
+/**
+ * Build the message that asks the user which picker items to download
+ * @param {string} selectionId - Picker selection ID
+ * @param {Array<{index: number, type: string, url: string, thumb: string|null}>} items - Picker media items
+ * @param {number} timeoutMs - How long the user has to choose
+ * @returns {Object} Message payload with content, embeds and components
+ */
+export function buildPickerSelectionMessage(selectionId, items, timeoutMs) {
+  const seconds = Math.round(timeoutMs / 1000);
+  const content = `this post has ${items.length} items. choose which ones to download, or everything will be downloaded in ${seconds} seconds.`;
+
+  const embeds = items
+    .map((item, position) => ({ item, position, preview: getPreviewUrl(item) }))
+    .filter(({ preview }) => preview)
+    .slice(0, MAX_PREVIEW_EMBEDS)
+    .map(({ item, position, preview }) =>
+      new EmbedBuilder().setTitle(`${position + 1}. ${item.type}`).setThumbnail(preview)
+    );
+
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`${PICKER_CUSTOM_ID_PREFIX}:select:${selectionId}`)
+    .setPlaceholder('choose items to download')
+    .setMinValues(1)
+    .setMaxValues(items.length)
+    .addOptions(
+      items.map((item, position) => ({
+        label: `${position + 1}. ${item.type}`,
+        value: String(position),
+      }))
+    );
+
+  const downloadAll = new ButtonBuilder()
+    .setCustomId(`${PICKER_CUSTOM_ID_PREFIX}:all:${selectionId}`)
+    .setLabel('download all')
+    .setStyle(ButtonStyle.Primary);
+
+  return {
+    content,
+    embeds,
+    components: [
+      new ActionRowBuilder().addComponents(select),
+      new ActionRowBuilder().addComponents(downloadAll),
+    ],
+  };
+}
+
+/**
+ * Ask the user which picker items to download and wait for the choice
+ * Falls back to every item when selection is disabled, the post has one item or too many
+ * for a select menu, the database is unavailable, or the user does not choose in time.
+ * @param {Object} params - Parameters
+ * @param {Object} params.interaction - Discord interaction (or job relay)
+ * @param {string} params.operationId - Operation ID
+ * @param {string} params.userId - User allowed to choose
+ * @param {Array<Object>} params.items - Picker media items from getPickerMediaItems
+ * @returns {Promise<{indexes: Array<number>, source: string}>} Chosen indexes and how they were chosen ('user', 'all', 'timeout' or 'default')
+ */
+export async function requestPickerSelection({ interaction, operationId, userId, items }) {
+  const allIndexes = items.map((_item, position) => position);
+  const timeoutMs = botConfig.pickerSelectionTimeout;
+
+  if (timeoutMs <= 0 || items.length < 2 || items.length > MAX_SELECT_OPTIONS) {
+    return { indexes: allIndexes, source: 'default' };
+  }
+
+  const selectionId = crypto.randomBytes(8).toString('hex');
+  try {
+    await createPickerSelection({
+      id: selectionId,
+      userId,
+      operationId,
+      itemCount: items.length,
+      expiresAt: Date.now() + timeoutMs,
+    });
+  } catch (error) {
+    logger.warn(`Failed to create picker selection, downloading every item: ${error.message}`);
+    return { indexes: allIndexes, source: 'default' };
+  }
+
+  logOperationStep(operationId, 'picker_selection', 'running', {
+    message: `Waiting for the user to choose from ${items.length} items`,
+    metadata: { selectionId, itemCount: items.length },
+  });
+
+  const sent = await safeInteractionEditReply(
+    interaction,
+    buildPickerSelectionMessage(selectionId, items, timeoutMs)
+  );
+
+  let selection = null;
+  if (sent) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      selection = await getPickerSelection(selectionId);
+      if (!selection || selection.status !== 'pending') {
+        break;
+      }
+    }
+  }
+
+  // The user may choose between the last poll and the expiry, so re-read if expiring fails
+  if (!selection || selection.status === 'pending') {
+    const expired = await expirePickerSelection(selectionId);
+    selection = expired ? null : await getPickerSelection(selectionId);
+  }
+
+  const chosen =
+    selection?.status === 'selected'
+      ? parsePickerSelectionValues((selection.selected_indexes || []).map(String), items.length)
+      : null;
+  const result = chosen
+    ? { indexes: chosen, source: chosen.length === items.length ? 'all' : 'user' }
+    : { indexes: allIndexes, source: 'timeout' };
+
+  logOperationStep(operationId, 'picker_selection', 'success', {
+    message:
+      result.source === 'timeout'
+        ? 'No choice made in time, downloading every item'
+        : `User chose ${result.indexes.length} of ${items.length} items`,
+    metadata: {
+      selectionId,
+      itemCount: items.length,
+      selectedIndexes: result.indexes,
+      source: result.source,
+    },
+  });
+
+  await safeInteractionEditReply(interaction, {
+    content: `downloading ${result.indexes.length} of ${items.length} items...`,
+    embeds: [],
+    components: [],
+  });
+
+  return result;
+}
+
+/**
+ * Handle a picker select menu or "download all" button
+ * Records the choice for the waiting job; the job does the download
+ * @param {Object} interaction - Discord message component interaction
+ * @returns {Promise<void>}
+ */
+export async function handlePickerSelectionInteraction(interaction) {
+  const parsed = parsePickerCustomId(interaction.customId);
+  if (!parsed) {
+    return;
+  }
+
+  const selection = await getPickerSelection(parsed.selectionId);
+  if (!selection || selection.status !== 'pending' || selection.expires_at <= Date.now()) {
+    await safeInteractionReply(interaction, {
+      content: 'this selection has expired.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (selection.user_id !== interaction.user.id) {
+    await safeInteractionReply(interaction, {
+      content: 'only the person who ran the command can choose.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const indexes =
+    parsed.action === 'all'
+      ? Array.from({ length: selection.item_count }, (_value, index) => index)
+      : parsePickerSelectionValues(interaction.values, selection.item_count);
+  if (!indexes) {
+    await safeInteractionReply(interaction, {
+      content: 'invalid selection.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const recorded = await completePickerSelection(parsed.selectionId, interaction.user.id, indexes);
+  if (!recorded) {
+    await safeInteractionReply(interaction, {
+      content: 'this selection has expired.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  logger.info(
+    `User ${interaction.user.id} chose ${indexes.length} of ${selection.item_count} picker items (selection: ${parsed.selectionId})`
+  );
+
+  try {
+    await interaction.update({
+      content: `downloading ${indexes.length} of ${selection.item_count} items...`,
+      embeds: [],
+      components: [],
+    });
+  } catch (error) {
+    // The waiting job edits the message as well, so a failed update is not fatal
+    logger.debug(`Failed to update picker selection message: ${error.message}`);
+  }
+}
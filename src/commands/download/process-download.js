@@ -4,10 +4,14 @@
 import { createLogger } from '../../utils/logger.js';
 import { botConfig, r2Config } from '../../utils/config.js';
 import { isAdmin, recordRateLimit } from '../../utils/rate-limit.js';
-import { downloadFromSocialMedia, RateLimitError } from '../../utils/cobalt.js';
+import {
+  downloadFromSocialMedia,
+  downloadPickerItems,
+  RateLimitError,
+} from '../../utils/cobalt.js';
 import { isYouTubeUrl, downloadFromYouTube, YtdlpRateLimitError } from '../../utils/ytdlp.js';
 import { queueCobaltRequest, hashUrlWithParams } from '../../utils/cobalt-queue.js';
-import { getProcessedUrl } from '../../utils/database.js';
+import { getProcessedUrl, touchProcessedUrl } from '../../utils/database.js';
 import { initializeDatabaseWithErrorHandling } from '../../utils/database-init.js';
 import { formatR2UrlWithDisclaimer } from '../../utils/r2-storage.js';
 import { notifyCommandSuccess, notifyCommandFailure } from '../../utils/ntfy-notifier.js';
@@ -18,8 +22,13 @@ import {
   logOperationStep,
   logOperationError,
 } from '../../utils/operations-tracker.js';
+import { recordQuotaUsage } from '../../utils/quotas.js';
+import { assertNotBlocked } from '../../utils/blocklist.js';
+import { getGuildSettings } from '../../utils/guild-settings.js';
+import { getUserPreferences, getUploadLimit } from '../../utils/user-preferences.js';
 import { DOWNLOAD_LIMITS } from './utils.js';
 import { processPickerResponse } from './process-picker.js';
+import { requestPickerSelection } from './picker-selection.js';
 import { processSingleFile } from './process-single.js';
 
 const logger = createLogger('download');
@@ -37,13 +46,15 @@ const {
  * @param {string} [commandSource] - Command source ('slash' or 'context-menu')
  * @param {number|null} [startTime] - Start time in seconds for video trimming
  * @param {number|null} [duration] - Duration in seconds for video trimming
+ * @param {number|null} [jobId] - ID of the queued job running the download, if any
  */
 export async function processDownload(
   interaction,
   url,
   commandSource = null,
   startTime = null,
-  duration = null
+  duration = null,
+  jobId = null
 ) {
   const userId = interaction.user.id;
   const username = interaction.user.tag || interaction.user.username || 'unknown';
@@ -107,7 +118,49 @@ export async function processDownload(
       return;
     }
 
-    const { fileData, downloadMethod } = downloadResult;
+    const { downloadMethod } = downloadResult;
+    let { fileData } = downloadResult;
+    let pickerHash = urlHash;
+    let pickerSelection = null;
+
+    // Picker responses list their items first so the user can choose which ones to download
+    if (fileData?.picker) {
+      ({ fileData, pickerHash, pickerSelection } = await downloadSelectedPickerItems({
+        items: fileData.picker,
+        url,
+        urlHash,
+        adminUser,
+        operationId,
+        interaction,
+        userId,
+      }));
+    }
+
+    const downloadedFiles = Array.isArray(fileData) ? fileData : [fileData];
+
+    // The URL was allowed, but the same media may have been blocked under another URL
+    await assertNotBlocked({
+      urlHashes: [pickerHash],
+      buffers: downloadedFiles.map(file => file?.buffer),
+    });
+
+    // The request was counted when it was accepted, add the downloaded size to the byte quota
+    // (once per job, retries download the same file again)
+    const downloadedBytes = downloadedFiles.reduce(
+      (total, file) => total + (file?.buffer?.length || 0),
+      0
+    );
+    await recordQuotaUsage(interaction, 'download', {
+      operations: 0,
+      bytes: downloadedBytes,
+      jobId,
+    });
+
+    // Servers can send smaller or larger attachments, and servers or users can always link to R2
+    const discordUploadLimit = getUploadLimit(
+      await getGuildSettings(interaction.guildId),
+      await getUserPreferences(interaction.user.id)
+    );
 
     // Process the downloaded file(s)
     if (Array.isArray(fileData)) {
@@ -115,10 +168,13 @@ export async function processDownload(
         interaction,
         fileData,
         operationId,
-        urlHash,
+        urlHash: pickerHash,
+        sourceUrl: url,
         userId,
         username,
         adminUser,
+        pickerSelection,
+        discordUploadLimit,
       });
     } else {
       await processSingleFile({
@@ -126,12 +182,14 @@ export async function processDownload(
         fileData,
         operationId,
         urlHash,
+        sourceUrl: url,
         userId,
         username,
         adminUser,
         startTime,
         duration,
         downloadMethod,
+        discordUploadLimit,
       });
     }
   } catch (error) {
@@ -150,6 +208,7 @@ export async function processDownload(
  * Check URL cache for existing processed file
  * @param {Object} params - Parameters
  * @returns {Promise<{handled: boolean, urlHash: string}>}
+ * @throws {BlockedContentError} If the URL, its domain or its cached file is blocked
  */
 async function checkUrlCache({
   url,
@@ -169,6 +228,13 @@ async function checkUrlCache({
   const urlHash = hashUrlWithParams(url, { startTime, duration });
   const processedUrl = await getProcessedUrl(urlHash);
 
+  // Refuse blocked URLs and domains before downloading anything
+  await assertNotBlocked({
+    urls: [url],
+    urlHashes: [urlHash],
+    fileHashes: [processedUrl?.file_hash],
+  });
+
   if (processedUrl && processedUrl.file_type === 'video') {
     logger.info(
       `URL already processed as video (hash: ${urlHash.substring(0, 8)}..., startTime: ${startTime}, duration: ${duration}), returning existing file URL: ${processedUrl.file_url}`
@@ -191,9 +257,10 @@ async function checkUrlCache({
 
     updateOperationStatus(operationId, 'success', { fileSize: 0 });
     recordRateLimit(userId);
+    await touchProcessedUrl(urlHash);
 
     await safeInteractionEditReply(interaction, {
-      content: formatR2UrlWithDisclaimer(processedUrl.file_url, r2Config, adminUser),
+      content: await formatR2UrlWithDisclaimer(processedUrl.file_url, r2Config, adminUser),
     });
     await notifyCommandSuccess(username, 'download', { operationId, userId });
 
@@ -290,14 +357,18 @@ async function downloadFile({
     } else {
       fileData = await queueCobaltRequest(
         url,
-        async () => downloadFromSocialMedia(COBALT_API_URL, url, adminUser, maxSize),
+        async () =>
+          downloadFromSocialMedia(COBALT_API_URL, url, adminUser, maxSize, { deferPicker: true }),
         { skipCache: startTime !== null || duration !== null, expectedFileType: 'video' }
       );
 
-      logOperationStep(operationId, 'download_complete', 'success', {
-        message: 'File downloaded successfully',
-        metadata: { url, fileCount: Array.isArray(fileData) ? fileData.length : 1 },
-      });
+      // Picker items are downloaded after the user chooses them
+      if (!fileData?.picker) {
+        logOperationStep(operationId, 'download_complete', 'success', {
+          message: 'File downloaded successfully',
+          metadata: { url, fileCount: Array.isArray(fileData) ? fileData.length : 1 },
+        });
+      }
     }
   } catch (error) {
     // Handle yt-dlp rate limit error
@@ -327,8 +398,9 @@ async function downloadFile({
 
         updateOperationStatus(operationId, 'success', { fileSize: 0 });
         recordRateLimit(userId);
+        await touchProcessedUrl(urlHash);
         await safeInteractionEditReply(interaction, {
-          content: formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
+          content: await formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
         });
         await notifyCommandSuccess(username, 'download', { operationId, userId });
 
@@ -342,6 +414,44 @@ async function downloadFile({
   return { handled: false, fileData, downloadMethod };
 }
 
+/**
+ * Let the user choose picker items, then download the chosen ones
+ * A partial choice is cached under its own hash so it never answers a later request for the whole post
+ * @param {Object} params - Parameters
+ * @returns {Promise<{fileData: Array, pickerHash: string, pickerSelection: Object}>}
+ */
+async function downloadSelectedPickerItems({
+  items,
+  url,
+  urlHash,
+  adminUser,
+  operationId,
+  interaction,
+  userId,
+}) {
+  const selection = await requestPickerSelection({ interaction, operationId, userId, items });
+  const selectedItems = selection.indexes.map(index => items[index]);
+  const partial = selectedItems.length < items.length;
+
+  const maxSize = adminUser ? Infinity : MAX_VIDEO_SIZE;
+  const fileData = await downloadPickerItems(selectedItems, adminUser, maxSize);
+
+  logOperationStep(operationId, 'download_complete', 'success', {
+    message: 'File downloaded successfully',
+    metadata: { url, fileCount: fileData.length, pickerItems: items.length },
+  });
+
+  return {
+    fileData,
+    pickerHash: partial ? hashUrlWithParams(url, { pickerItems: selection.indexes }) : urlHash,
+    pickerSelection: {
+      itemCount: items.length,
+      selectedIndexes: selection.indexes,
+      source: selection.source,
+    },
+  };
+}
+
 /**
  * Handle download error
  * @param {Object} params - Parameters
@@ -34,9 +34,12 @@ const { gifStoragePath: GIF_STORAGE_PATH, cdnBaseUrl: CDN_BASE_URL } = botConfig
  * @param {Array} params.fileData - Array of file data objects
  * @param {string} params.operationId - Operation ID
  * @param {string} params.urlHash - URL hash for caching
+ * @param {string|null} [params.sourceUrl] - URL the files were downloaded from
  * @param {string} params.userId - User ID
  * @param {string} params.username - Username
  * @param {boolean} params.adminUser - Whether user is admin
+ * @param {Object|null} [params.pickerSelection] - Which items the user chose ({itemCount, selectedIndexes, source})
+ * @param {number|null} [params.discordUploadLimit] - Attachment size limit of the guild (0 = always R2)
  * @returns {Promise<void>}
  */
 export async function processPickerResponse({
@@ -44,9 +47,12 @@ export async function processPickerResponse({
   fileData,
   operationId,
   urlHash,
+  sourceUrl = null,
   userId,
   username,
   adminUser,
+  pickerSelection = null,
+  discordUploadLimit = null,
 }) {
   logger.info(`Processing ${fileData.length} media files from picker`);
 
@@ -70,7 +76,10 @@ export async function processPickerResponse({
   }
 
   // Calculate upload destinations
-  const shouldUploadToDiscord = calculateUploadDestinations(mediaResults);
+  const shouldUploadToDiscord = calculateUploadDestinations(
+    mediaResults,
+    discordUploadLimit ?? undefined
+  );
 
   // Re-upload to R2 if file was saved locally but should be on R2
   for (let i = 0; i < mediaResults.length; i++) {
@@ -87,6 +96,7 @@ export async function processPickerResponse({
   updateOperationStatus(operationId, 'success', {
     fileSize: totalSize,
     mediaCount: mediaResults.length,
+    ...(pickerSelection && { pickerSelection }),
   });
 
   recordRateLimit(userId);
@@ -98,7 +108,8 @@ export async function processPickerResponse({
     shouldUploadToDiscord,
     urlHash,
     userId,
-    adminUser
+    adminUser,
+    sourceUrl
   );
 
   await notifyCommandSuccess(username, 'download', { operationId, userId });
@@ -19,7 +19,8 @@ import {
   detectFileType,
   trackTemporaryUpload,
 } from '../../utils/storage.js';
-import { extractR2KeyFromUrl, formatR2UrlWithDisclaimer } from '../../utils/r2-storage.js';
+import { formatR2UrlWithDisclaimer } from '../../utils/r2-storage.js';
+import { getRemoteStorageDriver } from '../../utils/storage-driver.js';
 import { insertProcessedUrl } from '../../utils/database.js';
 import { updateOperationStatus } from '../../utils/operations-tracker.js';
 import { recordRateLimit } from '../../utils/rate-limit.js';
@@ -40,12 +41,14 @@ const { gifStoragePath: GIF_STORAGE_PATH } = botConfig;
  * @param {Object} params.fileData - File data object with buffer, filename, contentType, size
  * @param {string} params.operationId - Operation ID
  * @param {string} params.urlHash - URL hash for caching
+ * @param {string|null} [params.sourceUrl] - URL the file was downloaded from
  * @param {string} params.userId - User ID
  * @param {string} params.username - Username
  * @param {boolean} params.adminUser - Whether user is admin
  * @param {number|null} params.startTime - Start time for trimming
  * @param {number|null} params.duration - Duration for trimming
  * @param {string} params.downloadMethod - Download method ('ytdlp' or 'cobalt')
+ * @param {number|null} [params.discordUploadLimit] - Attachment size limit of the guild (0 = always R2)
  * @returns {Promise<void>}
  */
 export async function processSingleFile({
@@ -53,14 +56,17 @@ export async function processSingleFile({
   fileData,
   operationId,
   urlHash,
+  sourceUrl = null,
   userId,
   username,
   adminUser,
   startTime,
   duration,
   downloadMethod,
+  discordUploadLimit = null,
 }) {
   const metadata = buildMetadata(userId, username);
+  const storageOptions = { discordUploadLimit };
   let hash = generateHash(fileData.buffer);
   let ext = path.extname(fileData.filename).toLowerCase() || '.mp4';
   let fileType = detectFileType(ext, fileData.contentType);
@@ -83,6 +89,7 @@ export async function processSingleFile({
         hash,
         ext,
         urlHash,
+        sourceUrl,
         userId,
         username,
         adminUser,
@@ -117,6 +124,7 @@ export async function processSingleFile({
         hash,
         ext: '.gif',
         urlHash,
+        sourceUrl,
         userId,
         username,
         adminUser,
@@ -127,7 +135,7 @@ export async function processSingleFile({
     }
 
     // Save the trimmed GIF
-    const saveResult = await saveGif(finalBuffer, hash, GIF_STORAGE_PATH, metadata);
+    const saveResult = await saveGif(finalBuffer, hash, GIF_STORAGE_PATH, metadata, storageOptions);
     return await finalizeSave({
       interaction,
       saveResult,
@@ -135,6 +143,7 @@ export async function processSingleFile({
       hash,
       ext: '.gif',
       urlHash,
+      sourceUrl,
       userId,
       username,
       adminUser,
@@ -170,6 +179,7 @@ export async function processSingleFile({
             hash,
             ext: '.gif',
             urlHash,
+            sourceUrl,
             userId,
             username,
             adminUser,
@@ -180,7 +190,13 @@ export async function processSingleFile({
         }
 
         // Save as GIF
-        const saveResult = await saveGif(finalBuffer, hash, GIF_STORAGE_PATH, metadata);
+        const saveResult = await saveGif(
+          finalBuffer,
+          hash,
+          GIF_STORAGE_PATH,
+          metadata,
+          storageOptions
+        );
         return await finalizeSave({
           interaction,
           saveResult,
@@ -188,6 +204,7 @@ export async function processSingleFile({
           hash,
           ext: '.gif',
           urlHash,
+          sourceUrl,
           userId,
           username,
           adminUser,
@@ -222,6 +239,7 @@ export async function processSingleFile({
           hash,
           ext: saveExt,
           urlHash,
+          sourceUrl,
           userId,
           username,
           adminUser,
@@ -235,7 +253,14 @@ export async function processSingleFile({
     // Save the video (skip if we already saved as GIF)
     if (!treatAsGif) {
       logger.info(`Saving video (hash: ${hash}, extension: ${saveExt})`);
-      const saveResult = await saveVideo(finalBuffer, hash, saveExt, GIF_STORAGE_PATH, metadata);
+      const saveResult = await saveVideo(
+        finalBuffer,
+        hash,
+        saveExt,
+        GIF_STORAGE_PATH,
+        metadata,
+        storageOptions
+      );
       return await finalizeSave({
         interaction,
         saveResult,
@@ -243,6 +268,7 @@ export async function processSingleFile({
         hash,
         ext: saveExt,
         urlHash,
+        sourceUrl,
         userId,
         username,
         adminUser,
@@ -255,7 +281,14 @@ export async function processSingleFile({
   // Handle image
   if (fileType === 'image') {
     logger.info(`Saving image (hash: ${hash}, extension: ${ext})`);
-    const saveResult = await saveImage(fileData.buffer, hash, ext, GIF_STORAGE_PATH, metadata);
+    const saveResult = await saveImage(
+      fileData.buffer,
+      hash,
+      ext,
+      GIF_STORAGE_PATH,
+      metadata,
+      storageOptions
+    );
     return await finalizeSave({
       interaction,
       saveResult,
@@ -263,6 +296,7 @@ export async function processSingleFile({
       hash,
       ext,
       urlHash,
+      sourceUrl,
       userId,
       username,
       adminUser,
@@ -273,7 +307,7 @@ export async function processSingleFile({
 
   // Default: save as GIF
   logger.info(`Saving GIF (hash: ${hash})`);
-  const saveResult = await saveGif(finalBuffer, hash, GIF_STORAGE_PATH, metadata);
+  const saveResult = await saveGif(finalBuffer, hash, GIF_STORAGE_PATH, metadata, storageOptions);
   return await finalizeSave({
     interaction,
     saveResult,
@@ -281,6 +315,7 @@ export async function processSingleFile({
     hash,
     ext: '.gif',
     urlHash,
+    sourceUrl,
     userId,
     username,
     adminUser,
@@ -322,6 +357,7 @@ async function handleExistingFile({
   hash,
   ext,
   urlHash,
+  sourceUrl,
   userId,
   username,
   adminUser,
@@ -344,14 +380,24 @@ async function handleExistingFile({
   }
 
   // Record in database
-  await insertProcessedUrl(urlHash, hash, fileType, ext, fileUrl, Date.now(), userId, existingSize);
+  await insertProcessedUrl(
+    urlHash,
+    hash,
+    fileType,
+    ext,
+    fileUrl,
+    Date.now(),
+    userId,
+    existingSize,
+    sourceUrl
+  );
   logger.debug(`Recorded processed URL in database (urlHash: ${urlHash.substring(0, 8)}...)`);
 
   updateOperationStatus(operationId, 'success', { fileSize: existingSize });
   recordRateLimit(userId);
 
   await safeInteractionEditReply(interaction, {
-    content: formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
+    content: await formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
   });
 
   await notifyCommandSuccess(username, 'download', { operationId, userId });
@@ -369,6 +415,7 @@ async function finalizeSave({
   hash,
   ext,
   urlHash,
+  sourceUrl,
   userId,
   username,
   adminUser,
@@ -395,12 +442,22 @@ async function finalizeSave({
   );
 
   // Record in database
-  await insertProcessedUrl(urlHash, hash, fileType, ext, fileUrl, Date.now(), userId, finalSize);
+  await insertProcessedUrl(
+    urlHash,
+    hash,
+    fileType,
+    ext,
+    fileUrl,
+    Date.now(),
+    userId,
+    finalSize,
+    sourceUrl
+  );
   logger.debug(`Recorded processed URL in database (urlHash: ${urlHash.substring(0, 8)}...)`);
 
   // Track temporary upload if R2
   if (finalUploadMethod === 'r2' && fileUrl.startsWith('https://')) {
-    const r2Key = extractR2KeyFromUrl(fileUrl, r2Config);
+    const r2Key = getRemoteStorageDriver()?.keyFromUrl(fileUrl);
     if (r2Key) {
       await trackTemporaryUpload(urlHash, r2Key, null, adminUser);
     }
@@ -418,6 +475,7 @@ async function finalizeSave({
       fileType,
       fileUrl,
       urlHash,
+      sourceUrl,
       userId,
       username,
       fileSize: finalSize,
@@ -425,7 +483,7 @@ async function finalizeSave({
     });
   } else {
     await safeInteractionEditReply(interaction, {
-      content: formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
+      content: await formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
     });
   }
 
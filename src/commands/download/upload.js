@@ -6,13 +6,10 @@ import path from 'path';
 import { createLogger } from '../../utils/logger.js';
 import { botConfig, r2Config } from '../../utils/config.js';
 import {
-  uploadGifToR2,
-  uploadVideoToR2,
-  uploadImageToR2,
-  extractR2KeyFromUrl,
   formatR2UrlWithDisclaimer,
   formatMultipleR2UrlsWithDisclaimer,
 } from '../../utils/r2-storage.js';
+import { getRemoteStorageDriver, getStorageKey } from '../../utils/storage-driver.js';
 import { trackTemporaryUpload } from '../../utils/storage.js';
 import { insertProcessedUrl } from '../../utils/database.js';
 import { safeInteractionEditReply } from '../../utils/interaction-helpers.js';
@@ -25,13 +22,14 @@ const { discordSizeLimit: DISCORD_SIZE_LIMIT, cdnBaseUrl: CDN_BASE_URL } = botCo
 /**
  * Calculate which files should go to Discord vs R2 using greedy packing
  * @param {Array} mediaResults - Array of media result objects with size property
+ * @param {number} [sizeLimit] - Total attachment size limit in bytes (default: DISCORD_SIZE_LIMIT)
  * @returns {boolean[]} Array of booleans, true if file should go to Discord
  */
-export function calculateUploadDestinations(mediaResults) {
+export function calculateUploadDestinations(mediaResults, sizeLimit = DISCORD_SIZE_LIMIT) {
   const totalSize = mediaResults.reduce((sum, r) => sum + r.size, 0);
   const shouldUploadToDiscord = [];
 
-  if (totalSize < DISCORD_SIZE_LIMIT) {
+  if (totalSize < sizeLimit) {
     // All files fit in Discord
     logger.info(
       `Total size: ${(totalSize / (1024 * 1024)).toFixed(2)}MB, sending all files as Discord attachments`
@@ -44,7 +42,7 @@ export function calculateUploadDestinations(mediaResults) {
     let accumulatedSize = 0;
     let discordCount = 0;
     for (let i = 0; i < mediaResults.length; i++) {
-      if (accumulatedSize + mediaResults[i].size < DISCORD_SIZE_LIMIT) {
+      if (accumulatedSize + mediaResults[i].size < sizeLimit) {
         shouldUploadToDiscord[i] = true;
         accumulatedSize += mediaResults[i].size;
         discordCount++;
@@ -60,6 +58,23 @@ export function calculateUploadDestinations(mediaResults) {
   return shouldUploadToDiscord;
 }
 
+/**
+ * Upload a file to remote storage (see STORAGE_DRIVER)
+ * @param {Buffer} buffer - File buffer
+ * @param {string} hash - File hash
+ * @param {string} fileType - 'gif', 'video' or 'image'
+ * @param {string} ext - File extension
+ * @param {Object} metadata - Upload metadata
+ * @returns {Promise<string|null>} Public URL, or null when files are stored locally
+ */
+async function uploadToRemoteStorage(buffer, hash, fileType, ext, metadata) {
+  const remote = getRemoteStorageDriver();
+  if (!remote || !['gif', 'video', 'image'].includes(fileType)) {
+    return null;
+  }
+  return await remote.put(getStorageKey(hash, fileType, ext), buffer, { metadata });
+}
+
 /**
  * Re-upload a locally saved file to R2
  * @param {Object} result - Media result object
@@ -77,13 +92,13 @@ export async function reuploadToR2(result, index, userId, username) {
   let r2Url = null;
 
   try {
-    if (result.fileType === 'video') {
-      r2Url = await uploadVideoToR2(result.buffer, result.hash, result.ext, r2Config, metadata);
-    } else if (result.fileType === 'image') {
-      r2Url = await uploadImageToR2(result.buffer, result.hash, result.ext, r2Config, metadata);
-    } else if (result.fileType === 'gif') {
-      r2Url = await uploadGifToR2(result.buffer, result.hash, r2Config, metadata);
-    }
+    r2Url = await uploadToRemoteStorage(
+      result.buffer,
+      result.hash,
+      result.fileType,
+      result.ext,
+      metadata
+    );
 
     if (r2Url) {
       logger.info(`Successfully re-uploaded media ${index + 1} to R2: ${r2Url}`);
@@ -103,6 +118,7 @@ export async function reuploadToR2(result, index, userId, username) {
  * @param {string} urlHash - URL hash for database recording
  * @param {string} userId - User ID
  * @param {boolean} adminUser - Whether user is admin
+ * @param {string|null} [sourceUrl] - URL the files were downloaded from
  * @returns {Promise<void>}
  */
 export async function sendMultipleMedia(
@@ -111,7 +127,8 @@ export async function sendMultipleMedia(
   shouldUploadToDiscord,
   urlHash,
   userId,
-  adminUser
+  adminUser,
+  sourceUrl = null
 ) {
   // Separate files by intended upload method
   const discordFiles = mediaResults.filter((_, i) => shouldUploadToDiscord[i]);
@@ -126,7 +143,7 @@ export async function sendMultipleMedia(
 
   // Prepare R2 URLs with single disclaimer
   const r2Urls = r2Files.map(r => r.url);
-  const content = formatMultipleR2UrlsWithDisclaimer(r2Urls, r2Config, adminUser);
+  const content = await formatMultipleR2UrlsWithDisclaimer(r2Urls, r2Config, adminUser);
 
   // Send single message with both attachments and URLs
   logger.info(
@@ -151,7 +168,8 @@ export async function sendMultipleMedia(
           discordAttachment.url,
           Date.now(),
           userId,
-          discordFiles[i].size
+          discordFiles[i].size,
+          sourceUrl
         );
       }
     }
@@ -167,11 +185,12 @@ export async function sendMultipleMedia(
       result.url,
       Date.now(),
       userId,
-      result.size
+      result.size,
+      sourceUrl
     );
 
     // Track temporary upload
-    const r2Key = extractR2KeyFromUrl(result.url, r2Config);
+    const r2Key = getRemoteStorageDriver()?.keyFromUrl(result.url);
     if (r2Key) {
       await trackTemporaryUpload(urlHash, r2Key, null, adminUser);
     }
@@ -188,6 +207,7 @@ export async function sendMultipleMedia(
  * @param {string} params.fileType - File type
  * @param {string} params.fileUrl - CDN/R2 URL for fallback
  * @param {string} params.urlHash - URL hash for database
+ * @param {string|null} [params.sourceUrl] - URL the file was downloaded from
  * @param {string} params.userId - User ID
  * @param {string} params.username - Username
  * @param {number} params.fileSize - File size in bytes
@@ -202,6 +222,7 @@ export async function sendSingleFileToDiscord({
   fileType,
   fileUrl,
   urlHash,
+  sourceUrl = null,
   userId,
   username,
   fileSize,
@@ -251,7 +272,8 @@ export async function sendSingleFileToDiscord({
         discordUrl,
         Date.now(),
         userId,
-        fileSize
+        fileSize,
+        sourceUrl
       );
       logger.debug(
         `Updated processed URL in database with Discord URL (urlHash: ${urlHash.substring(0, 8)}...)`
@@ -268,6 +290,7 @@ export async function sendSingleFileToDiscord({
       fileType,
       fileUrl,
       urlHash,
+      sourceUrl,
       userId,
       fileSize,
       adminUser,
@@ -289,40 +312,44 @@ async function handleR2Fallback({
   fileType,
   fileUrl,
   urlHash,
+  sourceUrl = null,
   userId,
   fileSize,
   adminUser,
   metadata,
 }) {
   try {
-    let r2Url = null;
-    if (fileType === 'gif') {
-      r2Url = await uploadGifToR2(buffer, hash, r2Config, metadata);
-    } else if (fileType === 'video') {
-      r2Url = await uploadVideoToR2(buffer, hash, ext, r2Config, metadata);
-    } else if (fileType === 'image') {
-      r2Url = await uploadImageToR2(buffer, hash, ext, r2Config, metadata);
-    }
+    const r2Url = await uploadToRemoteStorage(buffer, hash, fileType, ext, metadata);
 
     if (r2Url) {
-      await insertProcessedUrl(urlHash, hash, fileType, ext, r2Url, Date.now(), userId, fileSize);
-      const r2Key = extractR2KeyFromUrl(r2Url, r2Config);
+      await insertProcessedUrl(
+        urlHash,
+        hash,
+        fileType,
+        ext,
+        r2Url,
+        Date.now(),
+        userId,
+        fileSize,
+        sourceUrl
+      );
+      const r2Key = getRemoteStorageDriver().keyFromUrl(r2Url);
       if (r2Key) {
         await trackTemporaryUpload(urlHash, r2Key, null, adminUser);
       }
       await safeInteractionEditReply(interaction, {
-        content: formatR2UrlWithDisclaimer(r2Url, r2Config, adminUser),
+        content: await formatR2UrlWithDisclaimer(r2Url, r2Config, adminUser),
       });
     } else {
       // If R2 upload also fails, use the original fileUrl
       await safeInteractionEditReply(interaction, {
-        content: formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
+        content: await formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
       });
     }
   } catch (r2Error) {
     logger.error(`R2 fallback upload also failed: ${r2Error.message}`);
     await safeInteractionEditReply(interaction, {
-      content: formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
+      content: await formatR2UrlWithDisclaimer(fileUrl, r2Config, adminUser),
     });
   }
 }
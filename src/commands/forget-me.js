@@ -0,0 +1,129 @@
+/**
+ * /forget-me command
+ * Erases everything stored about the user who runs it after they confirm with a button.
+ * The buttons carry the user ID and the time they were shown, so only that user can press
+ * them and they stop working after a few minutes.
+ */
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { createLogger } from '../utils/logger.js';
+import { safeInteractionReply, safeInteractionEditReply } from '../utils/interaction-helpers.js';
+import { forgetUser } from '../utils/user-data.js';
+
+const logger = createLogger('forget-me');
+
+// Custom ID prefix routed to handleForgetMeInteraction by bot.js
+export const FORGET_CUSTOM_ID_PREFIX = 'forget';
+
+// How long the confirmation buttons keep working
+export const FORGET_CONFIRMATION_TTL = 5 * 60 * 1000;
+
+/**
+ * Parse a /forget-me button custom ID
+ * @param {string} customId - Component custom ID
+ * @returns {{action: 'confirm'|'cancel', userId: string, issuedAt: number}|null} Parsed ID, or null if it is not a /forget-me button
+ *
+ * @example
+ * parseForgetCustomId('forget:confirm:123:1714521600000') // { action: 'confirm', userId: '123', issuedAt: 1714521600000 }
+ * parseForgetCustomId('history:repost:abc123')            // null
+ */
+export function parseForgetCustomId(customId) {
+  const parts = typeof customId === 'string' ? customId.split(':') : [];
+  if (
+    parts.length !== 4 ||
+    parts[0] !== FORGET_CUSTOM_ID_PREFIX ||
+    !['confirm', 'cancel'].includes(parts[1]) ||
+    !/^\d+$/.test(parts[2]) ||
+    !/^\d+$/.test(parts[3])
+  ) {
+    return null;
+  }
+  return { action: parts[1], userId: parts[2], issuedAt: Number(parts[3]) };
+}
+
+/**
+ * Build the confirmation prompt for /forget-me
+ * @param {string} userId - User asking to be forgotten
+ * @param {number} [issuedAt=Date.now()] - When the prompt is shown
+ * @returns {Object} Message payload with content and components
+ */
+export function buildForgetConfirmation(userId, issuedAt = Date.now()) {
+  const confirm = new ButtonBuilder()
+    .setCustomId(`${FORGET_CUSTOM_ID_PREFIX}:confirm:${userId}:${issuedAt}`)
+    .setLabel('erase everything')
+    .setStyle(ButtonStyle.Danger);
+  const cancel = new ButtonBuilder()
+    .setCustomId(`${FORGET_CUSTOM_ID_PREFIX}:cancel:${userId}:${issuedAt}`)
+    .setLabel('cancel')
+    .setStyle(ButtonStyle.Secondary);
+
+  return {
+    content:
+      '**erase all your data?**\n' +
+      'this deletes every file you made (from r2 and local storage), your history, ' +
+      'preferences, usage stats and operation logs. this cannot be undone.\n' +
+      'the buttons expire in 5 minutes.',
+    components: [new ActionRowBuilder().addComponents(confirm, cancel)],
+  };
+}
+
+/**
+ * Handle the /forget-me command
+ * @param {Interaction} interaction - Discord interaction
+ */
+export async function handleForgetMeCommand(interaction) {
+  await safeInteractionReply(interaction, {
+    ...buildForgetConfirmation(interaction.user.id),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle the /forget-me confirm and cancel buttons
+ * @param {Interaction} interaction - Discord button interaction
+ * @returns {Promise<void>}
+ */
+export async function handleForgetMeInteraction(interaction) {
+  const parsed = parseForgetCustomId(interaction.customId);
+  if (!parsed) {
+    return;
+  }
+
+  if (parsed.userId !== interaction.user.id) {
+    await safeInteractionReply(interaction, {
+      content: 'only the person who ran the command can use these buttons.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (parsed.action === 'cancel') {
+    await interaction.update({ content: 'cancelled. nothing was erased.', components: [] });
+    return;
+  }
+
+  if (Date.now() - parsed.issuedAt > FORGET_CONFIRMATION_TTL) {
+    await interaction.update({
+      content: 'this confirmation has expired. run /forget-me again.',
+      components: [],
+    });
+    return;
+  }
+
+  // Erasing many files takes a while, so acknowledge the button first
+  await interaction.update({ content: 'erasing your data...', components: [] });
+
+  try {
+    const summary = await forgetUser(interaction.user);
+    const failed = summary.files - summary.filesDeleted;
+    await safeInteractionEditReply(interaction, {
+      content:
+        `your data has been erased: ${summary.filesDeleted} files deleted.` +
+        (failed > 0 ? ` ${failed} files could not be deleted, run /forget-me again.` : ''),
+    });
+  } catch (error) {
+    logger.error(`Failed to erase data of user ${interaction.user.id}:`, error);
+    await safeInteractionEditReply(interaction, {
+      content: 'failed to erase your data. please try again later.',
+    });
+  }
+}
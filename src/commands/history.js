@@ -0,0 +1,390 @@
+/**
+ * /history command
+ * Lists the files a user has made, a page at a time, with buttons to page through them,
+ * to post a file again and to delete it. Page state lives in the button custom IDs, so old pages keep working
+ * after a restart and in a separate worker process.
+ */
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { createLogger } from '../utils/logger.js';
+import { safeInteractionReply } from '../utils/interaction-helpers.js';
+import {
+  getUserMedia,
+  getUserMediaCount,
+  getProcessedUrl,
+  touchProcessedUrl,
+} from '../utils/database.js';
+import { formatFileSize } from '../utils/storage.js';
+import { findBlockedContent } from '../utils/blocklist.js';
+import { isDiscordCdnUrl, getRefreshedAttachmentURL } from '../utils/discord-cdn.js';
+import { getGuildSettings, getGuildReplyOptions } from '../utils/guild-settings.js';
+import { formatR2UrlWithDisclaimer } from '../utils/r2-storage.js';
+import { getTemporaryLink } from '../utils/temporary-links.js';
+import { isAdmin } from '../utils/rate-limit.js';
+import { r2Config } from '../utils/config.js';
+import { deleteOwnFile } from './delete.js';
+
+const logger = createLogger('history');
+
+// Custom ID prefix routed to handleHistoryInteraction by bot.js
+export const HISTORY_CUSTOM_ID_PREFIX = 'history';
+
+// Button actions that target a single file by its processed URL hash
+const ENTRY_ACTIONS = ['repost', 'delete', 'confirm-delete'];
+
+// One repost and one delete button per entry, and Discord allows 5 buttons per row
+export const HISTORY_PAGE_SIZE = 5;
+
+export const HISTORY_FILE_TYPES = ['gif', 'video', 'image'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD date filter (UTC)
+ * @param {string|null|undefined} value - Raw date
+ * @param {boolean} [endOfDay=false] - Return the end of the day instead of its start
+ * @returns {{timestamp: number|null, error: string|null}} Timestamp in ms (null when not given)
+ *
+ * @example
+ * parseHistoryDate('2024-05-01')       // { timestamp: 1714521600000, error: null }
+ * parseHistoryDate('2024-05-01', true) // { timestamp: 1714608000000, error: null }
+ */
+export function parseHistoryDate(value, endOfDay = false) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { timestamp: null, error: null };
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const timestamp = match
+    ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : NaN;
+  // Date.UTC rolls invalid days over (2024-02-31 becomes March 2), so check it round-trips
+  if (Number.isNaN(timestamp) || new Date(timestamp).toISOString().slice(0, 10) !== match[0]) {
+    return { timestamp: null, error: 'dates must look like 2024-05-01' };
+  }
+
+  return { timestamp: endOfDay ? timestamp + DAY_MS : timestamp, error: null };
+}
+
+/**
+ * Build the custom ID of a page button
+ * @param {string} userId - User the history belongs to
+ * @param {number} page - Page to show (0-based)
+ * @param {Object} filters - History filters
+ * @returns {string} Custom ID
+ */
+export function buildHistoryPageId(userId, page, { fileType = null, since = null, until = null }) {
+  return [
+    HISTORY_CUSTOM_ID_PREFIX,
+    'page',
+    userId,
+    page,
+    fileType || '-',
+    since ?? '-',
+    until ?? '-',
+  ].join(':');
+}
+
+/**
+ * Parse a history component custom ID
+ * @param {string} customId - Component custom ID
+ * @returns {Object|null} {action: 'page', userId, page, filters} or {action: 'repost'|'delete'|'confirm-delete', urlHash}, or null if it is not a history component
+ *
+ * @example
+ * parseHistoryCustomId('history:repost:abc123') // { action: 'repost', urlHash: 'abc123' }
+ * parseHistoryCustomId('history:delete:abc123') // { action: 'delete', urlHash: 'abc123' }
+ * parseHistoryCustomId('picker:all:abc123')     // null
+ */
+export function parseHistoryCustomId(customId) {
+  const parts = typeof customId === 'string' ? customId.split(':') : [];
+  if (parts[0] !== HISTORY_CUSTOM_ID_PREFIX) {
+    return null;
+  }
+
+  if (ENTRY_ACTIONS.includes(parts[1]) && parts.length === 3 && parts[2]) {
+    return { action: parts[1], urlHash: parts[2] };
+  }
+
+  if (parts[1] !== 'page' || parts.length !== 7) {
+    return null;
+  }
+  const [, , userId, page, fileType, since, until] = parts;
+  const parseTime = value => (value === '-' ? null : Number(value));
+  if (
+    !/^\d+$/.test(userId) ||
+    !/^\d+$/.test(page) ||
+    (fileType !== '-' && !HISTORY_FILE_TYPES.includes(fileType)) ||
+    [since, until].some(value => value !== '-' && !/^\d+$/.test(value))
+  ) {
+    return null;
+  }
+
+  return {
+    action: 'page',
+    userId,
+    page: Number(page),
+    filters: {
+      fileType: fileType === '-' ? null : fileType,
+      since: parseTime(since),
+      until: parseTime(until),
+    },
+  };
+}
+
+/**
+ * Build one page of a user's history
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User the history belongs to
+ * @param {Array<Object>} params.entries - Processed URL records on this page
+ * @param {number} params.total - Number of records matching the filters
+ * @param {number} params.page - Page shown (0-based)
+ * @param {Object} params.filters - History filters
+ * @returns {Object} Message payload with content, embeds and components
+ */
+export function buildHistoryMessage({ userId, entries, total, page, filters }) {
+  const filtered = Boolean(filters.fileType || filters.since !== null || filters.until !== null);
+  if (total === 0) {
+    return {
+      content: filtered ? 'no files match these filters.' : 'you have no saved files yet.',
+      embeds: [],
+      components: [],
+    };
+  }
+
+  const pageCount = Math.ceil(total / HISTORY_PAGE_SIZE);
+  const firstNumber = page * HISTORY_PAGE_SIZE + 1;
+
+  const lines = entries.map((entry, position) => {
+    const processedAt = Math.floor(entry.processed_at / 1000);
+    const size = entry.file_size ? ` · ${formatFileSize(entry.file_size)}` : '';
+    return `**${firstNumber + position}.** ${entry.file_type}${size} · <t:${processedAt}:R> · [open](${entry.file_url})`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('your history')
+    .setColor(0x5865f2)
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `page ${page + 1} of ${pageCount} · ${total} files` });
+
+  const reposts = entries.map((entry, position) =>
+    new ButtonBuilder()
+      .setCustomId(`${HISTORY_CUSTOM_ID_PREFIX}:repost:${entry.url_hash}`)
+      .setLabel(`repost ${firstNumber + position}`)
+      .setStyle(ButtonStyle.Secondary)
+  );
+  const deletes = entries.map((entry, position) =>
+    new ButtonBuilder()
+      .setCustomId(`${HISTORY_CUSTOM_ID_PREFIX}:delete:${entry.url_hash}`)
+      .setLabel(`delete ${firstNumber + position}`)
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  const previous = new ButtonBuilder()
+    .setCustomId(buildHistoryPageId(userId, Math.max(page - 1, 0), filters))
+    .setLabel('prev')
+    .setStyle(ButtonStyle.Primary)
+    .setDisabled(page === 0);
+  const next = new ButtonBuilder()
+    .setCustomId(buildHistoryPageId(userId, page + 1, filters))
+    .setLabel('next')
+    .setStyle(ButtonStyle.Primary)
+    .setDisabled(page + 1 >= pageCount);
+
+  return {
+    content: '',
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(reposts),
+      new ActionRowBuilder().addComponents(deletes),
+      new ActionRowBuilder().addComponents(previous, next),
+    ],
+  };
+}
+
+/**
+ * Load one page of a user's history
+ * Pages past the end (files were removed since) show the last page instead
+ * @param {string} userId - Discord user ID
+ * @param {number} page - Page to show (0-based)
+ * @param {Object} filters - History filters
+ * @returns {Promise<Object>} Message payload (see buildHistoryMessage)
+ */
+async function loadHistoryPage(userId, page, filters) {
+  const total = await getUserMediaCount(userId, filters);
+  const lastPage = Math.max(Math.ceil(total / HISTORY_PAGE_SIZE) - 1, 0);
+  const shownPage = Math.min(page, lastPage);
+  const entries =
+    total > 0
+      ? await getUserMedia(userId, {
+          ...filters,
+          limit: HISTORY_PAGE_SIZE,
+          offset: shownPage * HISTORY_PAGE_SIZE,
+        })
+      : [];
+
+  // Link temporary uploads the way they were shared, so the list doesn't hand out permanent URLs
+  if (r2Config.tempUploadsEnabled && !isAdmin(userId)) {
+    for (const entry of entries) {
+      entry.file_url = (await getTemporaryLink(entry.file_url)).url;
+    }
+  }
+  return buildHistoryMessage({ userId, entries, total, page: shownPage, filters });
+}
+
+/**
+ * Handle the /history command
+ * The list is only shown to the user who ran it
+ * @param {Interaction} interaction - Discord interaction
+ */
+export async function handleHistoryCommand(interaction) {
+  const userId = interaction.user.id;
+
+  const fileType = interaction.options.getString('type');
+  const since = parseHistoryDate(interaction.options.getString('since'));
+  const until = parseHistoryDate(interaction.options.getString('until'), true);
+  const dateError =
+    since.error || until.error
+      ? `invalid date: ${since.error || until.error}.`
+      : since.timestamp !== null && until.timestamp !== null && until.timestamp <= since.timestamp
+        ? 'until must be on or after since.'
+        : null;
+  if (dateError) {
+    await safeInteractionReply(interaction, {
+      content: dateError,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const filters = { fileType, since: since.timestamp, until: until.timestamp };
+  try {
+    const message = await loadHistoryPage(userId, 0, filters);
+    await safeInteractionReply(interaction, { ...message, flags: MessageFlags.Ephemeral });
+  } catch (error) {
+    logger.error(`Failed to load history for user ${userId}:`, error);
+    await safeInteractionReply(interaction, {
+      content: 'failed to load your history. please try again later.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
+
+/**
+ * Post a file from a user's history in the current channel
+ * Only the user who made the file can repost it, and blocked files are refused
+ * @param {Interaction} interaction - Discord button interaction
+ * @param {string} urlHash - Processed URL hash of the file
+ */
+async function repostHistoryEntry(interaction, urlHash) {
+  const record = await getProcessedUrl(urlHash);
+  if (!record || record.user_id !== interaction.user.id) {
+    await safeInteractionReply(interaction, {
+      content: 'this file is no longer available.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const blocked = await findBlockedContent({
+    urlHashes: [record.url_hash],
+    fileHashes: [record.file_hash],
+  });
+  if (blocked) {
+    logger.warn(
+      `Refused repost of blocked file ${urlHash.substring(0, 8)}... for user ${interaction.user.id} (blocklist entry ${blocked.id})`
+    );
+    await safeInteractionReply(interaction, {
+      content: 'this file has been blocked and cannot be reposted.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Discord attachment links expire, so ask Discord for a fresh one
+  // Temporary uploads get a link that expires with them
+  const fileUrl = isDiscordCdnUrl(record.file_url)
+    ? await getRefreshedAttachmentURL(interaction.client, record.file_url)
+    : await formatR2UrlWithDisclaimer(record.file_url, r2Config, isAdmin(interaction.user.id));
+
+  logger.info(`User ${interaction.user.id} reposted ${urlHash.substring(0, 8)}... from history`);
+  await touchProcessedUrl(urlHash);
+  await safeInteractionReply(interaction, {
+    content: fileUrl,
+    ...getGuildReplyOptions(await getGuildSettings(interaction.guildId)),
+  });
+}
+
+/**
+ * Ask the user to confirm deleting a file from their history
+ * @param {Interaction} interaction - Discord button interaction
+ * @param {string} urlHash - Processed URL hash of the file
+ */
+async function confirmHistoryDelete(interaction, urlHash) {
+  const record = await getProcessedUrl(urlHash);
+  if (!record || record.user_id !== interaction.user.id) {
+    await safeInteractionReply(interaction, {
+      content: 'this file is no longer available.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const confirm = new ButtonBuilder()
+    .setCustomId(`${HISTORY_CUSTOM_ID_PREFIX}:confirm-delete:${urlHash}`)
+    .setLabel('delete')
+    .setStyle(ButtonStyle.Danger);
+  await safeInteractionReply(interaction, {
+    content: `delete this file? this cannot be undone.\n${record.file_url}`,
+    components: [new ActionRowBuilder().addComponents(confirm)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle a history page, repost or delete button
+ * @param {Interaction} interaction - Discord button interaction
+ * @returns {Promise<void>}
+ */
+export async function handleHistoryInteraction(interaction) {
+  const parsed = parseHistoryCustomId(interaction.customId);
+  if (!parsed) {
+    return;
+  }
+
+  try {
+    if (parsed.action === 'repost') {
+      await repostHistoryEntry(interaction, parsed.urlHash);
+      return;
+    }
+    if (parsed.action === 'delete') {
+      await confirmHistoryDelete(interaction, parsed.urlHash);
+      return;
+    }
+    if (parsed.action === 'confirm-delete') {
+      await deleteOwnFile(interaction, parsed.urlHash);
+      return;
+    }
+
+    if (parsed.userId !== interaction.user.id) {
+      await safeInteractionReply(interaction, {
+        content: 'only the person who ran the command can change pages.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const message = await loadHistoryPage(parsed.userId, parsed.page, parsed.filters);
+    await interaction.update(message);
+  } catch (error) {
+    logger.error(`Failed to handle history button for user ${interaction.user.id}:`, error);
+    await safeInteractionReply(interaction, {
+      content: 'failed to load your history. please try again later.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -14,6 +14,7 @@ import { validateUrl } from '../utils/validation.js';
 import { ValidationError } from '../utils/errors.js';
 import { downloadImage, downloadFileFromUrl, parseTenorUrl } from '../utils/file-downloader.js';
 import { checkRateLimit, isAdmin, recordRateLimit } from '../utils/rate-limit.js';
+import { enforceQuota } from '../utils/quotas.js';
 import {
   isGifFile,
   extractHashFromCdnUrl,
@@ -22,11 +23,9 @@ import {
   calculateSizeReduction,
 } from '../utils/gif-optimizer.js';
 import { getGifPath, cleanupTempFiles, saveGif } from '../utils/storage.js';
-import {
-  uploadGifToR2,
-  extractR2KeyFromUrl,
-  formatR2UrlWithDisclaimer,
-} from '../utils/r2-storage.js';
+import { trimGif } from '../utils/video-processor.js';
+import { formatR2UrlWithDisclaimer } from '../utils/r2-storage.js';
+import { getRemoteStorageDriver, getStorageKey } from '../utils/storage-driver.js';
 import { trackTemporaryUpload } from '../utils/storage.js';
 import {
   createOperation,
@@ -37,14 +36,25 @@ import {
 } from '../utils/operations-tracker.js';
 import { notifyCommandSuccess, notifyCommandFailure } from '../utils/ntfy-notifier.js';
 import { hashUrlWithParams } from '../utils/cobalt-queue.js';
-import { insertProcessedUrl, getProcessedUrl } from '../utils/database.js';
+import { insertProcessedUrl, getProcessedUrl, touchProcessedUrl } from '../utils/database.js';
 import { r2Config } from '../utils/config.js';
 import { hashPartsHex } from '../utils/hashing.js';
+import { assertNotBlocked } from '../utils/blocklist.js';
 import {
   safeInteractionReply,
   safeInteractionEditReply,
   safeInteractionDeferReply,
+  safeInteractionShowModal,
 } from '../utils/interaction-helpers.js';
+import { getGuildSettings } from '../utils/guild-settings.js';
+import {
+  getUserPreferences,
+  getInteractionReplyOptions,
+  getUploadLimit,
+} from '../utils/user-preferences.js';
+import { enqueueJob, serializeAttachment } from '../utils/job-queue.js';
+import { parseTargetSize, buildLossyCandidates, renderToTargetSize } from '../utils/target-size.js';
+import { parseEffect, formatEffect } from '../utils/conversion-options.js';
 
 const logger = createLogger('optimize');
 
@@ -76,34 +86,6 @@ async function safeReply(interaction, options) {
   }
 }
 
-/**
- * Safely show a modal with error handling
- * @param {Interaction} interaction - Discord interaction
- * @param {ModalBuilder} modal - Modal to show
- * @returns {Promise<boolean>} True if modal was shown successfully, false otherwise
- */
-async function safeShowModal(interaction, modal) {
-  if (interaction.replied || interaction.deferred) {
-    logger.debug(`Interaction already responded to, cannot show modal`);
-    return false;
-  }
-
-  try {
-    await interaction.showModal(modal);
-    return true;
-  } catch (error) {
-    // Handle expired interactions (code 10062) or already acknowledged (code 40060)
-    if (error.code === 10062 || error.code === 40060) {
-      logger.debug(
-        `Interaction expired or already acknowledged when showing modal: ${error.message}`
-      );
-    } else {
-      logger.error(`Failed to show modal:`, error);
-    }
-    return false;
-  }
-}
-
 // GIF file signature constants
 const ALLOWED_GIF_SIGNATURES = [
   Buffer.from('GIF87a'), // GIF87a signature
@@ -175,6 +157,8 @@ async function writeValidatedFileBuffer(filePath, buffer) {
  * @param {number} [lossyLevel] - Lossy compression level (0-100, default: 35)
  * @param {string} [originalUrl] - Original URL if this optimization came from a URL (not Discord attachment or CDN)
  * @param {string} [commandSource] - Command source ('slash' or 'context-menu')
+ * @param {number} [targetSize] - Maximum output size in bytes; searches lossy levels until the gif fits
+ * @param {{type: string, speed: number|null}} [effect] - Playback effect applied before optimizing (reverse, boomerang or speed)
  */
 export async function processOptimization(
   interaction,
@@ -183,15 +167,19 @@ export async function processOptimization(
   preDownloadedBuffer = null,
   lossyLevel = null,
   originalUrl = null,
-  commandSource = null
+  commandSource = null,
+  targetSize = null,
+  effect = null
 ) {
   const userId = interaction.user.id;
   const username = interaction.user.tag || interaction.user.username || 'unknown';
   const tempFiles = [];
+  // Stored with the result so the media library can be searched by where files came from
+  const sourceUrl = originalUrl || attachment?.url || null;
 
   // Build operation context
   const operationContext = {
-    commandOptions: { lossy: lossyLevel },
+    commandOptions: { lossy: lossyLevel, targetSize, effect },
   };
   if (originalUrl) {
     operationContext.originalUrl = originalUrl;
@@ -229,13 +217,26 @@ export async function processOptimization(
     // Build optimize options once for reuse throughout the function
     const optimizeOptions =
       lossyLevel !== null && lossyLevel !== undefined ? { lossy: lossyLevel } : {};
+    // URL cache key also depends on the target size, which picks the final lossy level, and the effect
+    const cacheOptions = {
+      ...optimizeOptions,
+      ...(targetSize ? { targetSize } : {}),
+      ...(effect ? { effect } : {}),
+    };
+
+    // Refuse blocked URLs and domains before downloading anything
+    await assertNotBlocked({
+      urls: [originalUrl],
+      urlHashes: originalUrl ? [hashUrlWithParams(originalUrl, cacheOptions)] : [],
+    });
 
     // Check if URL has already been processed (only for external URL-based optimizations)
     if (originalUrl) {
       // Use composite hash that includes lossy parameter for cache key
-      const urlHash = hashUrlWithParams(originalUrl, optimizeOptions);
+      const urlHash = hashUrlWithParams(originalUrl, cacheOptions);
       const processedUrl = await getProcessedUrl(urlHash);
       if (processedUrl) {
+        await assertNotBlocked({ fileHashes: [processedUrl.file_hash] });
         // Optimize command expects GIF input/output - only use cache if cached result is a GIF
         // Skip cache if cached type is not 'gif' (e.g., if it was previously downloaded as video)
         const isCachedGif =
@@ -247,6 +248,7 @@ export async function processOptimization(
           );
           updateOperationStatus(operationId, 'success', { fileSize: 0 });
           recordRateLimit(userId);
+          await touchProcessedUrl(urlHash);
           await safeInteractionEditReply(interaction, {
             content: processedUrl.file_url,
           });
@@ -324,17 +326,39 @@ export async function processOptimization(
       },
     });
 
-    // Generate hash for optimized file (include lossy level in hash for uniqueness)
+    // Generate hash for optimized file (include lossy level, target size and effect in hash for uniqueness)
     const optimizedHash = hashPartsHex([
       fileBuffer,
       'optimized',
       lossyLevel !== null && lossyLevel !== undefined ? String(lossyLevel) : null,
+      targetSize ? `target=${targetSize}` : null,
+      effect ? `effect=${formatEffect(effect)}` : null,
     ]);
     const optimizedGifPath = getGifPath(optimizedHash, GIF_STORAGE_PATH);
 
+    // The same gif may have been blocked under another URL or as an attachment
+    await assertNotBlocked({ buffers: [fileBuffer], fileHashes: [optimizedHash] });
+
+    // Apply the playback effect first so gifsicle optimizes the final frames
+    let optimizeInputPath = tempInputPath;
+    if (effect) {
+      const effectPath = path.join(tempDir, `gif_effect_${Date.now()}.gif`);
+      tempFiles.push(effectPath);
+      logOperationStep(operationId, 'effect_start', 'running', {
+        message: `Applying ${effect.type} effect`,
+        metadata: { effect: formatEffect(effect) },
+      });
+      await trimGif(tempInputPath, effectPath, { effect });
+      optimizeInputPath = effectPath;
+      logOperationStep(operationId, 'effect_complete', 'success', {
+        message: `Applied ${effect.type} effect`,
+        metadata: { effect: formatEffect(effect) },
+      });
+    }
+
     // Optimize the GIF with specified lossy level
     logger.debug(
-      `Optimizing GIF: ${tempInputPath} -> ${optimizedGifPath}${lossyLevel !== null ? ` (lossy: ${lossyLevel})` : ''}`
+      `Optimizing GIF: ${optimizeInputPath} -> ${optimizedGifPath}${lossyLevel !== null ? ` (lossy: ${lossyLevel})` : ''}`
     );
 
     logOperationStep(operationId, 'optimization_start', 'running', {
@@ -344,10 +368,25 @@ export async function processOptimization(
         inputSize: originalSize,
         inputType: attachment.contentType || 'image/gif',
         lossyLevel: lossyLevel !== null ? lossyLevel : null,
+        effect: formatEffect(effect),
       },
     });
 
-    await optimizeGif(tempInputPath, optimizedGifPath, optimizeOptions);
+    let appliedLossy = lossyLevel;
+    if (targetSize) {
+      // Search lossy levels, starting from the requested one, until the gif fits
+      const chosen = await renderToTargetSize({
+        operationId,
+        targetBytes: targetSize,
+        candidates: buildLossyCandidates(lossyLevel),
+        outputPath: optimizedGifPath,
+        tempFiles,
+        render: (candidate, attemptPath) => optimizeGif(optimizeInputPath, attemptPath, candidate),
+      });
+      appliedLossy = chosen.candidate.lossy;
+    } else {
+      await optimizeGif(optimizeInputPath, optimizedGifPath, optimizeOptions);
+    }
 
     // Read optimized file and get its size
     const optimizedBuffer = await fs.readFile(optimizedGifPath);
@@ -359,7 +398,7 @@ export async function processOptimization(
         originalSize: originalSize,
         optimizedSize: optimizedSize,
         sizeReduction: calculateSizeReduction(originalSize, optimizedSize),
-        lossyLevel: lossyLevel !== null ? lossyLevel : null,
+        lossyLevel: appliedLossy !== null ? appliedLossy : null,
       },
     });
 
@@ -367,11 +406,15 @@ export async function processOptimization(
     let optimizedUrl;
     let optimizedUploadMethod = 'r2';
     try {
+      // Servers can change the attachment limit, and servers or users can always link to R2
+      const guildSettings = await getGuildSettings(interaction.guildId);
+      const preferences = await getUserPreferences(userId);
       const saveResult = await saveGif(
         optimizedBuffer,
         optimizedHash,
         GIF_STORAGE_PATH,
-        buildMetadata()
+        buildMetadata(),
+        { discordUploadLimit: getUploadLimit(guildSettings, preferences) }
       );
       optimizedUrl = saveResult.url;
       optimizedUploadMethod = saveResult.method;
@@ -393,7 +436,7 @@ export async function processOptimization(
 
     // Record processed URL in database for all optimizations
     // For URL-based operations, use composite hash that includes lossy parameter; for attachments, use file hash
-    const urlHash = originalUrl ? hashUrlWithParams(originalUrl, optimizeOptions) : optimizedHash;
+    const urlHash = originalUrl ? hashUrlWithParams(originalUrl, cacheOptions) : optimizedHash;
     await insertProcessedUrl(
       urlHash,
       optimizedHash,
@@ -402,13 +445,14 @@ export async function processOptimization(
       optimizedUrl,
       Date.now(),
       userId,
-      optimizedSize
+      optimizedSize,
+      sourceUrl
     );
     logger.debug(`Recorded processed URL in database (urlHash: ${urlHash.substring(0, 8)}...)`);
 
     // Track temporary upload if file was uploaded to R2
     if (optimizedUploadMethod === 'r2' && optimizedUrl && optimizedUrl.startsWith('https://')) {
-      const r2Key = extractR2KeyFromUrl(optimizedUrl, r2Config);
+      const r2Key = getRemoteStorageDriver()?.keyFromUrl(optimizedUrl);
       if (r2Key) {
         await trackTemporaryUpload(urlHash, r2Key, null, adminUser);
       }
@@ -470,7 +514,8 @@ export async function processOptimization(
             discordUrl,
             Date.now(),
             userId,
-            optimizedSize
+            optimizedSize,
+            sourceUrl
           );
           logger.debug(
             `Updated processed URL in database with Discord URL (urlHash: ${urlHash.substring(0, 8)}...)`
@@ -482,18 +527,18 @@ export async function processOptimization(
           `Discord attachment upload failed, falling back to R2: ${discordError.message}`
         );
         try {
-          const r2Url = await uploadGifToR2(
-            optimizedBuffer,
-            optimizedHash,
-            r2Config,
-            buildMetadata()
-          );
+          const remote = getRemoteStorageDriver();
+          const r2Url = remote
+            ? await remote.put(getStorageKey(optimizedHash, 'gif', '.gif'), optimizedBuffer, {
+                metadata: buildMetadata(),
+              })
+            : null;
 
           if (r2Url) {
             // Update database with R2 URL
             // Use composite hash that includes lossy parameter for cache key
             const urlHash = originalUrl
-              ? hashUrlWithParams(originalUrl, optimizeOptions)
+              ? hashUrlWithParams(originalUrl, cacheOptions)
               : optimizedHash;
             await insertProcessedUrl(
               urlHash,
@@ -503,28 +548,29 @@ export async function processOptimization(
               r2Url,
               Date.now(),
               userId,
-              optimizedSize
+              optimizedSize,
+              sourceUrl
             );
             await safeInteractionEditReply(interaction, {
-              content: formatR2UrlWithDisclaimer(r2Url, r2Config, adminUser),
+              content: await formatR2UrlWithDisclaimer(r2Url, r2Config, adminUser),
             });
           } else {
             // If R2 upload also fails, use the original optimizedUrl
             await safeInteractionEditReply(interaction, {
-              content: formatR2UrlWithDisclaimer(optimizedUrl, r2Config, adminUser),
+              content: await formatR2UrlWithDisclaimer(optimizedUrl, r2Config, adminUser),
             });
           }
         } catch (r2Error) {
           logger.error(`R2 fallback upload also failed: ${r2Error.message}`);
           // Last resort: use the original optimizedUrl
           await safeInteractionEditReply(interaction, {
-            content: formatR2UrlWithDisclaimer(optimizedUrl, r2Config, adminUser),
+            content: await formatR2UrlWithDisclaimer(optimizedUrl, r2Config, adminUser),
           });
         }
       }
     } else {
       await safeInteractionEditReply(interaction, {
-        content: formatR2UrlWithDisclaimer(optimizedUrl, r2Config, adminUser),
+        content: await formatR2UrlWithDisclaimer(optimizedUrl, r2Config, adminUser),
       });
     }
 
@@ -547,7 +593,7 @@ export async function processOptimization(
             url: attachment.url || null,
           }
         : null,
-      commandOptions: { lossy: lossyLevel },
+      commandOptions: { lossy: lossyLevel, targetSize, effect },
       errorMessage: error.message || 'unknown error',
       errorName: error.name || 'Error',
       errorCode: error.code || null,
@@ -820,7 +866,7 @@ export async function handleOptimizeContextMenuCommand(interaction, modalAttachm
     timestamp: Date.now(),
   });
 
-  const modalShown = await safeShowModal(interaction, modal);
+  const modalShown = await safeInteractionShowModal(interaction, modal);
   if (!modalShown) {
     // If modal couldn't be shown, clean up cache entry
     modalAttachmentCache.delete(modalId);
@@ -854,11 +900,14 @@ export async function handleOptimizeCommand(interaction) {
 
   // Get attachment or URL from command options
   // Wrap in try-catch to handle Discord option type mismatches (cached command data)
-  let attachment, url, lossyLevel;
+  let attachment, url, lossyLevel, targetSizeRaw, effectRaw, speedRaw;
   try {
     attachment = interaction.options.getAttachment('file');
     url = interaction.options.getString('url');
     lossyLevel = interaction.options.getNumber('lossy');
+    targetSizeRaw = interaction.options.getNumber('target_size');
+    effectRaw = interaction.options.getString('effect');
+    speedRaw = interaction.options.getNumber('speed');
   } catch (optionError) {
     logger.error(`Failed to parse command options for user ${userId}: ${optionError.message}`);
     await safeReply(interaction, {
@@ -882,6 +931,37 @@ export async function handleOptimizeCommand(interaction) {
     return;
   }
 
+  // Without a lossy option, use the level from the user's preferences
+  lossyLevel = lossyLevel ?? (await getUserPreferences(userId)).lossy;
+
+  const targetSize = parseTargetSize(targetSizeRaw);
+  if (targetSize.error) {
+    const errorMessage = `invalid target_size: ${targetSize.error}.`;
+    createFailedOperation('optimize', userId, username, errorMessage, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { targetSize: targetSizeRaw },
+    });
+    await safeReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const effectParsed = parseEffect({ effect: effectRaw, speed: speedRaw });
+  if (effectParsed.error) {
+    const errorMessage = `invalid effect: ${effectParsed.error}.`;
+    createFailedOperation('optimize', userId, username, errorMessage, 'invalid_option', {
+      commandSource: 'slash',
+      commandOptions: { effect: effectRaw, speed: speedRaw },
+    });
+    await safeReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
   if (!attachment && !url) {
     logger.warn(`No attachment or URL provided for user ${userId}`);
     const errorMessage = 'please provide either a gif attachment or a URL to a gif file.';
@@ -968,7 +1048,7 @@ export async function handleOptimizeCommand(interaction) {
 
     // Defer reply since downloading may take time
     try {
-      await safeInteractionDeferReply(interaction);
+      await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
     } catch (error) {
       // Handle expired interactions (code 10062) or already acknowledged (code 40060)
       if (error.code === 10062 || error.code === 40060) {
@@ -1070,6 +1150,14 @@ export async function handleOptimizeCommand(interaction) {
     }
   }
 
+  // Check quotas (admins bypass this check)
+  const quotaBytes = preDownloadedBuffer?.length || finalAttachment?.size || 0;
+  if (
+    !(await enforceQuota(interaction, 'optimize', { bytes: quotaBytes, commandSource: 'slash' }))
+  ) {
+    return;
+  }
+
   // Defer reply if not already deferred (for attachment case)
   if (!url) {
     // Check if interaction is already responded to or expired before deferring
@@ -1081,7 +1169,7 @@ export async function handleOptimizeCommand(interaction) {
     }
 
     try {
-      await safeInteractionDeferReply(interaction);
+      await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
     } catch (error) {
       // Handle expired interactions (code 10062) or already acknowledged (code 40060)
       if (error.code === 10062 || error.code === 40060) {
@@ -1095,13 +1183,17 @@ export async function handleOptimizeCommand(interaction) {
     }
   }
 
-  await processOptimization(
-    interaction,
-    finalAttachment,
-    adminUser,
-    preDownloadedBuffer,
-    lossyLevel,
-    originalUrlForConversion,
-    'slash'
+  await enqueueJob(
+    'optimize',
+    {
+      attachment: serializeAttachment(finalAttachment),
+      adminUser,
+      lossyLevel,
+      targetSize: targetSize.bytes,
+      effect: effectParsed.effect,
+      originalUrl: originalUrlForConversion,
+      commandSource: 'slash',
+    },
+    { interaction, buffer: preDownloadedBuffer }
   );
 }
@@ -0,0 +1,104 @@
+import { MessageFlags } from 'discord.js';
+import { createLogger } from '../utils/logger.js';
+import { safeInteractionReply } from '../utils/interaction-helpers.js';
+import {
+  getUserPreferencesRecord,
+  setUserPreferences,
+  deleteUserPreferences,
+  USER_PREFERENCE_FIELDS,
+} from '../utils/database.js';
+import {
+  formatUserPreferences,
+  invalidateUserPreferencesCache,
+  parseUserPreferences,
+  resolveUserPreferences,
+} from '../utils/user-preferences.js';
+
+const logger = createLogger('preferences');
+
+// /preferences set options, each mapped to a preference column
+const SET_OPTIONS = {
+  quality: 'getString',
+  lossy: 'getInteger',
+  auto_optimize: 'getBoolean',
+  output_format: 'getString',
+  ephemeral_replies: 'getBoolean',
+  always_use_r2: 'getBoolean',
+};
+
+/**
+ * Handle the /preferences command
+ * Preferences belong to the user and follow them across servers and direct messages
+ * @param {Interaction} interaction - Discord interaction
+ */
+export async function handlePreferencesCommand(interaction) {
+  const userId = interaction.user.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    const record = await getUserPreferencesRecord(userId);
+
+    if (subcommand === 'view') {
+      await safeInteractionReply(interaction, {
+        content: `**your preferences**\n${formatUserPreferences(resolveUserPreferences(record))}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    let changes = {};
+    let reset = false;
+    if (subcommand === 'set') {
+      for (const [field, getter] of Object.entries(SET_OPTIONS)) {
+        const value = interaction.options[getter](field);
+        if (value !== null) {
+          changes[field] = value;
+        }
+      }
+      if (Object.keys(changes).length === 0) {
+        await safeInteractionReply(interaction, {
+          content: 'choose at least one preference to change.',
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+    } else {
+      const preference = interaction.options.getString('preference');
+      reset = preference === 'all';
+      changes = reset ? {} : { [preference]: null };
+    }
+
+    let stored = null;
+    if (reset) {
+      await deleteUserPreferences(userId);
+    } else {
+      const current = Object.fromEntries(
+        USER_PREFERENCE_FIELDS.map(field => [field, record?.[field] ?? null])
+      );
+      const parsed = parseUserPreferences({ ...current, ...changes });
+      if (!parsed.valid) {
+        await safeInteractionReply(interaction, {
+          content: `invalid preference: ${parsed.error}`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      stored = await setUserPreferences(userId, parsed.preferences);
+    }
+    invalidateUserPreferencesCache(userId);
+
+    logger.info(
+      `User ${userId} (${interaction.user.tag}) ${reset ? 'reset' : 'changed'} their preferences`
+    );
+    await safeInteractionReply(interaction, {
+      content: `**preferences updated**\n${formatUserPreferences(resolveUserPreferences(stored))}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (error) {
+    logger.error(`Failed to handle preferences command for user ${userId}:`, error);
+    await safeInteractionReply(interaction, {
+      content: 'failed to load or update your preferences. please try again later.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -0,0 +1,163 @@
+import { MessageFlags, PermissionFlagsBits } from 'discord.js';
+import { createLogger } from '../utils/logger.js';
+import { safeInteractionReply } from '../utils/interaction-helpers.js';
+import {
+  getGuildSettingsRecord,
+  setGuildSettings,
+  deleteGuildSettings,
+  GUILD_SETTING_FIELDS,
+} from '../utils/database.js';
+import {
+  formatGuildSettings,
+  invalidateGuildSettingsCache,
+  parseGuildSettings,
+  resolveGuildSettings,
+} from '../utils/guild-settings.js';
+
+const logger = createLogger('settings');
+
+// /settings set options that map directly to a setting column
+const SET_OPTIONS = {
+  gif_quality: 'getString',
+  max_gif_duration: 'getInteger',
+  cobalt_enabled: 'getBoolean',
+  ytdlp_enabled: 'getBoolean',
+  ephemeral_replies: 'getBoolean',
+  always_use_r2: 'getBoolean',
+};
+
+/**
+ * Read the setting changes requested by a /settings subcommand
+ * @param {Interaction} interaction - Discord interaction
+ * @param {Object} current - Stored settings of the guild, keyed by column
+ * @returns {{changes?: Object, error?: string, reset?: boolean}} Changes keyed by column, or an error
+ */
+function readSettingChanges(interaction, current) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'set') {
+    const changes = {};
+    for (const [field, getter] of Object.entries(SET_OPTIONS)) {
+      const value = interaction.options[getter](field);
+      if (value !== null) {
+        changes[field] = value;
+      }
+    }
+    const sizeMb = interaction.options.getNumber('discord_size_limit');
+    if (sizeMb !== null) {
+      changes.discord_size_limit = Math.round(sizeMb * 1024 * 1024);
+    }
+    if (Object.keys(changes).length === 0) {
+      return { error: 'choose at least one setting to change.' };
+    }
+    return { changes };
+  }
+
+  if (subcommand === 'reset') {
+    const setting = interaction.options.getString('setting');
+    if (setting === 'all') {
+      return { reset: true };
+    }
+    return { changes: { [setting]: null } };
+  }
+
+  if (subcommand === 'channels') {
+    const action = interaction.options.getString('action');
+    if (action === 'clear') {
+      return { changes: { allowed_channel_ids: null } };
+    }
+
+    const channel = interaction.options.getChannel('channel');
+    if (!channel) {
+      return { error: `choose a channel to ${action}.` };
+    }
+    const allowed = current.allowed_channel_ids || [];
+    const channelIds =
+      action === 'allow'
+        ? [...allowed, channel.id]
+        : allowed.filter(channelId => channelId !== channel.id);
+    return { changes: { allowed_channel_ids: channelIds } };
+  }
+
+  return { error: 'unknown settings command.' };
+}
+
+/**
+ * Handle the /settings command
+ * Only members with the Manage Server permission can view or change server settings
+ * @param {Interaction} interaction - Discord interaction
+ */
+export async function handleSettingsCommand(interaction) {
+  if (!interaction.inGuild()) {
+    await safeInteractionReply(interaction, {
+      content: 'server settings can only be changed in a server.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    await safeInteractionReply(interaction, {
+      content: 'you need the manage server permission to change server settings.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const guildId = interaction.guildId;
+  const userId = interaction.user.id;
+
+  try {
+    const record = await getGuildSettingsRecord(guildId);
+
+    if (interaction.options.getSubcommand() === 'view') {
+      await safeInteractionReply(interaction, {
+        content: `**server settings**\n${formatGuildSettings(resolveGuildSettings(record))}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const current = Object.fromEntries(
+      GUILD_SETTING_FIELDS.map(field => [field, record?.[field] ?? null])
+    );
+    const { changes, error, reset } = readSettingChanges(interaction, current);
+    if (error) {
+      await safeInteractionReply(interaction, {
+        content: error,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    let stored = null;
+    if (reset) {
+      await deleteGuildSettings(guildId);
+    } else {
+      const parsed = parseGuildSettings({ ...current, ...changes });
+      if (!parsed.valid) {
+        await safeInteractionReply(interaction, {
+          content: `invalid setting: ${parsed.error}`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      stored = await setGuildSettings(guildId, parsed.settings, userId);
+    }
+    invalidateGuildSettingsCache(guildId);
+
+    logger.info(
+      `User ${userId} (${interaction.user.tag}) ${reset ? 'reset' : 'changed'} settings of guild ${guildId}`
+    );
+    await safeInteractionReply(interaction, {
+      content: `**server settings updated**\n${formatGuildSettings(resolveGuildSettings(stored))}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (error) {
+    logger.error(`Failed to handle settings command for guild ${guildId}:`, error);
+    await safeInteractionReply(interaction, {
+      content: 'failed to load or update server settings. please try again later.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
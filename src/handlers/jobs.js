@@ -0,0 +1,102 @@
+import { createLogger } from '../utils/logger.js';
+import { registerJobHandler } from '../utils/job-queue.js';
+import { downloadFileFromUrl } from '../utils/file-downloader.js';
+import { processConversion } from '../commands/convert.js';
+import { processOptimization } from '../commands/optimize.js';
+import { processDownload } from '../commands/download/index.js';
+
+const logger = createLogger('jobs');
+
+/**
+ * Get the input buffer for a job, re-downloading the source URL if the job was resumed
+ * Pre-downloaded buffers only live in memory, so a job resumed after a restart has to fetch
+ * URL sources again (attachments are re-downloaded by the process functions themselves)
+ * @param {Object} payload - Job payload
+ * @param {Buffer|Array<Object>|null} buffer - In-memory buffer, if still available
+ * @param {Client|null} client - Discord client
+ * @returns {Promise<Buffer|Array<Object>|null>} Input buffer (the post items for slideshows) or null to let the process function download
+ */
+async function resolveInputBuffer(payload, buffer, client) {
+  if (buffer || !payload.originalUrl) {
+    return buffer;
+  }
+  logger.info(`Re-downloading source for resumed job: ${payload.originalUrl}`);
+  const fileData = await downloadFileFromUrl(payload.originalUrl, payload.adminUser, client);
+  // Slideshows are built from every item of the post
+  if (Array.isArray(fileData) && payload.options?.slideshow) {
+    return fileData;
+  }
+  return fileData.buffer;
+}
+
+/**
+ * Handle a queued convert job
+ * @param {Object} job - Job record
+ * @param {Object} context - Job context from the job queue
+ * @returns {Promise<void>}
+ */
+async function handleConvertJob(job, { interaction, buffer, client }) {
+  const { attachment, attachmentType, adminUser, options, originalUrl, commandSource } =
+    job.payload;
+  const inputBuffer = await resolveInputBuffer(job.payload, buffer, client);
+  await processConversion(
+    interaction,
+    attachment,
+    attachmentType,
+    adminUser,
+    inputBuffer,
+    options || {},
+    originalUrl || null,
+    commandSource || null
+  );
+}
+
+/**
+ * Handle a queued optimize job
+ * @param {Object} job - Job record
+ * @param {Object} context - Job context from the job queue
+ * @returns {Promise<void>}
+ */
+async function handleOptimizeJob(job, { interaction, buffer, client }) {
+  const { attachment, adminUser, lossyLevel, targetSize, effect, originalUrl, commandSource } =
+    job.payload;
+  const inputBuffer = await resolveInputBuffer(job.payload, buffer, client);
+  await processOptimization(
+    interaction,
+    attachment,
+    adminUser,
+    inputBuffer,
+    lossyLevel ?? null,
+    originalUrl || null,
+    commandSource || null,
+    targetSize ?? null,
+    effect ?? null
+  );
+}
+
+/**
+ * Handle a queued download job
+ * @param {Object} job - Job record
+ * @param {Object} context - Job context from the job queue
+ * @returns {Promise<void>}
+ */
+async function handleDownloadJob(job, { interaction }) {
+  const { url, commandSource, startTime, duration } = job.payload;
+  await processDownload(
+    interaction,
+    url,
+    commandSource || null,
+    startTime ?? null,
+    duration ?? null,
+    job.id
+  );
+}
+
+/**
+ * Register handlers for all job types processed by the bot
+ */
+export function registerJobHandlers() {
+  registerJobHandler('convert', handleConvertJob);
+  registerJobHandler('optimize', handleOptimizeJob);
+  registerJobHandler('download', handleDownloadJob);
+}
@@ -1,12 +1,34 @@
 import { MessageFlags } from 'discord.js';
 import { createLogger } from '../utils/logger.js';
-import { processOptimization } from '../commands/optimize.js';
+import { enqueueJob, serializeAttachment } from '../utils/job-queue.js';
+import { enforceQuota } from '../utils/quotas.js';
+import { parseOutputOptions, parseCaption, parseSlideshow } from '../utils/conversion-options.js';
+import { downloadContextMenuUrl } from '../commands/convert.js';
 import { safeInteractionReply, safeInteractionDeferReply } from '../utils/interaction-helpers.js';
+import {
+  getUserPreferences,
+  getInteractionReplyOptions,
+  applyConvertPreferences,
+} from '../utils/user-preferences.js';
 
 const logger = createLogger('modals');
 
 /**
- * Handle modal submission for optimization
+ * Check whether a convert input is a still image (not an animated gif)
+ * @param {Object} attachment - Discord attachment or downloaded file info
+ * @param {string} attachmentType - 'video' or 'image'
+ * @returns {boolean} True for still images
+ */
+function isStillImage(attachment, attachmentType) {
+  return (
+    attachmentType === 'image' &&
+    attachment?.contentType !== 'image/gif' &&
+    !attachment?.name?.toLowerCase().endsWith('.gif')
+  );
+}
+
+/**
+ * Handle modal submission for optimization and conversion
  * @param {Interaction} interaction - Discord modal submit interaction
  * @param {Map} modalAttachmentCache - Cache for modal attachment data
  */
@@ -90,15 +112,29 @@ export async function handleModalSubmit(interaction, modalAttachmentCache) {
       lossyLevel = parsed;
     }
 
+    // Without a lossy level, use the one from the user's preferences
+    lossyLevel = lossyLevel ?? (await getUserPreferences(userId)).lossy;
+
     // Check if interaction is already responded to or expired before deferring
     if (interaction.replied || interaction.deferred) {
       logger.debug(`Interaction already responded to before deferring in modal ${customId}`);
       return;
     }
 
+    // Check quotas (admins bypass this check)
+    const quotaBytes = preDownloadedBuffer?.length || attachment?.size || 0;
+    if (
+      !(await enforceQuota(interaction, 'optimize', {
+        bytes: quotaBytes,
+        commandSource: 'context-menu',
+      }))
+    ) {
+      return;
+    }
+
     // Defer reply since optimization may take time
     try {
-      await safeInteractionDeferReply(interaction);
+      await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction));
     } catch (error) {
       // Handle expired interactions (code 10062) or already acknowledged (code 40060)
       if (error.code === 10062 || error.code === 40060) {
@@ -112,15 +148,131 @@ export async function handleModalSubmit(interaction, modalAttachmentCache) {
     }
 
     // Process optimization
-    await processOptimization(
-      interaction,
-      attachment,
-      adminUser,
-      preDownloadedBuffer,
-      lossyLevel,
-      originalUrl || null,
-      'context-menu'
+    await enqueueJob(
+      'optimize',
+      {
+        attachment: serializeAttachment(attachment),
+        adminUser,
+        lossyLevel,
+        originalUrl: originalUrl || null,
+        commandSource: 'context-menu',
+      },
+      { interaction, buffer: preDownloadedBuffer }
     );
     return;
   }
+
+  // Handle convert modal
+  if (customId.startsWith('convert_modal_')) {
+    const userId = interaction.user.id;
+
+    // Retrieve cached input info
+    const cachedData = modalAttachmentCache.get(customId);
+    if (!cachedData) {
+      logger.warn(`No cached data found for convert modal ${customId} from user ${userId}`);
+      await safeInteractionReply(interaction, {
+        content: 'modal session expired. please try again.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Clean up cache entry
+    modalAttachmentCache.delete(customId);
+
+    const { adminUser, url } = cachedData;
+
+    // Parse output size options
+    const outputOptions = parseOutputOptions({
+      width: interaction.fields.getTextInputValue('width'),
+      fps: interaction.fields.getTextInputValue('fps'),
+      crop: interaction.fields.getTextInputValue('crop'),
+    });
+    if (outputOptions.error) {
+      await safeInteractionReply(interaction, {
+        content: outputOptions.error,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const captionParsed = parseCaption({
+      text: interaction.fields.getTextInputValue('caption'),
+      position: interaction.fields.getTextInputValue('caption_position'),
+    });
+    if (captionParsed.error) {
+      await safeInteractionReply(interaction, {
+        content: `invalid caption: ${captionParsed.error}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    let { attachment, attachmentType } = cachedData;
+    let preDownloadedBuffer = null;
+    let originalUrl = null;
+    let isSlideshow = false;
+
+    // URLs are downloaded now that the user has confirmed the conversion
+    if (url) {
+      const resolved = await downloadContextMenuUrl(interaction, url, adminUser);
+      if (!resolved) {
+        return;
+      }
+      ({ attachment, attachmentType, preDownloadedBuffer, originalUrl, isSlideshow } = resolved);
+    }
+
+    // Check quotas (admins bypass this check)
+    const quotaBytes = Buffer.isBuffer(preDownloadedBuffer)
+      ? preDownloadedBuffer.length
+      : attachment?.size || 0;
+    if (
+      !(await enforceQuota(interaction, 'convert', {
+        bytes: quotaBytes,
+        commandSource: 'context-menu',
+      }))
+    ) {
+      return;
+    }
+
+    // Defer reply if not already deferred (for attachment case)
+    if (
+      !url &&
+      !(await safeInteractionDeferReply(interaction, await getInteractionReplyOptions(interaction)))
+    ) {
+      return;
+    }
+
+    // The modal has no quality, optimize or format fields, so those come from the user's preferences
+    const preferred = applyConvertPreferences(
+      { quality: null, optimize: null, lossy: null, format: null },
+      await getUserPreferences(userId),
+      { stillImage: isStillImage(attachment, attachmentType) }
+    );
+
+    await enqueueJob(
+      'convert',
+      {
+        attachment: serializeAttachment(attachment),
+        attachmentType,
+        adminUser,
+        options: {
+          quality: preferred.quality ?? undefined,
+          optimize: preferred.optimize,
+          lossy: preferred.lossy ?? undefined,
+          // gif is the default and stays out of the options so existing cache keys still match
+          format: preferred.format && preferred.format !== 'gif' ? preferred.format : undefined,
+          width: outputOptions.width ?? undefined,
+          fps: attachmentType === 'video' ? (outputOptions.fps ?? undefined) : undefined,
+          crop: outputOptions.crop ?? undefined,
+          caption: captionParsed.caption ?? undefined,
+          // The modal has no slideshow fields, so multi-item posts use the default timing
+          slideshow: isSlideshow ? parseSlideshow().slideshow : undefined,
+        },
+        originalUrl,
+        commandSource: 'context-menu',
+      },
+      { interaction, buffer: preDownloadedBuffer }
+    );
+  }
 }
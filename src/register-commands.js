@@ -123,6 +123,133 @@ const commands = [
         type: 3, // STRING type for flexible timestamp formats
         required: false,
       },
+      {
+        name: 'width',
+        description: 'output width in pixels (16-1280). default: original width',
+        type: 4, // INTEGER type
+        required: false,
+        min_value: 16,
+        max_value: 1280,
+      },
+      {
+        name: 'fps',
+        description: 'output frames per second (1-30, videos only). default: original fps',
+        type: 4, // INTEGER type
+        required: false,
+        min_value: 1,
+        max_value: 30,
+      },
+      {
+        name: 'crop',
+        description: 'crop to an aspect ratio (1:1, 4:3, 3:4, 16:9, 9:16) or a region x:y:w:h',
+        type: 3, // STRING type so custom regions can be entered
+        required: false,
+        max_length: 32,
+      },
+      {
+        name: 'target_size',
+        description: 'shrink width, fps and colors until the gif fits under this size in mb',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0.5,
+        max_value: 100,
+      },
+      {
+        name: 'format',
+        description: 'output format. webp and mp4 are usually much smaller than gif. default: gif',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          {
+            name: 'gif',
+            value: 'gif',
+          },
+          {
+            name: 'webp (animated)',
+            value: 'webp',
+          },
+          {
+            name: 'apng',
+            value: 'apng',
+          },
+          {
+            name: 'mp4 (muted loop)',
+            value: 'mp4',
+          },
+        ],
+      },
+      {
+        name: 'caption',
+        description: 'text to draw on the output (max 100 characters)',
+        type: 3, // STRING type
+        required: false,
+        max_length: 100,
+      },
+      {
+        name: 'caption_position',
+        description: 'where to draw the caption. default: top',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          {
+            name: 'top',
+            value: 'top',
+          },
+          {
+            name: 'bottom',
+            value: 'bottom',
+          },
+          {
+            name: 'bar (white bar above the frame)',
+            value: 'bar',
+          },
+        ],
+      },
+      {
+        name: 'effect',
+        description: 'playback effect applied to the output',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          {
+            name: 'reverse',
+            value: 'reverse',
+          },
+          {
+            name: 'boomerang (forward then backward)',
+            value: 'boomerang',
+          },
+          {
+            name: 'speed (set speed below)',
+            value: 'speed',
+          },
+        ],
+      },
+      {
+        name: 'speed',
+        description: 'playback speed multiplier for the speed effect (0.25-4)',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0.25,
+        max_value: 4,
+      },
+      {
+        name: 'slide_duration',
+        description:
+          'seconds each photo is shown when a post with several items becomes a slideshow',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0.5,
+        max_value: 10,
+      },
+      {
+        name: 'crossfade',
+        description: 'seconds of crossfade between slideshow items (0-2, default: none)',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0,
+        max_value: 2,
+      },
     ],
     default_member_permissions: null, // Available to everyone
     dm_permission: true, // Enable in DMs
@@ -155,6 +282,42 @@ const commands = [
         min_value: 0,
         max_value: 100,
       },
+      {
+        name: 'target_size',
+        description: 'raise the lossy level until the gif fits under this size in mb',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0.5,
+        max_value: 100,
+      },
+      {
+        name: 'effect',
+        description: 'playback effect applied before optimizing',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          {
+            name: 'reverse',
+            value: 'reverse',
+          },
+          {
+            name: 'boomerang (forward then backward)',
+            value: 'boomerang',
+          },
+          {
+            name: 'speed (set speed below)',
+            value: 'speed',
+          },
+        ],
+      },
+      {
+        name: 'speed',
+        description: 'playback speed multiplier for the speed effect (0.25-4)',
+        type: 10, // NUMBER type
+        required: false,
+        min_value: 0.25,
+        max_value: 4,
+      },
     ],
     default_member_permissions: null, // Available to everyone
     dm_permission: true, // Enable in DMs
@@ -199,6 +362,279 @@ const commands = [
     integration_types: [1], // USER_INSTALL - allows users to install the bot directly
     contexts: [0, 1, 2], // GUILD (0), BOT_DM (1), PRIVATE_CHANNEL (2) - enables command usage in all contexts
   },
+  {
+    name: 'settings',
+    description: 'view or change how the bot behaves in this server',
+    type: 1, // CHAT_INPUT type (slash command)
+    options: [
+      {
+        name: 'view',
+        description: 'show the settings of this server',
+        type: 1, // SUB_COMMAND type
+      },
+      {
+        name: 'set',
+        description: 'change one or more settings of this server',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'gif_quality',
+            description: 'default quality for /convert',
+            type: 3, // STRING type
+            required: false,
+            choices: [
+              { name: 'low', value: 'low' },
+              { name: 'medium', value: 'medium' },
+              { name: 'high', value: 'high' },
+            ],
+          },
+          {
+            name: 'max_gif_duration',
+            description: 'longest video /convert accepts, in seconds',
+            type: 4, // INTEGER type
+            required: false,
+            min_value: 1,
+            max_value: 300,
+          },
+          {
+            name: 'discord_size_limit',
+            description:
+              'largest file sent as a discord attachment, in mb (raise for boosted servers)',
+            type: 10, // NUMBER type
+            required: false,
+            min_value: 1,
+            max_value: 500,
+          },
+          {
+            name: 'cobalt_enabled',
+            description:
+              'allow downloads from social media (cannot enable it if the bot has it off)',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+          {
+            name: 'ytdlp_enabled',
+            description: 'allow youtube downloads (cannot enable it if the bot has it off)',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+          {
+            name: 'ephemeral_replies',
+            description: 'only show results to the user who ran the command',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+          {
+            name: 'always_use_r2',
+            description: 'always reply with a link instead of a discord attachment',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'reset',
+        description: 'return a setting to the bot default',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'setting',
+            description: 'setting to reset',
+            type: 3, // STRING type
+            required: true,
+            choices: [
+              { name: 'all settings', value: 'all' },
+              { name: 'gif_quality', value: 'gif_quality' },
+              { name: 'max_gif_duration', value: 'max_gif_duration' },
+              { name: 'discord_size_limit', value: 'discord_size_limit' },
+              { name: 'cobalt_enabled', value: 'cobalt_enabled' },
+              { name: 'ytdlp_enabled', value: 'ytdlp_enabled' },
+              { name: 'allowed channels', value: 'allowed_channel_ids' },
+              { name: 'ephemeral_replies', value: 'ephemeral_replies' },
+              { name: 'always_use_r2', value: 'always_use_r2' },
+            ],
+          },
+        ],
+      },
+      {
+        name: 'channels',
+        description: 'restrict commands to some channels of this server',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'action',
+            description: 'allow or remove a channel, or allow every channel again',
+            type: 3, // STRING type
+            required: true,
+            choices: [
+              { name: 'allow', value: 'allow' },
+              { name: 'remove', value: 'remove' },
+              { name: 'allow every channel', value: 'clear' },
+            ],
+          },
+          {
+            name: 'channel',
+            description: 'channel to allow or remove',
+            type: 7, // CHANNEL type
+            required: false,
+            channel_types: [0, 2, 5, 15], // GUILD_TEXT, GUILD_VOICE, GUILD_ANNOUNCEMENT, GUILD_FORUM
+          },
+        ],
+      },
+    ],
+    default_member_permissions: '32', // MANAGE_GUILD
+    dm_permission: false, // Server settings only exist in servers
+    integration_types: [0], // GUILD_INSTALL - needs the bot installed in the server
+    contexts: [0], // GUILD (0)
+  },
+  {
+    name: 'history',
+    description: 'find files you made before and post them again',
+    type: 1, // CHAT_INPUT type (slash command)
+    options: [
+      {
+        name: 'type',
+        description: 'only show this kind of file',
+        type: 3, // STRING type
+        required: false,
+        choices: [
+          { name: 'gif', value: 'gif' },
+          { name: 'video', value: 'video' },
+          { name: 'image', value: 'image' },
+        ],
+      },
+      {
+        name: 'since',
+        description: 'only show files made on or after this date (YYYY-MM-DD)',
+        type: 3, // STRING type
+        required: false,
+        max_length: 10,
+      },
+      {
+        name: 'until',
+        description: 'only show files made on or before this date (YYYY-MM-DD)',
+        type: 3, // STRING type
+        required: false,
+        max_length: 10,
+      },
+    ],
+    integration_types: [0, 1], // GUILD_INSTALL and USER_INSTALL
+    contexts: [0, 1, 2], // GUILD (0), BOT_DM (1), PRIVATE_CHANNEL (2) - enables command usage in all contexts
+  },
+  {
+    name: 'preferences',
+    description: 'view or change your defaults for /convert, /optimize and /download',
+    type: 1, // CHAT_INPUT type (slash command)
+    options: [
+      {
+        name: 'view',
+        description: 'show your preferences',
+        type: 1, // SUB_COMMAND type
+      },
+      {
+        name: 'set',
+        description: 'change one or more of your preferences',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'quality',
+            description: 'quality preset when /convert has no quality option',
+            type: 3, // STRING type
+            required: false,
+            choices: [
+              { name: 'low', value: 'low' },
+              { name: 'medium', value: 'medium' },
+              { name: 'high', value: 'high' },
+            ],
+          },
+          {
+            name: 'lossy',
+            description: 'lossy level when optimizing without a lossy option (0-100)',
+            type: 4, // INTEGER type
+            required: false,
+            min_value: 0,
+            max_value: 100,
+          },
+          {
+            name: 'auto_optimize',
+            description: 'optimize every gif from /convert unless you set optimize',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+          {
+            name: 'output_format',
+            description: 'output format when /convert has no format option',
+            type: 3, // STRING type
+            required: false,
+            choices: [
+              { name: 'gif', value: 'gif' },
+              { name: 'webp (animated)', value: 'webp' },
+              { name: 'apng', value: 'apng' },
+              { name: 'mp4 (muted loop)', value: 'mp4' },
+            ],
+          },
+          {
+            name: 'ephemeral_replies',
+            description: 'only show results to you',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+          {
+            name: 'always_use_r2',
+            description: 'always reply with a link instead of a discord attachment',
+            type: 5, // BOOLEAN type
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'reset',
+        description: 'forget one or all of your preferences',
+        type: 1, // SUB_COMMAND type
+        options: [
+          {
+            name: 'preference',
+            description: 'preference to forget',
+            type: 3, // STRING type
+            required: true,
+            choices: [
+              { name: 'all preferences', value: 'all' },
+              { name: 'quality', value: 'quality' },
+              { name: 'lossy', value: 'lossy' },
+              { name: 'auto_optimize', value: 'auto_optimize' },
+              { name: 'output_format', value: 'output_format' },
+              { name: 'ephemeral_replies', value: 'ephemeral_replies' },
+              { name: 'always_use_r2', value: 'always_use_r2' },
+            ],
+          },
+        ],
+      },
+    ],
+    integration_types: [0, 1], // GUILD_INSTALL and USER_INSTALL
+    contexts: [0, 1, 2], // GUILD (0), BOT_DM (1), PRIVATE_CHANNEL (2) - enables command usage in all contexts
+  },
+  {
+    name: 'delete',
+    description: 'delete files you made from storage',
+    type: 1, // CHAT_INPUT type (slash command)
+    options: [
+      {
+        name: 'message',
+        description: 'link to the message with the file (right click > copy message link)',
+        type: 3, // STRING type
+        required: true,
+      },
+    ],
+    integration_types: [0, 1], // GUILD_INSTALL and USER_INSTALL
+    contexts: [0, 1, 2], // GUILD (0), BOT_DM (1), PRIVATE_CHANNEL (2) - enables command usage in all contexts
+  },
+  {
+    name: 'forget-me',
+    description: 'erase all your files and everything stored about you',
+    type: 1, // CHAT_INPUT type (slash command)
+    integration_types: [0, 1], // GUILD_INSTALL and USER_INSTALL
+    contexts: [0, 1, 2], // GUILD (0), BOT_DM (1), PRIVATE_CHANNEL (2) - enables command usage in all contexts
+  },
 ];
 
 // Construct and prepare an instance of the REST module
@@ -226,6 +662,11 @@ const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
     console.log('  • /optimize');
     console.log('  • /stats');
     console.log('  • /download');
+    console.log('  • /history');
+    console.log('  • /settings');
+    console.log('  • /preferences');
+    console.log('  • /delete');
+    console.log('  • /forget-me');
 
     const botType = usePrefix ? ` (${prefixArg} bot)` : '';
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -1,10 +1,4 @@
 import { createLogger } from './logger.js';
-import {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-  DeleteObjectCommand,
-} from '@aws-sdk/client-s3';
 import { getPostgresConnection } from './database/connection.js';
 import { ensurePostgresInitialized } from './database/init.js';
 import fs from 'fs';
@@ -14,78 +8,6 @@ import { loggerConfig } from './config.js';
 
 const logger = createLogger('admin-upload-cleanup');
 
-/**
- * Initialize R2 client with credentials
- * @param {Object} config - R2 configuration
- * @returns {S3Client} Initialized R2 client
- */
-function initializeR2Client(config) {
-  const { accountId, accessKeyId, secretAccessKey } = config;
-
-  if (!accountId || !accessKeyId || !secretAccessKey) {
-    throw new Error(
-      `R2 config incomplete: accountId=${accountId ? 'set' : 'missing'}, accessKeyId=${accessKeyId ? 'set' : 'missing'}, secretAccessKey=${secretAccessKey ? 'set' : 'missing'}`
-    );
-  }
-
-  return new S3Client({
-    region: 'auto',
-    endpoint: `https://${accountId}.r2.cloudflarestorage.com`,
-    credentials: {
-      accessKeyId,
-      secretAccessKey,
-    },
-  });
-}
-
-/**
- * List all R2 objects with LastModified timestamps
- * @param {string} prefix - Prefix to filter objects (e.g., 'images/', 'gifs/', 'videos/')
- * @param {Object} config - R2 configuration
- * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>} Array of objects
- */
-async function listR2ObjectsWithMetadata(prefix, config) {
-  const client = initializeR2Client(config);
-  const { bucketName } = config;
-
-  if (!bucketName) {
-    logger.warn('Cannot list R2 objects: bucketName not configured');
-    return [];
-  }
-
-  const objects = [];
-  let continuationToken = undefined;
-
-  try {
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: bucketName,
-        Prefix: prefix,
-        ContinuationToken: continuationToken,
-      });
-
-      const response = await client.send(command);
-
-      if (response.Contents) {
-        for (const object of response.Contents) {
-          objects.push({
-            key: object.Key,
-            size: object.Size || 0,
-            lastModified: object.LastModified,
-          });
-        }
-      }
-
-      continuationToken = response.NextContinuationToken;
-    } while (continuationToken);
-
-    return objects;
-  } catch (error) {
-    logger.error(`Failed to list R2 objects (prefix: ${prefix}): ${error.message}`);
-    throw error;
-  }
-}
-
 /**
  * Get all R2 keys tracked in temporary_uploads table
  * @returns {Promise<Set<string>>} Set of tracked R2 keys
@@ -108,18 +30,22 @@ async function getTrackedR2Keys() {
 }
 
 /**
- * Find R2 files not tracked in temporary_uploads (admin uploads)
- * @param {Object} config - R2 configuration
+ * Find remote files not tracked in temporary_uploads (admin uploads)
+ * @param {Object|null} driver - Remote storage driver (null when files are stored locally)
  * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>} Untracked files
  */
-export async function getUntrackedR2Files(config) {
+export async function getUntrackedR2Files(driver) {
+  if (!driver) {
+    return [];
+  }
+
   const prefixes = ['gifs/', 'videos/', 'images/'];
   const allObjects = [];
 
   // List all objects from all prefixes
   for (const prefix of prefixes) {
     try {
-      const objects = await listR2ObjectsWithMetadata(prefix, config);
+      const objects = await driver.list(prefix);
       allObjects.push(...objects);
     } catch (error) {
       logger.warn(`Error listing ${prefix}: ${error.message}`);
@@ -141,12 +67,12 @@ export async function getUntrackedR2Files(config) {
 
 /**
  * Get stats about untracked admin uploads
- * @param {Object} config - R2 configuration
+ * @param {Object|null} driver - Remote storage driver
  * @param {number} [maxAgeDays=3] - Max age in days before files are considered for cleanup
  * @returns {Promise<{totalFiles: number, totalSize: number, expiredFiles: number, expiredSize: number}>}
  */
-export async function getAdminUploadStats(config, maxAgeDays = 3) {
-  const untrackedFiles = await getUntrackedR2Files(config);
+export async function getAdminUploadStats(driver, maxAgeDays = 3) {
+  const untrackedFiles = await getUntrackedR2Files(driver);
   const cutoffDate = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
 
   const stats = {
@@ -167,65 +93,14 @@ export async function getAdminUploadStats(config, maxAgeDays = 3) {
   return stats;
 }
 
-/**
- * Download a file from R2
- * @param {string} key - R2 object key
- * @param {Object} config - R2 configuration
- * @returns {Promise<Buffer>} File buffer
- */
-async function downloadFromR2(key, config) {
-  const client = initializeR2Client(config);
-  const { bucketName } = config;
-
-  const command = new GetObjectCommand({
-    Bucket: bucketName,
-    Key: key,
-  });
-
-  const response = await client.send(command);
-
-  const chunks = [];
-  for await (const chunk of response.Body) {
-    chunks.push(chunk);
-  }
-
-  return Buffer.concat(chunks);
-}
-
-/**
- * Delete a file from R2
- * @param {string} key - R2 object key
- * @param {Object} config - R2 configuration
- * @returns {Promise<boolean>} True if deleted
- */
-async function deleteR2File(key, config) {
-  const client = initializeR2Client(config);
-  const { bucketName } = config;
-
-  try {
-    const command = new DeleteObjectCommand({
-      Bucket: bucketName,
-      Key: key,
-    });
-
-    await client.send(command);
-    return true;
-  } catch (error) {
-    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
-      return false;
-    }
-    throw error;
-  }
-}
-
 /**
  * Archive and cleanup old admin uploads
- * Downloads files older than maxAgeDays, creates a zip archive, then deletes from R2
- * @param {Object} config - R2 configuration
+ * Downloads files older than maxAgeDays, creates a zip archive, then deletes them from remote storage
+ * @param {Object|null} driver - Remote storage driver
  * @param {number} [maxAgeDays=3] - Max age in days before files are archived
  * @returns {Promise<{archived: number, deleted: number, failed: number, archivePath: string|null, errors: Array}>}
  */
-export async function archiveAndCleanupAdminUploads(config, maxAgeDays = 3) {
+export async function archiveAndCleanupAdminUploads(driver, maxAgeDays = 3) {
   const cutoffDate = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const logsDir = loggerConfig.logDir;
@@ -239,7 +114,7 @@ export async function archiveAndCleanupAdminUploads(config, maxAgeDays = 3) {
   };
 
   // Get untracked files
-  const untrackedFiles = await getUntrackedR2Files(config);
+  const untrackedFiles = await getUntrackedR2Files(driver);
 
   // Filter to expired files
   const expiredFiles = untrackedFiles.filter(
@@ -277,7 +152,7 @@ export async function archiveAndCleanupAdminUploads(config, maxAgeDays = 3) {
   for (const file of expiredFiles) {
     try {
       logger.debug(`Downloading ${file.key} for archiving`);
-      const buffer = await downloadFromR2(file.key, config);
+      const buffer = await driver.get(file.key);
       archive.append(buffer, { name: file.key });
       stats.archived++;
     } catch (error) {
@@ -293,7 +168,7 @@ export async function archiveAndCleanupAdminUploads(config, maxAgeDays = 3) {
 
   logger.info(`Created archive: ${archivePath} (${stats.archived} files)`);
 
-  // Delete archived files from R2
+  // Delete archived files from remote storage
   for (const file of expiredFiles) {
     // Only delete if we successfully archived it
     const wasArchived = !stats.errors.some(e => e.key === file.key && e.phase === 'download');
@@ -302,9 +177,9 @@ export async function archiveAndCleanupAdminUploads(config, maxAgeDays = 3) {
     }
 
     try {
-      await deleteR2File(file.key, config);
+      await driver.delete(file.key);
       stats.deleted++;
-      logger.debug(`Deleted ${file.key} from R2`);
+      logger.debug(`Deleted ${file.key} from ${driver.name}`);
     } catch (error) {
       stats.failed++;
       stats.errors.push({ key: file.key, error: error.message, phase: 'delete' });
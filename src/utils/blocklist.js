@@ -0,0 +1,154 @@
+import { createLogger } from './logger.js';
+import { findBlocklistMatch } from './database.js';
+import { hashBytesHex } from './hashing.js';
+import { hashUrl } from './cobalt-queue.js';
+import { AppError } from './errors.js';
+
+const logger = createLogger('blocklist');
+
+export const BLOCKED_CONTENT_MESSAGE =
+  'sorry, this content was removed by the moderators and cannot be downloaded or converted again.';
+
+/**
+ * Blocked content error - thrown when a request matches the content blocklist
+ */
+export class BlockedContentError extends AppError {
+  constructor(entry = null) {
+    super(BLOCKED_CONTENT_MESSAGE, 'CONTENT_BLOCKED', 403);
+    this.entry = entry;
+  }
+}
+
+/**
+ * Normalize a domain or URL to the domain stored in the blocklist
+ * Lowercases the hostname and drops a leading "www."
+ * @param {string} value - Domain (e.g. "Example.com") or URL
+ * @returns {string|null} Normalized domain, or null if the value has no usable hostname
+ */
+export function normalizeDomain(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  let hostname;
+  try {
+    hostname = new URL(trimmed.includes('://') ? trimmed : `http://${trimmed}`).hostname;
+  } catch {
+    return null;
+  }
+
+  hostname = hostname
+    .toLowerCase()
+    .replace(/\.$/, '')
+    .replace(/^www\./, '');
+  return hostname.includes('.') ? hostname : null;
+}
+
+/**
+ * Get the domains a URL matches: its own domain and every parent domain
+ * Blocking "example.com" also blocks "cdn.example.com"
+ * @param {string} url - URL
+ * @returns {Array<string>} Domains, most specific first (e.g. ["cdn.example.com", "example.com"])
+ */
+export function getDomainCandidates(url) {
+  const domain = normalizeDomain(url);
+  if (!domain) {
+    return [];
+  }
+
+  const labels = domain.split('.');
+  const candidates = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(labels.slice(i).join('.'));
+  }
+  return candidates;
+}
+
+/**
+ * Validate and normalize a blocklist entry from the WebUI
+ * A "url" entry is stored as the hash of the URL, which is how processed URLs are keyed
+ * @param {string} type - 'file_hash', 'url_hash', 'domain' or 'url'
+ * @param {string} value - Hash, domain or URL
+ * @returns {{valid: boolean, error?: string, entry?: {entryType: string, value: string, sourceUrl: string|null}}} Validation result
+ */
+export function parseBlocklistEntry(type, value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { valid: false, error: 'value is required' };
+  }
+  const trimmed = value.trim();
+
+  switch (type) {
+    case 'file_hash':
+    case 'url_hash': {
+      const hash = trimmed.toLowerCase();
+      if (!/^[0-9a-f]{64}$/.test(hash)) {
+        return { valid: false, error: `${type} must be a 64 character hex hash` };
+      }
+      return { valid: true, entry: { entryType: type, value: hash, sourceUrl: null } };
+    }
+    case 'domain': {
+      const domain = normalizeDomain(trimmed);
+      if (!domain) {
+        return { valid: false, error: 'invalid domain' };
+      }
+      return { valid: true, entry: { entryType: 'domain', value: domain, sourceUrl: null } };
+    }
+    case 'url': {
+      if (!/^https?:\/\//i.test(trimmed) || !normalizeDomain(trimmed)) {
+        return { valid: false, error: 'invalid url' };
+      }
+      return {
+        valid: true,
+        entry: { entryType: 'url_hash', value: hashUrl(trimmed), sourceUrl: trimmed },
+      };
+    }
+    default:
+      return { valid: false, error: 'type must be one of: file_hash, url_hash, domain, url' };
+  }
+}
+
+/**
+ * Find the blocklist entry matching a request, if any
+ * The blocklist fails open: if it can't be checked the request is allowed
+ * @param {Object} candidates - What the request touches
+ * @param {Array<string>} [candidates.urls] - Source URLs (checked by URL hash and domain)
+ * @param {Array<string>} [candidates.urlHashes] - Extra URL hashes (e.g. hashes that include options)
+ * @param {Array<Buffer>} [candidates.buffers] - Downloaded files (checked by BLAKE3 hash)
+ * @param {Array<string>} [candidates.fileHashes] - Known file hashes
+ * @returns {Promise<Object|null>} Matching blocklist entry or null
+ */
+export async function findBlockedContent({
+  urls = [],
+  urlHashes = [],
+  buffers = [],
+  fileHashes = [],
+}) {
+  const present = values => [...new Set(values.filter(Boolean))];
+  const sourceUrls = present(urls);
+
+  try {
+    return await findBlocklistMatch({
+      fileHashes: present([...fileHashes, ...present(buffers).map(buffer => hashBytesHex(buffer))]),
+      urlHashes: present([...urlHashes, ...sourceUrls.map(url => hashUrl(url))]),
+      domains: present(sourceUrls.flatMap(url => getDomainCandidates(url))),
+    });
+  } catch (error) {
+    logger.error('Failed to check content blocklist, allowing request:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Throw if a request matches the content blocklist
+ * @param {Object} candidates - What the request touches (see findBlockedContent)
+ * @returns {Promise<void>}
+ * @throws {BlockedContentError} If any candidate is blocked
+ */
+export async function assertNotBlocked(candidates) {
+  const entry = await findBlockedContent(candidates);
+  if (entry) {
+    logger.warn(`Refused blocked content (blocklist entry ${entry.id}, ${entry.entry_type})`);
+    throw new BlockedContentError(entry);
+  }
+}
@@ -2,22 +2,10 @@ import { createLogger } from './logger.js';
 import { getProcessedUrl } from './database.js';
 import { initDatabase } from './database.js';
 import { hashStringHex } from './hashing.js';
+import { formatEffect, formatSlideshow } from './conversion-options.js';
 
 const logger = createLogger('cobalt-queue');
 
-// Maximum concurrent Cobalt API requests
-// Limited to 2 to avoid overwhelming the Cobalt API and prevent rate limiting
-const MAX_CONCURRENT_REQUESTS = 2;
-
-// Track in-progress downloads by URL hash
-const inProgressDownloads = new Map();
-
-// Queue for pending requests
-const requestQueue = [];
-
-// Current number of active requests
-let activeRequests = 0;
-
 /**
  * Generate hash for URL to use as deduplication key
  * @param {string} url - URL to hash
@@ -63,6 +51,27 @@ function normalizeConversionOptions(options) {
   if (options.fps !== undefined && options.fps !== null) {
     normalized.fps = Number(options.fps);
   }
+  if (options.crop !== undefined && options.crop !== null) {
+    normalized.crop = String(options.crop);
+  }
+  if (options.targetSize !== undefined && options.targetSize !== null) {
+    normalized.targetSize = Number(options.targetSize);
+  }
+  if (options.format !== undefined && options.format !== null) {
+    normalized.format = String(options.format);
+  }
+  if (options.effect) {
+    normalized.effect = formatEffect(options.effect);
+  }
+  if (options.caption?.text) {
+    normalized.caption = `${options.caption.position}:${options.caption.text}`;
+  }
+  if (options.slideshow) {
+    normalized.slideshow = formatSlideshow(options.slideshow);
+  }
+  if (Array.isArray(options.pickerItems) && options.pickerItems.length > 0) {
+    normalized.pickerItems = options.pickerItems.join(',');
+  }
 
   return normalized;
 }
@@ -71,7 +80,7 @@ function normalizeConversionOptions(options) {
  * Generate composite hash for URL with conversion parameters
  * Creates a cache key that includes both URL and explicitly provided conversion parameters
  * @param {string} url - URL to hash
- * @param {Object} [options] - Conversion options object (quality, optimize, lossy, startTime, duration, width, fps)
+ * @param {Object} [options] - Conversion options object (quality, optimize, lossy, startTime, duration, width, fps, crop, targetSize, slideshow, pickerItems)
  * @returns {string} Composite hash combining URL and parameters
  */
 export function hashUrlWithParams(url, options = {}) {
@@ -92,45 +101,8 @@ export function hashUrlWithParams(url, options = {}) {
 }
 
 /**
- * Process next request in queue if capacity available
- */
-function processQueue() {
-  while (activeRequests < MAX_CONCURRENT_REQUESTS && requestQueue.length > 0) {
-    const nextRequest = requestQueue.shift();
-    executeRequest(nextRequest);
-  }
-}
-
-/**
- * Execute a queued request
- * @param {Object} request - Request object with downloadFn, resolve, reject
- */
-async function executeRequest(request) {
-  const { downloadFn, resolve, reject } = request;
-
-  activeRequests++;
-  logger.info(
-    `Executing request (active: ${activeRequests}/${MAX_CONCURRENT_REQUESTS}, queued: ${requestQueue.length})`
-  );
-
-  try {
-    const result = await downloadFn();
-    resolve(result);
-  } catch (error) {
-    reject(error);
-  } finally {
-    activeRequests--;
-    logger.info(
-      `Request completed (active: ${activeRequests}/${MAX_CONCURRENT_REQUESTS}, queued: ${requestQueue.length})`
-    );
-
-    // Process next item in queue
-    processQueue();
-  }
-}
-
-/**
- * Queue a Cobalt download request with URL deduplication and concurrency limiting
+ * Run a Cobalt download request unless the URL was already processed.
+ * Concurrency is bounded by the job queue, which runs every download as a job.
  * @param {string} url - URL to download
  * @param {Function} downloadFn - Async function that performs the actual download
  * @param {Object} [options] - Optional parameters
@@ -166,70 +138,5 @@ export async function queueCobaltRequest(url, downloadFn, options = {}) {
     }
   }
 
-  // Check if this URL is already being downloaded (atomic check-and-set)
-  // URL deduplication: if multiple users request the same URL simultaneously, we reuse the existing download
-  // instead of making duplicate API calls, which saves bandwidth and prevents redundant processing
-  // Use atomic check-and-set to prevent race condition where two requests check at the same time
-  let existingPromise = inProgressDownloads.get(urlHash);
-  if (existingPromise) {
-    logger.info(
-      `URL already in progress, waiting for existing download: ${url.substring(0, 50)}...`
-    );
-    return existingPromise;
-  }
-
-  // Create new promise for this download
-  const downloadPromise = new Promise((resolve, reject) => {
-    const request = {
-      url,
-      urlHash,
-      downloadFn,
-      resolve: result => {
-        // Remove from in-progress map
-        inProgressDownloads.delete(urlHash);
-        resolve(result);
-      },
-      reject: error => {
-        // Remove from in-progress map
-        inProgressDownloads.delete(urlHash);
-        reject(error);
-      },
-    };
-
-    // Add to queue
-    requestQueue.push(request);
-    logger.info(
-      `Request queued (active: ${activeRequests}/${MAX_CONCURRENT_REQUESTS}, queued: ${requestQueue.length})`
-    );
-
-    // Try to process immediately if capacity available
-    processQueue();
-  });
-
-  // Atomic check-and-set: if another request added the same URL between our check and set, use that one
-  existingPromise = inProgressDownloads.get(urlHash);
-  if (existingPromise) {
-    logger.info(
-      `URL was added by another request during setup, using existing download: ${url.substring(0, 50)}...`
-    );
-    return existingPromise;
-  }
-
-  // Track this download (atomic set)
-  inProgressDownloads.set(urlHash, downloadPromise);
-
-  return downloadPromise;
-}
-
-/**
- * Get current queue stats
- * @returns {Object} Queue statistics
- */
-export function getQueueStats() {
-  return {
-    activeRequests,
-    queuedRequests: requestQueue.length,
-    inProgressUrls: inProgressDownloads.size,
-    maxConcurrent: MAX_CONCURRENT_REQUESTS,
-  };
+  return downloadFn();
 }
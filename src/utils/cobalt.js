@@ -630,17 +630,21 @@ async function downloadVideo(videoUrl, index, isAdminUser = false, maxSize = Inf
 }
 
 /**
- * Download multiple media files (photos and videos) from picker array
+ * Get the photo and video items from a picker array
  * @param {Array} pickerArray - Array of picker items from Cobalt response
- * @param {boolean} isAdminUser - Whether the user is an admin (allows larger files)
- * @param {number} maxSize - Maximum file size in bytes
- * @returns {Promise<Array>} Array of objects with buffer, contentType, size, and filename
+ * @returns {Array<{index: number, type: string, url: string, thumb: string|null}>} Media items; index is the position among media items
+ * @throws {NetworkError} If the picker has no photos or videos
  */
-async function downloadMediaFromPicker(pickerArray, isAdminUser = false, maxSize = Infinity) {
+export function getPickerMediaItems(pickerArray) {
   // Filter for photo and video items
-  const mediaItems = pickerArray.filter(
-    item => (item.type === 'photo' || item.type === 'video') && item.url
-  );
+  const mediaItems = pickerArray
+    .filter(item => (item.type === 'photo' || item.type === 'video') && item.url)
+    .map((item, index) => ({
+      index,
+      type: item.type,
+      url: item.url,
+      thumb: typeof item.thumb === 'string' && item.thumb ? item.thumb : null,
+    }));
 
   if (mediaItems.length === 0) {
     throw new NetworkError('no media files (photos or videos) found in picker response');
@@ -650,12 +654,22 @@ async function downloadMediaFromPicker(pickerArray, isAdminUser = false, maxSize
     `Found ${mediaItems.length} media items in picker response (${mediaItems.filter(i => i.type === 'photo').length} photos, ${mediaItems.filter(i => i.type === 'video').length} videos)`
   );
 
-  // Download all media items
-  const downloadPromises = mediaItems.map((item, index) => {
+  return mediaItems;
+}
+
+/**
+ * Download picker media items (photos and videos)
+ * @param {Array} mediaItems - Items from getPickerMediaItems (all of them, or the ones the user chose)
+ * @param {boolean} isAdminUser - Whether the user is an admin (allows larger files)
+ * @param {number} maxSize - Maximum file size in bytes
+ * @returns {Promise<Array>} Array of objects with buffer, contentType, size, and filename
+ */
+export async function downloadPickerItems(mediaItems, isAdminUser = false, maxSize = Infinity) {
+  const downloadPromises = mediaItems.map(item => {
     if (item.type === 'photo') {
-      return downloadPhoto(item.url, index, isAdminUser, maxSize);
+      return downloadPhoto(item.url, item.index, isAdminUser, maxSize);
     } else {
-      return downloadVideo(item.url, index, isAdminUser, maxSize);
+      return downloadVideo(item.url, item.index, isAdminUser, maxSize);
     }
   });
 
@@ -665,6 +679,17 @@ async function downloadMediaFromPicker(pickerArray, isAdminUser = false, maxSize
   return results;
 }
 
+/**
+ * Download multiple media files (photos and videos) from picker array
+ * @param {Array} pickerArray - Array of picker items from Cobalt response
+ * @param {boolean} isAdminUser - Whether the user is an admin (allows larger files)
+ * @param {number} maxSize - Maximum file size in bytes
+ * @returns {Promise<Array>} Array of objects with buffer, contentType, size, and filename
+ */
+async function downloadMediaFromPicker(pickerArray, isAdminUser = false, maxSize = Infinity) {
+  return downloadPickerItems(getPickerMediaItems(pickerArray), isAdminUser, maxSize);
+}
+
 /**
  * Replace hostname in URL with hostname from API URL
  * This is needed when Cobalt returns tunnel URLs with Docker hostnames (e.g., "cobalt")
@@ -701,13 +726,16 @@ function replaceTunnelHostname(url, apiUrl) {
  * @param {boolean} isAdminUser - Whether the user is an admin (allows larger files)
  * @param {number} maxSize - Maximum file size in bytes
  * @param {string} apiUrl - Cobalt API URL (used to fix tunnel hostnames)
+ * @param {Object} [options] - Download options
+ * @param {boolean} [options.deferPicker] - Return picker items as {picker: items} instead of downloading them
  * @returns {Promise<Object|Array>} Object with buffer, contentType, size, and filename (or array of objects for picker)
  */
 async function downloadFromCobalt(
   cobaltResponse,
   isAdminUser = false,
   maxSize = Infinity,
-  apiUrl = null
+  apiUrl = null,
+  options = {}
 ) {
   // Cobalt API returns different response formats depending on the platform
 
@@ -718,6 +746,9 @@ async function downloadFromCobalt(
     Array.isArray(cobaltResponse.picker)
   ) {
     logger.info('Detected picker response with media files');
+    if (options.deferPicker) {
+      return { picker: getPickerMediaItems(cobaltResponse.picker) };
+    }
     return await downloadMediaFromPicker(cobaltResponse.picker, isAdminUser, maxSize);
   }
 
@@ -905,13 +936,16 @@ async function downloadFromCobalt(
  * @param {string} url - Social media URL
  * @param {boolean} isAdminUser - Whether the user is an admin
  * @param {number} maxSize - Maximum file size in bytes
+ * @param {Object} [options] - Download options
+ * @param {boolean} [options.deferPicker] - Return picker items as {picker: items} so the caller can choose which to download
  * @returns {Promise<Object|Array>} Object with buffer, contentType, size, and filename (or array for multiple photos)
  */
 export async function downloadFromSocialMedia(
   apiUrl,
   url,
   isAdminUser = false,
-  maxSize = Infinity
+  maxSize = Infinity,
+  options = {}
 ) {
   // Rewrite mirror URLs to canonical form before sending to Cobalt
   const canonicalUrl = rewriteMirrorUrl(url);
@@ -925,10 +959,12 @@ export async function downloadFromSocialMedia(
     const cobaltResponse = await callCobaltApi(apiUrl, canonicalUrl);
     logger.info(`Cobalt API response: ${JSON.stringify(cobaltResponse)}`);
     logger.info('Cobalt API call successful, downloading media');
-    const result = await downloadFromCobalt(cobaltResponse, isAdminUser, maxSize, apiUrl);
+    const result = await downloadFromCobalt(cobaltResponse, isAdminUser, maxSize, apiUrl, options);
 
-    // Check if result is an array (multiple photos) or single object
-    if (Array.isArray(result)) {
+    // Check if result is an array (multiple photos), deferred picker items or single object
+    if (result.picker) {
+      logger.info(`Deferred download of ${result.picker.length} picker items from Cobalt`);
+    } else if (Array.isArray(result)) {
       logger.info(
         `Successfully downloaded ${result.length} photos from Cobalt (total size: ${result.reduce((sum, r) => sum + r.size, 0)} bytes)`
       );
@@ -230,6 +230,15 @@ function getBotConfig() {
     ntfyTopic: getStringEnv('NTFY_TOPIC', ''),
     ntfyEnabled: getStringEnv('NTFY_TOPIC', '') !== '',
     discordSizeLimit: parseIntEnv('DISCORD_SIZE_LIMIT', 8 * 1024 * 1024, 1), // 8MB default, Discord's attachment limit
+    targetSizeMaxAttempts: parseIntEnv('TARGET_SIZE_MAX_ATTEMPTS', 6, 2, 12), // Re-encodes per target_size request
+    captionFontPath: getStringEnv(
+      'CAPTION_FONT_PATH',
+      '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'
+    ), // Installed in the Docker image by fonts-dejavu-core
+    pickerSelectionTimeout: parseIntEnv('PICKER_SELECTION_TIMEOUT', 45, 0, 600) * 1000, // Seconds to wait for a picker choice, 0 downloads everything without asking
+    perceptualHashEnabled: getStringEnv('PERCEPTUAL_HASH_ENABLED', 'true').toLowerCase() === 'true', // Index stored media for near-duplicate detection
+    perceptualHashThreshold: parseIntEnv('PERCEPTUAL_HASH_THRESHOLD', 6, 0, 32), // Average differing bits per frame (of 64) for a near duplicate
+    mediaPreviewsEnabled: getStringEnv('MEDIA_PREVIEWS_ENABLED', 'true').toLowerCase() === 'true', // Store a poster frame and preview clip with every saved file
   };
 
   // Validate CDN_BASE_URL format
@@ -268,11 +277,55 @@ export const r2Config = {
   publicDomain: getStringEnv('R2_PUBLIC_DOMAIN', 'cdn.gronka.p1x.dev'),
   tempUploadsEnabled: getStringEnv('R2_TEMP_UPLOADS_ENABLED', 'false').toLowerCase() === 'true',
   tempUploadTtlHours: parseIntEnv('R2_TEMP_UPLOAD_TTL_HOURS', 72, 1, 8760), // Max 1 year
+  // How temporary uploads are linked: 'public' (permanent CDN URL), 'presigned' (storage URL that
+  // expires with the upload) or 'signed' (HMAC-signed redirect through the stats server)
+  tempUploadLinks: getStringEnv('R2_TEMP_UPLOAD_LINKS', 'public').toLowerCase(),
+  linkSigningSecret: getStringEnv('R2_LINK_SIGNING_SECRET', ''),
+  // Public URL of the stats server (SERVER_PORT), signed links point at {linkBaseUrl}/files/{key}
+  linkBaseUrl: getStringEnv('R2_LINK_BASE_URL', '').replace(/\/+$/, ''),
   cleanupEnabled: getStringEnv('R2_CLEANUP_ENABLED', 'false').toLowerCase() === 'true',
   cleanupIntervalMs: parseIntEnv('R2_CLEANUP_INTERVAL_MS', 3600000, 60000, 86400000), // 1 hour default, min 1 minute, max 1 day
   cleanupLogLevel: getStringEnv('R2_CLEANUP_LOG_LEVEL', 'detailed').toLowerCase(),
 };
 
+// Storage driver configuration
+// Files over the Discord attachment limit go to this driver: 'r2', any S3-compatible bucket ('s3'),
+// or 'local' to keep them on disk behind CDN_BASE_URL. Defaults to 'r2' when R2 credentials are set
+export const storageConfig = {
+  driver: getStringEnv(
+    'STORAGE_DRIVER',
+    r2Config.accountId && r2Config.accessKeyId && r2Config.secretAccessKey && r2Config.bucketName
+      ? 'r2'
+      : 'local'
+  ).toLowerCase(),
+  s3: {
+    endpoint: getStringEnv('S3_ENDPOINT', '').replace(/\/+$/, ''),
+    region: getStringEnv('S3_REGION', 'us-east-1'),
+    accessKeyId: getStringEnv('S3_ACCESS_KEY_ID', ''),
+    secretAccessKey: getStringEnv('S3_SECRET_ACCESS_KEY', ''),
+    bucketName: getStringEnv('S3_BUCKET_NAME', ''),
+    // Base URL objects are served from, e.g. https://cdn.example.com (default: endpoint/bucket)
+    publicUrl: getStringEnv('S3_PUBLIC_URL', ''),
+    // MinIO and most self-hosted endpoints need path-style addressing
+    forcePathStyle: getStringEnv('S3_FORCE_PATH_STYLE', 'true').toLowerCase() === 'true',
+  },
+  // Lifecycle of the files kept on local disk (GIF_STORAGE_PATH), all limits use 0 for off
+  lifecycle: {
+    enabled: getStringEnv('STORAGE_LIFECYCLE_ENABLED', 'false').toLowerCase() === 'true',
+    intervalMs: parseIntEnv('STORAGE_LIFECYCLE_INTERVAL_MS', 3600000, 60000, 86400000), // 1 hour default, min 1 minute, max 1 day
+    // Least recently served files are evicted once local storage grows past this
+    diskBudgetMb: parseIntEnv('STORAGE_DISK_BUDGET_MB', 0, 0),
+    // Files not served for this long are moved to remote storage only
+    tierAfterDays: parseIntEnv('STORAGE_TIER_AFTER_DAYS', 0, 0),
+    // Files are deleted this long after they were made, by file type
+    retentionDays: {
+      gif: parseIntEnv('STORAGE_RETENTION_DAYS_GIF', 0, 0),
+      video: parseIntEnv('STORAGE_RETENTION_DAYS_VIDEO', 0, 0),
+      image: parseIntEnv('STORAGE_RETENTION_DAYS_IMAGE', 0, 0),
+    },
+  },
+};
+
 // Server configuration (minimal - only for stats HTTP endpoint in bot)
 // Note: The main server.js has been removed. These settings are now used by the
 // minimal HTTP server in bot.js that serves /api/stats/24h for Jekyll integration.
@@ -288,6 +341,46 @@ export const serverConfig = {
 export const webuiConfig = {
   webuiPort: parseIntEnv('WEBUI_PORT', 3001, 1, 65535),
   webuiHost: getStringEnv('WEBUI_HOST', '127.0.0.1'),
+  // Public URL of the dashboard, used for the Discord sign-in redirect
+  publicUrl: getStringEnv('WEBUI_PUBLIC_URL', '').replace(/\/+$/, ''),
+  sessionTtl: parseIntEnv('WEBUI_SESSION_TTL_HOURS', 168, 1, 8760) * 60 * 60 * 1000, // 7 days default
+  // Set when the dashboard is served over https so the session cookie is never sent in clear text
+  secureCookies: getStringEnv('WEBUI_SECURE_COOKIES', 'false').toLowerCase() === 'true',
+  // Set behind a reverse proxy so client IPs come from X-Forwarded-For
+  trustProxy: getStringEnv('WEBUI_TRUST_PROXY', 'false').toLowerCase() === 'true',
+  // Shared secret the bot sends with operation updates; without it only internal IPs may send them
+  internalToken: getStringEnv('WEBUI_INTERNAL_TOKEN', ''),
+  // Discord sign-in; users in ADMIN_USER_IDS are admins, others need a linked WebUI user
+  discordClientId: getStringEnv('CLIENT_ID', ''),
+  discordClientSecret: getStringEnv('DISCORD_CLIENT_SECRET', ''),
+  adminUserIds: parseIdList('ADMIN_USER_IDS'),
+};
+
+// Job queue configuration
+// Concurrency limits are per job type and per process claiming jobs
+export const jobQueueConfig = {
+  // 'bot' runs jobs inside the bot process, 'worker' leaves them to `node src/worker.js`
+  processingMode: getStringEnv('JOB_PROCESSING_MODE', 'bot').toLowerCase(),
+  workerId: getStringEnv('JOB_WORKER_ID', ''),
+  leaseMs: parseIntEnv('JOB_LEASE_MS', 60000, 5000, 3600000), // 1 minute default, renewed while a job runs
+  pollIntervalMs: parseIntEnv('JOB_POLL_INTERVAL_MS', 2000, 100, 60000),
+  maxAttempts: parseIntEnv('JOB_MAX_ATTEMPTS', 3, 1, 10),
+  retentionDays: parseIntEnv('JOB_RETENTION_DAYS', 7, 1, 365), // finished jobs are deleted after this
+  concurrency: {
+    convert: parseIntEnv('JOB_CONCURRENCY_CONVERT', 2, 1, 32),
+    optimize: parseIntEnv('JOB_CONCURRENCY_OPTIMIZE', 2, 1, 32),
+    download: parseIntEnv('JOB_CONCURRENCY_DOWNLOAD', 2, 1, 32),
+  },
+};
+
+// Quota configuration
+// Default limits for every user; overrides per user, role, and guild are stored in PostgreSQL
+// All limits use 0 for unlimited
+export const quotaConfig = {
+  operationsPerHour: parseIntEnv('QUOTA_OPERATIONS_PER_HOUR', 0, 0),
+  operationsPerDay: parseIntEnv('QUOTA_OPERATIONS_PER_DAY', 0, 0),
+  bytesPerDay: parseIntEnv('QUOTA_BYTES_PER_DAY', 0, 0),
+  maxConcurrentJobs: parseIntEnv('QUOTA_MAX_CONCURRENT_JOBS', 0, 0),
 };
 
 // Logger configuration
@@ -324,6 +417,80 @@ if (!validCleanupLogLevels.includes(r2Config.cleanupLogLevel)) {
   );
 }
 
+// Validate temporary upload links
+const validTempUploadLinks = ['public', 'presigned', 'signed'];
+if (!validTempUploadLinks.includes(r2Config.tempUploadLinks)) {
+  throw new ConfigurationError(
+    `R2_TEMP_UPLOAD_LINKS must be one of: ${validTempUploadLinks.join(', ')}, got: ${r2Config.tempUploadLinks}`,
+    'INVALID_TEMP_UPLOAD_LINKS'
+  );
+}
+
+// Presigned S3 URLs are valid for 7 days at most
+if (r2Config.tempUploadLinks === 'presigned' && r2Config.tempUploadTtlHours > 168) {
+  throw new ConfigurationError(
+    `R2_TEMP_UPLOAD_LINKS=presigned needs R2_TEMP_UPLOAD_TTL_HOURS of 168 or less, got: ${r2Config.tempUploadTtlHours}`,
+    'INVALID_TEMP_UPLOAD_LINKS'
+  );
+}
+
+if (r2Config.tempUploadLinks === 'signed') {
+  if (r2Config.linkSigningSecret.length < 32) {
+    throw new ConfigurationError(
+      'R2_TEMP_UPLOAD_LINKS=signed needs R2_LINK_SIGNING_SECRET of at least 32 characters',
+      'INVALID_TEMP_UPLOAD_LINKS'
+    );
+  }
+  if (!r2Config.linkBaseUrl) {
+    throw new ConfigurationError(
+      'R2_TEMP_UPLOAD_LINKS=signed needs R2_LINK_BASE_URL (public URL of the stats server)',
+      'INVALID_TEMP_UPLOAD_LINKS'
+    );
+  }
+}
+
+// Validate storage driver
+const validStorageDrivers = ['local', 's3', 'r2'];
+if (!validStorageDrivers.includes(storageConfig.driver)) {
+  throw new ConfigurationError(
+    `STORAGE_DRIVER must be one of: ${validStorageDrivers.join(', ')}, got: ${storageConfig.driver}`,
+    'INVALID_STORAGE_DRIVER'
+  );
+}
+
+// Validate the settings of the selected storage driver
+const storageDriverSettings = {
+  r2: {
+    R2_ACCOUNT_ID: r2Config.accountId,
+    R2_ACCESS_KEY_ID: r2Config.accessKeyId,
+    R2_SECRET_ACCESS_KEY: r2Config.secretAccessKey,
+    R2_BUCKET_NAME: r2Config.bucketName,
+  },
+  s3: {
+    S3_ACCESS_KEY_ID: storageConfig.s3.accessKeyId,
+    S3_SECRET_ACCESS_KEY: storageConfig.s3.secretAccessKey,
+    S3_BUCKET_NAME: storageConfig.s3.bucketName,
+  },
+};
+const missingStorageSettings = Object.entries(storageDriverSettings[storageConfig.driver] || {})
+  .filter(([, value]) => !value)
+  .map(([name]) => name);
+if (missingStorageSettings.length > 0) {
+  throw new ConfigurationError(
+    `STORAGE_DRIVER=${storageConfig.driver} needs ${missingStorageSettings.join(', ')}`,
+    'INVALID_STORAGE_CONFIG'
+  );
+}
+
+// Validate job processing mode
+const validJobProcessingModes = ['bot', 'worker'];
+if (!validJobProcessingModes.includes(jobQueueConfig.processingMode)) {
+  throw new ConfigurationError(
+    `JOB_PROCESSING_MODE must be one of: ${validJobProcessingModes.join(', ')}, got: ${jobQueueConfig.processingMode}`,
+    'INVALID_JOB_PROCESSING_MODE'
+  );
+}
+
 // Export all config as a single object for convenience
 export const config = {
   get bot() {
@@ -333,4 +500,7 @@ export const config = {
   webui: webuiConfig,
   logger: loggerConfig,
   r2: r2Config,
+  storage: storageConfig,
+  jobs: jobQueueConfig,
+  quotas: quotaConfig,
 };
@@ -0,0 +1,460 @@
+/**
+ * Conversion option parsing utilities
+ * Validates user-supplied width, fps, crop, format, caption and effect values for /convert and /optimize
+ */
+
+// Ceilings keep user-sized GIFs small enough to skip a second optimize pass
+export const CONVERSION_LIMITS = {
+  minWidth: 16,
+  maxWidth: 1280,
+  minFps: 1,
+  maxFps: 30,
+  minCropSize: 16,
+  maxAspectPart: 100,
+  maxCaptionLength: 100,
+  minSpeed: 0.25,
+  maxSpeed: 4,
+  minSlideDuration: 0.5,
+  maxSlideDuration: 10,
+  maxCrossfade: 2,
+};
+
+// Aspect presets offered in the command and modal help text
+export const CROP_PRESETS = ['1:1', '4:3', '3:4', '16:9', '9:16'];
+
+// Output formats for /convert
+// APNG keeps the .png extension so Discord and browsers display it inline
+export const OUTPUT_FORMATS = {
+  gif: { extension: '.gif', contentType: 'image/gif' },
+  webp: { extension: '.webp', contentType: 'image/webp' },
+  apng: { extension: '.png', contentType: 'image/png' },
+  mp4: { extension: '.mp4', contentType: 'video/mp4' },
+};
+
+export const DEFAULT_OUTPUT_FORMAT = 'gif';
+
+// Caption placements: white outlined text over the frame, or black text on a white bar above it
+export const CAPTION_POSITIONS = ['top', 'bottom', 'bar'];
+
+export const DEFAULT_CAPTION_POSITION = 'top';
+
+// Playback effects; speed takes a multiplier, the others play the clip backwards
+export const EFFECTS = ['reverse', 'boomerang', 'speed'];
+
+// Seconds each photo is shown when a multi-item post is converted to a slideshow
+export const DEFAULT_SLIDE_DURATION = 2;
+
+/**
+ * Parse an optional whole-number value within a range
+ * @param {string|number|null|undefined} value - Raw value
+ * @param {string} name - Option name used in error messages
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {{value: number|null, error: string|null}} Result object
+ */
+function parseBoundedInteger(value, name, min, max) {
+  if (value === null || value === undefined) {
+    return { value: null, error: null };
+  }
+
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return { value: null, error: null };
+  }
+
+  if (!/^\d+$/.test(trimmed)) {
+    return { value: null, error: `${name} must be a whole number between ${min} and ${max}` };
+  }
+
+  const parsed = parseInt(trimmed, 10);
+  if (parsed < min || parsed > max) {
+    return { value: null, error: `${name} must be between ${min} and ${max}` };
+  }
+
+  return { value: parsed, error: null };
+}
+
+/**
+ * Parse an output width in pixels
+ * @param {string|number|null|undefined} value - Raw width value
+ * @returns {{width: number|null, error: string|null}} Result object
+ *
+ * @example
+ * parseWidth('320')  // { width: 320, error: null }
+ * parseWidth(null)   // { width: null, error: null }
+ * parseWidth(5000)   // { width: null, error: 'width must be between 16 and 1280' }
+ */
+export function parseWidth(value) {
+  const { value: width, error } = parseBoundedInteger(
+    value,
+    'width',
+    CONVERSION_LIMITS.minWidth,
+    CONVERSION_LIMITS.maxWidth
+  );
+  return { width, error };
+}
+
+/**
+ * Parse an output frame rate
+ * @param {string|number|null|undefined} value - Raw fps value
+ * @returns {{fps: number|null, error: string|null}} Result object
+ *
+ * @example
+ * parseFps('15')  // { fps: 15, error: null }
+ * parseFps(60)    // { fps: null, error: 'fps must be between 1 and 30' }
+ */
+export function parseFps(value) {
+  const { value: fps, error } = parseBoundedInteger(
+    value,
+    'fps',
+    CONVERSION_LIMITS.minFps,
+    CONVERSION_LIMITS.maxFps
+  );
+  return { fps, error };
+}
+
+/**
+ * Parse a crop value
+ * Supports aspect ratios (1:1, 9:16) and explicit regions (x:y:w:h) in source pixels
+ * @param {string|null|undefined} value - Raw crop value
+ * @returns {{crop: string|null, error: string|null}} Result object with the normalized crop string
+ *
+ * @example
+ * parseCrop('9:16')             // { crop: '9:16', error: null }
+ * parseCrop(' 0:120:640:640 ')  // { crop: '0:120:640:640', error: null }
+ * parseCrop('wide')             // { crop: null, error: 'invalid crop format...' }
+ */
+export function parseCrop(value) {
+  if (value === null || value === undefined) {
+    return { crop: null, error: null };
+  }
+
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return { crop: null, error: null };
+  }
+
+  const parts = trimmed.split(':');
+  if (!parts.every(part => /^\d+$/.test(part)) || (parts.length !== 2 && parts.length !== 4)) {
+    return {
+      crop: null,
+      error: `invalid crop format. use an aspect ratio (${CROP_PRESETS.join(', ')}) or x:y:w:h`,
+    };
+  }
+
+  const numbers = parts.map(part => parseInt(part, 10));
+
+  if (numbers.length === 2) {
+    const { maxAspectPart } = CONVERSION_LIMITS;
+    if (numbers.some(n => n < 1 || n > maxAspectPart)) {
+      return { crop: null, error: `aspect ratio values must be between 1 and ${maxAspectPart}` };
+    }
+    return { crop: numbers.join(':'), error: null };
+  }
+
+  const [, , width, height] = numbers;
+  const { minCropSize } = CONVERSION_LIMITS;
+  if (width < minCropSize || height < minCropSize) {
+    return { crop: null, error: `crop width and height must be at least ${minCropSize}px` };
+  }
+
+  return { crop: numbers.join(':'), error: null };
+}
+
+/**
+ * Parse an output format
+ * @param {string|null|undefined} value - Raw format value
+ * @returns {{format: string, error: string|null}} Result object (defaults to gif)
+ *
+ * @example
+ * parseFormat('WebP')  // { format: 'webp', error: null }
+ * parseFormat(null)    // { format: 'gif', error: null }
+ * parseFormat('avif')  // { format: 'gif', error: 'format must be one of: gif, webp, apng, mp4' }
+ */
+export function parseFormat(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { format: DEFAULT_OUTPUT_FORMAT, error: null };
+  }
+
+  const format = String(value).trim().toLowerCase();
+  if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+    return {
+      format: DEFAULT_OUTPUT_FORMAT,
+      error: `format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`,
+    };
+  }
+
+  return { format, error: null };
+}
+
+/**
+ * Normalize caption text to a single line of printable characters
+ * Control and formatting characters are removed and whitespace is collapsed
+ * @param {string|null|undefined} value - Raw caption text
+ * @returns {string} Sanitized caption (empty string if nothing printable remains)
+ */
+export function sanitizeCaption(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .normalize('NFC')
+    .replace(/[\p{Cc}\p{Cf}\p{Zl}\p{Zp}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse caption text and position
+ * @param {Object} raw - Raw option values
+ * @param {string|null} [raw.text] - Caption text
+ * @param {string|null} [raw.position] - Caption position (top, bottom or bar)
+ * @returns {{caption: {text: string, position: string}|null, error: string|null}} Result object (null caption if no text)
+ *
+ * @example
+ * parseCaption({ text: ' when the  build passes ' })  // { caption: { text: 'when the build passes', position: 'top' }, error: null }
+ * parseCaption({ text: 'hi', position: 'side' })      // { caption: null, error: 'caption position must be one of: top, bottom, bar' }
+ */
+export function parseCaption({ text = null, position = null } = {}) {
+  const positionValue =
+    position === null || position === undefined || String(position).trim() === ''
+      ? DEFAULT_CAPTION_POSITION
+      : String(position).trim().toLowerCase();
+  if (!CAPTION_POSITIONS.includes(positionValue)) {
+    return {
+      caption: null,
+      error: `caption position must be one of: ${CAPTION_POSITIONS.join(', ')}`,
+    };
+  }
+
+  const sanitized = sanitizeCaption(text);
+  if (!sanitized) {
+    return { caption: null, error: null };
+  }
+
+  const { maxCaptionLength } = CONVERSION_LIMITS;
+  if (sanitized.length > maxCaptionLength) {
+    return { caption: null, error: `caption must be at most ${maxCaptionLength} characters` };
+  }
+
+  return { caption: { text: sanitized, position: positionValue }, error: null };
+}
+
+/**
+ * Parse a playback effect and speed multiplier
+ * A speed without an effect implies the speed effect
+ * @param {Object} raw - Raw option values
+ * @param {string|null} [raw.effect] - Effect name (reverse, boomerang or speed)
+ * @param {string|number|null} [raw.speed] - Speed multiplier (0.25-4), only for the speed effect
+ * @returns {{effect: {type: string, speed: number|null}|null, error: string|null}} Result object (null effect if none requested)
+ *
+ * @example
+ * parseEffect({ effect: 'boomerang' })  // { effect: { type: 'boomerang', speed: null }, error: null }
+ * parseEffect({ speed: 2 })             // { effect: { type: 'speed', speed: 2 }, error: null }
+ * parseEffect({ effect: 'speed' })      // { effect: null, error: 'the speed effect needs a speed between 0.25 and 4' }
+ */
+export function parseEffect({ effect = null, speed = null } = {}) {
+  const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+  const { minSpeed, maxSpeed } = CONVERSION_LIMITS;
+
+  if (isEmpty(effect) && isEmpty(speed)) {
+    return { effect: null, error: null };
+  }
+
+  const type = isEmpty(effect) ? 'speed' : String(effect).trim().toLowerCase();
+  if (!EFFECTS.includes(type)) {
+    return { effect: null, error: `effect must be one of: ${EFFECTS.join(', ')}` };
+  }
+
+  if (type !== 'speed') {
+    if (!isEmpty(speed)) {
+      return { effect: null, error: 'speed only applies to the speed effect' };
+    }
+    return { effect: { type, speed: null }, error: null };
+  }
+
+  if (isEmpty(speed)) {
+    return {
+      effect: null,
+      error: `the speed effect needs a speed between ${minSpeed} and ${maxSpeed}`,
+    };
+  }
+
+  const multiplier = Number(String(speed).trim());
+  if (!Number.isFinite(multiplier) || multiplier < minSpeed || multiplier > maxSpeed) {
+    return { effect: null, error: `speed must be between ${minSpeed} and ${maxSpeed}` };
+  }
+
+  return { effect: { type, speed: multiplier }, error: null };
+}
+
+/**
+ * Format an effect as a short string for cache keys and logs
+ * @param {{type: string, speed: number|null}|null|undefined} effect - Parsed effect
+ * @returns {string|null} 'reverse', 'boomerang', 'speed:2', or null if no effect
+ */
+export function formatEffect(effect) {
+  if (!effect?.type) {
+    return null;
+  }
+  return effect.type === 'speed' ? `speed:${effect.speed}` : effect.type;
+}
+
+/**
+ * Parse slideshow options for posts with several photos or videos
+ * Always returns settings (with defaults), since whether a URL is a multi-item post is only known after download
+ * @param {Object} [raw] - Raw option values
+ * @param {string|number|null} [raw.slideDuration] - Seconds each photo is shown
+ * @param {string|number|null} [raw.crossfade] - Seconds of crossfade between slides (0 for hard cuts)
+ * @returns {{slideshow: {slideDuration: number, crossfade: number}|null, error: string|null}} Result object
+ *
+ * @example
+ * parseSlideshow()                                     // { slideshow: { slideDuration: 2, crossfade: 0 }, error: null }
+ * parseSlideshow({ slideDuration: 3, crossfade: 0.5 }) // { slideshow: { slideDuration: 3, crossfade: 0.5 }, error: null }
+ * parseSlideshow({ slideDuration: 1, crossfade: 1 })   // { slideshow: null, error: 'crossfade must be shorter than the slide duration' }
+ */
+export function parseSlideshow({ slideDuration = null, crossfade = null } = {}) {
+  const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+  const { minSlideDuration, maxSlideDuration, maxCrossfade } = CONVERSION_LIMITS;
+
+  const duration = isEmpty(slideDuration)
+    ? DEFAULT_SLIDE_DURATION
+    : Number(String(slideDuration).trim());
+  if (!Number.isFinite(duration) || duration < minSlideDuration || duration > maxSlideDuration) {
+    return {
+      slideshow: null,
+      error: `slide duration must be between ${minSlideDuration} and ${maxSlideDuration} seconds`,
+    };
+  }
+
+  const fade = isEmpty(crossfade) ? 0 : Number(String(crossfade).trim());
+  if (!Number.isFinite(fade) || fade < 0 || fade > maxCrossfade) {
+    return { slideshow: null, error: `crossfade must be between 0 and ${maxCrossfade} seconds` };
+  }
+  if (fade >= duration) {
+    return { slideshow: null, error: 'crossfade must be shorter than the slide duration' };
+  }
+
+  return { slideshow: { slideDuration: duration, crossfade: fade }, error: null };
+}
+
+/**
+ * Format slideshow settings as a short string for cache keys and logs
+ * @param {{slideDuration: number, crossfade: number}|null|undefined} slideshow - Parsed slideshow settings
+ * @returns {string|null} 'slideDuration:crossfade' (e.g. '2:0.5'), or null if not a slideshow
+ */
+export function formatSlideshow(slideshow) {
+  if (!slideshow) {
+    return null;
+  }
+  return `${slideshow.slideDuration}:${slideshow.crossfade}`;
+}
+
+/**
+ * Fill in the quality a conversion will use when none was chosen
+ * A server's default quality changes the output like a chosen one, so it must be set before any
+ * cache key is built
+ * @param {Object} options - Conversion options
+ * @param {string} defaultQuality - Quality used when options.quality is not set
+ * @returns {Object} Options with quality set
+ */
+export function withDefaultQuality(options, defaultQuality) {
+  return { ...options, quality: options.quality ?? defaultQuality };
+}
+
+/**
+ * List the conversion options that change the output, for output hashes and variant keys
+ * Two conversions of the same source share an output only when every part matches
+ * @param {Object} options - Conversion options (startTime, duration, width, fps, crop, targetSize, quality, caption, effect)
+ * @param {string} format - Output format
+ * @returns {Array<string|null>} One part per option, null when the option is not set
+ */
+export function getOutputOptionParts(options, format) {
+  return [
+    options.startTime != null ? `start=${options.startTime}` : null,
+    options.duration != null ? `duration=${options.duration}` : null,
+    options.width ? `width=${options.width}` : null,
+    options.fps ? `fps=${options.fps}` : null,
+    options.crop ? `crop=${options.crop}` : null,
+    options.targetSize ? `target=${options.targetSize}` : null,
+    options.quality ? `quality=${options.quality}` : null,
+    format === DEFAULT_OUTPUT_FORMAT ? null : `format=${format}`,
+    options.caption?.text ? `caption=${options.caption.position}:${options.caption.text}` : null,
+    options.effect ? `effect=${formatEffect(options.effect)}` : null,
+  ];
+}
+
+/**
+ * Parse width, fps and crop options from a command or modal
+ * @param {Object} raw - Raw option values
+ * @param {string|number|null} [raw.width] - Output width in pixels
+ * @param {string|number|null} [raw.fps] - Output frames per second
+ * @param {string|null} [raw.crop] - Aspect ratio or x:y:w:h region
+ * @returns {{width: number|null, fps: number|null, crop: string|null, error: string|null}} Result object
+ */
+export function parseOutputOptions({ width = null, fps = null, crop = null } = {}) {
+  const widthParsed = parseWidth(width);
+  const fpsParsed = parseFps(fps);
+  const cropParsed = parseCrop(crop);
+
+  const error =
+    (widthParsed.error && `invalid width: ${widthParsed.error}.`) ||
+    (fpsParsed.error && `invalid fps: ${fpsParsed.error}.`) ||
+    (cropParsed.error && `invalid crop: ${cropParsed.error}.`) ||
+    null;
+  if (error) {
+    return { width: null, fps: null, crop: null, error };
+  }
+
+  return { width: widthParsed.width, fps: fpsParsed.fps, crop: cropParsed.crop, error: null };
+}
+
+/**
+ * Resolve a crop value to a pixel region of the source
+ * Aspect ratios take the largest centered region; explicit regions must fit the source
+ * @param {string} crop - Crop value normalized by parseCrop
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @returns {{rect: {x: number, y: number, width: number, height: number}|null, error: string|null}} Result object
+ */
+export function resolveCropRect(crop, sourceWidth, sourceHeight) {
+  const parsed = parseCrop(crop);
+  if (parsed.error) {
+    return { rect: null, error: parsed.error };
+  }
+  if (!parsed.crop) {
+    return { rect: null, error: null };
+  }
+
+  const numbers = parsed.crop.split(':').map(Number);
+
+  if (numbers.length === 2) {
+    const [aspectWidth, aspectHeight] = numbers;
+    let width = sourceWidth;
+    let height = Math.floor((sourceWidth * aspectHeight) / aspectWidth);
+    if (height > sourceHeight) {
+      height = sourceHeight;
+      width = Math.floor((sourceHeight * aspectWidth) / aspectHeight);
+    }
+    return {
+      rect: {
+        x: Math.floor((sourceWidth - width) / 2),
+        y: Math.floor((sourceHeight - height) / 2),
+        width,
+        height,
+      },
+      error: null,
+    };
+  }
+
+  const [x, y, width, height] = numbers;
+  if (x + width > sourceWidth || y + height > sourceHeight) {
+    return {
+      rect: null,
+      error: `crop region ${parsed.crop} is outside the ${sourceWidth}x${sourceHeight} source`,
+    };
+  }
+
+  return { rect: { x, y, width, height }, error: null };
+}
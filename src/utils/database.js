@@ -18,6 +18,17 @@ export * from './database/metrics-pg.js';
 export * from './database/alerts-pg.js';
 export * from './database/temporary-uploads-pg.js';
 export * from './database/analytics-pg.js';
+export * from './database/jobs-pg.js';
+export * from './database/quotas-pg.js';
+export * from './database/picker-selections-pg.js';
+export * from './database/webui-auth-pg.js';
+export * from './database/audit-events-pg.js';
+export * from './database/blocklist-pg.js';
+export * from './database/media-fingerprints-pg.js';
+export * from './database/media-previews-pg.js';
+export * from './database/guild-settings-pg.js';
+export * from './database/user-preferences-pg.js';
+export * from './database/user-data-pg.js';
 
 // Test helpers (for cleaning database state in tests)
 export * from './database/test-helpers.js';
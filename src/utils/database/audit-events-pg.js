@@ -0,0 +1,214 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { convertTimestampsInArray } from './helpers-pg.js';
+
+/**
+ * Serialize a before/after snapshot for storage
+ * @param {*} state - Snapshot (any JSON-serializable value)
+ * @returns {string|null} JSON string, or null when there is no snapshot
+ */
+function serializeState(state) {
+  return state === undefined || state === null ? null : JSON.stringify(state);
+}
+
+/**
+ * Parse an audit event row from the database
+ * @param {Object} row - Raw audit_events row
+ * @returns {Object} Audit event with parsed snapshots
+ */
+function parseAuditRow(row) {
+  const parse = value => {
+    if (!value) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  };
+  return {
+    ...row,
+    before_state: parse(row.before_state),
+    after_state: parse(row.after_state),
+  };
+}
+
+/**
+ * Build the WHERE clause for audit event filters
+ * @param {Object} options - Filters (see getAuditEvents)
+ * @returns {{where: string, params: Array}} SQL WHERE clause (may be empty) and its parameters
+ */
+function buildAuditFilters(options) {
+  const {
+    actorId = null,
+    action = null,
+    status = null,
+    targetType = null,
+    target = null,
+    startTime = null,
+    endTime = null,
+  } = options;
+
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    conditions.push(`actor_id = $${params.length + 1}`);
+    params.push(actorId);
+  }
+
+  if (action) {
+    conditions.push(`action = $${params.length + 1}`);
+    params.push(action);
+  }
+
+  if (status) {
+    conditions.push(`status = $${params.length + 1}`);
+    params.push(status);
+  }
+
+  if (targetType) {
+    conditions.push(`target_type = $${params.length + 1}`);
+    params.push(targetType);
+  }
+
+  // A target matches the event's own target, the affected Discord user, or the R2 key
+  if (target) {
+    const placeholder = `$${params.length + 1}`;
+    conditions.push(
+      `(target_id = ${placeholder} OR target_user_id = ${placeholder} OR target_r2_key = ${placeholder})`
+    );
+    params.push(target);
+  }
+
+  if (startTime !== null) {
+    conditions.push(`created_at >= $${params.length + 1}`);
+    params.push(startTime);
+  }
+
+  if (endTime !== null) {
+    conditions.push(`created_at <= $${params.length + 1}`);
+    params.push(endTime);
+  }
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Record an audit event
+ * @param {Object} event - Event data
+ * @param {string|null} [event.actorId] - WebUI user ID that performed the action
+ * @param {string|null} [event.actorName] - Display name of the actor at the time
+ * @param {string|null} [event.actorRole] - Role of the actor at the time
+ * @param {string} event.action - Action name (e.g. 'media.delete', 'quota.set')
+ * @param {string} [event.status='success'] - 'success' or 'failed'
+ * @param {string|null} [event.targetType] - What was acted on ('media', 'user', 'quota', ...)
+ * @param {string|null} [event.targetId] - ID of the target (url hash, quota scope, ...)
+ * @param {string|null} [event.targetUserId] - Discord user the target belongs to
+ * @param {string|null} [event.targetR2Key] - R2 object key the action touched
+ * @param {*} [event.before] - Snapshot before the action
+ * @param {*} [event.after] - Snapshot or result after the action
+ * @param {string|null} [event.ipAddress] - Client IP address
+ * @returns {Promise<void>}
+ */
+export async function insertAuditEvent({
+  actorId = null,
+  actorName = null,
+  actorRole = null,
+  action,
+  status = 'success',
+  targetType = null,
+  targetId = null,
+  targetUserId = null,
+  targetR2Key = null,
+  before = null,
+  after = null,
+  ipAddress = null,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot record audit event.');
+  }
+
+  await sql`
+    INSERT INTO audit_events (
+      actor_id, actor_name, actor_role, action, status, target_type, target_id,
+      target_user_id, target_r2_key, before_state, after_state, ip_address, created_at
+    )
+    VALUES (
+      ${actorId}, ${actorName}, ${actorRole}, ${action}, ${status}, ${targetType}, ${targetId},
+      ${targetUserId}, ${targetR2Key}, ${serializeState(before)}, ${serializeState(after)},
+      ${ipAddress}, ${Date.now()}
+    )
+  `;
+}
+
+/**
+ * Get audit events, newest first
+ * @param {Object} [options] - Query options
+ * @param {string} [options.actorId] - Filter by WebUI user ID
+ * @param {string} [options.action] - Filter by action
+ * @param {string} [options.status] - Filter by status
+ * @param {string} [options.targetType] - Filter by target type
+ * @param {string} [options.target] - Match target ID, target Discord user or R2 key
+ * @param {number} [options.startTime] - Only events at or after this timestamp
+ * @param {number} [options.endTime] - Only events at or before this timestamp
+ * @param {number} [options.limit=100] - Limit results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Array>} Audit events
+ */
+export async function getAuditEvents(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const { limit = 100, offset = 0 } = options;
+  const { where, params } = buildAuditFilters(options);
+  const query = `SELECT * FROM audit_events${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+
+  const rows = await sql.unsafe(query, [...params, limit, offset]);
+  return convertTimestampsInArray(rows.map(parseAuditRow), ['created_at']);
+}
+
+/**
+ * Count audit events matching filters
+ * @param {Object} [options] - Filters (same as getAuditEvents)
+ * @returns {Promise<number>} Number of matching events
+ */
+export async function getAuditEventsCount(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const { where, params } = buildAuditFilters(options);
+  const result = await sql.unsafe(`SELECT COUNT(*) AS count FROM audit_events${where}`, params);
+  return parseInt(result[0]?.count || 0, 10);
+}
+
+/**
+ * Get every action that has been recorded (for filter menus)
+ * @returns {Promise<Array<string>>} Action names, sorted
+ */
+export async function getAuditActions() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const result = await sql`SELECT DISTINCT action FROM audit_events ORDER BY action`;
+  return result.map(row => row.action);
+}
@@ -0,0 +1,181 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { convertTimestampsToNumbers, convertTimestampsInArray } from './helpers-pg.js';
+
+// What a blocklist entry matches: a BLAKE3 file hash, a URL hash, or a domain (and its subdomains)
+export const BLOCKLIST_ENTRY_TYPES = ['file_hash', 'url_hash', 'domain'];
+
+/**
+ * Add an entry to the content blocklist
+ * Adding an entry that already exists updates its reason and keeps the original creator
+ * @param {Object} entry - Entry data
+ * @param {string} entry.entryType - 'file_hash', 'url_hash' or 'domain'
+ * @param {string} entry.value - Hash or domain to block
+ * @param {string|null} [entry.sourceUrl] - URL the entry was created from (for display)
+ * @param {string|null} [entry.reason] - Why the content is blocked
+ * @param {string|null} [entry.createdBy] - WebUI user ID that added the entry
+ * @returns {Promise<Object>} Blocklist entry
+ */
+export async function addBlocklistEntry({
+  entryType,
+  value,
+  sourceUrl = null,
+  reason = null,
+  createdBy = null,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot add blocklist entry.');
+  }
+
+  const result = await sql`
+    INSERT INTO content_blocklist (entry_type, value, source_url, reason, created_by, created_at)
+    VALUES (${entryType}, ${value}, ${sourceUrl}, ${reason}, ${createdBy}, ${Date.now()})
+    ON CONFLICT (entry_type, value) DO UPDATE SET
+      reason = COALESCE(EXCLUDED.reason, content_blocklist.reason),
+      source_url = COALESCE(content_blocklist.source_url, EXCLUDED.source_url)
+    RETURNING *
+  `;
+  return convertTimestampsToNumbers(result[0], ['created_at']);
+}
+
+/**
+ * Get a blocklist entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} Blocklist entry or null if not found
+ */
+export async function getBlocklistEntry(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM content_blocklist WHERE id = ${id}`;
+  return result.length > 0 ? convertTimestampsToNumbers(result[0], ['created_at']) : null;
+}
+
+/**
+ * Remove an entry from the content blocklist
+ * @param {number} id - Entry ID
+ * @returns {Promise<boolean>} True if an entry was removed
+ */
+export async function removeBlocklistEntry(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`DELETE FROM content_blocklist WHERE id = ${id}`;
+  return result.count > 0;
+}
+
+/**
+ * Build the WHERE clause for blocklist filters
+ * @param {Object} options - Filters (see getBlocklistEntries)
+ * @returns {{where: string, params: Array}} SQL WHERE clause (may be empty) and its parameters
+ */
+function buildBlocklistFilters({ entryType = null, search = null }) {
+  const conditions = [];
+  const params = [];
+
+  if (entryType) {
+    conditions.push(`entry_type = $${params.length + 1}`);
+    params.push(entryType);
+  }
+
+  if (search) {
+    const placeholder = `$${params.length + 1}`;
+    conditions.push(
+      `(value ILIKE ${placeholder} OR source_url ILIKE ${placeholder} OR reason ILIKE ${placeholder})`
+    );
+    params.push(`%${search}%`);
+  }
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Get blocklist entries, newest first
+ * @param {Object} [options] - Query options
+ * @param {string} [options.entryType] - Filter by entry type
+ * @param {string} [options.search] - Match value, source URL or reason
+ * @param {number} [options.limit=100] - Limit results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Array>} Blocklist entries
+ */
+export async function getBlocklistEntries(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const { limit = 100, offset = 0 } = options;
+  const { where, params } = buildBlocklistFilters(options);
+  const query = `SELECT * FROM content_blocklist${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+
+  const rows = await sql.unsafe(query, [...params, limit, offset]);
+  return convertTimestampsInArray(rows, ['created_at']);
+}
+
+/**
+ * Count blocklist entries matching filters
+ * @param {Object} [options] - Filters (same as getBlocklistEntries)
+ * @returns {Promise<number>} Number of matching entries
+ */
+export async function getBlocklistEntriesCount(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const { where, params } = buildBlocklistFilters(options);
+  const result = await sql.unsafe(
+    `SELECT COUNT(*) AS count FROM content_blocklist${where}`,
+    params
+  );
+  return parseInt(result[0]?.count || 0, 10);
+}
+
+/**
+ * Find the first blocklist entry matching any of the given hashes or domains
+ * @param {Object} candidates - Values to look up (empty lists are skipped)
+ * @param {Array<string>} [candidates.fileHashes] - BLAKE3 file hashes
+ * @param {Array<string>} [candidates.urlHashes] - URL hashes
+ * @param {Array<string>} [candidates.domains] - Domains, including parent domains
+ * @returns {Promise<Object|null>} Matching entry or null
+ */
+export async function findBlocklistMatch({ fileHashes = [], urlHashes = [], domains = [] }) {
+  if (fileHashes.length === 0 && urlHashes.length === 0 && domains.length === 0) {
+    return null;
+  }
+
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`
+    SELECT * FROM content_blocklist
+    WHERE (entry_type = 'file_hash' AND value = ANY(${fileHashes}::TEXT[]))
+       OR (entry_type = 'url_hash' AND value = ANY(${urlHashes}::TEXT[]))
+       OR (entry_type = 'domain' AND value = ANY(${domains}::TEXT[]))
+    ORDER BY id
+    LIMIT 1
+  `;
+  return result.length > 0 ? convertTimestampsToNumbers(result[0], ['created_at']) : null;
+}
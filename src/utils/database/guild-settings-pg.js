@@ -0,0 +1,150 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { createLogger } from '../logger.js';
+import { convertTimestampsToNumbers, convertBigIntToNumbers } from './helpers-pg.js';
+
+// Setting columns in the guild_settings table (null = use the global default)
+export const GUILD_SETTING_FIELDS = [
+  'gif_quality',
+  'max_gif_duration',
+  'discord_size_limit',
+  'cobalt_enabled',
+  'ytdlp_enabled',
+  'allowed_channel_ids',
+  'ephemeral_replies',
+  'always_use_r2',
+];
+
+// Lazy logger creation
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    logger = createLogger('guild-settings');
+  }
+  return logger;
+}
+
+/**
+ * Parse a guild settings row from the database
+ * @param {Object} row - Raw guild settings row
+ * @returns {Object|null} Parsed guild settings record
+ */
+function parseGuildSettingsRow(row) {
+  if (!row) {
+    return null;
+  }
+  return convertBigIntToNumbers(convertTimestampsToNumbers(row, ['created_at', 'updated_at']), [
+    'discord_size_limit',
+  ]);
+}
+
+/**
+ * Get the settings stored for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object|null>} Guild settings record or null if none are set
+ */
+export async function getGuildSettingsRecord(guildId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM guild_settings WHERE guild_id = ${guildId}`;
+  return result.length > 0 ? parseGuildSettingsRow(result[0]) : null;
+}
+
+/**
+ * Get the settings of every guild that has any, most recently updated first
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=100] - Limit results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Array>} Guild settings records
+ */
+export async function getGuildSettingsRecords(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const { limit = 100, offset = 0 } = options;
+  const result = await sql`
+    SELECT * FROM guild_settings
+    ORDER BY updated_at DESC, guild_id
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+  return result.map(parseGuildSettingsRow);
+}
+
+/**
+ * Create or replace the settings of a guild
+ * Settings left undefined are stored as null (use the global default)
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} settings - Setting values keyed by column name (see GUILD_SETTING_FIELDS)
+ * @param {string|null} [updatedBy] - Discord or WebUI user ID that changed the settings
+ * @returns {Promise<Object>} The stored guild settings record
+ */
+export async function setGuildSettings(guildId, settings = {}, updatedBy = null) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot set guild settings.');
+  }
+
+  const now = Date.now();
+  const values = Object.fromEntries(
+    GUILD_SETTING_FIELDS.map(field => [field, settings[field] ?? null])
+  );
+
+  const result = await sql`
+    INSERT INTO guild_settings (
+      guild_id, gif_quality, max_gif_duration, discord_size_limit, cobalt_enabled,
+      ytdlp_enabled, allowed_channel_ids, ephemeral_replies, always_use_r2,
+      updated_by, created_at, updated_at
+    )
+    VALUES (
+      ${guildId}, ${values.gif_quality}, ${values.max_gif_duration}, ${values.discord_size_limit},
+      ${values.cobalt_enabled}, ${values.ytdlp_enabled}, ${values.allowed_channel_ids}::TEXT[],
+      ${values.ephemeral_replies}, ${values.always_use_r2}, ${updatedBy}, ${now}, ${now}
+    )
+    ON CONFLICT (guild_id) DO UPDATE SET
+      gif_quality = EXCLUDED.gif_quality,
+      max_gif_duration = EXCLUDED.max_gif_duration,
+      discord_size_limit = EXCLUDED.discord_size_limit,
+      cobalt_enabled = EXCLUDED.cobalt_enabled,
+      ytdlp_enabled = EXCLUDED.ytdlp_enabled,
+      allowed_channel_ids = EXCLUDED.allowed_channel_ids,
+      ephemeral_replies = EXCLUDED.ephemeral_replies,
+      always_use_r2 = EXCLUDED.always_use_r2,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = EXCLUDED.updated_at
+    RETURNING *
+  `;
+
+  getLogger().info(`Set settings for guild ${guildId}`);
+  return parseGuildSettingsRow(result[0]);
+}
+
+/**
+ * Delete the settings of a guild, returning it to the global defaults
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<boolean>} True if settings were deleted
+ */
+export async function deleteGuildSettings(guildId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`DELETE FROM guild_settings WHERE guild_id = ${guildId}`;
+  if (result.count > 0) {
+    getLogger().info(`Deleted settings for guild ${guildId}`);
+  }
+  return result.count > 0;
+}
@@ -5,14 +5,10 @@ import {
   getPostgresInitPromise,
   setPostgresInitPromise,
 } from './connection.js';
-import {
-  getTableDefinitions,
-  getIndexDefinitions,
-  addFileSizeColumnIfNeeded,
-} from './schema-pg.js';
+import { prepareSchema } from './migrate.js';
 
 /**
- * Initialize PostgreSQL database and create tables
+ * Initialize PostgreSQL database and bring its schema up to date
  * @returns {Promise<void>}
  */
 export async function initPostgresDatabase() {
@@ -37,66 +33,8 @@ export async function initPostgresDatabase() {
       const connection = await initPostgresConnection();
       setPostgresConnection(connection);
 
-      // Create tables with error handling for type conflicts
-      const tables = getTableDefinitions();
-      for (const table of tables) {
-        try {
-          await connection.unsafe(table.sql);
-        } catch (error) {
-          // Handle duplicate type/table errors that can occur in parallel test execution
-          // 42710: duplicate type error
-          // 42P07: duplicate table/relation error
-          // 23505 + pg_class_relname_nsp_index: race condition — IF NOT EXISTS check not atomic
-          if (
-            error.code === '42710' ||
-            error.code === '42P07' ||
-            error.message?.includes('pg_type_typname_nsp_index')
-          ) {
-            console.warn(
-              `[Database Init] Conflict for table "${table.name}" (${error.code || 'unknown'}), dropping and recreating...`
-            );
-            // Drop the table first, then the type, then recreate
-            // PostgreSQL won't allow dropping a type that a table depends on
-            await connection.unsafe(`DROP TABLE IF EXISTS ${table.name} CASCADE`);
-            await connection.unsafe(`DROP TYPE IF EXISTS ${table.name} CASCADE`);
-            await connection.unsafe(table.sql);
-          } else if (
-            error.code === '23505' &&
-            error.message?.includes('pg_class_relname_nsp_index')
-          ) {
-            // Race condition: another process just created this table between our IF NOT EXISTS
-            // check and the actual CREATE. The table exists now — nothing to do.
-            console.warn(
-              `[Database Init] Race condition for table "${table.name}" (23505/pg_class), skipping...`
-            );
-          } else {
-            throw error;
-          }
-        }
-      }
-
-      // Create indexes with error handling for race conditions
-      const indexes = getIndexDefinitions();
-      for (const index of indexes) {
-        try {
-          await connection.unsafe(index.sql);
-        } catch (error) {
-          // Handle index conflicts in parallel test execution
-          // 23505: unique constraint violation (race condition in pg_class catalog)
-          // 42P07: relation already exists (race condition despite IF NOT EXISTS)
-          if (error.code === '23505' || error.code === '42P07') {
-            // Index already exists or is being created, this is safe to ignore
-            console.warn(
-              `[Database Init] Index "${index.name}" already exists (${error.code}), skipping...`
-            );
-          } else {
-            throw error;
-          }
-        }
-      }
-
-      // Add file_size column if needed (for migration compatibility)
-      await addFileSizeColumnIfNeeded(connection);
+      // Apply pending migrations, or refuse to start on a schema this build doesn't know
+      await prepareSchema(connection);
 
       // Reset SERIAL sequences to match existing data (fixes duplicate key errors after migration)
       await resetSerialSequences(connection);
@@ -132,6 +70,13 @@ async function resetSerialSequences(sql) {
     { table: 'system_metrics', sequence: 'system_metrics_id_seq', column: 'id' },
     { table: 'alerts', sequence: 'alerts_id_seq', column: 'id' },
     { table: 'temporary_uploads', sequence: 'temporary_uploads_id_seq', column: 'id' },
+    { table: 'jobs', sequence: 'jobs_id_seq', column: 'id' },
+    { table: 'quotas', sequence: 'quotas_id_seq', column: 'id' },
+    { table: 'quota_usage', sequence: 'quota_usage_id_seq', column: 'id' },
+    { table: 'webui_users', sequence: 'webui_users_id_seq', column: 'id' },
+    { table: 'audit_events', sequence: 'audit_events_id_seq', column: 'id' },
+    { table: 'content_blocklist', sequence: 'content_blocklist_id_seq', column: 'id' },
+    { table: 'media_fingerprints', sequence: 'media_fingerprints_id_seq', column: 'id' },
   ];
 
   for (const { table, sequence, column } of tablesWithSerial) {
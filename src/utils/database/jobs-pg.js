@@ -0,0 +1,417 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { createLogger } from '../logger.js';
+import { convertTimestampsToNumbers } from './helpers-pg.js';
+
+// Define timestamp fields in jobs table that need conversion from BIGINT strings to numbers
+const JOB_TIMESTAMP_FIELDS = [
+  'lease_expires_at',
+  'created_at',
+  'updated_at',
+  'started_at',
+  'completed_at',
+];
+
+// Lazy logger creation
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    logger = createLogger('jobs');
+  }
+  return logger;
+}
+
+/**
+ * Parse a job row from the database (timestamps and JSON columns)
+ * @param {Object} row - Raw job row
+ * @returns {Object|null} Parsed job record
+ */
+function parseJobRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const job = convertTimestampsToNumbers(row, JOB_TIMESTAMP_FIELDS);
+  for (const field of ['payload', 'result']) {
+    if (job[field] && typeof job[field] === 'string') {
+      try {
+        job[field] = JSON.parse(job[field]);
+      } catch {
+        // Leave as string if it is not valid JSON
+      }
+    }
+  }
+  return job;
+}
+
+/**
+ * Insert a new pending job
+ * @param {Object} job - Job data
+ * @param {string} job.jobType - Job type (e.g., 'convert', 'optimize', 'download')
+ * @param {Object} job.payload - JSON-serializable job payload
+ * @param {string} [job.userId] - Discord user ID who requested the job
+ * @param {number} [job.maxAttempts=3] - Maximum number of attempts before the job is failed
+ * @returns {Promise<Object>} The inserted job record
+ */
+export async function insertJob({ jobType, payload, userId = null, maxAttempts = 3 }) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot insert job.');
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    INSERT INTO jobs (job_type, status, payload, user_id, max_attempts, created_at, updated_at)
+    VALUES (${jobType}, 'pending', ${JSON.stringify(payload || {})}, ${userId}, ${maxAttempts}, ${now}, ${now})
+    RETURNING *
+  `;
+
+  getLogger().debug(`Inserted job ${result[0].id} (type: ${jobType}, user: ${userId})`);
+  return parseJobRow(result[0]);
+}
+
+/**
+ * Claim the oldest pending job of a given type and take a lease on it
+ * Uses FOR UPDATE SKIP LOCKED so concurrent claimers never receive the same job
+ * @param {string} jobType - Job type to claim
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Object|null>} Claimed job or null if none is pending
+ */
+export async function claimNextJob(jobType, workerId, leaseMs) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    getLogger().error('PostgreSQL not initialized. Cannot claim job.');
+    return null;
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    UPDATE jobs
+    SET status = 'running',
+        locked_by = ${workerId},
+        lease_expires_at = ${now + leaseMs},
+        attempts = attempts + 1,
+        started_at = COALESCE(started_at, ${now}),
+        updated_at = ${now}
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE job_type = ${jobType} AND status = 'pending'
+      ORDER BY created_at ASC, id ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `;
+
+  return result.length > 0 ? parseJobRow(result[0]) : null;
+}
+
+/**
+ * Extend the lease on a running job
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - Worker that holds the lease
+ * @param {number} leaseMs - New lease duration in milliseconds (from now)
+ * @returns {Promise<boolean>} True if the lease was extended, false if the worker no longer holds it
+ */
+export async function extendJobLease(jobId, workerId, leaseMs) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    UPDATE jobs
+    SET lease_expires_at = ${now + leaseMs}, updated_at = ${now}
+    WHERE id = ${jobId} AND status = 'running' AND locked_by = ${workerId}
+  `;
+  return result.count > 0;
+}
+
+/**
+ * Mark a job as completed
+ * Only the worker holding the lease can complete it, a worker whose lease expired has lost the job
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - Worker that holds the lease
+ * @param {Object} [result] - JSON-serializable job result
+ * @returns {Promise<boolean>} True if the job was completed, false if the worker no longer holds it
+ */
+export async function completeJob(jobId, workerId, result = null) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    getLogger().error('PostgreSQL not initialized. Cannot complete job.');
+    return false;
+  }
+
+  const now = Date.now();
+  const resultStr = result !== null && result !== undefined ? JSON.stringify(result) : null;
+  const updated = await sql`
+    UPDATE jobs
+    SET status = 'completed',
+        result = ${resultStr},
+        error = NULL,
+        locked_by = NULL,
+        lease_expires_at = NULL,
+        completed_at = ${now},
+        updated_at = ${now}
+    WHERE id = ${jobId} AND status = 'running' AND locked_by = ${workerId}
+  `;
+  return updated.count > 0;
+}
+
+/**
+ * Record a job failure, returning it to the queue if it has attempts left
+ * Only the worker holding the lease can fail it (see completeJob)
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - Worker that holds the lease
+ * @param {string} errorMessage - Error message
+ * @param {Object} [options] - Failure options
+ * @param {boolean} [options.retry=true] - Whether the job may be retried
+ * @returns {Promise<Object|null>} Updated job record, or null if the worker no longer holds it
+ */
+export async function failJob(jobId, workerId, errorMessage, options = {}) {
+  const { retry = true } = options;
+
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    getLogger().error('PostgreSQL not initialized. Cannot fail job.');
+    return null;
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    UPDATE jobs
+    SET status = CASE
+          WHEN ${retry}::BOOLEAN AND attempts < max_attempts THEN 'pending'
+          ELSE 'failed'
+        END,
+        completed_at = CASE
+          WHEN ${retry}::BOOLEAN AND attempts < max_attempts THEN NULL
+          ELSE ${now}::BIGINT
+        END,
+        error = ${errorMessage},
+        locked_by = NULL,
+        lease_expires_at = NULL,
+        updated_at = ${now}
+    WHERE id = ${jobId} AND status = 'running' AND locked_by = ${workerId}
+    RETURNING *
+  `;
+  return result.length > 0 ? parseJobRow(result[0]) : null;
+}
+
+/**
+ * Return running jobs with an expired lease to the queue
+ * Jobs that have used all their attempts are marked as failed instead
+ * @returns {Promise<Array>} Jobs that were requeued or failed
+ */
+export async function requeueExpiredJobs() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    UPDATE jobs
+    SET status = CASE WHEN attempts < max_attempts THEN 'pending' ELSE 'failed' END,
+        completed_at = CASE WHEN attempts < max_attempts THEN NULL ELSE ${now}::BIGINT END,
+        error = CASE
+          WHEN attempts < max_attempts THEN error
+          ELSE 'lease expired after maximum attempts'
+        END,
+        locked_by = NULL,
+        lease_expires_at = NULL,
+        updated_at = ${now}
+    WHERE status = 'running' AND lease_expires_at < ${now}
+    RETURNING *
+  `;
+
+  if (result.length > 0) {
+    getLogger().info(`Recovered ${result.length} job(s) with expired leases`);
+  }
+  return result.map(parseJobRow);
+}
+
+/**
+ * Return all running jobs held by a worker to the queue
+ * Used on startup to resume jobs interrupted by a restart of the same worker
+ * @param {string} workerId - Worker identifier
+ * @returns {Promise<Array>} Jobs that were requeued or failed
+ */
+export async function releaseWorkerJobs(workerId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    UPDATE jobs
+    SET status = CASE WHEN attempts < max_attempts THEN 'pending' ELSE 'failed' END,
+        completed_at = CASE WHEN attempts < max_attempts THEN NULL ELSE ${now}::BIGINT END,
+        error = CASE
+          WHEN attempts < max_attempts THEN error
+          ELSE 'interrupted after maximum attempts'
+        END,
+        locked_by = NULL,
+        lease_expires_at = NULL,
+        updated_at = ${now}
+    WHERE status = 'running' AND locked_by = ${workerId}
+    RETURNING *
+  `;
+
+  if (result.length > 0) {
+    getLogger().info(`Released ${result.length} interrupted job(s) held by ${workerId}`);
+  }
+  return result.map(parseJobRow);
+}
+
+/**
+ * Get a job by ID
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record or null if not found
+ */
+export async function getJob(jobId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM jobs WHERE id = ${jobId}`;
+  return result.length > 0 ? parseJobRow(result[0]) : null;
+}
+
+/**
+ * Get jobs with filtering
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by status
+ * @param {string} [options.jobType] - Filter by job type
+ * @param {string} [options.userId] - Filter by user ID
+ * @param {number} [options.limit=50] - Limit results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Array>} Array of jobs
+ */
+export async function getJobs(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const { status = null, jobType = null, userId = null, limit = 50, offset = 0 } = options;
+
+  let query = 'SELECT * FROM jobs WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    query += ` AND status = $${params.length + 1}`;
+    params.push(status);
+  }
+  if (jobType) {
+    query += ` AND job_type = $${params.length + 1}`;
+    params.push(jobType);
+  }
+  if (userId) {
+    query += ` AND user_id = $${params.length + 1}`;
+    params.push(userId);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC';
+  query += ` LIMIT $${params.length + 1}`;
+  params.push(limit);
+  query += ` OFFSET $${params.length + 1}`;
+  params.push(offset);
+
+  const results = await sql.unsafe(query, params);
+  return results.map(parseJobRow);
+}
+
+/**
+ * Count pending and running jobs requested by a user
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<number>} Number of unfinished jobs
+ */
+export async function countActiveUserJobs(userId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`
+    SELECT COUNT(*) as count
+    FROM jobs
+    WHERE user_id = ${userId} AND status IN ('pending', 'running')
+  `;
+  return parseInt(result[0].count, 10);
+}
+
+/**
+ * Get job counts grouped by type and status
+ * @returns {Promise<Object>} Map of jobType -> { status: count }
+ */
+export async function getJobCounts() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return {};
+  }
+
+  const rows = await sql`
+    SELECT job_type, status, COUNT(*) as count
+    FROM jobs
+    GROUP BY job_type, status
+  `;
+
+  const counts = {};
+  for (const row of rows) {
+    if (!counts[row.job_type]) {
+      counts[row.job_type] = {};
+    }
+    counts[row.job_type][row.status] = parseInt(row.count, 10);
+  }
+  return counts;
+}
+
+/**
+ * Delete completed and failed jobs that finished before a timestamp
+ * @param {number} before - Timestamp in milliseconds
+ * @returns {Promise<number>} Number of deleted jobs
+ */
+export async function pruneFinishedJobs(before) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`
+    DELETE FROM jobs
+    WHERE status IN ('completed', 'failed') AND completed_at < ${before}
+  `;
+  if (result.count > 0) {
+    getLogger().debug(`Pruned ${result.count} finished job(s)`);
+  }
+  return result.count;
+}
@@ -0,0 +1,154 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { convertTimestampsInArray } from './helpers-pg.js';
+
+/**
+ * Store the perceptual hash of a stored file
+ * Re-saving a file keeps the source fingerprint it was first converted from
+ * @param {Object} fingerprint - Fingerprint data
+ * @param {string} fingerprint.fileHash - Storage hash of the file
+ * @param {string} fingerprint.fileExtension - File extension (e.g. '.gif')
+ * @param {string} fingerprint.fileType - 'gif', 'video' or 'image'
+ * @param {number|null} [fingerprint.fileSize] - File size in bytes
+ * @param {string} fingerprint.phash - Perceptual hash of the file
+ * @param {Array<string>} fingerprint.bands - Index keys of the perceptual hash
+ * @param {number|null} [fingerprint.duration] - Duration in seconds (null for still images)
+ * @param {string|null} [fingerprint.sourcePhash] - Perceptual hash of the media the file was converted from
+ * @param {Array<string>|null} [fingerprint.sourceBands] - Index keys of the source hash
+ * @param {number|null} [fingerprint.sourceDuration] - Source duration in seconds
+ * @param {string|null} [fingerprint.variantKey] - Conversion options used to produce the file
+ * @returns {Promise<void>}
+ */
+export async function upsertMediaFingerprint({
+  fileHash,
+  fileExtension,
+  fileType,
+  fileSize = null,
+  phash,
+  bands,
+  duration = null,
+  sourcePhash = null,
+  sourceBands = null,
+  sourceDuration = null,
+  variantKey = null,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot store media fingerprint.');
+  }
+
+  await sql`
+    INSERT INTO media_fingerprints (
+      file_hash, file_extension, file_type, file_size, phash, phash_bands, duration,
+      source_phash, source_bands, source_duration, variant_key, created_at
+    )
+    VALUES (
+      ${fileHash}, ${fileExtension}, ${fileType}, ${fileSize}, ${phash}, ${bands}::TEXT[], ${duration},
+      ${sourcePhash}, ${sourceBands}::TEXT[], ${sourceDuration}, ${variantKey}, ${Date.now()}
+    )
+    ON CONFLICT (file_hash, file_extension) DO UPDATE SET
+      phash = EXCLUDED.phash,
+      phash_bands = EXCLUDED.phash_bands,
+      duration = EXCLUDED.duration,
+      file_size = EXCLUDED.file_size,
+      source_phash = COALESCE(media_fingerprints.source_phash, EXCLUDED.source_phash),
+      source_bands = COALESCE(media_fingerprints.source_bands, EXCLUDED.source_bands),
+      source_duration = COALESCE(media_fingerprints.source_duration, EXCLUDED.source_duration),
+      variant_key = COALESCE(media_fingerprints.variant_key, EXCLUDED.variant_key)
+  `;
+}
+
+/**
+ * Find outputs converted with the given options from a source sharing an index band
+ * Candidates still need their distance checked
+ * @param {Object} query - Lookup
+ * @param {Array<string>} query.bands - Index keys of the source being converted
+ * @param {string} query.variantKey - Conversion options
+ * @param {string} query.fileExtension - Output file extension
+ * @param {number} [query.limit=50] - Maximum candidates
+ * @returns {Promise<Array>} Candidate fingerprint rows
+ */
+export async function findMediaFingerprintsBySource({
+  bands,
+  variantKey,
+  fileExtension,
+  limit = 50,
+}) {
+  if (!bands || bands.length === 0) {
+    return [];
+  }
+
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const rows = await sql`
+    SELECT * FROM media_fingerprints
+    WHERE source_bands && ${bands}::TEXT[]
+      AND variant_key = ${variantKey}
+      AND file_extension = ${fileExtension}
+    ORDER BY created_at DESC
+    LIMIT ${limit}
+  `;
+  return convertTimestampsInArray(rows, ['created_at']);
+}
+
+/**
+ * Get the most recent fingerprints of files that are still referenced by a processed URL
+ * Each row carries the newest processed URL of the file and how many URLs point to it
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=1000] - Number of fingerprints
+ * @returns {Promise<Array>} Fingerprint rows with url_hash, file_url, user_id, processed_at and reference_count
+ */
+export async function getRecentMediaFingerprints({ limit = 1000 } = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const rows = await sql`
+    SELECT f.*, p.url_hash, p.file_url, p.user_id, p.processed_at, p.reference_count
+    FROM media_fingerprints f
+    JOIN LATERAL (
+      SELECT url_hash, file_url, user_id, processed_at, COUNT(*) OVER () AS reference_count
+      FROM processed_urls
+      WHERE file_hash = f.file_hash AND file_extension = f.file_extension
+      ORDER BY processed_at DESC
+      LIMIT 1
+    ) p ON TRUE
+    ORDER BY f.created_at DESC
+    LIMIT ${limit}
+  `;
+  return convertTimestampsInArray(
+    rows.map(row => ({ ...row, reference_count: parseInt(row.reference_count, 10) })),
+    ['created_at', 'processed_at']
+  );
+}
+
+/**
+ * Delete the fingerprint of a stored file once the file itself is deleted
+ * @param {string} fileHash - Storage hash of the file
+ * @param {string} fileExtension - File extension (e.g. '.gif')
+ * @returns {Promise<boolean>} True if a fingerprint was deleted
+ */
+export async function deleteMediaFingerprint(fileHash, fileExtension) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`
+    DELETE FROM media_fingerprints
+    WHERE file_hash = ${fileHash} AND file_extension = ${fileExtension}
+  `;
+  return result.count > 0;
+}
@@ -0,0 +1,114 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { convertTimestampsInArray } from './helpers-pg.js';
+
+/**
+ * Store where the poster frame and preview clip of a stored file are kept
+ * @param {Object} preview - Preview data
+ * @param {string} preview.fileHash - Storage hash of the file
+ * @param {string} preview.storage - 'r2' or 'local'
+ * @param {string} preview.thumbnailKey - Key of the poster frame (e.g. 'thumbnails/abc.jpg')
+ * @param {string|null} [preview.previewKey] - Key of the preview clip (null for still images)
+ * @returns {Promise<void>}
+ */
+export async function upsertMediaPreview({ fileHash, storage, thumbnailKey, previewKey = null }) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot store media preview.');
+  }
+
+  await sql`
+    INSERT INTO media_previews (file_hash, storage, thumbnail_key, preview_key, created_at)
+    VALUES (${fileHash}, ${storage}, ${thumbnailKey}, ${previewKey}, ${Date.now()})
+    ON CONFLICT (file_hash) DO UPDATE SET
+      storage = EXCLUDED.storage,
+      thumbnail_key = EXCLUDED.thumbnail_key,
+      preview_key = EXCLUDED.preview_key,
+      created_at = EXCLUDED.created_at
+  `;
+}
+
+/**
+ * Get the previews of a stored file
+ * @param {string} fileHash - Storage hash of the file
+ * @returns {Promise<Object|null>} Preview row, or null if the file has none
+ */
+export async function getMediaPreview(fileHash) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const rows = await sql`SELECT * FROM media_previews WHERE file_hash = ${fileHash}`;
+  return rows.length > 0 ? convertTimestampsInArray(rows, ['created_at'])[0] : null;
+}
+
+/**
+ * Get the previews of several stored files in one query
+ * @param {Array<string>} fileHashes - Storage hashes
+ * @returns {Promise<Map<string, Object>>} Preview rows by file hash
+ */
+export async function getMediaPreviewsBatch(fileHashes) {
+  const hashes = [...new Set(fileHashes.filter(Boolean))];
+  if (hashes.length === 0) {
+    return new Map();
+  }
+
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return new Map();
+  }
+
+  const rows = await sql`SELECT * FROM media_previews WHERE file_hash = ANY(${hashes}::TEXT[])`;
+  return new Map(convertTimestampsInArray(rows, ['created_at']).map(row => [row.file_hash, row]));
+}
+
+/**
+ * Delete the preview record of a stored file
+ * @param {string} fileHash - Storage hash of the file
+ * @returns {Promise<boolean>} True if a record was deleted
+ */
+export async function deleteMediaPreview(fileHash) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`DELETE FROM media_previews WHERE file_hash = ${fileHash}`;
+  return result.count > 0;
+}
+
+/**
+ * Get stored files that have no previews yet, one row per file, ordered by file hash
+ * Pass the last file hash of a page as afterHash to get the next one, so files that keep
+ * failing are not returned again
+ * @param {Object} [options] - Query options
+ * @param {string|null} [options.afterHash] - Only files with a greater hash
+ * @param {number} [options.limit=100] - Number of files
+ * @returns {Promise<Array>} Rows with file_hash, file_extension, file_type and file_url
+ */
+export async function getFilesWithoutPreviews({ afterHash = null, limit = 100 } = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  return await sql`
+    SELECT DISTINCT ON (p.file_hash) p.file_hash, p.file_extension, p.file_type, p.file_url
+    FROM processed_urls p
+    LEFT JOIN media_previews m ON m.file_hash = p.file_hash
+    WHERE m.file_hash IS NULL AND p.file_hash > ${afterHash ?? ''}
+    ORDER BY p.file_hash, p.processed_at DESC
+    LIMIT ${limit}
+  `;
+}
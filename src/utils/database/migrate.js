@@ -0,0 +1,265 @@
+/**
+ * Versioned schema migrations
+ * Migrations are numbered files in ./migrations (e.g. 002-add-alert-channel.js) exporting
+ * up(sql) and down(sql). Each one runs in its own transaction and is recorded in the
+ * schema_migrations table, so every database knows exactly which schema version it has.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SchemaVersionError } from '../errors.js';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Held for the length of each migration transaction, so bots, workers and test processes
+// starting at the same time don't run the same migration twice
+const MIGRATION_LOCK_ID = 720130;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+/**
+ * Parse a migration file name
+ * @param {string} fileName - File name in the migrations directory
+ * @returns {{version: number, name: string}|null} Version and name, or null if it is not a migration
+ *
+ * @example
+ * parseMigrationFileName('002-add-alert-channel.js') // { version: 2, name: 'add-alert-channel' }
+ * parseMigrationFileName('README.md')                // null
+ */
+export function parseMigrationFileName(fileName) {
+  const match = MIGRATION_FILE_PATTERN.exec(fileName);
+  if (!match) {
+    return null;
+  }
+  return { version: parseInt(match[1], 10), name: match[2] };
+}
+
+/**
+ * Load every migration, ordered by version
+ * Versions must run 1, 2, 3... without gaps or duplicates, so two branches adding the same
+ * number are caught before either is applied
+ * @param {string} [dir=MIGRATIONS_DIR] - Migrations directory
+ * @returns {Promise<Array<{version: number, name: string, up: Function, down: Function}>>} Migrations
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir))
+    .map(fileName => ({ fileName, parsed: parseMigrationFileName(fileName) }))
+    .filter(({ parsed }) => parsed)
+    .sort((a, b) => a.parsed.version - b.parsed.version);
+
+  const migrations = [];
+  for (const [index, { fileName, parsed }] of files.entries()) {
+    if (parsed.version !== index + 1) {
+      throw new SchemaVersionError(
+        `Migration ${fileName} should be numbered ${index + 1}: versions must be consecutive and unique`
+      );
+    }
+
+    const module = await import(pathToFileURL(path.join(dir, fileName)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new SchemaVersionError(`Migration ${fileName} must export up() and down()`);
+    }
+    migrations.push({ ...parsed, up: module.up, down: module.down });
+  }
+  return migrations;
+}
+
+/**
+ * Compare the migrations applied to a database with the ones this build has
+ * @param {Array<number>} appliedVersions - Versions recorded in schema_migrations
+ * @param {Array<{version: number}>} migrations - Migrations of this build
+ * @returns {{current: number, latest: number, pending: Array<Object>, unknown: Array<number>}}
+ *   Schema version of the database, latest version of this build, migrations still to apply,
+ *   and applied versions this build doesn't know (the database was migrated by a newer build)
+ */
+export function getSchemaStatus(appliedVersions, migrations) {
+  const applied = new Set(appliedVersions);
+  const known = new Set(migrations.map(migration => migration.version));
+  return {
+    current: appliedVersions.length > 0 ? Math.max(...appliedVersions) : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(migration => !applied.has(migration.version)),
+    unknown: appliedVersions.filter(version => !known.has(version)).sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Check that the bot can start on a database schema
+ * @param {Object} status - Result of getSchemaStatus
+ * @param {Object} [options] - Startup options
+ * @param {boolean} [options.autoMigrate=true] - Whether pending migrations will be applied
+ * @throws {SchemaVersionError} When the database is newer than this build, or migrations are
+ *   pending and won't be applied
+ */
+export function assertSchemaVersion(status, { autoMigrate = true } = {}) {
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current}, but this build only knows migrations up to ${status.latest}. ` +
+        `Run "npm run migrate:down" with the newer build first, or upgrade this one.`
+    );
+  }
+  if (status.pending.length > 0 && !autoMigrate) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current}, but this build needs version ${status.latest}. ` +
+        `Run "npm run migrate" to apply ${status.pending.length} pending migration(s).`
+    );
+  }
+}
+
+/**
+ * Create the schema_migrations table if it doesn't exist
+ * @param {postgres.Sql} sql - PostgreSQL connection or transaction
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at BIGINT NOT NULL
+    )
+  `;
+}
+
+/**
+ * Get the applied migrations
+ * @param {postgres.Sql} sql - PostgreSQL connection or transaction
+ * @returns {Promise<Array<{version: number, name: string, applied_at: number}>>} Applied migrations, oldest version first
+ */
+export async function getAppliedMigrations(sql) {
+  const exists = await sql`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+  if (!exists[0].exists) {
+    return [];
+  }
+
+  const rows = await sql`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`;
+  return rows.map(row => ({ ...row, applied_at: Number(row.applied_at) }));
+}
+
+/**
+ * Get the schema status of a database
+ * @param {postgres.Sql} sql - PostgreSQL connection
+ * @param {Array<Object>} [migrations] - Migrations of this build (loaded if omitted)
+ * @returns {Promise<Object>} getSchemaStatus result, plus the applied migration rows
+ */
+export async function getMigrationStatus(sql, migrations = null) {
+  const all = migrations ?? (await loadMigrations());
+  const applied = await getAppliedMigrations(sql);
+  return {
+    ...getSchemaStatus(
+      applied.map(row => row.version),
+      all
+    ),
+    applied,
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {postgres.Sql} sql - PostgreSQL connection
+ * @param {Object} [options] - Options
+ * @param {number} [options.to] - Stop after this version (default: apply all)
+ * @param {Array<Object>} [options.migrations] - Migrations of this build (loaded if omitted)
+ * @param {Function} [options.onApply] - Called with each migration after it is applied
+ * @returns {Promise<Array<Object>>} Migrations applied by this call
+ */
+export async function migrateUp(sql, { to = Infinity, migrations = null, onApply = null } = {}) {
+  const all = migrations ?? (await loadMigrations());
+  const applied = [];
+
+  for (const migration of all.filter(candidate => candidate.version <= to)) {
+    const ran = await sql.begin(async tx => {
+      await tx`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_ID})`;
+      await ensureMigrationsTable(tx);
+
+      // Another process may have applied it while this one waited for the lock
+      const done = await tx`SELECT 1 FROM schema_migrations WHERE version = ${migration.version}`;
+      if (done.length > 0) {
+        return false;
+      }
+
+      await migration.up(tx);
+      await tx`
+        INSERT INTO schema_migrations (version, name, applied_at)
+        VALUES (${migration.version}, ${migration.name}, ${Date.now()})
+      `;
+      return true;
+    });
+
+    if (ran) {
+      applied.push(migration);
+      onApply?.(migration);
+    }
+  }
+  return applied;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {postgres.Sql} sql - PostgreSQL connection
+ * @param {Object} [options] - Options
+ * @param {number} [options.steps=1] - Number of migrations to roll back
+ * @param {Array<Object>} [options.migrations] - Migrations of this build (loaded if omitted)
+ * @param {Function} [options.onRevert] - Called with each migration after it is rolled back
+ * @returns {Promise<Array<Object>>} Migrations rolled back by this call
+ * @throws {SchemaVersionError} When an applied migration is not part of this build
+ */
+export async function migrateDown(sql, { steps = 1, migrations = null, onRevert = null } = {}) {
+  const all = migrations ?? (await loadMigrations());
+  const byVersion = new Map(all.map(migration => [migration.version, migration]));
+  const reverted = [];
+
+  for (let step = 0; step < steps; step++) {
+    const migration = await sql.begin(async tx => {
+      await tx`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_ID})`;
+
+      const latest = (await getAppliedMigrations(tx)).pop();
+      if (!latest) {
+        return null;
+      }
+
+      const known = byVersion.get(latest.version);
+      if (!known) {
+        throw new SchemaVersionError(
+          `Migration ${latest.version} (${latest.name}) is not part of this build, roll it back with the build that added it`
+        );
+      }
+
+      await known.down(tx);
+      await tx`DELETE FROM schema_migrations WHERE version = ${known.version}`;
+      return known;
+    });
+
+    if (!migration) {
+      break;
+    }
+    reverted.push(migration);
+    onRevert?.(migration);
+  }
+  return reverted;
+}
+
+/**
+ * Bring a database to the schema of this build at startup
+ * Applies pending migrations unless POSTGRES_AUTO_MIGRATE=false, and refuses to start on a
+ * schema this build doesn't know
+ * @param {postgres.Sql} sql - PostgreSQL connection
+ * @returns {Promise<void>}
+ * @throws {SchemaVersionError} When the schema version is unexpected
+ */
+export async function prepareSchema(sql) {
+  const autoMigrate = process.env.POSTGRES_AUTO_MIGRATE !== 'false';
+  const migrations = await loadMigrations();
+  const status = await getMigrationStatus(sql, migrations);
+
+  assertSchemaVersion(status, { autoMigrate });
+
+  if (status.pending.length > 0) {
+    await migrateUp(sql, {
+      migrations,
+      onApply: migration => {
+        console.log(`[Migrations] Applied ${migration.version}-${migration.name}`);
+      },
+    });
+  }
+}
@@ -0,0 +1,589 @@
+/**
+ * Baseline schema: every table and index the bot created before versioned migrations
+ * Statements use IF NOT EXISTS so databases set up by the old startup code are adopted as they
+ * are, and the columns added to processed_urls over time are added to old databases.
+ */
+
+// Must stay identical to SOURCE_DOMAIN_SQL in processed-urls-pg.js, or searches can't use the index
+const SOURCE_DOMAIN_SQL = `regexp_replace(lower(substring(source_url from '^[A-Za-z][A-Za-z0-9+.-]*://([^/?#:]+)')), '^www[.]', '')`;
+
+const TABLES = [
+  {
+    name: 'users',
+    sql: `
+      CREATE TABLE IF NOT EXISTS users (
+        user_id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        first_used BIGINT NOT NULL,
+        last_used BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'logs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS logs (
+        id SERIAL PRIMARY KEY,
+        timestamp BIGINT NOT NULL,
+        component TEXT NOT NULL,
+        level TEXT NOT NULL,
+        message TEXT NOT NULL,
+        metadata TEXT
+      );
+    `,
+  },
+  {
+    name: 'processed_urls',
+    sql: `
+      CREATE TABLE IF NOT EXISTS processed_urls (
+        url_hash TEXT PRIMARY KEY,
+        file_hash TEXT NOT NULL,
+        file_type TEXT NOT NULL,
+        file_extension TEXT,
+        file_url TEXT NOT NULL,
+        processed_at BIGINT NOT NULL,
+        user_id TEXT,
+        file_size BIGINT,
+        source_url TEXT
+      );
+    `,
+  },
+  {
+    name: 'operation_logs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS operation_logs (
+        id SERIAL PRIMARY KEY,
+        operation_id TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        step TEXT NOT NULL,
+        status TEXT NOT NULL,
+        message TEXT,
+        file_path TEXT,
+        stack_trace TEXT,
+        metadata TEXT
+      );
+    `,
+  },
+  {
+    name: 'user_metrics',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_metrics (
+        user_id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        total_commands BIGINT DEFAULT 0,
+        successful_commands BIGINT DEFAULT 0,
+        failed_commands BIGINT DEFAULT 0,
+        total_convert BIGINT DEFAULT 0,
+        total_download BIGINT DEFAULT 0,
+        total_optimize BIGINT DEFAULT 0,
+        total_file_size BIGINT DEFAULT 0,
+        last_command_at BIGINT,
+        updated_at BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'system_metrics',
+    sql: `
+      CREATE TABLE IF NOT EXISTS system_metrics (
+        id SERIAL PRIMARY KEY,
+        timestamp BIGINT NOT NULL,
+        cpu_usage DOUBLE PRECISION,
+        memory_usage DOUBLE PRECISION,
+        memory_total DOUBLE PRECISION,
+        disk_usage DOUBLE PRECISION,
+        disk_total DOUBLE PRECISION,
+        process_uptime BIGINT,
+        process_memory DOUBLE PRECISION,
+        metadata TEXT
+      );
+    `,
+  },
+  {
+    name: 'alerts',
+    sql: `
+      CREATE TABLE IF NOT EXISTS alerts (
+        id SERIAL PRIMARY KEY,
+        timestamp BIGINT NOT NULL,
+        severity TEXT NOT NULL,
+        component TEXT NOT NULL,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        operation_id TEXT,
+        user_id TEXT,
+        metadata TEXT
+      );
+    `,
+  },
+  {
+    name: 'temporary_uploads',
+    sql: `
+      CREATE TABLE IF NOT EXISTS temporary_uploads (
+        id SERIAL PRIMARY KEY,
+        url_hash TEXT NOT NULL,
+        r2_key TEXT NOT NULL,
+        uploaded_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        deleted_at BIGINT,
+        deletion_failed INTEGER DEFAULT 0,
+        deletion_error TEXT,
+        FOREIGN KEY (url_hash) REFERENCES processed_urls(url_hash),
+        UNIQUE(url_hash, r2_key)
+      );
+    `,
+  },
+  {
+    name: 'jobs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        job_type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        payload TEXT NOT NULL,
+        result TEXT,
+        error TEXT,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        user_id TEXT,
+        locked_by TEXT,
+        lease_expires_at BIGINT,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        started_at BIGINT,
+        completed_at BIGINT
+      );
+    `,
+  },
+  {
+    name: 'quotas',
+    sql: `
+      CREATE TABLE IF NOT EXISTS quotas (
+        id SERIAL PRIMARY KEY,
+        scope_type TEXT NOT NULL,
+        scope_id TEXT NOT NULL,
+        operations_per_hour INTEGER,
+        operations_per_day INTEGER,
+        bytes_per_day BIGINT,
+        max_concurrent_jobs INTEGER,
+        note TEXT,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        UNIQUE(scope_type, scope_id)
+      );
+    `,
+  },
+  {
+    name: 'quota_usage',
+    sql: `
+      CREATE TABLE IF NOT EXISTS quota_usage (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        guild_id TEXT,
+        operation_type TEXT NOT NULL,
+        operations INTEGER NOT NULL DEFAULT 1,
+        bytes BIGINT NOT NULL DEFAULT 0,
+        created_at BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'picker_selections',
+    sql: `
+      CREATE TABLE IF NOT EXISTS picker_selections (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        operation_id TEXT,
+        item_count INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        selected_indexes TEXT,
+        created_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        completed_at BIGINT
+      );
+    `,
+  },
+  {
+    name: 'webui_users',
+    sql: `
+      CREATE TABLE IF NOT EXISTS webui_users (
+        id SERIAL PRIMARY KEY,
+        username TEXT UNIQUE,
+        password_hash TEXT,
+        discord_user_id TEXT UNIQUE,
+        display_name TEXT,
+        role TEXT,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        last_login_at BIGINT
+      );
+    `,
+  },
+  {
+    name: 'webui_sessions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS webui_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES webui_users(id) ON DELETE CASCADE,
+        auth_method TEXT NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'audit_events',
+    sql: `
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id SERIAL PRIMARY KEY,
+        actor_id TEXT,
+        actor_name TEXT,
+        actor_role TEXT,
+        action TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'success',
+        target_type TEXT,
+        target_id TEXT,
+        target_user_id TEXT,
+        target_r2_key TEXT,
+        before_state TEXT,
+        after_state TEXT,
+        ip_address TEXT,
+        created_at BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'content_blocklist',
+    sql: `
+      CREATE TABLE IF NOT EXISTS content_blocklist (
+        id SERIAL PRIMARY KEY,
+        entry_type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        source_url TEXT,
+        reason TEXT,
+        created_by TEXT,
+        created_at BIGINT NOT NULL,
+        UNIQUE(entry_type, value)
+      );
+    `,
+  },
+  {
+    name: 'media_fingerprints',
+    sql: `
+      CREATE TABLE IF NOT EXISTS media_fingerprints (
+        id SERIAL PRIMARY KEY,
+        file_hash TEXT NOT NULL,
+        file_extension TEXT NOT NULL,
+        file_type TEXT NOT NULL,
+        file_size BIGINT,
+        phash TEXT NOT NULL,
+        phash_bands TEXT[] NOT NULL,
+        duration DOUBLE PRECISION,
+        source_phash TEXT,
+        source_bands TEXT[],
+        source_duration DOUBLE PRECISION,
+        variant_key TEXT,
+        created_at BIGINT NOT NULL,
+        UNIQUE(file_hash, file_extension)
+      );
+    `,
+  },
+  {
+    name: 'guild_settings',
+    sql: `
+      CREATE TABLE IF NOT EXISTS guild_settings (
+        guild_id TEXT PRIMARY KEY,
+        gif_quality TEXT,
+        max_gif_duration INTEGER,
+        discord_size_limit BIGINT,
+        cobalt_enabled BOOLEAN,
+        ytdlp_enabled BOOLEAN,
+        allowed_channel_ids TEXT[],
+        ephemeral_replies BOOLEAN,
+        always_use_r2 BOOLEAN,
+        updated_by TEXT,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'user_preferences',
+    sql: `
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id TEXT PRIMARY KEY,
+        quality TEXT,
+        lossy INTEGER,
+        auto_optimize BOOLEAN,
+        output_format TEXT,
+        ephemeral_replies BOOLEAN,
+        always_use_r2 BOOLEAN,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'media_previews',
+    sql: `
+      CREATE TABLE IF NOT EXISTS media_previews (
+        file_hash TEXT PRIMARY KEY,
+        storage TEXT NOT NULL,
+        thumbnail_key TEXT NOT NULL,
+        preview_key TEXT,
+        created_at BIGINT NOT NULL
+      );
+    `,
+  },
+];
+
+// Columns added to processed_urls after the table was first created
+const COLUMNS = [
+  'ALTER TABLE processed_urls ADD COLUMN IF NOT EXISTS file_size BIGINT;',
+  'ALTER TABLE processed_urls ADD COLUMN IF NOT EXISTS source_url TEXT;',
+];
+
+const INDEXES = [
+  {
+    name: 'idx_users_user_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);',
+  },
+  {
+    name: 'idx_users_last_used',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_users_last_used ON users(last_used);',
+  },
+  {
+    name: 'idx_logs_timestamp',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs(timestamp);',
+  },
+  {
+    name: 'idx_logs_component',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_logs_component ON logs(component);',
+  },
+  {
+    name: 'idx_logs_level',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_logs_level ON logs(level);',
+  },
+  {
+    name: 'idx_logs_component_timestamp',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_logs_component_timestamp ON logs(component, timestamp);',
+  },
+  {
+    name: 'idx_processed_urls_file_hash',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_processed_urls_file_hash ON processed_urls(file_hash);',
+  },
+  {
+    name: 'idx_processed_urls_processed_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_processed_urls_processed_at ON processed_urls(processed_at);',
+  },
+  {
+    name: 'idx_processed_urls_user_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_processed_urls_user_id ON processed_urls(user_id);',
+  },
+  {
+    name: 'idx_processed_urls_user_id_processed_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_processed_urls_user_id_processed_at ON processed_urls(user_id, processed_at DESC);',
+  },
+  {
+    name: 'idx_processed_urls_file_size',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_processed_urls_file_size ON processed_urls(file_size);',
+  },
+  {
+    name: 'idx_processed_urls_file_url_pattern',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_processed_urls_file_url_pattern ON processed_urls(file_url text_pattern_ops);',
+  },
+  {
+    name: 'idx_processed_urls_source_domain',
+    sql: `CREATE INDEX IF NOT EXISTS idx_processed_urls_source_domain ON processed_urls((${SOURCE_DOMAIN_SQL}));`,
+  },
+  {
+    name: 'idx_operation_logs_operation_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_operation_id ON operation_logs(operation_id);',
+  },
+  {
+    name: 'idx_operation_logs_timestamp',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_timestamp ON operation_logs(timestamp);',
+  },
+  {
+    name: 'idx_operation_logs_status',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_status ON operation_logs(status);',
+  },
+  {
+    name: 'idx_operation_logs_step',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_step ON operation_logs(step);',
+  },
+  {
+    name: 'idx_operation_logs_operation_id_timestamp',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_operation_id_timestamp ON operation_logs(operation_id, timestamp);',
+  },
+  {
+    name: 'idx_operation_logs_step_status',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_step_status ON operation_logs(step, status);',
+  },
+  {
+    name: 'idx_operation_logs_operation_id_step',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_operation_logs_operation_id_step ON operation_logs(operation_id, step);',
+  },
+  {
+    name: 'idx_user_metrics_total_commands',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_user_metrics_total_commands ON user_metrics(total_commands);',
+  },
+  {
+    name: 'idx_user_metrics_last_command_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_user_metrics_last_command_at ON user_metrics(last_command_at);',
+  },
+  {
+    name: 'idx_system_metrics_timestamp',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_system_metrics_timestamp ON system_metrics(timestamp);',
+  },
+  {
+    name: 'idx_alerts_timestamp',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp);',
+  },
+  {
+    name: 'idx_alerts_severity',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_alerts_severity ON alerts(severity);',
+  },
+  {
+    name: 'idx_alerts_component',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_alerts_component ON alerts(component);',
+  },
+  {
+    name: 'idx_alerts_operation_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_alerts_operation_id ON alerts(operation_id);',
+  },
+  {
+    name: 'idx_temporary_uploads_expires_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_temporary_uploads_expires_at ON temporary_uploads(expires_at);',
+  },
+  {
+    name: 'idx_temporary_uploads_r2_key',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_temporary_uploads_r2_key ON temporary_uploads(r2_key);',
+  },
+  {
+    name: 'idx_temporary_uploads_url_hash',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_temporary_uploads_url_hash ON temporary_uploads(url_hash);',
+  },
+  {
+    name: 'idx_temporary_uploads_deleted_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_temporary_uploads_deleted_at ON temporary_uploads(deleted_at);',
+  },
+  {
+    name: 'idx_temporary_uploads_deletion_failed',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_temporary_uploads_deletion_failed ON temporary_uploads(deletion_failed);',
+  },
+  {
+    name: 'idx_jobs_status_type_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_jobs_status_type_created_at ON jobs(status, job_type, created_at);',
+  },
+  {
+    name: 'idx_jobs_lease_expires_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_jobs_lease_expires_at ON jobs(lease_expires_at);',
+  },
+  {
+    name: 'idx_jobs_user_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id);',
+  },
+  {
+    name: 'idx_quota_usage_user_id_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_quota_usage_user_id_created_at ON quota_usage(user_id, created_at);',
+  },
+  {
+    name: 'idx_quota_usage_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_quota_usage_created_at ON quota_usage(created_at);',
+  },
+  {
+    name: 'idx_picker_selections_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_picker_selections_created_at ON picker_selections(created_at);',
+  },
+  {
+    name: 'idx_webui_sessions_user_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_webui_sessions_user_id ON webui_sessions(user_id);',
+  },
+  {
+    name: 'idx_webui_sessions_expires_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_webui_sessions_expires_at ON webui_sessions(expires_at);',
+  },
+  {
+    name: 'idx_audit_events_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);',
+  },
+  {
+    name: 'idx_audit_events_action',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);',
+  },
+  {
+    name: 'idx_audit_events_actor_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id ON audit_events(actor_id);',
+  },
+  {
+    name: 'idx_audit_events_target_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_audit_events_target_id ON audit_events(target_id);',
+  },
+  {
+    name: 'idx_audit_events_target_user_id',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_audit_events_target_user_id ON audit_events(target_user_id);',
+  },
+  {
+    name: 'idx_audit_events_target_r2_key',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_audit_events_target_r2_key ON audit_events(target_r2_key);',
+  },
+  {
+    name: 'idx_content_blocklist_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_content_blocklist_created_at ON content_blocklist(created_at);',
+  },
+  {
+    name: 'idx_media_fingerprints_phash_bands',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_media_fingerprints_phash_bands ON media_fingerprints USING GIN (phash_bands);',
+  },
+  {
+    name: 'idx_media_fingerprints_source_bands',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_media_fingerprints_source_bands ON media_fingerprints USING GIN (source_bands);',
+  },
+  {
+    name: 'idx_media_fingerprints_created_at',
+    sql: 'CREATE INDEX IF NOT EXISTS idx_media_fingerprints_created_at ON media_fingerprints(created_at);',
+  },
+];
+
+/**
+ * Create the baseline schema
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function up(sql) {
+  for (const table of TABLES) {
+    await sql.unsafe(table.sql);
+  }
+  for (const column of COLUMNS) {
+    await sql.unsafe(column);
+  }
+  for (const index of INDEXES) {
+    await sql.unsafe(index.sql);
+  }
+
+  // Trigram index for source URL substring searches. The extension needs database owner
+  // rights, so searches fall back to a table scan when it can't be created
+  try {
+    await sql.savepoint(async savepoint => {
+      await savepoint`CREATE EXTENSION IF NOT EXISTS pg_trgm`;
+      await savepoint`CREATE INDEX IF NOT EXISTS idx_processed_urls_source_url_trgm ON processed_urls USING GIN (source_url gin_trgm_ops)`;
+    });
+  } catch (error) {
+    console.warn(
+      `[Migrations] Skipping trigram index on processed_urls.source_url (${error.code || error.message})`
+    );
+  }
+}
+
+/**
+ * Drop every table of the baseline schema, and all data with it
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function down(sql) {
+  for (const table of [...TABLES].reverse()) {
+    await sql.unsafe(`DROP TABLE IF EXISTS ${table.name} CASCADE`);
+  }
+}
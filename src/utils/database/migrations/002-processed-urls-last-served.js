@@ -0,0 +1,23 @@
+/**
+ * Track when each processed URL was last served from cache, so the storage lifecycle job can
+ * evict the local files nobody asks for any more. Rows that were never served count from
+ * processed_at.
+ */
+
+/**
+ * Add processed_urls.last_served_at
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function up(sql) {
+  await sql`ALTER TABLE processed_urls ADD COLUMN IF NOT EXISTS last_served_at BIGINT`;
+}
+
+/**
+ * Drop processed_urls.last_served_at
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function down(sql) {
+  await sql`ALTER TABLE processed_urls DROP COLUMN IF EXISTS last_served_at`;
+}
@@ -0,0 +1,23 @@
+/**
+ * Remember the hash of the file a processed URL was converted from. Outputs made with options are
+ * stored under a hash that includes them, so blocking a deleted output needs this to also block
+ * its source file.
+ */
+
+/**
+ * Add processed_urls.source_file_hash
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function up(sql) {
+  await sql`ALTER TABLE processed_urls ADD COLUMN IF NOT EXISTS source_file_hash TEXT`;
+}
+
+/**
+ * Drop processed_urls.source_file_hash
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function down(sql) {
+  await sql`ALTER TABLE processed_urls DROP COLUMN IF EXISTS source_file_hash`;
+}
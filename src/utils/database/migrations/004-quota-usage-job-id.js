@@ -0,0 +1,27 @@
+/**
+ * Tie the bytes a queued job adds to the byte quota to that job. A job can be attempted several
+ * times, and only its first recording counts.
+ */
+
+/**
+ * Add quota_usage.job_id with one row per job at most
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function up(sql) {
+  await sql`ALTER TABLE quota_usage ADD COLUMN IF NOT EXISTS job_id INTEGER`;
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_quota_usage_job_id
+    ON quota_usage(job_id) WHERE job_id IS NOT NULL
+  `;
+}
+
+/**
+ * Drop quota_usage.job_id
+ * @param {postgres.TransactionSql} sql - Transaction the migration runs in
+ * @returns {Promise<void>}
+ */
+export async function down(sql) {
+  await sql`DROP INDEX IF EXISTS idx_quota_usage_job_id`;
+  await sql`ALTER TABLE quota_usage DROP COLUMN IF EXISTS job_id`;
+}
@@ -0,0 +1,150 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { createLogger } from '../logger.js';
+import { convertTimestampsToNumbers } from './helpers-pg.js';
+
+// Lazy logger creation
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    logger = createLogger('picker-selections');
+  }
+  return logger;
+}
+
+/**
+ * Parse a picker selection row from the database
+ * @param {Object} row - Raw picker selection row
+ * @returns {Object|null} Parsed picker selection record
+ */
+function parseSelectionRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const selection = convertTimestampsToNumbers(row, ['created_at', 'expires_at', 'completed_at']);
+  if (typeof selection.selected_indexes === 'string') {
+    try {
+      selection.selected_indexes = JSON.parse(selection.selected_indexes);
+    } catch {
+      selection.selected_indexes = null;
+    }
+  }
+  return selection;
+}
+
+/**
+ * Create a pending picker selection
+ * The job that posted the select menu waits on this record; the bot fills it in when the user chooses
+ * @param {Object} selection - Selection data
+ * @param {string} selection.id - Selection ID (used in component custom IDs)
+ * @param {string} selection.userId - Discord user ID allowed to choose
+ * @param {string|null} [selection.operationId] - Operation the selection belongs to
+ * @param {number} selection.itemCount - Number of picker items offered
+ * @param {number} selection.expiresAt - Timestamp after which the selection can no longer be made
+ * @returns {Promise<Object>} The inserted selection record
+ */
+export async function createPickerSelection({
+  id,
+  userId,
+  operationId = null,
+  itemCount,
+  expiresAt,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot create picker selection.');
+  }
+
+  const result = await sql`
+    INSERT INTO picker_selections (id, user_id, operation_id, item_count, status, created_at, expires_at)
+    VALUES (${id}, ${userId}, ${operationId}, ${itemCount}, 'pending', ${Date.now()}, ${expiresAt})
+    RETURNING *
+  `;
+  return parseSelectionRow(result[0]);
+}
+
+/**
+ * Get a picker selection by ID
+ * @param {string} id - Selection ID
+ * @returns {Promise<Object|null>} Selection record or null if not found
+ */
+export async function getPickerSelection(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM picker_selections WHERE id = ${id}`;
+  return result.length > 0 ? parseSelectionRow(result[0]) : null;
+}
+
+/**
+ * Record the user's choice on a pending picker selection
+ * Only succeeds once, for the user who ran the command, before the selection expires
+ * @param {string} id - Selection ID
+ * @param {string} userId - Discord user ID making the choice
+ * @param {Array<number>} selectedIndexes - Chosen item indexes (0-based)
+ * @returns {Promise<boolean>} True if the choice was recorded
+ */
+export async function completePickerSelection(id, userId, selectedIndexes) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    UPDATE picker_selections
+    SET status = 'selected', selected_indexes = ${JSON.stringify(selectedIndexes)}, completed_at = ${now}
+    WHERE id = ${id} AND user_id = ${userId} AND status = 'pending' AND expires_at > ${now}
+  `;
+  return result.count > 0;
+}
+
+/**
+ * Expire a pending picker selection so late choices are rejected
+ * @param {string} id - Selection ID
+ * @returns {Promise<boolean>} True if the selection was still pending and is now expired
+ */
+export async function expirePickerSelection(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`
+    UPDATE picker_selections
+    SET status = 'expired', completed_at = ${Date.now()}
+    WHERE id = ${id} AND status = 'pending'
+  `;
+  return result.count > 0;
+}
+
+/**
+ * Delete picker selections created before a timestamp
+ * @param {number} before - Delete selections created before this timestamp
+ * @returns {Promise<number>} Number of deleted selections
+ */
+export async function prunePickerSelections(before) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`DELETE FROM picker_selections WHERE created_at < ${before}`;
+  if (result.count > 0) {
+    getLogger().debug(`Pruned ${result.count} picker selection(s)`);
+  }
+  return result.count;
+}
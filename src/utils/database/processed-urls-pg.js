@@ -1,6 +1,8 @@
 import { getPostgresConnection } from './connection.js';
 import { r2Config } from '../config.js';
+import { getRemoteStorageDriver } from '../storage-driver.js';
 import { ensurePostgresInitialized } from './init.js';
+import { deleteTemporaryUploadsByUrlHash } from './temporary-uploads-pg.js';
 import {
   convertTimestampsToNumbers,
   convertTimestampsInArray,
@@ -8,6 +10,11 @@ import {
   convertBigIntInArray,
 } from './helpers-pg.js';
 
+// Host of a processed URL's source, lowercased and without 'www.'
+// Media search filters on this exact expression so it can use idx_processed_urls_source_domain
+// (created in migrations/001-baseline.js)
+export const SOURCE_DOMAIN_SQL = `regexp_replace(lower(substring(source_url from '^[A-Za-z][A-Za-z0-9+.-]*://([^/?#:]+)')), '^www[.]', '')`;
+
 // Query result cache for getProcessedUrl (in-memory layer on top of DB)
 const processedUrlCache = new Map(); // Map<urlHash, {data, timestamp}>
 const PROCESSED_URL_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -148,6 +155,8 @@ export async function getProcessedUrl(urlHash) {
  * @param {number} processedAt - Unix timestamp in milliseconds
  * @param {string} [userId] - Discord user ID who requested it
  * @param {number} [fileSize] - File size in bytes
+ * @param {string} [sourceUrl] - URL or attachment the file was made from (kept on update when omitted)
+ * @param {string} [sourceFileHash] - Hash of the file it was converted from (kept on update when omitted)
  * @returns {Promise<void>}
  */
 export async function insertProcessedUrl(
@@ -158,7 +167,9 @@ export async function insertProcessedUrl(
   fileUrl,
   processedAt,
   userId = null,
-  fileSize = null
+  fileSize = null,
+  sourceUrl = null,
+  sourceFileHash = null
 ) {
   await ensurePostgresInitialized();
 
@@ -181,7 +192,9 @@ export async function insertProcessedUrl(
             file_url = ${fileUrl},
             processed_at = ${processedAt},
             user_id = ${userId},
-            file_size = ${fileSize}
+            file_size = ${fileSize},
+            source_url = COALESCE(${sourceUrl}, source_url),
+            source_file_hash = COALESCE(${sourceFileHash}, source_file_hash)
         WHERE url_hash = ${urlHash}
       `;
       // Invalidate cache
@@ -189,8 +202,8 @@ export async function insertProcessedUrl(
     } else {
       // Insert new record
       await sql`
-        INSERT INTO processed_urls (url_hash, file_hash, file_type, file_extension, file_url, processed_at, user_id, file_size)
-        VALUES (${urlHash}, ${fileHash}, ${fileType}, ${fileExtension}, ${fileUrl}, ${processedAt}, ${userId}, ${fileSize})
+        INSERT INTO processed_urls (url_hash, file_hash, file_type, file_extension, file_url, processed_at, user_id, file_size, source_url, source_file_hash)
+        VALUES (${urlHash}, ${fileHash}, ${fileType}, ${fileExtension}, ${fileUrl}, ${processedAt}, ${userId}, ${fileSize}, ${sourceUrl}, ${sourceFileHash})
       `;
       // Invalidate cache (though entry didn't exist before, clear to be safe)
       invalidateProcessedUrlCache(urlHash);
@@ -212,12 +225,44 @@ export async function insertProcessedUrl(
   }
 }
 
+/**
+ * Build the WHERE clause shared by the user media queries
+ * @param {string} userId - Discord user ID
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.fileType] - Only this file type ('gif', 'video', 'image')
+ * @param {number} [filters.since] - Only files processed at or after this time (ms)
+ * @param {number} [filters.until] - Only files processed before this time (ms)
+ * @returns {{where: string, params: Array}} WHERE clause and its parameters
+ */
+function buildUserMediaFilters(userId, { fileType = null, since = null, until = null }) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+
+  if (fileType) {
+    params.push(fileType);
+    conditions.push(`file_type = $${params.length}`);
+  }
+  if (since !== null) {
+    params.push(since);
+    conditions.push(`processed_at >= $${params.length}`);
+  }
+  if (until !== null) {
+    params.push(until);
+    conditions.push(`processed_at < $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
 /**
  * Get processed URLs (media files) for a specific user
  * @param {string} userId - Discord user ID
  * @param {Object} options - Query options
  * @param {number} [options.limit] - Maximum number of results
  * @param {number} [options.offset] - Number of results to skip
+ * @param {string} [options.fileType] - Filter by file type ('gif', 'video', 'image')
+ * @param {number} [options.since] - Only files processed at or after this time (ms)
+ * @param {number} [options.until] - Only files processed before this time (ms)
  * @returns {Promise<Array>} Array of processed URL records
  */
 export async function getUserMedia(userId, options = {}) {
@@ -230,9 +275,9 @@ export async function getUserMedia(userId, options = {}) {
   }
 
   const { limit = null, offset = null } = options;
+  const { where, params } = buildUserMediaFilters(userId, options);
 
-  let query = `SELECT file_url, file_type, file_extension, processed_at, file_size FROM processed_urls WHERE user_id = $1 ORDER BY processed_at DESC`;
-  const params = [userId];
+  let query = `SELECT url_hash, file_hash, file_url, file_type, file_extension, processed_at, file_size FROM processed_urls WHERE ${where} ORDER BY processed_at DESC, url_hash`;
 
   if (limit !== null) {
     query += ` LIMIT $${params.length + 1}`;
@@ -254,9 +299,10 @@ export async function getUserMedia(userId, options = {}) {
 /**
  * Get total count of processed URLs (media files) for a specific user
  * @param {string} userId - Discord user ID
+ * @param {Object} [options] - Filters (fileType, since, until, see getUserMedia)
  * @returns {Promise<number>} Total count of media files for the user
  */
-export async function getUserMediaCount(userId) {
+export async function getUserMediaCount(userId, options = {}) {
   await ensurePostgresInitialized();
 
   const sql = getPostgresConnection();
@@ -265,7 +311,11 @@ export async function getUserMediaCount(userId) {
     return 0;
   }
 
-  const result = await sql`SELECT COUNT(*) as count FROM processed_urls WHERE user_id = ${userId}`;
+  const { where, params } = buildUserMediaFilters(userId, options);
+  const result = await sql.unsafe(
+    `SELECT COUNT(*) as count FROM processed_urls WHERE ${where}`,
+    params
+  );
   return parseInt(result[0]?.count || 0, 10);
 }
 
@@ -288,10 +338,9 @@ export async function getUserR2Media(userId, options = {}) {
   }
 
   const { limit = null, offset = null, fileType = null } = options;
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
 
-  let query = `SELECT url_hash, file_url, file_type, file_extension, processed_at, file_size FROM processed_urls WHERE user_id = $1 AND file_url LIKE $2`;
+  let query = `SELECT url_hash, file_hash, file_url, file_type, file_extension, processed_at, file_size, source_url, source_file_hash FROM processed_urls WHERE user_id = $1 AND file_url LIKE $2`;
   const params = [userId, `${r2UrlPrefix}%`];
 
   if (fileType) {
@@ -333,8 +382,7 @@ export async function getUserR2MediaCount(userId, fileType = null) {
     return 0;
   }
 
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
 
   let query = `SELECT COUNT(*) as count FROM processed_urls WHERE user_id = $1 AND file_url LIKE $2`;
   const params = [userId, `${r2UrlPrefix}%`];
@@ -371,6 +419,197 @@ export async function deleteProcessedUrl(urlHash) {
   }
 }
 
+/**
+ * Delete a processed URL together with its temporary uploads, and drop it from the cache
+ * @param {string} urlHash - URL hash (primary key)
+ * @returns {Promise<boolean>} True if record was deleted, false if not found
+ */
+export async function deleteProcessedUrlAndUploads(urlHash) {
+  // Temporary uploads reference the processed URL, so they go first
+  await deleteTemporaryUploadsByUrlHash(urlHash);
+  const deleted = await deleteProcessedUrl(urlHash);
+  invalidateProcessedUrlCache(urlHash);
+  return deleted;
+}
+
+/**
+ * Find a user's processed URLs by the links they were sent as
+ * Query strings are ignored since Discord attachment links change them when refreshed
+ * @param {string} userId - Discord user ID
+ * @param {Array<string>} fileUrls - File links
+ * @returns {Promise<Array>} Matching processed URL records
+ */
+export async function getUserMediaByFileUrls(userId, fileUrls) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql || fileUrls.length === 0) {
+    return [];
+  }
+
+  const baseUrls = fileUrls.map(url => url.split('?')[0]);
+  const rows = await sql`
+    SELECT * FROM processed_urls
+    WHERE user_id = ${userId} AND split_part(file_url, '?', 1) = ANY(${baseUrls}::TEXT[])
+  `;
+  return convertBigIntInArray(convertTimestampsInArray(rows, ['processed_at']), ['file_size']);
+}
+
+/**
+ * Count the processed URLs that point to a stored file
+ * @param {string} fileHash - Storage hash of the file
+ * @param {string|null} fileExtension - File extension (e.g. '.gif')
+ * @returns {Promise<number>} Number of processed URLs using the file
+ */
+export async function countProcessedUrlsByFile(fileHash, fileExtension) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`
+    SELECT COUNT(*) as count FROM processed_urls
+    WHERE file_hash = ${fileHash} AND file_extension IS NOT DISTINCT FROM ${fileExtension}
+  `;
+  return parseInt(result[0]?.count || 0, 10);
+}
+
+/**
+ * Record that a processed URL was served from cache
+ * Never throws, so a failed update can't get in the way of the reply
+ * @param {string} urlHash - URL hash (primary key)
+ * @param {number} [servedAt] - Unix timestamp in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function touchProcessedUrl(urlHash, servedAt = Date.now()) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return;
+  }
+
+  try {
+    await sql`UPDATE processed_urls SET last_served_at = ${servedAt} WHERE url_hash = ${urlHash}`;
+  } catch (error) {
+    console.error('Failed to record processed URL serve:', error);
+  }
+}
+
+/**
+ * Get the processed URLs that point to a stored file
+ * @param {string} fileHash - Storage hash of the file
+ * @param {string|null} fileExtension - File extension (e.g. '.gif')
+ * @returns {Promise<Array>} Processed URL records
+ */
+export async function getProcessedUrlsByFile(fileHash, fileExtension) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const rows = await sql`
+    SELECT * FROM processed_urls
+    WHERE file_hash = ${fileHash} AND file_extension IS NOT DISTINCT FROM ${fileExtension}
+  `;
+  return convertBigIntInArray(convertTimestampsInArray(rows, ['processed_at', 'last_served_at']), [
+    'file_size',
+  ]);
+}
+
+/**
+ * Point a processed URL at a new location of its file
+ * @param {string} urlHash - URL hash (primary key)
+ * @param {string} fileUrl - New file URL or path
+ * @returns {Promise<boolean>} True if the record was updated
+ */
+export async function updateProcessedUrlFileUrl(urlHash, fileUrl) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result =
+    await sql`UPDATE processed_urls SET file_url = ${fileUrl} WHERE url_hash = ${urlHash}`;
+  invalidateProcessedUrlCache(urlHash);
+  return result.count > 0;
+}
+
+/**
+ * Set the recorded size of a processed URL's file
+ * @param {string} urlHash - URL hash (primary key)
+ * @param {number} fileSize - File size in bytes
+ * @returns {Promise<boolean>} True if the record was updated
+ */
+export async function updateProcessedUrlFileSize(urlHash, fileSize) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result =
+    await sql`UPDATE processed_urls SET file_size = ${fileSize} WHERE url_hash = ${urlHash}`;
+  invalidateProcessedUrlCache(urlHash);
+  return result.count > 0;
+}
+
+/**
+ * Get the stored file of every processed URL
+ * Throws rather than returning nothing, since callers treat files missing here as orphaned
+ * @returns {Promise<Array<{url_hash: string, file_hash: string, file_type: string, file_extension: string|null, file_url: string, file_size: number|null}>>}
+ *   One entry per processed URL
+ */
+export async function getProcessedUrlFiles() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized');
+  }
+
+  const rows = await sql`
+    SELECT url_hash, file_hash, file_type, file_extension, file_url, file_size
+    FROM processed_urls
+  `;
+  return convertBigIntInArray(rows, ['file_size']);
+}
+
+/**
+ * Get when every stored file was first made and last served
+ * A file shared by several processed URLs was made when the first of them was processed and
+ * served whenever any of them was
+ * @returns {Promise<Array<{file_hash: string, file_extension: string|null, file_type: string, created_at: number, last_served_at: number}>>}
+ *   One entry per stored file
+ */
+export async function getStoredFileActivity() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const rows = await sql`
+    SELECT
+      file_hash,
+      file_extension,
+      file_type,
+      MIN(processed_at) as created_at,
+      MAX(COALESCE(last_served_at, processed_at)) as last_served_at
+    FROM processed_urls
+    GROUP BY file_hash, file_extension, file_type
+  `;
+  return convertTimestampsInArray(rows, ['created_at', 'last_served_at']);
+}
+
 /**
  * Delete all R2 media records for a user from database
  * @param {string} userId - Discord user ID
@@ -386,8 +625,7 @@ export async function deleteUserR2Media(userId) {
   }
 
   try {
-    const publicDomain = r2Config.publicDomain;
-    const r2UrlPrefix = `https://${publicDomain}/`;
+    const r2UrlPrefix = getRemoteUrlPrefix();
     const result = await sql`
       DELETE FROM processed_urls
       WHERE user_id = ${userId} AND file_url LIKE ${`${r2UrlPrefix}%`}
@@ -399,6 +637,182 @@ export async function deleteUserR2Media(userId) {
   }
 }
 
+// Where a processed file is served from, told apart by its URL
+export const MEDIA_STORAGE_LOCATIONS = ['local', 'r2', 'discord'];
+
+// Discord attachment links (files the bot uploaded as attachments)
+const DISCORD_CDN_PREFIXES = ['https://cdn.discordapp.com/', 'https://media.discordapp.net/'];
+
+/**
+ * Get the URL prefix of files in remote storage (R2 or S3)
+ * Falls back to the R2 public domain, so files uploaded before a switch to local storage still count
+ * @returns {string|null} Prefix like 'https://cdn.gronka.p1x.dev/', or null if there is none
+ */
+function getRemoteUrlPrefix() {
+  const remote = getRemoteStorageDriver();
+  if (remote) {
+    return remote.urlPrefix;
+  }
+  return r2Config.publicDomain ? `https://${r2Config.publicDomain}/` : null;
+}
+
+/**
+ * Tell where a processed file is stored from its URL
+ * @param {string} fileUrl - File URL from processed_urls
+ * @param {string|null} [remotePrefix] - URL prefix of remote storage (default: the configured one)
+ * @returns {string} 'r2' (remote storage), 'discord' or 'local'
+ */
+export function getMediaStorageLocation(fileUrl, remotePrefix = getRemoteUrlPrefix()) {
+  if (remotePrefix && fileUrl?.startsWith(remotePrefix)) {
+    return 'r2';
+  }
+  if (DISCORD_CDN_PREFIXES.some(prefix => fileUrl?.startsWith(prefix))) {
+    return 'discord';
+  }
+  return 'local';
+}
+
+/**
+ * Escape LIKE wildcards so user input matches literally
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build the WHERE clause for media search
+ * @param {Object} options - Search filters (see searchMedia)
+ * @returns {{where: string, params: Array}} SQL conditions and their parameters
+ */
+function buildMediaSearchFilters(options) {
+  const conditions = [];
+  const params = [];
+  const add = (condition, ...values) => {
+    params.push(...values);
+    conditions.push(condition);
+  };
+
+  // Same expression as idx_processed_urls_source_domain. It names source_url without the
+  // p alias, which is fine since the joined tables have no such column
+  if (options.domain) {
+    add(`${SOURCE_DOMAIN_SQL} = $${params.length + 1}`, options.domain);
+  }
+  if (options.url) {
+    add(`p.source_url ILIKE $${params.length + 1}`, `%${escapeLike(options.url)}%`);
+  }
+  if (options.fileType) {
+    add(`p.file_type = $${params.length + 1}`, options.fileType);
+  }
+  if (options.minSize !== undefined && options.minSize !== null) {
+    add(`p.file_size >= $${params.length + 1}`, options.minSize);
+  }
+  if (options.maxSize !== undefined && options.maxSize !== null) {
+    add(`p.file_size <= $${params.length + 1}`, options.maxSize);
+  }
+  if (options.startTime !== undefined && options.startTime !== null) {
+    add(`p.processed_at >= $${params.length + 1}`, options.startTime);
+  }
+  if (options.endTime !== undefined && options.endTime !== null) {
+    add(`p.processed_at <= $${params.length + 1}`, options.endTime);
+  }
+  if (options.userId) {
+    add(`p.user_id = $${params.length + 1}`, options.userId);
+  }
+
+  if (options.storage) {
+    const r2Prefix = getRemoteUrlPrefix();
+    const prefixes = {
+      r2: r2Prefix ? [r2Prefix] : [],
+      discord: DISCORD_CDN_PREFIXES,
+    };
+    const likeAny = list =>
+      list.length > 0
+        ? `(${list.map((_, index) => `p.file_url LIKE $${params.length + index + 1}`).join(' OR ')})`
+        : 'FALSE';
+
+    if (options.storage === 'local') {
+      const remote = [...prefixes.r2, ...prefixes.discord];
+      add(`NOT ${likeAny(remote)}`, ...remote.map(prefix => `${escapeLike(prefix)}%`));
+    } else {
+      const list = prefixes[options.storage] || [];
+      add(likeAny(list), ...list.map(prefix => `${escapeLike(prefix)}%`));
+    }
+  }
+
+  const where = conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  return { where, params };
+}
+
+/**
+ * Search processed media across all users
+ * @param {Object} [options] - Search filters and pagination
+ * @param {string} [options.domain] - Source host, lowercased and without 'www.'
+ * @param {string} [options.url] - Text the source URL contains (case-insensitive)
+ * @param {string} [options.fileType] - File type ('gif', 'video', 'image')
+ * @param {number} [options.minSize] - Smallest file size in bytes
+ * @param {number} [options.maxSize] - Largest file size in bytes
+ * @param {number} [options.startTime] - Only files processed at or after this time (ms)
+ * @param {number} [options.endTime] - Only files processed at or before this time (ms)
+ * @param {string} [options.userId] - Discord user ID
+ * @param {string} [options.storage] - Storage location ('local', 'r2', 'discord')
+ * @param {number} [options.limit=50] - Maximum number of results
+ * @param {number} [options.offset=0] - Number of results to skip
+ * @returns {Promise<Array>} Processed URL records, newest first, with username and storage
+ */
+export async function searchMedia(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    console.error('PostgreSQL not initialized.');
+    return [];
+  }
+
+  const { limit = 50, offset = 0 } = options;
+  const { where, params } = buildMediaSearchFilters(options);
+
+  const query = `
+    SELECT p.url_hash, p.file_hash, p.file_url, p.file_type, p.file_extension, p.processed_at,
+           p.file_size, p.user_id, p.source_url,
+           COALESCE(u.username, um.username, 'Unknown') as username
+    FROM processed_urls p
+    LEFT JOIN users u ON p.user_id = u.user_id
+    LEFT JOIN user_metrics um ON p.user_id = um.user_id
+    WHERE ${where}
+    ORDER BY p.processed_at DESC, p.url_hash
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `;
+
+  const results = await sql.unsafe(query, [...params, limit, offset]);
+  let converted = convertTimestampsInArray(results, ['processed_at']);
+  converted = convertBigIntInArray(converted, ['file_size']);
+  return converted.map(row => ({ ...row, storage: getMediaStorageLocation(row.file_url) }));
+}
+
+/**
+ * Count processed media matching a search
+ * @param {Object} [options] - Search filters (see searchMedia)
+ * @returns {Promise<number>} Number of matching records
+ */
+export async function searchMediaCount(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    console.error('PostgreSQL not initialized.');
+    return 0;
+  }
+
+  const { where, params } = buildMediaSearchFilters(options);
+  const result = await sql.unsafe(
+    `SELECT COUNT(*) as count FROM processed_urls p WHERE ${where}`,
+    params
+  );
+  return parseInt(result[0]?.count || 0, 10);
+}
+
 /**
  * Get moderation dashboard statistics for R2 uploads
  * @returns {Promise<Object>} Stats object with totalFiles, totalStorageBytes, activeUploaders, uploadsLast24h, uploadsByType
@@ -418,8 +832,7 @@ export async function getModerationStats() {
     };
   }
 
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
   const twentyFourHoursAgo = Date.now() - 24 * 60 * 60 * 1000;
 
   const result = await sql`
@@ -467,11 +880,10 @@ export async function getRecentR2Uploads(options = {}) {
   }
 
   const { limit = 25, offset = 0, fileType = null } = options;
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
 
   let query = `
-    SELECT p.url_hash, p.file_url, p.file_type, p.file_extension, p.processed_at, p.file_size, p.user_id,
+    SELECT p.url_hash, p.file_hash, p.file_url, p.file_type, p.file_extension, p.processed_at, p.file_size, p.user_id,
            COALESCE(u.username, um.username, 'Unknown') as username
     FROM processed_urls p
     LEFT JOIN users u ON p.user_id = u.user_id
@@ -517,8 +929,7 @@ export async function getR2UploadsCount(fileType = null) {
     return 0;
   }
 
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
 
   let query = `SELECT COUNT(*) as count FROM processed_urls WHERE file_url LIKE $1`;
   const params = [`${r2UrlPrefix}%`];
@@ -558,8 +969,7 @@ export async function getUsersWithR2Uploads(options = {}) {
     limit = 50,
     offset = 0,
   } = options;
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
 
   // Validate sortBy to prevent SQL injection
   const validSortFields = ['upload_count', 'storage_used', 'last_upload'];
@@ -618,8 +1028,7 @@ export async function getUsersWithR2UploadsCount(search = null) {
     return 0;
   }
 
-  const publicDomain = r2Config.publicDomain;
-  const r2UrlPrefix = `https://${publicDomain}/`;
+  const r2UrlPrefix = getRemoteUrlPrefix();
 
   let query = `
     SELECT COUNT(DISTINCT p.user_id) as count
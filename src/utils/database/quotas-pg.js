@@ -0,0 +1,323 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { createLogger } from '../logger.js';
+import { convertTimestampsToNumbers, convertBigIntToNumbers } from './helpers-pg.js';
+
+// Scopes a quota override can be attached to
+export const QUOTA_SCOPE_TYPES = ['user', 'role', 'guild'];
+
+// Limit columns in the quotas table (null = inherit from the next scope)
+export const QUOTA_LIMIT_FIELDS = [
+  'operations_per_hour',
+  'operations_per_day',
+  'bytes_per_day',
+  'max_concurrent_jobs',
+];
+
+// Namespace of the per-user advisory locks taken while checking and recording quota usage
+const QUOTA_LOCK_NAMESPACE = 720131;
+
+// Lazy logger creation
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    logger = createLogger('quotas');
+  }
+  return logger;
+}
+
+/**
+ * Parse a quota row from the database
+ * @param {Object} row - Raw quota row
+ * @returns {Object|null} Parsed quota record
+ */
+function parseQuotaRow(row) {
+  if (!row) {
+    return null;
+  }
+  return convertBigIntToNumbers(convertTimestampsToNumbers(row, ['created_at', 'updated_at']), [
+    'bytes_per_day',
+  ]);
+}
+
+/**
+ * Get the quota override for a scope
+ * @param {string} scopeType - Scope type ('user', 'role', or 'guild')
+ * @param {string} scopeId - Discord user, role, or guild ID
+ * @returns {Promise<Object|null>} Quota record or null if none is set
+ */
+export async function getQuota(scopeType, scopeId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`
+    SELECT * FROM quotas WHERE scope_type = ${scopeType} AND scope_id = ${scopeId}
+  `;
+  return result.length > 0 ? parseQuotaRow(result[0]) : null;
+}
+
+/**
+ * Get all quota overrides that apply to a user
+ * @param {Object} scopes - Scope IDs to look up
+ * @param {string} scopes.userId - Discord user ID
+ * @param {string|null} [scopes.guildId] - Discord guild ID
+ * @param {Array<string>} [scopes.roleIds] - Discord role IDs of the member
+ * @returns {Promise<Array>} Matching quota records
+ */
+export async function getQuotasForScopes({ userId, guildId = null, roleIds = [] }) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const result = await sql`
+    SELECT * FROM quotas
+    WHERE (scope_type = 'user' AND scope_id = ${userId})
+       OR (scope_type = 'guild' AND scope_id = ${guildId})
+       OR (scope_type = 'role' AND scope_id = ANY(${roleIds}::TEXT[]))
+  `;
+  return result.map(parseQuotaRow);
+}
+
+/**
+ * Get quota overrides with optional filtering
+ * @param {Object} [options] - Query options
+ * @param {string} [options.scopeType] - Filter by scope type
+ * @param {number} [options.limit=100] - Limit results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Array>} Array of quota records
+ */
+export async function getQuotas(options = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const { scopeType = null, limit = 100, offset = 0 } = options;
+
+  const result = scopeType
+    ? await sql`
+        SELECT * FROM quotas WHERE scope_type = ${scopeType}
+        ORDER BY updated_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `
+    : await sql`
+        SELECT * FROM quotas
+        ORDER BY updated_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `;
+  return result.map(parseQuotaRow);
+}
+
+/**
+ * Create or update the quota override for a scope
+ * Limits left undefined are stored as null (inherit); 0 means unlimited
+ * @param {string} scopeType - Scope type ('user', 'role', or 'guild')
+ * @param {string} scopeId - Discord user, role, or guild ID
+ * @param {Object} limits - Quota limits
+ * @param {number|null} [limits.operations_per_hour] - Operations per rolling hour
+ * @param {number|null} [limits.operations_per_day] - Operations per rolling day
+ * @param {number|null} [limits.bytes_per_day] - Bytes processed per rolling day
+ * @param {number|null} [limits.max_concurrent_jobs] - Maximum queued or running jobs
+ * @param {string|null} [limits.note] - Free-form note for admins
+ * @returns {Promise<Object>} The stored quota record
+ */
+export async function setQuota(scopeType, scopeId, limits = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot set quota.');
+  }
+
+  const now = Date.now();
+  const operationsPerHour = limits.operations_per_hour ?? null;
+  const operationsPerDay = limits.operations_per_day ?? null;
+  const bytesPerDay = limits.bytes_per_day ?? null;
+  const maxConcurrentJobs = limits.max_concurrent_jobs ?? null;
+  const note = limits.note ?? null;
+
+  const result = await sql`
+    INSERT INTO quotas (
+      scope_type, scope_id, operations_per_hour, operations_per_day, bytes_per_day,
+      max_concurrent_jobs, note, created_at, updated_at
+    )
+    VALUES (
+      ${scopeType}, ${scopeId}, ${operationsPerHour}, ${operationsPerDay}, ${bytesPerDay},
+      ${maxConcurrentJobs}, ${note}, ${now}, ${now}
+    )
+    ON CONFLICT (scope_type, scope_id) DO UPDATE SET
+      operations_per_hour = EXCLUDED.operations_per_hour,
+      operations_per_day = EXCLUDED.operations_per_day,
+      bytes_per_day = EXCLUDED.bytes_per_day,
+      max_concurrent_jobs = EXCLUDED.max_concurrent_jobs,
+      note = EXCLUDED.note,
+      updated_at = EXCLUDED.updated_at
+    RETURNING *
+  `;
+
+  getLogger().info(`Set quota for ${scopeType} ${scopeId}`);
+  return parseQuotaRow(result[0]);
+}
+
+/**
+ * Delete the quota override for a scope
+ * @param {string} scopeType - Scope type ('user', 'role', or 'guild')
+ * @param {string} scopeId - Discord user, role, or guild ID
+ * @returns {Promise<boolean>} True if an override was deleted
+ */
+export async function deleteQuota(scopeType, scopeId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`
+    DELETE FROM quotas WHERE scope_type = ${scopeType} AND scope_id = ${scopeId}
+  `;
+  if (result.count > 0) {
+    getLogger().info(`Deleted quota for ${scopeType} ${scopeId}`);
+  }
+  return result.count > 0;
+}
+
+/**
+ * Record quota usage for a user
+ * @param {Object} usage - Usage data
+ * @param {string} usage.userId - Discord user ID
+ * @param {string|null} [usage.guildId] - Discord guild ID the request came from
+ * @param {string} usage.operationType - Operation type (e.g., 'convert', 'download')
+ * @param {number} [usage.operations=1] - Number of operations (0 to only add bytes)
+ * @param {number} [usage.bytes=0] - Bytes processed
+ * @param {number|null} [usage.jobId] - Queued job the usage belongs to. Only the first usage
+ *   recorded for a job counts, so retries of the job don't count it again
+ * @returns {Promise<void>}
+ */
+export async function insertQuotaUsage({
+  userId,
+  guildId = null,
+  operationType,
+  operations = 1,
+  bytes = 0,
+  jobId = null,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    getLogger().error('PostgreSQL not initialized. Cannot record quota usage.');
+    return;
+  }
+
+  await sql`
+    INSERT INTO quota_usage (user_id, guild_id, operation_type, operations, bytes, job_id, created_at)
+    VALUES (${userId}, ${guildId}, ${operationType}, ${operations}, ${bytes}, ${jobId}, ${Date.now()})
+    ON CONFLICT (job_id) WHERE job_id IS NOT NULL DO NOTHING
+  `;
+}
+
+/**
+ * Record quota usage for a user only if their usage so far allows it
+ * The check and the insert run in one transaction holding a lock on the user, so concurrent
+ * requests can't all pass the check before any of them is recorded
+ * @param {Object} usage - Usage data (see insertQuotaUsage)
+ * @param {number} since - Start of the usage window passed to check, in milliseconds
+ * @param {Function} check - Called with the user's usage records since then, oldest first, and
+ *   their number of pending and running jobs. Returns a result whose allowed field decides
+ *   whether the usage is recorded
+ * @returns {Promise<Object>} Result of check
+ */
+export async function insertQuotaUsageIfAllowed(
+  { userId, guildId = null, operationType, operations = 1, bytes = 0 },
+  since,
+  check
+) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    getLogger().error('PostgreSQL not initialized. Cannot record quota usage.');
+    return check([], 0);
+  }
+
+  return sql.begin(async tx => {
+    await tx`SELECT pg_advisory_xact_lock(${QUOTA_LOCK_NAMESPACE}::INTEGER, hashtext(${userId}))`;
+
+    const rows = await tx`
+      SELECT operations, bytes, created_at
+      FROM quota_usage
+      WHERE user_id = ${userId} AND created_at > ${since}
+      ORDER BY created_at ASC, id ASC
+    `;
+    const [{ count: activeJobs }] = await tx`
+      SELECT COUNT(*)::INTEGER AS count
+      FROM jobs
+      WHERE user_id = ${userId} AND status IN ('pending', 'running')
+    `;
+    const result = check(
+      rows.map(row => convertBigIntToNumbers(row, ['operations', 'bytes', 'created_at'])),
+      activeJobs
+    );
+
+    if (result.allowed) {
+      await tx`
+        INSERT INTO quota_usage (user_id, guild_id, operation_type, operations, bytes, created_at)
+        VALUES (${userId}, ${guildId}, ${operationType}, ${operations}, ${bytes}, ${Date.now()})
+      `;
+    }
+    return result;
+  });
+}
+
+/**
+ * Get a user's quota usage records since a timestamp, oldest first
+ * @param {string} userId - Discord user ID
+ * @param {number} since - Timestamp in milliseconds
+ * @returns {Promise<Array<{operations: number, bytes: number, created_at: number}>>} Usage records
+ */
+export async function getQuotaUsageSince(userId, since) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const result = await sql`
+    SELECT operations, bytes, created_at
+    FROM quota_usage
+    WHERE user_id = ${userId} AND created_at > ${since}
+    ORDER BY created_at ASC, id ASC
+  `;
+  return result.map(row => convertBigIntToNumbers(row, ['operations', 'bytes', 'created_at']));
+}
+
+/**
+ * Delete quota usage records older than a timestamp
+ * @param {number} before - Timestamp in milliseconds
+ * @returns {Promise<number>} Number of deleted records
+ */
+export async function pruneQuotaUsage(before) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`DELETE FROM quota_usage WHERE created_at < ${before}`;
+  if (result.count > 0) {
+    getLogger().debug(`Pruned ${result.count} quota usage record(s)`);
+  }
+  return result.count;
+}
@@ -129,6 +129,23 @@ export async function getTemporaryUploadsByR2Key(r2Key) {
   }
 }
 
+/**
+ * Get the temporary uploads whose file hasn't been deleted yet
+ * Throws rather than returning nothing, since callers treat files missing here as untracked
+ * @returns {Promise<Array>} Temporary upload records
+ */
+export async function getPendingTemporaryUploads() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized');
+  }
+
+  const results = await sql`SELECT * FROM temporary_uploads WHERE deleted_at IS NULL`;
+  return convertTimestampsInArray(results, TEMPORARY_UPLOADS_TIMESTAMP_FIELDS);
+}
+
 /**
  * Mark a temporary upload as deleted
  * @param {number} id - Temporary upload record ID
@@ -259,6 +276,30 @@ export async function deleteTemporaryUploadsByR2Key(r2Key) {
   }
 }
 
+/**
+ * Delete all temporary upload records of a processed URL
+ * They reference the processed URL, so they must go before it is deleted
+ * @param {string} urlHash - Processed URL hash
+ * @returns {Promise<number>} Number of records deleted
+ */
+export async function deleteTemporaryUploadsByUrlHash(urlHash) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    getLogger().error('PostgreSQL not initialized.');
+    return 0;
+  }
+
+  try {
+    const result = await sql`DELETE FROM temporary_uploads WHERE url_hash = ${urlHash}`;
+    return result.count;
+  } catch (error) {
+    getLogger().error(`Failed to delete temporary uploads by URL hash: ${error.message}`);
+    return 0;
+  }
+}
+
 /**
  * Get R2 keys that have all uploads expired and ready for deletion
  * @param {number} now - Current Unix timestamp in milliseconds
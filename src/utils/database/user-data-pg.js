@@ -0,0 +1,52 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { invalidateUserCache } from './users-pg.js';
+import { invalidateRecentOperationsCache } from './operations-pg.js';
+
+/**
+ * Delete everything stored about a user except their processed URLs
+ * Processed URLs point to stored files, so the caller deletes those with the files first.
+ * Operation logs have no user column: an operation belongs to the user named in the
+ * metadata of its 'created' log. Queued and running jobs are left to finish. Quota usage is kept,
+ * otherwise erasing your data would reset your quota; it is pruned once it leaves the daily window.
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object>} Number of rows deleted per table
+ */
+export async function deleteUserRecords(userId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot delete user records.');
+  }
+
+  const operationLogs = await sql`
+    DELETE FROM operation_logs
+    WHERE operation_id IN (
+      SELECT operation_id FROM operation_logs
+      WHERE step = 'created' AND metadata LIKE ${`%"userId":${JSON.stringify(userId)}%`}
+    )
+  `;
+  const jobs = await sql`
+    DELETE FROM jobs
+    WHERE user_id = ${userId} AND status NOT IN ('pending', 'running')
+  `;
+  const pickerSelections = await sql`DELETE FROM picker_selections WHERE user_id = ${userId}`;
+  const alerts = await sql`DELETE FROM alerts WHERE user_id = ${userId}`;
+  const userPreferences = await sql`DELETE FROM user_preferences WHERE user_id = ${userId}`;
+  const userMetrics = await sql`DELETE FROM user_metrics WHERE user_id = ${userId}`;
+  const users = await sql`DELETE FROM users WHERE user_id = ${userId}`;
+
+  invalidateUserCache(userId);
+  invalidateRecentOperationsCache();
+
+  return {
+    operation_logs: operationLogs.count,
+    jobs: jobs.count,
+    picker_selections: pickerSelections.count,
+    alerts: alerts.count,
+    user_preferences: userPreferences.count,
+    user_metrics: userMetrics.count,
+    users: users.count,
+  };
+}
@@ -0,0 +1,116 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { createLogger } from '../logger.js';
+import { convertTimestampsToNumbers } from './helpers-pg.js';
+
+// Preference columns in the user_preferences table (null = no preference)
+export const USER_PREFERENCE_FIELDS = [
+  'quality',
+  'lossy',
+  'auto_optimize',
+  'output_format',
+  'ephemeral_replies',
+  'always_use_r2',
+];
+
+// Lazy logger creation
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    logger = createLogger('user-preferences');
+  }
+  return logger;
+}
+
+/**
+ * Parse a user preferences row from the database
+ * @param {Object} row - Raw user preferences row
+ * @returns {Object|null} Parsed user preferences record
+ */
+function parseUserPreferencesRow(row) {
+  if (!row) {
+    return null;
+  }
+  return convertTimestampsToNumbers(row, ['created_at', 'updated_at']);
+}
+
+/**
+ * Get the preferences stored for a user
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object|null>} User preferences record or null if none are set
+ */
+export async function getUserPreferencesRecord(userId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM user_preferences WHERE user_id = ${userId}`;
+  return result.length > 0 ? parseUserPreferencesRow(result[0]) : null;
+}
+
+/**
+ * Create or replace the preferences of a user
+ * Preferences left undefined are stored as null (no preference)
+ * @param {string} userId - Discord user ID
+ * @param {Object} preferences - Preference values keyed by column name (see USER_PREFERENCE_FIELDS)
+ * @returns {Promise<Object>} The stored user preferences record
+ */
+export async function setUserPreferences(userId, preferences = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot set user preferences.');
+  }
+
+  const now = Date.now();
+  const values = Object.fromEntries(
+    USER_PREFERENCE_FIELDS.map(field => [field, preferences[field] ?? null])
+  );
+
+  const result = await sql`
+    INSERT INTO user_preferences (
+      user_id, quality, lossy, auto_optimize, output_format, ephemeral_replies,
+      always_use_r2, created_at, updated_at
+    )
+    VALUES (
+      ${userId}, ${values.quality}, ${values.lossy}, ${values.auto_optimize},
+      ${values.output_format}, ${values.ephemeral_replies}, ${values.always_use_r2}, ${now}, ${now}
+    )
+    ON CONFLICT (user_id) DO UPDATE SET
+      quality = EXCLUDED.quality,
+      lossy = EXCLUDED.lossy,
+      auto_optimize = EXCLUDED.auto_optimize,
+      output_format = EXCLUDED.output_format,
+      ephemeral_replies = EXCLUDED.ephemeral_replies,
+      always_use_r2 = EXCLUDED.always_use_r2,
+      updated_at = EXCLUDED.updated_at
+    RETURNING *
+  `;
+
+  getLogger().info(`Set preferences for user ${userId}`);
+  return parseUserPreferencesRow(result[0]);
+}
+
+/**
+ * Delete the preferences of a user
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<boolean>} True if preferences were deleted
+ */
+export async function deleteUserPreferences(userId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`DELETE FROM user_preferences WHERE user_id = ${userId}`;
+  if (result.count > 0) {
+    getLogger().info(`Deleted preferences for user ${userId}`);
+  }
+  return result.count > 0;
+}
@@ -0,0 +1,332 @@
+import { getPostgresConnection } from './connection.js';
+import { ensurePostgresInitialized } from './init.js';
+import { createLogger } from '../logger.js';
+import { convertTimestampsToNumbers } from './helpers-pg.js';
+
+// Lazy logger creation
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    logger = createLogger('webui-auth');
+  }
+  return logger;
+}
+
+const USER_TIMESTAMP_FIELDS = ['created_at', 'updated_at', 'last_login_at'];
+
+/**
+ * Parse a WebUI user row from the database
+ * @param {Object} row - Raw webui_users row
+ * @returns {Object|null} Parsed user record
+ */
+function parseUserRow(row) {
+  return row ? convertTimestampsToNumbers(row, USER_TIMESTAMP_FIELDS) : null;
+}
+
+/**
+ * Create a WebUI user
+ * Password users have a username and password hash; Discord users only need a Discord user ID.
+ * @param {Object} user - User data
+ * @param {string|null} [user.username] - Login name for password sign-in
+ * @param {string|null} [user.passwordHash] - Password hash from hashPassword
+ * @param {string|null} [user.discordUserId] - Discord user ID for Discord sign-in
+ * @param {string|null} [user.displayName] - Name shown in the dashboard
+ * @param {string|null} [user.role] - 'viewer', 'moderator' or 'admin' (null for no access)
+ * @returns {Promise<Object>} The inserted user record
+ */
+export async function createWebuiUser({
+  username = null,
+  passwordHash = null,
+  discordUserId = null,
+  displayName = null,
+  role = null,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot create WebUI user.');
+  }
+
+  const now = Date.now();
+  const result = await sql`
+    INSERT INTO webui_users (
+      username, password_hash, discord_user_id, display_name, role, created_at, updated_at
+    )
+    VALUES (
+      ${username}, ${passwordHash}, ${discordUserId}, ${displayName || username}, ${role}, ${now}, ${now}
+    )
+    RETURNING *
+  `;
+
+  getLogger().info(`Created WebUI user ${result[0].id} (role: ${role || 'none'})`);
+  return parseUserRow(result[0]);
+}
+
+/**
+ * Get a WebUI user by ID
+ * @param {number} id - User ID
+ * @returns {Promise<Object|null>} User record or null if not found
+ */
+export async function getWebuiUserById(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM webui_users WHERE id = ${id}`;
+  return result.length > 0 ? parseUserRow(result[0]) : null;
+}
+
+/**
+ * Get a WebUI user by login name
+ * @param {string} username - Login name
+ * @returns {Promise<Object|null>} User record or null if not found
+ */
+export async function getWebuiUserByUsername(username) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM webui_users WHERE username = ${username}`;
+  return result.length > 0 ? parseUserRow(result[0]) : null;
+}
+
+/**
+ * Get the WebUI user linked to a Discord account
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object|null>} User record or null if not found
+ */
+export async function getWebuiUserByDiscordId(discordUserId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`SELECT * FROM webui_users WHERE discord_user_id = ${discordUserId}`;
+  return result.length > 0 ? parseUserRow(result[0]) : null;
+}
+
+/**
+ * List every WebUI user, oldest first
+ * @returns {Promise<Array<Object>>} User records
+ */
+export async function listWebuiUsers() {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return [];
+  }
+
+  const result = await sql`SELECT * FROM webui_users ORDER BY id ASC`;
+  return result.map(parseUserRow);
+}
+
+/**
+ * Update a WebUI user
+ * Only the fields that are present are changed.
+ * @param {number} id - User ID
+ * @param {Object} fields - Fields to change
+ * @param {string|null} [fields.role] - New role (null for no access)
+ * @param {string} [fields.passwordHash] - New password hash
+ * @param {string|null} [fields.discordUserId] - Linked Discord user ID
+ * @param {string|null} [fields.displayName] - Name shown in the dashboard
+ * @returns {Promise<Object|null>} Updated user record or null if not found
+ */
+export async function updateWebuiUser(id, fields = {}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot update WebUI user.');
+  }
+
+  const columns = {
+    role: 'role',
+    passwordHash: 'password_hash',
+    discordUserId: 'discord_user_id',
+    displayName: 'display_name',
+  };
+  const updates = { updated_at: Date.now() };
+  for (const [field, column] of Object.entries(columns)) {
+    if (fields[field] !== undefined) {
+      updates[column] = fields[field];
+    }
+  }
+
+  const result = await sql`
+    UPDATE webui_users SET ${sql(updates)} WHERE id = ${id} RETURNING *
+  `;
+  return result.length > 0 ? parseUserRow(result[0]) : null;
+}
+
+/**
+ * Delete a WebUI user and all of their sessions
+ * @param {number} id - User ID
+ * @returns {Promise<boolean>} True if the user was deleted
+ */
+export async function deleteWebuiUser(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`DELETE FROM webui_users WHERE id = ${id}`;
+  if (result.count > 0) {
+    getLogger().info(`Deleted WebUI user ${id}`);
+  }
+  return result.count > 0;
+}
+
+/**
+ * Record a successful sign-in
+ * @param {number} id - User ID
+ * @param {string|null} [displayName] - Refreshed display name (e.g. from Discord)
+ * @returns {Promise<void>}
+ */
+export async function recordWebuiLogin(id, displayName = null) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return;
+  }
+
+  const now = Date.now();
+  await sql`
+    UPDATE webui_users
+    SET last_login_at = ${now}, display_name = COALESCE(${displayName}, display_name)
+    WHERE id = ${id}
+  `;
+}
+
+/**
+ * Create a WebUI session
+ * The ID is a hash of the cookie token, so a database leak does not expose live sessions.
+ * @param {Object} session - Session data
+ * @param {string} session.id - Hashed session token
+ * @param {number} session.userId - WebUI user ID
+ * @param {string} session.authMethod - 'password' or 'discord'
+ * @param {number} session.expiresAt - Timestamp the session stops being valid
+ * @param {string|null} [session.ipAddress] - Client IP at sign-in
+ * @param {string|null} [session.userAgent] - Client user agent at sign-in
+ * @returns {Promise<void>}
+ */
+export async function createWebuiSession({
+  id,
+  userId,
+  authMethod,
+  expiresAt,
+  ipAddress = null,
+  userAgent = null,
+}) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    throw new Error('PostgreSQL not initialized. Cannot create WebUI session.');
+  }
+
+  await sql`
+    INSERT INTO webui_sessions (id, user_id, auth_method, ip_address, user_agent, created_at, expires_at)
+    VALUES (${id}, ${userId}, ${authMethod}, ${ipAddress}, ${userAgent}, ${Date.now()}, ${expiresAt})
+  `;
+}
+
+/**
+ * Get an unexpired session together with its user
+ * @param {string} id - Hashed session token
+ * @returns {Promise<Object|null>} Session with a `user` record, or null if missing or expired
+ */
+export async function getWebuiSession(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return null;
+  }
+
+  const result = await sql`
+    SELECT s.id AS session_id, s.auth_method, s.created_at AS session_created_at,
+           s.expires_at, u.*
+    FROM webui_sessions s
+    JOIN webui_users u ON u.id = s.user_id
+    WHERE s.id = ${id} AND s.expires_at > ${Date.now()}
+  `;
+  if (result.length === 0) {
+    return null;
+  }
+
+  const { session_id, auth_method, session_created_at, expires_at, ...user } = result[0];
+  return {
+    id: session_id,
+    authMethod: auth_method,
+    createdAt: Number(session_created_at),
+    expiresAt: Number(expires_at),
+    user: parseUserRow(user),
+  };
+}
+
+/**
+ * Delete a session (sign out)
+ * @param {string} id - Hashed session token
+ * @returns {Promise<boolean>} True if the session existed
+ */
+export async function deleteWebuiSession(id) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return false;
+  }
+
+  const result = await sql`DELETE FROM webui_sessions WHERE id = ${id}`;
+  return result.count > 0;
+}
+
+/**
+ * Delete every session of a user (e.g. after a password or role change)
+ * @param {number} userId - WebUI user ID
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function deleteWebuiUserSessions(userId) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`DELETE FROM webui_sessions WHERE user_id = ${userId}`;
+  return result.count;
+}
+
+/**
+ * Delete sessions that expired before a timestamp
+ * @param {number} before - Delete sessions that expired before this timestamp
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function pruneWebuiSessions(before) {
+  await ensurePostgresInitialized();
+
+  const sql = getPostgresConnection();
+  if (!sql) {
+    return 0;
+  }
+
+  const result = await sql`DELETE FROM webui_sessions WHERE expires_at < ${before}`;
+  if (result.count > 0) {
+    getLogger().debug(`Pruned ${result.count} expired WebUI session(s)`);
+  }
+  return result.count;
+}
@@ -64,3 +64,12 @@ export class ConversionError extends AppError {
     super(message, code, statusCode);
   }
 }
+
+/**
+ * Schema version error - thrown when the database schema doesn't match the migrations of this build
+ */
+export class SchemaVersionError extends AppError {
+  constructor(message, code = 'SCHEMA_VERSION_ERROR') {
+    super(message, code, 500);
+  }
+}
@@ -0,0 +1,282 @@
+import { MessageFlags } from 'discord.js';
+import { createLogger } from './logger.js';
+import { botConfig } from './config.js';
+import { getGuildSettingsRecord } from './database.js';
+import { safeInteractionReply } from './interaction-helpers.js';
+
+const logger = createLogger('guild-settings');
+
+// How long resolved guild settings are reused before reading the database again
+const CACHE_TTL = 60 * 1000;
+
+const MB = 1024 * 1024;
+
+// Guild settings columns mapped to their camelCase names and accepted values
+// Restrict-only settings can turn a globally enabled feature off, but never turn it on
+export const GUILD_SETTINGS = {
+  gif_quality: { key: 'gifQuality', type: 'choice', choices: ['low', 'medium', 'high'] },
+  max_gif_duration: { key: 'maxGifDuration', type: 'integer', min: 1, max: 300 },
+  discord_size_limit: { key: 'discordSizeLimit', type: 'integer', min: MB, max: 500 * MB },
+  cobalt_enabled: { key: 'cobaltEnabled', type: 'boolean', restrictOnly: true },
+  ytdlp_enabled: { key: 'ytdlpEnabled', type: 'boolean', restrictOnly: true },
+  allowed_channel_ids: { key: 'allowedChannelIds', type: 'channels' },
+  ephemeral_replies: { key: 'ephemeralReplies', type: 'boolean' },
+  always_use_r2: { key: 'alwaysUseR2', type: 'boolean' },
+};
+
+// Resolved settings per guild: Map<guildId, {settings, timestamp}>
+const settingsCache = new Map();
+
+/**
+ * Get the global defaults guild settings fall back to
+ * @returns {Object} Default value of every setting, keyed by camelCase name
+ */
+export function getGuildSettingDefaults() {
+  return {
+    gifQuality: botConfig.gifQuality,
+    maxGifDuration: botConfig.maxGifDuration,
+    discordSizeLimit: botConfig.discordSizeLimit,
+    cobaltEnabled: botConfig.cobaltEnabled,
+    ytdlpEnabled: botConfig.ytdlpEnabled,
+    allowedChannelIds: [],
+    ephemeralReplies: false,
+    alwaysUseR2: false,
+  };
+}
+
+/**
+ * Resolve the effective settings of a guild
+ * Each setting comes from the guild record when set there, otherwise from the global default
+ * @param {Object|null} record - Guild settings record (null when the guild has none)
+ * @param {Object} [defaults] - Default values (see getGuildSettingDefaults)
+ * @returns {Object} Effective settings with the source ('guild' or 'default') of each one
+ */
+export function resolveGuildSettings(record, defaults = getGuildSettingDefaults()) {
+  const settings = {};
+  const sources = {};
+
+  for (const [field, { key, restrictOnly }] of Object.entries(GUILD_SETTINGS)) {
+    const value = record?.[field];
+    if (value === null || value === undefined) {
+      settings[key] = defaults[key];
+      sources[key] = 'default';
+    } else {
+      settings[key] = restrictOnly ? defaults[key] && value : value;
+      sources[key] = 'guild';
+    }
+  }
+
+  return { ...settings, sources };
+}
+
+/**
+ * Parse one setting value against a table of setting definitions
+ * Shared by guild settings and user preferences
+ * @param {Object} definitions - Setting definitions keyed by column (see GUILD_SETTINGS)
+ * @param {string} field - Setting column
+ * @param {*} value - Raw value (null, undefined and '' mean unset)
+ * @returns {{value: *, error: string|null}} Parsed value (null = unset)
+ */
+export function parseSettingValue(definitions, field, value) {
+  const definition = definitions[field];
+  if (!definition) {
+    return { value: null, error: `unknown setting: ${field}` };
+  }
+  if (value === null || value === undefined || value === '') {
+    return { value: null, error: null };
+  }
+
+  switch (definition.type) {
+    case 'choice': {
+      const choice = String(value).trim().toLowerCase();
+      if (!definition.choices.includes(choice)) {
+        return { value: null, error: `${field} must be one of: ${definition.choices.join(', ')}` };
+      }
+      return { value: choice, error: null };
+    }
+    case 'integer': {
+      const parsed = Number(value);
+      if (!Number.isSafeInteger(parsed) || parsed < definition.min || parsed > definition.max) {
+        return {
+          value: null,
+          error: `${field} must be an integer between ${definition.min} and ${definition.max}`,
+        };
+      }
+      return { value: parsed, error: null };
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { value: null, error: `${field} must be true or false` };
+      }
+      return { value, error: null };
+    case 'channels': {
+      if (!Array.isArray(value) || value.some(id => !/^\d{1,32}$/.test(String(id)))) {
+        return { value: null, error: `${field} must be a list of Discord channel IDs` };
+      }
+      // An empty list allows every channel, the same as the default
+      const ids = [...new Set(value.map(String))];
+      return { value: ids.length > 0 ? ids : null, error: null };
+    }
+    default:
+      return { value: null, error: `unknown setting: ${field}` };
+  }
+}
+
+/**
+ * Parse one guild setting value
+ * @param {string} field - Setting column (see GUILD_SETTINGS)
+ * @param {*} value - Raw value (null, undefined and '' mean use the default)
+ * @returns {{value: *, error: string|null}} Parsed value (null = use the default)
+ */
+export function parseGuildSettingValue(field, value) {
+  return parseSettingValue(GUILD_SETTINGS, field, value);
+}
+
+/**
+ * Validate a full set of guild settings
+ * Settings missing from the input are stored as null (use the default)
+ * @param {Object} input - Setting values keyed by column
+ * @returns {{valid: boolean, error?: string, settings?: Object}} Validation result
+ */
+export function parseGuildSettings(input) {
+  const settings = {};
+  for (const field of Object.keys(GUILD_SETTINGS)) {
+    const { value, error } = parseGuildSettingValue(field, input[field]);
+    if (error) {
+      return { valid: false, error };
+    }
+    settings[field] = value;
+  }
+  return { valid: true, settings };
+}
+
+/**
+ * Get the effective settings of a guild, cached for a minute
+ * Direct messages and lookup failures use the global defaults
+ * @param {string|null} guildId - Discord guild ID
+ * @returns {Promise<Object>} Effective settings (see resolveGuildSettings)
+ */
+export async function getGuildSettings(guildId) {
+  if (!guildId) {
+    return resolveGuildSettings(null);
+  }
+
+  const cached = settingsCache.get(guildId);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.settings;
+  }
+
+  let record;
+  try {
+    record = await getGuildSettingsRecord(guildId);
+  } catch (error) {
+    logger.warn(`Failed to load settings for guild ${guildId}, using defaults:`, error.message);
+    return resolveGuildSettings(null);
+  }
+
+  const settings = resolveGuildSettings(record);
+  settingsCache.set(guildId, { settings, timestamp: Date.now() });
+  return settings;
+}
+
+/**
+ * Forget the cached settings of a guild after they change
+ * @param {string} guildId - Discord guild ID
+ */
+export function invalidateGuildSettingsCache(guildId) {
+  settingsCache.delete(guildId);
+}
+
+/**
+ * Check whether commands may be used in a channel
+ * Threads follow the channel they were started in
+ * @param {Object} settings - Effective guild settings
+ * @param {string|null} channelId - Channel the command was used in
+ * @param {string|null} [parentId] - Parent channel of a thread
+ * @returns {boolean} True if the channel is allowed
+ */
+export function isChannelAllowed(settings, channelId, parentId = null) {
+  const allowed = settings.allowedChannelIds;
+  if (!allowed || allowed.length === 0) {
+    return true;
+  }
+  return allowed.includes(channelId) || (parentId !== null && allowed.includes(parentId));
+}
+
+/**
+ * Refuse commands used outside the channels a guild allows
+ * Replies to the interaction itself when the channel is not allowed
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {Promise<boolean>} True if the command may continue
+ */
+export async function enforceGuildChannel(interaction) {
+  if (!interaction.guildId) {
+    return true;
+  }
+
+  const settings = await getGuildSettings(interaction.guildId);
+  if (isChannelAllowed(settings, interaction.channelId, interaction.channel?.parentId ?? null)) {
+    return true;
+  }
+
+  logger.info(
+    `Refused ${interaction.commandName} from user ${interaction.user.id} in channel ${interaction.channelId} (not allowed in guild ${interaction.guildId})`
+  );
+  const channels = settings.allowedChannelIds.map(id => `<#${id}>`).join(', ');
+  await safeInteractionReply(interaction, {
+    content: `commands can't be used in this channel. try ${channels}.`,
+    flags: MessageFlags.Ephemeral,
+  });
+  return false;
+}
+
+/**
+ * Build the defer options for a command reply
+ * @param {Object} settings - Effective guild settings
+ * @returns {Object} Options for safeInteractionDeferReply
+ */
+export function getGuildReplyOptions(settings) {
+  return settings.ephemeralReplies ? { flags: MessageFlags.Ephemeral } : {};
+}
+
+/**
+ * Get the largest file a guild receives as a Discord attachment
+ * @param {Object} settings - Effective guild settings
+ * @returns {number|null} Limit in bytes (0 = always link to R2), or null to keep the storage default
+ */
+export function getDiscordUploadLimit(settings) {
+  if (settings.alwaysUseR2) {
+    return 0;
+  }
+  return settings.sources.discordSizeLimit === 'guild' ? settings.discordSizeLimit : null;
+}
+
+/**
+ * Format effective guild settings for display
+ * @param {Object} settings - Effective guild settings
+ * @returns {string} One line per setting, marking values inherited from the defaults
+ */
+export function formatGuildSettings(settings) {
+  const formatValue = (key, value) => {
+    if (key === 'discordSizeLimit') {
+      return `${Math.round((value / MB) * 100) / 100} mb`;
+    }
+    if (key === 'maxGifDuration') {
+      return `${value}s`;
+    }
+    if (key === 'allowedChannelIds') {
+      return value.length > 0 ? value.map(id => `<#${id}>`).join(', ') : 'all channels';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'on' : 'off';
+    }
+    return String(value);
+  };
+
+  return Object.entries(GUILD_SETTINGS)
+    .map(([field, { key }]) => {
+      const suffix = settings.sources[key] === 'default' ? ' (default)' : '';
+      return `**${field}**: ${formatValue(key, settings[key])}${suffix}`;
+    })
+    .join('\n');
+}
@@ -147,3 +147,31 @@ export async function safeInteractionDeferReply(interaction, options = {}) {
     return false;
   }
 }
+
+/**
+ * Safely show a modal, handling expired/already-acknowledged interactions
+ * @param {Interaction} interaction - Discord interaction
+ * @param {ModalBuilder} modal - Modal to show
+ * @returns {Promise<boolean>} True if modal was shown successfully, false otherwise
+ */
+export async function safeInteractionShowModal(interaction, modal) {
+  if (interaction.replied || interaction.deferred) {
+    logger.debug(`Interaction already responded to, cannot show modal`);
+    return false;
+  }
+
+  try {
+    await interaction.showModal(modal);
+    return true;
+  } catch (error) {
+    // Handle expired interactions (code 10062) or already acknowledged (code 40060)
+    if (error.code === 10062 || error.code === 40060) {
+      logger.debug(
+        `Interaction expired or already acknowledged when showing modal: ${error.message}`
+      );
+    } else {
+      logger.error(`Failed to show modal:`, sanitizeDiscordError(error));
+    }
+    return false;
+  }
+}
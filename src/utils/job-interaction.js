@@ -0,0 +1,161 @@
+import { InteractionWebhook } from 'discord.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('job-interaction');
+
+// Discord interaction tokens stay valid for 15 minutes after the interaction was created
+export const INTERACTION_TOKEN_TTL = 15 * 60 * 1000;
+
+// Leave some headroom so we don't race the token expiry mid-request
+const TOKEN_EXPIRY_MARGIN = 30 * 1000;
+
+/**
+ * Serialize the parts of a Discord interaction needed to reply to it later
+ * The result is stored in the job payload so a resumed job can still reach the user
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {Object} Serializable interaction context
+ */
+export function serializeInteraction(interaction) {
+  return {
+    applicationId: interaction.applicationId || null,
+    token: interaction.token || null,
+    channelId: interaction.channelId || null,
+    guildId: interaction.guildId || null,
+    commandName: interaction.commandName || null,
+    createdTimestamp: interaction.createdTimestamp || Date.now(),
+    user: {
+      id: interaction.user.id,
+      username: interaction.user.username || null,
+      tag: interaction.user.tag || null,
+    },
+  };
+}
+
+/**
+ * Check whether the interaction token in a serialized context can still be used
+ * @param {Object} context - Serialized interaction context
+ * @param {number} [now] - Current timestamp in milliseconds
+ * @returns {boolean} True if the token can still be used to edit the original reply
+ */
+export function isInteractionTokenValid(context, now = Date.now()) {
+  if (!context || !context.token || !context.applicationId) {
+    return false;
+  }
+  const createdAt = context.createdTimestamp || 0;
+  return now - createdAt < INTERACTION_TOKEN_TTL - TOKEN_EXPIRY_MARGIN;
+}
+
+/**
+ * Convert reply options into a plain channel/DM message payload
+ * @param {string|Object} options - Reply options
+ * @param {string|null} mention - User mention to prepend, or null
+ * @returns {Object} Message payload
+ */
+function toMessagePayload(options, mention) {
+  const payload = typeof options === 'string' ? { content: options } : { ...options };
+  // Ephemeral flags only apply to interaction responses
+  delete payload.flags;
+  delete payload.ephemeral;
+  if (mention) {
+    payload.content = payload.content ? `${mention} ${payload.content}` : mention;
+  }
+  return payload;
+}
+
+/**
+ * Create an interaction-like object that relays replies for a queued job
+ * While the original token is valid, replies edit the original response. Once it has expired
+ * (e.g. a job resumed after a restart), replies are posted to the original channel, or
+ * sent to the user as a DM when the channel is not reachable.
+ * @param {Client} client - Discord client
+ * @param {Object} context - Serialized interaction context from serializeInteraction
+ * @returns {Object} Relay interaction supporting the subset of the interaction API used by commands
+ */
+export function createRelayInteraction(client, context) {
+  const webhook =
+    context.applicationId && context.token
+      ? new InteractionWebhook(client, context.applicationId, context.token)
+      : null;
+
+  // Message posted outside the interaction once the token expired, so later edits update it
+  let fallbackMessage = null;
+
+  /**
+   * Post or edit the fallback message in the channel or DM
+   * @param {string|Object} options - Reply options
+   * @returns {Promise<Message|false>} Sent message or false if delivery failed
+   */
+  async function sendFallback(options) {
+    if (fallbackMessage) {
+      try {
+        return await fallbackMessage.edit(toMessagePayload(options, null));
+      } catch (error) {
+        logger.debug(`Failed to edit fallback message, sending a new one: ${error.message}`);
+        fallbackMessage = null;
+      }
+    }
+
+    if (context.channelId) {
+      try {
+        const channel = await client.channels.fetch(context.channelId);
+        if (channel && typeof channel.send === 'function') {
+          fallbackMessage = await channel.send(toMessagePayload(options, `<@${context.user.id}>`));
+          return fallbackMessage;
+        }
+      } catch (error) {
+        logger.debug(`Failed to post job result to channel ${context.channelId}: ${error.message}`);
+      }
+    }
+
+    try {
+      const user = await client.users.fetch(context.user.id);
+      fallbackMessage = await user.send(toMessagePayload(options, null));
+      return fallbackMessage;
+    } catch (error) {
+      logger.warn(`Failed to deliver job result to user ${context.user.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  const relay = {
+    isJobRelay: true,
+    client,
+    applicationId: context.applicationId,
+    token: context.token,
+    channelId: context.channelId,
+    guildId: context.guildId,
+    commandName: context.commandName,
+    createdTimestamp: context.createdTimestamp,
+    user: { ...context.user },
+    // The original interaction is always acknowledged before its job is queued
+    deferred: true,
+    replied: false,
+    get channel() {
+      return context.channelId ? client.channels.cache.get(context.channelId) || null : null;
+    },
+    isMessageContextMenuCommand: () => false,
+    isChatInputCommand: () => false,
+    isModalSubmit: () => false,
+    async deferReply() {
+      relay.deferred = true;
+    },
+    async reply(options) {
+      relay.replied = true;
+      return relay.editReply(options);
+    },
+    async editReply(options) {
+      if (webhook && isInteractionTokenValid(context)) {
+        return await webhook.editMessage('@original', options);
+      }
+      return await sendFallback(options);
+    },
+    async followUp(options) {
+      if (webhook && isInteractionTokenValid(context)) {
+        return await webhook.send(options);
+      }
+      return await sendFallback(options);
+    },
+  };
+
+  return relay;
+}
@@ -0,0 +1,440 @@
+import os from 'os';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { jobQueueConfig } from './config.js';
+import {
+  insertJob,
+  claimNextJob,
+  extendJobLease,
+  completeJob,
+  failJob,
+  requeueExpiredJobs,
+  releaseWorkerJobs,
+  getJob,
+} from './database.js';
+import { ValidationError } from './errors.js';
+import { serializeInteraction, createRelayInteraction } from './job-interaction.js';
+import { safeInteractionEditReply } from './interaction-helpers.js';
+import { invalidateUserPreferencesCache } from './user-preferences.js';
+
+const logger = createLogger('job-queue');
+
+// Registered job handlers: Map<jobType, handler(job, context)>
+const handlers = new Map();
+
+// Jobs currently running in this process: Map<jobId, {jobType, startedAt}>
+const activeJobs = new Map();
+
+// In-memory inputs that can't be persisted (live interaction, pre-downloaded buffer)
+// Map<jobId, {interaction, buffer}>
+// These are lost on restart, in which case handlers fall back to the serialized payload
+// Entries of jobs another process claimed are evicted by the recovery interval
+const transientInputs = new Map();
+
+let discordClient = null;
+let workerId = null;
+let pollIntervalId = null;
+let recoveryIntervalId = null;
+let claiming = false;
+let claimRequested = false;
+
+/**
+ * Register a handler for a job type
+ * Handlers receive the job record and a context object:
+ * { client, interaction, buffer, resumed } where interaction is either the live Discord
+ * interaction or a relay that posts to the original interaction/channel
+ * @param {string} jobType - Job type (e.g., 'convert', 'optimize', 'download')
+ * @param {Function} handler - Async handler function
+ */
+export function registerJobHandler(jobType, handler) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Job handler for ${jobType} must be a function`);
+  }
+  handlers.set(jobType, handler);
+}
+
+/**
+ * Get the concurrency limit for a job type
+ * @param {string} jobType - Job type
+ * @returns {number} Maximum number of jobs of this type running at once in this process
+ */
+export function getJobConcurrencyLimit(jobType) {
+  return jobQueueConfig.concurrency[jobType] || 1;
+}
+
+/**
+ * Count running jobs of a type in this process
+ * @param {string} jobType - Job type
+ * @returns {number} Number of active jobs
+ */
+function countActiveJobs(jobType) {
+  let count = 0;
+  for (const active of activeJobs.values()) {
+    if (active.jobType === jobType) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Resolve the worker identifier used for job leases
+ * The default is unique to this process, since replicas can share a hostname. Jobs interrupted by
+ * a restart are then recovered once their lease expires, unless JOB_WORKER_ID is set to a stable ID
+ * @param {string} role - Process role ('bot' or 'worker')
+ * @returns {string} Worker identifier
+ */
+function resolveWorkerId(role) {
+  return (
+    jobQueueConfig.workerId ||
+    `${os.hostname()}:${role}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+  );
+}
+
+/**
+ * Build the interaction used by a handler for a job
+ * @param {Object} job - Job record
+ * @param {Object} transient - In-memory job inputs
+ * @returns {Object|null} Live interaction, relay interaction, or null
+ */
+function resolveJobInteraction(job, transient) {
+  if (transient.interaction) {
+    return transient.interaction;
+  }
+  if (job.payload?.interaction && discordClient) {
+    return createRelayInteraction(discordClient, job.payload.interaction);
+  }
+  return null;
+}
+
+/**
+ * Tell the user that a job could not be completed
+ * @param {Object} job - Job record
+ * @param {Object|null} interaction - Interaction to reply to
+ * @returns {Promise<void>}
+ */
+async function notifyJobFailed(job, interaction) {
+  if (!interaction) {
+    return;
+  }
+  await safeInteractionEditReply(interaction, {
+    content: `your ${job.job_type} request could not be completed. please try again.`,
+  });
+}
+
+/**
+ * Run a claimed job with lease renewal
+ * @param {Object} job - Claimed job record
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.job_type);
+  const transient = transientInputs.get(job.id) || {};
+  const interaction = resolveJobInteraction(job, transient);
+  const resumed = !transient.interaction;
+  const leaseOwner = workerId;
+
+  activeJobs.set(job.id, { jobType: job.job_type, startedAt: Date.now() });
+
+  // Preferences may have been changed through another process (e.g. the bot, when this is a
+  // worker), so handlers read them fresh instead of from this process's cache
+  if (job.user_id) {
+    invalidateUserPreferencesCache(job.user_id);
+  }
+  logger.info(
+    `Running ${job.job_type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts}${resumed ? ', resumed' : ''})`
+  );
+
+  // Renew the lease while the job runs so other claimers don't pick it up
+  const heartbeatId = setInterval(
+    () => {
+      extendJobLease(job.id, leaseOwner, jobQueueConfig.leaseMs)
+        .then(extended => {
+          if (!extended) {
+            // The lease expired and the job went back to the queue, so this run's result is dropped
+            logger.warn(`Lost the lease on ${job.job_type} job ${job.id}`);
+            clearInterval(heartbeatId);
+          }
+        })
+        .catch(error => {
+          logger.warn(`Failed to extend lease for job ${job.id}: ${error.message}`);
+        });
+    },
+    Math.max(1000, Math.floor(jobQueueConfig.leaseMs / 3))
+  );
+
+  let finished = true;
+  try {
+    const result = await handler(job, {
+      client: discordClient,
+      interaction,
+      buffer: transient.buffer || null,
+      resumed,
+    });
+    if (await completeJob(job.id, leaseOwner, result ?? null)) {
+      logger.info(`Completed ${job.job_type} job ${job.id}`);
+    } else {
+      logger.warn(`Finished ${job.job_type} job ${job.id} after losing its lease`);
+    }
+  } catch (error) {
+    logger.error(`${job.job_type} job ${job.id} failed:`, error.message);
+    // Validation errors won't succeed on retry
+    const retry = !(error instanceof ValidationError);
+    try {
+      const updated = await failJob(job.id, leaseOwner, error.message, { retry });
+      if (!updated) {
+        // Another worker owns the job now, it notifies the user or retries it
+        logger.warn(`Failed ${job.job_type} job ${job.id} after losing its lease`);
+      } else if (updated.status === 'pending') {
+        finished = false;
+      } else {
+        await notifyJobFailed(job, interaction);
+      }
+    } catch (dbError) {
+      logger.error(`Failed to record failure for job ${job.id}:`, dbError.message);
+    }
+  } finally {
+    clearInterval(heartbeatId);
+    activeJobs.delete(job.id);
+    if (finished) {
+      transientInputs.delete(job.id);
+    }
+    processJobs();
+  }
+}
+
+/**
+ * Claim and start jobs for every registered type, up to each type's concurrency limit
+ * @returns {Promise<void>}
+ */
+export async function processJobs() {
+  if (!workerId) {
+    return;
+  }
+  if (claiming) {
+    // A claim pass is already running, make sure it runs again once finished
+    claimRequested = true;
+    return;
+  }
+
+  claiming = true;
+  try {
+    do {
+      claimRequested = false;
+      for (const jobType of handlers.keys()) {
+        while (countActiveJobs(jobType) < getJobConcurrencyLimit(jobType)) {
+          const job = await claimNextJob(jobType, workerId, jobQueueConfig.leaseMs);
+          if (!job) {
+            break;
+          }
+          runJob(job);
+        }
+      }
+    } while (claimRequested);
+  } catch (error) {
+    logger.error('Failed to claim jobs:', error.message);
+  } finally {
+    claiming = false;
+  }
+}
+
+/**
+ * Notify users of jobs that were failed during recovery
+ * @param {Array} jobs - Recovered job records
+ * @returns {Promise<void>}
+ */
+async function handleRecoveredJobs(jobs) {
+  for (const job of jobs) {
+    if (job.status === 'failed') {
+      transientInputs.delete(job.id);
+      await notifyJobFailed(job, resolveJobInteraction(job, {}));
+    }
+  }
+}
+
+/**
+ * Drop the in-memory inputs of jobs this process will not run
+ * Once another process claims a job, or the job is finished or gone, nothing here needs its
+ * interaction and buffer anymore
+ * @returns {Promise<void>}
+ */
+async function evictTransientInputs() {
+  for (const jobId of transientInputs.keys()) {
+    if (activeJobs.has(jobId)) {
+      continue;
+    }
+    const job = await getJob(jobId);
+    if (!job || job.status !== 'pending') {
+      transientInputs.delete(jobId);
+    }
+  }
+}
+
+/**
+ * Serialize an attachment for storage in a job payload
+ * @param {Attachment|Object|null} attachment - Discord attachment or pseudo-attachment
+ * @returns {Object|null} Plain attachment object
+ */
+export function serializeAttachment(attachment) {
+  if (!attachment) {
+    return null;
+  }
+  return {
+    url: attachment.url || null,
+    name: attachment.name || null,
+    size: attachment.size || null,
+    contentType: attachment.contentType || null,
+  };
+}
+
+/**
+ * Enqueue a job
+ * If the job can't be persisted, it runs inline so the request isn't lost
+ * @param {string} jobType - Job type
+ * @param {Object} payload - JSON-serializable job payload
+ * @param {Object} [options] - Enqueue options
+ * @param {Interaction} [options.interaction] - Discord interaction to reply to
+ * @param {Buffer} [options.buffer] - Pre-downloaded input buffer (kept in memory only)
+ * @returns {Promise<Object|null>} Inserted job record, or null if the job ran inline
+ */
+export async function enqueueJob(jobType, payload, options = {}) {
+  const { interaction = null, buffer = null } = options;
+
+  const fullPayload = { ...payload };
+  if (interaction) {
+    fullPayload.interaction = serializeInteraction(interaction);
+  }
+
+  let job;
+  try {
+    job = await insertJob({
+      jobType,
+      payload: fullPayload,
+      userId: interaction?.user?.id || null,
+      maxAttempts: jobQueueConfig.maxAttempts,
+    });
+  } catch (error) {
+    logger.error(`Failed to persist ${jobType} job, running it inline:`, error.message);
+    const handler = handlers.get(jobType);
+    if (!handler) {
+      throw error;
+    }
+    await handler(
+      { id: null, job_type: jobType, payload: fullPayload, attempts: 1, max_attempts: 1 },
+      { client: discordClient || interaction?.client || null, interaction, buffer, resumed: false }
+    );
+    return null;
+  }
+
+  // Only keep in-memory inputs when this process claims jobs, otherwise a worker process
+  // runs the job from its payload and nothing would ever clear them
+  if (workerId && (interaction || buffer)) {
+    transientInputs.set(job.id, { interaction, buffer });
+  }
+
+  logger.info(`Enqueued ${jobType} job ${job.id} for user ${job.user_id || 'unknown'}`);
+  processJobs();
+  return job;
+}
+
+/**
+ * Start claiming jobs in this process
+ * With a stable JOB_WORKER_ID, jobs left running by a previous run of this worker are returned to
+ * the queue and resumed
+ * @param {Client|null} client - Discord client used to relay results
+ * @param {Object} [options] - Start options
+ * @param {string} [options.role='bot'] - Process role used for the default worker ID
+ * @returns {Promise<void>}
+ */
+export async function startJobQueue(client, options = {}) {
+  const { role = 'bot' } = options;
+
+  if (workerId) {
+    logger.debug('Job queue already started');
+    return;
+  }
+
+  discordClient = client;
+  workerId = resolveWorkerId(role);
+
+  try {
+    await handleRecoveredJobs(await releaseWorkerJobs(workerId));
+    await handleRecoveredJobs(await requeueExpiredJobs());
+  } catch (error) {
+    logger.error('Failed to recover interrupted jobs:', error.message);
+  }
+
+  pollIntervalId = setInterval(() => {
+    processJobs();
+  }, jobQueueConfig.pollIntervalMs);
+
+  recoveryIntervalId = setInterval(async () => {
+    try {
+      await handleRecoveredJobs(await requeueExpiredJobs());
+      await evictTransientInputs();
+    } catch (error) {
+      logger.error('Error recovering expired jobs:', error.message);
+    }
+  }, jobQueueConfig.leaseMs);
+
+  const limits = [...handlers.keys()]
+    .map(jobType => `${jobType}=${getJobConcurrencyLimit(jobType)}`)
+    .join(', ');
+  logger.info(`Job queue started (worker: ${workerId}, limits: ${limits || 'none'})`);
+
+  await processJobs();
+}
+
+/**
+ * Stop claiming new jobs (running jobs are left to finish or be recovered by lease expiry)
+ */
+export function stopJobQueue() {
+  if (pollIntervalId) {
+    clearInterval(pollIntervalId);
+    pollIntervalId = null;
+  }
+  if (recoveryIntervalId) {
+    clearInterval(recoveryIntervalId);
+    recoveryIntervalId = null;
+  }
+  // Running jobs already hold their inputs, pending ones are run from their payload elsewhere
+  transientInputs.clear();
+  workerId = null;
+  logger.info('Job queue stopped');
+}
+
+/**
+ * Wait for jobs running in this process to finish
+ * @param {number} timeoutMs - Maximum time to wait in milliseconds
+ * @returns {Promise<boolean>} True if all jobs finished, false if the timeout was reached
+ */
+export async function waitForActiveJobs(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (activeJobs.size > 0) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return true;
+}
+
+/**
+ * Get job queue statistics for this process
+ * @returns {Object} Queue statistics
+ */
+export function getJobQueueStats() {
+  const types = {};
+  for (const jobType of handlers.keys()) {
+    types[jobType] = {
+      active: countActiveJobs(jobType),
+      limit: getJobConcurrencyLimit(jobType),
+    };
+  }
+  return {
+    workerId,
+    running: workerId !== null,
+    activeJobs: activeJobs.size,
+    types,
+  };
+}
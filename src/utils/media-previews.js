@@ -0,0 +1,226 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { botConfig } from './config.js';
+import { getRemoteStorageDriver } from './storage-driver.js';
+import { getVideoMetadata } from './video-processor/metadata.js';
+import { checkFFmpegInstalled, sanitizeFFmpegStderr } from './video-processor/utils.js';
+import { getMediaPreviewsBatch } from './database.js';
+
+const logger = createLogger('media-previews');
+
+// Poster frames are JPEGs this wide, small enough for a grid of dozens
+export const THUMBNAIL_WIDTH = 320;
+
+// Preview clips are short silent MP4 loops from the start of a GIF or video
+export const PREVIEW_WIDTH = 240;
+export const PREVIEW_DURATION = 3;
+const PREVIEW_FPS = 12;
+
+// Served from local storage by the webui when the original is not in remote storage
+const LOCAL_PREVIEW_URL_PREFIX = '/api/media/';
+
+// Whether ffmpeg is available, checked once
+let ffmpegAvailable = null;
+
+/**
+ * Get the storage key of the poster frame of a file
+ * @param {string} hash - Storage hash of the file
+ * @returns {string} Key like 'thumbnails/abc123.jpg'
+ */
+export function getThumbnailKey(hash) {
+  return `thumbnails/${hash.replace(/[^a-f0-9]/gi, '')}.jpg`;
+}
+
+/**
+ * Get the storage key of the preview clip of a file
+ * @param {string} hash - Storage hash of the file
+ * @returns {string} Key like 'previews/abc123.mp4'
+ */
+export function getPreviewKey(hash) {
+  return `previews/${hash.replace(/[^a-f0-9]/gi, '')}.mp4`;
+}
+
+/**
+ * Check whether a key names a poster frame or preview clip
+ * Keys come from URLs on the local preview route, so nothing else may be read with them
+ * @param {string} key - Storage key
+ * @returns {boolean} True for keys made by getThumbnailKey or getPreviewKey
+ */
+export function isPreviewKey(key) {
+  return /^(thumbnails\/[a-f0-9]+\.jpg|previews\/[a-f0-9]+\.mp4)$/i.test(key);
+}
+
+/**
+ * Get the URL of a poster frame or preview clip
+ * @param {string} storage - Where the preview is kept ('local' or the name of a remote driver)
+ * @param {string|null} key - Storage key
+ * @param {Object|null} [remote] - Remote storage driver (default: the configured one)
+ * @returns {string|null} Public URL, webui URL for local previews, or null without a key or
+ *   when remote storage is no longer configured
+ */
+export function getMediaPreviewUrl(storage, key, remote = getRemoteStorageDriver()) {
+  if (!key) {
+    return null;
+  }
+  if (storage === 'local') {
+    return `${LOCAL_PREVIEW_URL_PREFIX}${key}`;
+  }
+  return remote ? remote.publicUrl(key) : null;
+}
+
+/**
+ * Add thumbnail_url and preview_url to media rows that have a file_hash
+ * Files without previews (or a failed lookup) get null, so callers can fall back to file_url
+ * @param {Array<Object>} rows - Media rows
+ * @returns {Promise<Array<Object>>} Rows with preview URLs
+ */
+export async function attachPreviewUrls(rows) {
+  let previews = new Map();
+  try {
+    previews = await getMediaPreviewsBatch(rows.map(row => row.file_hash));
+  } catch (error) {
+    logger.warn(`Failed to look up media previews: ${error.message}`);
+  }
+
+  return rows.map(row => {
+    const preview = previews.get(row.file_hash);
+    return {
+      ...row,
+      thumbnail_url: preview ? getMediaPreviewUrl(preview.storage, preview.thumbnail_key) : null,
+      preview_url: preview ? getMediaPreviewUrl(preview.storage, preview.preview_key) : null,
+    };
+  });
+}
+
+/**
+ * Run an ffmpeg command to a file and read the result
+ * @param {Object} command - fluent-ffmpeg command with its output options set
+ * @param {string} outputPath - Temporary output file
+ * @returns {Promise<Buffer>} Output file contents
+ */
+function renderToBuffer(command, outputPath) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', async () => {
+        try {
+          resolve(await fs.readFile(outputPath));
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', (error, _stdout, stderr) => {
+        reject(new Error(`${error.message} ${sanitizeFFmpegStderr(stderr, 500)}`));
+      })
+      .save(outputPath);
+  });
+}
+
+/**
+ * Render the poster frame of a file
+ * @param {string} inputPath - Media file
+ * @param {number} time - Position in seconds
+ * @param {string} outputPath - Temporary output file
+ * @returns {Promise<Buffer>} JPEG
+ */
+function renderThumbnail(inputPath, time, outputPath) {
+  const command = ffmpeg(inputPath);
+  if (time > 0) {
+    command.seekInput(time.toFixed(3));
+  }
+  command.outputOptions([
+    '-frames:v',
+    '1',
+    '-vf',
+    `scale='min(${THUMBNAIL_WIDTH},iw)':-2`,
+    '-q:v',
+    '5',
+  ]);
+  return renderToBuffer(command, outputPath);
+}
+
+/**
+ * Render the preview clip of a GIF or video
+ * @param {string} inputPath - Media file
+ * @param {string} outputPath - Temporary output file
+ * @returns {Promise<Buffer>} MP4
+ */
+function renderPreviewClip(inputPath, outputPath) {
+  const command = ffmpeg(inputPath).outputOptions([
+    '-t',
+    String(PREVIEW_DURATION),
+    '-an',
+    '-vf',
+    `fps=${PREVIEW_FPS},scale='min(${PREVIEW_WIDTH},iw)':-2`,
+    '-c:v',
+    'libx264',
+    '-preset',
+    'veryfast',
+    '-crf',
+    '32',
+    '-pix_fmt',
+    'yuv420p',
+    '-movflags',
+    '+faststart',
+  ]);
+  return renderToBuffer(command, outputPath);
+}
+
+/**
+ * Render the poster frame and, for GIFs and videos, the preview clip of a buffer
+ * Fails soft: media that can't be rendered simply has no previews
+ * @param {Buffer} buffer - Media file contents
+ * @param {string} extension - File extension (e.g. '.gif'), used for the temp file
+ * @param {string} fileType - 'gif', 'video' or 'image'
+ * @returns {Promise<{thumbnail: Buffer, preview: Buffer|null}|null>} Rendered previews or null
+ */
+export async function renderMediaPreviews(buffer, extension, fileType) {
+  if (!buffer || buffer.length === 0 || !botConfig.mediaPreviewsEnabled) {
+    return null;
+  }
+
+  if (ffmpegAvailable === null) {
+    ffmpegAvailable = await checkFFmpegInstalled();
+    if (!ffmpegAvailable) {
+      logger.warn('FFmpeg is not installed, media previews are disabled');
+    }
+  }
+  if (!ffmpegAvailable) {
+    return null;
+  }
+
+  const tempDir = path.join(process.cwd(), 'temp');
+  const id = crypto.randomUUID();
+  const safeExt = (extension || '').replace(/[^a-zA-Z0-9.]/g, '');
+  const inputPath = path.join(tempDir, `preview_${id}${safeExt}`);
+  const thumbnailPath = path.join(tempDir, `preview_${id}.jpg`);
+  const clipPath = path.join(tempDir, `preview_${id}.mp4`);
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+    await fs.writeFile(inputPath, buffer);
+
+    if (fileType === 'image') {
+      return { thumbnail: await renderThumbnail(inputPath, 0, thumbnailPath), preview: null };
+    }
+
+    // A frame a little way in is more telling than the first, which is often black
+    const metadata = await getVideoMetadata(inputPath);
+    const duration = parseFloat(metadata.format?.duration);
+    const time = Number.isFinite(duration) && duration > 0 ? Math.min(duration * 0.1, 1) : 0;
+
+    return {
+      thumbnail: await renderThumbnail(inputPath, time, thumbnailPath),
+      preview: await renderPreviewClip(inputPath, clipPath),
+    };
+  } catch (error) {
+    logger.debug(`Failed to render media previews: ${error.message}`);
+    return null;
+  } finally {
+    await Promise.all(
+      [inputPath, thumbnailPath, clipPath].map(file => fs.rm(file, { force: true }))
+    );
+  }
+}
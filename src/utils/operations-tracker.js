@@ -157,6 +157,15 @@ function getWebuiUrl() {
   return process.env.WEBUI_URL || process.env.WEBUI_SERVER_URL || `http://localhost:${port}`;
 }
 
+// Headers for requests to the webui server, including the shared token when one is configured
+function getWebuiHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.WEBUI_INTERNAL_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.WEBUI_INTERNAL_TOKEN}`;
+  }
+  return headers;
+}
+
 /**
  * Set the broadcast callback for websocket updates
  * @param {Function} callback - Function to call when operations change
@@ -215,7 +224,7 @@ async function broadcastUpdate(operation) {
     try {
       await axios.post(`${getWebuiUrl()}/api/operations`, operation, {
         timeout: 1000,
-        headers: { 'Content-Type': 'application/json' },
+        headers: getWebuiHeaders(),
       });
     } catch (error) {
       // Silently fail if webui is not available (it's optional)
@@ -665,7 +674,7 @@ async function updateUserMetricsForOperation(operation) {
           },
           {
             timeout: 1000,
-            headers: { 'Content-Type': 'application/json' },
+            headers: getWebuiHeaders(),
           }
         );
       } catch (error) {
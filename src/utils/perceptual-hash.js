@@ -0,0 +1,418 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { botConfig } from './config.js';
+import { getVideoMetadata } from './video-processor/metadata.js';
+import { checkFFmpegInstalled, sanitizeFFmpegStderr } from './video-processor/utils.js';
+import {
+  upsertMediaFingerprint,
+  findMediaFingerprintsBySource,
+  getRecentMediaFingerprints,
+} from './database.js';
+
+const logger = createLogger('perceptual-hash');
+
+// Frames sampled evenly across a clip; still images have a single frame
+export const PHASH_FRAME_COUNT = 4;
+
+// dHash compares each pixel to its right neighbour, so a frame is scaled to 9x8 for 8x8 = 64 bits
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+const FRAME_HASH_LENGTH = 16; // 64 bits as hex
+const BAND_LENGTH = 4; // 16-bit bands used as index keys
+
+// Whether ffmpeg is available, checked once
+let ffmpegAvailable = null;
+
+/**
+ * Compute the 64-bit difference hash of a 9x8 grayscale frame
+ * @param {Uint8Array} pixels - 72 grayscale pixels, row by row
+ * @returns {string} 16 character hex hash
+ */
+export function computeDHash(pixels) {
+  if (!pixels || pixels.length < DHASH_WIDTH * DHASH_HEIGHT) {
+    throw new Error(`dHash needs ${DHASH_WIDTH * DHASH_HEIGHT} pixels`);
+  }
+
+  const bytes = Buffer.alloc(DHASH_HEIGHT);
+  for (let row = 0; row < DHASH_HEIGHT; row++) {
+    let byte = 0;
+    for (let col = 0; col < DHASH_WIDTH - 1; col++) {
+      const left = pixels[row * DHASH_WIDTH + col];
+      const right = pixels[row * DHASH_WIDTH + col + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    bytes[row] = byte;
+  }
+  return bytes.toString('hex');
+}
+
+/**
+ * Count the differing bits between two hex hashes of the same length
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance
+ */
+export function hammingDistance(a, b) {
+  if (a.length !== b.length) {
+    throw new Error('Cannot compare hashes of different lengths');
+  }
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Split a perceptual hash into its per-frame hashes
+ * @param {string} phash - Concatenated frame hashes
+ * @returns {Array<string>} Frame hashes
+ */
+function splitFrames(phash) {
+  const frames = [];
+  for (let i = 0; i + FRAME_HASH_LENGTH <= phash.length; i += FRAME_HASH_LENGTH) {
+    frames.push(phash.slice(i, i + FRAME_HASH_LENGTH));
+  }
+  return frames;
+}
+
+/**
+ * Average number of differing bits per frame between two perceptual hashes
+ * @param {string} a - Perceptual hash
+ * @param {string} b - Perceptual hash
+ * @returns {number} Average distance (0-64), or Infinity if the frame counts differ
+ */
+export function perceptualDistance(a, b) {
+  if (!a || !b || a.length !== b.length || a.length < FRAME_HASH_LENGTH) {
+    return Infinity;
+  }
+
+  const framesA = splitFrames(a);
+  const framesB = splitFrames(b);
+  const total = framesA.reduce((sum, frame, i) => sum + hammingDistance(frame, framesB[i]), 0);
+  return total / framesA.length;
+}
+
+/**
+ * Get the index keys of a perceptual hash: every 16-bit band of every frame
+ * Two frames within 3 bits of each other always share a band, so near duplicates share a key
+ * @param {string} phash - Perceptual hash
+ * @returns {Array<string>} Keys like "0.2:9f3a" (frame.band:value)
+ */
+export function getPhashBands(phash) {
+  return splitFrames(phash).flatMap((frame, frameIndex) =>
+    Array.from(
+      { length: FRAME_HASH_LENGTH / BAND_LENGTH },
+      (_, band) =>
+        `${frameIndex}.${band}:${frame.slice(band * BAND_LENGTH, (band + 1) * BAND_LENGTH)}`
+    )
+  );
+}
+
+/**
+ * Check whether two durations belong to the same clip
+ * Re-encodes keep the duration to within half a second or 5%
+ * @param {number|null} a - Duration in seconds (null for still images)
+ * @param {number|null} b - Duration in seconds (null for still images)
+ * @returns {boolean} True if the durations match
+ */
+export function isSameDuration(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  return Math.abs(a - b) <= Math.max(0.5, Math.max(a, b) * 0.05);
+}
+
+/**
+ * Check whether two fingerprints are near duplicates
+ * @param {{phash: string, duration: number|null}} a - Fingerprint
+ * @param {{phash: string, duration: number|null}} b - Fingerprint
+ * @param {number} [threshold] - Maximum average differing bits per frame
+ * @returns {boolean} True if the media looks the same
+ */
+export function isNearDuplicate(a, b, threshold = botConfig.perceptualHashThreshold) {
+  return (
+    isSameDuration(a.duration, b.duration) && perceptualDistance(a.phash, b.phash) <= threshold
+  );
+}
+
+/**
+ * Group stored fingerprints into clusters of near duplicates
+ * Only fingerprints sharing an index band are compared
+ * @param {Array<Object>} rows - Fingerprint rows with phash and duration
+ * @param {number} [threshold] - Maximum average differing bits per frame
+ * @returns {Array<Array<Object>>} Clusters with at least two rows, largest first
+ */
+export function clusterNearDuplicates(rows, threshold = botConfig.perceptualHashThreshold) {
+  const parents = rows.map((_, i) => i);
+  const find = i => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  };
+
+  const buckets = new Map();
+  rows.forEach((row, i) => {
+    for (const band of getPhashBands(row.phash)) {
+      if (!buckets.has(band)) {
+        buckets.set(band, []);
+      }
+      buckets.get(band).push(i);
+    }
+  });
+
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const key = `${members[x]}:${members[y]}`;
+        if (compared.has(key)) {
+          continue;
+        }
+        compared.add(key);
+        if (isNearDuplicate(rows[members[x]], rows[members[y]], threshold)) {
+          parents[find(members[y])] = find(members[x]);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  rows.forEach((row, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(row);
+  });
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.length > 1)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Extract one frame as 9x8 grayscale pixels
+ * @param {string} inputPath - Media file
+ * @param {number} time - Position in seconds
+ * @param {string} rawPath - Temporary output file
+ * @returns {Promise<Buffer>} Raw pixels
+ */
+function extractFramePixels(inputPath, time, rawPath) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    if (time > 0) {
+      command.seekInput(time.toFixed(3));
+    }
+    command
+      .outputOptions([
+        '-frames:v',
+        '1',
+        '-vf',
+        `scale=${DHASH_WIDTH}:${DHASH_HEIGHT}:flags=area,format=gray`,
+        '-f',
+        'rawvideo',
+      ])
+      .on('end', async () => {
+        try {
+          resolve(await fs.readFile(rawPath));
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', (error, _stdout, stderr) => {
+        reject(new Error(`${error.message} ${sanitizeFFmpegStderr(stderr, 500)}`));
+      })
+      .save(rawPath);
+  });
+}
+
+/**
+ * Compute the perceptual hash of a GIF, video or image
+ * @param {string} inputPath - Media file
+ * @returns {Promise<{phash: string, duration: number|null}|null>} Fingerprint, or null if no frame could be read
+ */
+export async function computePerceptualHash(inputPath) {
+  const metadata = await getVideoMetadata(inputPath);
+  const duration = parseFloat(metadata.format?.duration);
+  const clipDuration = Number.isFinite(duration) && duration > 0 ? duration : null;
+
+  // Sample the middle of evenly sized segments so black first and last frames are skipped
+  const times = clipDuration
+    ? Array.from(
+        { length: PHASH_FRAME_COUNT },
+        (_, i) => ((i + 0.5) * clipDuration) / PHASH_FRAME_COUNT
+      )
+    : [0];
+
+  const rawPath = `${inputPath}.${crypto.randomUUID()}.gray`;
+  const frames = [];
+  try {
+    for (const time of times) {
+      const pixels = await extractFramePixels(inputPath, time, rawPath);
+      if (pixels.length >= DHASH_WIDTH * DHASH_HEIGHT) {
+        frames.push(computeDHash(pixels));
+      }
+    }
+  } finally {
+    await fs.rm(rawPath, { force: true });
+  }
+
+  // A partial fingerprint would never line up with a complete one
+  if (frames.length !== times.length) {
+    return null;
+  }
+  // Flat frames (solid colors, fades) all hash to zero and would match each other
+  if (frames.every(frame => /^0+$/.test(frame))) {
+    return null;
+  }
+  return { phash: frames.join(''), duration: clipDuration };
+}
+
+/**
+ * Compute the perceptual hash of a buffer
+ * Fails soft: media that can't be hashed is simply not indexed
+ * @param {Buffer} buffer - Media file contents
+ * @param {string} extension - File extension (e.g. '.gif'), used for the temp file
+ * @returns {Promise<{phash: string, duration: number|null}|null>} Fingerprint or null
+ */
+export async function fingerprintBuffer(buffer, extension) {
+  if (!buffer || buffer.length === 0 || !botConfig.perceptualHashEnabled) {
+    return null;
+  }
+
+  if (ffmpegAvailable === null) {
+    ffmpegAvailable = await checkFFmpegInstalled();
+    if (!ffmpegAvailable) {
+      logger.warn('FFmpeg is not installed, perceptual hashing is disabled');
+    }
+  }
+  if (!ffmpegAvailable) {
+    return null;
+  }
+
+  const tempDir = path.join(process.cwd(), 'temp');
+  const safeExt = (extension || '').replace(/[^a-zA-Z0-9.]/g, '');
+  const tempPath = path.join(tempDir, `phash_${crypto.randomUUID()}${safeExt}`);
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+    await fs.writeFile(tempPath, buffer);
+    return await computePerceptualHash(tempPath);
+  } catch (error) {
+    logger.debug(`Failed to compute perceptual hash: ${error.message}`);
+    return null;
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+}
+
+/**
+ * Build the key describing how an output was produced from its source
+ * Outputs are only reused for a near-identical source when this key matches exactly
+ * @param {Array<string|null>} parts - Output option parts (nulls are skipped)
+ * @returns {string} Variant key ('default' when no options change the output)
+ */
+export function buildVariantKey(parts) {
+  const present = parts.filter(Boolean);
+  return present.length > 0 ? present.join('|') : 'default';
+}
+
+/**
+ * Index a stored file by its perceptual hash
+ * Never throws: indexing is best effort and must not fail a save
+ * @param {Buffer} buffer - Stored file contents
+ * @param {string} hash - Storage hash of the file
+ * @param {string} extension - File extension (e.g. '.gif')
+ * @param {string} fileType - 'gif', 'video' or 'image'
+ * @param {Object} [options] - Conversion details
+ * @param {{phash: string, duration: number|null}|null} [options.source] - Fingerprint of the media the file was converted from
+ * @param {string|null} [options.variantKey] - Conversion options (see buildVariantKey)
+ * @returns {Promise<void>}
+ */
+export async function recordMediaFingerprint(buffer, hash, extension, fileType, options = {}) {
+  try {
+    const fingerprint = await fingerprintBuffer(buffer, extension);
+    if (!fingerprint) {
+      return;
+    }
+
+    const source = options.source ?? null;
+    await upsertMediaFingerprint({
+      fileHash: hash,
+      fileExtension: extension,
+      fileType,
+      fileSize: buffer.length,
+      phash: fingerprint.phash,
+      bands: getPhashBands(fingerprint.phash),
+      duration: fingerprint.duration,
+      sourcePhash: source?.phash ?? null,
+      sourceBands: source ? getPhashBands(source.phash) : null,
+      sourceDuration: source?.duration ?? null,
+      variantKey: source ? (options.variantKey ?? 'default') : null,
+    });
+  } catch (error) {
+    logger.warn(`Failed to index perceptual hash for ${hash.substring(0, 8)}...: ${error.message}`);
+  }
+}
+
+/**
+ * Find a stored output that was converted from a near-identical source with the same options
+ * @param {{phash: string, duration: number|null}|null} source - Fingerprint of the media being converted
+ * @param {string} variantKey - Conversion options (see buildVariantKey)
+ * @param {string} extension - Output file extension
+ * @returns {Promise<Object|null>} Closest matching fingerprint row, or null
+ */
+export async function findReusableOutput(source, variantKey, extension) {
+  if (!source) {
+    return null;
+  }
+
+  try {
+    const candidates = await findMediaFingerprintsBySource({
+      bands: getPhashBands(source.phash),
+      variantKey,
+      fileExtension: extension,
+    });
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      const stored = { phash: candidate.source_phash, duration: candidate.source_duration };
+      const distance = perceptualDistance(source.phash, stored.phash);
+      if (distance < bestDistance && isNearDuplicate(source, stored)) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  } catch (error) {
+    logger.warn(`Failed to look up near-duplicate outputs: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find clusters of near-duplicate stored media among the most recent fingerprints
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=1000] - Number of recent fingerprints to scan
+ * @param {number} [options.threshold] - Maximum average differing bits per frame
+ * @returns {Promise<Array<Array<Object>>>} Clusters, largest first
+ */
+export async function findNearDuplicateClusters({
+  limit = 1000,
+  threshold = botConfig.perceptualHashThreshold,
+} = {}) {
+  const rows = await getRecentMediaFingerprints({ limit });
+  return clusterNearDuplicates(rows, threshold);
+}
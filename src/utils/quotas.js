@@ -0,0 +1,414 @@
+import { MessageFlags } from 'discord.js';
+import { createLogger } from './logger.js';
+import { quotaConfig } from './config.js';
+import { isAdmin } from './rate-limit.js';
+import {
+  getQuotasForScopes,
+  getQuotaUsageSince,
+  insertQuotaUsage,
+  insertQuotaUsageIfAllowed,
+  countActiveUserJobs,
+} from './database.js';
+import { createFailedOperation } from './operations-tracker.js';
+import { safeInteractionReply, safeInteractionEditReply } from './interaction-helpers.js';
+
+const logger = createLogger('quotas');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Quota table columns mapped to their camelCase limit names
+const LIMIT_FIELDS = {
+  operations_per_hour: 'operationsPerHour',
+  operations_per_day: 'operationsPerDay',
+  bytes_per_day: 'bytesPerDay',
+  max_concurrent_jobs: 'maxConcurrentJobs',
+};
+
+/**
+ * Pick the most generous of several limits (0 = unlimited)
+ * @param {Array<number>} values - Limit values
+ * @returns {number} Most generous limit
+ */
+function mostGenerousLimit(values) {
+  if (values.includes(0)) {
+    return 0;
+  }
+  return Math.max(...values);
+}
+
+/**
+ * Resolve the effective limits for a user from quota overrides
+ * Precedence: user override, then the most generous of the member's role overrides, then the
+ * guild override, then the configured defaults. Null fields inherit from the next level.
+ * @param {Array<Object>} overrides - Quota records matching the user, their roles, and guild
+ * @param {Object} [defaults=quotaConfig] - Default limits
+ * @returns {Object} Effective limits with the scope each limit came from
+ */
+export function resolveQuotaLimits(overrides, defaults = quotaConfig) {
+  const limits = {};
+  const sources = {};
+
+  for (const [field, key] of Object.entries(LIMIT_FIELDS)) {
+    const withValue = overrides.filter(
+      quota => quota[field] !== null && quota[field] !== undefined
+    );
+    const userQuota = withValue.find(quota => quota.scope_type === 'user');
+    const roleValues = withValue
+      .filter(quota => quota.scope_type === 'role')
+      .map(quota => quota[field]);
+    const guildQuota = withValue.find(quota => quota.scope_type === 'guild');
+
+    if (userQuota) {
+      limits[key] = userQuota[field];
+      sources[key] = 'user';
+    } else if (roleValues.length > 0) {
+      limits[key] = mostGenerousLimit(roleValues);
+      sources[key] = 'role';
+    } else if (guildQuota) {
+      limits[key] = guildQuota[field];
+      sources[key] = 'guild';
+    } else {
+      limits[key] = defaults[key] || 0;
+      sources[key] = 'default';
+    }
+  }
+
+  return { ...limits, sources };
+}
+
+/**
+ * Find when enough usage leaves a rolling window for a request to fit
+ * @param {Array<Object>} rows - Usage records in the window, oldest first
+ * @param {string} field - Usage field ('operations' or 'bytes')
+ * @param {number} used - Current usage in the window
+ * @param {number} needed - Amount the request needs
+ * @param {number} limit - Window limit
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {number|null} Timestamp when the request fits, or null if it never will
+ */
+function findWindowReset(rows, field, used, needed, limit, windowMs) {
+  if (needed > limit) {
+    return null;
+  }
+  let remaining = used;
+  for (const row of rows) {
+    remaining -= row[field];
+    if (remaining + needed <= limit) {
+      return row.created_at + windowMs;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check usage against effective limits
+ * @param {Object} limits - Effective limits from resolveQuotaLimits
+ * @param {Array<Object>} usage - Usage records from the last day, oldest first
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.activeJobs=0] - Unfinished jobs for the user
+ * @param {number} [options.bytes=0] - Bytes the request will process, if known
+ * @param {number} [options.now=Date.now()] - Current timestamp
+ * @returns {Object} { allowed, reason, limit, resetsAt }
+ */
+export function evaluateQuota(limits, usage, options = {}) {
+  const { activeJobs = 0, bytes = 0, now = Date.now() } = options;
+
+  if (limits.maxConcurrentJobs > 0 && activeJobs >= limits.maxConcurrentJobs) {
+    return {
+      allowed: false,
+      reason: 'max_concurrent_jobs',
+      limit: limits.maxConcurrentJobs,
+      resetsAt: null,
+    };
+  }
+
+  const hourRows = usage.filter(row => row.created_at > now - HOUR);
+  const dayRows = usage.filter(row => row.created_at > now - DAY);
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+
+  const checks = [
+    {
+      reason: 'operations_per_hour',
+      limit: limits.operationsPerHour,
+      rows: hourRows,
+      field: 'operations',
+      needed: 1,
+      windowMs: HOUR,
+    },
+    {
+      reason: 'operations_per_day',
+      limit: limits.operationsPerDay,
+      rows: dayRows,
+      field: 'operations',
+      needed: 1,
+      windowMs: DAY,
+    },
+    {
+      reason: 'bytes_per_day',
+      limit: limits.bytesPerDay,
+      rows: dayRows,
+      field: 'bytes',
+      needed: bytes,
+      windowMs: DAY,
+    },
+  ];
+
+  for (const { reason, limit, rows, field, needed, windowMs } of checks) {
+    if (!limit || limit <= 0) {
+      continue;
+    }
+    const used = sum(rows, field);
+    // A request of unknown size is only blocked once the byte quota is used up
+    const fits = needed > 0 ? used + needed <= limit : used < limit;
+    if (!fits) {
+      return {
+        allowed: false,
+        reason,
+        limit,
+        resetsAt: findWindowReset(rows, field, used, Math.max(needed, 1), limit, windowMs),
+      };
+    }
+  }
+
+  return { allowed: true, reason: null, limit: null, resetsAt: null };
+}
+
+/**
+ * Format the time until a timestamp for user-facing messages
+ * @param {number} timestamp - Future timestamp in milliseconds
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {string} Human-readable duration (e.g., "12 minutes", "3 hours")
+ */
+export function formatTimeUntil(timestamp, now = Date.now()) {
+  const seconds = Math.max(0, Math.ceil((timestamp - now) / 1000));
+  if (seconds < 60) {
+    return seconds === 1 ? '1 second' : `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) {
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const remainingMinutes = minutes % 60;
+  const hoursText = hours === 1 ? '1 hour' : `${hours} hours`;
+  return remainingMinutes > 0 ? `${hoursText} ${remainingMinutes} minutes` : hoursText;
+}
+
+/**
+ * Build the user-facing message for an exceeded quota
+ * @param {Object} result - Result from evaluateQuota
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {string} Message explaining the quota and when it resets
+ */
+export function getQuotaExceededMessage(result, now = Date.now()) {
+  const resets = result.resetsAt
+    ? ` quota resets in ${formatTimeUntil(result.resetsAt, now)}.`
+    : '';
+
+  switch (result.reason) {
+    case 'max_concurrent_jobs':
+      return `you already have ${result.limit} request${result.limit === 1 ? '' : 's'} in progress. please wait until ${result.limit === 1 ? 'it finishes' : 'one of them finishes'}.`;
+    case 'operations_per_hour':
+      return `you have reached your limit of ${result.limit} requests per hour.${resets}`;
+    case 'operations_per_day':
+      return `you have reached your limit of ${result.limit} requests per day.${resets}`;
+    case 'bytes_per_day':
+      return result.resetsAt
+        ? `you have reached your daily limit of ${formatQuotaBytes(result.limit)} processed.${resets}`
+        : `this file is larger than your daily limit of ${formatQuotaBytes(result.limit)}.`;
+    default:
+      return 'you have reached your quota. please try again later.';
+  }
+}
+
+/**
+ * Format a byte limit for user-facing messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size (e.g., "500.00 MB")
+ */
+function formatQuotaBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Get the quota scopes (user, guild, roles) for an interaction
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {{userId: string, guildId: string|null, roleIds: Array<string>}} Quota scopes
+ */
+export function getInteractionQuotaScopes(interaction) {
+  const roles = interaction.member?.roles;
+  let roleIds = [];
+  if (Array.isArray(roles)) {
+    // Uncached members (APIInteractionGuildMember) expose role IDs directly
+    roleIds = roles;
+  } else if (roles?.cache) {
+    roleIds = [...roles.cache.keys()];
+  }
+
+  return {
+    userId: interaction.user.id,
+    guildId: interaction.guildId || null,
+    roleIds,
+  };
+}
+
+/**
+ * Get a user's effective limits and current usage
+ * @param {Object} scopes - Quota scopes from getInteractionQuotaScopes
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {Promise<Object>} { limits, usage, activeJobs, overrides }
+ */
+export async function getQuotaStatus(scopes, now = Date.now()) {
+  const overrides = await getQuotasForScopes(scopes);
+  const limits = resolveQuotaLimits(overrides);
+  const usageRows = await getQuotaUsageSince(scopes.userId, now - DAY);
+  const activeJobs = await countActiveUserJobs(scopes.userId);
+
+  const sum = (since, field) =>
+    usageRows.filter(row => row.created_at > since).reduce((total, row) => total + row[field], 0);
+
+  return {
+    limits,
+    usage: {
+      operationsLastHour: sum(now - HOUR, 'operations'),
+      operationsLastDay: sum(now - DAY, 'operations'),
+      bytesLastDay: sum(now - DAY, 'bytes'),
+    },
+    usageRows,
+    activeJobs,
+    overrides,
+  };
+}
+
+/**
+ * Check whether a user may start another operation
+ * Admins are always allowed
+ * @param {Object} scopes - Quota scopes from getInteractionQuotaScopes
+ * @param {Object} [options] - Check options
+ * @param {number} [options.bytes=0] - Bytes the request will process, if known
+ * @returns {Promise<Object>} Result from evaluateQuota
+ */
+export async function checkQuota(scopes, options = {}) {
+  const { bytes = 0 } = options;
+
+  if (isAdmin(scopes.userId)) {
+    return { allowed: true, reason: null, limit: null, resetsAt: null };
+  }
+
+  const now = Date.now();
+  const status = await getQuotaStatus(scopes, now);
+  return evaluateQuota(status.limits, status.usageRows, {
+    activeJobs: status.activeJobs,
+    bytes,
+    now,
+  });
+}
+
+/**
+ * Check whether a user may start another operation, and record its usage if they may
+ * Both happen at once, so concurrent requests can't go over a limit together. Admins are always
+ * allowed and nothing is recorded for them
+ * @param {Object} scopes - Quota scopes from getInteractionQuotaScopes
+ * @param {string} operationType - Operation type ('convert', 'optimize', or 'download')
+ * @param {Object} [options] - Check options
+ * @param {number} [options.bytes=0] - Bytes the request will process, if known
+ * @returns {Promise<Object>} Result from evaluateQuota
+ */
+export async function claimQuota(scopes, operationType, options = {}) {
+  const { bytes = 0 } = options;
+
+  if (isAdmin(scopes.userId)) {
+    return { allowed: true, reason: null, limit: null, resetsAt: null };
+  }
+
+  const limits = resolveQuotaLimits(await getQuotasForScopes(scopes));
+  const now = Date.now();
+  return insertQuotaUsageIfAllowed(
+    { userId: scopes.userId, guildId: scopes.guildId, operationType, bytes },
+    now - DAY,
+    (usage, activeJobs) => evaluateQuota(limits, usage, { activeJobs, bytes, now })
+  );
+}
+
+/**
+ * Check a user's quota before accepting a request
+ * Replies with the reset time if the quota is exceeded, otherwise records the request's usage.
+ * Quotas fail open: if they can't be checked the request is allowed
+ * @param {Interaction} interaction - Discord interaction
+ * @param {string} operationType - Operation type ('convert', 'optimize', or 'download')
+ * @param {Object} [options] - Check options
+ * @param {number} [options.bytes=0] - Bytes the request will process, if known
+ * @param {string} [options.commandSource] - Command source ('slash' or 'context-menu')
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+export async function enforceQuota(interaction, operationType, options = {}) {
+  const { bytes = 0, commandSource = null } = options;
+  const userId = interaction.user.id;
+  const username = interaction.user.tag || interaction.user.username || 'unknown';
+
+  let result;
+  try {
+    result = await claimQuota(getInteractionQuotaScopes(interaction), operationType, { bytes });
+  } catch (error) {
+    logger.error(`Failed to check quota for user ${userId}, allowing request:`, error.message);
+    return true;
+  }
+
+  if (result.allowed) {
+    return true;
+  }
+
+  logger.warn(`User ${userId} (${username}) exceeded quota: ${result.reason} (${result.limit})`);
+  const errorMessage = getQuotaExceededMessage(result);
+  createFailedOperation(operationType, userId, username, errorMessage, 'quota_exceeded', {
+    commandSource,
+    quota: { reason: result.reason, limit: result.limit, resetsAt: result.resetsAt },
+  });
+
+  if (interaction.deferred || interaction.replied) {
+    await safeInteractionEditReply(interaction, { content: errorMessage });
+  } else {
+    await safeInteractionReply(interaction, {
+      content: errorMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  return false;
+}
+
+/**
+ * Record quota usage for an accepted request
+ * Admins are exempt, like they are from the rate limit
+ * @param {Interaction} interaction - Discord interaction (or relay interaction)
+ * @param {string} operationType - Operation type ('convert', 'optimize', or 'download')
+ * @param {Object} [options] - Usage options
+ * @param {number} [options.operations=1] - Operations to count (0 to only add bytes)
+ * @param {number} [options.bytes=0] - Bytes processed
+ * @param {number|null} [options.jobId] - Queued job the usage belongs to, recorded once per job
+ * @returns {Promise<void>}
+ */
+export async function recordQuotaUsage(interaction, operationType, options = {}) {
+  const { operations = 1, bytes = 0, jobId = null } = options;
+  const userId = interaction.user.id;
+
+  if (isAdmin(userId)) {
+    return;
+  }
+
+  try {
+    await insertQuotaUsage({
+      userId,
+      guildId: interaction.guildId || null,
+      operationType,
+      operations,
+      bytes,
+      jobId,
+    });
+  } catch (error) {
+    logger.error(`Failed to record quota usage for user ${userId}:`, error.message);
+  }
+}
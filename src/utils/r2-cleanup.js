@@ -1,5 +1,4 @@
 import { createLogger } from './logger.js';
-import { deleteFromR2, fileExistsInR2 } from './r2-storage.js';
 import {
   getExpiredR2Keys,
   getTemporaryUploadsByR2Key,
@@ -13,11 +12,11 @@ const logger = createLogger('r2-cleanup');
 
 /**
  * Delete expired R2 files with reference counting and error handling
- * @param {Object} config - R2 configuration
+ * @param {Object} driver - Remote storage driver the temporary uploads were stored with
  * @param {string} logLevel - Logging level: 'minimal', 'detailed', or 'debug'
  * @returns {Promise<{deleted: number, failed: number, skipped: number, errors: Array}>} Cleanup statistics
  */
-export async function deleteExpiredR2Files(config, logLevel = 'detailed') {
+export async function deleteExpiredR2Files(driver, logLevel = 'detailed') {
   const now = Date.now();
   const stats = {
     deleted: 0,
@@ -68,7 +67,7 @@ export async function deleteExpiredR2Files(config, logLevel = 'detailed') {
         }
 
         // Check if file still exists in R2 (idempotent deletion)
-        const exists = await fileExistsInR2(r2Key, config);
+        const exists = await driver.exists(r2Key);
         if (!exists) {
           // File already deleted from R2, mark all uploads as deleted
           if (logLevel === 'detailed' || logLevel === 'debug') {
@@ -89,7 +88,7 @@ export async function deleteExpiredR2Files(config, logLevel = 'detailed') {
         }
 
         try {
-          const deleted = await deleteFromR2(r2Key, config);
+          const deleted = await driver.delete(r2Key);
           if (!deleted) {
             // File not found (already deleted)
             if (logLevel === 'detailed' || logLevel === 'debug') {
@@ -182,23 +181,23 @@ export async function deleteExpiredR2Files(config, logLevel = 'detailed') {
 
 /**
  * Start the R2 cleanup job with interval
- * @param {Object} config - R2 configuration
+ * @param {Object} driver - Remote storage driver the temporary uploads were stored with
  * @param {number} intervalMs - Cleanup interval in milliseconds
  * @param {string} logLevel - Logging level: 'minimal', 'detailed', or 'debug'
  * @returns {NodeJS.Timeout} Interval ID for stopping the job
  */
-export function startCleanupJob(config, intervalMs, logLevel = 'detailed') {
+export function startCleanupJob(driver, intervalMs, logLevel = 'detailed') {
   logger.info(`Starting R2 cleanup job (interval: ${intervalMs}ms, log level: ${logLevel})`);
 
   // Run immediately on start
-  deleteExpiredR2Files(config, logLevel).catch(error => {
+  deleteExpiredR2Files(driver, logLevel).catch(error => {
     logger.error(`Error in initial R2 cleanup run: ${error.message}`, error);
   });
 
   // Then run on interval
   const intervalId = setInterval(async () => {
     try {
-      await deleteExpiredR2Files(config, logLevel);
+      await deleteExpiredR2Files(driver, logLevel);
     } catch (error) {
       logger.error(`Error in R2 cleanup job: ${error.message}`, error);
       // Continue running even on error
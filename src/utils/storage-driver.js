@@ -0,0 +1,33 @@
+// Barrel export file - re-exports the storage drivers and the helpers to pick one
+//
+// Every driver implements the same interface, so callers don't care where files live:
+//   name                      'local', 's3' or 'r2'
+//   remote                    true for object stores (files over the Discord limit go there)
+//   urlPrefix                 what every public URL of the driver starts with
+//   put(key, buffer, opts)    store a file, resolves to its location (public URL, or file path on disk)
+//   get(key)                  read a file into a Buffer
+//   exists(key)               whether a file exists
+//   stat(key)                 {size, lastModified} of a file, or null
+//   delete(key)               delete a file, resolves to false if it was already gone
+//   list(prefix)              [{key, size, lastModified}] of the files under a prefix
+//   publicUrl(key)            permanent public URL of a file
+//   signedUrl(key, opts)      URL that stops working after opts.expiresIn seconds
+//   keyFromUrl(url)           storage key of one of its own URLs (or paths), or null
+
+// Drivers
+export { createLocalDriver, resolveStorageRoot } from './storage-driver/local.js';
+export { createS3Driver } from './storage-driver/s3.js';
+export { createR2Driver } from './storage-driver/r2.js';
+
+// Driver selection
+export {
+  createStorageDriver,
+  getStorageDriver,
+  getRemoteStorageDriver,
+  getLocalStorageDriver,
+  resolveStoredFile,
+  resetStorageDrivers,
+} from './storage-driver/factory.js';
+
+// Storage keys
+export { getStorageKey, getContentType, isValidStorageKey } from './storage-driver/keys.js';
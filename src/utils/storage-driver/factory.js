@@ -0,0 +1,120 @@
+import { botConfig, r2Config, storageConfig } from '../config.js';
+import { ConfigurationError } from '../errors.js';
+import { createLocalDriver } from './local.js';
+import { createS3Driver } from './s3.js';
+import { createR2Driver } from './r2.js';
+
+// The configured driver, created on first use
+let storageDriver = null;
+
+// Local drivers by storage path
+const localDrivers = new Map();
+
+/**
+ * Create a storage driver
+ * @param {string} name - 'local', 's3' or 'r2'
+ * @param {Object} [settings] - Driver settings (default: the environment)
+ * @param {Object} [settings.r2] - R2 configuration (see r2Config)
+ * @param {Object} [settings.s3] - S3 configuration (see storageConfig.s3)
+ * @param {string} [settings.storagePath] - Base path of local storage
+ * @param {string} [settings.cdnBaseUrl] - URL local storage is served from
+ * @returns {Object} Storage driver
+ * @throws {ConfigurationError} When the driver is unknown or its settings are incomplete
+ */
+export function createStorageDriver(name, settings = {}) {
+  const { r2 = r2Config, s3 = storageConfig.s3 } = settings;
+
+  switch (name) {
+    case 'local':
+      // botConfig validates the Discord settings on first read, so it is only read when needed
+      return createLocalDriver({
+        storagePath: settings.storagePath ?? botConfig.gifStoragePath,
+        publicBaseUrl: settings.cdnBaseUrl ?? (() => botConfig.cdnBaseUrl),
+      });
+    case 's3':
+      return createS3Driver({
+        name: 's3',
+        endpoint: s3.endpoint,
+        region: s3.region,
+        bucketName: s3.bucketName,
+        accessKeyId: s3.accessKeyId,
+        secretAccessKey: s3.secretAccessKey,
+        publicBaseUrl: s3.publicUrl,
+        forcePathStyle: s3.forcePathStyle,
+      });
+    case 'r2':
+      return createR2Driver(r2);
+    default:
+      throw new ConfigurationError(`Unknown storage driver: ${name}`, 'INVALID_STORAGE_DRIVER');
+  }
+}
+
+/**
+ * Get the configured storage driver (STORAGE_DRIVER)
+ * Files over the Discord attachment limit are stored with it
+ * @returns {Object} Storage driver
+ * @throws {ConfigurationError} When the driver settings are incomplete
+ */
+export function getStorageDriver() {
+  if (!storageDriver) {
+    storageDriver = createStorageDriver(storageConfig.driver);
+  }
+  return storageDriver;
+}
+
+/**
+ * Get the configured driver if it is an object store
+ * Small files, and large ones when the upload fails, are kept on local disk either way
+ * @returns {Object|null} Remote storage driver, or null when files are stored locally
+ */
+export function getRemoteStorageDriver() {
+  if (storageConfig.driver === 'local') {
+    return null;
+  }
+  const driver = getStorageDriver();
+  return driver.remote ? driver : null;
+}
+
+/**
+ * Get the driver for files on local disk
+ * @param {string} [storagePath] - Base storage path (default: GIF_STORAGE_PATH)
+ * @returns {Object} Local storage driver
+ */
+export function getLocalStorageDriver(storagePath = botConfig.gifStoragePath) {
+  let driver = localDrivers.get(storagePath);
+  if (!driver) {
+    driver = createStorageDriver('local', { storagePath });
+    localDrivers.set(storagePath, driver);
+  }
+  return driver;
+}
+
+/**
+ * Find the driver a stored file URL belongs to
+ * processed_urls.file_url holds a public URL for files in an object store and a file path for
+ * files on disk
+ * @param {string} url - Stored file URL or path
+ * @param {string} [storagePath] - Base storage path (default: GIF_STORAGE_PATH)
+ * @returns {{driver: Object, key: string}|null} Driver and storage key, or null for other URLs
+ *   (Discord CDN links, source URLs...)
+ */
+export function resolveStoredFile(url, storagePath = botConfig.gifStoragePath) {
+  const remote = getRemoteStorageDriver();
+  const remoteKey = remote?.keyFromUrl(url);
+  if (remoteKey) {
+    return { driver: remote, key: remoteKey };
+  }
+
+  const local = getLocalStorageDriver(storagePath);
+  const localKey = local.keyFromUrl(url);
+  return localKey ? { driver: local, key: localKey } : null;
+}
+
+/**
+ * Forget the drivers created so far, so the next call builds them from the current config
+ * Only meant for tests
+ */
+export function resetStorageDrivers() {
+  storageDriver = null;
+  localDrivers.clear();
+}
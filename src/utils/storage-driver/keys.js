@@ -0,0 +1,61 @@
+// Content types of stored files, by extension
+const CONTENT_TYPES = {
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.apng': 'image/apng',
+};
+
+/**
+ * Generate the storage key of a file from its hash and type
+ * Keys are the same for every driver, so files can move between them
+ * @param {string} hash - File hash (BLAKE3)
+ * @param {string} fileType - File type ('gif', 'video', or 'image')
+ * @param {string} extension - File extension (e.g., '.gif', '.mp4', '.png')
+ * @returns {string} Storage key (e.g., 'gifs/abc123.gif')
+ */
+export function getStorageKey(hash, fileType, extension) {
+  const safeHash = hash.replace(/[^a-f0-9]/gi, '');
+  const safeExt = (extension || '').replace(/[^a-zA-Z0-9.]/gi, '');
+  const ext = safeExt.startsWith('.') ? safeExt : `.${safeExt}`;
+
+  if (fileType === 'gif') {
+    return `gifs/${safeHash}.gif`;
+  } else if (fileType === 'video') {
+    return `videos/${safeHash}${ext}`;
+  } else if (fileType === 'image') {
+    return `images/${safeHash}${ext}`;
+  } else {
+    throw new Error(`Unknown file type: ${fileType}`);
+  }
+}
+
+/**
+ * Check that a storage key is a relative path inside the storage root
+ * @param {string} key - Storage key
+ * @returns {boolean} True if the key can be used by every driver
+ */
+export function isValidStorageKey(key) {
+  if (typeof key !== 'string' || key === '' || key.startsWith('/') || key.includes('\\')) {
+    return false;
+  }
+  return key.split('/').every(part => part !== '' && part !== '.' && part !== '..');
+}
+
+/**
+ * Get the content type of a stored file from its key
+ * @param {string} key - Storage key
+ * @returns {string} MIME type (application/octet-stream for unknown extensions)
+ */
+export function getContentType(key) {
+  const dot = key.lastIndexOf('.');
+  const ext = dot === -1 ? '' : key.slice(dot).toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
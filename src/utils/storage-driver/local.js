@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../logger.js';
+import { isValidStorageKey } from './keys.js';
+
+/**
+ * Resolve the storage root from GIF_STORAGE_PATH
+ * The path may point at the gifs/ folder itself (e.g. ./data-prod/gifs); videos/, images/ and
+ * previews always sit next to gifs/, so the root is its parent then
+ * @param {string} storagePath - Base storage path
+ * @returns {string} Absolute storage root
+ */
+export function resolveStorageRoot(storagePath) {
+  if (!storagePath || typeof storagePath !== 'string' || storagePath.trim() === '') {
+    throw new Error('Storage path must be a non-empty string');
+  }
+
+  const basePath = path.resolve(process.cwd(), storagePath.trim());
+  return path.basename(basePath) === 'gifs' ? path.dirname(basePath) : basePath;
+}
+
+/**
+ * Create a storage driver for files on local disk
+ * Files are served by whatever serves CDN_BASE_URL (nginx, a Cloudflare tunnel...)
+ * @param {Object} options - Local storage settings
+ * @param {string} options.storagePath - Base storage path (GIF_STORAGE_PATH)
+ * @param {string|Function} [options.publicBaseUrl] - URL the storage root is served from, or a
+ *   function returning it on first use; CDN_BASE_URL ends in /gifs, which is dropped
+ * @returns {Object} Storage driver (see storage-driver.js)
+ */
+export function createLocalDriver({ storagePath, publicBaseUrl = '' }) {
+  const logger = createLogger('storage');
+  const root = resolveStorageRoot(storagePath);
+
+  // Only URLs need the base URL, so reading and writing files works without it
+  let baseUrl = null;
+  const getBaseUrl = () => {
+    if (baseUrl === null) {
+      const url = typeof publicBaseUrl === 'function' ? publicBaseUrl() : publicBaseUrl;
+      baseUrl = (url || '').replace(/\/+$/, '').replace(/\/gifs$/, '');
+    }
+    return baseUrl;
+  };
+
+  const filePath = key => {
+    if (!isValidStorageKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(root, ...key.split('/'));
+  };
+
+  /**
+   * Walk a directory for list()
+   * @param {string} dir - Directory to walk
+   * @param {Array<Object>} objects - Collected objects
+   */
+  const walk = async (dir, objects) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath, objects);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(entryPath);
+        objects.push({
+          key: path.relative(root, entryPath).split(path.sep).join('/'),
+          size: stats.size,
+          lastModified: stats.mtime,
+        });
+      }
+    }
+  };
+
+  const driver = {
+    name: 'local',
+    remote: false,
+    root,
+    get urlPrefix() {
+      return getBaseUrl() ? `${getBaseUrl()}/` : null;
+    },
+
+    /**
+     * Get the file path of a key (local driver only)
+     * @param {string} key - Storage key
+     * @returns {string} Absolute file path
+     */
+    path: filePath,
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // fs.writeFile overwrites if the file exists, so there is no TOCTOU issue
+      await fs.writeFile(target, buffer);
+      logger.debug(`Saved ${key} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`);
+      return target;
+    },
+
+    async get(key) {
+      return await fs.readFile(filePath(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.access(filePath(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.stat(filePath(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(filePath(key));
+        logger.debug(`Deleted ${key}`);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      // Only walk the folder the prefix points into
+      const slash = prefix.lastIndexOf('/');
+      const dir = slash === -1 ? root : path.join(root, ...prefix.slice(0, slash).split('/'));
+      const objects = [];
+      await walk(dir, objects);
+      return objects.filter(object => object.key.startsWith(prefix));
+    },
+
+    publicUrl(key) {
+      filePath(key);
+      return `${getBaseUrl()}/${key}`;
+    },
+
+    // Local files have no signed URLs, links to them never expire
+    async signedUrl(key) {
+      return driver.publicUrl(key);
+    },
+
+    keyFromUrl(url) {
+      if (!url || typeof url !== 'string') {
+        return null;
+      }
+
+      let key = null;
+      const base = getBaseUrl();
+      if (base && url.startsWith(`${base}/`)) {
+        key = url.slice(base.length + 1).split(/[?#]/)[0];
+      } else if (path.isAbsolute(url)) {
+        const relative = path.relative(root, url);
+        key = relative.startsWith('..') ? null : relative.split(path.sep).join('/');
+      }
+      return key && isValidStorageKey(key) ? key : null;
+    },
+  };
+
+  return driver;
+}
@@ -0,0 +1,38 @@
+import { ConfigurationError } from '../errors.js';
+import { createS3Driver } from './s3.js';
+
+/**
+ * Create a storage driver for a Cloudflare R2 bucket
+ * R2 speaks the S3 API, so this is the S3 driver pointed at the account endpoint
+ * @param {Object} config - R2 configuration (see r2Config)
+ * @param {string} config.accountId - R2 account ID
+ * @param {string} config.accessKeyId - R2 access key ID
+ * @param {string} config.secretAccessKey - R2 secret access key
+ * @param {string} config.bucketName - R2 bucket name
+ * @param {string} config.publicDomain - R2 public domain (e.g., cdn.gronka.p1x.dev)
+ * @returns {Object} Storage driver (see storage-driver.js)
+ */
+export function createR2Driver({
+  accountId,
+  accessKeyId,
+  secretAccessKey,
+  bucketName,
+  publicDomain,
+}) {
+  if (!accountId) {
+    throw new ConfigurationError(
+      'r2 storage config incomplete: accountId=missing',
+      'INVALID_STORAGE_CONFIG'
+    );
+  }
+
+  return createS3Driver({
+    name: 'r2',
+    endpoint: `https://${accountId}.r2.cloudflarestorage.com`,
+    region: 'auto',
+    bucketName,
+    accessKeyId,
+    secretAccessKey,
+    publicBaseUrl: publicDomain ? `https://${publicDomain}` : '',
+  });
+}
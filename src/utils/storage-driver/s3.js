@@ -0,0 +1,236 @@
+import {
+  S3Client,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createLogger } from '../logger.js';
+import { ConfigurationError } from '../errors.js';
+import { getContentType, isValidStorageKey } from './keys.js';
+
+/**
+ * Check whether an S3 error means the object doesn't exist
+ * @param {Error} error - Error from the S3 client
+ * @returns {boolean} True for 404s
+ */
+function isNotFound(error) {
+  return (
+    error.name === 'NotFound' ||
+    error.name === 'NoSuchKey' ||
+    error.$metadata?.httpStatusCode === 404
+  );
+}
+
+/**
+ * Create a storage driver for an S3-compatible bucket (AWS, MinIO, Backblaze B2, R2...)
+ * @param {Object} options - Bucket settings
+ * @param {string} [options.name='s3'] - Driver name, recorded with previews and shown in logs
+ * @param {string} [options.endpoint] - API endpoint (omit for AWS)
+ * @param {string} [options.region='us-east-1'] - Bucket region ('auto' for R2)
+ * @param {string} options.bucketName - Bucket name
+ * @param {string} options.accessKeyId - Access key ID
+ * @param {string} options.secretAccessKey - Secret access key
+ * @param {string} [options.publicBaseUrl] - Base URL objects are served from (default: the endpoint,
+ *   path style)
+ * @param {boolean} [options.forcePathStyle=false] - Address the bucket as endpoint/bucket (MinIO)
+ * @returns {Object} Storage driver (see storage-driver.js)
+ */
+export function createS3Driver({
+  name = 's3',
+  endpoint = '',
+  region = 'us-east-1',
+  bucketName,
+  accessKeyId,
+  secretAccessKey,
+  publicBaseUrl = '',
+  forcePathStyle = false,
+}) {
+  if (!bucketName || !accessKeyId || !secretAccessKey) {
+    throw new ConfigurationError(
+      `${name} storage config incomplete: bucketName=${bucketName ? 'set' : 'missing'}, accessKeyId=${accessKeyId ? 'set' : 'missing'}, secretAccessKey=${secretAccessKey ? 'set' : 'missing'}`,
+      'INVALID_STORAGE_CONFIG'
+    );
+  }
+
+  const logger = createLogger(`${name}-storage`);
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  const baseUrl = (
+    publicBaseUrl ||
+    (endpoint ? `${endpoint}/${bucketName}` : `https://${bucketName}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  const checkKey = key => {
+    if (!isValidStorageKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+  };
+
+  const driver = {
+    name,
+    remote: true,
+    urlPrefix: `${baseUrl}/`,
+
+    async put(key, buffer, { contentType = getContentType(key), metadata = {} } = {}) {
+      checkKey(key);
+      try {
+        logger.info(
+          `Uploading to ${name}: ${key} (${contentType}, ${(buffer.length / (1024 * 1024)).toFixed(2)}MB) to bucket: ${bucketName}`
+        );
+
+        // Use Upload for multipart uploads (better for large files)
+        const upload = new Upload({
+          client,
+          params: {
+            Bucket: bucketName,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType,
+            Metadata: metadata,
+            CacheControl: 'public, max-age=604800, immutable',
+          },
+        });
+        const result = await upload.done();
+        if (result && result.ETag) {
+          logger.info(`Upload completed: ETag=${result.ETag}`);
+        }
+
+        // Uploads can appear successful but fail silently, so check before handing out the URL
+        if (!(await driver.exists(key))) {
+          logger.warn(`Warning: Could not verify file exists in ${name} after upload (${key})`);
+        }
+
+        const publicUrl = driver.publicUrl(key);
+        logger.info(`Uploaded to ${name}: ${publicUrl}`);
+        return publicUrl;
+      } catch (error) {
+        logger.error(`Failed to upload to ${name} (${key}):`, error.message);
+        if (error.$metadata) {
+          logger.error(`AWS Error metadata:`, error.$metadata);
+        }
+        throw error;
+      }
+    },
+
+    async get(key) {
+      checkKey(key);
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+
+        // Convert stream to buffer
+        const chunks = [];
+        for await (const chunk of response.Body) {
+          chunks.push(chunk);
+        }
+        const buffer = Buffer.concat(chunks);
+
+        logger.info(
+          `Downloaded from ${name}: ${key} (${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
+        );
+        return buffer;
+      } catch (error) {
+        logger.error(`Failed to download from ${name} (${key}):`, error.message);
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      checkKey(key);
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+        return true;
+      } catch (error) {
+        if (!isNotFound(error)) {
+          // Log other errors but don't throw - treat as not found
+          logger.warn(`Error checking file existence in ${name} (${key}):`, error.message);
+        }
+        return false;
+      }
+    },
+
+    async stat(key) {
+      checkKey(key);
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+        return { size: head.ContentLength || 0, lastModified: head.LastModified || null };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      checkKey(key);
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+        logger.info(`Deleted file from ${name}: ${key}`);
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          logger.debug(`File not found in ${name} (already deleted?): ${key}`);
+          return false;
+        }
+        logger.error(`Failed to delete file from ${name} (${key}):`, error.message);
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const objects = [];
+      let continuationToken = undefined;
+
+      do {
+        const response = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+          })
+        );
+
+        for (const object of response.Contents || []) {
+          objects.push({
+            key: object.Key,
+            size: object.Size || 0,
+            lastModified: object.LastModified || null,
+          });
+        }
+        continuationToken = response.NextContinuationToken;
+      } while (continuationToken);
+
+      logger.debug(`Listed ${objects.length} objects from ${name} with prefix: ${prefix}`);
+      return objects;
+    },
+
+    publicUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+      checkKey(key);
+      return await getSignedUrl(client, new GetObjectCommand({ Bucket: bucketName, Key: key }), {
+        expiresIn,
+      });
+    },
+
+    keyFromUrl(url) {
+      if (!url || typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      const key = url.slice(baseUrl.length + 1).split(/[?#]/)[0];
+      return isValidStorageKey(key) ? key : null;
+    },
+  };
+
+  return driver;
+}
@@ -0,0 +1,273 @@
+/**
+ * Consistency checks between the database and the stored files
+ * processed_urls, temporary_uploads, local storage and remote storage drift apart when files are
+ * deleted by hand, uploads fail half way or a cleanup is interrupted. Each kind of mismatch is a
+ * category with its own fix:
+ *   missing_files              processed URLs whose file is gone        delete the processed URL,
+ *                                                                       so the file is made again
+ *   orphaned_remote            remote files nothing refers to           delete the remote file
+ *   orphaned_local             local files nothing refers to            delete the local file
+ *   size_mismatches            processed URLs with the wrong file size  record the actual size
+ *   missing_temporary_uploads  temporary uploads whose file is gone     mark them deleted
+ */
+import { createLogger } from './logger.js';
+import { botConfig } from './config.js';
+import { getLocalStorageDriver, getRemoteStorageDriver, getStorageKey } from './storage-driver.js';
+import { invalidateStatsCache } from './storage.js';
+import {
+  deleteProcessedUrlAndUploads,
+  getPendingTemporaryUploads,
+  getProcessedUrlFiles,
+  markTemporaryUploadDeleted,
+  updateProcessedUrlFileSize,
+} from './database.js';
+
+const logger = createLogger('storage-fsck');
+
+export const FSCK_CATEGORIES = [
+  'missing_files',
+  'orphaned_remote',
+  'orphaned_local',
+  'size_mismatches',
+  'missing_temporary_uploads',
+];
+
+// Folders checked in both storages (previews are left alone)
+const MEDIA_FOLDERS = ['gifs/', 'videos/', 'images/'];
+
+// Files newer than this are never orphans, their processed URL may not be saved yet
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Read the categories to fix from --fix, or the fix field of a request
+ * @param {string|Array<string>|boolean} value - true or 'all' for every category, or category names
+ *   (an array, or separated by commas)
+ * @returns {Array<string>} Categories to fix
+ * @throws {Error} When a category is unknown
+ */
+export function parseFsckCategories(value) {
+  if (value === true || value === 'all') {
+    return [...FSCK_CATEGORIES];
+  }
+
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const unknown = names.filter(name => !FSCK_CATEGORIES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `unknown fsck categories: ${unknown.join(', ')} (expected ${FSCK_CATEGORIES.join(', ')})`
+    );
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Compare the database with the files in storage
+ * @param {Object} state - What is stored
+ * @param {Array<Object>} state.processedUrls - processed_urls rows (see getProcessedUrlFiles)
+ * @param {Array<Object>} state.temporaryUploads - temporary_uploads rows not deleted yet
+ * @param {Array<Object>} state.localFiles - Local files: {key, size, lastModified}
+ * @param {Array<Object>|null} state.remoteFiles - Remote files, or null without remote storage
+ * @param {Object} state.local - Local storage driver
+ * @param {Object|null} state.remote - Remote storage driver
+ * @param {number} [state.now] - Current time in milliseconds
+ * @returns {Object} Mismatches by category (see FSCK_CATEGORIES)
+ */
+export function findStorageMismatches({
+  processedUrls,
+  temporaryUploads,
+  localFiles,
+  remoteFiles,
+  local,
+  remote,
+  now = Date.now(),
+}) {
+  const categories = Object.fromEntries(FSCK_CATEGORIES.map(category => [category, []]));
+  const stored = {
+    local: new Map(localFiles.map(file => [file.key, file])),
+    remote: new Map((remoteFiles || []).map(file => [file.key, file])),
+  };
+
+  // Keys something refers to. A file is in use when a processed URL links to it, and also when it
+  // has the key of a processed file, since conversions reuse whichever copy exists
+  const referenced = new Set();
+
+  for (const record of processedUrls) {
+    try {
+      referenced.add(getStorageKey(record.file_hash, record.file_type, record.file_extension));
+    } catch {
+      // Unknown file type, only its URL can point at a file
+    }
+
+    const remoteKey = remote && remoteFiles ? remote.keyFromUrl(record.file_url) : null;
+    const key = remoteKey || local.keyFromUrl(record.file_url);
+    if (!key) {
+      continue; // Discord attachment or source URL
+    }
+    referenced.add(key);
+
+    const storage = remoteKey ? 'remote' : 'local';
+    const file = stored[storage].get(key);
+    if (!file) {
+      categories.missing_files.push({
+        urlHash: record.url_hash,
+        fileUrl: record.file_url,
+        storage,
+        key,
+      });
+    } else if (record.file_size != null && record.file_size !== file.size) {
+      categories.size_mismatches.push({
+        urlHash: record.url_hash,
+        storage,
+        key,
+        recordedSize: record.file_size,
+        actualSize: file.size,
+      });
+    }
+  }
+
+  if (remoteFiles) {
+    for (const upload of temporaryUploads) {
+      referenced.add(upload.r2_key);
+      if (!stored.remote.has(upload.r2_key)) {
+        categories.missing_temporary_uploads.push({
+          id: upload.id,
+          urlHash: upload.url_hash,
+          key: upload.r2_key,
+          expiresAt: upload.expires_at,
+        });
+      }
+    }
+  }
+
+  const isOrphan = file => {
+    const modifiedAt = file.lastModified ? new Date(file.lastModified).getTime() : 0;
+    return !referenced.has(file.key) && now - modifiedAt > ORPHAN_GRACE_MS;
+  };
+  for (const [storage, category] of [
+    ['remote', 'orphaned_remote'],
+    ['local', 'orphaned_local'],
+  ]) {
+    for (const file of stored[storage].values()) {
+      if (isOrphan(file)) {
+        categories[category].push({ key: file.key, size: file.size });
+      }
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * List the media files of a storage driver
+ * Listing errors are thrown, an incomplete listing would make every missing file look deleted
+ * @param {Object} driver - Storage driver
+ * @returns {Promise<Array<Object>>} Files: {key, size, lastModified}
+ */
+async function listMediaFiles(driver) {
+  const files = [];
+  for (const folder of MEDIA_FOLDERS) {
+    files.push(...(await driver.list(folder)));
+  }
+  return files;
+}
+
+/**
+ * Fix one mismatch
+ * @param {string} category - Mismatch category
+ * @param {Object} entry - Mismatch from findStorageMismatches
+ * @param {Object} context - {local, remote, now}
+ * @returns {Promise<void>}
+ */
+async function fixMismatch(category, entry, { local, remote, now }) {
+  switch (category) {
+    case 'missing_files':
+      await deleteProcessedUrlAndUploads(entry.urlHash);
+      break;
+    case 'orphaned_remote':
+      await remote.delete(entry.key);
+      break;
+    case 'orphaned_local':
+      await local.delete(entry.key);
+      break;
+    case 'size_mismatches':
+      await updateProcessedUrlFileSize(entry.urlHash, entry.actualSize);
+      break;
+    case 'missing_temporary_uploads':
+      await markTemporaryUploadDeleted(entry.id, now);
+      break;
+  }
+}
+
+/**
+ * Check the database against local and remote storage, and fix the chosen categories
+ * @param {Object} [options] - Check options
+ * @param {Array<string>} [options.fix=[]] - Categories to fix (see FSCK_CATEGORIES)
+ * @param {string} [options.storagePath] - Base storage path (default: GIF_STORAGE_PATH)
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Promise<Object>} Report: {generatedAt, remote, fix, summary, categories, notes}
+ */
+export async function runStorageFsck({
+  fix = [],
+  storagePath = botConfig.gifStoragePath,
+  now = Date.now(),
+} = {}) {
+  const local = getLocalStorageDriver(storagePath);
+  const remote = getRemoteStorageDriver();
+  const notes = [];
+  if (!remote) {
+    notes.push('remote storage is not configured, only local files are checked');
+  }
+
+  const processedUrls = await getProcessedUrlFiles();
+  const temporaryUploads = await getPendingTemporaryUploads();
+  const localFiles = await listMediaFiles(local);
+  const remoteFiles = remote ? await listMediaFiles(remote) : null;
+
+  const categories = findStorageMismatches({
+    processedUrls,
+    temporaryUploads,
+    localFiles,
+    remoteFiles,
+    local,
+    remote,
+    now,
+  });
+
+  const summary = {};
+  for (const category of FSCK_CATEGORIES) {
+    const entries = categories[category];
+    if (fix.includes(category)) {
+      for (const entry of entries) {
+        try {
+          await fixMismatch(category, entry, { local, remote, now });
+          entry.fixed = true;
+        } catch (error) {
+          entry.error = error.message;
+          logger.warn(`Failed to fix ${category} entry ${entry.key}: ${error.message}`);
+        }
+      }
+    }
+    summary[category] = {
+      found: entries.length,
+      fixed: entries.filter(entry => entry.fixed).length,
+      failed: entries.filter(entry => entry.error).length,
+    };
+  }
+
+  const fixed = Object.values(summary).reduce((total, counts) => total + counts.fixed, 0);
+  if (fixed > 0) {
+    invalidateStatsCache(storagePath);
+    logger.info(`Storage fsck fixed ${fixed} mismatches (${fix.join(', ')})`);
+  }
+
+  return {
+    generatedAt: now,
+    remote: remote?.name ?? null,
+    fix,
+    summary,
+    categories,
+    notes,
+  };
+}
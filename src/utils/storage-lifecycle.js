@@ -0,0 +1,341 @@
+/**
+ * Lifecycle policies for the files kept on local disk
+ * Without them GIF_STORAGE_PATH only ever grows. Each run applies, in order:
+ *   expire   files older than the retention of their type are deleted
+ *   tier     files nobody asked for in a while are moved to remote storage only
+ *   evict    the least recently served files are deleted until local storage fits the disk budget
+ * Processed URLs that pointed at a deleted local copy are deleted with it, so the next request for
+ * them downloads or converts the file again. Tiered files keep their processed URLs, which are
+ * pointed at the remote copy instead.
+ */
+import path from 'path';
+import { createLogger } from './logger.js';
+import { botConfig, storageConfig } from './config.js';
+import { getLocalStorageDriver, getRemoteStorageDriver, getStorageKey } from './storage-driver.js';
+import { deleteMediaPreviews, invalidateStatsCache } from './storage.js';
+import {
+  countProcessedUrlsByFile,
+  deleteMediaFingerprint,
+  deleteProcessedUrlAndUploads,
+  getProcessedUrlsByFile,
+  getStoredFileActivity,
+  updateProcessedUrlFileUrl,
+} from './database.js';
+
+const logger = createLogger('storage-lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Folders of local storage the policies apply to, by file type (previews are left alone)
+const LOCAL_FOLDERS = { gif: 'gifs/', video: 'videos/', image: 'images/' };
+
+// Set while a run is deleting or moving files, so scheduled runs never overlap
+let lifecycleRunning = false;
+
+/**
+ * Decide what happens to each local file
+ * @param {Array<Object>} files - Local files: {key, fileType, size, createdAt, lastServedAt}
+ * @param {Object} policy - Lifecycle settings (see storageConfig.lifecycle)
+ * @param {number} policy.diskBudgetMb - Local storage budget (0 = unlimited)
+ * @param {number} policy.tierAfterDays - Days without being served before a file is tiered (0 = never)
+ * @param {Object} policy.retentionDays - Days files are kept, by file type (0 = forever)
+ * @param {Object} [options] - Planning options
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {boolean} [options.canTier=false] - Whether there is remote storage to tier files to
+ * @returns {{actions: Array<Object>, keptBytes: number}} Files to act on, each with its action and
+ *   reason, and the size of the files left on disk afterwards
+ */
+export function planStorageLifecycle(files, policy, { now = Date.now(), canTier = false } = {}) {
+  const actions = [];
+  const kept = [];
+
+  for (const file of files) {
+    const retentionDays = policy.retentionDays?.[file.fileType] || 0;
+    if (retentionDays > 0 && now - file.createdAt > retentionDays * DAY_MS) {
+      actions.push({
+        ...file,
+        action: 'expire',
+        reason: `older than the ${retentionDays} day ${file.fileType} retention`,
+      });
+    } else if (
+      canTier &&
+      policy.tierAfterDays > 0 &&
+      now - file.lastServedAt > policy.tierAfterDays * DAY_MS
+    ) {
+      actions.push({
+        ...file,
+        action: 'tier',
+        reason: `not served for ${policy.tierAfterDays} days`,
+      });
+    } else {
+      kept.push(file);
+    }
+  }
+
+  let keptBytes = kept.reduce((total, file) => total + file.size, 0);
+  const budgetBytes = policy.diskBudgetMb * 1024 * 1024;
+  if (budgetBytes > 0 && keptBytes > budgetBytes) {
+    const leastRecentlyServed = [...kept].sort(
+      (a, b) => a.lastServedAt - b.lastServedAt || a.createdAt - b.createdAt
+    );
+    for (const file of leastRecentlyServed) {
+      if (keptBytes <= budgetBytes) {
+        break;
+      }
+      actions.push({
+        ...file,
+        action: 'evict',
+        reason: `over the ${policy.diskBudgetMb}MB disk budget`,
+      });
+      keptBytes -= file.size;
+    }
+  }
+
+  return { actions, keptBytes };
+}
+
+/**
+ * List the local files the policies apply to, with when they were made and last served
+ * Files no processed URL points to count from their modification time
+ * @param {Object} local - Local storage driver
+ * @returns {Promise<Array<Object>>} Local files
+ */
+async function collectLocalFiles(local) {
+  const activity = new Map();
+  for (const row of await getStoredFileActivity()) {
+    let key;
+    try {
+      key = getStorageKey(row.file_hash, row.file_type, row.file_extension);
+    } catch {
+      continue;
+    }
+    const known = activity.get(key);
+    activity.set(
+      key,
+      known
+        ? {
+            ...known,
+            created_at: Math.min(known.created_at, row.created_at),
+            last_served_at: Math.max(known.last_served_at, row.last_served_at),
+          }
+        : row
+    );
+  }
+
+  const files = [];
+  for (const [fileType, folder] of Object.entries(LOCAL_FOLDERS)) {
+    for (const object of await local.list(folder)) {
+      const row = activity.get(object.key);
+      const modifiedAt = object.lastModified ? new Date(object.lastModified).getTime() : Date.now();
+      const extension = path.extname(object.key);
+      files.push({
+        key: object.key,
+        fileType,
+        size: object.size,
+        fileHash: row ? row.file_hash : path.basename(object.key, extension),
+        fileExtension: row ? row.file_extension : extension,
+        tracked: Boolean(row),
+        createdAt: row ? row.created_at : modifiedAt,
+        lastServedAt: row ? row.last_served_at : modifiedAt,
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Get the processed URLs that point at the local copy of a file
+ * Processed URLs of files sent as Discord attachments, or kept in remote storage, don't need it
+ * @param {Object} local - Local storage driver
+ * @param {Object} file - Local file
+ * @returns {Promise<Array<Object>>} Processed URL records
+ */
+async function getDependentProcessedUrls(local, file) {
+  const records = await getProcessedUrlsByFile(file.fileHash, file.fileExtension);
+  return records.filter(record => local.keyFromUrl(record.file_url) === file.key);
+}
+
+/**
+ * Delete the local copy of a file, and the processed URLs that pointed at it
+ * @param {Object} local - Local storage driver
+ * @param {Object} file - Local file
+ * @param {string} storagePath - Base storage path
+ * @returns {Promise<number>} Number of processed URLs deleted
+ */
+async function deleteLocalFile(local, file, storagePath) {
+  const dependent = await getDependentProcessedUrls(local, file);
+  for (const record of dependent) {
+    await deleteProcessedUrlAndUploads(record.url_hash);
+  }
+
+  await local.delete(file.key);
+
+  if ((await countProcessedUrlsByFile(file.fileHash, file.fileExtension)) === 0) {
+    await deleteMediaFingerprint(file.fileHash, file.fileExtension);
+    await deleteMediaPreviews(file.fileHash, storagePath);
+  }
+  return dependent.length;
+}
+
+/**
+ * Move a file to remote storage only
+ * @param {Object} local - Local storage driver
+ * @param {Object} remote - Remote storage driver
+ * @param {Object} file - Local file
+ * @returns {Promise<number>} Number of processed URLs pointed at the remote copy
+ */
+async function tierLocalFile(local, remote, file) {
+  if (!(await remote.exists(file.key))) {
+    await remote.put(file.key, await local.get(file.key));
+  }
+
+  const dependent = await getDependentProcessedUrls(local, file);
+  const remoteUrl = remote.publicUrl(file.key);
+  for (const record of dependent) {
+    await updateProcessedUrlFileUrl(record.url_hash, remoteUrl);
+  }
+
+  await local.delete(file.key);
+  return dependent.length;
+}
+
+/**
+ * Apply the lifecycle policies to local storage
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun=false] - Only report what would happen
+ * @param {Object} [options.policy] - Lifecycle settings (default: storageConfig.lifecycle)
+ * @param {string} [options.storagePath] - Base storage path (default: GIF_STORAGE_PATH)
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Promise<Object>} Report: {dryRun, generatedAt, policy, summary, actions, notes}
+ * @throws {Error} When another run is already changing local storage
+ */
+export async function runStorageLifecycle({
+  dryRun = false,
+  policy = storageConfig.lifecycle,
+  storagePath = botConfig.gifStoragePath,
+  now = Date.now(),
+} = {}) {
+  if (!dryRun && lifecycleRunning) {
+    throw new Error('a storage lifecycle run is already in progress');
+  }
+
+  const local = getLocalStorageDriver(storagePath);
+  const remote = getRemoteStorageDriver();
+  const notes = [];
+  if (policy.tierAfterDays > 0 && !remote) {
+    notes.push('tiering is skipped: STORAGE_DRIVER keeps files on local disk');
+  }
+  if (
+    !policy.diskBudgetMb &&
+    !policy.tierAfterDays &&
+    !Object.values(policy.retentionDays || {}).some(Boolean)
+  ) {
+    notes.push('no lifecycle limits are configured');
+  }
+
+  if (!dryRun) {
+    lifecycleRunning = true;
+  }
+  try {
+    const files = await collectLocalFiles(local);
+    const { actions, keptBytes } = planStorageLifecycle(files, policy, {
+      now,
+      canTier: Boolean(remote),
+    });
+
+    if (!dryRun) {
+      for (const action of actions) {
+        try {
+          action.processedUrls =
+            action.action === 'tier'
+              ? await tierLocalFile(local, remote, action)
+              : await deleteLocalFile(local, action, storagePath);
+        } catch (error) {
+          action.error = error.message;
+          logger.warn(`Failed to ${action.action} ${action.key}: ${error.message}`);
+        }
+      }
+      if (actions.length > 0) {
+        invalidateStatsCache(storagePath);
+      }
+    }
+
+    const summary = {
+      files: files.length,
+      bytes: files.reduce((total, file) => total + file.size, 0),
+      budgetBytes: policy.diskBudgetMb * 1024 * 1024,
+      keptBytes,
+      failed: actions.filter(action => action.error).length,
+    };
+    for (const name of ['expire', 'tier', 'evict']) {
+      const matching = actions.filter(action => action.action === name);
+      summary[name] = {
+        files: matching.length,
+        bytes: matching.reduce((total, action) => total + action.size, 0),
+      };
+    }
+
+    if (!dryRun && actions.length > 0) {
+      logger.info(
+        `Storage lifecycle: expired ${summary.expire.files}, tiered ${summary.tier.files}, evicted ${summary.evict.files} local files (${summary.failed} failed)`
+      );
+    }
+
+    return {
+      dryRun,
+      generatedAt: now,
+      policy,
+      summary,
+      actions: actions.map(action => ({
+        action: action.action,
+        key: action.key,
+        fileType: action.fileType,
+        size: action.size,
+        tracked: action.tracked,
+        createdAt: action.createdAt,
+        lastServedAt: action.lastServedAt,
+        reason: action.reason,
+        ...(action.processedUrls !== undefined ? { processedUrls: action.processedUrls } : {}),
+        ...(action.error ? { error: action.error } : {}),
+      })),
+      notes,
+    };
+  } finally {
+    if (!dryRun) {
+      lifecycleRunning = false;
+    }
+  }
+}
+
+/**
+ * Start the storage lifecycle job
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @returns {NodeJS.Timeout} Interval ID for stopping the job
+ */
+export function startLifecycleJob(intervalMs) {
+  logger.info(`Starting storage lifecycle job (interval: ${intervalMs}ms)`);
+
+  const run = async () => {
+    try {
+      await runStorageLifecycle();
+    } catch (error) {
+      logger.error(`Error in storage lifecycle job: ${error.message}`, error);
+      // Continue running even on error
+    }
+  };
+
+  // Run immediately on start, then on interval
+  run();
+  return setInterval(run, intervalMs);
+}
+
+/**
+ * Stop the storage lifecycle job
+ * @param {NodeJS.Timeout} intervalId - Interval ID from startLifecycleJob
+ */
+export function stopLifecycleJob(intervalId) {
+  if (intervalId) {
+    clearInterval(intervalId);
+    logger.info('Stopped storage lifecycle job');
+  }
+}
@@ -2,17 +2,20 @@ import fs from 'fs/promises';
 import path from 'path';
 import { createLogger } from './logger.js';
 import { r2Config, botConfig } from './config.js';
+import { getRemoteStorageDriver, getLocalStorageDriver, getStorageKey } from './storage-driver.js';
 import {
-  uploadGifToR2,
-  uploadVideoToR2,
-  uploadImageToR2,
-  gifExistsInR2,
-  videoExistsInR2,
-  imageExistsInR2,
-  getR2PublicUrl,
-  listObjectsInR2,
-} from './r2-storage.js';
-import { insertTemporaryUpload } from './database.js';
+  insertTemporaryUpload,
+  upsertMediaPreview,
+  getMediaPreview,
+  deleteMediaPreview,
+} from './database.js';
+import { recordMediaFingerprint } from './perceptual-hash.js';
+import {
+  renderMediaPreviews,
+  getThumbnailKey,
+  getPreviewKey,
+  isPreviewKey,
+} from './media-previews.js';
 
 const logger = createLogger('storage');
 
@@ -22,10 +25,11 @@ const DISCORD_UPLOAD_THRESHOLD = 8 * 1024 * 1024; // 8MB in bytes
 /**
  * Check if a file should be sent as a Discord attachment based on size
  * @param {Buffer} buffer - File buffer to check
- * @returns {boolean} True if file should be sent as Discord attachment (< 8MB)
+ * @param {number} [limit] - Attachment size limit in bytes (default 8MB, 0 = never attach)
+ * @returns {boolean} True if file should be sent as Discord attachment (< limit)
  */
-export function shouldUploadToDiscord(buffer) {
-  return buffer.length < DISCORD_UPLOAD_THRESHOLD;
+export function shouldUploadToDiscord(buffer, limit = DISCORD_UPLOAD_THRESHOLD) {
+  return buffer.length < limit;
 }
 
 // Stats cache: Map<storagePath, {stats, timestamp}>
@@ -38,6 +42,7 @@ const statsCache = new Map();
 const statsCalculationPromises = new Map();
 
 // R2 usage cache: {usageBytes, timestamp} - single value, not per-path
+// Tracks whichever object store STORAGE_DRIVER points at (R2 or S3)
 // 24 hour TTL (86400000 ms)
 const R2_CACHE_TTL = 24 * 60 * 60 * 1000;
 let r2UsageCache = null;
@@ -160,14 +165,10 @@ export function incrementR2UsageCache(fileSizeBytes) {
  * @returns {Promise<void>}
  */
 export async function initializeR2UsageCache() {
-  // Check if R2 is configured
-  if (
-    !r2Config.accountId ||
-    !r2Config.accessKeyId ||
-    !r2Config.secretAccessKey ||
-    !r2Config.bucketName
-  ) {
-    logger.debug('R2 not configured, skipping R2 usage cache initialization');
+  // Only object stores are billed by LIST operations
+  const remote = getRemoteStorageDriver();
+  if (!remote) {
+    logger.debug('No remote storage configured, skipping R2 usage cache initialization');
     return;
   }
 
@@ -181,8 +182,8 @@ export async function initializeR2UsageCache() {
   // Fetch from R2
   logger.info('Initializing R2 usage cache (this may take a moment)...');
   try {
-    const allObjects = await listObjectsInR2('', r2Config);
-    logger.debug(`Listed ${allObjects.length} total objects from R2`);
+    const allObjects = await remote.list('');
+    logger.debug(`Listed ${allObjects.length} total objects from ${remote.name}`);
 
     let totalUsage = 0;
     for (const obj of allObjects) {
@@ -285,19 +286,14 @@ export function detectFileType(extension, contentType = '') {
  * @returns {Promise<boolean>} True if GIF exists
  */
 export async function gifExists(hash, storagePath) {
-  // Check R2 first if configured
-  if (
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  ) {
-    return await gifExistsInR2(hash, r2Config);
+  // Check remote storage first if configured
+  const remote = getRemoteStorageDriver();
+  if (remote) {
+    return await remote.exists(getStorageKey(hash, 'gif', '.gif'));
   }
   // Fallback to local disk check
   try {
-    const gifPath = getGifPath(hash, storagePath);
-    await fs.access(gifPath);
+    await fs.access(getGifPath(hash, storagePath));
     return true;
   } catch {
     return false;
@@ -325,71 +321,23 @@ export function getGifPath(hash, storagePath) {
 }
 
 /**
- * Save a GIF buffer to R2 or disk
+ * Save a GIF buffer to remote storage or disk
  * @param {Buffer} buffer - GIF file buffer
  * @param {string} hash - MD5 hash of the video
  * @param {string} storagePath - Base storage path (for local fallback)
  * @param {Object} [metadata={}] - Optional metadata to attach to the object
+ * @param {Object} [options={}] - Storage options
+ * @param {number|null} [options.discordUploadLimit] - Attachment size limit of the guild (0 = always remote storage)
+ * @param {Object} [options.source] - Fingerprint of the converted source (see recordMediaFingerprint)
+ * @param {string} [options.variantKey] - Conversion options (see recordMediaFingerprint)
  * @returns {Promise<{url: string, method: string, buffer: Buffer}>} Object with URL, upload method, and buffer
  */
-export async function saveGif(buffer, hash, storagePath, metadata = {}) {
-  const method = shouldUploadToDiscord(buffer) ? 'discord' : 'r2';
-
-  // Only upload to R2 if file is >= 8MB (Discord limit)
-  if (
-    method === 'r2' &&
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  ) {
-    try {
-      // Check if file already exists in R2 specifically (not local disk)
-      const existsInR2 = await gifExistsInR2(hash, r2Config);
-      if (existsInR2) {
-        // File already exists in R2, return the public URL
-        const safeHash = hash.replace(/[^a-f0-9]/gi, '');
-        const key = `gifs/${safeHash}.gif`;
-        const publicUrl = getR2PublicUrl(key, r2Config);
-        logger.info(`GIF already exists in R2: ${publicUrl}`);
-        return { url: publicUrl, method, buffer };
-      }
-
-      // Upload to R2 for large files
-      logger.info(
-        `Uploading GIF to R2 (hash: ${hash.substring(0, 8)}..., size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
-      );
-      const publicUrl = await uploadGifToR2(buffer, hash, r2Config, metadata);
-      logger.info(
-        `Saved GIF to R2: ${publicUrl} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
-      );
-      // Increment R2 usage cache
-      incrementR2UsageCache(buffer.length);
-      // Invalidate stats cache since we added a new file
-      invalidateStatsCache(storagePath);
-      return { url: publicUrl, method, buffer };
-    } catch (error) {
-      logger.error(`Failed to upload GIF to R2, falling back to local storage:`, error.message);
-      logger.error(`R2 upload error details:`, error);
-      // Fall through to local storage
-    }
-  }
-
-  // Save to local disk (for Discord uploads < 8MB, or as fallback)
-  const _basePath = getStoragePath(storagePath);
-  const gifPath = getGifPath(hash, storagePath);
-
-  // Ensure directory exists
-  await fs.mkdir(path.dirname(gifPath), { recursive: true });
-
-  // Write file (fs.writeFile overwrites if file exists, so no TOCTOU issue)
-  await fs.writeFile(gifPath, buffer);
-  logger.debug(`Saved GIF: ${gifPath} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`);
-
-  // Invalidate stats cache since we added a new file
-  invalidateStatsCache(storagePath);
-
-  return { url: gifPath, method, buffer };
+export async function saveGif(buffer, hash, storagePath, metadata = {}, options = {}) {
+  const result = await storeFile(buffer, hash, '.gif', 'gif', storagePath, metadata, options);
+  // Index the stored file so re-encodes of it can be found later
+  await recordMediaFingerprint(buffer, hash, '.gif', 'gif', options);
+  await generateMediaPreviews(buffer, hash, '.gif', 'gif', storagePath, result.url);
+  return result;
 }
 
 /**
@@ -491,19 +439,14 @@ export function getVideoPath(hash, extension, storagePath) {
  * @returns {Promise<boolean>} True if video exists
  */
 export async function videoExists(hash, extension, storagePath) {
-  // Check R2 first if configured
-  if (
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  ) {
-    return await videoExistsInR2(hash, extension, r2Config);
+  // Check remote storage first if configured
+  const remote = getRemoteStorageDriver();
+  if (remote) {
+    return await remote.exists(getStorageKey(hash, 'video', extension));
   }
   // Fallback to local disk check
   try {
-    const videoPath = getVideoPath(hash, extension, storagePath);
-    await fs.access(videoPath);
+    await fs.access(getVideoPath(hash, extension, storagePath));
     return true;
   } catch {
     return false;
@@ -511,74 +454,24 @@ export async function videoExists(hash, extension, storagePath) {
 }
 
 /**
- * Save a video buffer to R2 or disk
+ * Save a video buffer to remote storage or disk
  * @param {Buffer} buffer - Video file buffer
  * @param {string} hash - BLAKE3 hash of the video
  * @param {string} extension - File extension (e.g., '.mp4', '.webm')
  * @param {string} storagePath - Base storage path (for local fallback)
  * @param {Object} [metadata={}] - Optional metadata to attach to the object
+ * @param {Object} [options={}] - Storage options
+ * @param {number|null} [options.discordUploadLimit] - Attachment size limit of the guild (0 = always remote storage)
+ * @param {Object} [options.source] - Fingerprint of the converted source (see recordMediaFingerprint)
+ * @param {string} [options.variantKey] - Conversion options (see recordMediaFingerprint)
  * @returns {Promise<{url: string, method: string, buffer: Buffer}>} Object with URL, upload method, and buffer
  */
-export async function saveVideo(buffer, hash, extension, storagePath, metadata = {}) {
-  const method = shouldUploadToDiscord(buffer) ? 'discord' : 'r2';
-
-  // Only upload to R2 if file is >= 8MB (Discord limit)
-  if (
-    method === 'r2' &&
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  ) {
-    try {
-      // Check if file already exists in R2 specifically (not local disk)
-      const existsInR2 = await videoExistsInR2(hash, extension, r2Config);
-      if (existsInR2) {
-        // File already exists in R2, return the public URL
-        const safeHash = hash.replace(/[^a-f0-9]/gi, '');
-        const safeExt = extension.replace(/[^a-zA-Z0-9.]/gi, '');
-        const ext = safeExt.startsWith('.') ? safeExt : `.${safeExt}`;
-        const key = `videos/${safeHash}${ext}`;
-        const publicUrl = getR2PublicUrl(key, r2Config);
-        logger.info(`Video already exists in R2: ${publicUrl}`);
-        return { url: publicUrl, method, buffer };
-      }
-
-      // Upload to R2 for large files
-      logger.info(
-        `Uploading video to R2 (hash: ${hash.substring(0, 8)}..., size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
-      );
-      const publicUrl = await uploadVideoToR2(buffer, hash, extension, r2Config, metadata);
-      logger.info(
-        `Saved video to R2: ${publicUrl} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
-      );
-      // Increment R2 usage cache
-      incrementR2UsageCache(buffer.length);
-      // Invalidate stats cache since we added a new file
-      invalidateStatsCache(storagePath);
-      return { url: publicUrl, method, buffer };
-    } catch (error) {
-      logger.error(`Failed to upload video to R2, falling back to local storage:`, error.message);
-      logger.error(`R2 upload error details:`, error);
-      // Fall through to local storage
-    }
-  }
-
-  // Save to local disk (for Discord uploads < 8MB, or as fallback)
-  const _basePath = getStoragePath(storagePath);
-  const videoPath = getVideoPath(hash, extension, storagePath);
-
-  // Ensure directory exists
-  await fs.mkdir(path.dirname(videoPath), { recursive: true });
-
-  // Write file (fs.writeFile overwrites if file exists, so no TOCTOU issue)
-  await fs.writeFile(videoPath, buffer);
-  logger.debug(`Saved video: ${videoPath} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`);
-
-  // Invalidate stats cache since we added a new file
-  invalidateStatsCache(storagePath);
-
-  return { url: videoPath, method, buffer };
+export async function saveVideo(buffer, hash, extension, storagePath, metadata = {}, options = {}) {
+  const result = await storeFile(buffer, hash, extension, 'video', storagePath, metadata, options);
+  // Index the stored file so re-encodes of it can be found later
+  await recordMediaFingerprint(buffer, hash, extension, 'video', options);
+  await generateMediaPreviews(buffer, hash, extension, 'video', storagePath, result.url);
+  return result;
 }
 
 /**
@@ -613,19 +506,14 @@ export function getImagePath(hash, extension, storagePath) {
  * @returns {Promise<boolean>} True if image exists
  */
 export async function imageExists(hash, extension, storagePath) {
-  // Check R2 first if configured
-  if (
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  ) {
-    return await imageExistsInR2(hash, extension, r2Config);
+  // Check remote storage first if configured
+  const remote = getRemoteStorageDriver();
+  if (remote) {
+    return await remote.exists(getStorageKey(hash, 'image', extension));
   }
   // Fallback to local disk check
   try {
-    const imagePath = getImagePath(hash, extension, storagePath);
-    await fs.access(imagePath);
+    await fs.access(getImagePath(hash, extension, storagePath));
     return true;
   } catch {
     return false;
@@ -633,46 +521,66 @@ export async function imageExists(hash, extension, storagePath) {
 }
 
 /**
- * Save an image buffer to R2 or disk
+ * Save an image buffer to remote storage or disk
  * @param {Buffer} buffer - Image file buffer
  * @param {string} hash - BLAKE3 hash of the image
  * @param {string} extension - File extension (e.g., '.png', '.jpg')
  * @param {string} storagePath - Base storage path (for local fallback)
  * @param {Object} [metadata={}] - Optional metadata to attach to the object
+ * @param {Object} [options={}] - Storage options
+ * @param {number|null} [options.discordUploadLimit] - Attachment size limit of the guild (0 = always remote storage)
+ * @param {Object} [options.source] - Fingerprint of the converted source (see recordMediaFingerprint)
+ * @param {string} [options.variantKey] - Conversion options (see recordMediaFingerprint)
+ * @returns {Promise<{url: string, method: string, buffer: Buffer}>} Object with URL, upload method, and buffer
+ */
+export async function saveImage(buffer, hash, extension, storagePath, metadata = {}, options = {}) {
+  const result = await storeFile(buffer, hash, extension, 'image', storagePath, metadata, options);
+  // Index the stored file so re-encodes of it can be found later
+  await recordMediaFingerprint(buffer, hash, extension, 'image', options);
+  await generateMediaPreviews(buffer, hash, extension, 'image', storagePath, result.url);
+  return result;
+}
+
+// Labels of file types in log messages
+const FILE_TYPE_LABELS = { gif: 'GIF', video: 'video', image: 'image' };
+
+/**
+ * Store a file with the configured driver, or write it to disk (see saveGif, saveVideo, saveImage)
+ * Files under the attachment limit are kept on disk to be sent to Discord; larger ones go to remote
+ * storage when there is one, and fall back to disk when the upload fails
+ * @param {Buffer} buffer - File contents
+ * @param {string} hash - File hash
+ * @param {string} extension - File extension
+ * @param {string} fileType - 'gif', 'video' or 'image'
+ * @param {string} storagePath - Base storage path (for local storage)
+ * @param {Object} metadata - Metadata to attach to remote objects
+ * @param {Object} options - Storage options (see saveGif)
  * @returns {Promise<{url: string, method: string, buffer: Buffer}>} Object with URL, upload method, and buffer
  */
-export async function saveImage(buffer, hash, extension, storagePath, metadata = {}) {
-  const method = shouldUploadToDiscord(buffer) ? 'discord' : 'r2';
-
-  // Only upload to R2 if file is >= 8MB (Discord limit)
-  if (
-    method === 'r2' &&
-    r2Config.accountId &&
-    r2Config.accessKeyId &&
-    r2Config.secretAccessKey &&
-    r2Config.bucketName
-  ) {
+async function storeFile(buffer, hash, extension, fileType, storagePath, metadata, options) {
+  const label = FILE_TYPE_LABELS[fileType];
+  const key = getStorageKey(hash, fileType, extension);
+  const method = shouldUploadToDiscord(buffer, options.discordUploadLimit ?? undefined)
+    ? 'discord'
+    : 'r2';
+
+  // Only upload if file is over the attachment limit (8MB unless the guild changed it)
+  const remote = method === 'r2' ? getRemoteStorageDriver() : null;
+  if (remote) {
     try {
-      // Check if file already exists in R2 specifically (not local disk)
-      const existsInR2 = await imageExistsInR2(hash, extension, r2Config);
-      if (existsInR2) {
-        // File already exists in R2, return the public URL
-        const safeHash = hash.replace(/[^a-f0-9]/gi, '');
-        const safeExt = extension.replace(/[^a-zA-Z0-9.]/gi, '');
-        const ext = safeExt.startsWith('.') ? safeExt : `.${safeExt}`;
-        const key = `images/${safeHash}${ext}`;
-        const publicUrl = getR2PublicUrl(key, r2Config);
-        logger.info(`Image already exists in R2: ${publicUrl}`);
+      // Check if file already exists in remote storage specifically (not local disk)
+      if (await remote.exists(key)) {
+        const publicUrl = remote.publicUrl(key);
+        logger.info(`${label} already exists in ${remote.name}: ${publicUrl}`);
         return { url: publicUrl, method, buffer };
       }
 
-      // Upload to R2 for large files
       logger.info(
-        `Uploading image to R2 (hash: ${hash.substring(0, 8)}..., size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
+        `Uploading ${label} to ${remote.name} (hash: ${hash.substring(0, 8)}..., size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
       );
-      const publicUrl = await uploadImageToR2(buffer, hash, extension, r2Config, metadata);
+      const publicUrl = await remote.put(key, buffer, { metadata });
       logger.info(
-        `Saved image to R2: ${publicUrl} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
+        `Saved ${label} to ${remote.name}: ${publicUrl} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`
       );
       // Increment R2 usage cache
       incrementR2UsageCache(buffer.length);
@@ -680,27 +588,198 @@ export async function saveImage(buffer, hash, extension, storagePath, metadata =
       invalidateStatsCache(storagePath);
       return { url: publicUrl, method, buffer };
     } catch (error) {
-      logger.error(`Failed to upload image to R2, falling back to local storage:`, error.message);
-      logger.error(`R2 upload error details:`, error);
+      logger.error(
+        `Failed to upload ${label} to ${remote.name}, falling back to local storage:`,
+        error.message
+      );
       // Fall through to local storage
     }
   }
 
-  // Save to local disk (for Discord uploads < 8MB, or as fallback)
-  const _basePath = getStoragePath(storagePath);
-  const imagePath = getImagePath(hash, extension, storagePath);
-
-  // Ensure directory exists
-  await fs.mkdir(path.dirname(imagePath), { recursive: true });
-
-  // Write file (fs.writeFile overwrites if file exists, so no TOCTOU issue)
-  await fs.writeFile(imagePath, buffer);
-  logger.debug(`Saved image: ${imagePath} (size: ${(buffer.length / (1024 * 1024)).toFixed(2)}MB)`);
+  // Save to local disk (for Discord uploads under the limit, or as fallback)
+  const filePath = await getLocalStorageDriver(storagePath).put(key, buffer);
+  logger.debug(`Saved ${label}: ${filePath}`);
 
   // Invalidate stats cache since we added a new file
   invalidateStatsCache(storagePath);
 
-  return { url: imagePath, method, buffer };
+  return { url: filePath, method, buffer };
+}
+
+/**
+ * Get the full file path of a poster frame or preview clip
+ * Previews live in their own folders next to gifs/, videos/ and images/
+ * @param {string} key - Preview key (see getThumbnailKey and getPreviewKey)
+ * @param {string} storagePath - Base storage path
+ * @returns {string} Full path to the preview file
+ */
+export function getPreviewPath(key, storagePath) {
+  if (!isPreviewKey(key)) {
+    throw new Error(`Invalid preview key: ${key}`);
+  }
+  const basePath = getStoragePath(storagePath);
+  // Check if basePath ends with 'gifs' - if so, go up one level like videos and images
+  const normalizedBasePath = basePath.replace(/\\/g, '/');
+  if (normalizedBasePath.endsWith('/gifs') || normalizedBasePath.endsWith('\\gifs')) {
+    return path.join(path.dirname(basePath), key);
+  }
+  return path.join(basePath, key);
+}
+
+/**
+ * Store the poster frame and preview clip of a saved file next to the original
+ * Previews of files in remote storage go there too, everything else stays on disk.
+ * Never throws: previews are best effort and must not fail a save
+ * @param {Buffer} buffer - Stored file contents
+ * @param {string} hash - Storage hash of the file
+ * @param {string} extension - File extension (e.g. '.gif')
+ * @param {string} fileType - 'gif', 'video' or 'image'
+ * @param {string} storagePath - Base storage path (for local previews)
+ * @param {string} fileUrl - Where the original was saved (remote URL or local path)
+ * @returns {Promise<boolean>} True if previews were stored
+ */
+export async function generateMediaPreviews(
+  buffer,
+  hash,
+  extension,
+  fileType,
+  storagePath,
+  fileUrl
+) {
+  try {
+    const rendered = await renderMediaPreviews(buffer, extension, fileType);
+    if (!rendered) {
+      return false;
+    }
+
+    const files = [{ key: getThumbnailKey(hash), buffer: rendered.thumbnail, type: 'image/jpeg' }];
+    if (rendered.preview) {
+      files.push({ key: getPreviewKey(hash), buffer: rendered.preview, type: 'video/mp4' });
+    }
+
+    let storage = 'local';
+    const remote = /^https?:\/\//.test(fileUrl) ? getRemoteStorageDriver() : null;
+    if (remote) {
+      try {
+        for (const file of files) {
+          await remote.put(file.key, file.buffer, { contentType: file.type });
+          incrementR2UsageCache(file.buffer.length);
+        }
+        storage = remote.name;
+      } catch (error) {
+        logger.warn(
+          `Failed to upload previews to ${remote.name}, keeping them locally: ${error.message}`
+        );
+      }
+    }
+
+    if (storage === 'local') {
+      for (const file of files) {
+        await getLocalStorageDriver(storagePath).put(file.key, file.buffer);
+      }
+    }
+
+    await upsertMediaPreview({
+      fileHash: hash,
+      storage,
+      thumbnailKey: files[0].key,
+      previewKey: files[1]?.key ?? null,
+    });
+    return true;
+  } catch (error) {
+    logger.warn(`Failed to store previews for ${hash.substring(0, 8)}...: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Delete the poster frame and preview clip of a stored file
+ * Called once the file itself is deleted. Never throws
+ * @param {string} hash - Storage hash of the file
+ * @param {string} storagePath - Base storage path (for local previews)
+ * @returns {Promise<boolean>} True if previews were deleted
+ */
+export async function deleteMediaPreviews(hash, storagePath) {
+  try {
+    const preview = await getMediaPreview(hash);
+    if (!preview) {
+      return false;
+    }
+
+    const driver =
+      preview.storage === 'local' ? getLocalStorageDriver(storagePath) : getRemoteStorageDriver();
+    if (!driver) {
+      throw new Error(`previews are in ${preview.storage}, which is not configured`);
+    }
+    for (const key of [preview.thumbnail_key, preview.preview_key].filter(Boolean)) {
+      await driver.delete(key);
+    }
+    return await deleteMediaPreview(hash);
+  } catch (error) {
+    logger.warn(`Failed to delete previews for ${hash.substring(0, 8)}...: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get the full file path for any stored file by hash and extension
+ * GIFs, videos and images keep their own folders, chosen by detectFileType
+ * @param {string} hash - File hash
+ * @param {string} extension - File extension (e.g., '.gif', '.mp4', '.webp')
+ * @param {string} storagePath - Base storage path
+ * @returns {string} Full path to the file
+ */
+export function getMediaPath(hash, extension, storagePath) {
+  const fileType = detectFileType(extension);
+  if (fileType === 'gif') {
+    return getGifPath(hash, storagePath);
+  }
+  if (fileType === 'image') {
+    return getImagePath(hash, extension, storagePath);
+  }
+  return getVideoPath(hash, extension, storagePath);
+}
+
+/**
+ * Check if a stored file with the given hash and extension already exists
+ * @param {string} hash - File hash
+ * @param {string} extension - File extension (e.g., '.gif', '.mp4', '.webp')
+ * @param {string} storagePath - Base storage path (kept for backward compatibility)
+ * @returns {Promise<boolean>} True if the file exists
+ */
+export async function mediaExists(hash, extension, storagePath) {
+  const fileType = detectFileType(extension);
+  if (fileType === 'gif') {
+    return await gifExists(hash, storagePath);
+  }
+  if (fileType === 'image') {
+    return await imageExists(hash, extension, storagePath);
+  }
+  return await videoExists(hash, extension, storagePath);
+}
+
+/**
+ * Save any file buffer to remote storage or disk, using the folder and content type for its extension
+ * @param {Buffer} buffer - File buffer
+ * @param {string} hash - File hash
+ * @param {string} extension - File extension (e.g., '.gif', '.mp4', '.webp')
+ * @param {string} storagePath - Base storage path (for local fallback)
+ * @param {Object} [metadata={}] - Optional metadata to attach to the object
+ * @param {Object} [options={}] - Storage options
+ * @param {number|null} [options.discordUploadLimit] - Attachment size limit of the guild (0 = always remote storage)
+ * @param {Object} [options.source] - Fingerprint of the converted source (see recordMediaFingerprint)
+ * @param {string} [options.variantKey] - Conversion options (see recordMediaFingerprint)
+ * @returns {Promise<{url: string, method: string, buffer: Buffer}>} Object with URL, upload method, and buffer
+ */
+export async function saveMedia(buffer, hash, extension, storagePath, metadata = {}, options = {}) {
+  const fileType = detectFileType(extension);
+  if (fileType === 'gif') {
+    return await saveGif(buffer, hash, storagePath, metadata, options);
+  }
+  if (fileType === 'image') {
+    return await saveImage(buffer, hash, extension, storagePath, metadata, options);
+  }
+  return await saveVideo(buffer, hash, extension, storagePath, metadata, options);
 }
 
 /**
@@ -812,9 +891,8 @@ export async function getStorageStats(storagePath) {
  */
 async function calculateStorageStats(storagePath) {
   try {
-    // Check if R2 is configured
-    const useR2 =
-      r2Config.accountId && r2Config.accessKeyId && r2Config.secretAccessKey && r2Config.bucketName;
+    // Count remote storage when it is configured
+    const remote = getRemoteStorageDriver();
 
     let totalGifs = 0;
     let totalVideos = 0;
@@ -824,21 +902,21 @@ async function calculateStorageStats(storagePath) {
     let videosSize = 0;
     let imagesSize = 0;
 
-    if (useR2) {
-      logger.debug('R2 configured, querying R2 for storage stats');
+    if (remote) {
+      logger.debug(`${remote.name} configured, querying it for storage stats`);
 
       // Single LIST call to get all objects (consolidated from 3 separate calls)
       // This limits class A operations by making one LIST request instead of three separate calls for gifs/videos/images
       try {
-        const allObjects = await listObjectsInR2('', r2Config);
-        logger.debug(`Listed ${allObjects.length} total objects from R2`);
+        const allObjects = await remote.list('');
+        logger.debug(`Listed ${allObjects.length} total objects from ${remote.name}`);
 
         // Filter and process GIFs
         const gifFilesOnly = allObjects.filter(
           obj => obj.key.startsWith('gifs/') && obj.key.endsWith('.gif')
         );
         totalGifs = gifFilesOnly.length;
-        logger.debug(`Found ${totalGifs} GIFs in R2`);
+        logger.debug(`Found ${totalGifs} GIFs in ${remote.name}`);
         for (const obj of gifFilesOnly) {
           gifsSize += obj.size;
           totalSize += obj.size;
@@ -852,7 +930,7 @@ async function calculateStorageStats(storagePath) {
           return videoExtensions.includes(ext);
         });
         totalVideos = videoFilesOnly.length;
-        logger.debug(`Found ${totalVideos} videos in R2`);
+        logger.debug(`Found ${totalVideos} videos in ${remote.name}`);
         for (const obj of videoFilesOnly) {
           videosSize += obj.size;
           totalSize += obj.size;
@@ -866,17 +944,17 @@ async function calculateStorageStats(storagePath) {
           return imageExtensions.includes(ext);
         });
         totalImages = imageFilesOnly.length;
-        logger.debug(`Found ${totalImages} images in R2`);
+        logger.debug(`Found ${totalImages} images in ${remote.name}`);
         for (const obj of imageFilesOnly) {
           imagesSize += obj.size;
           totalSize += obj.size;
         }
       } catch (error) {
-        logger.warn(`Failed to list objects from R2:`, error.message);
+        logger.warn(`Failed to list objects from ${remote.name}:`, error.message);
       }
     } else {
       // Fallback to local filesystem
-      logger.debug('R2 not configured, using local filesystem for storage stats');
+      logger.debug('No remote storage configured, using local filesystem for storage stats');
 
       // Validate and resolve storage path with error handling
       let basePath;
@@ -0,0 +1,263 @@
+/**
+ * Target-size search utilities
+ * Re-encodes an output with progressively smaller settings until it fits under a size limit
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { botConfig } from './config.js';
+import { ValidationError } from './errors.js';
+import { formatSizeMb } from './gif-optimizer.js';
+import { logOperationStep } from './operations-tracker.js';
+
+// Allowed range for the target_size option, in megabytes
+export const TARGET_SIZE_LIMITS = {
+  minMb: 0.5,
+  maxMb: 100,
+};
+
+// Lossy levels tried by /optimize, best quality first (optimizeGif accepts 0-100)
+const LOSSY_STEP = 10;
+
+// Per-level reductions for /convert, applied cumulatively to the starting settings
+const WIDTH_FACTOR = 0.82;
+const FPS_FACTOR = 0.88;
+const MIN_WIDTH = 16;
+const MIN_FPS = 5;
+const PALETTE_LADDER = [256, 224, 192, 160, 128, 96, 64];
+const CONVERT_LEVELS = 12;
+
+/**
+ * Parse a target size in megabytes
+ * @param {string|number|null|undefined} value - Target size in MB
+ * @returns {{bytes: number|null, error: string|null}} Result object
+ *
+ * @example
+ * parseTargetSize(8)     // { bytes: 8388608, error: null }
+ * parseTargetSize(null)  // { bytes: null, error: null }
+ * parseTargetSize(0.1)   // { bytes: null, error: 'target size must be between 0.5 and 100 mb' }
+ */
+export function parseTargetSize(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { bytes: null, error: null };
+  }
+
+  const mb = Number(String(value).trim());
+  const { minMb, maxMb } = TARGET_SIZE_LIMITS;
+  if (!Number.isFinite(mb) || mb < minMb || mb > maxMb) {
+    return { bytes: null, error: `target size must be between ${minMb} and ${maxMb} mb` };
+  }
+
+  return { bytes: Math.floor(mb * 1024 * 1024), error: null };
+}
+
+/**
+ * Build lossy candidates for /optimize, from the starting level up to 100
+ * @param {number|null} [startLossy] - Lossy level requested by the user (default: 10)
+ * @returns {Array<{lossy: number}>} Candidates ordered from best quality to smallest output
+ */
+export function buildLossyCandidates(startLossy = null) {
+  const start = Math.min(Math.max(startLossy ?? LOSSY_STEP, 0), 100);
+  const candidates = [];
+  for (let lossy = start; lossy < 100; lossy += LOSSY_STEP) {
+    candidates.push({ lossy });
+  }
+  candidates.push({ lossy: 100 });
+  return candidates;
+}
+
+/**
+ * Build width, fps and palette candidates for /convert
+ * The first candidate is the starting settings; each later one shrinks the output further
+ * @param {Object} base - Starting settings
+ * @param {number} base.width - Starting output width in pixels
+ * @param {number|null} [base.fps] - Starting frame rate (null for still images)
+ * @returns {Array<{width: number, fps: number|null, maxColors: number}>} Candidates ordered from best quality to smallest output
+ */
+export function buildConvertCandidates({ width, fps = null }) {
+  const candidates = [];
+  for (let level = 0; level < CONVERT_LEVELS; level++) {
+    const candidate = {
+      width: Math.max(MIN_WIDTH, Math.round(width * WIDTH_FACTOR ** level)),
+      fps:
+        fps === null
+          ? null
+          : Math.max(Math.min(MIN_FPS, fps), Math.round(fps * FPS_FACTOR ** level)),
+      maxColors: PALETTE_LADDER[Math.min(level, PALETTE_LADDER.length - 1)],
+    };
+
+    // Stop once every setting has bottomed out
+    const previous = candidates[candidates.length - 1];
+    if (
+      previous &&
+      previous.width === candidate.width &&
+      previous.fps === candidate.fps &&
+      previous.maxColors === candidate.maxColors
+    ) {
+      break;
+    }
+    candidates.push(candidate);
+  }
+  return candidates;
+}
+
+/**
+ * Search candidates for the best-quality output that fits under a target size
+ * Tries the best candidate, then the smallest, then binary-searches between them.
+ * Output size is assumed to shrink along the candidate list.
+ * @param {Object} params - Search parameters
+ * @param {Array<Object>} params.candidates - Candidates ordered from best quality to smallest output
+ * @param {number} params.targetBytes - Maximum output size in bytes
+ * @param {number} params.maxAttempts - Maximum number of renders (at least 2)
+ * @param {Function} params.render - async (candidate, attempt) => {size, path}; renders one candidate
+ * @param {Function} [params.onAttempt] - (result) => void; called after each render
+ * @returns {Promise<{fits: boolean, best: Object|null, attempts: Array<Object>}>} Search result; best is the chosen attempt (smallest output if nothing fits)
+ */
+export async function searchTargetSize({
+  candidates,
+  targetBytes,
+  maxAttempts,
+  render,
+  onAttempt = null,
+}) {
+  const attempts = [];
+  let best = null;
+  let smallest = null;
+
+  const tryIndex = async index => {
+    const candidate = candidates[index];
+    const output = await render(candidate, attempts.length + 1);
+    const result = {
+      attempt: attempts.length + 1,
+      index,
+      candidate,
+      size: output.size,
+      path: output.path,
+      fits: output.size <= targetBytes,
+    };
+    attempts.push(result);
+    if (!smallest || result.size < smallest.size) {
+      smallest = result;
+    }
+    if (result.fits && (!best || index < best.index)) {
+      best = result;
+    }
+    if (onAttempt) {
+      onAttempt(result);
+    }
+    return result.fits;
+  };
+
+  if (candidates.length === 0) {
+    return { fits: false, best: null, attempts };
+  }
+
+  const attemptLimit = Math.max(2, maxAttempts);
+  const last = candidates.length - 1;
+
+  // Starting settings already fit: nothing to search
+  if (await tryIndex(0)) {
+    return { fits: true, best, attempts };
+  }
+
+  // Even the smallest settings are too large: give up early
+  if (last === 0 || !(await tryIndex(last))) {
+    return { fits: false, best: smallest, attempts };
+  }
+
+  // Binary search for the first candidate that fits (index 0 is too large, `last` fits)
+  let low = 1;
+  let high = last - 1;
+  while (low <= high && attempts.length < attemptLimit) {
+    const mid = Math.floor((low + high) / 2);
+    if (await tryIndex(mid)) {
+      high = mid - 1;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return { fits: true, best, attempts };
+}
+
+/**
+ * Render candidates until one fits under the target size and copy it to the output path
+ * Each attempt is recorded as a `target_size_attempt` operation step
+ * @param {Object} params - Render parameters
+ * @param {string} params.operationId - Operation ID for step logging
+ * @param {number} params.targetBytes - Maximum output size in bytes
+ * @param {Array<Object>} params.candidates - Candidates ordered from best quality to smallest output
+ * @param {string} params.outputPath - Where to write the chosen output
+ * @param {string} [params.extension] - Extension for attempt files, which picks the FFmpeg muxer (default: '.gif')
+ * @param {Array<string>} params.tempFiles - Temp file list; attempt outputs are added for cleanup
+ * @param {Function} params.render - async (candidate, attemptPath) => void; writes one attempt
+ * @returns {Promise<Object>} The chosen attempt ({attempt, candidate, size, path, fits})
+ * @throws {ValidationError} If no candidate fits within the attempt limit
+ */
+export async function renderToTargetSize({
+  operationId,
+  targetBytes,
+  candidates,
+  outputPath,
+  extension = '.gif',
+  tempFiles,
+  render,
+}) {
+  const maxAttempts = botConfig.targetSizeMaxAttempts;
+  const tempDir = path.join(process.cwd(), 'temp');
+  await fs.mkdir(tempDir, { recursive: true });
+  // Unique per run, so concurrent conversions never write to each other's attempt files
+  const runId = crypto.randomUUID();
+
+  logOperationStep(operationId, 'target_size_start', 'running', {
+    message: `Searching for settings under ${formatSizeMb(targetBytes)}`,
+    metadata: { targetSize: targetBytes, candidates: candidates.length, maxAttempts },
+  });
+
+  const result = await searchTargetSize({
+    candidates,
+    targetBytes,
+    maxAttempts,
+    render: async (candidate, attempt) => {
+      const attemptPath = path.join(tempDir, `target_${runId}_${attempt}${extension}`);
+      tempFiles.push(attemptPath);
+      await render(candidate, attemptPath);
+      const stats = await fs.stat(attemptPath);
+      return { size: stats.size, path: attemptPath };
+    },
+    onAttempt: ({ attempt, candidate, size, fits }) => {
+      logOperationStep(operationId, 'target_size_attempt', fits ? 'success' : 'running', {
+        message: `Attempt ${attempt}: ${formatSizeMb(size)} (${fits ? 'fits' : 'too large'})`,
+        metadata: { attempt, ...candidate, size, targetSize: targetBytes, fits },
+      });
+    },
+  });
+
+  if (!result.fits) {
+    logOperationStep(operationId, 'target_size_complete', 'error', {
+      message: `No settings fit under ${formatSizeMb(targetBytes)}`,
+      metadata: {
+        targetSize: targetBytes,
+        attempts: result.attempts.length,
+        smallestSize: result.best?.size ?? null,
+      },
+    });
+    throw new ValidationError(
+      `could not get the output under ${formatSizeMb(targetBytes)} after ${result.attempts.length} attempts (smallest: ${formatSizeMb(result.best?.size ?? 0)}). try a shorter clip, a smaller crop, or a larger target size.`
+    );
+  }
+
+  await fs.copyFile(result.best.path, outputPath);
+  logOperationStep(operationId, 'target_size_complete', 'success', {
+    message: `Found settings under ${formatSizeMb(targetBytes)} after ${result.attempts.length} attempts`,
+    metadata: {
+      ...result.best.candidate,
+      size: result.best.size,
+      targetSize: targetBytes,
+      attempts: result.attempts.length,
+    },
+  });
+
+  return result.best;
+}
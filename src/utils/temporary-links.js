@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { r2Config } from './config.js';
+import { getTemporaryUploadsByR2Key } from './database.js';
+import { getRemoteStorageDriver } from './storage-driver.js';
+
+const logger = createLogger('temporary-links');
+
+// Path of the signed link redirect on the stats server
+export const SIGNED_LINK_PATH = '/files';
+
+// Signed links redirect to a storage URL that is only valid this long, so the URL the browser
+// ends up on can't be passed around instead of the link
+const REDIRECT_TTL_SECONDS = 300;
+
+/**
+ * Compute the signature of a signed link
+ * @param {string} key - Storage key
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @param {string} secret - R2_LINK_SIGNING_SECRET
+ * @returns {string} Base64url HMAC-SHA256 signature
+ */
+export function signLink(key, expires, secret) {
+  return crypto.createHmac('sha256', secret).update(`${key}\n${expires}`).digest('base64url');
+}
+
+/**
+ * Build a signed link to a stored file
+ * @param {string} key - Storage key
+ * @param {number} expiresAt - Expiry as a Unix timestamp in milliseconds
+ * @param {Object} options - Link settings
+ * @param {string} options.baseUrl - Public URL of the stats server
+ * @param {string} options.secret - Signing secret
+ * @returns {string} Link that stops working at expiresAt
+ */
+export function createSignedLink(key, expiresAt, { baseUrl, secret }) {
+  const expires = Math.floor(expiresAt / 1000);
+  const signature = signLink(key, expires, secret);
+  return `${baseUrl}${SIGNED_LINK_PATH}/${key}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a signed link
+ * @param {string} key - Storage key from the link path
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @param {Object} options - Check settings
+ * @param {string} options.secret - Signing secret
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {'valid'|'expired'|'invalid'} Link status
+ */
+export function verifySignedLink(key, expires, signature, { secret, now = Date.now() }) {
+  if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string') {
+    return 'invalid';
+  }
+
+  const provided = Buffer.from(signature);
+  const expected = Buffer.from(signLink(key, Number(expires), secret));
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return 'invalid';
+  }
+  return Number(expires) * 1000 <= now ? 'expired' : 'valid';
+}
+
+/**
+ * Get when a temporary upload is deleted
+ * A file shared several times is only deleted once the last of its uploads expires
+ * @param {string} key - Storage key
+ * @returns {Promise<number|null>} Expiry as a Unix timestamp in milliseconds, or null if the file
+ *   isn't tracked as a temporary upload
+ */
+export async function getTemporaryUploadExpiry(key) {
+  const uploads = await getTemporaryUploadsByR2Key(key);
+  const pending = uploads.filter(upload => upload.deleted_at === null);
+  return pending.length > 0 ? Math.max(...pending.map(upload => upload.expires_at)) : null;
+}
+
+/**
+ * Get the link to hand out for a temporary upload
+ * @param {string} url - Public URL of the file
+ * @param {Object} [options] - Link settings
+ * @param {Object} [options.config] - R2 configuration (temporary upload settings)
+ * @param {Object|null} [options.remote] - Remote storage driver
+ * @param {Function} [options.getExpiry] - Looks up the expiry of a storage key
+ * @returns {Promise<{url: string, expiresAt: number|null}>} Link and its expiry in milliseconds,
+ *   or the URL unchanged with no expiry when it isn't a file in remote storage
+ */
+export async function getTemporaryLink(
+  url,
+  {
+    config = r2Config,
+    remote = getRemoteStorageDriver(),
+    getExpiry = getTemporaryUploadExpiry,
+  } = {}
+) {
+  const key = remote?.keyFromUrl(url);
+  if (!key) {
+    return { url, expiresAt: null };
+  }
+
+  // Files that aren't tracked (yet) are deleted a full TTL from now at the latest
+  const ttlMs = config.tempUploadTtlHours * 60 * 60 * 1000;
+  const expiresAt = (await getExpiry(key)) ?? Date.now() + ttlMs;
+
+  if (config.tempUploadLinks === 'presigned') {
+    const expiresIn = Math.max(1, Math.floor((expiresAt - Date.now()) / 1000));
+    return { url: await remote.signedUrl(key, { expiresIn }), expiresAt };
+  }
+  if (config.tempUploadLinks === 'signed') {
+    const link = createSignedLink(key, expiresAt, {
+      baseUrl: config.linkBaseUrl,
+      secret: config.linkSigningSecret,
+    });
+    return { url: link, expiresAt };
+  }
+  return { url, expiresAt };
+}
+
+/**
+ * Create the Express handler behind signed links (GET /files/*key on the stats server)
+ * Valid links redirect to a short-lived storage URL, expired ones get a 410
+ * @param {Object} [options] - Handler settings
+ * @param {Object} [options.config] - R2 configuration (temporary upload settings)
+ * @param {Object|null} [options.remote] - Remote storage driver
+ * @returns {Function} Express request handler
+ */
+export function createSignedLinkHandler({
+  config = r2Config,
+  remote = getRemoteStorageDriver(),
+} = {}) {
+  return async (req, res) => {
+    const key = [].concat(req.params.key).join('/');
+    const { expires, signature } = req.query;
+    res.set('Cache-Control', 'no-store');
+
+    const status = verifySignedLink(key, expires, signature, { secret: config.linkSigningSecret });
+    if (status === 'invalid') {
+      return res.status(403).json({ error: 'invalid link' });
+    }
+    if (status === 'expired') {
+      return res.status(410).json({ error: 'this link has expired' });
+    }
+    if (!remote) {
+      return res.status(404).json({ error: 'file not found' });
+    }
+
+    try {
+      const remaining = Math.floor((Number(expires) * 1000 - Date.now()) / 1000);
+      const target = await remote.signedUrl(key, {
+        expiresIn: Math.max(1, Math.min(remaining, REDIRECT_TTL_SECONDS)),
+      });
+      return res.redirect(302, target);
+    } catch (error) {
+      logger.error(`Failed to sign storage URL for ${key}: ${error.message}`);
+      return res.status(500).json({ error: 'failed to open file' });
+    }
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Self-service deletion of user data
+ * Lets users delete their own files and erase everything stored about them, without going
+ * through the moderation routes. Every deletion is recorded in the audit log with the
+ * Discord user as the actor.
+ */
+import path from 'path';
+import { createLogger } from './logger.js';
+import { botConfig } from './config.js';
+import { getRemoteStorageDriver, getLocalStorageDriver, getStorageKey } from './storage-driver.js';
+import { detectFileType, deleteMediaPreviews, invalidateStatsCache } from './storage.js';
+import {
+  countProcessedUrlsByFile,
+  deleteMediaFingerprint,
+  deleteProcessedUrlAndUploads,
+  deleteUserRecords,
+  getUserMedia,
+  insertAuditEvent,
+} from './database.js';
+import { invalidateUserPreferencesCache } from './user-preferences.js';
+import { forgetRecentConversions } from './user-tracking.js';
+
+const logger = createLogger('user-data');
+
+/**
+ * Record an audit event for a Discord user acting on their own data
+ * Failures are logged rather than thrown so an audit outage never leaves a deletion half done.
+ * @param {Object} user - Discord user
+ * @param {Object} event - Event fields accepted by insertAuditEvent (without actor)
+ * @returns {Promise<void>}
+ */
+async function recordUserAuditEvent(user, event) {
+  try {
+    await insertAuditEvent({
+      actorId: user.id,
+      actorName: user.tag || user.username || null,
+      actorRole: 'user',
+      targetUserId: user.id,
+      ...event,
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${event.action}:`, error);
+  }
+}
+
+/**
+ * Delete a stored file once no processed URL points to it any more
+ * The same file can be shared by several links and users, so it stays while it is in use
+ * @param {Object} record - processed_urls row that was just deleted
+ * @returns {Promise<{stored: boolean, r2Key: string|null, r2Error: string|null}>} What was deleted
+ */
+async function deleteStoredFile(record) {
+  const extension = record.file_extension || path.extname(record.file_url.split('?')[0]);
+  const remote = getRemoteStorageDriver();
+  const r2Key = remote?.keyFromUrl(record.file_url) ?? null;
+
+  if ((await countProcessedUrlsByFile(record.file_hash, record.file_extension)) > 0) {
+    return { stored: false, r2Key, r2Error: null };
+  }
+
+  // Delete from remote storage (ignore errors if file doesn't exist)
+  let r2Error = null;
+  if (r2Key) {
+    try {
+      await remote.delete(r2Key);
+    } catch (error) {
+      r2Error = error.message;
+      logger.warn(
+        `Failed to delete from ${remote.name} (may already be deleted): ${error.message}`
+      );
+    }
+  }
+
+  if (extension) {
+    await getLocalStorageDriver(botConfig.gifStoragePath).delete(
+      getStorageKey(record.file_hash, detectFileType(extension), extension)
+    );
+    await deleteMediaFingerprint(record.file_hash, extension);
+  }
+  await deleteMediaPreviews(record.file_hash, botConfig.gifStoragePath);
+  invalidateStatsCache(botConfig.gifStoragePath);
+
+  return { stored: true, r2Key, r2Error };
+}
+
+/**
+ * Delete one of a user's files: its processed URL, and the stored file if nothing else uses it
+ * @param {Object} record - processed_urls row
+ * @returns {Promise<Object>} {databaseDeleted, stored, r2Key, r2Error}
+ */
+async function deleteFile(record) {
+  const databaseDeleted = await deleteProcessedUrlAndUploads(record.url_hash);
+
+  const result = databaseDeleted
+    ? await deleteStoredFile(record)
+    : {
+        stored: false,
+        r2Key: getRemoteStorageDriver()?.keyFromUrl(record.file_url) ?? null,
+        r2Error: null,
+      };
+  return { databaseDeleted, ...result };
+}
+
+/**
+ * Snapshot a processed URL record before it is deleted
+ * @param {Object} record - processed_urls row
+ * @param {string|null} r2Key - R2 key of the file
+ * @returns {Object} Fields worth keeping in the audit log
+ */
+function snapshotFile(record, r2Key) {
+  return {
+    url_hash: record.url_hash,
+    file_hash: record.file_hash,
+    file_type: record.file_type,
+    file_url: record.file_url,
+    file_size: record.file_size,
+    user_id: record.user_id,
+    processed_at: record.processed_at,
+    r2_key: r2Key,
+  };
+}
+
+/**
+ * Delete a file a user made, at their request
+ * @param {Object} user - Discord user (must own the record)
+ * @param {Object} record - processed_urls row
+ * @returns {Promise<boolean>} True if the file was deleted
+ */
+export async function deleteUserFile(user, record) {
+  if (record.user_id !== user.id) {
+    throw new Error('Users can only delete their own files.');
+  }
+
+  const { databaseDeleted, stored, r2Key, r2Error } = await deleteFile(record);
+  await recordUserAuditEvent(user, {
+    action: 'media.delete',
+    status: databaseDeleted ? 'success' : 'failed',
+    targetType: 'media',
+    targetId: record.url_hash,
+    targetR2Key: r2Key,
+    before: snapshotFile(record, r2Key),
+    after: { source: 'self', databaseDeleted, storedFileDeleted: stored, r2Error },
+  });
+
+  logger.info(
+    `User ${user.id} deleted their file ${record.url_hash.substring(0, 8)}...${stored ? '' : ' (stored file still in use)'}`
+  );
+  return databaseDeleted;
+}
+
+/**
+ * Erase everything stored about a user at their request
+ * Deletes their files and processed URLs, then their user record, metrics, preferences,
+ * alerts, finished jobs and operation logs. Quota usage of the last day is kept so erasing data
+ * doesn't reset quotas. The audit event only keeps counts.
+ * @param {Object} user - Discord user
+ * @returns {Promise<Object>} {files, filesDeleted, storedFilesDeleted, r2Failed, records}
+ */
+export async function forgetUser(user) {
+  const media = await getUserMedia(user.id);
+
+  let filesDeleted = 0;
+  let storedFilesDeleted = 0;
+  let r2Failed = 0;
+  for (const record of media) {
+    try {
+      const result = await deleteFile({ ...record, user_id: user.id });
+      if (result.databaseDeleted) filesDeleted++;
+      if (result.stored) storedFilesDeleted++;
+      if (result.r2Error) r2Failed++;
+    } catch (error) {
+      logger.error(`Failed to delete file ${record.url_hash} of user ${user.id}:`, error);
+    }
+  }
+
+  const records = await deleteUserRecords(user.id);
+  invalidateUserPreferencesCache(user.id);
+  forgetRecentConversions(user.id);
+
+  const summary = {
+    files: media.length,
+    filesDeleted,
+    storedFilesDeleted,
+    r2Failed,
+    records,
+  };
+  await recordUserAuditEvent(user, {
+    action: 'user.forget',
+    // The user asked to be forgotten, so only their ID is kept
+    actorName: null,
+    status: filesDeleted === media.length ? 'success' : 'failed',
+    targetType: 'user',
+    targetId: user.id,
+    after: summary,
+  });
+
+  logger.info(
+    `User ${user.id} erased their data: ${filesDeleted}/${media.length} files, ${storedFilesDeleted} stored files, ${records.operation_logs} operation logs`
+  );
+  return summary;
+}
@@ -0,0 +1,178 @@
+import { createLogger } from './logger.js';
+import { getUserPreferencesRecord } from './database.js';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } from './conversion-options.js';
+import {
+  getGuildSettings,
+  getGuildReplyOptions,
+  getDiscordUploadLimit,
+  parseSettingValue,
+} from './guild-settings.js';
+
+const logger = createLogger('user-preferences');
+
+// How long resolved user preferences are reused before reading the database again
+const CACHE_TTL = 60 * 1000;
+
+// Preference columns mapped to their camelCase names and accepted values
+export const USER_PREFERENCES = {
+  quality: { key: 'quality', type: 'choice', choices: ['low', 'medium', 'high'] },
+  lossy: { key: 'lossy', type: 'integer', min: 0, max: 100 },
+  auto_optimize: { key: 'autoOptimize', type: 'boolean' },
+  output_format: { key: 'outputFormat', type: 'choice', choices: Object.keys(OUTPUT_FORMATS) },
+  ephemeral_replies: { key: 'ephemeralReplies', type: 'boolean' },
+  always_use_r2: { key: 'alwaysUseR2', type: 'boolean' },
+};
+
+// Resolved preferences per user: Map<userId, {preferences, timestamp}>
+const preferencesCache = new Map();
+
+/**
+ * Resolve the preferences of a user
+ * Unlike guild settings there are no defaults here: unset preferences stay null so the
+ * command option, guild setting or global default decides instead
+ * @param {Object|null} record - User preferences record (null when the user has none)
+ * @returns {Object} Preferences keyed by camelCase name (null = no preference)
+ */
+export function resolveUserPreferences(record) {
+  return Object.fromEntries(
+    Object.entries(USER_PREFERENCES).map(([field, { key }]) => [key, record?.[field] ?? null])
+  );
+}
+
+/**
+ * Validate a full set of user preferences
+ * Preferences missing from the input are stored as null (no preference)
+ * @param {Object} input - Preference values keyed by column
+ * @returns {{valid: boolean, error?: string, preferences?: Object}} Validation result
+ */
+export function parseUserPreferences(input) {
+  const preferences = {};
+  for (const field of Object.keys(USER_PREFERENCES)) {
+    const { value, error } = parseSettingValue(USER_PREFERENCES, field, input[field]);
+    if (error) {
+      return { valid: false, error };
+    }
+    preferences[field] = value;
+  }
+  return { valid: true, preferences };
+}
+
+/**
+ * Get the preferences of a user, cached for a minute
+ * Lookup failures behave as if the user had no preferences
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object>} Preferences (see resolveUserPreferences)
+ */
+export async function getUserPreferences(userId) {
+  const cached = preferencesCache.get(userId);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.preferences;
+  }
+
+  let record;
+  try {
+    record = await getUserPreferencesRecord(userId);
+  } catch (error) {
+    logger.warn(`Failed to load preferences for user ${userId}, ignoring them:`, error.message);
+    return resolveUserPreferences(null);
+  }
+
+  const preferences = resolveUserPreferences(record);
+  preferencesCache.set(userId, { preferences, timestamp: Date.now() });
+  return preferences;
+}
+
+/**
+ * Forget the cached preferences of a user after they change
+ * @param {string} userId - Discord user ID
+ */
+export function invalidateUserPreferencesCache(userId) {
+  preferencesCache.delete(userId);
+}
+
+/**
+ * Fill the conversion options a user left out with their preferences
+ * Options given on the command always win. Optimization only applies to gif output, so
+ * auto_optimize and lossy are skipped for other formats, and an explicit optimize or lossy
+ * option skips a preferred non-gif format instead of failing the command. A preferred mp4 is
+ * skipped for still images the same way, since they have a single frame
+ * @param {Object} options - Command options (null = omitted)
+ * @param {string|null} options.quality - Quality preset
+ * @param {boolean|null} options.optimize - Whether to optimize the gif
+ * @param {number|null} options.lossy - Lossy level
+ * @param {string|null} options.format - Output format
+ * @param {Object} preferences - User preferences (see resolveUserPreferences)
+ * @param {Object} [input] - What is being converted
+ * @param {boolean} [input.stillImage=false] - Whether the input is a still image
+ * @returns {{quality: string|null, optimize: boolean, lossy: number|null, format: string|null}} Options to use
+ */
+export function applyConvertPreferences(options, preferences, { stillImage = false } = {}) {
+  const wantsOptimization = options.optimize === true || options.lossy !== null;
+  const preferredFormat =
+    stillImage && preferences.outputFormat === 'mp4' ? null : preferences.outputFormat;
+  const format = options.format ?? (wantsOptimization ? null : preferredFormat);
+  const isGifOutput = (format ?? DEFAULT_OUTPUT_FORMAT) === 'gif';
+
+  const optimize = options.optimize ?? (isGifOutput && preferences.autoOptimize === true);
+  const lossy = options.lossy ?? (isGifOutput && optimize ? preferences.lossy : null);
+
+  return {
+    quality: options.quality ?? preferences.quality,
+    optimize,
+    lossy,
+    format,
+  };
+}
+
+/**
+ * Build the defer options for a command reply
+ * Replies are ephemeral when the guild or the user asks for it
+ * @param {Object} settings - Effective guild settings
+ * @param {Object} preferences - User preferences
+ * @returns {Object} Options for safeInteractionDeferReply
+ */
+export function getReplyOptions(settings, preferences) {
+  return getGuildReplyOptions({
+    ephemeralReplies: settings.ephemeralReplies || preferences.ephemeralReplies === true,
+  });
+}
+
+/**
+ * Build the defer options for the reply to an interaction
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {Promise<Object>} Options for safeInteractionDeferReply
+ */
+export async function getInteractionReplyOptions(interaction) {
+  const [settings, preferences] = await Promise.all([
+    getGuildSettings(interaction.guildId),
+    getUserPreferences(interaction.user.id),
+  ]);
+  return getReplyOptions(settings, preferences);
+}
+
+/**
+ * Get the largest file a user receives as a Discord attachment
+ * @param {Object} settings - Effective guild settings
+ * @param {Object} preferences - User preferences
+ * @returns {number|null} Limit in bytes (0 = always link to R2), or null to keep the storage default
+ */
+export function getUploadLimit(settings, preferences) {
+  return preferences.alwaysUseR2 === true ? 0 : getDiscordUploadLimit(settings);
+}
+
+/**
+ * Format user preferences for display
+ * @param {Object} preferences - User preferences
+ * @returns {string} One line per preference
+ */
+export function formatUserPreferences(preferences) {
+  return Object.entries(USER_PREFERENCES)
+    .map(([field, { key }]) => {
+      const value = preferences[key];
+      if (value === null) {
+        return `**${field}**: not set`;
+      }
+      return `**${field}**: ${typeof value === 'boolean' ? (value ? 'on' : 'off') : value}`;
+    })
+    .join('\n');
+}
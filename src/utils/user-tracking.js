@@ -102,3 +102,12 @@ export function getRecentConversions(userId) {
 
   return recentConversions.get(userId) || [];
 }
+
+/**
+ * Forget the recent conversions of a user
+ * @param {string} userId - Discord user ID
+ * @returns {void}
+ */
+export function forgetRecentConversions(userId) {
+  recentConversions.delete(userId);
+}
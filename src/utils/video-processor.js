@@ -7,6 +7,12 @@ export { convertToGif } from './video-processor/convert-to-gif.js';
 // Image to GIF conversion
 export { convertImageToGif } from './video-processor/convert-image-to-gif.js';
 
+// Video, GIF or image to animated WebP, APNG or MP4 conversion
+export { convertToAnimation } from './video-processor/convert-to-animation.js';
+
+// Photos and clips from a multi-item post to one MP4 slideshow
+export { createSlideshow } from './video-processor/create-slideshow.js';
+
 // Video trimming
 export { trimVideo } from './video-processor/trim-video.js';
 
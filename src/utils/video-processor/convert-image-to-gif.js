@@ -2,22 +2,40 @@ import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs/promises';
 import path from 'path';
 import { createLogger } from '../logger.js';
-import { validateNumericParameter, checkFFmpegInstalled, sanitizeFFmpegStderr } from './utils.js';
+import {
+  validateNumericParameter,
+  buildCropFilter,
+  buildEffectFilters,
+  GIF_EFFECT_MAX_FPS,
+  prepareCaption,
+  cleanupCaptionFiles,
+  checkFFmpegInstalled,
+  sanitizeFFmpegStderr,
+} from './utils.js';
 
 const logger = createLogger('convert-image-to-gif');
 
 /**
  * Convert image file to GIF using FFmpeg
+ * Also re-encodes animated GIFs, which is where playback effects apply
  * @param {string} inputPath - Path to input image file
  * @param {string} outputPath - Path to output GIF file
  * @param {Object} options - Conversion options
  * @param {number} options.width - Output width in pixels (default: 720)
+ * @param {Object|null} options.crop - Source region to crop before scaling: {x, y, width, height} (optional)
+ * @param {number|null} options.maxColors - Palette size (2-256), overrides the quality preset's palette (optional)
+ * @param {{text: string, position: string}|null} options.caption - Caption drawn after scaling (optional)
+ * @param {string} options.captionFont - Font file for captions (required when caption is set)
+ * @param {{type: string, speed: number|null}|null} options.effect - Playback effect for animated GIF input: reverse, boomerang or speed (optional)
  * @param {string} options.quality - Quality preset: 'low', 'medium', 'high' (optional, uses botConfig.gifQuality default: 'medium')
  * @returns {Promise<void>}
  */
 export async function convertImageToGif(inputPath, outputPath, options = {}) {
   // Validate and sanitize numeric parameters
   const width = validateNumericParameter(options.width ?? 720, 'width', 1, 4096);
+  const cropFilter = buildCropFilter(options.crop);
+  const effect = buildEffectFilters(options.effect, { capFps: GIF_EFFECT_MAX_FPS });
+  const maxColors = validateNumericParameter(options.maxColors ?? null, 'maxColors', 2, 256, true);
   const quality = options.quality;
 
   // Validate quality preset
@@ -27,7 +45,7 @@ export async function convertImageToGif(inputPath, outputPath, options = {}) {
   }
 
   logger.info(
-    `Starting image to GIF conversion: ${inputPath} -> ${outputPath} (width: ${width}, quality: ${quality})`
+    `Starting image to GIF conversion: ${inputPath} -> ${outputPath} (width: ${width}, quality: ${quality}${cropFilter ? `, ${cropFilter}` : ''}${options.effect ? `, effect: ${options.effect.type}` : ''})`
   );
 
   // Check if FFmpeg is installed
@@ -66,18 +84,36 @@ export async function convertImageToGif(inputPath, outputPath, options = {}) {
   };
 
   const dither = qualityPresets[quality] || qualityPresets.medium;
-  const paletteGen = palettePresets[quality] || palettePresets.medium;
+  const paletteGen =
+    maxColors !== null
+      ? `palettegen=max_colors=${Math.round(maxColors)}:reserve_transparent=0:stats_mode=diff`
+      : palettePresets[quality] || palettePresets.medium;
 
-  return new Promise((resolve, reject) => {
-    // Create temporary palette file in temp directory (same directory as input)
-    const tempDir = path.dirname(inputPath);
-    const paletteFilename = path.basename(outputPath) + '.palette.png';
-    const palettePath = path.join(tempDir, paletteFilename);
+  // Create temporary palette and caption files in temp directory (same directory as input)
+  const tempDir = path.dirname(inputPath);
+  const paletteFilename = path.basename(outputPath) + '.palette.png';
+  const palettePath = path.join(tempDir, paletteFilename);
+  const caption = await prepareCaption(options.caption, {
+    width,
+    fontPath: options.captionFont,
+    basePath: path.join(tempDir, path.basename(outputPath)),
+  });
 
+  // Crop runs before scale so the requested width applies to the cropped region
+  // Captions run after scale so text size follows the output width
+  const frameFilters = [
+    ...effect.before,
+    cropFilter,
+    `scale=${width}:-1:flags=lanczos`,
+    ...caption.filters,
+    ...effect.after,
+  ].filter(Boolean);
+
+  return new Promise((resolve, reject) => {
     // Two-pass conversion for better quality
     // Pass 1: Generate palette
     ffmpeg(inputPath)
-      .videoFilters([`scale=${width}:-1:flags=lanczos`, paletteGen])
+      .videoFilters([...frameFilters, paletteGen])
       .outputOptions([
         '-y', // Overwrite output file
         '-update',
@@ -86,8 +122,9 @@ export async function convertImageToGif(inputPath, outputPath, options = {}) {
         '1', // Write only 1 frame
       ])
       .output(palettePath)
-      .on('error', (err, stdout, stderr) => {
+      .on('error', async (err, stdout, stderr) => {
         logger.error('FFmpeg pass 1 (palette) failed for image:', sanitizeFFmpegStderr(stderr));
+        await cleanupCaptionFiles(caption.files);
         reject(new Error(`Palette generation failed: ${err.message}`));
       })
       .on('end', () => {
@@ -96,7 +133,7 @@ export async function convertImageToGif(inputPath, outputPath, options = {}) {
         ffmpeg(inputPath)
           .input(palettePath)
           .complexFilter([
-            `[0:v]scale=${width}:-1:flags=lanczos[v]`,
+            `[0:v]${frameFilters.join(',')}[v]`,
             `[v][1:v]paletteuse=dither=${dither}`,
           ])
           .outputOptions([
@@ -112,12 +149,13 @@ export async function convertImageToGif(inputPath, outputPath, options = {}) {
               'FFmpeg pass 2 (conversion) failed for image:',
               sanitizeFFmpegStderr(stderr)
             );
-            // Clean up palette file on error
+            // Clean up palette and caption files on error
             try {
               await fs.unlink(palettePath);
             } catch {
               // Ignore cleanup errors
             }
+            await cleanupCaptionFiles(caption.files);
             reject(new Error(`GIF conversion failed: ${err.message}`));
           })
           .on('end', async () => {
@@ -127,6 +165,7 @@ export async function convertImageToGif(inputPath, outputPath, options = {}) {
             } catch (error) {
               logger.warn('Failed to delete palette file:', error.message);
             }
+            await cleanupCaptionFiles(caption.files);
             logger.debug(`Image to GIF conversion completed: ${outputPath}`);
             resolve();
           })
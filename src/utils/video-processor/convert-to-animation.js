@@ -0,0 +1,176 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../logger.js';
+import {
+  validateNumericParameter,
+  buildCropFilter,
+  buildEffectFilters,
+  prepareCaption,
+  cleanupCaptionFiles,
+  checkFFmpegInstalled,
+  sanitizeFFmpegStderr,
+} from './utils.js';
+
+const logger = createLogger('convert-to-animation');
+
+// Encoder settings per output format and quality preset
+// WebP uses the encoder quality (0-100), MP4 uses x264 CRF (lower is better), APNG is lossless
+const formatPresets = {
+  webp: quality => [
+    '-c:v',
+    'libwebp',
+    '-lossless',
+    '0',
+    '-q:v',
+    String({ low: 50, medium: 70, high: 85 }[quality]),
+    '-loop',
+    '0', // Infinite loop
+  ],
+  apng: () => [
+    '-c:v',
+    'apng',
+    '-f',
+    'apng',
+    '-plays',
+    '0', // Infinite loop
+  ],
+  mp4: quality => [
+    '-c:v',
+    'libx264',
+    '-preset',
+    'veryfast',
+    '-crf',
+    String({ low: 32, medium: 26, high: 20 }[quality]),
+    '-pix_fmt',
+    'yuv420p', // Widest player support
+    '-movflags',
+    '+faststart',
+  ],
+};
+
+/**
+ * Convert a video, GIF or image to animated WebP, APNG or a muted MP4 using FFmpeg
+ * @param {string} inputPath - Path to input file
+ * @param {string} outputPath - Path to output file
+ * @param {Object} options - Conversion options
+ * @param {string} options.format - Output format: 'webp', 'apng' or 'mp4'
+ * @param {number} options.width - Output width in pixels (default: 480)
+ * @param {number|null} options.fps - Frames per second (optional, keeps the source rate when omitted)
+ * @param {number|null} options.startTime - Trim start time in seconds (optional)
+ * @param {number|null} options.duration - Trim duration in seconds (optional)
+ * @param {Object|null} options.crop - Source region to crop before scaling: {x, y, width, height} (optional)
+ * @param {{text: string, position: string}|null} options.caption - Caption drawn after scaling (optional)
+ * @param {string} options.captionFont - Font file for captions (required when caption is set)
+ * @param {{type: string, speed: number|null}|null} options.effect - Playback effect: reverse, boomerang or speed (optional)
+ * @param {string} options.quality - Quality preset: 'low', 'medium', 'high'
+ * @returns {Promise<void>}
+ */
+export async function convertToAnimation(inputPath, outputPath, options = {}) {
+  const format = options.format;
+  if (!Object.hasOwn(formatPresets, format)) {
+    throw new Error(`format must be one of: ${Object.keys(formatPresets).join(', ')}`);
+  }
+
+  // Validate and sanitize numeric parameters
+  let width = validateNumericParameter(options.width ?? 480, 'width', 1, 4096);
+  const fps = validateNumericParameter(options.fps ?? null, 'fps', 0.1, 120, true);
+  const startTime = validateNumericParameter(
+    options.startTime ?? null,
+    'startTime',
+    0,
+    Infinity,
+    true
+  );
+  const duration = validateNumericParameter(
+    options.duration ?? null,
+    'duration',
+    0.1,
+    Infinity,
+    true
+  );
+  const cropFilter = buildCropFilter(options.crop);
+  const effect = buildEffectFilters(options.effect);
+  const quality = options.quality;
+
+  // Validate quality preset
+  const validQualities = ['low', 'medium', 'high'];
+  if (!validQualities.includes(quality)) {
+    throw new Error(`quality must be one of: ${validQualities.join(', ')}`);
+  }
+
+  // yuv420p needs even dimensions, so round width down and let FFmpeg pick an even height
+  const heightExpr = format === 'mp4' ? '-2' : '-1';
+  if (format === 'mp4') {
+    width = Math.max(2, Math.floor(width / 2) * 2);
+  }
+
+  logger.info(
+    `Starting ${format} conversion: ${inputPath} -> ${outputPath} (width: ${width}, fps: ${fps ?? 'source'}, quality: ${quality}${cropFilter ? `, ${cropFilter}` : ''}${options.effect ? `, effect: ${options.effect.type}` : ''})`
+  );
+
+  // Check if FFmpeg is installed
+  const ffmpegInstalled = await checkFFmpegInstalled();
+  if (!ffmpegInstalled) {
+    logger.error('FFmpeg is not installed');
+    throw new Error('FFmpeg is not installed. Please install FFmpeg to use this feature.');
+  }
+
+  // Validate input file exists
+  try {
+    await fs.access(inputPath);
+  } catch {
+    logger.error(`Input file not found: ${inputPath}`);
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+
+  // Ensure output directory exists
+  const outputDir = path.dirname(outputPath);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // Caption files live next to the input in the temp directory
+  const caption = await prepareCaption(options.caption, {
+    width,
+    fontPath: options.captionFont,
+    basePath: path.join(path.dirname(inputPath), path.basename(outputPath)),
+  });
+
+  // Crop runs before scale so the requested width applies to the cropped region
+  // Captions run after scale so text size follows the output width
+  const frameFilters = [
+    ...effect.before,
+    fps !== null ? `fps=${fps}` : null,
+    cropFilter,
+    `scale=${width}:${heightExpr}:flags=lanczos`,
+    ...caption.filters,
+    ...effect.after,
+  ].filter(Boolean);
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions(
+        [
+          startTime !== null ? `-ss ${startTime}` : null,
+          duration !== null ? `-t ${duration}` : null,
+        ].filter(Boolean)
+      )
+      .videoFilters(frameFilters)
+      .outputOptions([
+        ...formatPresets[format](quality),
+        '-an', // Drop audio so the output behaves like a GIF
+        '-y', // Overwrite output file
+      ])
+      .output(outputPath)
+      .on('error', async (err, stdout, stderr) => {
+        logger.error(`FFmpeg ${format} conversion failed:`, sanitizeFFmpegStderr(stderr));
+        await cleanupCaptionFiles(caption.files);
+        reject(new Error(`${format} conversion failed: ${err.message}`));
+      })
+      .on('end', async () => {
+        await cleanupCaptionFiles(caption.files);
+        logger.debug(`${format} conversion completed: ${outputPath}`);
+        resolve();
+      })
+      .run();
+  });
+}
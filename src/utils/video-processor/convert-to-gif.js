@@ -2,7 +2,15 @@ import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs/promises';
 import path from 'path';
 import { createLogger } from '../logger.js';
-import { validateNumericParameter, checkFFmpegInstalled, sanitizeFFmpegStderr } from './utils.js';
+import {
+  validateNumericParameter,
+  buildCropFilter,
+  buildEffectFilters,
+  prepareCaption,
+  cleanupCaptionFiles,
+  checkFFmpegInstalled,
+  sanitizeFFmpegStderr,
+} from './utils.js';
 
 const logger = createLogger('convert-to-gif');
 
@@ -15,6 +23,11 @@ const logger = createLogger('convert-to-gif');
  * @param {number} options.fps - Frames per second (default: 30)
  * @param {number|null} options.startTime - Trim start time in seconds (optional)
  * @param {number|null} options.duration - Trim duration in seconds (optional)
+ * @param {Object|null} options.crop - Source region to crop before scaling: {x, y, width, height} (optional)
+ * @param {number|null} options.maxColors - Palette size (2-256), overrides the quality preset's palette (optional)
+ * @param {{text: string, position: string}|null} options.caption - Caption drawn after scaling (optional)
+ * @param {string} options.captionFont - Font file for captions (required when caption is set)
+ * @param {{type: string, speed: number|null}|null} options.effect - Playback effect: reverse, boomerang or speed (optional)
  * @param {string} options.quality - Quality preset: 'low', 'medium', 'high' (optional, uses botConfig.gifQuality default: 'medium')
  * @returns {Promise<void>}
  */
@@ -36,6 +49,9 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
     Infinity,
     true
   );
+  const cropFilter = buildCropFilter(options.crop);
+  const effect = buildEffectFilters(options.effect);
+  const maxColors = validateNumericParameter(options.maxColors ?? null, 'maxColors', 2, 256, true);
   const quality = options.quality;
 
   // Validate quality preset
@@ -45,7 +61,7 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
   }
 
   logger.info(
-    `Starting video to GIF conversion: ${inputPath} -> ${outputPath} (width: ${width}, fps: ${fps}, quality: ${quality})`
+    `Starting video to GIF conversion: ${inputPath} -> ${outputPath} (width: ${width}, fps: ${fps}, quality: ${quality}${cropFilter ? `, ${cropFilter}` : ''}${options.effect ? `, effect: ${options.effect.type}` : ''})`
   );
 
   // Check if FFmpeg is installed
@@ -84,14 +100,33 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
   };
 
   const dither = qualityPresets[quality] || qualityPresets.medium;
-  const paletteGen = palettePresets[quality] || palettePresets.medium;
+  const paletteGen =
+    maxColors !== null
+      ? `palettegen=max_colors=${Math.round(maxColors)}:reserve_transparent=0:stats_mode=diff`
+      : palettePresets[quality] || palettePresets.medium;
 
-  return new Promise((resolve, reject) => {
-    // Create temporary palette file in temp directory (same directory as input)
-    const tempDir = path.dirname(inputPath);
-    const paletteFilename = path.basename(outputPath) + '.palette.png';
-    const palettePath = path.join(tempDir, paletteFilename);
+  // Create temporary palette and caption files in temp directory (same directory as input)
+  const tempDir = path.dirname(inputPath);
+  const paletteFilename = path.basename(outputPath) + '.palette.png';
+  const palettePath = path.join(tempDir, paletteFilename);
+  const caption = await prepareCaption(options.caption, {
+    width,
+    fontPath: options.captionFont,
+    basePath: path.join(tempDir, path.basename(outputPath)),
+  });
 
+  // Crop runs before scale so the requested width applies to the cropped region
+  // Captions run after scale so text size follows the output width
+  const frameFilters = [
+    ...effect.before,
+    `fps=${fps}`,
+    cropFilter,
+    `scale=${width}:-1:flags=lanczos`,
+    ...caption.filters,
+    ...effect.after,
+  ].filter(Boolean);
+
+  return new Promise((resolve, reject) => {
     // Two-pass conversion for better quality
     // Pass 1: Generate palette
     ffmpeg(inputPath)
@@ -101,11 +136,12 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
           duration !== null ? `-t ${duration}` : null,
         ].filter(Boolean)
       )
-      .videoFilters([`fps=${fps}`, `scale=${width}:-1:flags=lanczos`, paletteGen])
+      .videoFilters([...frameFilters, paletteGen])
       .outputOptions(['-y']) // Overwrite output file
       .output(palettePath)
-      .on('error', (err, stdout, stderr) => {
+      .on('error', async (err, stdout, stderr) => {
         logger.error('FFmpeg pass 1 (palette) failed:', sanitizeFFmpegStderr(stderr));
+        await cleanupCaptionFiles(caption.files);
         reject(new Error(`Palette generation failed: ${err.message}`));
       })
       .on('end', () => {
@@ -120,7 +156,7 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
           )
           .input(palettePath)
           .complexFilter([
-            `[0:v]fps=${fps},scale=${width}:-1:flags=lanczos[v]`,
+            `[0:v]${frameFilters.join(',')}[v]`,
             `[v][1:v]paletteuse=dither=${dither}`,
           ])
           .outputOptions([
@@ -131,12 +167,13 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
           .output(outputPath)
           .on('error', async (err, stdout, stderr) => {
             logger.error('FFmpeg pass 2 (conversion) failed:', sanitizeFFmpegStderr(stderr));
-            // Clean up palette file on error
+            // Clean up palette and caption files on error
             try {
               await fs.unlink(palettePath);
             } catch {
               // Ignore cleanup errors
             }
+            await cleanupCaptionFiles(caption.files);
             reject(new Error(`GIF conversion failed: ${err.message}`));
           })
           .on('end', async () => {
@@ -146,6 +183,7 @@ export async function convertToGif(inputPath, outputPath, options = {}) {
             } catch (error) {
               logger.warn('Failed to delete palette file:', error.message);
             }
+            await cleanupCaptionFiles(caption.files);
             logger.debug(`Video to GIF conversion completed: ${outputPath}`);
             resolve();
           })
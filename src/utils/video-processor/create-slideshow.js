@@ -0,0 +1,143 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../logger.js';
+import { CONVERSION_LIMITS } from '../conversion-options.js';
+import { getVideoMetadata } from './metadata.js';
+import {
+  validateNumericParameter,
+  buildSlideshowFilters,
+  checkFFmpegInstalled,
+  sanitizeFFmpegStderr,
+} from './utils.js';
+
+const logger = createLogger('create-slideshow');
+
+// Slideshows are an intermediate file; the requested fps is applied when it is converted
+const SLIDESHOW_FPS = 24;
+
+/**
+ * Join photos and video clips into one silent MP4 slideshow using FFmpeg
+ * Photos are shown for slideDuration seconds and clips play in full. Every slide is
+ * letterboxed onto a canvas sized from the first slide.
+ * @param {Array<{path: string, type: string}>} slides - Slide files in order; type is 'photo' or 'video'
+ * @param {string} outputPath - Path to output MP4 file
+ * @param {Object} options - Slideshow options
+ * @param {number} options.slideDuration - Seconds each photo is shown
+ * @param {number} options.crossfade - Crossfade length in seconds (0 for hard cuts)
+ * @param {number} options.maxWidth - Maximum canvas width in pixels (default: 1280)
+ * @param {number} options.maxDuration - Maximum slideshow length in seconds (default: unlimited)
+ * @returns {Promise<{duration: number, width: number, height: number}>} Slideshow length and canvas size
+ */
+export async function createSlideshow(slides, outputPath, options = {}) {
+  if (!Array.isArray(slides) || slides.length === 0) {
+    throw new Error('slideshow needs at least one slide');
+  }
+
+  const slideDuration = validateNumericParameter(
+    options.slideDuration,
+    'slideDuration',
+    CONVERSION_LIMITS.minSlideDuration,
+    CONVERSION_LIMITS.maxSlideDuration
+  );
+  const crossfade = validateNumericParameter(
+    options.crossfade ?? 0,
+    'crossfade',
+    0,
+    CONVERSION_LIMITS.maxCrossfade
+  );
+  const maxWidth = validateNumericParameter(options.maxWidth ?? 1280, 'maxWidth', 2, 4096);
+  const maxDuration = options.maxDuration ?? Infinity;
+
+  // Check if FFmpeg is installed
+  const ffmpegInstalled = await checkFFmpegInstalled();
+  if (!ffmpegInstalled) {
+    logger.error('FFmpeg is not installed');
+    throw new Error('FFmpeg is not installed. Please install FFmpeg to use this feature.');
+  }
+
+  // Probe every slide for its size and, for clips, its length
+  const probed = [];
+  for (const slide of slides) {
+    try {
+      await fs.access(slide.path);
+    } catch {
+      logger.error(`Input file not found: ${slide.path}`);
+      throw new Error(`Input file not found: ${slide.path}`);
+    }
+    const metadata = await getVideoMetadata(slide.path);
+    const videoStream = metadata.streams?.find(s => s.codec_type === 'video');
+    const clipDuration = Number(metadata.format?.duration);
+    probed.push({
+      width: videoStream?.width || null,
+      height: videoStream?.height || null,
+      duration:
+        slide.type === 'video' && Number.isFinite(clipDuration) && clipDuration > 0
+          ? clipDuration
+          : slideDuration,
+    });
+  }
+
+  // libx264 needs even dimensions
+  const even = value => Math.max(2, Math.floor(value / 2) * 2);
+  const sourceWidth = probed[0].width || 720;
+  const sourceHeight = probed[0].height || sourceWidth;
+  const width = even(Math.min(sourceWidth, maxWidth));
+  const height = even((sourceHeight * width) / sourceWidth);
+
+  const { filters, output, duration } = buildSlideshowFilters(probed, {
+    width,
+    height,
+    fps: SLIDESHOW_FPS,
+    crossfade,
+  });
+
+  if (duration > maxDuration) {
+    throw new Error(
+      `slideshow is too long (${Math.ceil(duration)}s). maximum duration: ${maxDuration}s`
+    );
+  }
+
+  logger.info(
+    `Starting slideshow: ${slides.length} slides -> ${outputPath} (${width}x${height}, ${duration}s, slide: ${slideDuration}s, crossfade: ${crossfade}s)`
+  );
+
+  // Ensure output directory exists
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    slides.forEach((slide, index) => {
+      command.input(slide.path);
+      if (slide.type !== 'video') {
+        // Repeat the photo's single frame for as long as the slide is shown
+        command.inputOptions(['-loop', '1', '-t', String(probed[index].duration)]);
+      }
+    });
+
+    command
+      .complexFilter(filters, output)
+      .outputOptions([
+        '-c:v',
+        'libx264',
+        '-preset',
+        'veryfast',
+        '-crf',
+        '18', // Near-lossless, the slideshow is converted again afterwards
+        '-pix_fmt',
+        'yuv420p',
+        '-an',
+        '-y', // Overwrite output file
+      ])
+      .output(outputPath)
+      .on('error', (err, stdout, stderr) => {
+        logger.error('FFmpeg slideshow failed:', sanitizeFFmpegStderr(stderr));
+        reject(new Error(`slideshow creation failed: ${err.message}`));
+      })
+      .on('end', () => {
+        logger.debug(`Slideshow completed: ${outputPath}`);
+        resolve({ duration, width, height });
+      })
+      .run();
+  });
+}
@@ -2,17 +2,25 @@ import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs/promises';
 import path from 'path';
 import { createLogger } from '../logger.js';
-import { validateNumericParameter, checkFFmpegInstalled, sanitizeFFmpegStderr } from './utils.js';
+import {
+  validateNumericParameter,
+  buildEffectFilters,
+  GIF_EFFECT_MAX_FPS,
+  checkFFmpegInstalled,
+  sanitizeFFmpegStderr,
+} from './utils.js';
 
 const logger = createLogger('trim-gif');
 
 /**
  * Trim GIF file using FFmpeg (keeps GIF format, no conversion)
+ * Playback effects re-encode the frames with a fresh palette
  * @param {string} inputPath - Path to input GIF file
  * @param {string} outputPath - Path to output GIF file
  * @param {Object} options - Trim options
  * @param {number|null} options.startTime - Trim start time in seconds (optional)
  * @param {number|null} options.duration - Trim duration in seconds (optional)
+ * @param {{type: string, speed: number|null}|null} options.effect - Playback effect: reverse, boomerang or speed (optional)
  * @returns {Promise<void>}
  */
 export async function trimGif(inputPath, outputPath, options = {}) {
@@ -32,13 +40,18 @@ export async function trimGif(inputPath, outputPath, options = {}) {
     true
   );
 
-  // At least one time parameter must be provided
-  if (startTime === null && duration === null) {
-    throw new Error('Either startTime or duration must be provided for GIF trimming');
+  const effect = options.effect ?? null;
+  const effectFilters = buildEffectFilters(effect, { capFps: GIF_EFFECT_MAX_FPS });
+
+  // At least one time parameter or an effect must be provided
+  if (startTime === null && duration === null && !effect) {
+    throw new Error(
+      'Either startTime or duration must be provided for GIF trimming (or an effect)'
+    );
   }
 
   logger.info(
-    `Starting GIF trim: ${inputPath} -> ${outputPath} (startTime: ${startTime}, duration: ${duration})`
+    `Starting GIF trim: ${inputPath} -> ${outputPath} (startTime: ${startTime}, duration: ${duration}${effect ? `, effect: ${effect.type}` : ''})`
   );
 
   // Validate input file exists
@@ -73,6 +86,15 @@ export async function trimGif(inputPath, outputPath, options = {}) {
       ffmpegCommand.inputOptions([`-ss ${startTime}`]);
     }
 
+    // Effects change frame order and timing, so build a palette from the new frames
+    if (effect) {
+      ffmpegCommand.videoFilters([
+        ...effectFilters.before,
+        ...effectFilters.after,
+        'split[frames][stats];[stats]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse',
+      ]);
+    }
+
     // Build output options for GIF
     const outputOptions = [
       '-c:v',
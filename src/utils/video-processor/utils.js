@@ -1,8 +1,25 @@
 import { promisify } from 'util';
 import { exec } from 'child_process';
+import fs from 'fs/promises';
+import {
+  CAPTION_POSITIONS,
+  CONVERSION_LIMITS,
+  EFFECTS,
+  sanitizeCaption,
+} from '../conversion-options.js';
 
 const execAsync = promisify(exec);
 
+// Paths passed to drawtext must match this so they need no filtergraph quoting or escaping
+const SAFE_FILTER_PATH = /^[A-Za-z0-9_./ -]+$/;
+
+// Caption font size scales with width, so a fixed line length wraps the same at any size
+const CAPTION_LINE_LENGTH = 20;
+const CAPTION_MAX_LINES = 6;
+
+// Sped-up GIF frames are resampled to this rate; players slow down delays under 2cs
+export const GIF_EFFECT_MAX_FPS = 30;
+
 /**
  * Validate numeric parameter to prevent command injection
  * @param {*} value - Value to validate
@@ -36,6 +53,278 @@ export function validateNumericParameter(value, name, min = 0, max = Infinity, a
   return num;
 }
 
+/**
+ * Build an FFmpeg crop filter from a pixel region
+ * Each value is validated as a non-negative integer to prevent filter injection
+ * @param {{x: number, y: number, width: number, height: number}|null|undefined} crop - Crop region
+ * @returns {string|null} FFmpeg crop filter, or null if no crop was requested
+ * @throws {Error} If validation fails
+ */
+export function buildCropFilter(crop) {
+  if (crop === null || crop === undefined) {
+    return null;
+  }
+
+  const values = ['width', 'height', 'x', 'y'].map(key => {
+    const num = validateNumericParameter(crop[key], `crop.${key}`, 0, 16384);
+    if (!Number.isInteger(num)) {
+      throw new Error(`crop.${key} must be an integer`);
+    }
+    return num;
+  });
+  if (values[0] === 0 || values[1] === 0) {
+    throw new Error('crop width and height must be greater than 0');
+  }
+
+  return `crop=${values.join(':')}`;
+}
+
+/**
+ * Build FFmpeg filters for a playback effect
+ * Speed changes timestamps before frame-rate conversion; reverse and boomerang run last so
+ * the frames they buffer are already scaled down
+ * @param {{type: string, speed: number|null}|null|undefined} effect - Effect to apply
+ * @param {Object} [options] - Filter options
+ * @param {number|null} [options.capFps] - Resample sped-up input to this rate (for GIF inputs, which have no fps filter)
+ * @returns {{before: string[], after: string[]}} Filters to run before fps/crop/scale and after scaling and captions
+ * @throws {Error} If the effect or speed is not allowed
+ */
+export function buildEffectFilters(effect, { capFps = null } = {}) {
+  if (!effect) {
+    return { before: [], after: [] };
+  }
+  if (!EFFECTS.includes(effect.type)) {
+    throw new Error(`effect must be one of: ${EFFECTS.join(', ')}`);
+  }
+
+  if (effect.type === 'speed') {
+    const speed = validateNumericParameter(
+      effect.speed,
+      'speed',
+      CONVERSION_LIMITS.minSpeed,
+      CONVERSION_LIMITS.maxSpeed
+    );
+    return {
+      before: [`setpts=PTS/${speed}`, speed > 1 && capFps ? `fps=${capFps}` : null].filter(Boolean),
+      after: [],
+    };
+  }
+
+  if (effect.type === 'reverse') {
+    return { before: [], after: ['reverse'] };
+  }
+
+  // Boomerang plays forward then backward; the reversed copy drops its first frame so the
+  // turnaround frame is not shown twice
+  return {
+    before: [],
+    after: [
+      'split[fwd][bwd];[bwd]reverse,trim=start_frame=1,setpts=PTS-STARTPTS[rev];[fwd][rev]concat=n=2:v=1:a=0',
+    ],
+  };
+}
+
+/**
+ * Build an FFmpeg filter graph that joins slides into one video
+ * Each slide is letterboxed onto a shared canvas, then slides are concatenated or crossfaded.
+ * Crossfades are shortened to half the shortest slide so every slide stays visible.
+ * @param {Array<{duration: number}>} slides - Slides in order, with their length in seconds (input i is slide i)
+ * @param {Object} options - Filter options
+ * @param {number} options.width - Canvas width in pixels
+ * @param {number} options.height - Canvas height in pixels
+ * @param {number} options.fps - Output frame rate
+ * @param {number} [options.crossfade] - Crossfade length in seconds (default: 0, hard cuts)
+ * @returns {{filters: string[], output: string, duration: number}} Filter graph parts, output label and total length in seconds
+ * @throws {Error} If validation fails
+ */
+export function buildSlideshowFilters(slides, { width, height, fps, crossfade = 0 }) {
+  if (!Array.isArray(slides) || slides.length === 0) {
+    throw new Error('slideshow needs at least one slide');
+  }
+
+  const w = validateNumericParameter(width, 'width', 2, 4096);
+  const h = validateNumericParameter(height, 'height', 2, 4096);
+  const rate = validateNumericParameter(fps, 'fps', 1, 60);
+  const round = value => Math.round(value * 1000) / 1000;
+  const durations = slides.map(slide =>
+    round(validateNumericParameter(slide.duration, 'slide duration', 0.01, 3600))
+  );
+
+  const filters = durations.map(
+    (duration, index) =>
+      `[${index}:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${rate},format=yuv420p,trim=duration=${duration},setpts=PTS-STARTPTS[s${index}]`
+  );
+
+  const output = 'slideshow';
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  if (durations.length === 1) {
+    filters.push(`[s0]null[${output}]`);
+    return { filters, output, duration: total };
+  }
+
+  const fade = round(
+    Math.min(
+      validateNumericParameter(crossfade, 'crossfade', 0, CONVERSION_LIMITS.maxCrossfade),
+      Math.min(...durations) / 2
+    )
+  );
+  if (fade === 0) {
+    const labels = durations.map((_duration, index) => `[s${index}]`).join('');
+    filters.push(`${labels}concat=n=${durations.length}:v=1:a=0[${output}]`);
+    return { filters, output, duration: total };
+  }
+
+  // Each crossfade starts `fade` seconds before the previous slides end
+  let elapsed = 0;
+  for (let index = 1; index < durations.length; index++) {
+    elapsed += durations[index - 1];
+    const from = index === 1 ? '[s0]' : `[x${index - 1}]`;
+    const to = index === durations.length - 1 ? `[${output}]` : `[x${index}]`;
+    const offset = round(elapsed - index * fade);
+    filters.push(`${from}[s${index}]xfade=transition=fade:duration=${fade}:offset=${offset}${to}`);
+  }
+
+  return { filters, output, duration: round(total - (durations.length - 1) * fade) };
+}
+
+/**
+ * Wrap caption text into lines of at most maxLineLength characters
+ * Words longer than a line are split; text beyond the line limit is dropped
+ * @param {string} text - Sanitized caption text
+ * @param {number} [maxLineLength] - Maximum characters per line (default: 20)
+ * @param {number} [maxLines] - Maximum number of lines (default: 6)
+ * @returns {string[]} Caption lines
+ */
+export function wrapCaptionText(
+  text,
+  maxLineLength = CAPTION_LINE_LENGTH,
+  maxLines = CAPTION_MAX_LINES
+) {
+  const lines = [];
+  let current = '';
+
+  for (const word of text.split(' ').filter(Boolean)) {
+    // Split words that cannot fit on a line by themselves (by code point, not UTF-16 unit)
+    const chars = Array.from(word);
+    const pieces = [];
+    for (let i = 0; i < chars.length; i += maxLineLength) {
+      pieces.push(chars.slice(i, i + maxLineLength).join(''));
+    }
+
+    for (const piece of pieces) {
+      const candidate = current ? `${current} ${piece}` : piece;
+      if (Array.from(candidate).length <= maxLineLength) {
+        current = candidate;
+      } else {
+        lines.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines.slice(0, maxLines);
+}
+
+/**
+ * Build FFmpeg filters that draw caption lines read from text files
+ * Text is never placed in the filtergraph itself; drawtext reads each line from a file with expansion disabled
+ * @param {Object} params - Caption parameters
+ * @param {string[]} params.lineFiles - One text file per caption line, top to bottom
+ * @param {string} params.position - Caption position: 'top', 'bottom' or 'bar'
+ * @param {number} params.width - Frame width in pixels after scaling
+ * @param {string} params.fontPath - Path to a TrueType/OpenType font file
+ * @returns {string[]} FFmpeg filters to append after scaling
+ * @throws {Error} If the position or a path is not allowed
+ */
+export function buildCaptionFilters({ lineFiles, position, width, fontPath }) {
+  if (!CAPTION_POSITIONS.includes(position)) {
+    throw new Error(`caption position must be one of: ${CAPTION_POSITIONS.join(', ')}`);
+  }
+  for (const filePath of [fontPath, ...lineFiles]) {
+    if (typeof filePath !== 'string' || !SAFE_FILTER_PATH.test(filePath)) {
+      throw new Error('caption file paths may only contain letters, numbers, spaces and ./_-');
+    }
+  }
+  if (lineFiles.length === 0) {
+    return [];
+  }
+
+  const fontSize = Math.max(12, Math.round(width / 12));
+  const lineHeight = Math.round(fontSize * 1.2);
+  const margin = Math.round(fontSize / 2);
+  const border = Math.max(1, Math.round(fontSize / 12));
+  const lineCount = lineFiles.length;
+
+  const drawLine = (file, y, style) =>
+    `drawtext=fontfile=${fontPath}:textfile=${file}:expansion=none:fontsize=${fontSize}:${style}:x=(w-text_w)/2:y=${y}`;
+
+  if (position === 'bar') {
+    // White bar above the frame with black text; even height keeps yuv420p outputs valid
+    const rawBarHeight = lineCount * lineHeight + margin * 2;
+    const barHeight = rawBarHeight + (rawBarHeight % 2);
+    return [
+      `pad=iw:ih+${barHeight}:0:${barHeight}:color=white`,
+      ...lineFiles.map((file, i) => drawLine(file, margin + i * lineHeight, 'fontcolor=black')),
+    ];
+  }
+
+  const outlined = `fontcolor=white:borderw=${border}:bordercolor=black`;
+  return lineFiles.map((file, i) => {
+    const y =
+      position === 'top'
+        ? `${margin + i * lineHeight}`
+        : `h-${margin + (lineCount - i) * lineHeight}`;
+    return drawLine(file, y, outlined);
+  });
+}
+
+/**
+ * Write caption line files and build the matching drawtext filters
+ * @param {{text: string, position: string}|null|undefined} caption - Caption to draw
+ * @param {Object} params - Render parameters
+ * @param {number} params.width - Frame width in pixels after scaling
+ * @param {string} params.fontPath - Path to a TrueType/OpenType font file
+ * @param {string} params.basePath - Prefix for the caption text files (e.g., the palette path without extension)
+ * @returns {Promise<{filters: string[], files: string[]}>} Filters to append after scaling and files to delete afterwards
+ * @throws {Error} If the font is missing or a path is not allowed
+ */
+export async function prepareCaption(caption, { width, fontPath, basePath }) {
+  const text = sanitizeCaption(caption?.text);
+  if (!text) {
+    return { filters: [], files: [] };
+  }
+
+  try {
+    await fs.access(fontPath);
+  } catch {
+    throw new Error(`Caption font not found: ${fontPath}`);
+  }
+
+  const lines = wrapCaptionText(text);
+  const files = lines.map((_, i) => `${basePath}.caption${i}.txt`);
+  const filters = buildCaptionFilters({
+    lineFiles: files,
+    position: caption.position,
+    width,
+    fontPath,
+  });
+
+  await Promise.all(lines.map((line, i) => fs.writeFile(files[i], line, 'utf8')));
+  return { filters, files };
+}
+
+/**
+ * Delete caption line files, ignoring files that are already gone
+ * @param {string[]} files - Caption files from prepareCaption
+ * @returns {Promise<void>}
+ */
+export async function cleanupCaptionFiles(files) {
+  await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+}
+
 /**
  * Check if FFmpeg is installed and available
  * @returns {Promise<boolean>} True if FFmpeg is available
@@ -2,8 +2,11 @@ import express from 'express';
 import path from 'path';
 import rateLimit from 'express-rate-limit';
 import { createLogger } from '../utils/logger.js';
+import { webuiConfig } from '../utils/config.js';
 import { securityHeaders } from './middleware/security.js';
 import { staticMiddleware, publicPath } from './middleware/static.js';
+import { loadSession } from './middleware/auth.js';
+import authRoutes from './routes/auth.js';
 import proxyRoutes from './routes/proxy.js';
 import operationsRoutes, { setWebSocketClients } from './routes/operations.js';
 import usersRoutes from './routes/users.js';
@@ -13,6 +16,10 @@ import metricsRoutes from './routes/metrics.js';
 import alertsRoutes from './routes/alerts.js';
 import analyticsRoutes from './routes/analytics.js';
 import managementRoutes from './routes/management.js';
+import quotasRoutes from './routes/quotas.js';
+import guildSettingsRoutes from './routes/guild-settings.js';
+import auditRoutes from './routes/audit.js';
+import mediaRoutes from './routes/media.js';
 
 const logger = createLogger('webui');
 
@@ -28,6 +35,11 @@ const fileServerLimiter = rateLimit({
 export function createApp(websocketClients) {
   const app = express();
 
+  // Behind a reverse proxy, take the client IP and protocol from X-Forwarded-* headers
+  if (webuiConfig.trustProxy) {
+    app.set('trust proxy', 1);
+  }
+
   // Security headers middleware
   app.use(securityHeaders);
 
@@ -39,7 +51,11 @@ export function createApp(websocketClients) {
     res.sendFile(path.join(publicPath, 'index.html'));
   });
 
-  // Register routes
+  // Sign-in routes, then the signed-in user for every route after them
+  app.use(authRoutes);
+  app.use(loadSession);
+
+  // Register routes (each API route declares the role it needs)
   app.use(proxyRoutes);
   app.use(operationsRoutes);
   app.use(usersRoutes);
@@ -49,6 +65,10 @@ export function createApp(websocketClients) {
   app.use(alertsRoutes);
   app.use(analyticsRoutes);
   app.use(managementRoutes);
+  app.use(quotasRoutes);
+  app.use(guildSettingsRoutes);
+  app.use(auditRoutes);
+  app.use(mediaRoutes);
 
   // Set WebSocket clients in operations routes for broadcasting
   if (websocketClients) {
@@ -3,7 +3,7 @@ import { createLogger } from '../utils/logger.js';
 import { webuiConfig } from '../utils/config.js';
 import { ConfigurationError } from '../utils/errors.js';
 import { getPostgresConfig } from '../utils/database/connection.js';
-import { initDatabase, getRecentOperations } from '../utils/database.js';
+import { initDatabase, getRecentOperations, pruneWebuiSessions } from '../utils/database.js';
 import { startMetricsCollection, stopMetricsCollection } from '../utils/system-metrics.js';
 import {
   setBroadcastCallback,
@@ -16,6 +16,7 @@ import { createApp } from './app.js';
 import {
   createWebSocketServer,
   startPingInterval,
+  revalidateClientSessions,
   stopPingInterval,
   clients,
 } from './websocket/server.js';
@@ -48,6 +49,10 @@ process.on('uncaughtException', error => {
 // Store server and wss references for graceful shutdown
 let server = null;
 let wss = null;
+let sessionPruneInterval = null;
+
+// Expired sessions are rejected on lookup; this only keeps the table small
+const SESSION_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
 
 // Configuration from centralized config
 const { webuiPort: WEBUI_PORT, webuiHost: WEBUI_HOST } = webuiConfig;
@@ -174,8 +179,20 @@ const broadcastUserMetricsWrapper = (userId, metrics) => {
     startMetricsCollection(60000);
     logger.info('started system metrics collection');
 
-    // Start ping/pong heartbeat (every 30 seconds)
-    startPingInterval(() => pingClients(clients));
+    // Start ping/pong heartbeat (every 30 seconds), closing sockets whose session has ended
+    startPingInterval(() => {
+      pingClients(clients);
+      revalidateClientSessions(clients).catch(error => {
+        logger.error('failed to re-check websocket sessions:', error);
+      });
+    });
+
+    // Delete expired sessions every hour
+    sessionPruneInterval = setInterval(() => {
+      pruneWebuiSessions(Date.now()).catch(error => {
+        logger.error('failed to prune expired webui sessions:', error);
+      });
+    }, SESSION_PRUNE_INTERVAL);
   });
 })();
 
@@ -186,6 +203,10 @@ function gracefulShutdown() {
   stopMetricsCollection();
   // Stop ping interval
   stopPingInterval();
+  // Stop session pruning
+  if (sessionPruneInterval) {
+    clearInterval(sessionPruneInterval);
+  }
   // Close WebSocket server
   if (wss) {
     wss.close(() => {
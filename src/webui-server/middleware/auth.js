@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { createLogger } from '../../utils/logger.js';
+import { webuiConfig } from '../../utils/config.js';
+import { getWebuiSession } from '../../utils/database.js';
+import { restrictToInternal } from '../utils/validation.js';
+
+const logger = createLogger('webui');
+
+// Roles in increasing order of access; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'moderator', 'admin'];
+
+export const SESSION_COOKIE = 'gronka_session';
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string|null} role - Role the user has
+ * @param {string} requiredRole - Role the route needs
+ * @returns {boolean} True if access is allowed
+ */
+export function hasRole(role, requiredRole) {
+  const level = ROLES.indexOf(role);
+  return level !== -1 && level >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Work out a user's effective role
+ * Discord accounts listed in ADMIN_USER_IDS are always admins; everyone else gets their stored role.
+ * @param {Object} user - WebUI user record
+ * @param {Array<string>} adminUserIds - Discord user IDs with admin access
+ * @returns {string|null} Effective role, or null if the user has no access
+ */
+export function resolveWebuiRole(user, adminUserIds = webuiConfig.adminUserIds) {
+  if (!user) {
+    return null;
+  }
+  if (user.discord_user_id && adminUserIds.includes(user.discord_user_id)) {
+    return 'admin';
+  }
+  return ROLES.includes(user.role) ? user.role : null;
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string|undefined} header - Cookie header value
+ * @returns {Object<string, string>} Cookie values by name
+ */
+export function parseCookies(header) {
+  const cookies = Object.create(null);
+  if (typeof header !== 'string') {
+    return cookies;
+  }
+
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      continue;
+    }
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Hash a session token for storage and lookup
+ * @param {string} token - Session token from the cookie
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build a Set-Cookie header value
+ * @param {Object} req - Express or Node request (used to detect https)
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {number} maxAgeMs - Lifetime in milliseconds (0 clears the cookie)
+ * @returns {string} Set-Cookie header value
+ */
+export function buildCookie(req, name, value, maxAgeMs) {
+  const parts = [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    'HttpOnly',
+    // Lax keeps the cookie off cross-site POST/PUT/DELETE requests but allows the OAuth redirect back
+    'SameSite=Lax',
+  ];
+  if (webuiConfig.secureCookies || req.secure) {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Look up the signed-in user for a request
+ * Works on plain Node requests as well, so the WebSocket handshake can use it.
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object|null>} User ({id, username, displayName, discordUserId, role, sessionId, authMethod}) or null
+ */
+export async function getSessionUser(req) {
+  const token = parseCookies(req.headers?.cookie)[SESSION_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  const sessionId = hashSessionToken(token);
+  const session = await getWebuiSession(sessionId);
+  const role = resolveWebuiRole(session?.user);
+  if (!role) {
+    return null;
+  }
+
+  return {
+    id: session.user.id,
+    username: session.user.username,
+    displayName: session.user.display_name || session.user.username,
+    discordUserId: session.user.discord_user_id,
+    role,
+    sessionId,
+    authMethod: session.authMethod,
+  };
+}
+
+/**
+ * Attach the signed-in user (if any) to req.user
+ * Does not reject anything; routes decide what they need with requireRole.
+ */
+export async function loadSession(req, res, next) {
+  try {
+    req.user = await getSessionUser(req);
+  } catch (error) {
+    logger.error('Failed to load WebUI session:', error);
+    req.user = null;
+  }
+  next();
+}
+
+/**
+ * Require a signed-in user with at least the given role
+ * @param {string} requiredRole - 'viewer', 'moderator' or 'admin'
+ * @returns {Function} Express middleware
+ */
+export function requireRole(requiredRole) {
+  if (!ROLES.includes(requiredRole)) {
+    throw new Error(`unknown WebUI role: ${requiredRole}`);
+  }
+
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'authentication required' });
+    }
+    if (!hasRole(req.user.role, requiredRole)) {
+      logger.warn(
+        `Denied ${req.method} ${req.path} to WebUI user ${req.user.id} (role: ${req.user.role}, needs: ${requiredRole})`
+      );
+      return res.status(403).json({ error: `${requiredRole} role required` });
+    }
+    next();
+  };
+  // Lets the route audit test check that every API route is protected
+  middleware.requiredRole = requiredRole;
+  return middleware;
+}
+
+/**
+ * Restrict an endpoint to the bot and local scripts
+ * With WEBUI_INTERNAL_TOKEN set, requests must send it as a bearer token; otherwise only
+ * localhost and internal network addresses are allowed.
+ */
+export function requireInternal(req, res, next) {
+  const token = webuiConfig.internalToken;
+  if (!token) {
+    return restrictToInternal(req, res, next);
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+    return next();
+  }
+  return res.status(403).json({ error: 'access denied - internal token required' });
+}
+requireInternal.internalOnly = true;
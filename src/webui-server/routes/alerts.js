@@ -1,12 +1,13 @@
 import express from 'express';
 import { createLogger } from '../../utils/logger.js';
 import { getAlerts, getAlertsCount } from '../../utils/database.js';
+import { requireRole } from '../middleware/auth.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
 
 // Alerts endpoint
-router.get('/api/alerts', async (req, res) => {
+router.get('/api/alerts', requireRole('viewer'), async (req, res) => {
   try {
     const { severity, component, startTime, endTime, search, limit = 100, offset = 0 } = req.query;
 
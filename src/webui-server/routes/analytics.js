@@ -5,12 +5,13 @@ import {
   getPerformanceAnalytics,
   getUserAnalytics,
 } from '../../utils/database.js';
+import { requireRole } from '../middleware/auth.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
 
 // Usage analytics endpoint
-router.get('/api/analytics/usage', async (req, res) => {
+router.get('/api/analytics/usage', requireRole('viewer'), async (req, res) => {
   try {
     const { interval = 'daily', startTime, endTime } = req.query;
 
@@ -32,7 +33,7 @@ router.get('/api/analytics/usage', async (req, res) => {
 });
 
 // Performance analytics endpoint
-router.get('/api/analytics/performance', async (req, res) => {
+router.get('/api/analytics/performance', requireRole('viewer'), async (req, res) => {
   try {
     const { startTime, endTime } = req.query;
 
@@ -53,7 +54,7 @@ router.get('/api/analytics/performance', async (req, res) => {
 });
 
 // User analytics endpoint
-router.get('/api/analytics/users', async (req, res) => {
+router.get('/api/analytics/users', requireRole('viewer'), async (req, res) => {
   try {
     const { startTime, endTime, limit = 10 } = req.query;
 
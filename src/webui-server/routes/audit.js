@@ -0,0 +1,65 @@
+import express from 'express';
+import { createLogger } from '../../utils/logger.js';
+import { getAuditEvents, getAuditEventsCount, getAuditActions } from '../../utils/database.js';
+import { requireRole } from '../middleware/auth.js';
+
+const logger = createLogger('webui');
+const router = express.Router();
+
+const MAX_LIMIT = 500;
+
+/**
+ * Parse audit filters from query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Options for getAuditEvents
+ */
+export function parseAuditQuery(query) {
+  const options = {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+  };
+
+  for (const field of ['actorId', 'action', 'status', 'targetType', 'target']) {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      options[field] = query[field].trim();
+    }
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    const value = parseInt(query[field], 10);
+    if (Number.isFinite(value)) {
+      options[field] = value;
+    }
+  }
+
+  return options;
+}
+
+// Audit events with filtering and pagination
+router.get('/api/audit', requireRole('moderator'), async (req, res) => {
+  try {
+    const options = parseAuditQuery(req.query);
+
+    const [events, total, actions] = await Promise.all([
+      getAuditEvents(options),
+      getAuditEventsCount(options),
+      getAuditActions(),
+    ]);
+
+    res.json({
+      events,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+      actions,
+    });
+  } catch (error) {
+    logger.error('Failed to fetch audit events:', error);
+    res.status(500).json({
+      error: 'failed to fetch audit events',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
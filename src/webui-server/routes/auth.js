@@ -0,0 +1,219 @@
+import express from 'express';
+import crypto from 'crypto';
+import rateLimit from 'express-rate-limit';
+import { createLogger } from '../../utils/logger.js';
+import { webuiConfig } from '../../utils/config.js';
+import {
+  createWebuiSession,
+  createWebuiUser,
+  deleteWebuiSession,
+  getWebuiUserByDiscordId,
+  getWebuiUserByUsername,
+  recordWebuiLogin,
+} from '../../utils/database.js';
+import {
+  SESSION_COOKIE,
+  buildCookie,
+  hashSessionToken,
+  loadSession,
+  parseCookies,
+  resolveWebuiRole,
+} from '../middleware/auth.js';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+import {
+  buildDiscordAuthorizeUrl,
+  fetchDiscordUserFromCode,
+  isDiscordOAuthEnabled,
+} from '../utils/discord-oauth.js';
+
+const logger = createLogger('webui');
+const router = express.Router();
+
+const OAUTH_STATE_COOKIE = 'gronka_oauth_state';
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // 10 minutes to approve on Discord
+
+// Rate limiter for sign-in routes to slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'too many sign-in attempts, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Compared against when the username does not exist, so unknown users take as long as wrong passwords
+let dummyPasswordHash = null;
+async function getDummyPasswordHash() {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  return dummyPasswordHash;
+}
+
+/**
+ * Pick the user fields that are safe to send to the dashboard
+ * @param {Object} user - User from getSessionUser
+ * @returns {Object} Public user fields
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    authMethod: user.authMethod,
+  };
+}
+
+/**
+ * Create a session for a user and set the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - WebUI user record
+ * @param {string} authMethod - 'password' or 'discord'
+ * @returns {Promise<void>}
+ */
+async function startSession(req, res, user, authMethod) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await createWebuiSession({
+    id: hashSessionToken(token),
+    userId: user.id,
+    authMethod,
+    expiresAt: Date.now() + webuiConfig.sessionTtl,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent')?.slice(0, 512) || null,
+  });
+  res.append('Set-Cookie', buildCookie(req, SESSION_COOKIE, token, webuiConfig.sessionTtl));
+}
+
+// Current session and available sign-in methods (used by the dashboard before it renders)
+router.get('/api/auth/session', loadSession, (req, res) => {
+  res.json({
+    authenticated: Boolean(req.user),
+    user: req.user ? toPublicUser(req.user) : null,
+    methods: { password: true, discord: isDiscordOAuthEnabled() },
+  });
+});
+
+// Sign in with a username and password
+router.post('/api/auth/login', loginLimiter, express.json(), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const user = await getWebuiUserByUsername(username.trim());
+    const valid = await verifyPassword(
+      password,
+      user?.password_hash || (await getDummyPasswordHash())
+    );
+    if (!user?.password_hash || !valid) {
+      logger.warn(`Failed WebUI sign-in for "${username.trim().slice(0, 64)}" from ${req.ip}`);
+      return res.status(401).json({ error: 'invalid username or password' });
+    }
+
+    const role = resolveWebuiRole(user);
+    if (!role) {
+      return res.status(403).json({ error: 'this account has no dashboard access' });
+    }
+
+    await startSession(req, res, user, 'password');
+    await recordWebuiLogin(user.id);
+    logger.info(`WebUI user ${user.id} signed in with a password (role: ${role})`);
+
+    res.json({
+      success: true,
+      user: toPublicUser({
+        id: user.id,
+        username: user.username,
+        displayName: user.display_name || user.username,
+        role,
+        authMethod: 'password',
+      }),
+    });
+  } catch (error) {
+    logger.error('WebUI sign-in failed:', error);
+    res.status(500).json({ error: 'sign-in failed' });
+  }
+});
+
+// Sign out and delete the session
+router.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      await deleteWebuiSession(hashSessionToken(token));
+    }
+  } catch (error) {
+    logger.error('Failed to delete WebUI session:', error);
+  }
+  res.append('Set-Cookie', buildCookie(req, SESSION_COOKIE, '', 0));
+  res.json({ success: true });
+});
+
+// Start Discord sign-in
+router.get('/api/auth/discord', loginLimiter, (req, res) => {
+  if (!isDiscordOAuthEnabled()) {
+    return res.status(404).json({ error: 'discord sign-in is not configured' });
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  res.append('Set-Cookie', buildCookie(req, OAUTH_STATE_COOKIE, state, OAUTH_STATE_TTL));
+  res.redirect(buildDiscordAuthorizeUrl(state));
+});
+
+// Discord redirects back here after the user approves (or cancels)
+router.get('/api/auth/discord/callback', loginLimiter, async (req, res) => {
+  const fail = reason => res.redirect(`/#/login?error=${reason}`);
+
+  if (!isDiscordOAuthEnabled()) {
+    return res.status(404).json({ error: 'discord sign-in is not configured' });
+  }
+
+  const expectedState = parseCookies(req.headers.cookie)[OAUTH_STATE_COOKIE];
+  res.append('Set-Cookie', buildCookie(req, OAUTH_STATE_COOKIE, '', 0));
+
+  const { code, state, error } = req.query;
+  if (error) {
+    return fail('discord_cancelled');
+  }
+  if (typeof code !== 'string' || typeof state !== 'string' || !expectedState) {
+    return fail('discord_failed');
+  }
+  const stateBuffer = Buffer.from(state);
+  const expectedBuffer = Buffer.from(expectedState);
+  if (
+    stateBuffer.length !== expectedBuffer.length ||
+    !crypto.timingSafeEqual(stateBuffer, expectedBuffer)
+  ) {
+    return fail('discord_failed');
+  }
+
+  try {
+    const discordUser = await fetchDiscordUserFromCode(code);
+    const displayName = discordUser.globalName || discordUser.username;
+
+    let user = await getWebuiUserByDiscordId(discordUser.id);
+    if (!user && webuiConfig.adminUserIds.includes(discordUser.id)) {
+      // Admins from ADMIN_USER_IDS get an account on first sign-in; their role comes from the list
+      user = await createWebuiUser({ discordUserId: discordUser.id, displayName });
+    }
+
+    const role = resolveWebuiRole(user);
+    if (!role) {
+      logger.warn(`Denied Discord sign-in for ${discordUser.id}: no dashboard access`);
+      return fail('not_authorized');
+    }
+
+    await startSession(req, res, user, 'discord');
+    await recordWebuiLogin(user.id, displayName);
+    logger.info(`WebUI user ${user.id} signed in with Discord (role: ${role})`);
+    res.redirect('/');
+  } catch (err) {
+    logger.error('Discord sign-in failed:', err.message);
+    fail('discord_failed');
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import { createLogger } from '../../utils/logger.js';
+import {
+  getGuildSettingsRecord,
+  getGuildSettingsRecords,
+  setGuildSettings,
+  deleteGuildSettings,
+} from '../../utils/database.js';
+import {
+  getGuildSettingDefaults,
+  invalidateGuildSettingsCache,
+  parseGuildSettings,
+  resolveGuildSettings,
+} from '../../utils/guild-settings.js';
+import { requireRole } from '../middleware/auth.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+const logger = createLogger('webui');
+const router = express.Router();
+
+// Guild settings changed here reach the bot when its cached copy expires (about a minute)
+
+// List guilds with settings and the global defaults they override
+router.get('/api/guild-settings', requireRole('moderator'), async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const settings = await getGuildSettingsRecords({
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+    });
+
+    res.json({
+      defaults: getGuildSettingDefaults(),
+      settings,
+    });
+  } catch (error) {
+    logger.error('Failed to fetch guild settings:', error);
+    res.status(500).json({
+      error: 'failed to fetch guild settings',
+      message: error.message,
+    });
+  }
+});
+
+// Stored and effective settings of a guild
+router.get('/api/guild-settings/:guildId', requireRole('moderator'), async (req, res) => {
+  try {
+    const record = await getGuildSettingsRecord(req.params.guildId);
+
+    res.json({
+      settings: record,
+      effective: resolveGuildSettings(record),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch guild settings:', error);
+    res.status(500).json({
+      error: 'failed to fetch guild settings',
+      message: error.message,
+    });
+  }
+});
+
+// Create or replace the settings of a guild
+router.put(
+  '/api/guild-settings/:guildId',
+  requireRole('admin'),
+  express.json(),
+  async (req, res) => {
+    try {
+      const { guildId } = req.params;
+
+      if (!/^\d{1,32}$/.test(guildId)) {
+        return res.status(400).json({
+          error: 'invalid guild id',
+          message: 'guildId must be a Discord ID',
+        });
+      }
+
+      const parsed = parseGuildSettings(req.body || {});
+      if (!parsed.valid) {
+        return res.status(400).json({
+          error: 'invalid guild settings',
+          message: parsed.error,
+        });
+      }
+
+      const previous = await getGuildSettingsRecord(guildId);
+      const settings = await setGuildSettings(
+        guildId,
+        parsed.settings,
+        req.user ? String(req.user.id) : null
+      );
+      invalidateGuildSettingsCache(guildId);
+      logger.info(`Guild settings set for ${guildId} via webui`);
+
+      await recordAuditEvent(req, {
+        action: 'guild_settings.set',
+        targetType: 'guild',
+        targetId: guildId,
+        before: previous,
+        after: settings,
+      });
+
+      res.json({
+        success: true,
+        settings,
+        effective: resolveGuildSettings(settings),
+      });
+    } catch (error) {
+      logger.error('Failed to set guild settings:', error);
+      res.status(500).json({
+        error: 'failed to set guild settings',
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Remove the settings of a guild, returning it to the global defaults
+router.delete('/api/guild-settings/:guildId', requireRole('admin'), async (req, res) => {
+  try {
+    const { guildId } = req.params;
+
+    const previous = await getGuildSettingsRecord(guildId);
+    const deleted = await deleteGuildSettings(guildId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'guild settings not found' });
+    }
+    invalidateGuildSettingsCache(guildId);
+
+    logger.info(`Guild settings removed for ${guildId} via webui`);
+    await recordAuditEvent(req, {
+      action: 'guild_settings.delete',
+      targetType: 'guild',
+      targetId: guildId,
+      before: previous,
+    });
+    res.json({
+      success: true,
+      message: 'Guild settings deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Failed to delete guild settings:', error);
+    res.status(500).json({
+      error: 'failed to delete guild settings',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
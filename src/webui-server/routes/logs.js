@@ -1,12 +1,13 @@
 import express from 'express';
 import { createLogger } from '../../utils/logger.js';
 import { getLogs, getLogsCount, getLogComponents, getLogMetrics } from '../../utils/database.js';
+import { requireRole } from '../middleware/auth.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
 
 // Logs endpoint with filtering and pagination
-router.get('/api/logs', async (req, res) => {
+router.get('/api/logs', requireRole('moderator'), async (req, res) => {
   try {
     const {
       component,
@@ -120,7 +121,7 @@ router.get('/api/logs', async (req, res) => {
 });
 
 // Log metrics endpoint
-router.get('/api/logs/metrics', async (req, res) => {
+router.get('/api/logs/metrics', requireRole('moderator'), async (req, res) => {
   try {
     const { timeRange } = req.query;
     const options = {};
@@ -141,7 +142,7 @@ router.get('/api/logs/metrics', async (req, res) => {
 });
 
 // Log components endpoint
-router.get('/api/logs/components', async (req, res) => {
+router.get('/api/logs/components', requireRole('moderator'), async (req, res) => {
   try {
     const components = await getLogComponents();
     res.json({ components });
@@ -3,11 +3,16 @@ import path from 'path';
 import fs from 'fs';
 import rateLimit from 'express-rate-limit';
 import { createLogger } from '../../utils/logger.js';
-import { r2Config, loggerConfig } from '../../utils/config.js';
+import { loggerConfig } from '../../utils/config.js';
+import { getRemoteStorageDriver } from '../../utils/storage-driver.js';
 import {
   getAdminUploadStats,
   archiveAndCleanupAdminUploads,
 } from '../../utils/admin-upload-cleanup.js';
+import { runStorageLifecycle } from '../../utils/storage-lifecycle.js';
+import { parseFsckCategories, runStorageFsck } from '../../utils/storage-fsck.js';
+import { requireRole } from '../middleware/auth.js';
+import { recordAuditEvent } from '../utils/audit.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
@@ -22,13 +27,13 @@ const managementLimiter = rateLimit({
 });
 
 // Get stats about admin uploads (untracked R2 files)
-router.get('/api/management/admin-uploads/stats', async (req, res) => {
+router.get('/api/management/admin-uploads/stats', requireRole('admin'), async (req, res) => {
   try {
     const maxAgeDays = parseInt(req.query.maxAgeDays, 10) || 3;
 
     logger.debug(`Fetching admin upload stats (maxAgeDays: ${maxAgeDays})`);
 
-    const stats = await getAdminUploadStats(r2Config, maxAgeDays);
+    const stats = await getAdminUploadStats(getRemoteStorageDriver(), maxAgeDays);
 
     res.json({
       success: true,
@@ -53,103 +58,248 @@ router.get('/api/management/admin-uploads/stats', async (req, res) => {
 });
 
 // Trigger cleanup of old admin uploads (archive + delete)
-router.post('/api/management/admin-uploads/cleanup', express.json(), async (req, res) => {
-  try {
+router.post(
+  '/api/management/admin-uploads/cleanup',
+  requireRole('admin'),
+  express.json(),
+  async (req, res) => {
     const maxAgeDays = parseInt(req.body.maxAgeDays, 10) || 3;
+    try {
+      logger.info(`Starting admin upload cleanup (maxAgeDays: ${maxAgeDays})`);
 
-    logger.info(`Starting admin upload cleanup (maxAgeDays: ${maxAgeDays})`);
+      const result = await archiveAndCleanupAdminUploads(getRemoteStorageDriver(), maxAgeDays);
 
-    const result = await archiveAndCleanupAdminUploads(r2Config, maxAgeDays);
+      // Extract filename for download URL
+      const archiveFilename = result.archivePath ? path.basename(result.archivePath) : null;
+      const downloadUrl = archiveFilename
+        ? `/api/management/admin-uploads/archive/${encodeURIComponent(archiveFilename)}`
+        : null;
 
-    // Extract filename for download URL
-    const archiveFilename = result.archivePath ? path.basename(result.archivePath) : null;
-    const downloadUrl = archiveFilename
-      ? `/api/management/admin-uploads/archive/${encodeURIComponent(archiveFilename)}`
-      : null;
+      await recordAuditEvent(req, {
+        action: 'admin_uploads.cleanup',
+        status: result.failed > 0 ? 'failed' : 'success',
+        targetType: 'admin_uploads',
+        before: { maxAgeDays },
+        after: {
+          archived: result.archived,
+          deleted: result.deleted,
+          failed: result.failed,
+          archiveFilename,
+        },
+      });
 
-    res.json({
-      success: true,
-      result: {
-        archived: result.archived,
-        deleted: result.deleted,
-        failed: result.failed,
-        archivePath: result.archivePath,
-        archiveFilename,
-        downloadUrl,
-        errors: result.errors,
-      },
-    });
-  } catch (error) {
-    logger.error('Failed to cleanup admin uploads:', error);
-    res.status(500).json({
-      success: false,
-      error: 'failed to cleanup admin uploads',
-      message: error.message,
-    });
+      res.json({
+        success: true,
+        result: {
+          archived: result.archived,
+          deleted: result.deleted,
+          failed: result.failed,
+          archivePath: result.archivePath,
+          archiveFilename,
+          downloadUrl,
+          errors: result.errors,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to cleanup admin uploads:', error);
+      await recordAuditEvent(req, {
+        action: 'admin_uploads.cleanup',
+        status: 'failed',
+        targetType: 'admin_uploads',
+        before: { maxAgeDays },
+        after: { error: error.message },
+      });
+      res.status(500).json({
+        success: false,
+        error: 'failed to cleanup admin uploads',
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // Download an archive file
-router.get('/api/management/admin-uploads/archive/:filename', managementLimiter, (req, res) => {
-  try {
-    const { filename } = req.params;
+router.get(
+  '/api/management/admin-uploads/archive/:filename',
+  requireRole('admin'),
+  managementLimiter,
+  (req, res) => {
+    try {
+      const { filename } = req.params;
+
+      // Validate filename format (only allow admin-uploads-archive-*.zip)
+      if (!filename.match(/^admin-uploads-archive-[\w-]+\.zip$/)) {
+        return res.status(400).json({
+          success: false,
+          error: 'invalid filename',
+        });
+      }
+
+      // Get list of valid archive files from directory (whitelist approach)
+      const baseDir = path.resolve(loggerConfig.logDir);
+      const validFiles = fs
+        .readdirSync(baseDir)
+        .filter(f => f.match(/^admin-uploads-archive-[\w-]+\.zip$/));
+
+      // Check requested file exists in whitelist
+      if (!validFiles.includes(filename)) {
+        return res.status(404).json({
+          success: false,
+          error: 'archive not found',
+        });
+      }
+
+      // Build path from validated filename
+      const filePath = path.join(baseDir, filename);
 
-    // Validate filename format (only allow admin-uploads-archive-*.zip)
-    if (!filename.match(/^admin-uploads-archive-[\w-]+\.zip$/)) {
+      // Send file for download
+      res.download(filePath, filename, err => {
+        if (err) {
+          logger.error(`Failed to send archive ${filename}: ${err.message}`);
+          if (!res.headersSent) {
+            res.status(500).json({
+              success: false,
+              error: 'failed to download archive',
+            });
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to download archive:', error);
+      res.status(500).json({
+        success: false,
+        error: 'failed to download archive',
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Report what the storage lifecycle policies would do to local storage right now (dry run)
+router.get(
+  '/api/management/storage/lifecycle',
+  requireRole('admin'),
+  managementLimiter,
+  async (req, res) => {
+    try {
+      const report = await runStorageLifecycle({ dryRun: true });
+      res.json({
+        success: true,
+        report: {
+          ...report,
+          summary: {
+            ...report.summary,
+            bytesFormatted: formatBytes(report.summary.bytes),
+            keptBytesFormatted: formatBytes(report.summary.keptBytes),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to build storage lifecycle report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'failed to build storage lifecycle report',
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Check the database against local and remote storage (nothing is changed)
+router.get(
+  '/api/management/storage/fsck',
+  requireRole('admin'),
+  managementLimiter,
+  async (req, res) => {
+    try {
+      const report = await runStorageFsck();
+      res.json({ success: true, report });
+    } catch (error) {
+      logger.error('Failed to check storage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'failed to check storage',
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Check storage and fix the chosen categories of mismatches
+router.post(
+  '/api/management/storage/fsck',
+  requireRole('admin'),
+  managementLimiter,
+  express.json(),
+  async (req, res) => {
+    let fix;
+    try {
+      fix = parseFsckCategories(req.body?.fix);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (fix.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'invalid filename',
+        error: 'choose the categories to fix, or "all"',
       });
     }
 
-    // Get list of valid archive files from directory (whitelist approach)
-    const baseDir = path.resolve(loggerConfig.logDir);
-    const validFiles = fs
-      .readdirSync(baseDir)
-      .filter(f => f.match(/^admin-uploads-archive-[\w-]+\.zip$/));
+    try {
+      logger.info(`Starting storage fsck (fix: ${fix.join(', ')})`);
+      const report = await runStorageFsck({ fix });
+      const failed = Object.values(report.summary).reduce(
+        (total, counts) => total + counts.failed,
+        0
+      );
 
-    // Check requested file exists in whitelist
-    if (!validFiles.includes(filename)) {
-      return res.status(404).json({
+      await recordAuditEvent(req, {
+        action: 'storage.fsck',
+        status: failed > 0 ? 'failed' : 'success',
+        targetType: 'storage',
+        before: { fix },
+        after: { summary: report.summary },
+      });
+
+      res.json({ success: true, report });
+    } catch (error) {
+      logger.error('Failed to fix storage:', error);
+      await recordAuditEvent(req, {
+        action: 'storage.fsck',
+        status: 'failed',
+        targetType: 'storage',
+        before: { fix },
+        after: { error: error.message },
+      });
+      res.status(500).json({
         success: false,
-        error: 'archive not found',
+        error: 'failed to fix storage',
+        message: error.message,
       });
     }
+  }
+);
 
-    // Build path from validated filename
-    const filePath = path.join(baseDir, filename);
-
-    // Send file for download
-    res.download(filePath, filename, err => {
-      if (err) {
-        logger.error(`Failed to send archive ${filename}: ${err.message}`);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            error: 'failed to download archive',
-          });
-        }
-      }
+// Bot restart placeholder (not implemented)
+router.post(
+  '/api/management/bot/restart',
+  requireRole('admin'),
+  express.json(),
+  async (req, res) => {
+    logger.info('Bot restart requested (not implemented)');
+    await recordAuditEvent(req, {
+      action: 'bot.restart',
+      status: 'failed',
+      targetType: 'bot',
+      after: { error: 'not implemented' },
     });
-  } catch (error) {
-    logger.error('Failed to download archive:', error);
-    res.status(500).json({
+    res.status(501).json({
       success: false,
-      error: 'failed to download archive',
-      message: error.message,
+      error: 'not implemented',
+      message: 'Bot restart functionality is not yet implemented',
     });
   }
-});
-
-// Bot restart placeholder (not implemented)
-router.post('/api/management/bot/restart', express.json(), (req, res) => {
-  logger.info('Bot restart requested (not implemented)');
-  res.status(501).json({
-    success: false,
-    error: 'not implemented',
-    message: 'Bot restart functionality is not yet implemented',
-  });
-});
+);
 
 /**
  * Format bytes to human readable string
@@ -0,0 +1,125 @@
+import express from 'express';
+import { createLogger } from '../../utils/logger.js';
+import { botConfig } from '../../utils/config.js';
+import { searchMedia, searchMediaCount, MEDIA_STORAGE_LOCATIONS } from '../../utils/database.js';
+import { attachPreviewUrls, isPreviewKey } from '../../utils/media-previews.js';
+import { getLocalStorageDriver, getContentType } from '../../utils/storage-driver.js';
+import { requireRole } from '../middleware/auth.js';
+
+const logger = createLogger('webui');
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+const FILE_TYPES = ['gif', 'video', 'image'];
+
+/**
+ * Normalize a source domain filter
+ * Accepts a bare host or a full URL, and drops 'www.' like the stored domain index does
+ * @param {string} value - Raw domain
+ * @returns {string|null} Host, or null if there is none
+ *
+ * @example
+ * normalizeSourceDomain('https://www.TikTok.com/@user') // 'tiktok.com'
+ */
+export function normalizeSourceDomain(value) {
+  const host = value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '');
+  return host || null;
+}
+
+/**
+ * Parse media search filters from query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Options for searchMedia
+ */
+export function parseMediaSearchQuery(query) {
+  const options = {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+  };
+
+  const text = field =>
+    typeof query[field] === 'string' && query[field].trim() ? query[field].trim() : null;
+
+  const domain = text('domain') && normalizeSourceDomain(text('domain'));
+  if (domain) {
+    options.domain = domain;
+  }
+  if (text('url')) {
+    options.url = text('url');
+  }
+  if (FILE_TYPES.includes(text('fileType'))) {
+    options.fileType = text('fileType');
+  }
+  if (MEDIA_STORAGE_LOCATIONS.includes(text('storage'))) {
+    options.storage = text('storage');
+  }
+  if (text('userId') && /^\d+$/.test(text('userId'))) {
+    options.userId = text('userId');
+  }
+
+  for (const field of ['minSize', 'maxSize', 'startTime', 'endTime']) {
+    const value = parseInt(query[field], 10);
+    if (Number.isFinite(value) && value >= 0) {
+      options[field] = value;
+    }
+  }
+
+  return options;
+}
+
+// Search stored media across all users
+router.get('/api/media/search', requireRole('moderator'), async (req, res) => {
+  try {
+    const options = parseMediaSearchQuery(req.query);
+
+    const [media, total] = await Promise.all([searchMedia(options), searchMediaCount(options)]);
+
+    res.json({
+      media: await attachPreviewUrls(media),
+      total,
+      limit: options.limit,
+      offset: options.offset,
+    });
+  } catch (error) {
+    logger.error('Failed to search media:', error);
+    res.status(500).json({
+      error: 'failed to search media',
+      message: error.message,
+    });
+  }
+});
+
+// Serve poster frames and preview clips kept in local storage (previews in R2 have public URLs)
+router.get('/api/media/:folder/:name', requireRole('viewer'), async (req, res, next) => {
+  const key = `${req.params.folder}/${req.params.name}`;
+  if (!isPreviewKey(key)) {
+    return next();
+  }
+
+  try {
+    const driver = getLocalStorageDriver(botConfig.gifStoragePath);
+    const stats = await driver.stat(key);
+    if (!stats) {
+      return res.status(404).json({ error: 'preview not found' });
+    }
+
+    const buffer = await driver.get(key);
+    res.set({
+      'Content-Type': getContentType(key),
+      'Cache-Control': 'public, max-age=604800',
+      'Last-Modified': stats.lastModified.toUTCString(),
+    });
+    res.send(buffer);
+  } catch (error) {
+    logger.error(`Failed to serve preview ${key}:`, error);
+    res.status(500).json({ error: 'failed to serve preview', message: error.message });
+  }
+});
+
+export default router;
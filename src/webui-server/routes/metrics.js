@@ -3,6 +3,7 @@ import { createLogger } from '../../utils/logger.js';
 import { getLogMetrics } from '../../utils/database.js';
 import { getSystemMetrics } from '../../utils/database.js';
 import { collectSystemMetrics } from '../../utils/system-metrics.js';
+import { requireRole } from '../middleware/auth.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
@@ -22,7 +23,7 @@ async function getCachedSystemMetrics() {
 }
 
 // Error metrics endpoint
-router.get('/api/metrics/errors', async (req, res) => {
+router.get('/api/metrics/errors', requireRole('viewer'), async (req, res) => {
   try {
     const { timeRange } = req.query;
     const options = {
@@ -59,7 +60,7 @@ router.get('/api/metrics/errors', async (req, res) => {
 });
 
 // System metrics endpoint
-router.get('/api/metrics/system', async (req, res) => {
+router.get('/api/metrics/system', requireRole('viewer'), async (req, res) => {
   try {
     const { limit = 100, startTime, endTime } = req.query;
 
@@ -115,7 +116,7 @@ router.get('/api/metrics/system', async (req, res) => {
 });
 
 // System metrics current endpoint
-router.get('/api/metrics/system/current', async (req, res) => {
+router.get('/api/metrics/system/current', requireRole('viewer'), async (req, res) => {
   try {
     const metrics = await getCachedSystemMetrics();
 
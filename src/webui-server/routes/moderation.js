@@ -1,7 +1,7 @@
 import express from 'express';
 import { createLogger } from '../../utils/logger.js';
-import { r2Config } from '../../utils/config.js';
-import { deleteFromR2, extractR2KeyFromUrl } from '../../utils/r2-storage.js';
+import { botConfig } from '../../utils/config.js';
+import { getRemoteStorageDriver } from '../../utils/storage-driver.js';
 import {
   getUserR2Media,
   getUserR2MediaCount,
@@ -14,13 +14,124 @@ import {
   getR2UploadsCount,
   getUsersWithR2Uploads,
   getUsersWithR2UploadsCount,
+  addBlocklistEntry,
+  getBlocklistEntry,
+  getBlocklistEntries,
+  getBlocklistEntriesCount,
+  removeBlocklistEntry,
+  BLOCKLIST_ENTRY_TYPES,
 } from '../../utils/database.js';
+import { parseBlocklistEntry } from '../../utils/blocklist.js';
+import { hashUrl } from '../../utils/cobalt-queue.js';
+import { findNearDuplicateClusters } from '../../utils/perceptual-hash.js';
+import { attachPreviewUrls } from '../../utils/media-previews.js';
+import { deleteMediaPreviews } from '../../utils/storage.js';
+import { requireRole } from '../middleware/auth.js';
+import { recordAuditEvent, snapshotMedia } from '../utils/audit.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
 
+/**
+ * Add an entry to the content blocklist and record it in the audit log
+ * @param {Object} req - Express request
+ * @param {Object} entry - Entry fields accepted by addBlocklistEntry (without createdBy)
+ * @returns {Promise<Object>} Blocklist entry
+ */
+async function addToBlocklist(req, entry) {
+  const added = await addBlocklistEntry({
+    ...entry,
+    createdBy: req.user ? String(req.user.id) : null,
+  });
+  await recordAuditEvent(req, {
+    action: 'blocklist.add',
+    targetType: 'blocklist',
+    targetId: String(added.id),
+    after: added,
+  });
+  return added;
+}
+
+/**
+ * List the blocklist entries that keep a deleted file from being made again
+ * Files made with options are stored under hashes that include them, so the source URL and the
+ * source file are blocked as well, whatever options they are converted with next
+ * @param {Object} record - processed_urls row of the deleted file
+ * @returns {Array<Object>} Entries for addBlocklistEntry: {entryType, value, sourceUrl}
+ */
+export function getDeletedMediaBlocklistEntries(record) {
+  const entries = [
+    { entryType: 'url_hash', value: record.url_hash, sourceUrl: null },
+    { entryType: 'file_hash', value: record.file_hash, sourceUrl: null },
+    /^https?:\/\//i.test(record.source_url || '')
+      ? { entryType: 'url_hash', value: hashUrl(record.source_url), sourceUrl: record.source_url }
+      : null,
+    { entryType: 'file_hash', value: record.source_file_hash, sourceUrl: null },
+  ].filter(entry => entry?.value);
+
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = `${entry.entryType}:${entry.value}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Block a deleted file so it can't be processed again (see getDeletedMediaBlocklistEntries)
+ * Failures are logged rather than thrown since the file is already deleted
+ * @param {Object} req - Express request
+ * @param {Object} record - processed_urls row of the deleted file
+ * @param {string|null} reason - Why the file was blocked
+ * @returns {Promise<boolean>} True if every entry was added
+ */
+async function blockDeletedMedia(req, record, reason) {
+  try {
+    for (const entry of getDeletedMediaBlocklistEntries(record)) {
+      await addToBlocklist(req, { ...entry, reason });
+    }
+    return true;
+  } catch (error) {
+    logger.error(`Failed to blocklist deleted file ${record.url_hash}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Read the blocklist options sent with a delete request
+ * @param {Object} body - Request body
+ * @returns {{block: boolean, reason: string|null}} Whether to blocklist the deleted files, and why
+ */
+function parseBlockOptions(body) {
+  return {
+    block: body?.block === true,
+    reason:
+      typeof body?.reason === 'string' && body.reason.trim() ? body.reason.slice(0, 500) : null,
+  };
+}
+
+/**
+ * Parse the near-duplicate query string
+ * @param {Object} query - Express query object
+ * @returns {{limit: number, threshold: number}} Fingerprints to scan and maximum average distance
+ */
+export function parseNearDuplicateQuery(query) {
+  const limit = parseInt(query.limit, 10);
+  const threshold = parseInt(query.threshold, 10);
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 5000) : 1000,
+    threshold:
+      Number.isInteger(threshold) && threshold >= 0
+        ? Math.min(threshold, 32)
+        : botConfig.perceptualHashThreshold,
+  };
+}
+
 // Get moderation dashboard statistics
-router.get('/api/moderation/stats', async (req, res) => {
+router.get('/api/moderation/stats', requireRole('moderator'), async (req, res) => {
   try {
     logger.debug('Fetching moderation stats');
     const stats = await getModerationStats();
@@ -36,7 +147,7 @@ router.get('/api/moderation/stats', async (req, res) => {
 });
 
 // Get recent R2 uploads across all users
-router.get('/api/moderation/recent-uploads', async (req, res) => {
+router.get('/api/moderation/recent-uploads', requireRole('moderator'), async (req, res) => {
   try {
     const { limit = 25, offset = 0, fileType = null } = req.query;
 
@@ -55,7 +166,7 @@ router.get('/api/moderation/recent-uploads', async (req, res) => {
     logger.debug(`Found ${uploads.length} recent uploads (total: ${total})`);
 
     res.json({
-      uploads,
+      uploads: await attachPreviewUrls(uploads),
       total,
     });
   } catch (error) {
@@ -68,7 +179,7 @@ router.get('/api/moderation/recent-uploads', async (req, res) => {
 });
 
 // Get users with R2 uploads (only users who have uploaded files)
-router.get('/api/moderation/users-with-uploads', async (req, res) => {
+router.get('/api/moderation/users-with-uploads', requireRole('moderator'), async (req, res) => {
   try {
     const {
       search = null,
@@ -108,7 +219,7 @@ router.get('/api/moderation/users-with-uploads', async (req, res) => {
 });
 
 // Get R2 media files for a user
-router.get('/api/moderation/users/:userId/r2-media', async (req, res) => {
+router.get('/api/moderation/users/:userId/r2-media', requireRole('moderator'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 25, offset = 0, fileType = null } = req.query;
@@ -128,7 +239,7 @@ router.get('/api/moderation/users/:userId/r2-media', async (req, res) => {
     logger.debug(`Found ${media.length} R2 media items (total: ${total}) for user ${userId}`);
 
     res.json({
-      media,
+      media: await attachPreviewUrls(media),
       total,
     });
   } catch (error) {
@@ -141,210 +252,451 @@ router.get('/api/moderation/users/:userId/r2-media', async (req, res) => {
 });
 
 // Bulk delete multiple R2 files (must be before the parameterized route)
-router.delete('/api/moderation/files/bulk', express.json(), async (req, res) => {
-  try {
-    logger.debug('Bulk delete request received', {
-      body: req.body,
-      contentType: req.headers['content-type'],
-    });
+router.delete(
+  '/api/moderation/files/bulk',
+  requireRole('moderator'),
+  express.json(),
+  async (req, res) => {
+    try {
+      logger.debug('Bulk delete request received', {
+        body: req.body,
+        contentType: req.headers['content-type'],
+      });
 
-    const { urlHashes } = req.body;
+      const { urlHashes } = req.body;
+      const { block, reason } = parseBlockOptions(req.body);
 
-    if (!urlHashes) {
-      logger.error('Bulk delete: urlHashes is missing from request body', { body: req.body });
-      return res.status(400).json({
-        error: 'invalid request',
-        message: 'urlHashes is required in request body',
+      if (!urlHashes) {
+        logger.error('Bulk delete: urlHashes is missing from request body', { body: req.body });
+        return res.status(400).json({
+          error: 'invalid request',
+          message: 'urlHashes is required in request body',
+        });
+      }
+
+      if (!Array.isArray(urlHashes) || urlHashes.length === 0) {
+        logger.error('Bulk delete: urlHashes is not a valid array', { urlHashes });
+        return res.status(400).json({
+          error: 'invalid request',
+          message: 'urlHashes must be a non-empty array',
+        });
+      }
+
+      logger.debug(`Bulk deleting ${urlHashes.length} R2 files`, { urlHashes });
+
+      const results = {
+        success: [],
+        failed: [],
+      };
+
+      // Batch-fetch all records in one query instead of N individual lookups
+      const recordMap = await getProcessedUrlsBatch(urlHashes);
+
+      for (const urlHash of urlHashes) {
+        try {
+          const record = recordMap.get(urlHash);
+          if (!record) {
+            results.failed.push({ urlHash, error: 'record not found' });
+            continue;
+          }
+
+          // Check if it's a remote storage URL
+          const remote = getRemoteStorageDriver();
+          const r2Key = remote?.keyFromUrl(record.file_url);
+          if (!r2Key) {
+            results.failed.push({ urlHash, error: 'not an r2 file' });
+            continue;
+          }
+
+          // Delete from remote storage (ignore errors if file doesn't exist)
+          let r2Error = null;
+          try {
+            await remote.delete(r2Key);
+          } catch (error) {
+            r2Error = error.message;
+            logger.warn(
+              `Failed to delete from ${remote.name} (may already be deleted): ${error.message}`
+            );
+          }
+          await deleteMediaPreviews(record.file_hash, botConfig.gifStoragePath);
+
+          // Delete from database
+          const deleted = await deleteProcessedUrl(urlHash);
+          if (deleted) {
+            results.success.push(urlHash);
+          } else {
+            results.failed.push({ urlHash, error: 'database deletion failed' });
+          }
+
+          const blocked = block ? await blockDeletedMedia(req, record, reason) : false;
+
+          await recordAuditEvent(req, {
+            action: 'media.delete',
+            status: deleted ? 'success' : 'failed',
+            targetType: 'media',
+            targetId: urlHash,
+            targetUserId: record.user_id,
+            targetR2Key: r2Key,
+            before: snapshotMedia(record, r2Key),
+            after: { source: 'bulk', databaseDeleted: deleted, r2Error, blocked },
+          });
+        } catch (error) {
+          logger.error(`Failed to delete R2 file ${urlHash}:`, error);
+          results.failed.push({ urlHash, error: error.message });
+        }
+      }
+
+      logger.info(
+        `Bulk delete completed: ${results.success.length} successful, ${results.failed.length} failed`
+      );
+
+      res.json({
+        success: true,
+        results,
+      });
+    } catch (error) {
+      logger.error('Failed to bulk delete R2 files:', error);
+      res.status(500).json({
+        error: 'failed to bulk delete files',
+        message: error.message,
       });
     }
+  }
+);
 
-    if (!Array.isArray(urlHashes) || urlHashes.length === 0) {
-      logger.error('Bulk delete: urlHashes is not a valid array', { urlHashes });
-      return res.status(400).json({
-        error: 'invalid request',
-        message: 'urlHashes must be a non-empty array',
+// Delete a single R2 file (must be after the bulk route)
+router.delete(
+  '/api/moderation/files/:urlHash',
+  requireRole('moderator'),
+  express.json(),
+  async (req, res) => {
+    try {
+      const { urlHash } = req.params;
+      const { block, reason } = parseBlockOptions(req.body);
+
+      logger.debug(`Deleting R2 file with urlHash: ${urlHash}`);
+
+      // Get the processed URL record
+      const record = await getProcessedUrl(urlHash);
+      if (!record) {
+        return res.status(404).json({
+          error: 'file not found',
+          message: 'No record found for the specified urlHash',
+        });
+      }
+
+      // Check if it's a remote storage URL
+      const remote = getRemoteStorageDriver();
+      const r2Key = remote?.keyFromUrl(record.file_url);
+      if (!r2Key) {
+        return res.status(400).json({
+          error: 'not an r2 file',
+          message: 'The specified file is not stored in R2',
+        });
+      }
+
+      // Delete from remote storage (ignore errors if file doesn't exist)
+      let r2Error = null;
+      try {
+        await remote.delete(r2Key);
+      } catch (error) {
+        r2Error = error.message;
+        logger.warn(
+          `Failed to delete from ${remote.name} (may already be deleted): ${error.message}`
+        );
+        // Continue to delete database record even if R2 deletion fails
+      }
+      await deleteMediaPreviews(record.file_hash, botConfig.gifStoragePath);
+
+      // Delete from database
+      const deleted = await deleteProcessedUrl(urlHash);
+      const blocked = block ? await blockDeletedMedia(req, record, reason) : false;
+      await recordAuditEvent(req, {
+        action: 'media.delete',
+        status: deleted ? 'success' : 'failed',
+        targetType: 'media',
+        targetId: urlHash,
+        targetUserId: record.user_id,
+        targetR2Key: r2Key,
+        before: snapshotMedia(record, r2Key),
+        after: { source: 'single', databaseDeleted: deleted, r2Error, blocked },
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'database record not found',
+          message: 'File was deleted from R2 but database record was not found',
+        });
+      }
+
+      logger.info(`Successfully deleted R2 file: ${urlHash} (${r2Key})`);
+
+      res.json({
+        success: true,
+        message: 'File deleted successfully',
+        blocked,
+      });
+    } catch (error) {
+      logger.error(`Failed to delete R2 file ${req.params.urlHash}:`, error);
+      res.status(500).json({
+        error: 'failed to delete file',
+        message: error.message,
       });
     }
+  }
+);
 
-    logger.debug(`Bulk deleting ${urlHashes.length} R2 files`, { urlHashes });
+// Delete all R2 files for a user
+router.delete(
+  '/api/moderation/users/:userId/r2-media',
+  requireRole('moderator'),
+  express.json(),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { block, reason } = parseBlockOptions(req.body);
 
-    const results = {
-      success: [],
-      failed: [],
-    };
+      logger.debug(`Deleting all R2 media for user ${userId}`);
 
-    // Batch-fetch all records in one query instead of N individual lookups
-    const recordMap = await getProcessedUrlsBatch(urlHashes);
+      // Get all R2 media for the user
+      const media = await getUserR2Media(userId, { limit: null, offset: null });
+      const total = media.length;
 
-    for (const urlHash of urlHashes) {
-      try {
-        const record = recordMap.get(urlHash);
-        if (!record) {
-          results.failed.push({ urlHash, error: 'record not found' });
-          continue;
-        }
+      if (total === 0) {
+        return res.json({
+          success: true,
+          message: 'No R2 files found for this user',
+          deleted: 0,
+        });
+      }
 
-        // Check if it's an R2 URL
-        const r2Key = extractR2KeyFromUrl(record.file_url, r2Config);
-        if (!r2Key) {
-          results.failed.push({ urlHash, error: 'not an r2 file' });
-          continue;
-        }
+      logger.info(`Deleting ${total} R2 files for user ${userId}`);
 
-        // Delete from R2 (ignore errors if file doesn't exist)
+      // Delete each file from remote storage
+      const remote = getRemoteStorageDriver();
+      let r2Deleted = 0;
+      let r2Failed = 0;
+      const fileResults = [];
+      for (const item of media) {
+        let r2Key = null;
+        let r2Error = null;
         try {
-          await deleteFromR2(r2Key, r2Config);
-        } catch (r2Error) {
-          logger.warn(`Failed to delete from R2 (may already be deleted): ${r2Error.message}`);
+          r2Key = remote?.keyFromUrl(item.file_url) ?? null;
+          if (r2Key) {
+            try {
+              await remote.delete(r2Key);
+              r2Deleted++;
+            } catch (error) {
+              r2Error = error.message;
+              logger.warn(
+                `Failed to delete from ${remote.name} (may already be deleted): ${error.message}`
+              );
+              r2Failed++;
+            }
+            await deleteMediaPreviews(item.file_hash, botConfig.gifStoragePath);
+          }
+        } catch (error) {
+          r2Error = error.message;
+          logger.warn(`Failed to process R2 deletion for ${item.url_hash}: ${error.message}`);
+          r2Failed++;
         }
+        fileResults.push({ item, r2Key, r2Error });
+      }
+
+      // Delete all records from database
+      const dbDeleted = await deleteUserR2Media(userId);
 
-        // Delete from database
-        const deleted = await deleteProcessedUrl(urlHash);
-        if (deleted) {
-          results.success.push(urlHash);
-        } else {
-          results.failed.push({ urlHash, error: 'database deletion failed' });
+      // One event per file so each file's history can be looked up, plus one for the request
+      let blockedCount = 0;
+      for (const { item, r2Key, r2Error } of fileResults) {
+        const blocked = block ? await blockDeletedMedia(req, item, reason) : false;
+        if (blocked) {
+          blockedCount++;
         }
-      } catch (error) {
-        logger.error(`Failed to delete R2 file ${urlHash}:`, error);
-        results.failed.push({ urlHash, error: error.message });
+        await recordAuditEvent(req, {
+          action: 'media.delete',
+          targetType: 'media',
+          targetId: item.url_hash,
+          targetUserId: userId,
+          targetR2Key: r2Key,
+          before: snapshotMedia(item, r2Key),
+          after: { source: 'user', r2Error, blocked },
+        });
       }
+      await recordAuditEvent(req, {
+        action: 'user_media.delete',
+        targetType: 'user',
+        targetId: userId,
+        targetUserId: userId,
+        before: { files: total },
+        after: { deleted: dbDeleted, r2Deleted, r2Failed, blocked: blockedCount },
+      });
+
+      logger.info(
+        `User R2 media deletion completed: ${dbDeleted} database records deleted, ${r2Deleted} R2 files deleted, ${r2Failed} R2 deletions failed`
+      );
+
+      res.json({
+        success: true,
+        message: `Deleted ${dbDeleted} R2 files for user`,
+        deleted: dbDeleted,
+        r2Deleted,
+        r2Failed,
+        blocked: blockedCount,
+      });
+    } catch (error) {
+      logger.error(`Failed to delete all R2 media for user ${req.params.userId}:`, error);
+      res.status(500).json({
+        error: 'failed to delete user r2 media',
+        message: error.message,
+      });
     }
+  }
+);
 
-    logger.info(
-      `Bulk delete completed: ${results.success.length} successful, ${results.failed.length} failed`
-    );
+// List clusters of near-duplicate stored media (same perceptual hash, different files)
+router.get('/api/moderation/near-duplicates', requireRole('moderator'), async (req, res) => {
+  try {
+    const { limit, threshold } = parseNearDuplicateQuery(req.query);
+    const clusters = await findNearDuplicateClusters({ limit, threshold });
+
+    // One preview lookup for the members of every cluster
+    const withPreviews = await attachPreviewUrls(clusters.flat());
+    let next = 0;
 
     res.json({
-      success: true,
-      results,
+      clusters: clusters
+        .map(cluster => withPreviews.slice(next, (next += cluster.length)))
+        .map(members => ({
+          size: members.length,
+          totalBytes: members.reduce((sum, member) => sum + (Number(member.file_size) || 0), 0),
+          members: members.map(member => ({
+            file_hash: member.file_hash,
+            file_extension: member.file_extension,
+            file_type: member.file_type,
+            file_size: member.file_size !== null ? Number(member.file_size) : null,
+            duration: member.duration,
+            created_at: member.created_at,
+            url_hash: member.url_hash,
+            file_url: member.file_url,
+            thumbnail_url: member.thumbnail_url,
+            preview_url: member.preview_url,
+            user_id: member.user_id,
+            processed_at: member.processed_at,
+            reference_count: member.reference_count,
+          })),
+        })),
+      limit,
+      threshold,
     });
   } catch (error) {
-    logger.error('Failed to bulk delete R2 files:', error);
+    logger.error('Failed to find near-duplicate media:', error);
     res.status(500).json({
-      error: 'failed to bulk delete files',
+      error: 'failed to find near-duplicate media',
       message: error.message,
     });
   }
 });
 
-// Delete a single R2 file (must be after the bulk route)
-router.delete('/api/moderation/files/:urlHash', express.json(), async (req, res) => {
+// List content blocklist entries
+router.get('/api/moderation/blocklist', requireRole('moderator'), async (req, res) => {
   try {
-    const { urlHash } = req.params;
-
-    logger.debug(`Deleting R2 file with urlHash: ${urlHash}`);
+    const { type = null, search = null, limit = 50, offset = 0 } = req.query;
 
-    // Get the processed URL record
-    const record = await getProcessedUrl(urlHash);
-    if (!record) {
-      return res.status(404).json({
-        error: 'file not found',
-        message: 'No record found for the specified urlHash',
-      });
-    }
-
-    // Check if it's an R2 URL
-    const r2Key = extractR2KeyFromUrl(record.file_url, r2Config);
-    if (!r2Key) {
+    if (type && !BLOCKLIST_ENTRY_TYPES.includes(type)) {
       return res.status(400).json({
-        error: 'not an r2 file',
-        message: 'The specified file is not stored in R2',
+        error: 'invalid type',
+        message: `type must be one of: ${BLOCKLIST_ENTRY_TYPES.join(', ')}`,
       });
     }
 
-    // Delete from R2 (ignore errors if file doesn't exist)
-    try {
-      await deleteFromR2(r2Key, r2Config);
-    } catch (r2Error) {
-      logger.warn(`Failed to delete from R2 (may already be deleted): ${r2Error.message}`);
-      // Continue to delete database record even if R2 deletion fails
-    }
-
-    // Delete from database
-    const deleted = await deleteProcessedUrl(urlHash);
-    if (!deleted) {
-      return res.status(404).json({
-        error: 'database record not found',
-        message: 'File was deleted from R2 but database record was not found',
-      });
-    }
-
-    logger.info(`Successfully deleted R2 file: ${urlHash} (${r2Key})`);
+    const options = {
+      entryType: type || null,
+      search: typeof search === 'string' && search.trim() ? search.trim() : null,
+    };
+    const entries = await getBlocklistEntries({
+      ...options,
+      limit: Math.min(parseInt(limit, 10) || 50, 500),
+      offset: parseInt(offset, 10) || 0,
+    });
+    const total = await getBlocklistEntriesCount(options);
 
     res.json({
-      success: true,
-      message: 'File deleted successfully',
+      entries,
+      total,
     });
   } catch (error) {
-    logger.error(`Failed to delete R2 file ${req.params.urlHash}:`, error);
+    logger.error('Failed to fetch blocklist:', error);
     res.status(500).json({
-      error: 'failed to delete file',
+      error: 'failed to fetch blocklist',
       message: error.message,
     });
   }
 });
 
-// Delete all R2 files for a user
-router.delete('/api/moderation/users/:userId/r2-media', express.json(), async (req, res) => {
-  try {
-    const { userId } = req.params;
-
-    logger.debug(`Deleting all R2 media for user ${userId}`);
+// Add a file hash, URL (hash) or domain to the content blocklist
+router.post(
+  '/api/moderation/blocklist',
+  requireRole('moderator'),
+  express.json(),
+  async (req, res) => {
+    try {
+      const { type, value } = req.body || {};
+      const parsed = parseBlocklistEntry(type, value);
+      if (!parsed.valid) {
+        return res.status(400).json({
+          error: 'invalid blocklist entry',
+          message: parsed.error,
+        });
+      }
 
-    // Get all R2 media for the user
-    const media = await getUserR2Media(userId, { limit: null, offset: null });
-    const total = media.length;
+      const { reason } = parseBlockOptions(req.body);
+      const entry = await addToBlocklist(req, { ...parsed.entry, reason });
+      logger.info(`Added ${entry.entry_type} ${entry.value} to the blocklist via webui`);
 
-    if (total === 0) {
-      return res.json({
+      res.json({
         success: true,
-        message: 'No R2 files found for this user',
-        deleted: 0,
+        entry,
+      });
+    } catch (error) {
+      logger.error('Failed to add blocklist entry:', error);
+      res.status(500).json({
+        error: 'failed to add blocklist entry',
+        message: error.message,
       });
     }
+  }
+);
 
-    logger.info(`Deleting ${total} R2 files for user ${userId}`);
-
-    // Delete each file from R2
-    let r2Deleted = 0;
-    let r2Failed = 0;
-    for (const item of media) {
-      try {
-        const r2Key = extractR2KeyFromUrl(item.file_url, r2Config);
-        if (r2Key) {
-          try {
-            await deleteFromR2(r2Key, r2Config);
-            r2Deleted++;
-          } catch (r2Error) {
-            logger.warn(`Failed to delete from R2 (may already be deleted): ${r2Error.message}`);
-            r2Failed++;
-          }
-        }
-      } catch (error) {
-        logger.warn(`Failed to process R2 deletion for ${item.url_hash}: ${error.message}`);
-        r2Failed++;
-      }
+// Remove an entry from the content blocklist
+router.delete('/api/moderation/blocklist/:id', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isSafeInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'invalid blocklist entry id' });
     }
 
-    // Delete all records from database
-    const dbDeleted = await deleteUserR2Media(userId);
+    const entry = await getBlocklistEntry(id);
+    const removed = entry ? await removeBlocklistEntry(id) : false;
+    if (!removed) {
+      return res.status(404).json({ error: 'blocklist entry not found' });
+    }
 
-    logger.info(
-      `User R2 media deletion completed: ${dbDeleted} database records deleted, ${r2Deleted} R2 files deleted, ${r2Failed} R2 deletions failed`
-    );
+    await recordAuditEvent(req, {
+      action: 'blocklist.remove',
+      targetType: 'blocklist',
+      targetId: String(id),
+      before: entry,
+    });
+    logger.info(`Removed ${entry.entry_type} ${entry.value} from the blocklist via webui`);
 
     res.json({
       success: true,
-      message: `Deleted ${dbDeleted} R2 files for user`,
-      deleted: dbDeleted,
-      r2Deleted,
-      r2Failed,
+      message: 'Blocklist entry removed',
     });
   } catch (error) {
-    logger.error(`Failed to delete all R2 media for user ${req.params.userId}:`, error);
+    logger.error('Failed to remove blocklist entry:', error);
     res.status(500).json({
-      error: 'failed to delete user r2 media',
+      error: 'failed to remove blocklist entry',
       message: error.message,
     });
   }
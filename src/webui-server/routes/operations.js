@@ -9,7 +9,8 @@ import {
 import { operations, storeOperation } from '../operations/storage.js';
 import { reconstructOperationFromTrace } from '../operations/reconstruction.js';
 import { broadcastOperation, broadcastUserMetrics } from '../websocket/broadcast.js';
-import { restrictToInternal } from '../utils/validation.js';
+import { requireInternal, requireRole } from '../middleware/auth.js';
+import { recordAuditEvent } from '../utils/audit.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
@@ -22,7 +23,7 @@ export function setWebSocketClients(clientsSet) {
 }
 
 // Endpoint for bot to send operation updates
-router.post('/api/operations', express.json(), (req, res) => {
+router.post('/api/operations', requireInternal, express.json(), (req, res) => {
   try {
     const operation = req.body;
     if (!operation || !operation.id) {
@@ -66,7 +67,7 @@ router.post('/api/operations', express.json(), (req, res) => {
 });
 
 // Endpoint for bot to send user metrics updates
-router.post('/api/user-metrics', express.json(), (req, res) => {
+router.post('/api/user-metrics', requireInternal, express.json(), (req, res) => {
   try {
     const { userId, metrics } = req.body;
     if (!userId || !metrics) {
@@ -84,66 +85,78 @@ router.post('/api/user-metrics', express.json(), (req, res) => {
 });
 
 // Admin endpoint to clear test operations from memory (non-destructive)
-// Only accessible from localhost/internal network
-router.post('/api/admin/operations/clear', restrictToInternal, express.json(), (req, res) => {
-  try {
-    const { userId, clearAll } = req.body;
-
-    let removedCount = 0;
-
-    if (clearAll === true) {
-      // Clear all operations from memory
-      removedCount = operations.length;
-      operations.length = 0;
-      logger.info(`Cleared all ${removedCount} operations from memory (admin request)`);
-    } else if (userId) {
-      // Remove operations from specific user ID (e.g., test user 86)
-      const initialLength = operations.length;
-      const filtered = operations.filter(op => String(op.userId) !== String(userId));
-      removedCount = initialLength - filtered.length;
-      operations.length = 0;
-      operations.push(...filtered);
-      logger.info(`Removed ${removedCount} operations from user ${userId} (admin request)`);
-    } else {
-      // Default: remove known test users (user 86)
-      const testUserIds = ['86'];
-      const initialLength = operations.length;
-      const filtered = operations.filter(op => !testUserIds.includes(String(op.userId)));
-      removedCount = initialLength - filtered.length;
-      operations.length = 0;
-      operations.push(...filtered);
-      logger.info(`Removed ${removedCount} test operations (default: user 86) (admin request)`);
-    }
+router.post(
+  '/api/admin/operations/clear',
+  requireRole('admin'),
+  express.json(),
+  async (req, res) => {
+    try {
+      const { userId, clearAll } = req.body;
+
+      let removedCount = 0;
+
+      if (clearAll === true) {
+        // Clear all operations from memory
+        removedCount = operations.length;
+        operations.length = 0;
+        logger.info(`Cleared all ${removedCount} operations from memory (admin request)`);
+      } else if (userId) {
+        // Remove operations from specific user ID (e.g., test user 86)
+        const initialLength = operations.length;
+        const filtered = operations.filter(op => String(op.userId) !== String(userId));
+        removedCount = initialLength - filtered.length;
+        operations.length = 0;
+        operations.push(...filtered);
+        logger.info(`Removed ${removedCount} operations from user ${userId} (admin request)`);
+      } else {
+        // Default: remove known test users (user 86)
+        const testUserIds = ['86'];
+        const initialLength = operations.length;
+        const filtered = operations.filter(op => !testUserIds.includes(String(op.userId)));
+        removedCount = initialLength - filtered.length;
+        operations.length = 0;
+        operations.push(...filtered);
+        logger.info(`Removed ${removedCount} test operations (default: user 86) (admin request)`);
+      }
 
-    // Broadcast empty operations list to all connected clients to refresh their view
-    if (clients) {
-      const message = JSON.stringify({ type: 'operations', data: [...operations] });
-      clients.forEach(client => {
-        if (client.readyState === 1) {
-          try {
-            client.send(message);
-          } catch (error) {
-            logger.error('Error sending operations update to client:', error);
+      // Broadcast empty operations list to all connected clients to refresh their view
+      if (clients) {
+        const message = JSON.stringify({ type: 'operations', data: [...operations] });
+        clients.forEach(client => {
+          if (client.readyState === 1) {
+            try {
+              client.send(message);
+            } catch (error) {
+              logger.error('Error sending operations update to client:', error);
+            }
           }
-        }
+        });
+      }
+
+      await recordAuditEvent(req, {
+        action: 'operations.clear',
+        targetType: 'operations',
+        targetUserId: !clearAll && userId ? String(userId) : null,
+        before: { clearAll: clearAll === true, userId: userId || null },
+        after: { removedCount, remainingCount: operations.length },
       });
-    }
 
-    res.json({
-      success: true,
-      removedCount,
-      remainingCount: operations.length,
-      message: `Removed ${removedCount} operation(s) from memory`,
-    });
-  } catch (error) {
-    logger.error('Error clearing operations:', error);
-    res.status(500).json({ error: 'failed to clear operations', message: error.message });
+      res.json({
+        success: true,
+        removedCount,
+        remainingCount: operations.length,
+        message: `Removed ${removedCount} operation(s) from memory`,
+      });
+    } catch (error) {
+      logger.error('Error clearing operations:', error);
+      res.status(500).json({ error: 'failed to clear operations', message: error.message });
+    }
   }
-});
+);
 
 // Operations search endpoint - MUST come before /api/operations/:operationId
 // Otherwise Express will match "search" as an operationId parameter
-router.get('/api/operations/search', async (req, res) => {
+router.get('/api/operations/search', requireRole('viewer'), async (req, res) => {
   try {
     const {
       operationId,
@@ -286,7 +299,7 @@ router.get('/api/operations/search', async (req, res) => {
 });
 
 // Requests endpoint - shows all user requests including early failures
-router.get('/api/requests', async (req, res) => {
+router.get('/api/requests', requireRole('viewer'), async (req, res) => {
   try {
     const {
       operationId,
@@ -470,7 +483,7 @@ router.get('/api/requests', async (req, res) => {
 });
 
 // Operation details endpoint - MUST come after /api/operations/search
-router.get('/api/operations/:operationId', async (req, res) => {
+router.get('/api/operations/:operationId', requireRole('viewer'), async (req, res) => {
   try {
     const { operationId } = req.params;
 
@@ -515,7 +528,7 @@ router.get('/api/operations/:operationId', async (req, res) => {
 });
 
 // Operation trace endpoint
-router.get('/api/operations/:operationId/trace', async (req, res) => {
+router.get('/api/operations/:operationId/trace', requireRole('viewer'), async (req, res) => {
   try {
     const { operationId } = req.params;
     const trace = await getOperationTrace(operationId);
@@ -535,7 +548,7 @@ router.get('/api/operations/:operationId/trace', async (req, res) => {
 });
 
 // Related operations endpoint
-router.get('/api/operations/:operationId/related', async (req, res) => {
+router.get('/api/operations/:operationId/related', requireRole('viewer'), async (req, res) => {
   try {
     const { operationId } = req.params;
     const trace = await getOperationTrace(operationId);
@@ -599,7 +612,7 @@ router.get('/api/operations/:operationId/related', async (req, res) => {
 });
 
 // Error analysis endpoint
-router.get('/api/operations/errors/analysis', async (req, res) => {
+router.get('/api/operations/errors/analysis', requireRole('viewer'), async (req, res) => {
   try {
     // Get all operations with errors
     let allOperations = [...operations];
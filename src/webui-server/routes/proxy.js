@@ -2,12 +2,13 @@ import express from 'express';
 import { createLogger } from '../../utils/logger.js';
 import { getStats, getHealth } from '../cache/stats-cache.js';
 import { getCryptoPrices } from '../cache/crypto-cache.js';
+import { requireRole } from '../middleware/auth.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
 
 // Proxy endpoint to fetch stats from main server
-router.get('/api/stats', async (req, res) => {
+router.get('/api/stats', requireRole('viewer'), async (req, res) => {
   try {
     const stats = await getStats();
     res.json(stats);
@@ -35,7 +36,7 @@ router.get('/api/health', async (req, res) => {
 });
 
 // Crypto prices endpoint with caching
-router.get('/api/crypto-prices', async (req, res) => {
+router.get('/api/crypto-prices', requireRole('viewer'), async (req, res) => {
   try {
     const prices = await getCryptoPrices();
     res.json(prices);
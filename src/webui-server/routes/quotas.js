@@ -0,0 +1,229 @@
+import express from 'express';
+import { createLogger } from '../../utils/logger.js';
+import { quotaConfig } from '../../utils/config.js';
+import {
+  getQuotas,
+  getQuota,
+  setQuota,
+  deleteQuota,
+  QUOTA_SCOPE_TYPES,
+  QUOTA_LIMIT_FIELDS,
+} from '../../utils/database.js';
+import { getQuotaStatus } from '../../utils/quotas.js';
+import { requireRole } from '../middleware/auth.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+const logger = createLogger('webui');
+const router = express.Router();
+
+/**
+ * Validate quota limits from a request body
+ * Each limit must be a non-negative integer (0 = unlimited) or null (inherit)
+ * @param {Object} body - Request body
+ * @returns {{valid: boolean, error?: string, limits?: Object}} Validation result
+ */
+function parseQuotaLimits(body) {
+  const limits = {};
+  for (const field of QUOTA_LIMIT_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      limits[field] = null;
+      continue;
+    }
+    const parsed = Number(value);
+    if (!Number.isSafeInteger(parsed) || parsed < 0) {
+      return { valid: false, error: `${field} must be a non-negative integer or null` };
+    }
+    limits[field] = parsed;
+  }
+
+  if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+    return { valid: false, error: 'note must be a string' };
+  }
+  limits.note = body.note ? body.note.slice(0, 500) : null;
+
+  return { valid: true, limits };
+}
+
+// List quota overrides and the configured defaults
+router.get('/api/quotas', requireRole('moderator'), async (req, res) => {
+  try {
+    const { scopeType = null, limit = 100, offset = 0 } = req.query;
+
+    if (scopeType && !QUOTA_SCOPE_TYPES.includes(scopeType)) {
+      return res.status(400).json({
+        error: 'invalid scope type',
+        message: `scopeType must be one of: ${QUOTA_SCOPE_TYPES.join(', ')}`,
+      });
+    }
+
+    const quotas = await getQuotas({
+      scopeType,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+    });
+
+    res.json({
+      defaults: quotaConfig,
+      quotas,
+    });
+  } catch (error) {
+    logger.error('Failed to fetch quotas:', error);
+    res.status(500).json({
+      error: 'failed to fetch quotas',
+      message: error.message,
+    });
+  }
+});
+
+// Effective limits and current usage for a user
+// Optional guildId and roleIds (comma-separated) query parameters apply guild and role overrides
+router.get('/api/quotas/users/:userId/status', requireRole('moderator'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { guildId = null, roleIds = '' } = req.query;
+
+    const status = await getQuotaStatus({
+      userId,
+      guildId: guildId || null,
+      roleIds: roleIds
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean),
+    });
+
+    res.json({
+      userId,
+      limits: status.limits,
+      usage: status.usage,
+      activeJobs: status.activeJobs,
+      overrides: status.overrides,
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch quota status for user ${req.params.userId}:`, error);
+    res.status(500).json({
+      error: 'failed to fetch quota status',
+      message: error.message,
+    });
+  }
+});
+
+// Get the quota override for a scope
+router.get('/api/quotas/:scopeType/:scopeId', requireRole('moderator'), async (req, res) => {
+  try {
+    const { scopeType, scopeId } = req.params;
+
+    if (!QUOTA_SCOPE_TYPES.includes(scopeType)) {
+      return res.status(400).json({ error: 'invalid scope type' });
+    }
+
+    const quota = await getQuota(scopeType, scopeId);
+    if (!quota) {
+      return res.status(404).json({ error: 'quota not found' });
+    }
+
+    res.json({ quota });
+  } catch (error) {
+    logger.error('Failed to fetch quota:', error);
+    res.status(500).json({
+      error: 'failed to fetch quota',
+      message: error.message,
+    });
+  }
+});
+
+// Create or replace the quota override for a scope
+router.put(
+  '/api/quotas/:scopeType/:scopeId',
+  requireRole('admin'),
+  express.json(),
+  async (req, res) => {
+    try {
+      const { scopeType, scopeId } = req.params;
+
+      if (!QUOTA_SCOPE_TYPES.includes(scopeType)) {
+        return res.status(400).json({
+          error: 'invalid scope type',
+          message: `scopeType must be one of: ${QUOTA_SCOPE_TYPES.join(', ')}`,
+        });
+      }
+
+      if (!/^\d{1,32}$/.test(scopeId)) {
+        return res.status(400).json({
+          error: 'invalid scope id',
+          message: 'scopeId must be a Discord ID',
+        });
+      }
+
+      const parsed = parseQuotaLimits(req.body || {});
+      if (!parsed.valid) {
+        return res.status(400).json({
+          error: 'invalid quota',
+          message: parsed.error,
+        });
+      }
+
+      const previous = await getQuota(scopeType, scopeId);
+      const quota = await setQuota(scopeType, scopeId, parsed.limits);
+      logger.info(`Quota override set for ${scopeType} ${scopeId} via webui`);
+
+      await recordAuditEvent(req, {
+        action: 'quota.set',
+        targetType: 'quota',
+        targetId: `${scopeType}:${scopeId}`,
+        targetUserId: scopeType === 'user' ? scopeId : null,
+        before: previous,
+        after: quota,
+      });
+
+      res.json({
+        success: true,
+        quota,
+      });
+    } catch (error) {
+      logger.error('Failed to set quota:', error);
+      res.status(500).json({
+        error: 'failed to set quota',
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Remove the quota override for a scope
+router.delete('/api/quotas/:scopeType/:scopeId', requireRole('admin'), async (req, res) => {
+  try {
+    const { scopeType, scopeId } = req.params;
+
+    if (!QUOTA_SCOPE_TYPES.includes(scopeType)) {
+      return res.status(400).json({ error: 'invalid scope type' });
+    }
+
+    const previous = await getQuota(scopeType, scopeId);
+    const deleted = await deleteQuota(scopeType, scopeId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'quota not found' });
+    }
+
+    logger.info(`Quota override removed for ${scopeType} ${scopeId} via webui`);
+    await recordAuditEvent(req, {
+      action: 'quota.delete',
+      targetType: 'quota',
+      targetId: `${scopeType}:${scopeId}`,
+      targetUserId: scopeType === 'user' ? scopeId : null,
+      before: previous,
+    });
+    res.json({
+      success: true,
+      message: 'Quota deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Failed to delete quota:', error);
+    res.status(500).json({
+      error: 'failed to delete quota',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -10,13 +10,15 @@ import {
   getRecentOperations,
 } from '../../utils/database.js';
 import { getLogs, getLogsCount } from '../../utils/database.js';
+import { attachPreviewUrls } from '../../utils/media-previews.js';
 import { operations } from '../operations/storage.js';
+import { requireRole } from '../middleware/auth.js';
 
 const logger = createLogger('webui');
 const router = express.Router();
 
 // Users list endpoint
-router.get('/api/users', async (req, res) => {
+router.get('/api/users', requireRole('viewer'), async (req, res) => {
   try {
     const {
       search,
@@ -102,7 +104,7 @@ router.get('/api/users', async (req, res) => {
 });
 
 // User profile endpoint
-router.get('/api/users/:userId', async (req, res) => {
+router.get('/api/users/:userId', requireRole('viewer'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -127,7 +129,7 @@ router.get('/api/users/:userId', async (req, res) => {
 });
 
 // User operations endpoint (from recent operations in memory and database)
-router.get('/api/users/:userId/operations', async (req, res) => {
+router.get('/api/users/:userId/operations', requireRole('viewer'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -173,7 +175,7 @@ router.get('/api/users/:userId/operations', async (req, res) => {
 });
 
 // User activity timeline (from logs)
-router.get('/api/users/:userId/activity', async (req, res) => {
+router.get('/api/users/:userId/activity', requireRole('viewer'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 100, offset = 0 } = req.query;
@@ -206,7 +208,7 @@ router.get('/api/users/:userId/activity', async (req, res) => {
 });
 
 // User media endpoint (from processed_urls)
-router.get('/api/users/:userId/media', async (req, res) => {
+router.get('/api/users/:userId/media', requireRole('viewer'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 25, offset = 0 } = req.query;
@@ -224,7 +226,7 @@ router.get('/api/users/:userId/media', async (req, res) => {
     logger.debug(`Found ${media.length} media items (total: ${total}) for user ${userId}`);
 
     res.json({
-      media,
+      media: await attachPreviewUrls(media),
       total,
     });
   } catch (error) {
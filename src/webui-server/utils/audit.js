@@ -0,0 +1,44 @@
+import { createLogger } from '../../utils/logger.js';
+import { insertAuditEvent } from '../../utils/database.js';
+
+const logger = createLogger('webui');
+
+/**
+ * Record an audit event for the signed-in user making a request
+ * Failures are logged rather than thrown so an audit outage never leaves an action half done.
+ * @param {Object} req - Express request (req.user is set by loadSession)
+ * @param {Object} event - Event fields accepted by insertAuditEvent (without actor and IP)
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEvent(req, event) {
+  try {
+    await insertAuditEvent({
+      actorId: req.user ? String(req.user.id) : null,
+      actorName: req.user?.displayName || null,
+      actorRole: req.user?.role || null,
+      ipAddress: req.ip || null,
+      ...event,
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${event.action}:`, error);
+  }
+}
+
+/**
+ * Snapshot a processed URL record before it is deleted
+ * @param {Object} record - processed_urls row
+ * @param {string|null} r2Key - R2 key of the file
+ * @returns {Object} Fields worth keeping in the audit log
+ */
+export function snapshotMedia(record, r2Key) {
+  return {
+    url_hash: record.url_hash,
+    file_hash: record.file_hash,
+    file_type: record.file_type,
+    file_url: record.file_url,
+    file_size: record.file_size,
+    user_id: record.user_id,
+    processed_at: record.processed_at,
+    r2_key: r2Key,
+  };
+}
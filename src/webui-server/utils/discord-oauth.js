@@ -0,0 +1,76 @@
+import axios from 'axios';
+import { URLSearchParams } from 'url';
+import { webuiConfig } from '../../utils/config.js';
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+const DISCORD_AUTHORIZE_URL = 'https://discord.com/oauth2/authorize';
+
+/**
+ * Check whether Discord sign-in is configured
+ * @returns {boolean} True if the client ID, client secret and public URL are all set
+ */
+export function isDiscordOAuthEnabled() {
+  return Boolean(
+    webuiConfig.discordClientId && webuiConfig.discordClientSecret && webuiConfig.publicUrl
+  );
+}
+
+/**
+ * Get the OAuth2 redirect URI registered with Discord
+ * @returns {string} Redirect URI
+ */
+export function getDiscordRedirectUri() {
+  return `${webuiConfig.publicUrl}/api/auth/discord/callback`;
+}
+
+/**
+ * Build the Discord authorization URL
+ * @param {string} state - Random value checked on the callback to prevent login CSRF
+ * @returns {string} URL to redirect the browser to
+ */
+export function buildDiscordAuthorizeUrl(state) {
+  const params = new URLSearchParams({
+    client_id: webuiConfig.discordClientId,
+    redirect_uri: getDiscordRedirectUri(),
+    response_type: 'code',
+    scope: 'identify',
+    state,
+    prompt: 'none',
+  });
+  return `${DISCORD_AUTHORIZE_URL}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for the Discord user who approved it
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<{id: string, username: string, globalName: string|null}>} Discord user
+ */
+export async function fetchDiscordUserFromCode(code) {
+  const tokenResponse = await axios.post(
+    `${DISCORD_API_URL}/oauth2/token`,
+    new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getDiscordRedirectUri(),
+    }).toString(),
+    {
+      timeout: 10000,
+      auth: {
+        username: webuiConfig.discordClientId,
+        password: webuiConfig.discordClientSecret,
+      },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    }
+  );
+
+  const userResponse = await axios.get(`${DISCORD_API_URL}/users/@me`, {
+    timeout: 10000,
+    headers: { Authorization: `Bearer ${tokenResponse.data.access_token}` },
+  });
+
+  return {
+    id: userResponse.data.id,
+    username: userResponse.data.username,
+    globalName: userResponse.data.global_name || null,
+  };
+}
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15 uses 32MB of memory per hash)
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+export const MIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Hash a password with scrypt
+ * The cost parameters are stored with the hash so they can be raised later without breaking old hashes.
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the form `scrypt$N$r$p$salt$key` (salt and key base64)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: 64 * 1024 * 1024,
+  });
+  return [
+    'scrypt',
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString('base64'),
+    key.toString('base64'),
+  ].join('$');
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain text password
+ * @param {string|null} storedHash - Stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const parts = storedHash.split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, n, r, p, saltBase64, keyBase64] = parts;
+  const expected = Buffer.from(keyBase64, 'base64');
+  try {
+    const actual = await scrypt(password, Buffer.from(saltBase64, 'base64'), expected.length, {
+      N: Number(n),
+      r: Number(r),
+      p: Number(p),
+      maxmem: 64 * 1024 * 1024,
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
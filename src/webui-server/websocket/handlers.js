@@ -78,8 +78,9 @@ export function pingClients(clients) {
 
 // Handle WebSocket connections
 export function setupWebSocketHandlers(wss, clients) {
-  wss.on('connection', async ws => {
-    logger.debug('WebSocket client connected');
+  wss.on('connection', async (ws, req) => {
+    ws.user = req?.user || null;
+    logger.debug(`WebSocket client connected (WebUI user: ${ws.user?.id ?? 'unknown'})`);
     clients.add(ws);
 
     // Mark client as alive initially
@@ -1,5 +1,8 @@
 import { WebSocketServer } from 'ws';
 import { createLogger } from '../../utils/logger.js';
+import { getSessionUser, resolveWebuiRole } from '../middleware/auth.js';
+import { getWebuiSession } from '../../utils/database.js';
+import { webuiConfig } from '../../utils/config.js';
 
 const logger = createLogger('webui');
 
@@ -10,9 +13,95 @@ export const clients = new Set();
 const PING_INTERVAL = 30000; // 30 seconds
 let pingInterval = null;
 
+/**
+ * Check that a handshake was started by the dashboard itself
+ * Browsers send cookies with cross-site WebSocket handshakes, so a valid session alone is not enough.
+ * The origin must match WEBUI_PUBLIC_URL, or the Host header when no public URL is configured.
+ * @param {string|undefined} origin - Origin header of the handshake
+ * @param {Object} req - Upgrade request
+ * @param {string} [publicUrl] - Public URL of the dashboard
+ * @returns {boolean} True if the origin is allowed
+ */
+export function isAllowedWebSocketOrigin(origin, req, publicUrl = webuiConfig.publicUrl) {
+  if (!origin) {
+    return false;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    return false;
+  }
+
+  if (publicUrl) {
+    return parsed.origin === new URL(publicUrl).origin;
+  }
+  return parsed.host === req.headers?.host;
+}
+
+/**
+ * Only accept WebSocket handshakes from the dashboard that carry a valid session cookie
+ * The user is attached to the upgrade request so connection handlers can read it.
+ * @param {Object} info - Handshake info from ws ({ req, origin, secure })
+ * @param {Function} done - Callback (result, code, message)
+ */
+export async function verifyWebSocketClient(info, done) {
+  if (!isAllowedWebSocketOrigin(info.origin, info.req)) {
+    logger.warn(`Rejected WebSocket handshake from origin: ${info.origin ?? 'none'}`);
+    return done(false, 403, 'origin not allowed');
+  }
+
+  try {
+    const user = await getSessionUser(info.req);
+    if (!user) {
+      return done(false, 401, 'authentication required');
+    }
+    info.req.user = user;
+    done(true);
+  } catch (error) {
+    logger.error('Failed to verify WebSocket session:', error);
+    done(false, 500, 'failed to verify session');
+  }
+}
+
+/**
+ * Re-check the session behind every connected client
+ * Sockets whose session was signed out, expired or lost its role are closed.
+ * @param {Set<WebSocket>} clients - Connected clients
+ * @returns {Promise<void>}
+ */
+export async function revalidateClientSessions(clients) {
+  await Promise.all(
+    [...clients].map(async client => {
+      if (!client.user?.sessionId) {
+        return;
+      }
+
+      try {
+        const session = await getWebuiSession(client.user.sessionId);
+        const role = resolveWebuiRole(session?.user);
+        if (!role) {
+          logger.debug(`Closing WebSocket of ended session (WebUI user: ${client.user.id})`);
+          clients.delete(client);
+          client.close(1008, 'session ended');
+          return;
+        }
+        client.user.role = role;
+      } catch (error) {
+        logger.error('Failed to re-check WebSocket session:', error);
+      }
+    })
+  );
+}
+
 export function createWebSocketServer(httpServer) {
   // Create WebSocket server
-  const wss = new WebSocketServer({ server: httpServer, path: '/api/ws' });
+  const wss = new WebSocketServer({
+    server: httpServer,
+    path: '/api/ws',
+    verifyClient: verifyWebSocketClient,
+  });
 
   return { wss, clients };
 }
@@ -86,3 +86,36 @@ export function formatPrice(price) {
   const integerWithCommas = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   return `$${integerWithCommas}.${decimalPart}`;
 }
+
+// Roles in increasing order of access (mirrors src/webui-server/middleware/auth.js)
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+export function hasRole(user, requiredRole) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+}
+
+export async function fetchSession() {
+  const response = await fetch('/api/auth/session');
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return await response.json();
+}
+
+export async function login(username, password) {
+  const response = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || 'sign-in failed');
+  }
+  return data.user;
+}
+
+export async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+}
@@ -0,0 +1,81 @@
+import { Client } from 'discord.js';
+import { createLogger } from './utils/logger.js';
+import { botConfig, jobQueueConfig } from './utils/config.js';
+import { ConfigurationError } from './utils/errors.js';
+import { initDatabase } from './utils/database.js';
+import { registerJobHandlers } from './handlers/jobs.js';
+import { startJobQueue, stopJobQueue, waitForActiveJobs } from './utils/job-queue.js';
+
+// Worker process: claims convert/download/optimize jobs from the shared PostgreSQL queue and runs
+// the ffmpeg/gifsicle pipelines outside the bot process, so the Discord gateway never stalls.
+// Results are posted through the original interaction webhook (or the channel/DM once it expires),
+// and operation updates go through operations-tracker like they do in the bot.
+
+const logger = createLogger('worker');
+
+// How long to wait for running jobs on shutdown before leaving them to be resumed
+const SHUTDOWN_GRACE_PERIOD = 30 * 1000;
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Promise Rejection:', {
+    reason: String(reason),
+    promise: String(promise),
+  });
+});
+
+process.on('uncaughtException', error => {
+  logger.error('Uncaught Exception:', error);
+  process.exit(1);
+});
+
+// REST-only client: the worker never connects to the gateway, it only needs the REST API to
+// edit interaction replies, post to channels, and send DMs
+const client = new Client({ intents: [] });
+
+async function startWorker() {
+  try {
+    if (!botConfig.discordToken) {
+      throw new ConfigurationError('Required configuration missing');
+    }
+    client.rest.setToken(botConfig.discordToken);
+
+    if (jobQueueConfig.processingMode !== 'worker') {
+      logger.warn(
+        'JOB_PROCESSING_MODE is "bot", so the bot also claims jobs. set JOB_PROCESSING_MODE=worker to run jobs only in worker processes'
+      );
+    }
+
+    logger.info('Initializing database...');
+    await initDatabase();
+    logger.info('Database initialized');
+
+    registerJobHandlers();
+    await startJobQueue(client, { role: 'worker' });
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      logger.error('Configuration error:', error.message);
+    } else {
+      logger.error('Failed to start worker:', error);
+    }
+    process.exit(1);
+  }
+}
+
+startWorker();
+
+// Graceful shutdown handlers
+async function gracefulShutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully...`);
+  stopJobQueue();
+
+  const finished = await waitForActiveJobs(SHUTDOWN_GRACE_PERIOD);
+  if (!finished) {
+    logger.warn('Jobs still running at shutdown, they will be resumed on the next start');
+  }
+
+  client.destroy();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { PermissionFlagsBits } from 'discord.js';
+import {
+  canUserReadChannel,
+  collectMessageUrls,
+  parseMessageLink,
+} from '../../src/commands/delete.js';
+
+/**
+ * Build a server channel where only the given members can read messages
+ * @param {Object} readers - Permissions of each member: user ID => array of permission flags
+ * @returns {Object} Channel stub
+ */
+function guildChannel(readers) {
+  return {
+    isDMBased: () => false,
+    guild: {
+      members: {
+        fetch: async userId => {
+          if (!readers[userId]) {
+            throw new Error('Unknown Member');
+          }
+          return { id: userId };
+        },
+      },
+    },
+    permissionsFor: member => ({
+      has: flags => flags.every(flag => readers[member.id].includes(flag)),
+    }),
+  };
+}
+
+describe('delete', () => {
+  describe('parseMessageLink', () => {
+    test('parses server and direct message links', () => {
+      assert.deepStrictEqual(parseMessageLink('https://discord.com/channels/1/2/3'), {
+        guildId: '1',
+        channelId: '2',
+        messageId: '3',
+      });
+      assert.deepStrictEqual(parseMessageLink(' https://ptb.discord.com/channels/@me/2/3 '), {
+        guildId: null,
+        channelId: '2',
+        messageId: '3',
+      });
+    });
+
+    test('rejects anything else', () => {
+      assert.strictEqual(parseMessageLink('https://discord.com/channels/1/2'), null);
+      assert.strictEqual(parseMessageLink('https://example.com/channels/1/2/3'), null);
+      assert.strictEqual(parseMessageLink(null), null);
+    });
+  });
+
+  describe('collectMessageUrls', () => {
+    test('collects attachment and text links once each', () => {
+      const message = {
+        attachments: new Map([
+          ['1', { url: 'https://cdn.discordapp.com/attachments/1/2/a.gif?ex=1' }],
+        ]),
+        content:
+          'https://cdn.example.com/gifs/abc.gif\n-# <https://cdn.example.com/gifs/abc.gif> (expires soon)',
+      };
+      assert.deepStrictEqual(collectMessageUrls(message), [
+        'https://cdn.discordapp.com/attachments/1/2/a.gif?ex=1',
+        'https://cdn.example.com/gifs/abc.gif',
+      ]);
+    });
+
+    test('handles messages without files', () => {
+      assert.deepStrictEqual(collectMessageUrls({ content: 'hello' }), []);
+    });
+  });
+
+  describe('canUserReadChannel', () => {
+    test('only the recipient of a direct message can read it', async () => {
+      const channel = { isDMBased: () => true, recipientId: '1' };
+      assert.strictEqual(await canUserReadChannel(channel, '1'), true);
+      assert.strictEqual(await canUserReadChannel(channel, '2'), false);
+    });
+
+    test('server channels need view and history permissions', async () => {
+      const { ViewChannel, ReadMessageHistory } = PermissionFlagsBits;
+      const channel = guildChannel({
+        reader: [ViewChannel, ReadMessageHistory],
+        viewer: [ViewChannel],
+      });
+      assert.strictEqual(await canUserReadChannel(channel, 'reader'), true);
+      assert.strictEqual(await canUserReadChannel(channel, 'viewer'), false);
+      assert.strictEqual(await canUserReadChannel(channel, 'stranger'), false);
+    });
+  });
+});
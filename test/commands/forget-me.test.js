@@ -0,0 +1,25 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildForgetConfirmation, parseForgetCustomId } from '../../src/commands/forget-me.js';
+
+describe('forget-me', () => {
+  test('confirmation buttons round-trip', () => {
+    const message = buildForgetConfirmation('123456789', 1714521600000);
+    const [confirm, cancel] = message.components[0].toJSON().components;
+
+    assert.deepStrictEqual(parseForgetCustomId(confirm.custom_id), {
+      action: 'confirm',
+      userId: '123456789',
+      issuedAt: 1714521600000,
+    });
+    assert.strictEqual(parseForgetCustomId(cancel.custom_id).action, 'cancel');
+  });
+
+  test('rejects other and malformed IDs', () => {
+    assert.strictEqual(parseForgetCustomId('history:repost:abc123'), null);
+    assert.strictEqual(parseForgetCustomId('forget:erase:123:1'), null);
+    assert.strictEqual(parseForgetCustomId('forget:confirm:abc:1'), null);
+    assert.strictEqual(parseForgetCustomId('forget:confirm:123'), null);
+    assert.strictEqual(parseForgetCustomId(undefined), null);
+  });
+});
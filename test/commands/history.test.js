@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  HISTORY_PAGE_SIZE,
+  buildHistoryMessage,
+  buildHistoryPageId,
+  parseHistoryCustomId,
+  parseHistoryDate,
+} from '../../src/commands/history.js';
+
+const noFilters = { fileType: null, since: null, until: null };
+
+function makeEntries(count) {
+  return Array.from({ length: count }, (_value, index) => ({
+    url_hash: `hash${index}`,
+    file_url: `https://cdn.example.com/gifs/${index}.gif`,
+    file_type: 'gif',
+    processed_at: 1714521600000 + index * 1000,
+    file_size: 1024 * 1024,
+  }));
+}
+
+describe('history', () => {
+  describe('parseHistoryDate', () => {
+    test('empty values are not a filter', () => {
+      assert.deepStrictEqual(parseHistoryDate(null), { timestamp: null, error: null });
+      assert.deepStrictEqual(parseHistoryDate('  '), { timestamp: null, error: null });
+    });
+
+    test('parses the start or end of a UTC day', () => {
+      assert.strictEqual(parseHistoryDate('2024-05-01').timestamp, Date.UTC(2024, 4, 1));
+      assert.strictEqual(parseHistoryDate('2024-05-01', true).timestamp, Date.UTC(2024, 4, 2));
+    });
+
+    test('rejects malformed and impossible dates', () => {
+      assert.ok(parseHistoryDate('05/01/2024').error);
+      assert.ok(parseHistoryDate('2024-02-31').error);
+      assert.ok(parseHistoryDate('2024-13-01').error);
+    });
+  });
+
+  describe('custom IDs', () => {
+    test('page IDs round-trip with their filters', () => {
+      const filters = { fileType: 'video', since: 1714521600000, until: null };
+      const customId = buildHistoryPageId('123456789', 2, filters);
+      assert.ok(customId.length <= 100);
+      assert.deepStrictEqual(parseHistoryCustomId(customId), {
+        action: 'page',
+        userId: '123456789',
+        page: 2,
+        filters,
+      });
+    });
+
+    test('parses repost IDs', () => {
+      assert.deepStrictEqual(parseHistoryCustomId('history:repost:abc123'), {
+        action: 'repost',
+        urlHash: 'abc123',
+      });
+    });
+
+    test('parses delete and confirm IDs', () => {
+      assert.deepStrictEqual(parseHistoryCustomId('history:delete:abc123'), {
+        action: 'delete',
+        urlHash: 'abc123',
+      });
+      assert.deepStrictEqual(parseHistoryCustomId('history:confirm-delete:abc123'), {
+        action: 'confirm-delete',
+        urlHash: 'abc123',
+      });
+    });
+
+    test('rejects other and malformed IDs', () => {
+      assert.strictEqual(parseHistoryCustomId('picker:all:abc123'), null);
+      assert.strictEqual(parseHistoryCustomId('history:repost:'), null);
+      assert.strictEqual(parseHistoryCustomId('history:purge:abc123'), null);
+      assert.strictEqual(parseHistoryCustomId('history:page:123:x:-:-:-'), null);
+      assert.strictEqual(parseHistoryCustomId('history:page:123:0:audio:-:-'), null);
+      assert.strictEqual(parseHistoryCustomId(undefined), null);
+    });
+  });
+
+  describe('buildHistoryMessage', () => {
+    test('explains an empty history', () => {
+      const empty = buildHistoryMessage({
+        userId: '1',
+        entries: [],
+        total: 0,
+        page: 0,
+        filters: noFilters,
+      });
+      assert.strictEqual(empty.content, 'you have no saved files yet.');
+      assert.deepStrictEqual(empty.components, []);
+
+      const filtered = buildHistoryMessage({
+        userId: '1',
+        entries: [],
+        total: 0,
+        page: 0,
+        filters: { ...noFilters, fileType: 'gif' },
+      });
+      assert.strictEqual(filtered.content, 'no files match these filters.');
+    });
+
+    test('numbers entries and adds repost and delete buttons for each', () => {
+      const message = buildHistoryMessage({
+        userId: '1',
+        entries: makeEntries(HISTORY_PAGE_SIZE),
+        total: 12,
+        page: 1,
+        filters: noFilters,
+      });
+
+      const embed = message.embeds[0].toJSON();
+      assert.match(embed.description, /^\*\*6\.\*\* gif/);
+      assert.match(embed.footer.text, /page 2 of 3 · 12 files/);
+
+      const [reposts, deletes, navigation] = message.components.map(row => row.toJSON().components);
+      assert.strictEqual(reposts.length, HISTORY_PAGE_SIZE);
+      assert.strictEqual(reposts[0].custom_id, 'history:repost:hash0');
+      assert.strictEqual(reposts[0].label, 'repost 6');
+      assert.strictEqual(deletes.length, HISTORY_PAGE_SIZE);
+      assert.strictEqual(deletes[0].custom_id, 'history:delete:hash0');
+      assert.strictEqual(deletes[0].label, 'delete 6');
+      assert.strictEqual(parseHistoryCustomId(navigation[0].custom_id).page, 0);
+      assert.strictEqual(parseHistoryCustomId(navigation[1].custom_id).page, 2);
+      assert.strictEqual(navigation[0].disabled, false);
+      assert.strictEqual(navigation[1].disabled, false);
+    });
+
+    test('disables paging past either end', () => {
+      const message = buildHistoryMessage({
+        userId: '1',
+        entries: makeEntries(2),
+        total: 2,
+        page: 0,
+        filters: noFilters,
+      });
+      const navigation = message.components[2].toJSON().components;
+      assert.strictEqual(navigation[0].disabled, true);
+      assert.strictEqual(navigation[1].disabled, true);
+    });
+  });
+});
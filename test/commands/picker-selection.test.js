@@ -0,0 +1,123 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildPickerSelectionMessage,
+  parsePickerCustomId,
+  parsePickerSelectionValues,
+} from '../../src/commands/download/picker-selection.js';
+import { getPickerMediaItems } from '../../src/utils/cobalt.js';
+
+describe('picker selection', () => {
+  describe('getPickerMediaItems', () => {
+    test('keeps photos and videos with their position among media items', () => {
+      const items = getPickerMediaItems([
+        { type: 'photo', url: 'https://example.com/1.jpg' },
+        { type: 'gif', url: 'https://example.com/2.gif' },
+        { type: 'video', url: 'https://example.com/3.mp4', thumb: 'https://example.com/3.jpg' },
+        { type: 'photo' },
+      ]);
+
+      assert.deepStrictEqual(items, [
+        { index: 0, type: 'photo', url: 'https://example.com/1.jpg', thumb: null },
+        {
+          index: 1,
+          type: 'video',
+          url: 'https://example.com/3.mp4',
+          thumb: 'https://example.com/3.jpg',
+        },
+      ]);
+    });
+
+    test('throws when there is no media', () => {
+      assert.throws(
+        () => getPickerMediaItems([{ type: 'gif', url: 'https://example.com/1.gif' }]),
+        /no media files/
+      );
+    });
+  });
+
+  describe('parsePickerCustomId', () => {
+    test('parses select menu and button IDs', () => {
+      assert.deepStrictEqual(parsePickerCustomId('picker:select:abc123'), {
+        action: 'select',
+        selectionId: 'abc123',
+      });
+      assert.deepStrictEqual(parsePickerCustomId('picker:all:abc123'), {
+        action: 'all',
+        selectionId: 'abc123',
+      });
+    });
+
+    test('ignores other custom IDs', () => {
+      assert.strictEqual(parsePickerCustomId('picker:delete:abc123'), null);
+      assert.strictEqual(parsePickerCustomId('picker:select:'), null);
+      assert.strictEqual(parsePickerCustomId('convert_modal_1'), null);
+      assert.strictEqual(parsePickerCustomId(undefined), null);
+    });
+  });
+
+  describe('parsePickerSelectionValues', () => {
+    test('returns sorted unique indexes', () => {
+      assert.deepStrictEqual(parsePickerSelectionValues(['2', '0', '2'], 3), [0, 2]);
+    });
+
+    test('rejects empty, out of range and malformed values', () => {
+      assert.strictEqual(parsePickerSelectionValues([], 3), null);
+      assert.strictEqual(parsePickerSelectionValues(['3'], 3), null);
+      assert.strictEqual(parsePickerSelectionValues(['-1'], 3), null);
+      assert.strictEqual(parsePickerSelectionValues(['1.5'], 3), null);
+      assert.strictEqual(parsePickerSelectionValues(undefined, 3), null);
+    });
+  });
+
+  describe('buildPickerSelectionMessage', () => {
+    const items = [
+      { index: 0, type: 'photo', url: 'https://pbs.example.com/1.jpg', thumb: null },
+      { index: 1, type: 'video', url: 'https://cobalt.example.com/tunnel?id=x', thumb: null },
+      {
+        index: 2,
+        type: 'video',
+        url: 'https://cobalt.example.com/tunnel?id=y',
+        thumb: 'https://pbs.example.com/3.jpg',
+      },
+      { index: 3, type: 'photo', url: 'https://cobalt.example.com/tunnel?id=z', thumb: null },
+    ];
+
+    test('lists every item in the select menu', () => {
+      const message = buildPickerSelectionMessage('abc123', items, 45000);
+      const select = message.components[0].toJSON().components[0];
+
+      assert.strictEqual(select.custom_id, 'picker:select:abc123');
+      assert.strictEqual(select.min_values, 1);
+      assert.strictEqual(select.max_values, 4);
+      assert.deepStrictEqual(
+        select.options.map(option => [option.label, option.value]),
+        [
+          ['1. photo', '0'],
+          ['2. video', '1'],
+          ['3. video', '2'],
+          ['4. photo', '3'],
+        ]
+      );
+      assert.strictEqual(
+        message.components[1].toJSON().components[0].custom_id,
+        'picker:all:abc123'
+      );
+      assert.match(message.content, /4 items/);
+      assert.match(message.content, /45 seconds/);
+    });
+
+    test('only previews thumbnails and direct photo links', () => {
+      const message = buildPickerSelectionMessage('abc123', items, 45000);
+      const previews = message.embeds.map(embed => embed.toJSON());
+
+      assert.deepStrictEqual(
+        previews.map(embed => [embed.title, embed.thumbnail.url]),
+        [
+          ['1. photo', 'https://pbs.example.com/1.jpg'],
+          ['3. video', 'https://pbs.example.com/3.jpg'],
+        ]
+      );
+    });
+  });
+});
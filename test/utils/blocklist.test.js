@@ -0,0 +1,155 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert';
+import {
+  BLOCKED_CONTENT_MESSAGE,
+  BlockedContentError,
+  assertNotBlocked,
+  findBlockedContent,
+  getDomainCandidates,
+  normalizeDomain,
+  parseBlocklistEntry,
+} from '../../src/utils/blocklist.js';
+import { hashBytesHex, hashStringHex } from '../../src/utils/hashing.js';
+import {
+  initDatabase,
+  addBlocklistEntry,
+  getBlocklistEntries,
+  removeBlocklistEntry,
+} from '../../src/utils/database.js';
+
+describe('blocklist', () => {
+  describe('normalizeDomain', () => {
+    test('lowercases and drops www', () => {
+      assert.strictEqual(normalizeDomain('WWW.Example.com'), 'example.com');
+      assert.strictEqual(normalizeDomain('https://www.example.com/video/1?x=2'), 'example.com');
+      assert.strictEqual(normalizeDomain('cdn.example.com.'), 'cdn.example.com');
+    });
+
+    test('rejects values without a usable hostname', () => {
+      assert.strictEqual(normalizeDomain('localhost'), null);
+      assert.strictEqual(normalizeDomain('http://'), null);
+      assert.strictEqual(normalizeDomain(''), null);
+      assert.strictEqual(normalizeDomain(null), null);
+    });
+  });
+
+  describe('getDomainCandidates', () => {
+    test('includes parent domains but not the top-level domain', () => {
+      assert.deepStrictEqual(getDomainCandidates('https://media.cdn.example.com/a.mp4'), [
+        'media.cdn.example.com',
+        'cdn.example.com',
+        'example.com',
+      ]);
+      assert.deepStrictEqual(getDomainCandidates('https://www.example.com/'), ['example.com']);
+      assert.deepStrictEqual(getDomainCandidates('not a url'), []);
+    });
+  });
+
+  describe('parseBlocklistEntry', () => {
+    const hash = 'A'.repeat(64);
+
+    test('accepts hashes and lowercases them', () => {
+      assert.deepStrictEqual(parseBlocklistEntry('file_hash', hash), {
+        valid: true,
+        entry: { entryType: 'file_hash', value: 'a'.repeat(64), sourceUrl: null },
+      });
+      assert.strictEqual(parseBlocklistEntry('url_hash', 'abc').valid, false);
+    });
+
+    test('stores urls as url hashes', () => {
+      const url = 'https://example.com/video/1';
+      assert.deepStrictEqual(parseBlocklistEntry('url', ` ${url} `), {
+        valid: true,
+        entry: { entryType: 'url_hash', value: hashStringHex(url), sourceUrl: url },
+      });
+      assert.strictEqual(parseBlocklistEntry('url', 'ftp://example.com/a').valid, false);
+    });
+
+    test('normalizes domains', () => {
+      assert.strictEqual(
+        parseBlocklistEntry('domain', 'https://WWW.Example.com/x').entry.value,
+        'example.com'
+      );
+      assert.strictEqual(parseBlocklistEntry('domain', 'example').valid, false);
+    });
+
+    test('rejects unknown types and empty values', () => {
+      assert.strictEqual(parseBlocklistEntry('ip', '127.0.0.1').valid, false);
+      assert.strictEqual(parseBlocklistEntry('domain', '  ').valid, false);
+    });
+  });
+
+  describe('BlockedContentError', () => {
+    test('carries a polite message and the matching entry', () => {
+      const error = new BlockedContentError({ id: 1 });
+      assert.strictEqual(error.message, BLOCKED_CONTENT_MESSAGE);
+      assert.strictEqual(error.code, 'CONTENT_BLOCKED');
+      assert.deepStrictEqual(error.entry, { id: 1 });
+    });
+
+    test('nothing to check is never blocked', async () => {
+      assert.strictEqual(await findBlockedContent({ urls: [null], buffers: [undefined] }), null);
+    });
+  });
+
+  describe('blocklist storage', () => {
+    before(async () => {
+      await initDatabase();
+    });
+
+    test('matches file hashes, url hashes and parent domains', async () => {
+      const id = Date.now();
+      const buffer = Buffer.from(`blocked-file-${id}`);
+      const url = `https://blocked-${id}.example.org/video`;
+      const domain = `blocked-domain-${id}.example.org`;
+
+      const fileEntry = await addBlocklistEntry({
+        entryType: 'file_hash',
+        value: hashBytesHex(buffer),
+      });
+      const urlEntry = await addBlocklistEntry({
+        entryType: 'url_hash',
+        value: hashStringHex(url),
+        sourceUrl: url,
+      });
+      const domainEntry = await addBlocklistEntry({ entryType: 'domain', value: domain });
+
+      try {
+        assert.strictEqual((await findBlockedContent({ buffers: [buffer] })).id, fileEntry.id);
+        assert.strictEqual((await findBlockedContent({ urls: [url] })).id, urlEntry.id);
+        assert.strictEqual(
+          (await findBlockedContent({ urls: [`https://cdn.${domain}/a.mp4`] })).id,
+          domainEntry.id
+        );
+        assert.strictEqual(
+          await findBlockedContent({ urls: [`https://other-${id}.example.org/video`] }),
+          null
+        );
+        await assert.rejects(assertNotBlocked({ buffers: [buffer] }), BlockedContentError);
+      } finally {
+        await removeBlocklistEntry(fileEntry.id);
+        await removeBlocklistEntry(urlEntry.id);
+        await removeBlocklistEntry(domainEntry.id);
+      }
+    });
+
+    test('adding an existing entry updates its reason', async () => {
+      const value = hashStringHex(`duplicate-${Date.now()}`);
+      const first = await addBlocklistEntry({ entryType: 'file_hash', value, createdBy: '1' });
+      const second = await addBlocklistEntry({
+        entryType: 'file_hash',
+        value,
+        reason: 'reported',
+        createdBy: '2',
+      });
+
+      assert.strictEqual(second.id, first.id);
+      assert.strictEqual(second.reason, 'reported');
+      assert.strictEqual(second.created_by, '1');
+
+      const entries = await getBlocklistEntries({ search: value });
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(await removeBlocklistEntry(first.id), true);
+    });
+  });
+});
@@ -1,7 +1,7 @@
 import { test, describe, before } from 'node:test';
 import assert from 'node:assert';
 import { ConfigurationError } from '../../src/utils/errors.js';
-import { botConfig } from '../../src/utils/config.js';
+import { botConfig, jobQueueConfig } from '../../src/utils/config.js';
 
 describe('GIF_QUALITY configuration', () => {
   before(() => {
@@ -90,3 +90,19 @@ describe('GIF_QUALITY configuration', () => {
     );
   });
 });
+
+describe('JOB_PROCESSING_MODE configuration', () => {
+  test('processingMode is bot or worker', () => {
+    assert.ok(
+      ['bot', 'worker'].includes(jobQueueConfig.processingMode),
+      `jobQueueConfig.processingMode should be bot or worker, got: ${jobQueueConfig.processingMode}`
+    );
+  });
+
+  test('defaults to bot when JOB_PROCESSING_MODE is not set', () => {
+    if (process.env.JOB_PROCESSING_MODE) {
+      return;
+    }
+    assert.strictEqual(jobQueueConfig.processingMode, 'bot');
+  });
+});
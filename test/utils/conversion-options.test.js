@@ -0,0 +1,361 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseWidth,
+  parseFps,
+  parseCrop,
+  parseFormat,
+  sanitizeCaption,
+  parseCaption,
+  parseEffect,
+  formatEffect,
+  parseSlideshow,
+  formatSlideshow,
+  getOutputOptionParts,
+  withDefaultQuality,
+  parseOutputOptions,
+  resolveCropRect,
+} from '../../src/utils/conversion-options.js';
+import { buildVariantKey } from '../../src/utils/perceptual-hash.js';
+import { hashUrlWithParams } from '../../src/utils/cobalt-queue.js';
+
+describe('conversion options', () => {
+  describe('parseWidth', () => {
+    test('returns null for missing values', () => {
+      assert.deepStrictEqual(parseWidth(null), { width: null, error: null });
+      assert.deepStrictEqual(parseWidth(undefined), { width: null, error: null });
+      assert.deepStrictEqual(parseWidth('  '), { width: null, error: null });
+    });
+
+    test('parses numbers and numeric strings', () => {
+      assert.deepStrictEqual(parseWidth(320), { width: 320, error: null });
+      assert.deepStrictEqual(parseWidth(' 480 '), { width: 480, error: null });
+    });
+
+    test('rejects values outside the allowed range', () => {
+      assert.strictEqual(parseWidth(8).error, 'width must be between 16 and 1280');
+      assert.strictEqual(parseWidth('1281').error, 'width must be between 16 and 1280');
+    });
+
+    test('rejects non-integer values', () => {
+      assert.ok(parseWidth('320px').error);
+      assert.ok(parseWidth('320.5').error);
+      assert.ok(parseWidth('-320').error);
+    });
+  });
+
+  describe('parseFps', () => {
+    test('parses values within range', () => {
+      assert.deepStrictEqual(parseFps('15'), { fps: 15, error: null });
+      assert.deepStrictEqual(parseFps(30), { fps: 30, error: null });
+    });
+
+    test('rejects values above 30 and below 1', () => {
+      assert.strictEqual(parseFps(60).error, 'fps must be between 1 and 30');
+      assert.strictEqual(parseFps('0').error, 'fps must be between 1 and 30');
+    });
+  });
+
+  describe('parseCrop', () => {
+    test('accepts aspect ratio presets', () => {
+      assert.deepStrictEqual(parseCrop('1:1'), { crop: '1:1', error: null });
+      assert.deepStrictEqual(parseCrop(' 9:16 '), { crop: '9:16', error: null });
+    });
+
+    test('accepts explicit regions and normalizes leading zeros', () => {
+      assert.deepStrictEqual(parseCrop('0:120:640:0640'), { crop: '0:120:640:640', error: null });
+    });
+
+    test('rejects malformed values', () => {
+      assert.match(parseCrop('wide').error, /invalid crop format/);
+      assert.match(parseCrop('1:2:3').error, /invalid crop format/);
+      assert.match(parseCrop('16x9').error, /invalid crop format/);
+      assert.match(parseCrop('-1:1').error, /invalid crop format/);
+    });
+
+    test('rejects zero aspect parts and tiny regions', () => {
+      assert.ok(parseCrop('0:1').error);
+      assert.ok(parseCrop('101:1').error);
+      assert.strictEqual(
+        parseCrop('0:0:8:100').error,
+        'crop width and height must be at least 16px'
+      );
+    });
+  });
+
+  describe('parseFormat', () => {
+    test('defaults to gif', () => {
+      assert.deepStrictEqual(parseFormat(null), { format: 'gif', error: null });
+      assert.deepStrictEqual(parseFormat(' '), { format: 'gif', error: null });
+    });
+
+    test('accepts supported formats case-insensitively', () => {
+      assert.deepStrictEqual(parseFormat('WebP'), { format: 'webp', error: null });
+      assert.deepStrictEqual(parseFormat('apng'), { format: 'apng', error: null });
+      assert.deepStrictEqual(parseFormat('mp4'), { format: 'mp4', error: null });
+    });
+
+    test('rejects unsupported formats', () => {
+      assert.strictEqual(parseFormat('avif').error, 'format must be one of: gif, webp, apng, mp4');
+      assert.ok(parseFormat('toString').error);
+    });
+  });
+
+  describe('sanitizeCaption', () => {
+    test('collapses whitespace and line breaks', () => {
+      assert.strictEqual(
+        sanitizeCaption('  when\nthe \t build\r\npasses  '),
+        'when the build passes'
+      );
+    });
+
+    test('removes control and formatting characters', () => {
+      assert.strictEqual(sanitizeCaption('a\u0000b\u202Ec\u2028d'), 'a b c d');
+      assert.strictEqual(sanitizeCaption(null), '');
+    });
+
+    test('keeps filter syntax as plain text', () => {
+      assert.strictEqual(sanitizeCaption("it's 100%: [a];b"), "it's 100%: [a];b");
+    });
+  });
+
+  describe('parseCaption', () => {
+    test('returns null without text', () => {
+      assert.deepStrictEqual(parseCaption(), { caption: null, error: null });
+      assert.deepStrictEqual(parseCaption({ text: ' \n ' }), { caption: null, error: null });
+    });
+
+    test('defaults the position to top', () => {
+      assert.deepStrictEqual(parseCaption({ text: ' hello  there ' }), {
+        caption: { text: 'hello there', position: 'top' },
+        error: null,
+      });
+      assert.strictEqual(parseCaption({ text: 'hi', position: 'BAR' }).caption.position, 'bar');
+    });
+
+    test('rejects unknown positions and long captions', () => {
+      assert.strictEqual(
+        parseCaption({ text: 'hi', position: 'side' }).error,
+        'caption position must be one of: top, bottom, bar'
+      );
+      assert.strictEqual(
+        parseCaption({ text: 'a'.repeat(101) }).error,
+        'caption must be at most 100 characters'
+      );
+    });
+  });
+
+  describe('parseEffect', () => {
+    test('returns null when nothing is requested', () => {
+      assert.deepStrictEqual(parseEffect(), { effect: null, error: null });
+      assert.deepStrictEqual(parseEffect({ effect: ' ', speed: null }), {
+        effect: null,
+        error: null,
+      });
+    });
+
+    test('parses reverse and boomerang', () => {
+      assert.deepStrictEqual(parseEffect({ effect: 'Reverse' }).effect, {
+        type: 'reverse',
+        speed: null,
+      });
+      assert.deepStrictEqual(parseEffect({ effect: 'boomerang' }).effect, {
+        type: 'boomerang',
+        speed: null,
+      });
+    });
+
+    test('parses speed, and treats a bare speed as the speed effect', () => {
+      assert.deepStrictEqual(parseEffect({ effect: 'speed', speed: '0.5' }).effect, {
+        type: 'speed',
+        speed: 0.5,
+      });
+      assert.deepStrictEqual(parseEffect({ speed: 4 }).effect, { type: 'speed', speed: 4 });
+    });
+
+    test('rejects unknown effects and bad speeds', () => {
+      assert.strictEqual(
+        parseEffect({ effect: 'shuffle' }).error,
+        'effect must be one of: reverse, boomerang, speed'
+      );
+      assert.strictEqual(
+        parseEffect({ effect: 'speed' }).error,
+        'the speed effect needs a speed between 0.25 and 4'
+      );
+      assert.strictEqual(parseEffect({ speed: 8 }).error, 'speed must be between 0.25 and 4');
+      assert.ok(parseEffect({ speed: 'fast' }).error);
+      assert.strictEqual(
+        parseEffect({ effect: 'reverse', speed: 2 }).error,
+        'speed only applies to the speed effect'
+      );
+    });
+  });
+
+  describe('formatEffect', () => {
+    test('formats effects for cache keys', () => {
+      assert.strictEqual(formatEffect(null), null);
+      assert.strictEqual(formatEffect({ type: 'boomerang', speed: null }), 'boomerang');
+      assert.strictEqual(formatEffect({ type: 'speed', speed: 0.25 }), 'speed:0.25');
+    });
+  });
+
+  describe('parseSlideshow', () => {
+    test('defaults to two second slides without crossfade', () => {
+      assert.deepStrictEqual(parseSlideshow(), {
+        slideshow: { slideDuration: 2, crossfade: 0 },
+        error: null,
+      });
+      assert.deepStrictEqual(parseSlideshow({ slideDuration: null, crossfade: ' ' }).slideshow, {
+        slideDuration: 2,
+        crossfade: 0,
+      });
+    });
+
+    test('parses numbers and numeric strings', () => {
+      assert.deepStrictEqual(parseSlideshow({ slideDuration: '1.5', crossfade: 0.5 }).slideshow, {
+        slideDuration: 1.5,
+        crossfade: 0.5,
+      });
+    });
+
+    test('rejects out of range values', () => {
+      assert.strictEqual(
+        parseSlideshow({ slideDuration: 0.1 }).error,
+        'slide duration must be between 0.5 and 10 seconds'
+      );
+      assert.ok(parseSlideshow({ slideDuration: 'long' }).error);
+      assert.strictEqual(
+        parseSlideshow({ crossfade: 3 }).error,
+        'crossfade must be between 0 and 2 seconds'
+      );
+      assert.strictEqual(
+        parseSlideshow({ slideDuration: 1, crossfade: 1 }).error,
+        'crossfade must be shorter than the slide duration'
+      );
+    });
+  });
+
+  describe('formatSlideshow', () => {
+    test('formats slideshow settings for cache keys', () => {
+      assert.strictEqual(formatSlideshow(null), null);
+      assert.strictEqual(formatSlideshow({ slideDuration: 2, crossfade: 0.5 }), '2:0.5');
+    });
+  });
+
+  describe('getOutputOptionParts', () => {
+    test('default gif conversions have no parts', () => {
+      assert.strictEqual(buildVariantKey(getOutputOptionParts({}, 'gif')), 'default');
+      assert.strictEqual(
+        buildVariantKey(getOutputOptionParts({ width: 320, format: 'mp4' }, 'mp4')),
+        'width=320|format=mp4'
+      );
+    });
+
+    test('differing trims and quality do not reuse an output', () => {
+      const keys = [
+        {},
+        { startTime: 0, duration: 3 },
+        { startTime: 5, duration: 3 },
+        { startTime: 5, duration: 4 },
+        { startTime: 5 },
+        { quality: 'low' },
+        { quality: 'high' },
+      ].map(options => buildVariantKey(getOutputOptionParts(options, 'gif')));
+      assert.strictEqual(new Set(keys).size, keys.length);
+    });
+  });
+
+  describe('withDefaultQuality', () => {
+    test('the server default only applies when no quality was chosen', () => {
+      assert.deepStrictEqual(withDefaultQuality({ width: 320 }, 'low'), {
+        width: 320,
+        quality: 'low',
+      });
+      assert.deepStrictEqual(withDefaultQuality({ quality: 'high' }, 'low'), { quality: 'high' });
+    });
+
+    test('servers with different default qualities do not share outputs', () => {
+      const url = 'https://example.com/video.mp4';
+      const [low, high] = ['low', 'high'].map(quality => withDefaultQuality({}, quality));
+      assert.notStrictEqual(
+        buildVariantKey(getOutputOptionParts(low, 'gif')),
+        buildVariantKey(getOutputOptionParts(high, 'gif'))
+      );
+      assert.notStrictEqual(hashUrlWithParams(url, low), hashUrlWithParams(url, high));
+    });
+  });
+
+  describe('parseOutputOptions', () => {
+    test('returns all parsed options', () => {
+      assert.deepStrictEqual(parseOutputOptions({ width: '320', fps: 12, crop: '1:1' }), {
+        width: 320,
+        fps: 12,
+        crop: '1:1',
+        error: null,
+      });
+    });
+
+    test('defaults every option to null', () => {
+      assert.deepStrictEqual(parseOutputOptions(), {
+        width: null,
+        fps: null,
+        crop: null,
+        error: null,
+      });
+    });
+
+    test('reports the first invalid option', () => {
+      const result = parseOutputOptions({ width: 5000, fps: 60 });
+      assert.strictEqual(result.error, 'invalid width: width must be between 16 and 1280.');
+      assert.strictEqual(result.width, null);
+    });
+  });
+
+  describe('resolveCropRect', () => {
+    test('returns null when no crop is requested', () => {
+      assert.deepStrictEqual(resolveCropRect(null, 1920, 1080), { rect: null, error: null });
+    });
+
+    test('centers a square crop on a landscape source', () => {
+      assert.deepStrictEqual(resolveCropRect('1:1', 1920, 1080).rect, {
+        x: 420,
+        y: 0,
+        width: 1080,
+        height: 1080,
+      });
+    });
+
+    test('centers a vertical crop on a landscape source', () => {
+      assert.deepStrictEqual(resolveCropRect('9:16', 1920, 1080).rect, {
+        x: 656,
+        y: 0,
+        width: 607,
+        height: 1080,
+      });
+    });
+
+    test('centers a widescreen crop on a portrait source', () => {
+      assert.deepStrictEqual(resolveCropRect('16:9', 1080, 1920).rect, {
+        x: 0,
+        y: 656,
+        width: 1080,
+        height: 607,
+      });
+    });
+
+    test('uses explicit regions that fit the source', () => {
+      assert.deepStrictEqual(resolveCropRect('100:50:640:480', 1280, 720).rect, {
+        x: 100,
+        y: 50,
+        width: 640,
+        height: 480,
+      });
+    });
+
+    test('rejects explicit regions outside the source', () => {
+      const result = resolveCropRect('800:0:640:480', 1280, 720);
+      assert.strictEqual(result.rect, null);
+      assert.strictEqual(result.error, 'crop region 800:0:640:480 is outside the 1280x720 source');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { MessageFlags } from 'discord.js';
+import {
+  formatGuildSettings,
+  getDiscordUploadLimit,
+  getGuildReplyOptions,
+  isChannelAllowed,
+  parseGuildSettings,
+  parseGuildSettingValue,
+  resolveGuildSettings,
+} from '../../src/utils/guild-settings.js';
+
+const MB = 1024 * 1024;
+
+const defaults = {
+  gifQuality: 'medium',
+  maxGifDuration: 30,
+  discordSizeLimit: 8 * MB,
+  cobaltEnabled: true,
+  ytdlpEnabled: false,
+  allowedChannelIds: [],
+  ephemeralReplies: false,
+  alwaysUseR2: false,
+};
+
+describe('guild-settings', () => {
+  describe('resolveGuildSettings', () => {
+    test('uses the defaults without a record', () => {
+      const settings = resolveGuildSettings(null, defaults);
+      assert.strictEqual(settings.gifQuality, 'medium');
+      assert.strictEqual(settings.maxGifDuration, 30);
+      assert.deepStrictEqual(settings.allowedChannelIds, []);
+      assert.strictEqual(settings.sources.gifQuality, 'default');
+    });
+
+    test('guild values override the defaults and null inherits', () => {
+      const settings = resolveGuildSettings(
+        { gif_quality: 'high', max_gif_duration: null, ephemeral_replies: true },
+        defaults
+      );
+      assert.strictEqual(settings.gifQuality, 'high');
+      assert.strictEqual(settings.sources.gifQuality, 'guild');
+      assert.strictEqual(settings.maxGifDuration, 30);
+      assert.strictEqual(settings.sources.maxGifDuration, 'default');
+      assert.strictEqual(settings.ephemeralReplies, true);
+    });
+
+    test('downloaders can only be turned off', () => {
+      const off = resolveGuildSettings({ cobalt_enabled: false }, defaults);
+      assert.strictEqual(off.cobaltEnabled, false);
+      assert.strictEqual(off.sources.cobaltEnabled, 'guild');
+
+      const on = resolveGuildSettings({ ytdlp_enabled: true }, defaults);
+      assert.strictEqual(on.ytdlpEnabled, false);
+    });
+  });
+
+  describe('parseGuildSettingValue', () => {
+    test('empty values use the default', () => {
+      assert.deepStrictEqual(parseGuildSettingValue('gif_quality', ''), {
+        value: null,
+        error: null,
+      });
+      assert.deepStrictEqual(parseGuildSettingValue('always_use_r2', null), {
+        value: null,
+        error: null,
+      });
+    });
+
+    test('checks choices, ranges and booleans', () => {
+      assert.strictEqual(parseGuildSettingValue('gif_quality', ' HIGH ').value, 'high');
+      assert.match(parseGuildSettingValue('gif_quality', 'ultra').error, /one of/);
+      assert.strictEqual(parseGuildSettingValue('max_gif_duration', '60').value, 60);
+      assert.match(parseGuildSettingValue('max_gif_duration', 301).error, /between 1 and 300/);
+      assert.match(parseGuildSettingValue('discord_size_limit', 1024).error, /between/);
+      assert.strictEqual(parseGuildSettingValue('discord_size_limit', 25 * MB).value, 25 * MB);
+      assert.strictEqual(parseGuildSettingValue('ephemeral_replies', false).value, false);
+      assert.match(parseGuildSettingValue('ephemeral_replies', 'yes').error, /true or false/);
+    });
+
+    test('dedupes channel ids and treats an empty list as every channel', () => {
+      assert.deepStrictEqual(parseGuildSettingValue('allowed_channel_ids', ['1', '2', '1']).value, [
+        '1',
+        '2',
+      ]);
+      assert.strictEqual(parseGuildSettingValue('allowed_channel_ids', []).value, null);
+      assert.match(parseGuildSettingValue('allowed_channel_ids', ['general']).error, /channel IDs/);
+    });
+
+    test('rejects unknown settings', () => {
+      assert.match(parseGuildSettingValue('theme', 'dark').error, /unknown setting/);
+    });
+  });
+
+  describe('parseGuildSettings', () => {
+    test('fills missing settings with null', () => {
+      const parsed = parseGuildSettings({ max_gif_duration: 45 });
+      assert.strictEqual(parsed.valid, true);
+      assert.strictEqual(parsed.settings.max_gif_duration, 45);
+      assert.strictEqual(parsed.settings.gif_quality, null);
+      assert.strictEqual(Object.keys(parsed.settings).length, 8);
+    });
+
+    test('reports the first invalid setting', () => {
+      const parsed = parseGuildSettings({ max_gif_duration: 0 });
+      assert.strictEqual(parsed.valid, false);
+      assert.match(parsed.error, /max_gif_duration/);
+    });
+  });
+
+  describe('isChannelAllowed', () => {
+    test('allows every channel without a list', () => {
+      assert.strictEqual(isChannelAllowed({ allowedChannelIds: [] }, '1'), true);
+    });
+
+    test('allows listed channels and threads in them', () => {
+      const settings = { allowedChannelIds: ['10', '20'] };
+      assert.strictEqual(isChannelAllowed(settings, '10'), true);
+      assert.strictEqual(isChannelAllowed(settings, '30'), false);
+      assert.strictEqual(isChannelAllowed(settings, '31', '20'), true);
+    });
+  });
+
+  describe('upload and reply options', () => {
+    test('always using R2 sends no attachments', () => {
+      const settings = resolveGuildSettings({ always_use_r2: true }, defaults);
+      assert.strictEqual(getDiscordUploadLimit(settings), 0);
+    });
+
+    test('only a guild size limit replaces the storage default', () => {
+      assert.strictEqual(getDiscordUploadLimit(resolveGuildSettings(null, defaults)), null);
+      const boosted = resolveGuildSettings({ discord_size_limit: 50 * MB }, defaults);
+      assert.strictEqual(getDiscordUploadLimit(boosted), 50 * MB);
+    });
+
+    test('ephemeral replies defer with the ephemeral flag', () => {
+      assert.deepStrictEqual(getGuildReplyOptions({ ephemeralReplies: true }), {
+        flags: MessageFlags.Ephemeral,
+      });
+      assert.deepStrictEqual(getGuildReplyOptions({ ephemeralReplies: false }), {});
+    });
+  });
+
+  describe('formatGuildSettings', () => {
+    test('marks defaults and formats values', () => {
+      const text = formatGuildSettings(
+        resolveGuildSettings(
+          { discord_size_limit: 25 * MB, allowed_channel_ids: ['10'], always_use_r2: true },
+          defaults
+        )
+      );
+      assert.match(text, /\*\*gif_quality\*\*: medium \(default\)/);
+      assert.match(text, /\*\*discord_size_limit\*\*: 25 mb\n/);
+      assert.match(text, /\*\*allowed_channel_ids\*\*: <#10>/);
+      assert.match(text, /\*\*always_use_r2\*\*: on\n?/);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  serializeInteraction,
+  isInteractionTokenValid,
+  createRelayInteraction,
+  INTERACTION_TOKEN_TTL,
+} from '../../src/utils/job-interaction.js';
+
+function createMockInteraction(overrides = {}) {
+  return {
+    applicationId: 'app-123',
+    token: 'token-abc',
+    channelId: 'channel-1',
+    guildId: 'guild-1',
+    commandName: 'convert',
+    createdTimestamp: Date.now(),
+    user: { id: 'user-1', username: 'tester', tag: 'tester#0001' },
+    ...overrides,
+  };
+}
+
+function createMockClient({ channel = null, user = null } = {}) {
+  return {
+    channels: {
+      cache: new Map(channel ? [[channel.id, channel]] : []),
+      fetch: async id => {
+        if (channel && channel.id === id) return channel;
+        throw new Error('Unknown Channel');
+      },
+    },
+    users: {
+      fetch: async () => {
+        if (user) return user;
+        throw new Error('Unknown User');
+      },
+    },
+  };
+}
+
+describe('job interaction relay', () => {
+  describe('serializeInteraction', () => {
+    test('keeps only the fields needed to reply later', () => {
+      const context = serializeInteraction(createMockInteraction());
+
+      assert.strictEqual(context.applicationId, 'app-123');
+      assert.strictEqual(context.token, 'token-abc');
+      assert.strictEqual(context.channelId, 'channel-1');
+      assert.strictEqual(context.commandName, 'convert');
+      assert.deepStrictEqual(context.user, {
+        id: 'user-1',
+        username: 'tester',
+        tag: 'tester#0001',
+      });
+      // Must survive a JSON round trip for storage in the jobs table
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(context)), context);
+    });
+  });
+
+  describe('isInteractionTokenValid', () => {
+    test('returns true for a fresh token', () => {
+      const context = serializeInteraction(createMockInteraction());
+      assert.strictEqual(isInteractionTokenValid(context), true);
+    });
+
+    test('returns false for an expired token', () => {
+      const context = serializeInteraction(
+        createMockInteraction({ createdTimestamp: Date.now() - INTERACTION_TOKEN_TTL })
+      );
+      assert.strictEqual(isInteractionTokenValid(context), false);
+    });
+
+    test('returns false when token is missing', () => {
+      assert.strictEqual(isInteractionTokenValid({ applicationId: 'app-123' }), false);
+      assert.strictEqual(isInteractionTokenValid(null), false);
+    });
+  });
+
+  describe('createRelayInteraction', () => {
+    test('exposes the user and is treated as deferred', () => {
+      const context = serializeInteraction(createMockInteraction());
+      const relay = createRelayInteraction(createMockClient(), context);
+
+      assert.strictEqual(relay.user.id, 'user-1');
+      assert.strictEqual(relay.deferred, true);
+      assert.strictEqual(relay.isMessageContextMenuCommand(), false);
+    });
+
+    test('posts to the original channel with a mention once the token expired', async () => {
+      const sent = [];
+      const channel = {
+        id: 'channel-1',
+        send: async payload => {
+          sent.push(payload);
+          return { edit: async edited => sent.push(edited) };
+        },
+      };
+      const context = serializeInteraction(
+        createMockInteraction({ createdTimestamp: Date.now() - INTERACTION_TOKEN_TTL })
+      );
+      const relay = createRelayInteraction(createMockClient({ channel }), context);
+
+      await relay.editReply({ content: 'https://cdn.example.com/gifs/abc.gif', flags: 64 });
+
+      assert.strictEqual(sent.length, 1);
+      assert.strictEqual(sent[0].content, '<@user-1> https://cdn.example.com/gifs/abc.gif');
+      assert.strictEqual(sent[0].flags, undefined);
+
+      // Subsequent edits update the same message instead of posting again
+      await relay.editReply({ content: 'updated' });
+      assert.strictEqual(sent.length, 2);
+      assert.strictEqual(sent[1].content, 'updated');
+    });
+
+    test('falls back to a DM when the channel is not reachable', async () => {
+      const dms = [];
+      const user = {
+        send: async payload => {
+          dms.push(payload);
+          return { edit: async () => {} };
+        },
+      };
+      const context = serializeInteraction(
+        createMockInteraction({ createdTimestamp: Date.now() - INTERACTION_TOKEN_TTL })
+      );
+      const relay = createRelayInteraction(createMockClient({ user }), context);
+
+      await relay.editReply({ content: 'done' });
+
+      assert.strictEqual(dms.length, 1);
+      assert.strictEqual(dms[0].content, 'done');
+    });
+  });
+});
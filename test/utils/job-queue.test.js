@@ -0,0 +1,186 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert';
+import {
+  initDatabase,
+  insertJob,
+  claimNextJob,
+  extendJobLease,
+  completeJob,
+  failJob,
+  getJob,
+  releaseWorkerJobs,
+  pruneFinishedJobs,
+} from '../../src/utils/database.js';
+import {
+  registerJobHandler,
+  getJobConcurrencyLimit,
+  serializeAttachment,
+} from '../../src/utils/job-queue.js';
+import { jobQueueConfig } from '../../src/utils/config.js';
+
+before(async () => {
+  await initDatabase();
+});
+
+describe('job queue', () => {
+  describe('helpers', () => {
+    test('getJobConcurrencyLimit returns configured limit per job type', () => {
+      assert.strictEqual(getJobConcurrencyLimit('convert'), jobQueueConfig.concurrency.convert);
+      assert.strictEqual(getJobConcurrencyLimit('download'), jobQueueConfig.concurrency.download);
+    });
+
+    test('getJobConcurrencyLimit defaults to 1 for unknown job types', () => {
+      assert.strictEqual(getJobConcurrencyLimit('unknown-type'), 1);
+    });
+
+    test('registerJobHandler rejects non-function handlers', () => {
+      assert.throws(() => registerJobHandler('convert', null), TypeError);
+    });
+
+    test('serializeAttachment keeps plain attachment fields', () => {
+      const attachment = {
+        url: 'https://cdn.discordapp.com/attachments/1/2/video.mp4',
+        name: 'video.mp4',
+        size: 1024,
+        contentType: 'video/mp4',
+        extra: { notSerialized: true },
+      };
+      assert.deepStrictEqual(serializeAttachment(attachment), {
+        url: attachment.url,
+        name: 'video.mp4',
+        size: 1024,
+        contentType: 'video/mp4',
+      });
+      assert.strictEqual(serializeAttachment(null), null);
+    });
+  });
+
+  describe('jobs table', () => {
+    test('claims pending jobs with a lease', async () => {
+      const jobType = `test-claim-${Date.now()}`;
+      const inserted = await insertJob({ jobType, payload: { url: 'https://example.com/a' } });
+      assert.strictEqual(inserted.status, 'pending');
+      assert.deepStrictEqual(inserted.payload, { url: 'https://example.com/a' });
+
+      const claimed = await claimNextJob(jobType, 'test-worker', 60000);
+      assert.ok(claimed);
+      assert.strictEqual(claimed.id, inserted.id);
+      assert.strictEqual(claimed.status, 'running');
+      assert.strictEqual(claimed.locked_by, 'test-worker');
+      assert.strictEqual(claimed.attempts, 1);
+      assert.ok(claimed.lease_expires_at > Date.now());
+
+      // Nothing else left to claim
+      const next = await claimNextJob(jobType, 'other-worker', 60000);
+      assert.strictEqual(next, null);
+    });
+
+    test('concurrent claimers never receive the same job', async () => {
+      const jobType = `test-concurrent-${Date.now()}`;
+      await insertJob({ jobType, payload: { n: 1 } });
+      await insertJob({ jobType, payload: { n: 2 } });
+
+      const [a, b, c] = await Promise.all([
+        claimNextJob(jobType, 'worker-a', 60000),
+        claimNextJob(jobType, 'worker-b', 60000),
+        claimNextJob(jobType, 'worker-c', 60000),
+      ]);
+      const claimed = [a, b, c].filter(Boolean);
+      assert.strictEqual(claimed.length, 2);
+      assert.notStrictEqual(claimed[0].id, claimed[1].id);
+    });
+
+    test('only the lease holder can extend a lease', async () => {
+      const jobType = `test-lease-${Date.now()}`;
+      await insertJob({ jobType, payload: {} });
+      const claimed = await claimNextJob(jobType, 'lease-holder', 60000);
+
+      assert.strictEqual(await extendJobLease(claimed.id, 'lease-holder', 120000), true);
+      assert.strictEqual(await extendJobLease(claimed.id, 'someone-else', 120000), false);
+    });
+
+    test('completeJob stores the result', async () => {
+      const jobType = `test-complete-${Date.now()}`;
+      await insertJob({ jobType, payload: {} });
+      const claimed = await claimNextJob(jobType, 'test-worker', 60000);
+
+      const completed = await completeJob(claimed.id, 'test-worker', {
+        url: 'https://cdn.example.com/gifs/abc.gif',
+      });
+      assert.strictEqual(completed, true);
+      const job = await getJob(claimed.id);
+      assert.strictEqual(job.status, 'completed');
+      assert.deepStrictEqual(job.result, { url: 'https://cdn.example.com/gifs/abc.gif' });
+      assert.strictEqual(job.locked_by, null);
+      assert.ok(job.completed_at);
+    });
+
+    test('failJob requeues until attempts are exhausted', async () => {
+      const jobType = `test-fail-${Date.now()}`;
+      await insertJob({ jobType, payload: {}, maxAttempts: 2 });
+
+      let claimed = await claimNextJob(jobType, 'test-worker', 60000);
+      let job = await failJob(claimed.id, 'test-worker', 'first failure');
+      assert.strictEqual(job.status, 'pending');
+
+      claimed = await claimNextJob(jobType, 'test-worker', 60000);
+      assert.strictEqual(claimed.attempts, 2);
+      job = await failJob(claimed.id, 'test-worker', 'second failure');
+      assert.strictEqual(job.status, 'failed');
+      assert.strictEqual(job.error, 'second failure');
+    });
+
+    test('failJob without retry fails immediately', async () => {
+      const jobType = `test-noretry-${Date.now()}`;
+      await insertJob({ jobType, payload: {}, maxAttempts: 3 });
+      const claimed = await claimNextJob(jobType, 'test-worker', 60000);
+
+      const job = await failJob(claimed.id, 'test-worker', 'invalid input', { retry: false });
+      assert.strictEqual(job.status, 'failed');
+    });
+
+    test('workers that lost the lease can not complete or fail the job', async () => {
+      const jobType = `test-lost-lease-${Date.now()}`;
+      await insertJob({ jobType, payload: {}, maxAttempts: 3 });
+      const claimed = await claimNextJob(jobType, 'stale-worker', 60000);
+      await releaseWorkerJobs('stale-worker');
+      await claimNextJob(jobType, 'new-owner', 60000);
+
+      assert.strictEqual(await completeJob(claimed.id, 'stale-worker'), false);
+      assert.strictEqual(await failJob(claimed.id, 'stale-worker', 'late failure'), null);
+      const job = await getJob(claimed.id);
+      assert.strictEqual(job.status, 'running');
+      assert.strictEqual(job.locked_by, 'new-owner');
+    });
+
+    test('releaseWorkerJobs resumes jobs interrupted by a restart', async () => {
+      const jobType = `test-release-${Date.now()}`;
+      const workerId = `restarted-worker-${Date.now()}`;
+      await insertJob({ jobType, payload: {} });
+      const claimed = await claimNextJob(jobType, workerId, 60000);
+
+      const released = await releaseWorkerJobs(workerId);
+      assert.ok(released.some(job => job.id === claimed.id && job.status === 'pending'));
+
+      const reclaimed = await claimNextJob(jobType, workerId, 60000);
+      assert.strictEqual(reclaimed.id, claimed.id);
+      assert.strictEqual(reclaimed.attempts, 2);
+    });
+
+    test('pruneFinishedJobs deletes only finished jobs past the cutoff', async () => {
+      const jobType = `test-prune-${Date.now()}`;
+      const finished = await insertJob({ jobType, payload: {} });
+      const pending = await insertJob({ jobType, payload: {} });
+      const claimed = await claimNextJob(jobType, 'test-worker', 60000);
+      assert.strictEqual(claimed.id, finished.id);
+      await completeJob(claimed.id, 'test-worker');
+
+      await pruneFinishedJobs(Date.now() - 60000);
+      assert.ok(await getJob(finished.id), 'recent jobs are kept');
+
+      await pruneFinishedJobs(Date.now() + 1);
+      assert.strictEqual(await getJob(finished.id), null);
+      assert.ok(await getJob(pending.id), 'pending jobs are never pruned');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  getMediaPreviewUrl,
+  getPreviewKey,
+  getThumbnailKey,
+  isPreviewKey,
+  renderMediaPreviews,
+} from '../../src/utils/media-previews.js';
+import { createR2Driver } from '../../src/utils/storage-driver.js';
+
+describe('media-previews', () => {
+  describe('preview keys', () => {
+    test('keep previews in their own folders, named by file hash', () => {
+      assert.strictEqual(getThumbnailKey('abc123'), 'thumbnails/abc123.jpg');
+      assert.strictEqual(getPreviewKey('abc123'), 'previews/abc123.mp4');
+    });
+
+    test('strip anything that is not part of a hash', () => {
+      assert.strictEqual(getThumbnailKey('../abc123'), 'thumbnails/abc123.jpg');
+    });
+
+    test('isPreviewKey only accepts keys made for previews', () => {
+      assert.strictEqual(isPreviewKey(getThumbnailKey('abc123')), true);
+      assert.strictEqual(isPreviewKey(getPreviewKey('abc123')), true);
+      assert.strictEqual(isPreviewKey('thumbnails/abc123.mp4'), false);
+      assert.strictEqual(isPreviewKey('gifs/abc123.gif'), false);
+      assert.strictEqual(isPreviewKey('thumbnails/../abc123.jpg'), false);
+    });
+  });
+
+  describe('getMediaPreviewUrl', () => {
+    const remote = createR2Driver({
+      accountId: 'account',
+      accessKeyId: 'key',
+      secretAccessKey: 'secret',
+      bucketName: 'bucket',
+      publicDomain: 'cdn.example.com',
+    });
+
+    test('previews in r2 use the public r2 domain', () => {
+      assert.strictEqual(
+        getMediaPreviewUrl('r2', 'thumbnails/abc123.jpg', remote),
+        'https://cdn.example.com/thumbnails/abc123.jpg'
+      );
+    });
+
+    test('local previews are served by the webui', () => {
+      assert.strictEqual(
+        getMediaPreviewUrl('local', 'previews/abc123.mp4', remote),
+        '/api/media/previews/abc123.mp4'
+      );
+    });
+
+    test('previews in remote storage have no url once it is no longer configured', () => {
+      assert.strictEqual(getMediaPreviewUrl('r2', 'thumbnails/abc123.jpg', null), null);
+    });
+
+    test('missing keys have no url', () => {
+      assert.strictEqual(getMediaPreviewUrl('r2', null, remote), null);
+    });
+  });
+
+  describe('renderMediaPreviews', () => {
+    test('empty buffers are not rendered', async () => {
+      assert.strictEqual(await renderMediaPreviews(Buffer.alloc(0), '.gif', 'gif'), null);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseMigrationFileName,
+  loadMigrations,
+  getSchemaStatus,
+  assertSchemaVersion,
+  MIGRATIONS_DIR,
+} from '../../src/utils/database/migrate.js';
+import { SchemaVersionError } from '../../src/utils/errors.js';
+
+const MIGRATION_SOURCE = 'export async function up() {}\nexport async function down() {}\n';
+
+describe('migrate', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gronka-migrations-'));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a migrations directory with the given files
+   * @param {string} name - Directory name
+   * @param {Object<string, string>} files - File names and contents
+   * @returns {Promise<string>} Directory path
+   */
+  async function makeMigrationsDir(name, files) {
+    const dir = path.join(tempDir, name);
+    await fs.mkdir(dir);
+    for (const [fileName, source] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, fileName), source);
+    }
+    return dir;
+  }
+
+  describe('parseMigrationFileName', () => {
+    test('reads the version and name', () => {
+      assert.deepStrictEqual(parseMigrationFileName('001-baseline.js'), {
+        version: 1,
+        name: 'baseline',
+      });
+      assert.deepStrictEqual(parseMigrationFileName('12-add-alert-channel.js'), {
+        version: 12,
+        name: 'add-alert-channel',
+      });
+    });
+
+    test('ignores files that are not migrations', () => {
+      assert.strictEqual(parseMigrationFileName('README.md'), null);
+      assert.strictEqual(parseMigrationFileName('baseline.js'), null);
+      assert.strictEqual(parseMigrationFileName('001-baseline.js.bak'), null);
+    });
+  });
+
+  describe('loadMigrations', () => {
+    test('loads migrations in version order', async () => {
+      const dir = await makeMigrationsDir('ordered', {
+        '002-second.js': MIGRATION_SOURCE,
+        '001-first.js': MIGRATION_SOURCE,
+        'notes.txt': 'not a migration',
+      });
+
+      const migrations = await loadMigrations(dir);
+      assert.deepStrictEqual(
+        migrations.map(m => `${m.version}-${m.name}`),
+        ['1-first', '2-second']
+      );
+      assert.strictEqual(typeof migrations[0].up, 'function');
+      assert.strictEqual(typeof migrations[0].down, 'function');
+    });
+
+    test('rejects gaps in the version numbers', async () => {
+      const dir = await makeMigrationsDir('gap', {
+        '001-first.js': MIGRATION_SOURCE,
+        '003-third.js': MIGRATION_SOURCE,
+      });
+      await assert.rejects(loadMigrations(dir), SchemaVersionError);
+    });
+
+    test('rejects duplicate version numbers', async () => {
+      const dir = await makeMigrationsDir('duplicate', {
+        '001-first.js': MIGRATION_SOURCE,
+        '002-second.js': MIGRATION_SOURCE,
+        '002-other.js': MIGRATION_SOURCE,
+      });
+      await assert.rejects(loadMigrations(dir), SchemaVersionError);
+    });
+
+    test('rejects migrations without down()', async () => {
+      const dir = await makeMigrationsDir('no-down', {
+        '001-first.js': 'export async function up() {}\n',
+      });
+      await assert.rejects(loadMigrations(dir), /must export up\(\) and down\(\)/);
+    });
+
+    test('the migrations of this build load', async () => {
+      const migrations = await loadMigrations(MIGRATIONS_DIR);
+      assert.ok(migrations.length >= 1);
+      assert.strictEqual(migrations[0].name, 'baseline');
+    });
+  });
+
+  describe('schema status', () => {
+    const migrations = [
+      { version: 1, name: 'baseline' },
+      { version: 2, name: 'second' },
+      { version: 3, name: 'third' },
+    ];
+
+    test('a new database has every migration pending', () => {
+      const status = getSchemaStatus([], migrations);
+      assert.strictEqual(status.current, 0);
+      assert.strictEqual(status.latest, 3);
+      assert.strictEqual(status.pending.length, 3);
+      assert.deepStrictEqual(status.unknown, []);
+    });
+
+    test('an up to date database has nothing pending', () => {
+      const status = getSchemaStatus([1, 2, 3], migrations);
+      assert.strictEqual(status.current, 3);
+      assert.strictEqual(status.pending.length, 0);
+      assert.doesNotThrow(() => assertSchemaVersion(status, { autoMigrate: false }));
+    });
+
+    test('pending migrations are fine when they will be applied', () => {
+      const status = getSchemaStatus([1], migrations);
+      assert.deepStrictEqual(
+        status.pending.map(m => m.version),
+        [2, 3]
+      );
+      assert.doesNotThrow(() => assertSchemaVersion(status, { autoMigrate: true }));
+    });
+
+    test('pending migrations stop startup without auto-migrate', () => {
+      const status = getSchemaStatus([1], migrations);
+      assert.throws(
+        () => assertSchemaVersion(status, { autoMigrate: false }),
+        error => error instanceof SchemaVersionError && /npm run migrate/.test(error.message)
+      );
+    });
+
+    test('a database migrated by a newer build stops startup', () => {
+      const status = getSchemaStatus([1, 2, 3, 4], migrations);
+      assert.deepStrictEqual(status.unknown, [4]);
+      assert.throws(
+        () => assertSchemaVersion(status, { autoMigrate: true }),
+        error => error instanceof SchemaVersionError && /version 4/.test(error.message)
+      );
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  buildVariantKey,
+  clusterNearDuplicates,
+  computeDHash,
+  fingerprintBuffer,
+  getPhashBands,
+  hammingDistance,
+  isNearDuplicate,
+  isSameDuration,
+  perceptualDistance,
+} from '../../src/utils/perceptual-hash.js';
+
+// 9x8 frame where each row is built from a function of the column
+function frame(pixel) {
+  return Uint8Array.from({ length: 72 }, (_, i) => pixel(i % 9, Math.floor(i / 9)));
+}
+
+// Flip the lowest `bits` bits of a hex hash
+function flipBits(hash, bits) {
+  const value = BigInt(`0x${hash}`) ^ ((1n << BigInt(bits)) - 1n);
+  return value.toString(16).padStart(hash.length, '0');
+}
+
+describe('perceptual-hash', () => {
+  describe('computeDHash', () => {
+    test('sets a bit when a pixel is brighter than its right neighbour', () => {
+      assert.strictEqual(computeDHash(frame(x => 255 - x * 10)), 'ffffffffffffffff');
+      assert.strictEqual(computeDHash(frame(x => x * 10)), '0000000000000000');
+    });
+
+    test('encodes one row per byte', () => {
+      const hash = computeDHash(frame((x, y) => (y === 0 ? 255 - x * 10 : x * 10)));
+      assert.strictEqual(hash, 'ff00000000000000');
+    });
+
+    test('ignores brightness and contrast changes', () => {
+      const base = (x, y) => ((x * 37 + y * 11) % 17) * 5;
+      assert.strictEqual(
+        computeDHash(frame((x, y) => base(x, y) * 2 + 40)),
+        computeDHash(frame(base))
+      );
+    });
+
+    test('rejects frames that are too small', () => {
+      assert.throws(() => computeDHash(new Uint8Array(10)), /72 pixels/);
+    });
+  });
+
+  describe('hammingDistance', () => {
+    test('counts differing bits', () => {
+      assert.strictEqual(hammingDistance('0000', '0000'), 0);
+      assert.strictEqual(hammingDistance('ff00', '0000'), 8);
+      assert.strictEqual(hammingDistance('a5a5', '5a5a'), 16);
+    });
+
+    test('rejects hashes of different lengths', () => {
+      assert.throws(() => hammingDistance('00', '0000'), /different lengths/);
+    });
+  });
+
+  describe('perceptualDistance', () => {
+    const a = '0123456789abcdef'.repeat(4);
+
+    test('averages the distance over frames', () => {
+      const b = a.slice(0, 48) + flipBits(a.slice(48), 8);
+      assert.strictEqual(perceptualDistance(a, a), 0);
+      assert.strictEqual(perceptualDistance(a, b), 2);
+    });
+
+    test('never matches hashes with a different number of frames', () => {
+      assert.strictEqual(perceptualDistance(a, a.slice(0, 16)), Infinity);
+      assert.strictEqual(perceptualDistance(a, null), Infinity);
+    });
+  });
+
+  describe('getPhashBands', () => {
+    test('splits every frame into four 16-bit bands', () => {
+      const bands = getPhashBands('0123456789abcdef'.repeat(2));
+      assert.strictEqual(bands.length, 8);
+      assert.deepStrictEqual(bands.slice(0, 4), ['0.0:0123', '0.1:4567', '0.2:89ab', '0.3:cdef']);
+      assert.strictEqual(bands[4], '1.0:0123');
+    });
+
+    test('hashes within three bits of each other share a band', () => {
+      const hash = 'f0e1d2c3b4a59687';
+      const near = flipBits(hash, 1).slice(0, 4) + hash.slice(4, 12) + flipBits(hash, 2).slice(12);
+      assert.ok(hammingDistance(hash, near) <= 3);
+      const shared = getPhashBands(near).filter(band => getPhashBands(hash).includes(band));
+      assert.ok(shared.length > 0);
+    });
+  });
+
+  describe('isSameDuration', () => {
+    test('allows half a second or 5% of difference', () => {
+      assert.strictEqual(isSameDuration(10, 10.4), true);
+      assert.strictEqual(isSameDuration(10, 10.6), false);
+      assert.strictEqual(isSameDuration(100, 104), true);
+      assert.strictEqual(isSameDuration(100, 106), false);
+    });
+
+    test('still images only match still images', () => {
+      assert.strictEqual(isSameDuration(null, null), true);
+      assert.strictEqual(isSameDuration(null, 3), false);
+    });
+  });
+
+  describe('isNearDuplicate', () => {
+    const phash = 'f0e1d2c3b4a59687'.repeat(4);
+
+    test('matches small differences in the same clip length', () => {
+      const reencoded = { phash: flipBits(phash, 12), duration: 5.1 };
+      assert.strictEqual(isNearDuplicate({ phash, duration: 5 }, reencoded, 6), true);
+      assert.strictEqual(isNearDuplicate({ phash, duration: 5 }, reencoded, 2), false);
+    });
+
+    test('does not match clips of different lengths', () => {
+      assert.strictEqual(isNearDuplicate({ phash, duration: 5 }, { phash, duration: 9 }, 6), false);
+    });
+  });
+
+  describe('clusterNearDuplicates', () => {
+    const base = 'f0e1d2c3b4a59687'.repeat(4);
+    const other = '1234567890abcdef'.repeat(4);
+
+    test('groups near duplicates and drops files without one', () => {
+      const rows = [
+        { id: 1, phash: base, duration: 5 },
+        { id: 2, phash: other, duration: 5 },
+        { id: 3, phash: flipBits(base, 2), duration: 5.2 },
+        { id: 4, phash: flipBits(base, 3), duration: 5 },
+        { id: 5, phash: base, duration: 30 },
+      ];
+
+      const clusters = clusterNearDuplicates(rows, 6);
+      assert.strictEqual(clusters.length, 1);
+      assert.deepStrictEqual(
+        clusters[0].map(row => row.id),
+        [1, 3, 4]
+      );
+    });
+
+    test('orders clusters largest first', () => {
+      const rows = [
+        { id: 1, phash: other, duration: null },
+        { id: 2, phash: other, duration: null },
+        { id: 3, phash: base, duration: 5 },
+        { id: 4, phash: base, duration: 5 },
+        { id: 5, phash: base, duration: 5 },
+      ];
+
+      const clusters = clusterNearDuplicates(rows, 6);
+      assert.deepStrictEqual(
+        clusters.map(cluster => cluster.length),
+        [3, 2]
+      );
+    });
+  });
+
+  describe('buildVariantKey', () => {
+    test('joins the options that change the output', () => {
+      assert.strictEqual(buildVariantKey([null, 'width=320', null, 'fps=15']), 'width=320|fps=15');
+      assert.strictEqual(buildVariantKey([null, null]), 'default');
+    });
+  });
+
+  describe('fingerprintBuffer', () => {
+    test('empty buffers are not hashed', async () => {
+      assert.strictEqual(await fingerprintBuffer(Buffer.alloc(0), '.gif'), null);
+    });
+  });
+});
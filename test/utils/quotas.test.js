@@ -0,0 +1,348 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveQuotaLimits,
+  evaluateQuota,
+  formatTimeUntil,
+  getQuotaExceededMessage,
+  getInteractionQuotaScopes,
+} from '../../src/utils/quotas.js';
+import {
+  initDatabase,
+  setQuota,
+  getQuota,
+  getQuotasForScopes,
+  deleteQuota,
+  insertQuotaUsage,
+  insertQuotaUsageIfAllowed,
+  getQuotaUsageSince,
+  insertJob,
+} from '../../src/utils/database.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const noDefaults = {
+  operationsPerHour: 0,
+  operationsPerDay: 0,
+  bytesPerDay: 0,
+  maxConcurrentJobs: 0,
+};
+
+function quota(scopeType, scopeId, limits = {}) {
+  return {
+    scope_type: scopeType,
+    scope_id: scopeId,
+    operations_per_hour: null,
+    operations_per_day: null,
+    bytes_per_day: null,
+    max_concurrent_jobs: null,
+    ...limits,
+  };
+}
+
+describe('quotas', () => {
+  describe('resolveQuotaLimits', () => {
+    test('uses defaults when there are no overrides', () => {
+      const limits = resolveQuotaLimits([], { ...noDefaults, operationsPerHour: 10 });
+      assert.strictEqual(limits.operationsPerHour, 10);
+      assert.strictEqual(limits.operationsPerDay, 0);
+      assert.strictEqual(limits.sources.operationsPerHour, 'default');
+    });
+
+    test('user overrides take precedence over roles and guild', () => {
+      const limits = resolveQuotaLimits(
+        [
+          quota('guild', 'g1', { operations_per_hour: 5 }),
+          quota('role', 'r1', { operations_per_hour: 20 }),
+          quota('user', 'u1', { operations_per_hour: 2 }),
+        ],
+        noDefaults
+      );
+      assert.strictEqual(limits.operationsPerHour, 2);
+      assert.strictEqual(limits.sources.operationsPerHour, 'user');
+    });
+
+    test('uses the most generous role limit and 0 as unlimited', () => {
+      const limits = resolveQuotaLimits(
+        [
+          quota('role', 'r1', { operations_per_day: 10 }),
+          quota('role', 'r2', { operations_per_day: 50 }),
+          quota('role', 'r3', { bytes_per_day: 0 }),
+          quota('role', 'r4', { bytes_per_day: 1024 }),
+        ],
+        noDefaults
+      );
+      assert.strictEqual(limits.operationsPerDay, 50);
+      assert.strictEqual(limits.bytesPerDay, 0);
+      assert.strictEqual(limits.sources.operationsPerDay, 'role');
+    });
+
+    test('null fields inherit from the next scope', () => {
+      const limits = resolveQuotaLimits(
+        [
+          quota('user', 'u1', { max_concurrent_jobs: 1 }),
+          quota('guild', 'g1', { operations_per_hour: 30 }),
+        ],
+        { ...noDefaults, operationsPerDay: 100 }
+      );
+      assert.strictEqual(limits.maxConcurrentJobs, 1);
+      assert.strictEqual(limits.operationsPerHour, 30);
+      assert.strictEqual(limits.sources.operationsPerHour, 'guild');
+      assert.strictEqual(limits.operationsPerDay, 100);
+    });
+  });
+
+  describe('evaluateQuota', () => {
+    const now = 10 * DAY;
+
+    test('allows requests when all limits are unlimited', () => {
+      const usage = [{ operations: 1, bytes: 1000, created_at: now - 1000 }];
+      const result = evaluateQuota(noDefaults, usage, { now, activeJobs: 5, bytes: 1000 });
+      assert.strictEqual(result.allowed, true);
+    });
+
+    test('blocks when the hourly limit is reached and reports the reset time', () => {
+      const usage = [
+        { operations: 1, bytes: 0, created_at: now - 50 * 60 * 1000 },
+        { operations: 1, bytes: 0, created_at: now - 10 * 60 * 1000 },
+      ];
+      const result = evaluateQuota({ ...noDefaults, operationsPerHour: 2 }, usage, { now });
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason, 'operations_per_hour');
+      assert.strictEqual(result.resetsAt, now - 50 * 60 * 1000 + HOUR);
+    });
+
+    test('usage older than the window does not count', () => {
+      const usage = [{ operations: 1, bytes: 0, created_at: now - 2 * HOUR }];
+      const result = evaluateQuota({ ...noDefaults, operationsPerHour: 1 }, usage, { now });
+      assert.strictEqual(result.allowed, true);
+    });
+
+    test('byte-only usage records do not count as operations', () => {
+      const usage = [
+        { operations: 1, bytes: 0, created_at: now - 1000 },
+        { operations: 0, bytes: 500, created_at: now - 500 },
+      ];
+      const result = evaluateQuota({ ...noDefaults, operationsPerDay: 2 }, usage, { now });
+      assert.strictEqual(result.allowed, true);
+    });
+
+    test('blocks a request that would exceed the daily byte limit', () => {
+      const usage = [{ operations: 1, bytes: 800, created_at: now - HOUR }];
+      const result = evaluateQuota({ ...noDefaults, bytesPerDay: 1000 }, usage, {
+        now,
+        bytes: 300,
+      });
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason, 'bytes_per_day');
+      assert.strictEqual(result.resetsAt, now - HOUR + DAY);
+    });
+
+    test('requests of unknown size are allowed until the byte limit is used up', () => {
+      const limits = { ...noDefaults, bytesPerDay: 1000 };
+      assert.strictEqual(
+        evaluateQuota(limits, [{ operations: 1, bytes: 999, created_at: now - 1 }], { now })
+          .allowed,
+        true
+      );
+      assert.strictEqual(
+        evaluateQuota(limits, [{ operations: 1, bytes: 1000, created_at: now - 1 }], { now })
+          .allowed,
+        false
+      );
+    });
+
+    test('a file larger than the daily byte limit never resets', () => {
+      const result = evaluateQuota({ ...noDefaults, bytesPerDay: 1000 }, [], {
+        now,
+        bytes: 5000,
+      });
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.resetsAt, null);
+    });
+
+    test('blocks when the user has too many unfinished jobs', () => {
+      const result = evaluateQuota({ ...noDefaults, maxConcurrentJobs: 2 }, [], {
+        now,
+        activeJobs: 2,
+      });
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason, 'max_concurrent_jobs');
+    });
+  });
+
+  describe('messages', () => {
+    test('formatTimeUntil formats seconds, minutes, and hours', () => {
+      assert.strictEqual(formatTimeUntil(30 * 1000, 0), '30 seconds');
+      assert.strictEqual(formatTimeUntil(60 * 1000, 0), '1 minute');
+      assert.strictEqual(formatTimeUntil(12 * 60 * 1000 + 1, 0), '13 minutes');
+      assert.strictEqual(formatTimeUntil(3 * HOUR, 0), '3 hours');
+      assert.strictEqual(formatTimeUntil(HOUR + 5 * 60 * 1000, 0), '1 hour 5 minutes');
+    });
+
+    test('exceeded message includes the reset time', () => {
+      const message = getQuotaExceededMessage(
+        { allowed: false, reason: 'operations_per_day', limit: 20, resetsAt: 2 * HOUR },
+        0
+      );
+      assert.strictEqual(
+        message,
+        'you have reached your limit of 20 requests per day. quota resets in 2 hours.'
+      );
+    });
+
+    test('concurrent job message asks to wait', () => {
+      const message = getQuotaExceededMessage({
+        allowed: false,
+        reason: 'max_concurrent_jobs',
+        limit: 1,
+        resetsAt: null,
+      });
+      assert.strictEqual(
+        message,
+        'you already have 1 request in progress. please wait until it finishes.'
+      );
+    });
+  });
+
+  describe('getInteractionQuotaScopes', () => {
+    test('reads role IDs from cached guild members', () => {
+      const scopes = getInteractionQuotaScopes({
+        user: { id: 'u1' },
+        guildId: 'g1',
+        member: {
+          roles: {
+            cache: new Map([
+              ['r1', {}],
+              ['r2', {}],
+            ]),
+          },
+        },
+      });
+      assert.deepStrictEqual(scopes, { userId: 'u1', guildId: 'g1', roleIds: ['r1', 'r2'] });
+    });
+
+    test('reads role IDs from uncached guild members and handles DMs', () => {
+      assert.deepStrictEqual(
+        getInteractionQuotaScopes({ user: { id: 'u1' }, guildId: 'g1', member: { roles: ['r1'] } })
+          .roleIds,
+        ['r1']
+      );
+      assert.deepStrictEqual(getInteractionQuotaScopes({ user: { id: 'u1' } }), {
+        userId: 'u1',
+        guildId: null,
+        roleIds: [],
+      });
+    });
+  });
+
+  describe('quota storage', () => {
+    before(async () => {
+      await initDatabase();
+    });
+
+    test('sets, updates, and deletes overrides', async () => {
+      const scopeId = `${Date.now()}`;
+      const created = await setQuota('user', scopeId, { operations_per_hour: 5 });
+      assert.strictEqual(created.operations_per_hour, 5);
+      assert.strictEqual(created.operations_per_day, null);
+
+      const updated = await setQuota('user', scopeId, { bytes_per_day: 1024 * 1024 * 1024 * 8 });
+      assert.strictEqual(updated.id, created.id);
+      assert.strictEqual(updated.operations_per_hour, null);
+      assert.strictEqual(updated.bytes_per_day, 1024 * 1024 * 1024 * 8);
+
+      assert.strictEqual(await deleteQuota('user', scopeId), true);
+      assert.strictEqual(await getQuota('user', scopeId), null);
+    });
+
+    test('finds overrides for a user, their roles, and guild', async () => {
+      const id = `${Date.now()}`;
+      await setQuota('user', `${id}1`, { operations_per_hour: 1 });
+      await setQuota('role', `${id}2`, { operations_per_hour: 2 });
+      await setQuota('guild', `${id}3`, { operations_per_hour: 3 });
+      await setQuota('role', `${id}4`, { operations_per_hour: 4 });
+
+      const quotas = await getQuotasForScopes({
+        userId: `${id}1`,
+        guildId: `${id}3`,
+        roleIds: [`${id}2`],
+      });
+      assert.deepStrictEqual(quotas.map(q => q.scope_id).sort(), [`${id}1`, `${id}2`, `${id}3`]);
+
+      const withoutGuild = await getQuotasForScopes({ userId: `${id}1` });
+      assert.deepStrictEqual(
+        withoutGuild.map(q => q.scope_id),
+        [`${id}1`]
+      );
+    });
+
+    test('records usage for rolling windows', async () => {
+      const userId = `quota-user-${Date.now()}`;
+      const since = Date.now() - 1000;
+      await insertQuotaUsage({ userId, operationType: 'convert', bytes: 2048 });
+      await insertQuotaUsage({ userId, operationType: 'download', operations: 0, bytes: 4096 });
+
+      const usage = await getQuotaUsageSince(userId, since);
+      assert.strictEqual(usage.length, 2);
+      assert.strictEqual(usage[0].operations, 1);
+      assert.strictEqual(usage[0].bytes, 2048);
+      assert.strictEqual(usage[1].operations, 0);
+      assert.strictEqual(typeof usage[1].created_at, 'number');
+    });
+
+    test('usage of a job is only recorded once', async () => {
+      const userId = `quota-job-usage-${Date.now()}`;
+      const since = Date.now() - 1000;
+      const job = await insertJob({ jobType: `test-quota-${Date.now()}`, payload: {}, userId });
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await insertQuotaUsage({
+          userId,
+          operationType: 'download',
+          operations: 0,
+          bytes: 4096,
+          jobId: job.id,
+        });
+      }
+
+      const usage = await getQuotaUsageSince(userId, since);
+      assert.strictEqual(usage.length, 1);
+    });
+
+    test('concurrent requests are checked and recorded one at a time', async () => {
+      const userId = `quota-race-${Date.now()}`;
+      const since = Date.now() - DAY;
+      const limits = { ...noDefaults, operationsPerHour: 2 };
+
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          insertQuotaUsageIfAllowed({ userId, operationType: 'convert' }, since, usage =>
+            evaluateQuota(limits, usage)
+          )
+        )
+      );
+
+      assert.strictEqual(results.filter(result => result.allowed).length, 2);
+      assert.strictEqual((await getQuotaUsageSince(userId, since)).length, 2);
+    });
+
+    test('active jobs are counted under the same lock', async () => {
+      const userId = `quota-jobs-${Date.now()}`;
+      const since = Date.now() - DAY;
+      const limits = { ...noDefaults, maxConcurrentJobs: 1 };
+      const claim = () =>
+        insertQuotaUsageIfAllowed(
+          { userId, operationType: 'convert' },
+          since,
+          (usage, activeJobs) => evaluateQuota(limits, usage, { activeJobs })
+        );
+
+      assert.strictEqual((await claim()).allowed, true);
+      await insertJob({ jobType: `test-quota-${Date.now()}`, payload: {}, userId });
+      const result = await claim();
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason, 'max_concurrent_jobs');
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createLocalDriver,
+  createS3Driver,
+  createR2Driver,
+  createStorageDriver,
+  resolveStorageRoot,
+  getStorageKey,
+  getContentType,
+  isValidStorageKey,
+} from '../../src/utils/storage-driver.js';
+import { ConfigurationError } from '../../src/utils/errors.js';
+
+const S3_SETTINGS = {
+  endpoint: 'http://localhost:9000',
+  bucketName: 'gronka',
+  accessKeyId: 'minioadmin',
+  secretAccessKey: 'minioadmin',
+  forcePathStyle: true,
+};
+
+describe('storage driver', () => {
+  describe('storage keys', () => {
+    test('keys depend on the file type', () => {
+      assert.strictEqual(getStorageKey('abc123', 'gif', '.gif'), 'gifs/abc123.gif');
+      assert.strictEqual(getStorageKey('abc123', 'video', '.mp4'), 'videos/abc123.mp4');
+      assert.strictEqual(getStorageKey('abc123', 'image', 'png'), 'images/abc123.png');
+    });
+
+    test('path characters are stripped from hashes and extensions', () => {
+      assert.strictEqual(getStorageKey('../abc123', 'video', '/.mp4'), 'videos/abc123.mp4');
+    });
+
+    test('unknown file types are rejected', () => {
+      assert.throws(() => getStorageKey('abc123', 'audio', '.mp3'), /Unknown file type/);
+    });
+
+    test('keys cannot leave the storage root', () => {
+      assert.strictEqual(isValidStorageKey('gifs/abc123.gif'), true);
+      assert.strictEqual(isValidStorageKey('../secrets.txt'), false);
+      assert.strictEqual(isValidStorageKey('gifs/../../secrets.txt'), false);
+      assert.strictEqual(isValidStorageKey('/etc/passwd'), false);
+      assert.strictEqual(isValidStorageKey('gifs\\abc123.gif'), false);
+      assert.strictEqual(isValidStorageKey(''), false);
+    });
+
+    test('content types come from the extension', () => {
+      assert.strictEqual(getContentType('gifs/abc123.gif'), 'image/gif');
+      assert.strictEqual(getContentType('videos/abc123.mp4'), 'video/mp4');
+      assert.strictEqual(getContentType('files/abc123.bin'), 'application/octet-stream');
+    });
+  });
+
+  describe('local driver', () => {
+    let tempDir;
+    let driver;
+
+    before(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gronka-storage-driver-'));
+      driver = createLocalDriver({
+        storagePath: path.join(tempDir, 'gifs'),
+        publicBaseUrl: 'https://cdn.example.com/gifs',
+      });
+    });
+
+    after(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('the storage root is the parent of a gifs/ storage path', () => {
+      assert.strictEqual(resolveStorageRoot(path.join(tempDir, 'gifs')), tempDir);
+      assert.strictEqual(resolveStorageRoot(tempDir), tempDir);
+      assert.strictEqual(driver.root, tempDir);
+      assert.strictEqual(driver.remote, false);
+    });
+
+    test('stores, reads and deletes files', async () => {
+      const filePath = await driver.put('videos/abc123.mp4', Buffer.from('video'));
+      assert.strictEqual(filePath, path.join(tempDir, 'videos', 'abc123.mp4'));
+      assert.strictEqual(await driver.exists('videos/abc123.mp4'), true);
+      assert.strictEqual((await driver.get('videos/abc123.mp4')).toString(), 'video');
+      assert.strictEqual((await driver.stat('videos/abc123.mp4')).size, 5);
+
+      assert.strictEqual(await driver.delete('videos/abc123.mp4'), true);
+      assert.strictEqual(await driver.exists('videos/abc123.mp4'), false);
+      assert.strictEqual(await driver.stat('videos/abc123.mp4'), null);
+      assert.strictEqual(await driver.delete('videos/abc123.mp4'), false);
+    });
+
+    test('lists the files under a prefix', async () => {
+      await driver.put('gifs/one.gif', Buffer.from('1'));
+      await driver.put('gifs/two.gif', Buffer.from('22'));
+      await driver.put('images/three.png', Buffer.from('333'));
+
+      const gifs = await driver.list('gifs/');
+      assert.deepStrictEqual(gifs.map(object => object.key).sort(), [
+        'gifs/one.gif',
+        'gifs/two.gif',
+      ]);
+      assert.strictEqual(gifs.find(object => object.key === 'gifs/two.gif').size, 2);
+
+      const all = await driver.list('');
+      assert.ok(all.some(object => object.key === 'images/three.png'));
+      assert.deepStrictEqual(await driver.list('videos/none'), []);
+    });
+
+    test('refuses keys outside the storage root', async () => {
+      await assert.rejects(driver.put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+      await assert.rejects(driver.get('gifs/../../escape.txt'), /Invalid storage key/);
+    });
+
+    test('public URLs drop the /gifs suffix of CDN_BASE_URL', () => {
+      assert.strictEqual(driver.publicUrl('gifs/abc.gif'), 'https://cdn.example.com/gifs/abc.gif');
+      assert.strictEqual(
+        driver.publicUrl('videos/abc.mp4'),
+        'https://cdn.example.com/videos/abc.mp4'
+      );
+    });
+
+    test('keys are read from public URLs and file paths', () => {
+      assert.strictEqual(driver.keyFromUrl('https://cdn.example.com/gifs/abc.gif'), 'gifs/abc.gif');
+      assert.strictEqual(driver.keyFromUrl(path.join(tempDir, 'images', 'a.png')), 'images/a.png');
+      assert.strictEqual(driver.keyFromUrl(path.join(os.tmpdir(), 'elsewhere.gif')), null);
+      assert.strictEqual(driver.keyFromUrl('https://media.discordapp.net/a.gif'), null);
+      assert.strictEqual(driver.keyFromUrl(null), null);
+    });
+  });
+
+  describe('s3 driver', () => {
+    test('incomplete settings are a configuration error', () => {
+      assert.throws(
+        () => createS3Driver({ ...S3_SETTINGS, bucketName: '' }),
+        error => error instanceof ConfigurationError && error.code === 'INVALID_STORAGE_CONFIG'
+      );
+    });
+
+    test('public URLs default to the endpoint and bucket', () => {
+      const driver = createS3Driver(S3_SETTINGS);
+      assert.strictEqual(driver.name, 's3');
+      assert.strictEqual(driver.remote, true);
+      assert.strictEqual(
+        driver.publicUrl('gifs/abc.gif'),
+        'http://localhost:9000/gronka/gifs/abc.gif'
+      );
+    });
+
+    test('public URLs use the public base URL when set', () => {
+      const driver = createS3Driver({
+        ...S3_SETTINGS,
+        publicBaseUrl: 'https://media.example.com/',
+      });
+      assert.strictEqual(
+        driver.publicUrl('gifs/abc.gif'),
+        'https://media.example.com/gifs/abc.gif'
+      );
+      assert.strictEqual(
+        driver.keyFromUrl('https://media.example.com/gifs/abc.gif'),
+        'gifs/abc.gif'
+      );
+      assert.strictEqual(
+        driver.keyFromUrl('https://media.example.com/gifs/abc.gif?download=1'),
+        'gifs/abc.gif'
+      );
+      assert.strictEqual(driver.keyFromUrl('https://other.example.com/gifs/abc.gif'), null);
+      assert.strictEqual(driver.keyFromUrl('https://media.example.com/../abc.gif'), null);
+    });
+
+    test('signed URLs carry their expiry', async () => {
+      const driver = createS3Driver(S3_SETTINGS);
+      const url = new URL(await driver.signedUrl('videos/abc.mp4', { expiresIn: 600 }));
+      assert.strictEqual(url.pathname, '/gronka/videos/abc.mp4');
+      assert.strictEqual(url.searchParams.get('X-Amz-Expires'), '600');
+      assert.ok(url.searchParams.get('X-Amz-Signature'));
+    });
+  });
+
+  describe('r2 driver', () => {
+    test('files are served from the public domain', () => {
+      const driver = createR2Driver({
+        accountId: 'account',
+        accessKeyId: 'key',
+        secretAccessKey: 'secret',
+        bucketName: 'gronka',
+        publicDomain: 'cdn.example.com',
+      });
+      assert.strictEqual(driver.name, 'r2');
+      assert.strictEqual(driver.urlPrefix, 'https://cdn.example.com/');
+      assert.strictEqual(driver.publicUrl('gifs/abc.gif'), 'https://cdn.example.com/gifs/abc.gif');
+      assert.strictEqual(driver.keyFromUrl('https://cdn.example.com/gifs/abc.gif'), 'gifs/abc.gif');
+    });
+
+    test('the account ID is required', () => {
+      assert.throws(
+        () =>
+          createR2Driver({
+            accessKeyId: 'key',
+            secretAccessKey: 'secret',
+            bucketName: 'gronka',
+            publicDomain: 'cdn.example.com',
+          }),
+        ConfigurationError
+      );
+    });
+  });
+
+  describe('createStorageDriver', () => {
+    test('creates the named driver', () => {
+      const driver = createStorageDriver('s3', { s3: S3_SETTINGS });
+      assert.strictEqual(driver.name, 's3');
+
+      const local = createStorageDriver('local', {
+        storagePath: os.tmpdir(),
+        cdnBaseUrl: 'https://cdn.example.com/gifs',
+      });
+      assert.strictEqual(local.name, 'local');
+    });
+
+    test('unknown drivers are a configuration error', () => {
+      assert.throws(
+        () => createStorageDriver('ftp'),
+        error => error instanceof ConfigurationError && error.code === 'INVALID_STORAGE_DRIVER'
+      );
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import {
+  FSCK_CATEGORIES,
+  findStorageMismatches,
+  parseFsckCategories,
+} from '../../src/utils/storage-fsck.js';
+import { createLocalDriver, createR2Driver } from '../../src/utils/storage-driver.js';
+
+const NOW = Date.UTC(2026, 0, 31);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OLD = new Date(NOW - DAY_MS);
+
+const HASH_A = 'aaaa1111';
+const HASH_B = 'bbbb2222';
+const HASH_C = 'cccc3333';
+
+const storageRoot = path.join(os.tmpdir(), 'gronka-storage-fsck');
+const local = createLocalDriver({
+  storagePath: path.join(storageRoot, 'gifs'),
+  publicBaseUrl: 'https://local.example.com/gifs',
+});
+const remote = createR2Driver({
+  accountId: 'account',
+  accessKeyId: 'key',
+  secretAccessKey: 'secret',
+  bucketName: 'gronka',
+  publicDomain: 'cdn.example.com',
+});
+
+/**
+ * Build a processed_urls row
+ * @param {string} urlHash - URL hash
+ * @param {Object} fields - Row fields
+ * @returns {Object} processed_urls row
+ */
+function processedUrl(urlHash, fields) {
+  return {
+    url_hash: urlHash,
+    file_type: 'gif',
+    file_extension: '.gif',
+    file_size: null,
+    ...fields,
+  };
+}
+
+/**
+ * Run the checks with nothing stored unless given
+ * @param {Object} state - Overrides of the stored state
+ * @returns {Object} Mismatches by category
+ */
+function check(state) {
+  return findStorageMismatches({
+    processedUrls: [],
+    temporaryUploads: [],
+    localFiles: [],
+    remoteFiles: [],
+    local,
+    remote,
+    now: NOW,
+    ...state,
+  });
+}
+
+describe('storage fsck', () => {
+  test('consistent storage has no mismatches', () => {
+    const categories = check({
+      processedUrls: [
+        processedUrl('u1', {
+          file_hash: HASH_A,
+          file_url: `https://cdn.example.com/gifs/${HASH_A}.gif`,
+          file_size: 10,
+        }),
+        processedUrl('u2', {
+          file_hash: HASH_B,
+          file_url: path.join(storageRoot, 'gifs', `${HASH_B}.gif`),
+        }),
+        processedUrl('u3', { file_hash: HASH_C, file_url: 'https://cdn.discordapp.com/a.gif' }),
+      ],
+      temporaryUploads: [{ id: 1, url_hash: 'u1', r2_key: `gifs/${HASH_A}.gif` }],
+      remoteFiles: [{ key: `gifs/${HASH_A}.gif`, size: 10, lastModified: OLD }],
+      localFiles: [
+        { key: `gifs/${HASH_B}.gif`, size: 5, lastModified: OLD },
+        // Local copy of a file sent as a Discord attachment
+        { key: `gifs/${HASH_C}.gif`, size: 5, lastModified: OLD },
+      ],
+    });
+    for (const category of FSCK_CATEGORIES) {
+      assert.deepStrictEqual(categories[category], [], category);
+    }
+  });
+
+  test('processed URLs whose file is gone', () => {
+    const categories = check({
+      processedUrls: [
+        processedUrl('u1', {
+          file_hash: HASH_A,
+          file_url: `https://cdn.example.com/gifs/${HASH_A}.gif`,
+        }),
+        processedUrl('u2', {
+          file_hash: HASH_B,
+          file_type: 'video',
+          file_extension: '.mp4',
+          file_url: `https://local.example.com/videos/${HASH_B}.mp4`,
+        }),
+      ],
+    });
+    assert.deepStrictEqual(categories.missing_files, [
+      {
+        urlHash: 'u1',
+        fileUrl: `https://cdn.example.com/gifs/${HASH_A}.gif`,
+        storage: 'remote',
+        key: `gifs/${HASH_A}.gif`,
+      },
+      {
+        urlHash: 'u2',
+        fileUrl: `https://local.example.com/videos/${HASH_B}.mp4`,
+        storage: 'local',
+        key: `videos/${HASH_B}.mp4`,
+      },
+    ]);
+  });
+
+  test('files nothing refers to are orphans once they are an hour old', () => {
+    const categories = check({
+      remoteFiles: [
+        { key: `gifs/${HASH_A}.gif`, size: 1, lastModified: OLD },
+        { key: `gifs/${HASH_B}.gif`, size: 1, lastModified: new Date(NOW - 60 * 1000) },
+      ],
+      localFiles: [{ key: `images/${HASH_C}.png`, size: 2, lastModified: OLD }],
+    });
+    assert.deepStrictEqual(categories.orphaned_remote, [{ key: `gifs/${HASH_A}.gif`, size: 1 }]);
+    assert.deepStrictEqual(categories.orphaned_local, [{ key: `images/${HASH_C}.png`, size: 2 }]);
+  });
+
+  test('recorded sizes are compared with the stored file', () => {
+    const categories = check({
+      processedUrls: [
+        processedUrl('u1', {
+          file_hash: HASH_A,
+          file_url: `https://cdn.example.com/gifs/${HASH_A}.gif`,
+          file_size: 100,
+        }),
+      ],
+      remoteFiles: [{ key: `gifs/${HASH_A}.gif`, size: 120, lastModified: OLD }],
+    });
+    assert.deepStrictEqual(categories.size_mismatches, [
+      {
+        urlHash: 'u1',
+        storage: 'remote',
+        key: `gifs/${HASH_A}.gif`,
+        recordedSize: 100,
+        actualSize: 120,
+      },
+    ]);
+  });
+
+  test('temporary uploads whose remote file is gone', () => {
+    const upload = { id: 7, url_hash: 'u1', r2_key: `videos/${HASH_A}.mp4`, expires_at: NOW };
+    const categories = check({ temporaryUploads: [upload] });
+    assert.deepStrictEqual(categories.missing_temporary_uploads, [
+      { id: 7, urlHash: 'u1', key: `videos/${HASH_A}.mp4`, expiresAt: NOW },
+    ]);
+
+    // Without remote storage there is nothing to compare them with
+    const localOnly = check({ temporaryUploads: [upload], remote: null, remoteFiles: null });
+    assert.deepStrictEqual(localOnly.missing_temporary_uploads, []);
+  });
+
+  test('fix categories are parsed and checked', () => {
+    assert.deepStrictEqual(parseFsckCategories(true), FSCK_CATEGORIES);
+    assert.deepStrictEqual(parseFsckCategories('all'), FSCK_CATEGORIES);
+    assert.deepStrictEqual(parseFsckCategories('orphaned_local, size_mismatches'), [
+      'orphaned_local',
+      'size_mismatches',
+    ]);
+    assert.deepStrictEqual(parseFsckCategories(['missing_files', 'missing_files']), [
+      'missing_files',
+    ]);
+    assert.deepStrictEqual(parseFsckCategories(undefined), []);
+    assert.throws(() => parseFsckCategories('orphaned_local,everything'), /everything/);
+  });
+});
@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { planStorageLifecycle } from '../../src/utils/storage-lifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const NOW = Date.UTC(2026, 0, 31);
+
+const NO_LIMITS = {
+  diskBudgetMb: 0,
+  tierAfterDays: 0,
+  retentionDays: { gif: 0, video: 0, image: 0 },
+};
+
+/**
+ * Build a local file
+ * @param {string} key - Storage key
+ * @param {Object} fields - Size in MB and ages in days
+ * @returns {Object} Local file as collected by the lifecycle job
+ */
+function localFile(key, { sizeMb = 1, madeDaysAgo = 1, servedDaysAgo = madeDaysAgo } = {}) {
+  return {
+    key,
+    fileType: { gifs: 'gif', videos: 'video', images: 'image' }[key.split('/')[0]],
+    size: sizeMb * MB,
+    createdAt: NOW - madeDaysAgo * DAY_MS,
+    lastServedAt: NOW - servedDaysAgo * DAY_MS,
+  };
+}
+
+/**
+ * Summarize a plan as key => action
+ * @param {Array<Object>} actions - Planned actions
+ * @returns {Object} Action of each file acted on
+ */
+function actionsByKey(actions) {
+  return Object.fromEntries(actions.map(action => [action.key, action.action]));
+}
+
+describe('storage lifecycle', () => {
+  test('without limits every file stays', () => {
+    const files = [localFile('gifs/a.gif', { madeDaysAgo: 900 }), localFile('videos/b.mp4')];
+    const plan = planStorageLifecycle(files, NO_LIMITS, { now: NOW, canTier: true });
+    assert.deepStrictEqual(plan.actions, []);
+    assert.strictEqual(plan.keptBytes, 2 * MB);
+  });
+
+  test('retention depends on the file type and age', () => {
+    const files = [
+      localFile('gifs/old.gif', { madeDaysAgo: 40, servedDaysAgo: 0 }),
+      localFile('videos/old.mp4', { madeDaysAgo: 40 }),
+      localFile('videos/new.mp4', { madeDaysAgo: 5 }),
+    ];
+    const plan = planStorageLifecycle(
+      files,
+      { ...NO_LIMITS, retentionDays: { gif: 0, video: 30, image: 0 } },
+      { now: NOW }
+    );
+    assert.deepStrictEqual(actionsByKey(plan.actions), { 'videos/old.mp4': 'expire' });
+    assert.match(plan.actions[0].reason, /30 day video retention/);
+  });
+
+  test('files not served for a while are tiered when there is remote storage', () => {
+    const files = [
+      localFile('gifs/cold.gif', { madeDaysAgo: 60, servedDaysAgo: 20 }),
+      localFile('gifs/warm.gif', { madeDaysAgo: 60, servedDaysAgo: 2 }),
+    ];
+    const policy = { ...NO_LIMITS, tierAfterDays: 14 };
+
+    const plan = planStorageLifecycle(files, policy, { now: NOW, canTier: true });
+    assert.deepStrictEqual(actionsByKey(plan.actions), { 'gifs/cold.gif': 'tier' });
+    assert.strictEqual(plan.keptBytes, 1 * MB);
+
+    const localOnly = planStorageLifecycle(files, policy, { now: NOW, canTier: false });
+    assert.deepStrictEqual(localOnly.actions, []);
+  });
+
+  test('the least recently served files are evicted down to the disk budget', () => {
+    const files = [
+      localFile('videos/recent.mp4', { sizeMb: 4, servedDaysAgo: 1 }),
+      localFile('videos/stale.mp4', { sizeMb: 3, madeDaysAgo: 10, servedDaysAgo: 9 }),
+      localFile('images/stale.png', { sizeMb: 2, madeDaysAgo: 10, servedDaysAgo: 8 }),
+      localFile('gifs/middle.gif', { sizeMb: 2, servedDaysAgo: 3 }),
+    ];
+    const plan = planStorageLifecycle(files, { ...NO_LIMITS, diskBudgetMb: 6 }, { now: NOW });
+    assert.deepStrictEqual(
+      plan.actions.map(action => [action.key, action.action]),
+      [
+        ['videos/stale.mp4', 'evict'],
+        ['images/stale.png', 'evict'],
+      ]
+    );
+    assert.strictEqual(plan.keptBytes, 6 * MB);
+  });
+
+  test('expired and tiered files count against the budget first', () => {
+    const files = [
+      localFile('videos/old.mp4', { sizeMb: 5, madeDaysAgo: 100 }),
+      localFile('gifs/cold.gif', { sizeMb: 3, madeDaysAgo: 50, servedDaysAgo: 40 }),
+      localFile('gifs/a.gif', { sizeMb: 2, servedDaysAgo: 2 }),
+      localFile('gifs/b.gif', { sizeMb: 2, servedDaysAgo: 1 }),
+    ];
+    const plan = planStorageLifecycle(
+      files,
+      {
+        diskBudgetMb: 3,
+        tierAfterDays: 30,
+        retentionDays: { gif: 0, video: 90, image: 0 },
+      },
+      { now: NOW, canTier: true }
+    );
+    assert.deepStrictEqual(actionsByKey(plan.actions), {
+      'videos/old.mp4': 'expire',
+      'gifs/cold.gif': 'tier',
+      'gifs/a.gif': 'evict',
+    });
+    assert.strictEqual(plan.keptBytes, 2 * MB);
+  });
+});
@@ -21,7 +21,11 @@ import {
   saveVideo,
   imageExists,
   saveImage,
+  getMediaPath,
+  mediaExists,
+  saveMedia,
   invalidateStatsCache,
+  getPreviewPath,
 } from '../../src/utils/storage.js';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -129,6 +133,20 @@ test('getVideoPath - handles extension with or without dot', () => {
   assert.strictEqual(path1, path2);
 });
 
+test('getPreviewPath - keeps previews next to the media folders', () => {
+  const thumbnailPath = getPreviewPath('thumbnails/abc123.jpg', testStoragePath);
+  assert.strictEqual(path.basename(path.dirname(thumbnailPath)), 'thumbnails');
+  assert.strictEqual(
+    path.dirname(path.dirname(thumbnailPath)),
+    path.dirname(path.dirname(getVideoPath('abc123', '.mp4', testStoragePath)))
+  );
+});
+
+test('getPreviewPath - rejects keys that are not previews', () => {
+  assert.throws(() => getPreviewPath('../secrets/abc123.jpg', testStoragePath));
+  assert.throws(() => getPreviewPath('videos/abc123.mp4', testStoragePath));
+});
+
 test('getImagePath - generates correct path for image', () => {
   const hash = 'abc123def456';
   const imagePath = getImagePath(hash, '.png', testStoragePath);
@@ -260,6 +278,38 @@ test('saveImage - saves image file and returns path', async () => {
   assert.strictEqual(exists, true);
 });
 
+test('getMediaPath - picks the folder for each extension', () => {
+  const hash = 'abc123def456';
+  assert.strictEqual(
+    getMediaPath(hash, '.gif', testStoragePath),
+    getGifPath(hash, testStoragePath)
+  );
+  assert.strictEqual(
+    getMediaPath(hash, '.webp', testStoragePath),
+    getImagePath(hash, '.webp', testStoragePath)
+  );
+  assert.strictEqual(
+    getMediaPath(hash, '.mp4', testStoragePath),
+    getVideoPath(hash, '.mp4', testStoragePath)
+  );
+});
+
+test('saveMedia - saves each output format with its own extension', async () => {
+  const buffer = Buffer.from('fake media content');
+
+  const webpResult = await saveMedia(buffer, 'abc456', '.webp', testStoragePath);
+  assert(webpResult.url.includes('images'));
+  assert(webpResult.url.endsWith('abc456.webp'));
+  assert.strictEqual(await mediaExists('abc456', '.webp', testStoragePath), true);
+
+  const mp4Result = await saveMedia(buffer, 'abc456', '.mp4', testStoragePath);
+  assert(mp4Result.url.includes('videos'));
+  assert(mp4Result.url.endsWith('abc456.mp4'));
+  assert.strictEqual(await mediaExists('abc456', '.mp4', testStoragePath), true);
+
+  assert.strictEqual(await mediaExists('abc456', '.gif', testStoragePath), false);
+});
+
 test('cleanupTempFiles - deletes existing files', async () => {
   mkdirSync(testStoragePath, { recursive: true });
   const tempFile1 = path.join(testStoragePath, 'temp1.txt');
@@ -409,6 +459,12 @@ test('shouldUploadToDiscord - returns false for files 8MB and above', () => {
   assert.strictEqual(shouldUploadToDiscord(Buffer.alloc(50 * 1024 * 1024)), false);
 });
 
+test('shouldUploadToDiscord - uses a custom limit', () => {
+  assert.strictEqual(shouldUploadToDiscord(Buffer.alloc(10 * 1024 * 1024), 25 * 1024 * 1024), true);
+  assert.strictEqual(shouldUploadToDiscord(Buffer.alloc(2 * 1024 * 1024), 1024 * 1024), false);
+  assert.strictEqual(shouldUploadToDiscord(Buffer.alloc(0), 0), false);
+});
+
 test('formatFileSize - handles null and undefined', () => {
   assert.strictEqual(formatFileSize(null), '0.00 MB');
   assert.strictEqual(formatFileSize(undefined), '0.00 MB');
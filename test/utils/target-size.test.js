@@ -0,0 +1,163 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseTargetSize,
+  buildLossyCandidates,
+  buildConvertCandidates,
+  searchTargetSize,
+} from '../../src/utils/target-size.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Create a fake renderer whose output size is looked up per candidate index
+ * @param {Array<Object>} candidates - Candidate list passed to the search
+ * @param {Array<number>} sizes - Output size for each candidate
+ * @returns {{render: Function, rendered: Array<number>}} Renderer and the indexes it rendered
+ */
+function fakeRenderer(candidates, sizes) {
+  const rendered = [];
+  return {
+    rendered,
+    render: async (candidate, attempt) => {
+      const index = candidates.indexOf(candidate);
+      rendered.push(index);
+      return { size: sizes[index], path: `attempt-${attempt}.gif` };
+    },
+  };
+}
+
+describe('target size', () => {
+  describe('parseTargetSize', () => {
+    test('returns null for missing values', () => {
+      assert.deepStrictEqual(parseTargetSize(null), { bytes: null, error: null });
+      assert.deepStrictEqual(parseTargetSize(''), { bytes: null, error: null });
+    });
+
+    test('converts megabytes to bytes', () => {
+      assert.deepStrictEqual(parseTargetSize(8), { bytes: 8 * MB, error: null });
+      assert.deepStrictEqual(parseTargetSize('2.5'), { bytes: 2.5 * MB, error: null });
+    });
+
+    test('rejects values outside the allowed range', () => {
+      assert.strictEqual(parseTargetSize(0.1).error, 'target size must be between 0.5 and 100 mb');
+      assert.ok(parseTargetSize(101).error);
+      assert.ok(parseTargetSize('big').error);
+    });
+  });
+
+  describe('buildLossyCandidates', () => {
+    test('steps from 10 to 100 by default', () => {
+      assert.deepStrictEqual(
+        buildLossyCandidates().map(c => c.lossy),
+        [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]
+      );
+    });
+
+    test('starts from the requested lossy level', () => {
+      assert.deepStrictEqual(
+        buildLossyCandidates(75).map(c => c.lossy),
+        [75, 85, 95, 100]
+      );
+      assert.deepStrictEqual(
+        buildLossyCandidates(100).map(c => c.lossy),
+        [100]
+      );
+    });
+  });
+
+  describe('buildConvertCandidates', () => {
+    test('starts at the requested settings with a full palette', () => {
+      const [first] = buildConvertCandidates({ width: 480, fps: 24 });
+      assert.deepStrictEqual(first, { width: 480, fps: 24, maxColors: 256 });
+    });
+
+    test('never increases width, fps or palette size', () => {
+      const candidates = buildConvertCandidates({ width: 1280, fps: 30 });
+      assert.ok(candidates.length > 2);
+      for (let i = 1; i < candidates.length; i++) {
+        assert.ok(candidates[i].width <= candidates[i - 1].width);
+        assert.ok(candidates[i].fps <= candidates[i - 1].fps);
+        assert.ok(candidates[i].maxColors <= candidates[i - 1].maxColors);
+      }
+      const last = candidates[candidates.length - 1];
+      assert.ok(last.fps >= 5);
+      assert.strictEqual(last.maxColors, 64);
+    });
+
+    test('keeps fps null for still images and stops when nothing shrinks', () => {
+      const candidates = buildConvertCandidates({ width: 16 });
+      assert.ok(candidates.every(c => c.fps === null && c.width === 16));
+      assert.strictEqual(candidates[candidates.length - 1].maxColors, 64);
+    });
+  });
+
+  describe('searchTargetSize', () => {
+    test('stops after one attempt when the starting settings fit', async () => {
+      const candidates = buildLossyCandidates();
+      const { render, rendered } = fakeRenderer(candidates, [3 * MB]);
+      const result = await searchTargetSize({
+        candidates,
+        targetBytes: 5 * MB,
+        maxAttempts: 6,
+        render,
+      });
+      assert.strictEqual(result.fits, true);
+      assert.strictEqual(result.best.candidate.lossy, 10);
+      assert.deepStrictEqual(rendered, [0]);
+    });
+
+    test('gives up after two attempts when the smallest settings are too large', async () => {
+      const candidates = buildLossyCandidates();
+      const sizes = candidates.map((_, i) => (20 - i) * MB);
+      const { render, rendered } = fakeRenderer(candidates, sizes);
+      const result = await searchTargetSize({
+        candidates,
+        targetBytes: 5 * MB,
+        maxAttempts: 6,
+        render,
+      });
+      assert.strictEqual(result.fits, false);
+      assert.strictEqual(result.best.size, 11 * MB);
+      assert.deepStrictEqual(rendered, [0, candidates.length - 1]);
+    });
+
+    test('finds the best-quality candidate that fits', async () => {
+      const candidates = buildLossyCandidates();
+      // 10 -> 19mb, 20 -> 17mb, ... ; first fit under 8mb is at index 6 (lossy 70, 7mb)
+      const sizes = candidates.map((_, i) => (19 - 2 * i) * MB);
+      const { render } = fakeRenderer(candidates, sizes);
+      const steps = [];
+      const result = await searchTargetSize({
+        candidates,
+        targetBytes: 8 * MB,
+        maxAttempts: 6,
+        render,
+        onAttempt: attempt => steps.push(attempt),
+      });
+      assert.strictEqual(result.fits, true);
+      assert.strictEqual(result.best.candidate.lossy, 70);
+      assert.strictEqual(result.best.size, 7 * MB);
+      assert.strictEqual(steps.length, result.attempts.length);
+      assert.deepStrictEqual(
+        steps.map(s => s.attempt),
+        steps.map((_, i) => i + 1)
+      );
+    });
+
+    test('respects the attempt limit', async () => {
+      const candidates = buildConvertCandidates({ width: 1280, fps: 30 });
+      const sizes = candidates.map((_, i) => (candidates.length - i) * MB);
+      const { render, rendered } = fakeRenderer(candidates, sizes);
+      const result = await searchTargetSize({
+        candidates,
+        targetBytes: 2.5 * MB,
+        maxAttempts: 3,
+        render,
+      });
+      assert.strictEqual(result.fits, true);
+      assert.strictEqual(rendered.length, 3);
+      assert.ok(result.best.size <= 2.5 * MB);
+    });
+  });
+});
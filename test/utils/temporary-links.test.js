@@ -0,0 +1,256 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import {
+  SIGNED_LINK_PATH,
+  signLink,
+  createSignedLink,
+  verifySignedLink,
+  getTemporaryLink,
+  createSignedLinkHandler,
+} from '../../src/utils/temporary-links.js';
+import { formatR2UrlWithDisclaimer } from '../../src/utils/r2-storage.js';
+import { createR2Driver } from '../../src/utils/storage-driver.js';
+
+const SECRET = 'a-signing-secret-of-at-least-32-characters';
+const HOUR_MS = 60 * 60 * 1000;
+
+const remote = createR2Driver({
+  accountId: 'account',
+  accessKeyId: 'key',
+  secretAccessKey: 'secret',
+  bucketName: 'gronka',
+  publicDomain: 'cdn.example.com',
+});
+
+/**
+ * Build temporary upload settings
+ * @param {string} tempUploadLinks - Link mode
+ * @returns {Object} R2 configuration
+ */
+function linkConfig(tempUploadLinks) {
+  return {
+    tempUploadsEnabled: true,
+    tempUploadTtlHours: 72,
+    tempUploadLinks,
+    linkSigningSecret: SECRET,
+    linkBaseUrl: 'https://files.example.com',
+  };
+}
+
+describe('temporary links', () => {
+  describe('signed links', () => {
+    const expiresAt = Date.now() + HOUR_MS;
+
+    test('a signed link verifies until it expires', () => {
+      const link = new URL(
+        createSignedLink('gifs/abc.gif', expiresAt, {
+          baseUrl: 'https://files.example.com',
+          secret: SECRET,
+        })
+      );
+      assert.strictEqual(link.pathname, `${SIGNED_LINK_PATH}/gifs/abc.gif`);
+
+      const expires = link.searchParams.get('expires');
+      const signature = link.searchParams.get('signature');
+      assert.strictEqual(expires, String(Math.floor(expiresAt / 1000)));
+      assert.strictEqual(
+        verifySignedLink('gifs/abc.gif', expires, signature, { secret: SECRET }),
+        'valid'
+      );
+      assert.strictEqual(
+        verifySignedLink('gifs/abc.gif', expires, signature, {
+          secret: SECRET,
+          now: expiresAt + 1000,
+        }),
+        'expired'
+      );
+    });
+
+    test('tampered links are rejected', () => {
+      const expires = Math.floor(expiresAt / 1000);
+      const signature = signLink('gifs/abc.gif', expires, SECRET);
+
+      const check = (key, exp, sig) => verifySignedLink(key, exp, sig, { secret: SECRET });
+      assert.strictEqual(check('gifs/other.gif', String(expires), signature), 'invalid');
+      assert.strictEqual(check('gifs/abc.gif', String(expires + 3600), signature), 'invalid');
+      assert.strictEqual(check('gifs/abc.gif', String(expires), `${signature}x`), 'invalid');
+      assert.strictEqual(check('gifs/abc.gif', 'soon', signature), 'invalid');
+      assert.strictEqual(check('gifs/abc.gif', String(expires), undefined), 'invalid');
+      assert.strictEqual(
+        verifySignedLink('gifs/abc.gif', String(expires), signature, { secret: `${SECRET}2` }),
+        'invalid'
+      );
+    });
+  });
+
+  describe('getTemporaryLink', () => {
+    const expiresAt = Date.now() + 2 * HOUR_MS;
+    const getExpiry = async () => expiresAt;
+
+    test('public links stay as they are, with the tracked expiry', async () => {
+      const link = await getTemporaryLink('https://cdn.example.com/gifs/abc.gif', {
+        config: linkConfig('public'),
+        remote,
+        getExpiry,
+      });
+      assert.deepStrictEqual(link, { url: 'https://cdn.example.com/gifs/abc.gif', expiresAt });
+    });
+
+    test('presigned links expire with the upload', async () => {
+      const link = await getTemporaryLink('https://cdn.example.com/videos/abc.mp4', {
+        config: linkConfig('presigned'),
+        remote,
+        getExpiry,
+      });
+      const url = new URL(link.url);
+      assert.strictEqual(url.hostname, 'gronka.account.r2.cloudflarestorage.com');
+      const expiresIn = Number(url.searchParams.get('X-Amz-Expires'));
+      assert.ok(expiresIn > 2 * 3600 - 60 && expiresIn <= 2 * 3600, `expiresIn: ${expiresIn}`);
+    });
+
+    test('signed links point at the stats server', async () => {
+      const link = await getTemporaryLink('https://cdn.example.com/images/abc.png', {
+        config: linkConfig('signed'),
+        remote,
+        getExpiry,
+      });
+      const url = new URL(link.url);
+      assert.strictEqual(url.origin, 'https://files.example.com');
+      assert.strictEqual(
+        verifySignedLink(
+          'images/abc.png',
+          url.searchParams.get('expires'),
+          url.searchParams.get('signature'),
+          { secret: SECRET }
+        ),
+        'valid'
+      );
+    });
+
+    test('untracked files expire a full TTL from now', async () => {
+      const before = Date.now();
+      const link = await getTemporaryLink('https://cdn.example.com/gifs/abc.gif', {
+        config: linkConfig('public'),
+        remote,
+        getExpiry: async () => null,
+      });
+      assert.ok(link.expiresAt >= before + 72 * HOUR_MS);
+    });
+
+    test('other URLs have no expiry', async () => {
+      for (const url of ['https://media.discordapp.net/a.gif', '/data/gifs/abc.gif']) {
+        const link = await getTemporaryLink(url, {
+          config: linkConfig('signed'),
+          remote,
+          getExpiry,
+        });
+        assert.deepStrictEqual(link, { url, expiresAt: null });
+      }
+
+      const link = await getTemporaryLink('https://cdn.example.com/gifs/abc.gif', {
+        config: linkConfig('signed'),
+        remote: null,
+        getExpiry,
+      });
+      assert.strictEqual(link.expiresAt, null);
+    });
+  });
+
+  describe('formatR2UrlWithDisclaimer', () => {
+    const expiresAt = Date.now() + 5 * HOUR_MS;
+    const linkOptions = { remote, getExpiry: async () => expiresAt };
+
+    test('shows the real expiry', async () => {
+      const content = await formatR2UrlWithDisclaimer(
+        'https://cdn.example.com/gifs/abc.gif',
+        linkConfig('public'),
+        false,
+        linkOptions
+      );
+      assert.strictEqual(
+        content,
+        `https://cdn.example.com/gifs/abc.gif\n-# this link will expire <t:${Math.floor(expiresAt / 1000)}:R>, please save and reupload to discord to keep forever`
+      );
+    });
+
+    test('hands out the configured link', async () => {
+      const content = await formatR2UrlWithDisclaimer(
+        'https://cdn.example.com/gifs/abc.gif',
+        linkConfig('signed'),
+        false,
+        linkOptions
+      );
+      assert.ok(content.startsWith(`https://files.example.com${SIGNED_LINK_PATH}/gifs/abc.gif?`));
+    });
+
+    test('admins and permanent uploads keep the public URL', async () => {
+      const url = 'https://cdn.example.com/gifs/abc.gif';
+      assert.strictEqual(
+        await formatR2UrlWithDisclaimer(url, linkConfig('signed'), true, linkOptions),
+        url
+      );
+      assert.strictEqual(
+        await formatR2UrlWithDisclaimer(
+          url,
+          { ...linkConfig('signed'), tempUploadsEnabled: false },
+          false,
+          linkOptions
+        ),
+        url
+      );
+    });
+  });
+
+  describe('signed link redirect', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      const app = express();
+      app.get(
+        `${SIGNED_LINK_PATH}/*key`,
+        createSignedLinkHandler({ config: linkConfig('signed'), remote })
+      );
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('valid links redirect to a short-lived storage URL', async () => {
+      const link = createSignedLink('gifs/abc.gif', Date.now() + HOUR_MS, {
+        baseUrl,
+        secret: SECRET,
+      });
+      const response = await fetch(link, { redirect: 'manual' });
+      assert.strictEqual(response.status, 302);
+      assert.strictEqual(response.headers.get('cache-control'), 'no-store');
+
+      const target = new URL(response.headers.get('location'));
+      assert.strictEqual(target.pathname, '/gifs/abc.gif');
+      assert.ok(Number(target.searchParams.get('X-Amz-Expires')) <= 300);
+    });
+
+    test('expired links are gone', async () => {
+      const link = createSignedLink('gifs/abc.gif', Date.now() - 1000, {
+        baseUrl,
+        secret: SECRET,
+      });
+      const response = await fetch(link, { redirect: 'manual' });
+      assert.strictEqual(response.status, 410);
+    });
+
+    test('links signed for another file are refused', async () => {
+      const link = createSignedLink('gifs/abc.gif', Date.now() + HOUR_MS, {
+        baseUrl,
+        secret: SECRET,
+      });
+      const response = await fetch(link.replace('abc.gif', 'other.gif'), { redirect: 'manual' });
+      assert.strictEqual(response.status, 403);
+    });
+  });
+});
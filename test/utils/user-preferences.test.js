@@ -0,0 +1,214 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { MessageFlags } from 'discord.js';
+import {
+  applyConvertPreferences,
+  formatUserPreferences,
+  getReplyOptions,
+  getUploadLimit,
+  parseUserPreferences,
+  resolveUserPreferences,
+} from '../../src/utils/user-preferences.js';
+
+const MB = 1024 * 1024;
+
+const omitted = { quality: null, optimize: null, lossy: null, format: null };
+
+const guildSettings = {
+  discordSizeLimit: 8 * MB,
+  ephemeralReplies: false,
+  alwaysUseR2: false,
+  sources: { discordSizeLimit: 'default' },
+};
+
+describe('user-preferences', () => {
+  describe('resolveUserPreferences', () => {
+    test('every preference is unset without a record', () => {
+      const preferences = resolveUserPreferences(null);
+      assert.deepStrictEqual(preferences, {
+        quality: null,
+        lossy: null,
+        autoOptimize: null,
+        outputFormat: null,
+        ephemeralReplies: null,
+        alwaysUseR2: null,
+      });
+    });
+
+    test('maps columns to camelCase names', () => {
+      const preferences = resolveUserPreferences({
+        quality: 'high',
+        lossy: 60,
+        auto_optimize: true,
+        output_format: 'webp',
+      });
+      assert.strictEqual(preferences.quality, 'high');
+      assert.strictEqual(preferences.lossy, 60);
+      assert.strictEqual(preferences.autoOptimize, true);
+      assert.strictEqual(preferences.outputFormat, 'webp');
+      assert.strictEqual(preferences.alwaysUseR2, null);
+    });
+  });
+
+  describe('parseUserPreferences', () => {
+    test('accepts valid preferences and stores missing ones as null', () => {
+      const parsed = parseUserPreferences({ quality: 'LOW', lossy: 40, output_format: 'mp4' });
+      assert.strictEqual(parsed.valid, true);
+      assert.strictEqual(parsed.preferences.quality, 'low');
+      assert.strictEqual(parsed.preferences.lossy, 40);
+      assert.strictEqual(parsed.preferences.output_format, 'mp4');
+      assert.strictEqual(parsed.preferences.auto_optimize, null);
+    });
+
+    test('rejects values out of range', () => {
+      assert.strictEqual(parseUserPreferences({ lossy: 101 }).valid, false);
+      assert.strictEqual(parseUserPreferences({ output_format: 'avi' }).valid, false);
+      assert.strictEqual(parseUserPreferences({ always_use_r2: 'yes' }).valid, false);
+    });
+  });
+
+  describe('applyConvertPreferences', () => {
+    test('keeps the command options without preferences', () => {
+      const applied = applyConvertPreferences(omitted, resolveUserPreferences(null));
+      assert.deepStrictEqual(applied, {
+        quality: null,
+        optimize: false,
+        lossy: null,
+        format: null,
+      });
+    });
+
+    test('fills omitted options from preferences', () => {
+      const preferences = resolveUserPreferences({
+        quality: 'high',
+        lossy: 60,
+        auto_optimize: true,
+      });
+      const applied = applyConvertPreferences(omitted, preferences);
+      assert.strictEqual(applied.quality, 'high');
+      assert.strictEqual(applied.optimize, true);
+      assert.strictEqual(applied.lossy, 60);
+    });
+
+    test('command options win over preferences', () => {
+      const preferences = resolveUserPreferences({
+        quality: 'high',
+        lossy: 60,
+        auto_optimize: true,
+      });
+      const applied = applyConvertPreferences(
+        { quality: 'low', optimize: false, lossy: null, format: null },
+        preferences
+      );
+      assert.strictEqual(applied.quality, 'low');
+      assert.strictEqual(applied.optimize, false);
+      assert.strictEqual(applied.lossy, null);
+    });
+
+    test('lossy preference only applies when optimizing', () => {
+      const applied = applyConvertPreferences(omitted, resolveUserPreferences({ lossy: 60 }));
+      assert.strictEqual(applied.optimize, false);
+      assert.strictEqual(applied.lossy, null);
+
+      const optimized = applyConvertPreferences(
+        { ...omitted, optimize: true },
+        resolveUserPreferences({ lossy: 60 })
+      );
+      assert.strictEqual(optimized.lossy, 60);
+    });
+
+    test('auto_optimize is skipped for non-gif output', () => {
+      const preferences = resolveUserPreferences({
+        auto_optimize: true,
+        lossy: 60,
+        output_format: 'mp4',
+      });
+      const applied = applyConvertPreferences(omitted, preferences);
+      assert.strictEqual(applied.format, 'mp4');
+      assert.strictEqual(applied.optimize, false);
+      assert.strictEqual(applied.lossy, null);
+    });
+
+    test('explicit optimize or lossy skips a preferred non-gif format', () => {
+      const preferences = resolveUserPreferences({ output_format: 'webp' });
+      assert.strictEqual(
+        applyConvertPreferences({ ...omitted, optimize: true }, preferences).format,
+        null
+      );
+      assert.strictEqual(
+        applyConvertPreferences({ ...omitted, lossy: 20 }, preferences).format,
+        null
+      );
+      assert.strictEqual(
+        applyConvertPreferences({ ...omitted, format: 'apng' }, preferences).format,
+        'apng'
+      );
+    });
+
+    test('a preferred mp4 falls back to the default format for still images', () => {
+      const preferences = resolveUserPreferences({
+        auto_optimize: true,
+        output_format: 'mp4',
+      });
+      const applied = applyConvertPreferences(omitted, preferences, { stillImage: true });
+      assert.strictEqual(applied.format, null);
+      assert.strictEqual(applied.optimize, true);
+
+      assert.strictEqual(applyConvertPreferences(omitted, preferences).format, 'mp4');
+      assert.strictEqual(
+        applyConvertPreferences(omitted, resolveUserPreferences({ output_format: 'webp' }), {
+          stillImage: true,
+        }).format,
+        'webp'
+      );
+    });
+  });
+
+  describe('getReplyOptions', () => {
+    test('ephemeral when the guild or the user asks for it', () => {
+      const none = resolveUserPreferences(null);
+      const wantsEphemeral = resolveUserPreferences({ ephemeral_replies: true });
+      const wantsPublic = resolveUserPreferences({ ephemeral_replies: false });
+      const ephemeralGuild = { ...guildSettings, ephemeralReplies: true };
+
+      assert.deepStrictEqual(getReplyOptions(guildSettings, none), {});
+      assert.deepStrictEqual(getReplyOptions(guildSettings, wantsEphemeral), {
+        flags: MessageFlags.Ephemeral,
+      });
+      assert.deepStrictEqual(getReplyOptions(ephemeralGuild, wantsPublic), {
+        flags: MessageFlags.Ephemeral,
+      });
+    });
+  });
+
+  describe('getUploadLimit', () => {
+    test('always_use_r2 forces links', () => {
+      const preferences = resolveUserPreferences({ always_use_r2: true });
+      assert.strictEqual(getUploadLimit(guildSettings, preferences), 0);
+    });
+
+    test('falls back to the guild limit', () => {
+      const none = resolveUserPreferences(null);
+      assert.strictEqual(getUploadLimit(guildSettings, none), null);
+
+      const boosted = {
+        ...guildSettings,
+        discordSizeLimit: 50 * MB,
+        sources: { discordSizeLimit: 'guild' },
+      };
+      assert.strictEqual(getUploadLimit(boosted, none), 50 * MB);
+      assert.strictEqual(getUploadLimit({ ...guildSettings, alwaysUseR2: true }, none), 0);
+    });
+  });
+
+  describe('formatUserPreferences', () => {
+    test('marks unset preferences', () => {
+      const text = formatUserPreferences(
+        resolveUserPreferences({ quality: 'high', auto_optimize: false })
+      );
+      assert.match(text, /\*\*quality\*\*: high/);
+      assert.match(text, /\*\*auto_optimize\*\*: off/);
+      assert.match(text, /\*\*lossy\*\*: not set/);
+    });
+  });
+});
@@ -1,6 +1,13 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { sanitizeFFmpegStderr } from '../../src/utils/video-processor/utils.js';
+import {
+  sanitizeFFmpegStderr,
+  buildCropFilter,
+  buildEffectFilters,
+  buildSlideshowFilters,
+  wrapCaptionText,
+  buildCaptionFilters,
+} from '../../src/utils/video-processor/utils.js';
 
 // Extract validateNumericParameter logic for testing
 // This matches the implementation in video-processor.js
@@ -229,6 +236,227 @@ describe('video-processor validation', () => {
     });
   });
 
+  describe('buildCropFilter', () => {
+    test('returns null when no crop is requested', () => {
+      assert.strictEqual(buildCropFilter(null), null);
+      assert.strictEqual(buildCropFilter(undefined), null);
+    });
+
+    test('builds a crop filter in width:height:x:y order', () => {
+      assert.strictEqual(
+        buildCropFilter({ x: 420, y: 0, width: 1080, height: 1080 }),
+        'crop=1080:1080:420:0'
+      );
+    });
+
+    test('rejects non-integer and injected values', () => {
+      assert.throws(
+        () => buildCropFilter({ x: 0, y: 0, width: 10.5, height: 10 }),
+        /crop.width must be an integer/
+      );
+      assert.throws(
+        () => buildCropFilter({ x: '0,drawtext', y: 0, width: 10, height: 10 }),
+        /crop.x must be a valid number/
+      );
+      assert.throws(() => buildCropFilter({ x: -1, y: 0, width: 10, height: 10 }), /at least 0/);
+    });
+
+    test('rejects empty regions', () => {
+      assert.throws(() => buildCropFilter({ x: 0, y: 0, width: 0, height: 10 }), /greater than 0/);
+    });
+  });
+
+  describe('buildEffectFilters', () => {
+    test('returns no filters without an effect', () => {
+      assert.deepStrictEqual(buildEffectFilters(null), { before: [], after: [] });
+    });
+
+    test('changes timestamps before frame-rate conversion for speed', () => {
+      assert.deepStrictEqual(buildEffectFilters({ type: 'speed', speed: 2 }), {
+        before: ['setpts=PTS/2'],
+        after: [],
+      });
+      assert.deepStrictEqual(buildEffectFilters({ type: 'speed', speed: 2 }, { capFps: 30 }), {
+        before: ['setpts=PTS/2', 'fps=30'],
+        after: [],
+      });
+      // Slowing down never needs resampling
+      assert.deepStrictEqual(
+        buildEffectFilters({ type: 'speed', speed: 0.5 }, { capFps: 30 }).before,
+        ['setpts=PTS/0.5']
+      );
+    });
+
+    test('reverses after scaling', () => {
+      assert.deepStrictEqual(buildEffectFilters({ type: 'reverse' }), {
+        before: [],
+        after: ['reverse'],
+      });
+      const [boomerang] = buildEffectFilters({ type: 'boomerang' }).after;
+      assert.ok(boomerang.startsWith('split[fwd][bwd];[bwd]reverse'));
+      assert.ok(boomerang.endsWith('concat=n=2:v=1:a=0'));
+    });
+
+    test('rejects unknown effects and injected speeds', () => {
+      assert.throws(() => buildEffectFilters({ type: 'shuffle' }), /effect must be one of/);
+      assert.throws(
+        () => buildEffectFilters({ type: 'speed', speed: '2,drawtext=text=x' }),
+        /speed must be a valid number/
+      );
+      assert.throws(() => buildEffectFilters({ type: 'speed', speed: 10 }), /at most 4/);
+    });
+  });
+
+  describe('buildSlideshowFilters', () => {
+    const canvas = { width: 640, height: 360, fps: 24 };
+
+    test('letterboxes every slide onto the canvas', () => {
+      const { filters } = buildSlideshowFilters([{ duration: 2 }, { duration: 3.5 }], canvas);
+      assert.strictEqual(
+        filters[0],
+        '[0:v]scale=640:360:force_original_aspect_ratio=decrease,pad=640:360:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=24,format=yuv420p,trim=duration=2,setpts=PTS-STARTPTS[s0]'
+      );
+      assert.ok(filters[1].startsWith('[1:v]scale=640:360'));
+      assert.ok(filters[1].endsWith('trim=duration=3.5,setpts=PTS-STARTPTS[s1]'));
+    });
+
+    test('concatenates slides without crossfade', () => {
+      const result = buildSlideshowFilters(
+        [{ duration: 2 }, { duration: 3.5 }, { duration: 2 }],
+        canvas
+      );
+      assert.strictEqual(result.filters[3], '[s0][s1][s2]concat=n=3:v=1:a=0[slideshow]');
+      assert.strictEqual(result.output, 'slideshow');
+      assert.strictEqual(result.duration, 7.5);
+    });
+
+    test('chains crossfades that overlap the previous slides', () => {
+      const result = buildSlideshowFilters([{ duration: 2 }, { duration: 3 }, { duration: 2 }], {
+        ...canvas,
+        crossfade: 0.5,
+      });
+      assert.deepStrictEqual(result.filters.slice(3), [
+        '[s0][s1]xfade=transition=fade:duration=0.5:offset=1.5[x1]',
+        '[x1][s2]xfade=transition=fade:duration=0.5:offset=4[slideshow]',
+      ]);
+      assert.strictEqual(result.duration, 6);
+    });
+
+    test('shortens crossfades to half the shortest slide', () => {
+      const result = buildSlideshowFilters([{ duration: 2 }, { duration: 0.6 }], {
+        ...canvas,
+        crossfade: 1,
+      });
+      assert.strictEqual(
+        result.filters[2],
+        '[s0][s1]xfade=transition=fade:duration=0.3:offset=1.7[slideshow]'
+      );
+    });
+
+    test('passes a single slide through', () => {
+      const result = buildSlideshowFilters([{ duration: 2 }], { ...canvas, crossfade: 1 });
+      assert.strictEqual(result.filters[1], '[s0]null[slideshow]');
+      assert.strictEqual(result.duration, 2);
+    });
+
+    test('rejects empty slide lists and injected values', () => {
+      assert.throws(() => buildSlideshowFilters([], canvas), /at least one slide/);
+      assert.throws(
+        () => buildSlideshowFilters([{ duration: '2,drawtext=text=x' }], canvas),
+        /slide duration must be a valid number/
+      );
+      assert.throws(
+        () => buildSlideshowFilters([{ duration: 2 }], { ...canvas, width: '640[x]' }),
+        /width must be a valid number/
+      );
+    });
+  });
+
+  describe('wrapCaptionText', () => {
+    test('wraps words onto lines', () => {
+      assert.deepStrictEqual(wrapCaptionText('when the build finally passes', 12), [
+        'when the',
+        'build',
+        'finally',
+        'passes',
+      ]);
+    });
+
+    test('splits long words by code point and limits the line count', () => {
+      assert.deepStrictEqual(wrapCaptionText('aaaaaaa', 3), ['aaa', 'aaa', 'a']);
+      assert.deepStrictEqual(wrapCaptionText('😀😀😀', 2), ['😀😀', '😀']);
+      assert.strictEqual(wrapCaptionText('a b c d e f g h', 1, 3).length, 3);
+    });
+  });
+
+  describe('buildCaptionFilters', () => {
+    const fontPath = '/fonts/DejaVuSans-Bold.ttf';
+
+    test('reads text from files with expansion disabled', () => {
+      const filters = buildCaptionFilters({
+        lineFiles: ['/tmp/out.caption0.txt'],
+        position: 'top',
+        width: 480,
+        fontPath,
+      });
+      assert.strictEqual(filters.length, 1);
+      assert.ok(
+        filters[0].startsWith(`drawtext=fontfile=${fontPath}:textfile=/tmp/out.caption0.txt`)
+      );
+      assert.ok(filters[0].includes(':expansion=none:'));
+      assert.ok(filters[0].includes(':fontsize=40:'));
+    });
+
+    test('anchors bottom captions to the frame height', () => {
+      const filters = buildCaptionFilters({
+        lineFiles: ['/tmp/a.txt', '/tmp/b.txt'],
+        position: 'bottom',
+        width: 480,
+        fontPath,
+      });
+      assert.ok(filters[0].endsWith(':y=h-116'));
+      assert.ok(filters[1].endsWith(':y=h-68'));
+    });
+
+    test('pads an even-height bar above the frame', () => {
+      const filters = buildCaptionFilters({
+        lineFiles: ['/tmp/a.txt'],
+        position: 'bar',
+        width: 480,
+        fontPath,
+      });
+      assert.strictEqual(filters[0], 'pad=iw:ih+88:0:88:color=white');
+      assert.ok(filters[1].includes('fontcolor=black'));
+    });
+
+    test('rejects unknown positions and unsafe paths', () => {
+      assert.throws(
+        () => buildCaptionFilters({ lineFiles: [], position: 'side', width: 480, fontPath }),
+        /caption position must be one of/
+      );
+      assert.throws(
+        () =>
+          buildCaptionFilters({
+            lineFiles: ['/tmp/a.txt:text=pwned'],
+            position: 'top',
+            width: 480,
+            fontPath,
+          }),
+        /caption file paths may only contain/
+      );
+      assert.throws(
+        () =>
+          buildCaptionFilters({
+            lineFiles: ['/tmp/a.txt'],
+            position: 'top',
+            width: 480,
+            fontPath: "/fonts/x.ttf',drawtext=text=pwned",
+          }),
+        /caption file paths may only contain/
+      );
+    });
+  });
+
   describe('sanitizeFFmpegStderr', () => {
     test('returns placeholder for null/undefined input', () => {
       assert.strictEqual(sanitizeFFmpegStderr(null), '[no stderr output]');
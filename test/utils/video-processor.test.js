@@ -1,6 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { convertToGif, trimVideo, trimGif } from '../../src/utils/video-processor.js';
+import {
+  convertToGif,
+  convertToAnimation,
+  trimVideo,
+  trimGif,
+} from '../../src/utils/video-processor.js';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { writeFileSync } from 'node:fs';
@@ -236,6 +241,83 @@ test('convertToGif - handles Infinity values', async () => {
   });
 });
 
+// ==================== convertToAnimation Tests ====================
+
+test('convertToAnimation - validates format parameter', async () => {
+  const inputPath = createDummyVideoFile('test.mp4');
+  const outputPath = path.join(testTempPath, 'output.webp');
+
+  await assert.rejects(
+    async () => await convertToAnimation(inputPath, outputPath, { quality: 'medium' }),
+    {
+      message: /format must be one of: webp, apng, mp4/,
+    }
+  );
+
+  await assert.rejects(
+    async () =>
+      await convertToAnimation(inputPath, outputPath, { format: 'gif', quality: 'medium' }),
+    {
+      message: /format must be one of: webp, apng, mp4/,
+    }
+  );
+});
+
+test('convertToAnimation - validates numeric parameters', async () => {
+  const inputPath = createDummyVideoFile('test.mp4');
+  const outputPath = path.join(testTempPath, 'output.mp4');
+
+  await assert.rejects(
+    async () =>
+      await convertToAnimation(inputPath, outputPath, {
+        format: 'mp4',
+        quality: 'medium',
+        width: 5000,
+      }),
+    {
+      message: /width must be at most 4096/,
+    }
+  );
+
+  await assert.rejects(
+    async () =>
+      await convertToAnimation(inputPath, outputPath, {
+        format: 'mp4',
+        quality: 'medium',
+        fps: Infinity,
+      }),
+    {
+      message: /fps must be a valid number/,
+    }
+  );
+});
+
+test('convertToAnimation - validates quality parameter', async () => {
+  const inputPath = createDummyVideoFile('test.mp4');
+  const outputPath = path.join(testTempPath, 'output.webp');
+
+  await assert.rejects(
+    async () =>
+      await convertToAnimation(inputPath, outputPath, { format: 'webp', quality: 'invalid' }),
+    {
+      message: /quality must be one of: low, medium, high/,
+    }
+  );
+});
+
+test('convertToAnimation - validates input file exists', async () => {
+  const nonExistentPath = path.join(testTempPath, 'nonexistent.mp4');
+  const outputPath = path.join(testTempPath, 'output.png');
+
+  await assert.rejects(
+    async () =>
+      await convertToAnimation(nonExistentPath, outputPath, { format: 'apng', quality: 'medium' }),
+    {
+      message: /(Input file not found|FFmpeg is not installed)/,
+    }
+  );
+});
+
 // ==================== trimVideo Tests ====================
 
 test('trimVideo - validates startTime parameter', async () => {
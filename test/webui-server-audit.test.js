@@ -0,0 +1,76 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseAuditQuery } from '../src/webui-server/routes/audit.js';
+import { snapshotMedia } from '../src/webui-server/utils/audit.js';
+
+describe('webui-server audit log', () => {
+  describe('parseAuditQuery', () => {
+    test('defaults to the first 100 events', () => {
+      assert.deepStrictEqual(parseAuditQuery({}), { limit: 100, offset: 0 });
+    });
+
+    test('keeps known filters and trims them', () => {
+      const options = parseAuditQuery({
+        action: 'media.delete',
+        actorId: ' 3 ',
+        target: 'gifs/abc.gif',
+        status: 'failed',
+        targetType: 'media',
+        startTime: '1700000000000',
+        endTime: '1700086400000',
+        search: 'ignored',
+      });
+      assert.deepStrictEqual(options, {
+        limit: 100,
+        offset: 0,
+        action: 'media.delete',
+        actorId: '3',
+        target: 'gifs/abc.gif',
+        status: 'failed',
+        targetType: 'media',
+        startTime: 1700000000000,
+        endTime: 1700086400000,
+      });
+    });
+
+    test('clamps pagination and ignores bad values', () => {
+      const options = parseAuditQuery({
+        limit: '100000',
+        offset: '-5',
+        action: ['a', 'b'],
+        target: '   ',
+        startTime: 'yesterday',
+      });
+      assert.deepStrictEqual(options, { limit: 500, offset: 0 });
+      assert.strictEqual(parseAuditQuery({ limit: '0' }).limit, 100);
+    });
+  });
+
+  describe('snapshotMedia', () => {
+    test('keeps the fields needed to identify a deleted file', () => {
+      const snapshot = snapshotMedia(
+        {
+          url_hash: 'abc',
+          file_hash: 'def',
+          file_type: 'gif',
+          file_url: 'https://cdn.example.com/gifs/def.gif',
+          file_size: 1024,
+          user_id: '123',
+          processed_at: 1700000000000,
+          original_url: 'https://example.com/video.mp4',
+        },
+        'gifs/def.gif'
+      );
+      assert.deepStrictEqual(snapshot, {
+        url_hash: 'abc',
+        file_hash: 'def',
+        file_type: 'gif',
+        file_url: 'https://cdn.example.com/gifs/def.gif',
+        file_size: 1024,
+        user_id: '123',
+        processed_at: 1700000000000,
+        r2_key: 'gifs/def.gif',
+      });
+    });
+  });
+});
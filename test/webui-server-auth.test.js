@@ -0,0 +1,322 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import WebSocket from 'ws';
+import {
+  buildCookie,
+  hasRole,
+  hashSessionToken,
+  parseCookies,
+  requireInternal,
+  requireRole,
+  resolveWebuiRole,
+} from '../src/webui-server/middleware/auth.js';
+import { hashPassword, verifyPassword } from '../src/webui-server/utils/passwords.js';
+import { createApp } from '../src/webui-server/app.js';
+import {
+  createWebSocketServer,
+  isAllowedWebSocketOrigin,
+} from '../src/webui-server/websocket/server.js';
+
+// API routes that must stay reachable without signing in
+const PUBLIC_ROUTES = [
+  'GET /api/health',
+  'GET /api/auth/session',
+  'POST /api/auth/login',
+  'POST /api/auth/logout',
+  'GET /api/auth/discord',
+  'GET /api/auth/discord/callback',
+];
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * List every API route with the middleware that guards it
+ * @param {Object} app - Express app
+ * @returns {Array<{route: string, roles: Array<string>, internal: boolean}>} Routes
+ */
+function listApiRoutes(app) {
+  const routes = [];
+  const visit = stack => {
+    for (const layer of stack) {
+      if (layer.route) {
+        if (!String(layer.route.path).startsWith('/api')) {
+          continue;
+        }
+        const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({
+            route: `${method.toUpperCase()} ${layer.route.path}`,
+            roles: handlers.filter(handle => handle.requiredRole).map(h => h.requiredRole),
+            internal: handlers.some(handle => handle.internalOnly),
+          });
+        }
+      } else if (layer.handle?.stack) {
+        visit(layer.handle.stack);
+      }
+    }
+  };
+  visit(app.router.stack);
+  return routes;
+}
+
+describe('webui-server authentication', () => {
+  describe('roles', () => {
+    test('higher roles include lower ones', () => {
+      assert.strictEqual(hasRole('admin', 'viewer'), true);
+      assert.strictEqual(hasRole('moderator', 'moderator'), true);
+      assert.strictEqual(hasRole('moderator', 'admin'), false);
+      assert.strictEqual(hasRole('viewer', 'moderator'), false);
+      assert.strictEqual(hasRole(null, 'viewer'), false);
+      assert.strictEqual(hasRole('owner', 'viewer'), false);
+    });
+
+    test('ADMIN_USER_IDS make linked Discord accounts admins', () => {
+      const adminIds = ['111'];
+      assert.strictEqual(
+        resolveWebuiRole({ discord_user_id: '111', role: null }, adminIds),
+        'admin'
+      );
+      assert.strictEqual(
+        resolveWebuiRole({ discord_user_id: '111', role: 'viewer' }, adminIds),
+        'admin'
+      );
+      assert.strictEqual(
+        resolveWebuiRole({ discord_user_id: '222', role: 'moderator' }, adminIds),
+        'moderator'
+      );
+    });
+
+    test('users without a known role have no access', () => {
+      assert.strictEqual(resolveWebuiRole({ discord_user_id: '222', role: null }, ['111']), null);
+      assert.strictEqual(resolveWebuiRole({ username: 'a', role: 'superuser' }, []), null);
+      assert.strictEqual(resolveWebuiRole(null, ['111']), null);
+    });
+  });
+
+  describe('cookies', () => {
+    test('parses cookie headers', () => {
+      const cookies = parseCookies('a=1; gronka_session=abc%3D%3D; a=2; broken; =x');
+      assert.strictEqual(cookies.a, '1');
+      assert.strictEqual(cookies.gronka_session, 'abc==');
+      assert.strictEqual(Object.keys(cookies).length, 2);
+      assert.deepStrictEqual(Object.keys(parseCookies(undefined)), []);
+    });
+
+    test('session cookies are http-only and same-site', () => {
+      const cookie = buildCookie({ secure: false }, 'gronka_session', 'token', 60000);
+      assert.strictEqual(
+        cookie,
+        'gronka_session=token; Path=/; Max-Age=60; HttpOnly; SameSite=Lax'
+      );
+      assert.match(buildCookie({ secure: true }, 'gronka_session', 'token', 60000), /; Secure$/);
+    });
+
+    test('session tokens are stored hashed', () => {
+      const hash = hashSessionToken('token');
+      assert.match(hash, /^[0-9a-f]{64}$/);
+      assert.notStrictEqual(hash, hashSessionToken('other'));
+    });
+  });
+
+  describe('passwords', () => {
+    test('verifies the right password only', async () => {
+      const hash = await hashPassword('correct horse battery staple');
+      assert.match(hash, /^scrypt\$32768\$8\$1\$/);
+      assert.strictEqual(await verifyPassword('correct horse battery staple', hash), true);
+      assert.strictEqual(await verifyPassword('correct horse battery stapler', hash), false);
+    });
+
+    test('rejects missing and malformed hashes', async () => {
+      assert.strictEqual(await verifyPassword('password', null), false);
+      assert.strictEqual(await verifyPassword('password', 'plaintext'), false);
+      assert.strictEqual(await verifyPassword('password', 'scrypt$1$1$1$$'), false);
+    });
+  });
+
+  describe('middleware', () => {
+    test('requireRole rejects anonymous and under-privileged users', () => {
+      const middleware = requireRole('moderator');
+      let called = false;
+      const next = () => {
+        called = true;
+      };
+
+      const anonymous = mockResponse();
+      middleware({ user: null }, anonymous, next);
+      assert.strictEqual(anonymous.statusCode, 401);
+
+      const viewer = mockResponse();
+      middleware({ user: { id: 1, role: 'viewer' }, method: 'GET', path: '/x' }, viewer, next);
+      assert.strictEqual(viewer.statusCode, 403);
+      assert.strictEqual(called, false);
+
+      middleware({ user: { id: 2, role: 'admin' } }, mockResponse(), next);
+      assert.strictEqual(called, true);
+    });
+
+    test('requireRole refuses unknown roles', () => {
+      assert.throws(() => requireRole('owner'), /unknown WebUI role/);
+    });
+
+    test('requireInternal allows local requests when no token is configured', () => {
+      let called = false;
+      requireInternal({ ip: '127.0.0.1', headers: {} }, mockResponse(), () => {
+        called = true;
+      });
+      assert.strictEqual(called, true);
+
+      const res = mockResponse();
+      requireInternal({ ip: '203.0.113.5', headers: {} }, res, () => {});
+      assert.strictEqual(res.statusCode, 403);
+    });
+  });
+
+  describe('route protection', () => {
+    test('every API route requires a role, the internal check, or is public', () => {
+      const routes = listApiRoutes(createApp(new Set()));
+      assert.ok(routes.length > 20);
+
+      const unprotected = routes
+        .filter(({ roles, internal }) => roles.length === 0 && !internal)
+        .map(({ route }) => route)
+        .filter(route => !PUBLIC_ROUTES.includes(route));
+      assert.deepStrictEqual(unprotected, []);
+    });
+
+    test('destructive routes need moderator or admin', () => {
+      const routes = listApiRoutes(createApp(new Set()));
+      const roleOf = name => routes.find(({ route }) => route === name)?.roles[0];
+
+      assert.strictEqual(roleOf('DELETE /api/moderation/users/:userId/r2-media'), 'moderator');
+      assert.strictEqual(roleOf('DELETE /api/moderation/files/:urlHash'), 'moderator');
+      assert.strictEqual(roleOf('POST /api/management/bot/restart'), 'admin');
+      assert.strictEqual(roleOf('POST /api/management/admin-uploads/cleanup'), 'admin');
+      assert.strictEqual(roleOf('PUT /api/quotas/:scopeType/:scopeId'), 'admin');
+      assert.strictEqual(roleOf('POST /api/admin/operations/clear'), 'admin');
+      assert.strictEqual(roleOf('GET /api/audit'), 'moderator');
+      assert.strictEqual(roleOf('POST /api/moderation/blocklist'), 'moderator');
+      assert.strictEqual(roleOf('DELETE /api/moderation/blocklist/:id'), 'moderator');
+      assert.strictEqual(roleOf('GET /api/moderation/near-duplicates'), 'moderator');
+      assert.strictEqual(roleOf('PUT /api/guild-settings/:guildId'), 'admin');
+      assert.strictEqual(roleOf('DELETE /api/guild-settings/:guildId'), 'admin');
+    });
+  });
+
+  describe('websocket origin', () => {
+    const req = { headers: { host: 'localhost:3001' } };
+
+    test('accepts the public url origin', () => {
+      assert.strictEqual(
+        isAllowedWebSocketOrigin(
+          'https://dashboard.example.com',
+          req,
+          'https://dashboard.example.com'
+        ),
+        true
+      );
+    });
+
+    test('rejects other origins when a public url is set', () => {
+      assert.strictEqual(
+        isAllowedWebSocketOrigin('https://evil.example.com', req, 'https://dashboard.example.com'),
+        false
+      );
+      assert.strictEqual(
+        isAllowedWebSocketOrigin('http://localhost:3001', req, 'https://dashboard.example.com'),
+        false
+      );
+    });
+
+    test('falls back to the host header without a public url', () => {
+      assert.strictEqual(isAllowedWebSocketOrigin('http://localhost:3001', req, ''), true);
+      assert.strictEqual(isAllowedWebSocketOrigin('http://evil.example.com', req, ''), false);
+    });
+
+    test('rejects missing or malformed origins', () => {
+      assert.strictEqual(isAllowedWebSocketOrigin(undefined, req, ''), false);
+      assert.strictEqual(isAllowedWebSocketOrigin('not a url', req, ''), false);
+    });
+  });
+
+  describe('http and websocket', () => {
+    let server;
+    let port;
+
+    before(async () => {
+      server = http.createServer(createApp(new Set()));
+      createWebSocketServer(server);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('protected routes return 401 without a session', async () => {
+      const response = await fetch(`http://127.0.0.1:${port}/api/stats`);
+      assert.strictEqual(response.status, 401);
+      assert.deepStrictEqual(await response.json(), { error: 'authentication required' });
+    });
+
+    test('session endpoint reports signed-out state', async () => {
+      const response = await fetch(`http://127.0.0.1:${port}/api/auth/session`);
+      const body = await response.json();
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(body.authenticated, false);
+      assert.strictEqual(body.user, null);
+      assert.strictEqual(body.methods.password, true);
+    });
+
+    test('login requires a username and password', async () => {
+      const response = await fetch(`http://127.0.0.1:${port}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin' }),
+      });
+      assert.strictEqual(response.status, 400);
+    });
+
+    /**
+     * Open a WebSocket handshake and return the status it was rejected with
+     * @param {string} origin - Origin header to send
+     * @returns {Promise<number>} HTTP status code
+     */
+    function rejectedHandshakeStatus(origin) {
+      return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/api/ws`, { origin });
+        ws.on('unexpected-response', (_req, res) => {
+          resolve(res.statusCode);
+          ws.terminate();
+        });
+        ws.on('open', () => {
+          ws.close();
+          reject(new Error('websocket handshake was accepted'));
+        });
+        ws.on('error', () => {});
+      });
+    }
+
+    test('websocket handshake is rejected without a session', async () => {
+      assert.strictEqual(await rejectedHandshakeStatus(`http://127.0.0.1:${port}`), 401);
+    });
+
+    test('websocket handshake is rejected from another origin', async () => {
+      assert.strictEqual(await rejectedHandshakeStatus('https://evil.example.com'), 403);
+    });
+  });
+});
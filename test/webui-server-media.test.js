@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { normalizeSourceDomain, parseMediaSearchQuery } from '../src/webui-server/routes/media.js';
+import { getMediaStorageLocation } from '../src/utils/database.js';
+
+describe('webui-server media search', () => {
+  describe('normalizeSourceDomain', () => {
+    test('keeps the host of a url, lowercased and without www', () => {
+      assert.strictEqual(
+        normalizeSourceDomain('https://www.TikTok.com/@user/video/1'),
+        'tiktok.com'
+      );
+      assert.strictEqual(normalizeSourceDomain('vm.tiktok.com'), 'vm.tiktok.com');
+      assert.strictEqual(normalizeSourceDomain('x.com:443'), 'x.com');
+      assert.strictEqual(normalizeSourceDomain('https://'), null);
+    });
+  });
+
+  describe('parseMediaSearchQuery', () => {
+    test('defaults to the first 50 files', () => {
+      assert.deepStrictEqual(parseMediaSearchQuery({}), { limit: 50, offset: 0 });
+    });
+
+    test('keeps known filters', () => {
+      const options = parseMediaSearchQuery({
+        domain: 'www.youtube.com',
+        url: ' watch?v= ',
+        fileType: 'video',
+        storage: 'r2',
+        userId: '123456789',
+        minSize: '1024',
+        maxSize: '1048576',
+        startTime: '1700000000000',
+        endTime: '1700086400000',
+        search: 'ignored',
+      });
+      assert.deepStrictEqual(options, {
+        limit: 50,
+        offset: 0,
+        domain: 'youtube.com',
+        url: 'watch?v=',
+        fileType: 'video',
+        storage: 'r2',
+        userId: '123456789',
+        minSize: 1024,
+        maxSize: 1048576,
+        startTime: 1700000000000,
+        endTime: 1700086400000,
+      });
+    });
+
+    test('clamps pagination and ignores bad values', () => {
+      const options = parseMediaSearchQuery({
+        limit: '100000',
+        offset: '-5',
+        fileType: 'audio',
+        storage: 's3',
+        userId: 'abc',
+        minSize: '-1',
+        url: ['a', 'b'],
+      });
+      assert.deepStrictEqual(options, { limit: 200, offset: 0 });
+    });
+  });
+
+  describe('getMediaStorageLocation', () => {
+    const prefix = 'https://cdn.example.com/';
+
+    test('tells r2, discord and local files apart', () => {
+      assert.strictEqual(
+        getMediaStorageLocation('https://cdn.example.com/gifs/a.gif', prefix),
+        'r2'
+      );
+      assert.strictEqual(
+        getMediaStorageLocation('https://cdn.discordapp.com/attachments/1/2/a.gif?ex=1', prefix),
+        'discord'
+      );
+      assert.strictEqual(
+        getMediaStorageLocation('https://gifs.example.org/gifs/a.gif', prefix),
+        'local'
+      );
+      assert.strictEqual(
+        getMediaStorageLocation('https://cdn.example.com/gifs/a.gif', null),
+        'local'
+      );
+    });
+  });
+});
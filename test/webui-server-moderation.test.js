@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getDeletedMediaBlocklistEntries } from '../src/webui-server/routes/moderation.js';
+import { hashUrl } from '../src/utils/cobalt-queue.js';
+
+describe('webui-server moderation', () => {
+  describe('getDeletedMediaBlocklistEntries', () => {
+    test('blocks the source url and file of outputs made with options', () => {
+      const sourceUrl = 'https://example.com/video.mp4';
+      const entries = getDeletedMediaBlocklistEntries({
+        url_hash: 'url-with-options',
+        file_hash: 'output-with-options',
+        source_url: sourceUrl,
+        source_file_hash: 'source-file',
+      });
+      assert.deepStrictEqual(
+        entries.map(entry => [entry.entryType, entry.value]),
+        [
+          ['url_hash', 'url-with-options'],
+          ['file_hash', 'output-with-options'],
+          ['url_hash', hashUrl(sourceUrl)],
+          ['file_hash', 'source-file'],
+        ]
+      );
+      assert.strictEqual(entries[2].sourceUrl, sourceUrl);
+    });
+
+    test('skips missing values and duplicates', () => {
+      const sourceUrl = 'https://example.com/video.mp4';
+      const entries = getDeletedMediaBlocklistEntries({
+        url_hash: hashUrl(sourceUrl),
+        file_hash: 'file',
+        source_url: sourceUrl,
+        source_file_hash: 'file',
+      });
+      assert.deepStrictEqual(
+        entries.map(entry => [entry.entryType, entry.value]),
+        [
+          ['url_hash', hashUrl(sourceUrl)],
+          ['file_hash', 'file'],
+        ]
+      );
+
+      // Files made before source URLs were stored
+      assert.strictEqual(
+        getDeletedMediaBlocklistEntries({ url_hash: 'u', file_hash: 'f', source_url: null }).length,
+        2
+      );
+    });
+  });
+});